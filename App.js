@@ -18,6 +18,8 @@ import driverOperationalLifecycleService from './services/driverOperationalLifec
 import driverTourPackService from './services/driverTourPackService';
 import useDriverTourPack from './hooks/useDriverTourPack';
 import useDriverTourPackActions from './hooks/useDriverTourPackActions';
+import usePickupGeofence from './hooks/usePickupGeofence';
+import useSafetyCheckIn from './hooks/useSafetyCheckIn';
 import driverTourPackActionService from './services/driverTourPackActionService';
 import useDriverTourPackFeatureFlag from './hooks/useDriverTourPackFeatureFlag';
 import { getCanonicalIdentity, resolveAuthScopedUserId, toRealtimeKeySegment } from './services/identityService';
@@ -317,6 +319,19 @@ function AppContent() {
     offlineCacheOwnerId: bookingData?.id || null,
   });
   const driverTourPackActions = useDriverTourPackActions({ pack: driverTourPackState.pack, driverId: bookingData?.id, authUid: user?.uid, isConnected });
+  const pickupGeofence = usePickupGeofence({
+    pack: driverTourPackState.pack,
+    actionState: driverTourPackActions,
+    driverId: bookingData?.id,
+    enabled: Boolean(isDriverSession),
+  });
+  const safetyCheckIn = useSafetyCheckIn({
+    tourId: offlineSessionScope?.tourId,
+    principalId: offlineSessionScope?.principalId,
+    authUid: user?.uid,
+    passengerName: bookingData?.passengerNames?.[0],
+    enabled: Boolean(bookingData?.id) && !isDriverSession,
+  });
   const insets = useSafeAreaInsets();
 
   useEffect(() => {
@@ -1665,7 +1680,7 @@ function AppContent() {
             />
           );
         }
-        return <DriverTourPackScreen packState={driverTourPackState} actionState={driverTourPackActions} isConnected={isConnected} tourData={tourData} driverData={bookingData} onBack={() => navigateTo('DriverHome')} onNavigate={navigateTo} />;
+        return <DriverTourPackScreen packState={driverTourPackState} actionState={driverTourPackActions} geofenceState={pickupGeofence} isConnected={isConnected} tourData={tourData} driverData={bookingData} onBack={() => navigateTo('DriverHome')} onNavigate={navigateTo} />;
       case 'SafetySupport':
         return (
           <SafetySupportScreen
@@ -1677,6 +1692,7 @@ function AppContent() {
             offlineCacheOwnerId={bookingData?.id}
             mode={screenParams?.mode || 'passenger'}
             isConnected={isConnected}
+            checkIn={safetyCheckIn}
           />
         );
       case 'PassengerManifest':
@@ -1731,6 +1747,7 @@ function AppContent() {
             onViewerVisibilityChange={handleViewerVisibilityChange}
             userId={canonicalIdentity?.principalId}
             tourId={tourData?.id}
+            tourData={tourData}
             userName={bookingData?.passengerNames?.[0] || 'Tour Member'}
             canonicalIdentity={canonicalIdentity}
           />
@@ -1799,7 +1816,15 @@ case 'Itinerary':
         // Use active tour ID if passed, else fall back to session data
         const mapTourId = resolveTourId(screenParams.tourId, tourData?.id, tourData?.tourCode);
         const mapReturnTarget = screenParams?.from || (isDriverSession ? 'DriverHome' : 'TourHome');
-        return <MapScreen {...screenProps} onBack={() => navigateTo(mapReturnTarget)} tourId={mapTourId} tourData={tourData} />;
+        return (
+          <MapScreen
+            {...screenProps}
+            onBack={() => navigateTo(mapReturnTarget)}
+            tourId={mapTourId}
+            tourData={tourData}
+            bookingData={isDriverSession ? null : bookingData}
+          />
+        );
       case 'NotificationPreferences':
         const notificationReturnTarget = screenParams?.returnTo || (isDriverSession ? 'DriverHome' : 'TourHome');
         const notificationPreferencesUserId = resolveAuthScopedUserId({
@@ -19,6 +19,25 @@ const {
   getChatMessageById,
   getChatMessagesPage,
   deleteMessage,
+  createLocalDictionaryTranslationProvider,
+  setTranslationProvider,
+  getTranslationProvider,
+  translateMessage,
+  getCachedMessageTranslation,
+  clearMessageTranslationCache,
+  sendPollMessage,
+  votePoll,
+  closePoll,
+  summarizePoll,
+  formatPollResultsForIssueLog,
+  pinMessage,
+  unpinMessage,
+  subscribeToPinnedMessages,
+  editMessage,
+  canEditMessage,
+  getEditHistory,
+  getMessageVersion,
+  CHAT_EDIT_WINDOW_MS,
 } = require('../services/chatService');
 
 test('sendImageMessage applies the same moderation gate as text chat', async () => {
@@ -527,6 +546,7 @@ test('message deletion is owner-only and clears retained photo download URLs', a
     text: '',
     imageUrl: null,
     thumbnailUrl: null,
+    editHistory: null,
     deletedAt: messageRefs[1].updateCalls[0].deletedAt,
     deletedBy: 'passenger-1',
   });
@@ -1039,3 +1059,398 @@ test('chat subscriptions normalize canonical maps and ignore malformed reaction
   unsubscribeGroup();
   unsubscribeInternal();
 });
+
+const createCountingTranslationProvider = (inner = createLocalDictionaryTranslationProvider()) => {
+  const calls = [];
+  return {
+    id: 'counting',
+    calls,
+    translate: async (request) => {
+      calls.push(request);
+      return inner.translate(request);
+    },
+  };
+};
+
+test('local dictionary provider detects the source language and leaves links and unknown words alone', async () => {
+  const provider = createLocalDictionaryTranslationProvider();
+
+  assert.deepEqual(
+    await provider.translate({ text: 'Hallo! Der Reisebus ist heute spät: https://example.com/hotel', targetLocale: 'en' }),
+    { text: 'Hello! Der Coach ist today late: https://example.com/hotel', sourceLocale: 'de' },
+  );
+  assert.deepEqual(
+    await provider.translate({ text: 'See you at the LAKE', targetLocale: 'it' }),
+    { text: 'See you at the LAGO', sourceLocale: 'en' },
+  );
+  assert.deepEqual(
+    await provider.translate({ text: 'Grazie!', targetLocale: 'it' }),
+    { text: 'Grazie!', sourceLocale: 'it' },
+  );
+});
+
+test('translateMessage caches per message ID so live snapshot re-renders do not re-request', async () => {
+  const provider = createCountingTranslationProvider();
+  const previousProvider = getTranslationProvider();
+  setTranslationProvider(provider);
+  try {
+    const message = { id: 'msg-translate-1', text: 'Merci, le car est prêt' };
+    const [first, concurrent] = await Promise.all([
+      translateMessage(message, 'en-GB'),
+      translateMessage({ ...message }, 'en'),
+    ]);
+    const repeat = await translateMessage({ ...message, reactions: { '👍': ['user-2'] } }, 'en');
+
+    assert.equal(provider.calls.length, 1);
+    assert.equal(first.success, true);
+    assert.equal(first.translation.text, 'Thanks, le coach est ready');
+    assert.equal(first.translation.sourceLocale, 'fr');
+    assert.equal(first.translation.unchanged, false);
+    assert.deepEqual(concurrent, first);
+    assert.equal(repeat.cached, true);
+    assert.deepEqual(getCachedMessageTranslation(message, 'en'), first.translation);
+
+    await translateMessage(message, 'de');
+    await translateMessage({ ...message, text: 'Merci beaucoup' }, 'en');
+    assert.equal(provider.calls.length, 3);
+    assert.equal(getCachedMessageTranslation(message, 'en'), null);
+  } finally {
+    setTranslationProvider(previousProvider);
+  }
+});
+
+test('translateMessage reports provider failures without caching them', async () => {
+  let attempts = 0;
+  const flakyProvider = {
+    id: 'flaky',
+    translate: async ({ text }) => {
+      attempts += 1;
+      if (attempts === 1) throw new Error('quota exceeded');
+      return { text: `[de] ${text}`, sourceLocale: 'en' };
+    },
+  };
+  clearMessageTranslationCache();
+  const message = { id: 'msg-translate-2', text: 'See you at the coach' };
+
+  const failed = await translateMessage(message, 'de', { provider: flakyProvider });
+  assert.deepEqual(failed, { success: false, error: 'Message could not be translated', translation: null });
+  assert.equal(getCachedMessageTranslation(message, 'de'), null);
+
+  const retried = await translateMessage(message, 'de', { provider: flakyProvider });
+  assert.equal(retried.success, true);
+  assert.equal(retried.translation.text, '[de] See you at the coach');
+  assert.equal(attempts, 2);
+});
+
+test('translateMessage rejects deleted or empty messages and invalid providers', async () => {
+  assert.equal((await translateMessage({ id: 'msg-deleted', text: '', deleted: true }, 'en')).success, false);
+  assert.equal((await translateMessage({ id: 'msg-image', type: 'image', text: '' }, 'en')).success, false);
+  assert.equal((await translateMessage({ id: 'msg-text', text: 'Hola' }, '')).success, false);
+  assert.throws(() => setTranslationProvider({ id: 'broken' }), /must implement translate/);
+});
+
+const POLL_DRIVER = {
+  name: 'Bondy',
+  principalId: 'driver:BONDY',
+  principalType: 'driver',
+  isDriver: true,
+};
+
+const buildPollFixture = (overrides = {}) => ({
+  senderId: 'driver:BONDY',
+  senderStableId: 'driver:BONDY',
+  type: 'poll',
+  text: 'Lunch stop?',
+  poll: { optionCount: 2, options: { o1: 'Luss', o2: 'Balloch' }, closed: false },
+  pollVotes: {},
+  ...overrides,
+});
+
+test('sendPollMessage is driver-only and writes immutable option slots once', async () => {
+  const passengerResult = await sendPollMessage(
+    'tour-poll',
+    'Lunch stop?',
+    ['Luss', 'Balloch'],
+    { name: 'Sam', principalId: 'passenger-1', stablePassengerId: 'passenger-1', principalType: 'passenger' },
+    createMockRealtimeDb(),
+  );
+  assert.equal(passengerResult.success, false);
+  assert.match(passengerResult.error, /Only the driver/);
+
+  const duplicateResult = await sendPollMessage('tour-poll', 'Lunch stop?', ['Luss', ' luss '], POLL_DRIVER, createMockRealtimeDb());
+  assert.equal(duplicateResult.success, false);
+  assert.match(duplicateResult.error, /different/);
+
+  const tooFewResult = await sendPollMessage('tour-poll', 'Lunch stop?', ['Luss', '  '], POLL_DRIVER, createMockRealtimeDb());
+  assert.equal(tooFewResult.success, false);
+  assert.match(tooFewResult.error, /between 2 and 6/);
+
+  const mockDb = createMockRealtimeDb();
+  const result = await sendPollMessage(
+    'tour-poll',
+    '  Lunch stop?  ',
+    ['Luss', '', 'Balloch', 'Tarbet'],
+    POLL_DRIVER,
+    mockDb,
+    { messageId: 'poll-stable-1' },
+  );
+
+  assert.equal(result.success, true);
+  const writeRef = mockDb.refCalls.find((call) => call.path === 'chats/tour-poll/messages/poll-stable-1');
+  const payload = writeRef.transactionCalls[0].next;
+  assert.equal(payload.type, 'poll');
+  assert.equal(payload.text, 'Lunch stop?');
+  assert.equal(payload.senderStableId, 'driver:BONDY');
+  assert.equal(payload.idempotencyKey, 'poll-stable-1');
+  assert.deepEqual(payload.poll, {
+    optionCount: 3,
+    options: { o1: 'Luss', o2: 'Balloch', o3: 'Tarbet' },
+    closed: false,
+  });
+  assert.equal('pollVotes' in payload, false);
+  assert.deepEqual(result.message.pollVotes, {});
+});
+
+test('votePoll keeps one vote leaf per participant and withdraws with a null option', async () => {
+  const mockDb = createMockRealtimeDb({
+    chats: { 'tour-poll': { messages: { 'poll-1': buildPollFixture() } } },
+  });
+  const votePath = 'chats/tour-poll/messages/poll-1/pollVotes/passenger-1';
+
+  assert.equal((await votePoll('tour-poll', 'poll-1', 'o1', 'passenger-1', mockDb)).success, true);
+  assert.equal((await votePoll('tour-poll', 'poll-1', 'o2', 'passenger-1', mockDb)).success, true);
+  assert.equal((await votePoll('tour-poll', 'poll-1', 'o1', 'passenger-2', mockDb)).success, true);
+  assert.deepEqual(mockDb.data.chats['tour-poll'].messages['poll-1'].pollVotes, {
+    'passenger-1': 'o2',
+    'passenger-2': 'o1',
+  });
+
+  const invalid = await votePoll('tour-poll', 'poll-1', 'o9', 'passenger-1', mockDb);
+  assert.equal(invalid.success, false);
+  assert.equal(invalid.error, 'Invalid poll option');
+
+  assert.equal((await votePoll('tour-poll', 'poll-1', null, 'passenger-1', mockDb)).success, true);
+  const voteRefs = mockDb.refCalls.filter((call) => call.path === votePath);
+  assert.equal(voteRefs.at(-1).removeCalls, 1);
+  assert.deepEqual(mockDb.data.chats['tour-poll'].messages['poll-1'].pollVotes, { 'passenger-2': 'o1' });
+  assert.equal(mockDb.refCalls.some((call) => call.path === 'chats/tour-poll/messages/poll-1'), false);
+});
+
+test('summarizePoll tallies live votes, ignores stray options and resolves the viewer by alias', () => {
+  const summary = summarizePoll(buildPollFixture({
+    pollVotes: {
+      'passenger-1': 'o1',
+      'passenger-2': 'o2',
+      'auth-uid-3': 'o2',
+      'passenger-4': 'o7',
+      'passenger-5': 42,
+    },
+  }), ['passenger-9', 'auth-uid-3']);
+
+  assert.equal(summary.question, 'Lunch stop?');
+  assert.equal(summary.totalVotes, 3);
+  assert.equal(summary.myVote, 'o2');
+  assert.equal(summary.myVoteKey, 'auth-uid-3');
+  assert.deepEqual(summary.options.map(({ id, votes, percent, leading }) => ({ id, votes, percent, leading })), [
+    { id: 'o1', votes: 1, percent: 33, leading: false },
+    { id: 'o2', votes: 2, percent: 67, leading: true },
+  ]);
+  assert.equal(summarizePoll(buildPollFixture()).options.every((option) => !option.leading), true);
+});
+
+test('closePoll is sender-only and the issue log export stays anonymous and within the summary limit', async () => {
+  const mockDb = createMockRealtimeDb({
+    chats: {
+      'tour-poll': {
+        messages: {
+          'poll-1': buildPollFixture({ pollVotes: { 'passenger-1': 'o1', 'passenger-2': 'o1', 'passenger-3': 'o2' } }),
+          'msg-1': { senderId: 'driver:BONDY', senderStableId: 'driver:BONDY', type: 'text', text: 'Hi' },
+        },
+      },
+    },
+  });
+
+  const denied = await closePoll('tour-poll', 'poll-1', 'passenger-1', mockDb);
+  assert.equal(denied.success, false);
+  const notPoll = await closePoll('tour-poll', 'msg-1', 'driver:BONDY', mockDb);
+  assert.equal(notPoll.success, false);
+
+  const closed = await closePoll('tour-poll', 'poll-1', 'driver:BONDY', mockDb);
+  assert.deepEqual(closed, { success: true, alreadyClosed: false });
+  const messageRef = mockDb.refCalls.filter((call) => call.path === 'chats/tour-poll/messages/poll-1').at(-1);
+  assert.deepEqual(messageRef.updateCalls[0], {
+    'poll/closed': true,
+    'poll/closedAt': { '.sv': 'timestamp' },
+  });
+
+  const closedPoll = buildPollFixture({
+    poll: { optionCount: 2, options: { o1: 'Luss', o2: 'Balloch' }, closed: true, closedAt: 1760000000000 },
+    pollVotes: { 'passenger-1': 'o1', 'passenger-2': 'o1', 'passenger-3': 'o2' },
+  });
+  const line = formatPollResultsForIssueLog(closedPoll);
+  assert.equal(line, 'Chat poll (closed): Lunch stop? - Luss 2 (67%), Balloch 1 (33%). 3 votes.');
+  assert.equal(/passenger-/.test(line), false);
+
+  const longLine = formatPollResultsForIssueLog(buildPollFixture({ text: 'Where should we stop '.repeat(20) }));
+  assert.ok(longLine.length <= 240);
+  assert.match(longLine, /Luss 0 \(0%\), Balloch 0 \(0%\)\. 0 votes\.$/);
+});
+
+test('pinMessage stores a self-contained preview, is idempotent and caps the pinned list', async () => {
+  const mockDb = createMockRealtimeDb({
+    chats: {
+      'tour-pins': {
+        pins: {
+          'msg-a': { messageId: 'msg-a', pinnedAt: 1, pinnedBy: 'driver:BONDY', messageType: 'text', previewText: 'A' },
+          'msg-b': { messageId: 'msg-b', pinnedAt: 2, pinnedBy: 'driver:BONDY', messageType: 'text', previewText: 'B' },
+        },
+      },
+    },
+  });
+  const meetingPoint = {
+    id: 'msg-meet',
+    type: 'text',
+    senderName: 'Bondy',
+    text: `  Meet at the pier at 16:30. ${'Bring a jacket. '.repeat(20)}`,
+  };
+
+  const pinned = await pinMessage('tour-pins', meetingPoint, POLL_DRIVER, mockDb);
+  assert.deepEqual(pinned, { success: true, alreadyPinned: false });
+  const pin = mockDb.data.chats['tour-pins'].pins['msg-meet'];
+  assert.equal(pin.messageId, 'msg-meet');
+  assert.equal(pin.pinnedBy, 'driver:BONDY');
+  assert.equal(pin.pinnedByName, 'Bondy');
+  assert.equal(pin.messageType, 'text');
+  assert.equal(pin.previewText.length, 160);
+  assert.ok(pin.previewText.startsWith('Meet at the pier at 16:30.'));
+
+  assert.deepEqual(await pinMessage('tour-pins', meetingPoint, POLL_DRIVER, mockDb), { success: true, alreadyPinned: true });
+
+  const full = await pinMessage('tour-pins', { id: 'msg-d', text: 'Return at 18:00' }, POLL_DRIVER, mockDb);
+  assert.equal(full.success, false);
+  assert.equal(full.limitReached, true);
+
+  const deleted = await pinMessage('tour-pins', { id: 'msg-e', deleted: true, text: '' }, POLL_DRIVER, mockDb);
+  assert.equal(deleted.success, false);
+
+  assert.equal((await unpinMessage('tour-pins', 'msg-a', mockDb)).success, true);
+  assert.deepEqual(Object.keys(mockDb.data.chats['tour-pins'].pins).sort(), ['msg-b', 'msg-meet']);
+});
+
+test('subscribeToPinnedMessages lists newest pins first and drops malformed entries', () => {
+  const mockDb = createMockRealtimeDb({
+    chats: {
+      'tour-pins': {
+        pins: {
+          'msg-old': { messageId: 'msg-old', pinnedAt: 100, pinnedBy: 'driver:BONDY', messageType: 'image', previewText: '' },
+          'msg-new': { messageId: 'msg-new', pinnedAt: 200, pinnedBy: 'driver:BONDY', messageType: 'text', previewText: 'Return 18:00' },
+          'msg-bad': { messageId: 'somewhere-else', pinnedAt: 300 },
+        },
+      },
+    },
+  });
+  let latest = null;
+  const unsubscribe = subscribeToPinnedMessages('tour-pins', (pins) => { latest = pins; }, mockDb);
+
+  assert.deepEqual(latest.map((pin) => pin.messageId), ['msg-new', 'msg-old']);
+  assert.equal(latest[1].messageType, 'image');
+  unsubscribe();
+});
+
+test('deleting a pinned message also clears its pin', async () => {
+  const mockDb = createMockRealtimeDb({
+    chats: {
+      'tour-pins': {
+        messages: { 'msg-1': { senderId: 'driver:BONDY', senderStableId: 'driver:BONDY', type: 'text', text: 'Meet at 9' } },
+        pins: { 'msg-1': { messageId: 'msg-1', pinnedAt: 1, pinnedBy: 'driver:BONDY', messageType: 'text', previewText: 'Meet at 9' } },
+      },
+    },
+  });
+
+  assert.equal((await deleteMessage('tour-pins', 'msg-1', 'driver:BONDY', true, mockDb)).success, true);
+  assert.equal(mockDb.data.chats['tour-pins'].pins?.['msg-1'], undefined);
+});
+
+const buildEditableMessage = (overrides = {}) => ({
+  schemaVersion: 2,
+  senderId: 'passenger-1',
+  senderStableId: 'passenger-1',
+  senderName: 'Alex',
+  senderType: 'passenger',
+  type: 'text',
+  status: 'sent',
+  text: 'Meet at the peir',
+  timestamp: Date.now() - 60_000,
+  ...overrides,
+});
+
+test('editMessage moves the replaced text into editHistory and bumps the version', async () => {
+  const mockDb = createMockRealtimeDb({
+    chats: { 'tour-edit': { messages: { 'msg-1': buildEditableMessage() } } },
+  });
+
+  const result = await editMessage('tour-edit', 'msg-1', '  Meet at the pier ', 'passenger-1', mockDb);
+
+  assert.equal(result.success, true);
+  assert.equal(result.message.text, 'Meet at the pier');
+  assert.equal(getMessageVersion(result.message), 2);
+  const messageRefs = mockDb.refCalls.filter((call) => call.path === 'chats/tour-edit/messages/msg-1');
+  assert.deepEqual(messageRefs[0].updateCalls[0], {
+    text: 'Meet at the pier',
+    editCount: 1,
+    editedAt: { '.sv': 'timestamp' },
+    'editHistory/v1': { text: 'Meet at the peir', replacedAt: { '.sv': 'timestamp' } },
+  });
+});
+
+test('editMessage re-runs moderation and refuses other senders and closed windows', async () => {
+  const mockDb = createMockRealtimeDb({
+    chats: {
+      'tour-edit': {
+        messages: {
+          'msg-1': buildEditableMessage(),
+          'msg-old': buildEditableMessage({ timestamp: Date.now() - CHAT_EDIT_WINDOW_MS - 1000 }),
+          'msg-maxed': buildEditableMessage({ editCount: 5 }),
+        },
+      },
+    },
+  });
+
+  const blocked = await editMessage('tour-edit', 'msg-1', 'This is shit', 'passenger-1', mockDb);
+  assert.equal(blocked.success, false);
+  assert.equal(blocked.code, 'objectionable_content');
+
+  const notOwner = await editMessage('tour-edit', 'msg-1', 'Meet at the pier', 'passenger-2', mockDb);
+  assert.equal(notOwner.success, false);
+
+  const expired = await editMessage('tour-edit', 'msg-old', 'Meet at the pier', 'passenger-1', mockDb);
+  assert.equal(expired.code, 'edit_window_closed');
+
+  const maxed = await editMessage('tour-edit', 'msg-maxed', 'Meet at the pier', 'passenger-1', mockDb);
+  assert.equal(maxed.code, 'edit_window_closed');
+
+  const updates = mockDb.refCalls.flatMap((call) => call.updateCalls);
+  assert.equal(updates.length, 0);
+});
+
+test('canEditMessage and getEditHistory only trust versions covered by editCount', () => {
+  const edited = buildEditableMessage({
+    text: 'Meet at the pier at 9',
+    editCount: 2,
+    editHistory: {
+      v1: { text: 'Meet at the peir', replacedAt: 1000 },
+      v2: { text: 'Meet at the pier', replacedAt: 2000 },
+      v3: { text: 'forged future version', replacedAt: 3000 },
+    },
+  });
+
+  assert.deepEqual(getEditHistory(edited).map((entry) => [entry.version, entry.text]), [
+    [1, 'Meet at the peir'],
+    [2, 'Meet at the pier'],
+  ]);
+  assert.equal(getMessageVersion(edited), 3);
+  assert.equal(canEditMessage(edited, ['passenger-1']), true);
+  assert.equal(canEditMessage(edited, ['passenger-2']), false);
+  assert.equal(canEditMessage({ ...edited, type: 'image' }, ['passenger-1']), false);
+  assert.equal(canEditMessage({ ...edited, deleted: true }, ['passenger-1']), false);
+});
@@ -17,6 +17,7 @@ const {
   fetchTourPhotosPage,
   fetchPrivatePhotosPage,
   subscribeToTourPhotos,
+  subscribeToPhotoHighlights,
   subscribeToPrivatePhotos,
 } = require('../services/photoService');
 
@@ -177,3 +178,21 @@ test('photo subscriptions accept a smaller live limit without changing defaults'
 
   assert.deepEqual(limits, [30, 25]);
 });
+
+test('photo highlights query the most-liked photos rather than the recent window', async () => {
+  const constraints = [];
+
+  subscribeToPhotoHighlights('tour-highlights', () => {}, {
+    realtimeDbInstance: {},
+    dbRefFn: (_db, path) => ({ path }),
+    orderByChildFn: (field) => ({ orderBy: field }),
+    limitToLastFn: (limit) => ({ limit }),
+    queryFn: (ref, ...queryConstraints) => {
+      constraints.push(ref.path, ...queryConstraints);
+      return queryConstraints;
+    },
+    onValueFn: () => () => {},
+  });
+
+  assert.deepEqual(constraints, ['group_tour_photos/tour-highlights', { orderBy: 'likeCount' }, { limit: 30 }]);
+});
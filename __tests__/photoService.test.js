@@ -23,6 +23,7 @@ const {
   deleteGroupPhoto,
   deletePrivatePhoto,
   updatePhotoCaption,
+  setPhotoLike,
   uploadPhotoDirect,
   resolvePrivatePhotoMedia,
 } = require('../services/photoService');
@@ -515,6 +516,160 @@ test('subscribeToPrivatePhotos sanitizes owner scope with invalid key characters
   assert.deepStrictEqual(seenPaths, ['private_tour_photos/tour-A/pax_v1:T123659:msandreayoung@yahoo_2E_co_2E_uk']);
 });
 
+test('uploadPhoto tags group photos with a normalized itinerary stop and never private photos', async () => {
+  const writes = [];
+  const upload = (visibility, itineraryStop) => uploadPhoto('file://stop.jpg', 'tour-9', 'user-9', '', {
+    visibility,
+    itineraryStop,
+    storageInstance: {},
+    realtimeDbInstance: {},
+    storageRefFn: (_storage, path) => ({ path }),
+    uploadBytesFn: async () => {},
+    getDownloadURLFn: async (ref) => `https://example.com/${ref.path}`,
+    dbRefFn: mockDbRef,
+    pushFn: () => ({ key: `photo-${writes.length + 1}` }),
+    setFn: async (_ref, payload) => {
+      writes.push(payload);
+    },
+    serverTimestampFn: () => 9999,
+    fetchFn: async () => ({ ok: true, blob: async () => createMockBlob() }),
+  });
+
+  await upload('group', { dayNumber: 2, stopId: ' agenda-1-glencoe ', label: 'Glencoe viewpoint', extra: true });
+  await upload('group', { dayNumber: 0, stopId: 'agenda-1', label: 'Nowhere' });
+  await upload('private', { dayNumber: 2, stopId: 'agenda-1-glencoe', label: 'Glencoe viewpoint' });
+
+  assert.deepStrictEqual(writes[0].itineraryStop, { dayNumber: 2, stopId: 'agenda-1-glencoe', label: 'Glencoe viewpoint' });
+  assert.ok(!('itineraryStop' in writes[1]));
+  assert.ok(!('itineraryStop' in writes[2]));
+});
+
+test('uploadPhoto stores validated capture time and coarse location on group and private photos', async () => {
+  const writes = [];
+  const upload = (visibility, capture) => uploadPhoto('file://capture.jpg', 'tour-9', 'user-9', '', {
+    visibility,
+    ...capture,
+    storageInstance: {},
+    realtimeDbInstance: {},
+    storageRefFn: (_storage, path) => ({ path }),
+    uploadBytesFn: async () => {},
+    getDownloadURLFn: async (ref) => `https://example.com/${ref.path}`,
+    dbRefFn: mockDbRef,
+    pushFn: () => ({ key: `photo-${writes.length + 1}` }),
+    setFn: async (_ref, payload) => {
+      writes.push(payload);
+    },
+    serverTimestampFn: () => 9999,
+    nowFn: () => Date.UTC(2026, 6, 15),
+    fetchFn: async () => ({ ok: true, blob: async () => createMockBlob() }),
+  });
+
+  await upload('group', { capturedAt: Date.UTC(2026, 6, 14, 8), captureLocation: { lat: 56.08461, lng: -4.63122 } });
+  await upload('private', { capturedAt: Date.UTC(2026, 6, 14, 8), captureLocation: null });
+  await upload('group', { capturedAt: 0, captureLocation: { lat: 0, lng: 0 } });
+
+  assert.equal(writes[0].capturedAt, Date.UTC(2026, 6, 14, 8));
+  assert.deepStrictEqual(writes[0].captureLocation, { lat: 56.08, lng: -4.63 });
+  assert.equal(writes[1].capturedAt, Date.UTC(2026, 6, 14, 8));
+  assert.ok(!('captureLocation' in writes[1]));
+  assert.ok(!('capturedAt' in writes[2]));
+  assert.ok(!('captureLocation' in writes[2]));
+});
+
+test('uploadPhoto sends clips resumably to the group album and rejects them for private albums', async () => {
+  const writes = [];
+  const resumableUploads = [];
+  const deps = {
+    storageInstance: {},
+    realtimeDbInstance: {},
+    storageRefFn: (_storage, path) => ({ path }),
+    uploadBytesFn: async () => {
+      throw new Error('clips must use the resumable upload');
+    },
+    uploadBytesResumableFn: (ref, _blob, metadata) => {
+      resumableUploads.push({ path: ref.path, contentType: metadata.contentType });
+      const task = {
+        snapshot: { ref },
+        on: (_event, _next, _error, complete) => setTimeout(complete, 0),
+      };
+      return task;
+    },
+    getDownloadURLFn: async (ref) => `https://example.com/${ref.path}`,
+    dbRefFn: mockDbRef,
+    pushFn: () => ({ key: `clip-${writes.length + 1}` }),
+    setFn: async (_ref, payload) => {
+      writes.push(payload);
+    },
+    serverTimestampFn: () => 9999,
+    fetchFn: async () => ({
+      ok: true,
+      blob: async () => createMockBlob({ type: 'video/quicktime', size: 20 * 1024 * 1024 }),
+    }),
+  };
+
+  await uploadPhoto('file://clip.mov', 'tour-9', 'user-9', 'Falls', { ...deps, durationMs: 12400 });
+
+  assert.deepStrictEqual(resumableUploads, [{ path: writes[0].storagePath, contentType: 'video/quicktime' }]);
+  assert.match(writes[0].storagePath, /^group_tour_photos\/tour-9\/.+\.mov$/);
+  assert.equal(writes[0].mediaType, 'video');
+  assert.equal(writes[0].durationMs, 12400);
+  assert.equal(writes[0].variantStatus, 'processing');
+
+  await assert.rejects(
+    uploadPhoto('file://clip.mov', 'tour-9', 'user-9', '', { ...deps, visibility: 'private', durationMs: 12400 }),
+    /only be shared to the group album/
+  );
+  await assert.rejects(
+    uploadPhoto('file://clip.mov', 'tour-9', 'user-9', '', {
+      ...deps,
+      durationMs: 12400,
+      fetchFn: async () => ({ ok: true, blob: async () => createMockBlob({ type: 'video/mp4', size: 60 * 1024 * 1024 }) }),
+    }),
+    /Video size exceeds maximum of 50MB/
+  );
+  assert.equal(writes.length, 1);
+});
+
+test('fetchTourPhotosPage keeps valid itinerary stop tags and drops malformed ones', async () => {
+  const result = await fetchTourPhotosPage({ tourId: 'tour-1', limit: 5 }, {
+    realtimeDbInstance: {},
+    dbRefFn: mockDbRef,
+    queryFn: (...args) => ({ args }),
+    orderByChildFn: () => 'timestamp',
+    limitToLastFn: (value) => value,
+    endAtFn: (value) => value,
+    getFn: async () => mockSnapshot({
+      tagged: { timestamp: 20, itineraryStop: { dayNumber: 1, stopId: 'luss', label: 'Luss' } },
+      broken: { timestamp: 10, itineraryStop: { dayNumber: 'soon', stopId: 'luss' } },
+    }),
+  });
+
+  const byId = Object.fromEntries(result.items.map((item) => [item.id, item]));
+  assert.deepStrictEqual(byId.tagged.itineraryStop, { dayNumber: 1, stopId: 'luss', label: 'Luss' });
+  assert.ok(!('itineraryStop' in byId.broken));
+});
+
+test('fetchTourPhotosPage keeps only true likes and exposes a like count', async () => {
+  const result = await fetchTourPhotosPage({ tourId: 'tour-1', limit: 5 }, {
+    realtimeDbInstance: {},
+    dbRefFn: mockDbRef,
+    queryFn: (...args) => ({ args }),
+    orderByChildFn: () => 'timestamp',
+    limitToLastFn: (value) => value,
+    endAtFn: (value) => value,
+    getFn: async () => mockSnapshot({
+      loved: { timestamp: 20, likes: { 'passenger-1': true, 'passenger-2': true, 'passenger-3': 'yes' } },
+      plain: { timestamp: 10, likes: 'broken' },
+    }),
+  });
+
+  const byId = Object.fromEntries(result.items.map((item) => [item.id, item]));
+  assert.deepStrictEqual(byId.loved.likes, { 'passenger-1': true, 'passenger-2': true });
+  assert.strictEqual(byId.loved.likeCount, 2);
+  assert.ok(!('likes' in byId.plain));
+  assert.strictEqual(byId.plain.likeCount, 0);
+});
+
 test('fetchTourPhotosPage returns bounded page with cursor and hasMore contract', async () => {
   const queryCalls = [];
 
@@ -735,6 +890,50 @@ test('uploadPhoto reports progress updates when resumable upload is available',
 });
 
 
+test('uploadPhoto hands queued uploads with a session callback to the chunked uploader', async () => {
+  const blob = createMockBlob();
+  const calls = [];
+  const storedSession = { sessionUri: 'https://upload.example.test/s-1', bytesSent: 100 };
+  const onUploadSession = async () => {};
+
+  await uploadPhoto('file://queued.jpg', 'tour-q', 'user-q', '', {
+    storageInstance: { app: { options: { storageBucket: 'demo-bucket' } } },
+    realtimeDbInstance: {},
+    authInstance: { currentUser: { uid: 'user-q', getIdToken: async () => 'token-q' } },
+    fetchFn: async () => ({ ok: true, blob: async () => blob }),
+    storageRefFn: (_storage, path) => ({ path }),
+    uploadBytesFn: async () => {
+      throw new Error('queued uploads must use the chunked uploader');
+    },
+    uploadBytesResumableFn: () => {
+      throw new Error('queued uploads must use the chunked uploader');
+    },
+    uploadResumableFn: async (params) => {
+      calls.push({ ...params, token: await params.getAuthToken() });
+      return { resumedFromBytes: 100, totalBytes: blob.size };
+    },
+    getDownloadURLFn: async () => 'https://example.com/queued.jpg',
+    dbRefFn: (_db, path) => ({ path, key: path.split('/').pop() }),
+    queryFn: (ref) => ref,
+    orderByChildFn: () => ({}),
+    equalToFn: () => ({}),
+    limitToFirstFn: () => ({}),
+    getFn: async () => mockSnapshot(null),
+    setFn: async () => {},
+    serverTimestampFn: () => 1,
+    idempotencyKey: 'queue-key-1',
+    uploadSession: storedSession,
+    onUploadSession,
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].bucket, 'demo-bucket');
+  assert.equal(calls[0].storagePath, 'group_tour_photos/tour-q/queue-key-1.jpg');
+  assert.equal(calls[0].session, storedSession);
+  assert.equal(calls[0].onSession, onUploadSession);
+  assert.equal(calls[0].token, 'token-q');
+});
+
 test('updatePhotoCaption falls back to a numeric client timestamp when server timestamp is a placeholder object', async (t) => {
   const originalNow = Date.now;
   Date.now = () => 777;
@@ -793,6 +992,32 @@ test('updatePhotoCaption writes caption edit metadata for group photo', async ()
   assert.deepStrictEqual(result, { success: true });
 });
 
+test('setPhotoLike writes the liker key and clears it on unlike', async () => {
+  const writes = [];
+  const deps = {
+    realtimeDbInstance: {},
+    dbRefFn: mockDbRef,
+    setFn: async (ref, value) => {
+      writes.push([ref.path, value]);
+    },
+  };
+
+  assert.deepStrictEqual(
+    await setPhotoLike({ tourId: 'tour-1', photoId: 'photo-1', likerId: 'passenger-1', liked: true }, deps),
+    { success: true },
+  );
+  await setPhotoLike({ tourId: 'tour-1', photoId: 'photo-1', likerId: 'passenger-1', liked: false }, deps);
+
+  assert.deepStrictEqual(writes, [
+    ['group_tour_photos/tour-1/photo-1/likes/passenger-1', true],
+    ['group_tour_photos/tour-1/photo-1/likes/passenger-1', null],
+  ]);
+  await assert.rejects(
+    () => setPhotoLike({ tourId: 'tour-1', photoId: 'photo-1', likerId: '', liked: true }, deps),
+    /Invalid user ID/,
+  );
+});
+
 test('uploadPhoto reuses existing record when idempotency key already exists', async () => {
   const blob = createMockBlob();
   let pushCalls = 0;
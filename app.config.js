@@ -47,7 +47,7 @@ module.exports = {
         NSPhotoLibraryAddUsageDescription:
           'Loch Lomond Travel uses this permission to save tour photos from the app to your photo library.',
         NSCameraUsageDescription:
-          'Loch Lomond Travel uses the camera to capture tour, chat, and private photos you choose to upload.',
+          'Loch Lomond Travel uses the camera to capture tour, chat, and private photos you choose to upload, and for drivers to scan boarding passes.',
         NSLocationWhenInUseUsageDescription:
           'Loch Lomond Travel uses your location for bus finding, meeting points, driver pickup sharing, and optional safety reports or live location sharing.',
         NSAppTransportSecurity: appTransportSecurity,
@@ -109,10 +109,19 @@ module.exports = {
           photosPermission:
             'Loch Lomond Travel uses your photo library to choose and upload tour, chat, and private photos in the app.',
           cameraPermission:
-            'Loch Lomond Travel uses the camera to capture tour, chat, and private photos you choose to upload.',
+            'Loch Lomond Travel uses the camera to capture tour, chat, and private photos you choose to upload, and for drivers to scan boarding passes.',
           microphonePermission: false,
         },
       ],
+      [
+        'expo-camera',
+        {
+          cameraPermission:
+            'Loch Lomond Travel uses the camera to capture tour, chat, and private photos you choose to upload, and for drivers to scan boarding passes.',
+          microphonePermission: false,
+          recordAudioAndroid: false,
+        },
+      ],
       [
         'expo-media-library',
         {
@@ -0,0 +1,112 @@
+import React, { memo, useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import useI18n from '../hooks/useI18n';
+import { COLORS, RADIUS, SPACING } from '../theme';
+
+// The camera keeps reporting the same code while it stays in frame; ignore a
+// repeat of the last pass for this long so one pass is boarded once.
+const REPEAT_SCAN_WINDOW_MS = 4000;
+
+const RESULT_TINTS = {
+  success: { background: COLORS.successLight, text: COLORS.success, icon: 'check-circle' },
+  warning: { background: COLORS.warningLight, text: COLORS.warningDark || '#92400E', icon: 'alert-circle' },
+  error: { background: COLORS.errorLight, text: COLORS.error, icon: 'close-circle' },
+};
+
+// `onScan` resolves to `{ variant, messageKey, messageParams }`, or a ready
+// `message` for copy that already comes translated.
+const BoardingPassScanner = ({ visible, onClose, onScan }) => {
+  const { t } = useI18n();
+  const [permission, requestPermission] = useCameraPermissions();
+  const [busy, setBusy] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const lastScanRef = useRef({ data: null, atMs: 0 });
+  const busyRef = useRef(false);
+
+  useEffect(() => {
+    if (!visible) {
+      setLastResult(null);
+      lastScanRef.current = { data: null, atMs: 0 };
+    }
+  }, [visible]);
+
+  const handleBarcodeScanned = async ({ data }) => {
+    const nowMs = Date.now();
+    if (busyRef.current) return;
+    if (lastScanRef.current.data === data && nowMs - lastScanRef.current.atMs < REPEAT_SCAN_WINDOW_MS) return;
+    lastScanRef.current = { data, atMs: nowMs };
+    busyRef.current = true;
+    setBusy(true);
+    try {
+      setLastResult(await onScan(data));
+    } finally {
+      busyRef.current = false;
+      setBusy(false);
+    }
+  };
+
+  const tint = RESULT_TINTS[lastResult?.variant] || RESULT_TINTS.error;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('boardingPassScanner.title')}</Text>
+          <TouchableOpacity onPress={onClose} style={styles.close} accessibilityRole="button" accessibilityLabel={t('boardingPassScanner.closeA11y')}>
+            <MaterialCommunityIcons name="close" size={22} color={COLORS.white} />
+          </TouchableOpacity>
+        </View>
+
+        {permission?.granted ? (
+          <CameraView
+            style={styles.camera}
+            facing="back"
+            barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+            onBarcodeScanned={visible ? handleBarcodeScanned : undefined}
+          />
+        ) : (
+          <View style={styles.permission}>
+            <Text style={styles.permissionText}>{t('boardingPassScanner.permissionMessage')}</Text>
+            <TouchableOpacity onPress={requestPermission} style={styles.permissionButton} accessibilityRole="button">
+              <Text style={styles.permissionButtonText}>{t('boardingPassScanner.allowCamera')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={styles.footer}>
+          {busy ? <ActivityIndicator color={COLORS.white} /> : null}
+          {!busy && lastResult ? (
+            <View style={[styles.result, { backgroundColor: tint.background }]} accessibilityLiveRegion="polite">
+              <MaterialCommunityIcons name={tint.icon} size={20} color={tint.text} />
+              <Text style={[styles.resultText, { color: tint.text }]}>
+                {lastResult.messageKey ? t(lastResult.messageKey, lastResult.messageParams) : lastResult.message}
+              </Text>
+            </View>
+          ) : null}
+          {!busy && !lastResult ? <Text style={styles.hint}>{t('boardingPassScanner.hint')}</Text> : null}
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+export default memo(BoardingPassScanner);
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: COLORS.textPrimary },
+  header: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', padding: SPACING.md },
+  title: { color: COLORS.white, fontSize: 17, fontWeight: '800' },
+  close: { padding: SPACING.xs },
+  camera: { flex: 1 },
+  permission: { flex: 1, alignItems: 'center', justifyContent: 'center', padding: SPACING.lg },
+  permissionText: { color: COLORS.white, fontSize: 14, lineHeight: 20, textAlign: 'center' },
+  permissionButton: { marginTop: SPACING.md, backgroundColor: COLORS.primary, paddingHorizontal: 18, paddingVertical: 10, borderRadius: RADIUS.md },
+  permissionButtonText: { color: COLORS.white, fontSize: 14, fontWeight: '800' },
+  footer: { minHeight: 88, padding: SPACING.md, justifyContent: 'center' },
+  result: { flexDirection: 'row', alignItems: 'center', gap: SPACING.sm, padding: SPACING.md, borderRadius: RADIUS.lg },
+  resultText: { flex: 1, fontSize: 14, fontWeight: '700' },
+  hint: { color: COLORS.white, fontSize: 13, textAlign: 'center' },
+});
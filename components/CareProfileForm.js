@@ -0,0 +1,161 @@
+import React from 'react';
+import { StyleSheet, Switch, Text, TextInput, View } from 'react-native';
+import {
+  CARE_MOBILITY_LABELS,
+  CARE_MOBILITY_NEEDS,
+  MAX_CARE_TEXT_LENGTH,
+} from '../services/careProfileService';
+import { COLORS, FONT_WEIGHT, RADIUS, SPACING } from '../theme';
+
+const Field = ({ label, value, onChangeText, disabled, maxLength = MAX_CARE_TEXT_LENGTH, multiline = true, ...inputProps }) => (
+  <View style={styles.field}>
+    <Text style={styles.label}>{label}</Text>
+    <TextInput
+      style={[styles.input, multiline && styles.inputMultiline]}
+      value={value}
+      onChangeText={onChangeText}
+      editable={!disabled}
+      maxLength={maxLength}
+      multiline={multiline}
+      accessibilityLabel={label}
+      placeholderTextColor={COLORS.textMuted}
+      {...inputProps}
+    />
+  </View>
+);
+
+/**
+ * Controlled form for the medical and accessibility profile in
+ * careProfileService's form shape. Saving and consent stay with the screen.
+ */
+export default function CareProfileForm({ value, onChange, disabled = false }) {
+  const update = (patch) => onChange({ ...value, ...patch });
+  const toggleNeed = (need) => update({
+    mobility: value.mobility.includes(need)
+      ? value.mobility.filter((item) => item !== need)
+      : [...value.mobility, need],
+  });
+
+  return (
+    <View style={styles.form}>
+      <Field
+        label="Who is this for? (optional)"
+        placeholder="Name as on the booking"
+        value={value.passengerName}
+        onChangeText={(passengerName) => update({ passengerName })}
+        disabled={disabled}
+        maxLength={80}
+        multiline={false}
+      />
+
+      <Text style={styles.label}>Mobility</Text>
+      {CARE_MOBILITY_NEEDS.map((need) => (
+        <View key={need} style={styles.switchRow}>
+          <Text style={styles.switchLabel}>{CARE_MOBILITY_LABELS[need]}</Text>
+          <Switch
+            value={value.mobility.includes(need)}
+            onValueChange={() => toggleNeed(need)}
+            disabled={disabled}
+            trackColor={{ true: COLORS.primary }}
+            accessibilityLabel={CARE_MOBILITY_LABELS[need]}
+          />
+        </View>
+      ))}
+      <Field
+        label="Anything else about getting around"
+        placeholder="For example: folding wheelchair, cannot manage the coach steps"
+        value={value.mobilityNotes}
+        onChangeText={(mobilityNotes) => update({ mobilityNotes })}
+        disabled={disabled}
+      />
+      <Field
+        label="Allergies"
+        placeholder="For example: peanuts (carries an adrenaline pen)"
+        value={value.allergies}
+        onChangeText={(allergies) => update({ allergies })}
+        disabled={disabled}
+      />
+      <Field
+        label="Medications"
+        placeholder="Only what your driver should know in an emergency"
+        value={value.medications}
+        onChangeText={(medications) => update({ medications })}
+        disabled={disabled}
+      />
+
+      <Text style={styles.label}>Emergency contact</Text>
+      <View style={styles.contactRow}>
+        <TextInput
+          style={[styles.input, styles.contactInput]}
+          value={value.emergencyContact.name}
+          onChangeText={(name) => update({ emergencyContact: { ...value.emergencyContact, name } })}
+          editable={!disabled}
+          maxLength={80}
+          placeholder="Name"
+          placeholderTextColor={COLORS.textMuted}
+          accessibilityLabel="Emergency contact name"
+        />
+        <TextInput
+          style={[styles.input, styles.contactInput]}
+          value={value.emergencyContact.phone}
+          onChangeText={(phone) => update({ emergencyContact: { ...value.emergencyContact, phone } })}
+          editable={!disabled}
+          maxLength={40}
+          keyboardType="phone-pad"
+          placeholder="Phone"
+          placeholderTextColor={COLORS.textMuted}
+          accessibilityLabel="Emergency contact phone"
+        />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  form: {
+    borderRadius: RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    padding: SPACING.md,
+    backgroundColor: COLORS.white,
+    gap: SPACING.sm,
+  },
+  field: {
+    gap: SPACING.xs,
+  },
+  label: {
+    color: COLORS.textPrimary,
+    fontSize: 13,
+    fontWeight: FONT_WEIGHT.bold,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: RADIUS.sm,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.sm,
+    color: COLORS.textPrimary,
+    fontSize: 14,
+  },
+  inputMultiline: {
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  switchLabel: {
+    flex: 1,
+    color: COLORS.textSecondary,
+    fontSize: 14,
+  },
+  contactRow: {
+    flexDirection: 'row',
+    gap: SPACING.sm,
+  },
+  contactInput: {
+    flex: 1,
+  },
+});
@@ -0,0 +1,68 @@
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import { describeCareProfile } from '../services/careProfileService';
+import { COLORS as THEME, SPACING, RADIUS, FONT_WEIGHT } from '../theme';
+
+/**
+ * Medical and accessibility notes passengers chose to share with their
+ * driver. `fallbackName` labels a profile that does not name its passenger.
+ */
+export default function CareProfileNotes({ profiles, fallbackName = 'Passenger', style }) {
+  const described = (Array.isArray(profiles) ? profiles : [])
+    .map(describeCareProfile)
+    .filter((profile) => profile.lines.length > 0);
+  if (described.length === 0) return null;
+
+  return (
+    <View style={[styles.container, style]}>
+      {described.map((profile, index) => (
+        <View key={`${profile.passengerName}-${index}`} style={index > 0 ? styles.profileSpaced : null}>
+          <View style={styles.nameRow}>
+            <MaterialCommunityIcons name="medical-bag" size={14} color={THEME.primaryDark} />
+            <Text style={styles.name}>{profile.passengerName || fallbackName}</Text>
+          </View>
+          {profile.lines.map((line) => (
+            <Text key={line.label} style={styles.line}>
+              <Text style={styles.lineLabel}>{line.label}: </Text>
+              {line.text}
+            </Text>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: THEME.primaryMuted,
+    borderRadius: RADIUS.md,
+    borderWidth: 1,
+    borderColor: THEME.border,
+    padding: SPACING.sm,
+  },
+  profileSpaced: {
+    marginTop: SPACING.sm,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+    marginBottom: 2,
+  },
+  name: {
+    fontSize: 13,
+    fontWeight: FONT_WEIGHT.bold,
+    color: THEME.textPrimary,
+  },
+  line: {
+    fontSize: 13,
+    color: THEME.textPrimary,
+    marginTop: 2,
+  },
+  lineLabel: {
+    fontWeight: FONT_WEIGHT.semibold,
+    color: THEME.textSecondary,
+  },
+});
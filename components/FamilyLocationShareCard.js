@@ -0,0 +1,305 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  Share,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import useI18n from '../hooks/useI18n';
+import {
+  DEFAULT_LIVE_LOCATION_SHARE_MINUTES,
+  LIVE_LOCATION_SHARE_DURATIONS_MINUTES,
+  createShare,
+  revokeShare,
+  subscribeToShares,
+} from '../services/liveLocationShareService';
+import { COLORS as THEME, SHADOWS } from '../theme';
+
+const COLORS = {
+  primary: THEME.primary,
+  success: THEME.success,
+  error: THEME.error,
+  white: THEME.white,
+  background: THEME.background,
+  text: THEME.textPrimary,
+  textSecondary: THEME.textSecondary,
+  textMuted: THEME.textMuted,
+  border: THEME.border,
+};
+
+/**
+ * Lets a passenger send family an expiring link to a page that shows their
+ * live position and the coach's. Each link lists the devices that opened it
+ * and can be stopped at any time.
+ */
+export default function FamilyLocationShareCard({ tourId, displayName, isSharingLocation }) {
+  const { t, formatDate } = useI18n();
+  const [shares, setShares] = useState([]);
+  const [durationMinutes, setDurationMinutes] = useState(DEFAULT_LIVE_LOCATION_SHARE_MINUTES);
+  const [creating, setCreating] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => subscribeToShares(setShares), []);
+
+  const handleCreate = useCallback(async () => {
+    setCreating(true);
+    const result = await createShare({ tourId, durationMinutes, displayName });
+    setCreating(false);
+    if (!result.success) {
+      Alert.alert(t('safety.familyShare.createFailedTitle'), result.error);
+      return;
+    }
+    try {
+      await Share.share({
+        message: t('safety.familyShare.shareMessage', {
+          time: formatDate(result.data.expiresAtMs, 'weekdayTime'),
+          url: result.data.shareUrl,
+        }),
+      });
+    } catch {
+      // The link stays listed below; dismissing the share sheet is not an error.
+    }
+  }, [displayName, durationMinutes, formatDate, t, tourId]);
+
+  const handleRevoke = useCallback((shareId) => {
+    Alert.alert(t('safety.familyShare.stopConfirmTitle'), t('safety.familyShare.stopConfirmMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('safety.familyShare.stop'),
+        style: 'destructive',
+        onPress: async () => {
+          setRevokingId(shareId);
+          const result = await revokeShare(shareId);
+          setRevokingId(null);
+          if (!result.success) Alert.alert(t('safety.familyShare.stopFailedTitle'), result.error);
+        },
+      },
+    ]);
+  }, [t]);
+
+  const activeShares = shares.filter((share) => share.active);
+  const endedShares = shares.filter((share) => !share.active).slice(0, 3);
+
+  const renderShare = (share) => (
+    <View key={share.shareId} style={styles.shareRow}>
+      <View style={styles.shareRowHeader}>
+        <View style={[styles.statusDot, { backgroundColor: share.active ? COLORS.success : COLORS.textMuted }]} />
+        <Text style={styles.shareStatus}>
+          {share.active
+            ? t('safety.familyShare.activeUntil', { time: formatDate(share.expiresAtMs, 'weekdayTime') })
+            : share.revokedAtMs
+              ? t('safety.familyShare.stopped')
+              : t('safety.familyShare.ended')}
+        </Text>
+        {share.active && (
+          revokingId === share.shareId ? (
+            <ActivityIndicator size="small" color={COLORS.error} />
+          ) : (
+            <TouchableOpacity
+              onPress={() => handleRevoke(share.shareId)}
+              accessibilityRole="button"
+              accessibilityLabel={t('safety.familyShare.stopA11y')}
+            >
+              <Text style={styles.stopText}>{t('safety.familyShare.stop')}</Text>
+            </TouchableOpacity>
+          )
+        )}
+      </View>
+      <Text style={styles.shareMeta}>
+        {share.openCount > 0
+          ? t('safety.familyShare.opened', { count: share.openCount })
+          : t('safety.familyShare.notOpened')}
+      </Text>
+      {share.viewers.map((viewer) => (
+        <Text key={`${share.shareId}_${viewer.lastOpenedAtMs}_${viewer.device}`} style={styles.viewerText}>
+          {t('safety.familyShare.viewer', {
+            device: viewer.device,
+            time: formatDate(viewer.lastOpenedAtMs, 'dateTime'),
+          })}
+        </Text>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <View style={styles.iconCircle}>
+          <MaterialCommunityIcons name="link-variant" size={22} color={COLORS.primary} />
+        </View>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>{t('safety.familyShare.title')}</Text>
+          <Text style={styles.subtitle}>{t('safety.familyShare.subtitle')}</Text>
+        </View>
+      </View>
+
+      {!isSharingLocation && (
+        <Text style={styles.hint}>{t('safety.familyShare.sharingOffHint')}</Text>
+      )}
+
+      <View style={styles.durationRow} accessibilityRole="radiogroup">
+        {LIVE_LOCATION_SHARE_DURATIONS_MINUTES.map((minutes) => {
+          const selected = minutes === durationMinutes;
+          return (
+            <TouchableOpacity
+              key={minutes}
+              style={[styles.durationChip, selected && styles.durationChipSelected]}
+              onPress={() => setDurationMinutes(minutes)}
+              accessibilityRole="radio"
+              accessibilityState={{ selected }}
+            >
+              <Text style={[styles.durationText, selected && styles.durationTextSelected]}>
+                {t('safety.familyShare.hours', { count: minutes / 60 })}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <TouchableOpacity
+        style={[styles.createButton, (creating || !tourId) && styles.createButtonDisabled]}
+        onPress={handleCreate}
+        disabled={creating || !tourId}
+        accessibilityRole="button"
+      >
+        {creating ? (
+          <ActivityIndicator size="small" color={COLORS.white} />
+        ) : (
+          <>
+            <MaterialCommunityIcons name="share-variant" size={18} color={COLORS.white} />
+            <Text style={styles.createText}>{t('safety.familyShare.create')}</Text>
+          </>
+        )}
+      </TouchableOpacity>
+
+      {activeShares.map(renderShare)}
+      {endedShares.map(renderShare)}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: COLORS.white,
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    ...SHADOWS.md,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  iconCircle: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    backgroundColor: `${COLORS.primary}15`,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  subtitle: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  hint: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 12,
+  },
+  durationRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  durationChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  durationChipSelected: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  durationText: {
+    fontSize: 13,
+    color: COLORS.text,
+  },
+  durationTextSelected: {
+    color: COLORS.white,
+    fontWeight: '600',
+  },
+  createButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.primary,
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginTop: 4,
+  },
+  createButtonDisabled: {
+    opacity: 0.6,
+  },
+  createText: {
+    color: COLORS.white,
+    fontSize: 14,
+    fontWeight: '700',
+    marginLeft: 8,
+  },
+  shareRow: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  shareRowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  shareStatus: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  stopText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: COLORS.error,
+  },
+  shareMeta: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  viewerText: {
+    fontSize: 12,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+});
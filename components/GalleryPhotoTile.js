@@ -1,13 +1,19 @@
 import React from 'react';
-import { Image as RNImage, StyleSheet, TouchableOpacity, View } from 'react-native';
+import { Image as RNImage, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import { Image as ExpoImage } from 'expo-image';
 import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
 import {
   buildPhotoCacheKey,
   resolveThumbnailDisplayUri,
 } from '../services/photoVariantService';
+import { isVideoClip } from '../utils/videoClipLimits';
 import { COLORS } from '../theme';
 
+const formatClipDuration = (durationMs) => {
+  const seconds = Number.isFinite(durationMs) ? Math.max(1, Math.round(durationMs / 1000)) : null;
+  return seconds ? `0:${String(seconds).padStart(2, '0')}` : null;
+};
+
 const GalleryPhotoTile = React.memo(function GalleryPhotoTile({
   photo,
   onPress,
@@ -24,6 +30,8 @@ const GalleryPhotoTile = React.memo(function GalleryPhotoTile({
   const cacheKey = buildPhotoCacheKey(photo, 'thumbnail');
   const source = uri ? (cacheKey ? { uri, cacheKey } : { uri }) : undefined;
   const recyclingKey = cacheKey || uri || photo?.id || photo?.idempotencyKey || 'photo-placeholder';
+  const isClip = isVideoClip(photo);
+  const clipDuration = isClip ? formatClipDuration(photo.durationMs) : null;
 
   return (
     <TouchableOpacity
@@ -55,9 +63,15 @@ const GalleryPhotoTile = React.memo(function GalleryPhotoTile({
         />
       ) : (
         <View style={[styles.placeholder, imageStyle]}>
-          <MaterialCommunityIcons name="image-outline" size={24} color={COLORS.textMuted} />
+          <MaterialCommunityIcons name={isClip ? 'video-outline' : 'image-outline'} size={24} color={COLORS.textMuted} />
         </View>
       )}
+      {isClip ? (
+        <View pointerEvents="none" style={styles.clipBadge}>
+          <MaterialCommunityIcons name="play" size={12} color={COLORS.white} />
+          {clipDuration ? <Text style={styles.clipBadgeText}>{clipDuration}</Text> : null}
+        </View>
+      ) : null}
       {children ? <View pointerEvents="box-none" style={StyleSheet.absoluteFill}>{children}</View> : null}
     </TouchableOpacity>
   );
@@ -79,6 +93,23 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     backgroundColor: COLORS.border,
   },
+  clipBadge: {
+    position: 'absolute',
+    left: 4,
+    bottom: 4,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 4,
+    paddingVertical: 1,
+    borderRadius: 4,
+    backgroundColor: 'rgba(0,0,0,0.55)',
+  },
+  clipBadgeText: {
+    marginLeft: 2,
+    fontSize: 10,
+    fontWeight: '600',
+    color: COLORS.white,
+  },
 });
 
 export default GalleryPhotoTile;
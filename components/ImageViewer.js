@@ -33,15 +33,23 @@ import {
   resolveViewerDisplayUri,
   resolveSaveUri,
   resolveFullQualityUri,
+  resolveVideoPlaybackUri,
   buildNeighborPrefetchUris,
   buildPhotoCacheKey,
 } from '../services/photoVariantService';
+import { isVideoClip } from '../utils/videoClipLimits';
+import VideoClipPlayer from './VideoClipPlayer';
+import PhotoBlurEditor from './PhotoBlurEditor';
 import {
   clampPagerIndex,
   resolvePagerIndexFromOffset,
 } from '../services/imageViewerPagerState';
 import { parseTimestampMs } from '../services/timeUtils';
-import { REPORT_REASON_OPTIONS } from '../services/contentModerationService';
+import {
+  FACE_BLUR_REPORT_REASON,
+  PHOTO_REPORT_REASON_OPTIONS,
+  REPORT_REASON_OPTIONS,
+} from '../services/contentModerationService';
 
 const DEFAULT_VIEWER_WIDTH = 360;
 const DEFAULT_VIEWER_HEIGHT = 640;
@@ -88,6 +96,20 @@ const resolveText = (value, fallback = '') => (
   typeof value === 'string' && value.trim().length > 0 ? value.trim() : fallback
 );
 
+// Clips take taps for their own playback controls, so this page has no
+// chrome toggle.
+const VideoClipPage = React.memo(function VideoClipPage({ photo, pageWidth, pageHeight, active }) {
+  return (
+    <View style={[styles.page, { width: pageWidth, height: pageHeight }]}>
+      <VideoClipPlayer
+        uri={resolveVideoPlaybackUri(photo)}
+        posterUri={resolveViewerDisplayUri(photo)}
+        active={active}
+      />
+    </View>
+  );
+});
+
 const ImageViewerPage = React.memo(function ImageViewerPage({
   photo,
   index,
@@ -247,6 +269,8 @@ export default function ImageViewer({
   canDelete = false,
   currentUserId = null,
   onEditCaption = null,
+  isPhotoLiked = null,
+  onToggleLike = null,
   enablePrefetch = true,
   useExpoImage = true,
 }) {
@@ -269,6 +293,7 @@ export default function ImageViewer({
   const [detailsVisible, setDetailsVisible] = useState(false);
   const [saving, setSaving] = useState(false);
   const [reporting, setReporting] = useState(false);
+  const [faceBlurEditorVisible, setFaceBlurEditorVisible] = useState(false);
   const [editingCaption, setEditingCaption] = useState(false);
   const [draftCaption, setDraftCaption] = useState('');
   const [captionSaving, setCaptionSaving] = useState(false);
@@ -527,9 +552,9 @@ export default function ImageViewer({
       const isLocalFile = photoUri.startsWith('file://');
       const extensionMatch = photoUri.match(/\.([a-zA-Z0-9]+)(?:\?|$)/);
       const normalizedExtension = (extensionMatch?.[1] || 'jpg').toLowerCase();
-      const extension = ['jpg', 'jpeg', 'png', 'heic', 'webp'].includes(normalizedExtension)
+      const extension = ['jpg', 'jpeg', 'png', 'heic', 'webp', 'mp4', 'mov'].includes(normalizedExtension)
         ? normalizedExtension
-        : 'jpg';
+        : (isVideoClip(currentPhoto) ? 'mp4' : 'jpg');
       const filename = `llt_photo_${Date.now()}.${extension}`;
       const fileUri = `${FileSystem.cacheDirectory || FileSystem.documentDirectory}${filename}`;
 
@@ -538,7 +563,7 @@ export default function ImageViewer({
         : (await FileSystem.downloadAsync(photoUri, fileUri)).uri;
 
       await MediaLibrary.saveToLibraryAsync(assetSourceUri);
-      Alert.alert('Saved!', 'Photo has been saved to your device.');
+      Alert.alert('Saved!', `${isVideoClip(currentPhoto) ? 'Clip' : 'Photo'} has been saved to your device.`);
     } catch (error) {
       loggerService.error('ImageViewer', 'Failed to save photo to device', { message: error?.message });
       Alert.alert('Error', 'Could not save the photo. Please try again.');
@@ -577,18 +602,26 @@ export default function ImageViewer({
     && currentPhoto?.id
     && currentPhoto.userId !== currentUserId;
   const canEditCaption = typeof onEditCaption === 'function' && currentPhoto.userId === currentUserId;
+  const canLike = typeof onToggleLike === 'function' && Boolean(currentPhoto?.id);
+  const currentPhotoLiked = canLike && typeof isPhotoLiked === 'function' && isPhotoLiked(currentPhoto);
 
-  const submitReport = async (reason) => {
+  const submitReport = async (reason, details = {}) => {
     if (typeof onReport !== 'function' || !currentPhoto?.id) return;
 
     try {
       setReporting(true);
-      const result = await onReport(currentPhoto, reason);
+      const result = await onReport(currentPhoto, reason, details);
       if (!result?.success) {
         throw new Error(result?.error || 'Report failed');
       }
       setDetailsVisible(false);
-      Alert.alert('Report sent', 'Loch Lomond Travel operations will review this photo.');
+      setFaceBlurEditorVisible(false);
+      Alert.alert(
+        'Report sent',
+        reason === FACE_BLUR_REPORT_REASON
+          ? 'Loch Lomond Travel operations will blur your face in this photo.'
+          : 'Loch Lomond Travel operations will review this photo.',
+      );
     } catch (error) {
       loggerService.warn('ImageViewer', 'Photo report failed', { message: error?.message });
       Alert.alert('Report failed', 'Please try again or contact support.');
@@ -602,9 +635,12 @@ export default function ImageViewer({
       'Report photo',
       'Send this photo to Loch Lomond Travel operations for review.',
       [
-        ...REPORT_REASON_OPTIONS.map((option) => ({
+        // Clips cannot be blurred, so they keep the shared reasons.
+        ...(isVideoClip(currentPhoto) ? REPORT_REASON_OPTIONS : PHOTO_REPORT_REASON_OPTIONS).map((option) => ({
           text: option.label,
-          onPress: () => submitReport(option.key),
+          onPress: () => (option.key === FACE_BLUR_REPORT_REASON
+            ? setFaceBlurEditorVisible(true)
+            : submitReport(option.key)),
         })),
         { text: 'Cancel', style: 'cancel' },
       ],
@@ -631,7 +667,14 @@ export default function ImageViewer({
     }
   };
 
-  const renderPhotoPage = useCallback(({ item, index }) => (
+  const renderPhotoPage = useCallback(({ item, index }) => (isVideoClip(item) ? (
+    <VideoClipPage
+      photo={item}
+      pageWidth={runtimeWidth}
+      pageHeight={runtimeHeight}
+      active={visible && index === currentIndex}
+    />
+  ) : (
     <ImageViewerPage
       photo={item}
       index={index}
@@ -641,7 +684,12 @@ export default function ImageViewer({
       onToggleChrome={toggleChrome}
       useExpoImage={useExpoImage}
     />
-  ), [fullQualityRequestedByPhotoKey, runtimeHeight, runtimeWidth, toggleChrome, useExpoImage]);
+  )), [currentIndex, fullQualityRequestedByPhotoKey, runtimeHeight, runtimeWidth, toggleChrome, useExpoImage, visible]);
+
+  const pagerExtraData = useMemo(
+    () => ({ currentIndex, fullQualityRequestedByPhotoKey }),
+    [currentIndex, fullQualityRequestedByPhotoKey]
+  );
 
   const keyExtractor = useCallback((item, index) => `${getPhotoKey(item, index)}:${index}`, []);
 
@@ -706,7 +754,7 @@ export default function ImageViewer({
           maxToRenderPerBatch={3}
           windowSize={5}
           removeClippedSubviews={false}
-          extraData={fullQualityRequestedByPhotoKey}
+          extraData={pagerExtraData}
           style={styles.pager}
         />
 
@@ -757,6 +805,20 @@ export default function ImageViewer({
               accessibilityLabel="Share photo"
             />
 
+            {canLike && (
+              <ViewerIconButton
+                icon={currentPhotoLiked ? 'heart' : 'heart-outline'}
+                onPress={() => onToggleLike(currentPhoto)}
+                accessibilityLabel={currentPhotoLiked ? 'Unlike photo' : 'Like photo'}
+              >
+                <MaterialCommunityIcons
+                  name={currentPhotoLiked ? 'heart' : 'heart-outline'}
+                  size={24}
+                  color={currentPhotoLiked ? COLORS.error : COLORS.white}
+                />
+              </ViewerIconButton>
+            )}
+
             <ViewerIconButton
               icon="download"
               onPress={handleSaveToDevice}
@@ -841,10 +903,20 @@ export default function ImageViewer({
               <MaterialCommunityIcons name="calendar" size={20} color={COLORS.textSecondary} />
               <View style={styles.detailTextGroup}>
                 <Text style={styles.detailLabel}>Taken</Text>
-                <Text style={styles.detailValue}>{formatDate(currentPhoto.timestamp)}</Text>
+                <Text style={styles.detailValue}>{formatDate(currentPhoto.capturedAt ?? currentPhoto.timestamp)}</Text>
               </View>
             </View>
 
+            {currentPhoto.likeCount > 0 && (
+              <View style={styles.detailRow}>
+                <MaterialCommunityIcons name="heart" size={20} color={COLORS.textSecondary} />
+                <View style={styles.detailTextGroup}>
+                  <Text style={styles.detailLabel}>Likes</Text>
+                  <Text style={styles.detailValue}>{currentPhoto.likeCount}</Text>
+                </View>
+              </View>
+            )}
+
             {showUploaderInfo && currentUploaderName && (
               <View style={styles.detailRow}>
                 <MaterialCommunityIcons name="account" size={20} color={COLORS.textSecondary} />
@@ -943,6 +1015,17 @@ export default function ImageViewer({
           </View>
         </View>
       </Modal>
+
+      <PhotoBlurEditor
+        visible={faceBlurEditorVisible}
+        imageUri={currentViewerUri}
+        title="Blur my face"
+        hint="Tap your face so moderators know where to blur. You can also send the request without marking."
+        confirmLabel="Send request"
+        busy={reporting}
+        onCancel={() => setFaceBlurEditorVisible(false)}
+        onConfirm={(regions) => submitReport(FACE_BLUR_REPORT_REASON, { blurRegions: regions })}
+      />
     </Modal>
   );
 }
@@ -9,6 +9,7 @@ import {
   SHADOWS,
   FONT_WEIGHT,
 } from '../theme';
+import { describeCareProfile } from '../services/careProfileService';
 
 const STATUS_COLORS = {
   PENDING: THEME_STATUS.pending.main,
@@ -70,13 +71,15 @@ export default function ManifestBookingCard({ booking, onPress, isSearchResult,
   const otherNames = booking.passengerNames?.slice(1).join(', ');
   const pickupTimeLabel = booking.pickupTime || 'TBA';
   const pickupLocationLabel = booking.pickupLocation || 'Pickup location unavailable';
+  const careTags = [...new Set((booking.careProfiles || []).flatMap((profile) => describeCareProfile(profile).tags))];
+  const careLabel = careTags.length ? careTags.join(' · ') : (booking.careProfiles?.length ? 'Emergency contact' : '');
 
   return (
     <TouchableOpacity
       style={[styles.card, { borderLeftColor: color }]}
       onPress={onPress}
       activeOpacity={0.7}
-      accessibilityLabel={`Booking ${booking.id}. ${status.replace('_', ' ')}. ${passengerCount} passengers.`}
+      accessibilityLabel={`Booking ${booking.id}. ${status.replace('_', ' ')}. ${passengerCount} passengers.${careLabel ? ` Care needs: ${careLabel}.` : ''}`}
       accessibilityHint="Opens boarding controls for this booking."
     >
       <View style={styles.headerRow}>
@@ -126,6 +129,15 @@ export default function ManifestBookingCard({ booking, onPress, isSearchResult,
                 </Text>
               </View>
             ) : null}
+
+            {careLabel ? (
+              <View style={[styles.metaChip, styles.careChip]}>
+                <MaterialCommunityIcons name="medical-bag" size={13} color={THEME.primaryDark} />
+                <Text style={[styles.metaChipText, styles.careChipText]} numberOfLines={1}>
+                  {careLabel}
+                </Text>
+              </View>
+            ) : null}
           </View>
         </View>
 
@@ -247,6 +259,13 @@ const styles = StyleSheet.create({
     color: THEME.textSecondary,
     maxWidth: 220,
   },
+  careChip: {
+    backgroundColor: THEME.primaryMuted,
+  },
+  careChipText: {
+    color: THEME.primaryDark,
+    fontWeight: FONT_WEIGHT.semibold,
+  },
   paxCounter: {
     alignItems: 'center',
     justifyContent: 'center',
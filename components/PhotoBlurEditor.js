@@ -0,0 +1,270 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  Modal,
+  Pressable,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Image as ExpoImage } from 'expo-image';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import {
+  BLUR_REGION_SIZES,
+  DEFAULT_BLUR_REGION_SIZE,
+  MAX_BLUR_REGIONS,
+  normalizeBlurRegions,
+  toggleBlurRegionAt,
+} from '../utils/photoBlurRegions';
+import { COLORS, RADIUS, SPACING } from '../theme';
+
+const SIZE_LABELS = { small: 'Small', medium: 'Medium', large: 'Large' };
+
+// Where a contain-fitted image sits inside its frame.
+const resolveFittedRect = (frame, image) => {
+  if (!frame || !(image?.width > 0) || !(image?.height > 0)) return null;
+  const scale = Math.min(frame.width / image.width, frame.height / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+  return { left: (frame.width - width) / 2, top: (frame.height - height) / 2, width, height };
+};
+
+/**
+ * Full-screen editor for marking faces on a photo. Each tap drops a square
+ * over the spot, and tapping a square removes it. The editor only collects
+ * regions; the caller decides whether to blur them on the device or send
+ * them to moderators.
+ */
+export default function PhotoBlurEditor({
+  visible,
+  imageUri,
+  imageWidth = null,
+  imageHeight = null,
+  initialRegions = null,
+  title = 'Blur faces',
+  hint = 'Tap each face to blur it. Tap a square again to remove it.',
+  confirmLabel = 'Apply',
+  allowEmpty = true,
+  busy = false,
+  onCancel,
+  onConfirm,
+}) {
+  const [regions, setRegions] = useState([]);
+  const [size, setSize] = useState(DEFAULT_BLUR_REGION_SIZE);
+  const [frame, setFrame] = useState(null);
+  const [loadedSize, setLoadedSize] = useState(null);
+
+  // Seeded once per opening, so a parent re-render never wipes the marks.
+  useEffect(() => {
+    if (visible) {
+      setRegions(normalizeBlurRegions(initialRegions));
+      setLoadedSize(null);
+    }
+  }, [visible]);
+
+  const imageSize = useMemo(() => (
+    loadedSize || (imageWidth > 0 && imageHeight > 0 ? { width: imageWidth, height: imageHeight } : null)
+  ), [loadedSize, imageWidth, imageHeight]);
+  const fitted = useMemo(() => resolveFittedRect(frame, imageSize), [frame, imageSize]);
+  const atLimit = regions.length >= MAX_BLUR_REGIONS;
+
+  const handleImagePress = (event) => {
+    if (busy || !fitted || !imageSize) return;
+    const { locationX, locationY } = event.nativeEvent;
+    setRegions((current) => toggleBlurRegionAt(
+      current,
+      { x: locationX / fitted.width, y: locationY / fitted.height },
+      { imageWidth: imageSize.width, imageHeight: imageSize.height, size },
+    ));
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={busy ? undefined : onCancel}>
+      <SafeAreaView style={styles.container} edges={['top', 'bottom']}>
+        <View style={styles.header}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.hint}>{atLimit ? `You can mark up to ${MAX_BLUR_REGIONS} areas.` : hint}</Text>
+        </View>
+
+        <View style={styles.frame} onLayout={(event) => setFrame(event.nativeEvent.layout)}>
+          {imageUri ? (
+            <ExpoImage
+              source={{ uri: imageUri }}
+              style={StyleSheet.absoluteFill}
+              contentFit="contain"
+              onLoad={(event) => {
+                const { width, height } = event?.source || {};
+                if (width > 0 && height > 0) setLoadedSize({ width, height });
+              }}
+            />
+          ) : null}
+          {fitted ? (
+            <Pressable
+              style={[styles.touchLayer, fitted]}
+              onPress={handleImagePress}
+              accessibilityRole="adjustable"
+              accessibilityLabel={`Photo. ${regions.length} ${regions.length === 1 ? 'area' : 'areas'} marked for blurring`}
+            >
+              {regions.map((region) => (
+                <View
+                  key={`${region.x}:${region.y}`}
+                  pointerEvents="none"
+                  style={[styles.region, {
+                    left: region.x * fitted.width,
+                    top: region.y * fitted.height,
+                    width: region.width * fitted.width,
+                    height: region.height * fitted.height,
+                  }]}
+                >
+                  <MaterialCommunityIcons name="blur" size={18} color={COLORS.white} />
+                </View>
+              ))}
+            </Pressable>
+          ) : (
+            <ActivityIndicator style={styles.loader} color={COLORS.white} />
+          )}
+        </View>
+
+        <View style={styles.sizeRow}>
+          {Object.keys(BLUR_REGION_SIZES).map((key) => {
+            const selected = key === size;
+            return (
+              <TouchableOpacity
+                key={key}
+                style={[styles.sizeChip, selected && styles.sizeChipActive]}
+                onPress={() => setSize(key)}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+              >
+                <Text style={[styles.sizeChipText, selected && styles.sizeChipTextActive]}>{SIZE_LABELS[key]}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.secondaryButton} onPress={onCancel} disabled={busy}>
+            <Text style={styles.secondaryButtonText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => setRegions([])}
+            disabled={busy || regions.length === 0}
+          >
+            <Text style={[styles.secondaryButtonText, regions.length === 0 && styles.disabledText]}>Clear</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.primaryButton, (busy || (!allowEmpty && regions.length === 0)) && styles.primaryButtonDisabled]}
+            onPress={() => onConfirm(regions)}
+            disabled={busy || (!allowEmpty && regions.length === 0)}
+          >
+            {busy ? <ActivityIndicator size="small" color={COLORS.white} /> : null}
+            <Text style={styles.primaryButtonText}>{confirmLabel}</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  header: {
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.md,
+  },
+  title: {
+    color: COLORS.white,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  hint: {
+    color: 'rgba(255,255,255,0.75)',
+    fontSize: 13,
+    marginTop: 4,
+  },
+  frame: {
+    flex: 1,
+  },
+  touchLayer: {
+    position: 'absolute',
+  },
+  loader: {
+    flex: 1,
+  },
+  region: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: COLORS.white,
+    borderRadius: RADIUS.sm,
+    backgroundColor: 'rgba(15, 23, 42, 0.55)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sizeRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: SPACING.sm,
+    paddingTop: SPACING.md,
+  },
+  sizeChip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: 6,
+    borderRadius: RADIUS.full,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.4)',
+  },
+  sizeChipActive: {
+    backgroundColor: COLORS.white,
+    borderColor: COLORS.white,
+  },
+  sizeChipText: {
+    color: COLORS.white,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  sizeChipTextActive: {
+    color: COLORS.textPrimary,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    padding: SPACING.lg,
+  },
+  secondaryButton: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.md,
+  },
+  secondaryButtonText: {
+    color: COLORS.white,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  disabledText: {
+    opacity: 0.4,
+  },
+  primaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: SPACING.sm,
+    backgroundColor: COLORS.primary,
+    borderRadius: RADIUS.md,
+    paddingVertical: SPACING.md,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: COLORS.white,
+    fontSize: 15,
+    fontWeight: '700',
+  },
+});
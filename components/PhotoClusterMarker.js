@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { Image, StyleSheet, Text, View } from 'react-native';
+import { Marker } from 'react-native-maps';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import { COLORS, FONT_WEIGHT } from '../theme';
+
+const MARKER_SIZE = 44;
+
+// One cluster from clusterPhotosForMap. `thumbnailUri` is a local file from
+// useMapPhotoThumbnails; until it arrives the marker shows a camera icon.
+// The marker keeps redrawing only until its image has loaded.
+export default function PhotoClusterMarker({ cluster, thumbnailUri = null, onPress }) {
+  const [imageLoaded, setImageLoaded] = useState(false);
+  const count = cluster.photos.length;
+
+  useEffect(() => {
+    setImageLoaded(false);
+  }, [thumbnailUri]);
+
+  return (
+    <Marker
+      coordinate={{ latitude: cluster.lat, longitude: cluster.lng }}
+      onPress={() => onPress?.(cluster)}
+      tracksViewChanges={Boolean(thumbnailUri) && !imageLoaded}
+      anchor={{ x: 0.5, y: 0.5 }}
+      accessibilityLabel={count === 1 ? 'Open 1 group photo taken here' : `Open ${count} group photos taken here`}
+    >
+      <View style={styles.frame}>
+        {thumbnailUri ? (
+          <Image
+            source={{ uri: thumbnailUri }}
+            style={styles.thumbnail}
+            onLoad={() => setImageLoaded(true)}
+            onError={() => setImageLoaded(true)}
+          />
+        ) : (
+          <MaterialCommunityIcons name="camera" size={20} color={COLORS.white} />
+        )}
+        {count > 1 ? (
+          <View style={styles.countBadge}>
+            <Text style={styles.countText}>{count > 99 ? '99+' : count}</Text>
+          </View>
+        ) : null}
+      </View>
+    </Marker>
+  );
+}
+
+const styles = StyleSheet.create({
+  frame: {
+    width: MARKER_SIZE,
+    height: MARKER_SIZE,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: COLORS.white,
+    backgroundColor: COLORS.accent,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  thumbnail: {
+    width: MARKER_SIZE - 4,
+    height: MARKER_SIZE - 4,
+    borderRadius: 8,
+  },
+  countBadge: {
+    position: 'absolute',
+    top: -8,
+    right: -8,
+    minWidth: 20,
+    height: 20,
+    paddingHorizontal: 5,
+    borderRadius: 10,
+    backgroundColor: COLORS.primary,
+    borderWidth: 1.5,
+    borderColor: COLORS.white,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  countText: {
+    color: COLORS.white,
+    fontSize: 11,
+    fontWeight: FONT_WEIGHT.bold,
+  },
+});
@@ -0,0 +1,81 @@
+import React from 'react';
+import { ScrollView, StyleSheet, Text, View } from 'react-native';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import GalleryPhotoTile from './GalleryPhotoTile';
+import { COLORS, SPACING, RADIUS, FONT_WEIGHT } from '../theme';
+
+const TILE_SIZE = 112;
+
+// Horizontal "best of the tour" reel. `highlights` comes from
+// rankPhotoHighlights, so each entry carries its photo and like count.
+export default function PhotoHighlightsStrip({ highlights = [], title, likesLabel, onOpen }) {
+  if (highlights.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <MaterialCommunityIcons name="star-shooting" size={20} color={COLORS.primary} />
+        <Text style={styles.title}>{title}</Text>
+      </View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.row}>
+        {highlights.map(({ photo, likeCount }) => (
+          <GalleryPhotoTile
+            key={photo.id}
+            photo={photo}
+            style={styles.tile}
+            onPress={() => onOpen?.(photo)}
+          >
+            <View style={styles.likeBadge} accessibilityLabel={likesLabel?.(likeCount)}>
+              <MaterialCommunityIcons name="heart" size={12} color={COLORS.white} />
+              <Text style={styles.likeCount}>{likeCount}</Text>
+            </View>
+          </GalleryPhotoTile>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: SPACING.lg,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    marginBottom: SPACING.sm,
+    paddingLeft: 4,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: FONT_WEIGHT.bold,
+    color: COLORS.textPrimary,
+  },
+  row: {
+    gap: SPACING.sm,
+    paddingHorizontal: 4,
+  },
+  tile: {
+    width: TILE_SIZE,
+    height: TILE_SIZE,
+    borderRadius: RADIUS.md,
+  },
+  likeBadge: {
+    position: 'absolute',
+    left: 6,
+    bottom: 6,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 3,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: RADIUS.full,
+    backgroundColor: 'rgba(0,0,0,0.55)',
+  },
+  likeCount: {
+    color: COLORS.white,
+    fontSize: 11,
+    fontWeight: FONT_WEIGHT.bold,
+  },
+});
@@ -0,0 +1,159 @@
+import React, { memo, useState } from 'react';
+import {
+  Linking, Modal, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import { COLORS, RADIUS, SPACING } from '../theme';
+
+const formatAge = (updatedAtMs, nowMs) => {
+  if (!updatedAtMs) return 'time unknown';
+  const minutes = Math.max(0, Math.round((nowMs - updatedAtMs) / 60000));
+  return minutes < 1 ? 'just now' : `${minutes} min ago`;
+};
+
+const openLocation = ({ latitude, longitude }) => {
+  const url = Platform.OS === 'ios' ? `maps://?q=${latitude},${longitude}` : `geo:${latitude},${longitude}?q=${latitude},${longitude}`;
+  Linking.openURL(url).catch(() => Linking.openURL(`https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`).catch(() => undefined));
+};
+
+const PassengerRow = ({ entry, location, onToggle, nowMs }) => {
+  const isBack = Boolean(entry.returned);
+  return (
+    <View style={styles.row}>
+      <View style={styles.rowText}>
+        <Text style={styles.rowName}>{entry.name}</Text>
+        <Text style={styles.rowMeta}>
+          Seat {entry.seat} - {entry.bookingRef}
+          {entry.returned?.source === 'passenger' ? ' - confirmed on their phone' : ''}
+        </Text>
+        {!isBack && location ? (
+          <TouchableOpacity
+            onPress={() => openLocation(location)}
+            style={styles.locationLink}
+            accessibilityRole="link"
+            accessibilityLabel={`Open last shared location of ${entry.name}`}
+          >
+            <MaterialCommunityIcons name="map-marker-radius" size={14} color={COLORS.primary} />
+            <Text style={styles.locationText}>Last shared location, {formatAge(location.updatedAtMs, nowMs)}</Text>
+          </TouchableOpacity>
+        ) : null}
+        {!isBack && !location ? <Text style={styles.rowMeta}>Not sharing their location</Text> : null}
+      </View>
+      <TouchableOpacity
+        onPress={() => onToggle(entry.key, !isBack)}
+        style={[styles.toggle, isBack && styles.toggleBack]}
+        accessibilityRole="button"
+        accessibilityLabel={isBack ? `Mark ${entry.name} as not back` : `Mark ${entry.name} as back on the coach`}
+      >
+        <Text style={[styles.toggleText, isBack && styles.toggleTextBack]}>{isBack ? 'Back' : 'Tick back'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const RollCallPanel = ({
+  visible, onClose, rollCall, summary, locations = {}, boardedCount = 0, syncPending, onStart, onToggle, onFinish,
+}) => {
+  const [stopName, setStopName] = useState('');
+  const nowMs = Date.now();
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <View style={styles.headerText}>
+            <Text style={styles.title}>Roll call</Text>
+            {rollCall ? <Text style={styles.subtitle}>{rollCall.stopName}</Text> : null}
+          </View>
+          <TouchableOpacity onPress={onClose} style={styles.close} accessibilityRole="button" accessibilityLabel="Close roll call">
+            <MaterialCommunityIcons name="close" size={22} color={COLORS.white} />
+          </TouchableOpacity>
+        </View>
+
+        {!rollCall ? (
+          <View style={styles.body}>
+            <Text style={styles.lead}>
+              Count everyone back on after a stop. The roll call starts from the {boardedCount} passengers boarded now.
+            </Text>
+            <TextInput
+              value={stopName}
+              onChangeText={setStopName}
+              placeholder="Stop name, e.g. Luss car park"
+              style={styles.input}
+              maxLength={120}
+              accessibilityLabel="Stop name"
+            />
+            <TouchableOpacity
+              onPress={() => onStart(stopName)}
+              style={[styles.primary, boardedCount === 0 && styles.primaryDisabled]}
+              disabled={boardedCount === 0}
+              accessibilityRole="button"
+            >
+              <Text style={styles.primaryText}>Start roll call</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            <View style={styles.counts}>
+              <Text style={styles.countValue}>{summary.returnedCount} / {summary.expectedCount}</Text>
+              <Text style={styles.countLabel}>back on the coach</Text>
+              {syncPending ? <Text style={styles.pending}>Saved on this device - syncing</Text> : null}
+            </View>
+            <ScrollView contentContainerStyle={styles.list}>
+              {summary.missing.length ? <Text style={styles.section}>Missing ({summary.missing.length})</Text> : null}
+              {summary.missing.map((entry) => (
+                <PassengerRow key={entry.key} entry={entry} location={locations[entry.key]} onToggle={onToggle} nowMs={nowMs} />
+              ))}
+              {summary.returned.length ? <Text style={styles.section}>Back ({summary.returned.length})</Text> : null}
+              {summary.returned.map((entry) => (
+                <PassengerRow key={entry.key} entry={entry} onToggle={onToggle} nowMs={nowMs} />
+              ))}
+            </ScrollView>
+            <View style={styles.footer}>
+              <TouchableOpacity onPress={onFinish} style={styles.primary} accessibilityRole="button">
+                <Text style={styles.primaryText}>
+                  {summary.missing.length ? `Depart with ${summary.missing.length} missing` : 'Everyone is back - depart'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+export default memo(RollCallPanel);
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: COLORS.background },
+  header: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', padding: SPACING.md, backgroundColor: COLORS.primaryDark },
+  headerText: { flex: 1 },
+  title: { color: COLORS.white, fontSize: 17, fontWeight: '800' },
+  subtitle: { color: COLORS.white, fontSize: 13, marginTop: 2 },
+  close: { padding: SPACING.xs },
+  body: { padding: SPACING.lg, gap: SPACING.md },
+  lead: { color: COLORS.textPrimary, fontSize: 14, lineHeight: 20 },
+  input: { borderWidth: 1, borderColor: COLORS.border, borderRadius: RADIUS.md, padding: SPACING.md, backgroundColor: COLORS.white, fontSize: 15 },
+  primary: { backgroundColor: COLORS.primary, borderRadius: RADIUS.md, paddingVertical: 12, alignItems: 'center' },
+  primaryDisabled: { opacity: 0.5 },
+  primaryText: { color: COLORS.white, fontSize: 15, fontWeight: '800' },
+  counts: { alignItems: 'center', padding: SPACING.md, borderBottomWidth: 1, borderBottomColor: COLORS.border },
+  countValue: { color: COLORS.textPrimary, fontSize: 28, fontWeight: '800' },
+  countLabel: { color: COLORS.textSecondary, fontSize: 13 },
+  pending: { color: COLORS.warning, fontSize: 12, marginTop: SPACING.xs },
+  list: { padding: SPACING.md, gap: SPACING.sm },
+  section: { color: COLORS.textSecondary, fontSize: 12, fontWeight: '800', textTransform: 'uppercase', marginTop: SPACING.sm },
+  row: { flexDirection: 'row', alignItems: 'center', padding: SPACING.md, borderRadius: RADIUS.lg, backgroundColor: COLORS.white, gap: SPACING.sm },
+  rowText: { flex: 1 },
+  rowName: { color: COLORS.textPrimary, fontSize: 15, fontWeight: '700' },
+  rowMeta: { color: COLORS.textSecondary, fontSize: 12, marginTop: 2 },
+  locationLink: { flexDirection: 'row', alignItems: 'center', gap: 4, marginTop: SPACING.xs },
+  locationText: { color: COLORS.primary, fontSize: 12, fontWeight: '700' },
+  toggle: { paddingHorizontal: 14, paddingVertical: 8, borderRadius: RADIUS.md, borderWidth: 1, borderColor: COLORS.primary },
+  toggleBack: { backgroundColor: COLORS.successLight, borderColor: COLORS.success },
+  toggleText: { color: COLORS.primary, fontSize: 13, fontWeight: '800' },
+  toggleTextBack: { color: COLORS.success },
+  footer: { padding: SPACING.md, borderTopWidth: 1, borderTopColor: COLORS.border },
+});
@@ -0,0 +1,349 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import useI18n from '../hooks/useI18n';
+import {
+  CHECK_IN_DURATIONS_MINUTES,
+  CHECK_IN_GRACE_MS,
+  CHECK_IN_REMINDER_MINUTES,
+  CHECK_IN_SOURCES,
+  CHECK_IN_STATUS,
+  checkInErrorMessageKey,
+  resolveMeetBackTime,
+} from '../services/safetyCheckInService';
+import { COLORS as THEME, SHADOWS } from '../theme';
+
+const COLORS = {
+  primary: THEME.primary,
+  success: THEME.success,
+  warning: THEME.warning,
+  error: THEME.error,
+  white: THEME.white,
+  text: THEME.textPrimary,
+  textSecondary: THEME.textSecondary,
+  textMuted: THEME.textMuted,
+  border: THEME.border,
+};
+
+const CLOCK_REFRESH_MS = 30 * 1000;
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * "Check on me if I'm not back": a timer for free time, suggested from
+ * today's meet-back time. The timer itself lives in useSafetyCheckIn, which
+ * App mounts for the whole passenger session.
+ */
+export default function SafetyCheckInCard({ checkIn: checkInState, tourData }) {
+  const { t, formatDate } = useI18n();
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [durationMinutes, setDurationMinutes] = useState(DEFAULT_DURATION_MINUTES);
+  const [busy, setBusy] = useState(false);
+  const checkIn = checkInState?.checkIn || null;
+
+  useEffect(() => {
+    const interval = setInterval(() => setNowMs(Date.now()), CLOCK_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const meetBack = useMemo(() => resolveMeetBackTime({
+    startDate: tourData?.startDate,
+    itineraryDays: tourData?.itinerary?.days,
+    nowMs,
+  }), [nowMs, tourData?.itinerary?.days, tourData?.startDate]);
+
+  const handleStart = useCallback(async (request) => {
+    setBusy(true);
+    const result = await checkInState.start(request);
+    setBusy(false);
+    if (!result.success) Alert.alert(t('safety.checkIn.startFailedTitle'), t(checkInErrorMessageKey(result.error)));
+  }, [checkInState, t]);
+
+  const handleCancel = useCallback(async () => {
+    setBusy(true);
+    const result = await checkInState.cancel();
+    setBusy(false);
+    if (!result.success) Alert.alert(t('safety.checkIn.stopFailedTitle'), t(checkInErrorMessageKey(result.error)));
+  }, [checkInState, t]);
+
+  const renderRunning = () => {
+    const minutesLeft = Math.max(0, Math.ceil((checkIn.dueAtMs - nowMs) / 60000));
+    const overdue = nowMs >= checkIn.dueAtMs;
+    return (
+      <>
+        <View style={styles.statusRow}>
+          <View style={[styles.statusDot, { backgroundColor: overdue ? COLORS.warning : COLORS.success }]} />
+          <Text style={styles.statusText}>
+            {overdue
+              ? t('safety.checkIn.overdue', { time: formatDate(checkIn.dueAtMs + CHECK_IN_GRACE_MS, 'time') })
+              : t('safety.checkIn.runningUntil', { time: formatDate(checkIn.dueAtMs, 'time') })}
+          </Text>
+          {!overdue && (
+            <Text style={styles.countdown}>{t('safety.checkIn.minutesLeft', { count: minutesLeft })}</Text>
+          )}
+        </View>
+        {checkIn.source === CHECK_IN_SOURCES.ITINERARY && checkIn.label ? (
+          <Text style={styles.meta}>{t('safety.checkIn.fromItinerary', { text: checkIn.label })}</Text>
+        ) : null}
+        <Text style={styles.meta}>
+          {checkIn.notificationIds.length
+            ? t('safety.checkIn.remindersScheduled', { first: CHECK_IN_REMINDER_MINUTES[0], last: CHECK_IN_REMINDER_MINUTES[CHECK_IN_REMINDER_MINUTES.length - 1] })
+            : t('safety.checkIn.remindersOff')}
+        </Text>
+        <Text style={styles.meta}>{t('safety.checkIn.autoStopHint')}</Text>
+        <TouchableOpacity
+          style={[styles.primaryButton, styles.okButton, busy && styles.buttonDisabled]}
+          onPress={handleCancel}
+          disabled={busy}
+          accessibilityRole="button"
+        >
+          <MaterialCommunityIcons name="check-circle" size={18} color={COLORS.white} />
+          <Text style={styles.primaryText}>{t('safety.checkIn.imOk')}</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  const renderRaised = () => (
+    <>
+      <View style={styles.statusRow}>
+        <View style={[styles.statusDot, { backgroundColor: COLORS.warning }]} />
+        <Text style={styles.statusText}>
+          {t('safety.checkIn.raised', { time: formatDate(checkIn.dueAtMs, 'time') })}
+        </Text>
+      </View>
+      <Text style={styles.meta}>{t('safety.checkIn.raisedSent')}</Text>
+      <TouchableOpacity
+        style={[styles.primaryButton, styles.okButton, busy && styles.buttonDisabled]}
+        onPress={handleCancel}
+        disabled={busy}
+        accessibilityRole="button"
+      >
+        <MaterialCommunityIcons name="check-circle" size={18} color={COLORS.white} />
+        <Text style={styles.primaryText}>{t('safety.checkIn.clear')}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderIdle = () => (
+    <>
+      {meetBack ? (
+        <View style={styles.suggestion}>
+          <Text style={styles.suggestionTitle}>
+            {t('safety.checkIn.meetBackAt', { time: formatDate(meetBack.dueAtMs, 'time') })}
+          </Text>
+          <Text style={styles.meta}>{t('safety.checkIn.fromItinerary', { text: meetBack.label })}</Text>
+          <TouchableOpacity
+            style={[styles.primaryButton, busy && styles.buttonDisabled]}
+            onPress={() => handleStart({ dueAtMs: meetBack.dueAtMs, source: CHECK_IN_SOURCES.ITINERARY, label: meetBack.label })}
+            disabled={busy}
+            accessibilityRole="button"
+          >
+            <MaterialCommunityIcons name="timer-outline" size={18} color={COLORS.white} />
+            <Text style={styles.primaryText}>
+              {t('safety.checkIn.startUntil', { time: formatDate(meetBack.dueAtMs, 'time') })}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <Text style={styles.hint}>{t('safety.checkIn.noMeetBack')}</Text>
+      )}
+
+      <Text style={styles.sectionLabel}>{t('safety.checkIn.orChoose')}</Text>
+      <View style={styles.durationRow} accessibilityRole="radiogroup">
+        {CHECK_IN_DURATIONS_MINUTES.map((minutes) => {
+          const selected = minutes === durationMinutes;
+          return (
+            <TouchableOpacity
+              key={minutes}
+              style={[styles.durationChip, selected && styles.durationChipSelected]}
+              onPress={() => setDurationMinutes(minutes)}
+              accessibilityRole="radio"
+              accessibilityState={{ selected }}
+            >
+              <Text style={[styles.durationText, selected && styles.durationTextSelected]}>
+                {t('safety.checkIn.minutes', { count: minutes })}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <TouchableOpacity
+        style={[styles.secondaryButton, busy && styles.buttonDisabled]}
+        onPress={() => handleStart({ dueAtMs: Date.now() + durationMinutes * 60000, source: CHECK_IN_SOURCES.MANUAL })}
+        disabled={busy}
+        accessibilityRole="button"
+      >
+        <Text style={styles.secondaryText}>{t('safety.checkIn.startFor', { count: durationMinutes })}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <View style={styles.iconCircle}>
+          <MaterialCommunityIcons name="timer-sand" size={22} color={COLORS.primary} />
+        </View>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>{t('safety.checkIn.title')}</Text>
+          <Text style={styles.subtitle}>{t('safety.checkIn.subtitle')}</Text>
+        </View>
+        {busy && <ActivityIndicator size="small" color={COLORS.primary} />}
+      </View>
+
+      {checkIn?.status === CHECK_IN_STATUS.RUNNING && renderRunning()}
+      {checkIn?.status === CHECK_IN_STATUS.RAISED && renderRaised()}
+      {!checkIn && renderIdle()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: COLORS.white,
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    ...SHADOWS.md,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  iconCircle: {
+    width: 44,
+    height: 44,
+    borderRadius: 12,
+    backgroundColor: `${COLORS.primary}15`,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  subtitle: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 2,
+  },
+  hint: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 12,
+  },
+  suggestion: {
+    marginTop: 12,
+  },
+  suggestionTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: COLORS.text,
+  },
+  sectionLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+    marginTop: 16,
+  },
+  meta: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  statusText: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.text,
+  },
+  countdown: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: COLORS.primary,
+  },
+  durationRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  durationChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  durationChipSelected: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  durationText: {
+    fontSize: 13,
+    color: COLORS.text,
+  },
+  durationTextSelected: {
+    color: COLORS.white,
+    fontWeight: '600',
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.primary,
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  okButton: {
+    backgroundColor: COLORS.success,
+  },
+  primaryText: {
+    color: COLORS.white,
+    fontSize: 14,
+    fontWeight: '700',
+    marginLeft: 8,
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    paddingVertical: 10,
+    marginTop: 4,
+  },
+  secondaryText: {
+    color: COLORS.primary,
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
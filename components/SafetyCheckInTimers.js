@@ -0,0 +1,78 @@
+import React, { memo, useEffect, useState } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import { CHECK_IN_STATUS } from '../services/safetyCheckInService';
+import { COLORS, RADIUS, SHADOWS, SPACING } from '../theme';
+
+const CLOCK_REFRESH_MS = 30 * 1000;
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+const describe = (checkIn, nowMs) => {
+  if (checkIn.status === CHECK_IN_STATUS.RAISED) {
+    return { text: `Alert sent ${checkIn.raisedAtMs ? formatTime(checkIn.raisedAtMs) : ''}`.trim(), color: COLORS.error };
+  }
+  if (nowMs >= checkIn.dueAtMs) return { text: 'Overdue', color: '#92400E' };
+  return { text: `${Math.ceil((checkIn.dueAtMs - nowMs) / 60000)} min left`, color: COLORS.textSecondary };
+};
+
+/**
+ * Passengers' "check on me if I'm not back" timers. A timer that runs out and
+ * is not answered raises a lost passenger alert from the server; this shows
+ * the driver who is out before that happens.
+ */
+const SafetyCheckInTimers = ({ checkIns }) => {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!checkIns?.length) return undefined;
+    const interval = setInterval(() => setNowMs(Date.now()), CLOCK_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [checkIns?.length]);
+
+  if (!checkIns?.length) return null;
+
+  return (
+    <View style={styles.card} accessibilityRole="summary">
+      <View style={styles.header}>
+        <MaterialCommunityIcons name="timer-sand" size={18} color={COLORS.primary} />
+        <Text style={styles.eyebrow}>CHECK-IN TIMERS RUNNING</Text>
+      </View>
+      {checkIns.map((checkIn) => {
+        const state = describe(checkIn, nowMs);
+        return (
+          <View key={checkIn.authUid} style={styles.row}>
+            <View style={styles.copy}>
+              <Text style={styles.name} numberOfLines={1}>
+                {checkIn.passengerName || 'Passenger'} · back by {formatTime(checkIn.dueAtMs)}
+              </Text>
+              {checkIn.label ? <Text style={styles.label} numberOfLines={1}>{checkIn.label}</Text> : null}
+            </View>
+            <Text style={[styles.state, { color: state.color }]}>{state.text}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+export default memo(SafetyCheckInTimers);
+
+const styles = StyleSheet.create({
+  card: {
+    marginTop: SPACING.sm,
+    padding: SPACING.md,
+    borderRadius: RADIUS.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.white,
+    ...SHADOWS.sm,
+  },
+  header: { flexDirection: 'row', alignItems: 'center', gap: 6 },
+  eyebrow: { color: COLORS.primary, fontSize: 10, fontWeight: '900', letterSpacing: 0.6 },
+  row: { flexDirection: 'row', alignItems: 'center', gap: SPACING.sm, marginTop: SPACING.sm },
+  copy: { flex: 1 },
+  name: { color: COLORS.textPrimary, fontSize: 14, fontWeight: '800' },
+  label: { color: COLORS.textSecondary, fontSize: 12, marginTop: 2 },
+  state: { fontSize: 12, fontWeight: '800' },
+});
@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, StyleSheet, View } from 'react-native';
+import { Image as ExpoImage } from 'expo-image';
+import { useVideoPlayer, VideoView } from 'expo-video';
+import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
+import { COLORS } from '../theme';
+
+/**
+ * Plays one album clip on a loop while `active`, and pauses it when the
+ * viewer pages away. The server-made poster shows until the first frame is
+ * ready, so paging through the album never flashes black.
+ */
+const VideoClipPlayer = React.memo(function VideoClipPlayer({ uri, posterUri = null, active = false, style }) {
+  const player = useVideoPlayer(uri || null, (instance) => {
+    instance.loop = true;
+  });
+  const [status, setStatus] = useState(player.status);
+
+  useEffect(() => {
+    const subscription = player.addListener('statusChange', (event) => setStatus(event.status));
+    return () => subscription.remove();
+  }, [player]);
+
+  useEffect(() => {
+    if (active) {
+      player.play();
+    } else {
+      player.pause();
+    }
+  }, [active, player]);
+
+  const ready = status === 'readyToPlay';
+
+  return (
+    <View style={[styles.container, style]}>
+      <VideoView
+        player={player}
+        style={StyleSheet.absoluteFill}
+        contentFit="contain"
+        nativeControls
+        allowsPictureInPicture={false}
+      />
+      {!ready && posterUri ? (
+        <ExpoImage
+          source={{ uri: posterUri }}
+          style={StyleSheet.absoluteFill}
+          contentFit="contain"
+          cachePolicy="memory-disk"
+          pointerEvents="none"
+        />
+      ) : null}
+      {status === 'loading' ? (
+        <View pointerEvents="none" style={styles.overlay}>
+          <ActivityIndicator size="large" color={COLORS.white} />
+        </View>
+      ) : null}
+      {status === 'error' ? (
+        <View pointerEvents="none" style={styles.overlay}>
+          <MaterialCommunityIcons name="video-off-outline" size={34} color="rgba(255,255,255,0.6)" />
+        </View>
+      ) : null}
+    </View>
+  );
+});
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    height: '100%',
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
+
+export default VideoClipPlayer;
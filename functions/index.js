@@ -13,7 +13,9 @@ const admin = require("firebase-admin");
 const { Expo } = require("expo-server-sdk");
 const sharp = require("sharp");
 const { createHash, randomUUID } = require("crypto");
+const { once } = require("events");
 const { normalizeManifestPassengerRows } = require('./lib/manifestPassengers');
+const { CARE_PROFILES_ROOT, attachCareProfiles } = require('./lib/careProfiles');
 const {
   INGESTION_LIMITS: DRIVER_TOUR_PACK_INGESTION_LIMITS,
   createDriverTourPackPublisher,
@@ -32,7 +34,109 @@ const {
   buildDriverTourPackActionProjectionUpdates,
   summarizeDriverTourPackChange,
 } = require('./lib/driverTourPackOperations');
-const { deriveTourDateIndexUpdate } = require('./lib/tourDateIndex');
+const { deriveTourDateIndexUpdate, parseDateOnly } = require('./lib/tourDateIndex');
+const { derivePhotoLikeCountUpdate } = require('./lib/photoLikes');
+const {
+  COACH_ARRIVAL_ROOT,
+  buildCoachArrivalMessage,
+  claimCoachArrivalNotification,
+  collectPickupBookingRefs,
+  normalizeLiveDriverFix,
+  resolveCoachArrivalDepartureKey,
+  resolveCoachArrivalRadiusMeters,
+  selectArrivingPickup,
+  selectPickupRecipientIds,
+} = require('./lib/coachArrivalNotification');
+const {
+  buildBoardingPassVerification,
+  issueBookingBoardingPasses,
+  resolveBoardingPassSecret,
+} = require('./lib/boardingPass');
+const {
+  ROLL_CALL_ROOT,
+  buildRollCallParticipantBookings,
+  buildRollCallReturnedParticipants,
+} = require('./lib/rollCall');
+const { extractVideoPosterFrame } = require('./lib/videoPoster');
+const { blurPhotoRegions, normalizeBlurRegions } = require('./lib/photoBlur');
+const {
+  INITIAL_SAFETY_CONTACT_TIER,
+  SAFETY_CONTACT_AUDIENCES,
+  SAFETY_CONTACT_TIERS,
+  SAFETY_ESCALATION_MAX_AGE_MS,
+  SAFETY_ESCALATION_ROOT,
+  SAFETY_ON_CALL_ROOT,
+  buildSafetyEscalationEntry,
+  buildSafetyEscalationNotificationContent,
+  buildSafetyEscalationStep,
+  isSafetyAlertUnacknowledged,
+  planSafetyEscalation,
+} = require('./lib/safetyEscalation');
+const {
+  CHECK_IN_GRACE_MS,
+  CHECK_IN_STATUS,
+  SAFETY_CHECK_IN_QUEUE_ROOT,
+  SAFETY_CHECK_IN_ROOT,
+  buildCheckInAlertText,
+  buildCheckInQueueEntry,
+  checkInEventId,
+  checkInQueueKey,
+  isCheckInBackOnCoach,
+  normalizeStoredCheckIn,
+} = require('./lib/safetyCheckIn');
+const { resolveMessagingGateway } = require('./lib/messagingGateway');
+const {
+  SOS_STATUS_LINK_ROOT,
+  SOS_STATUS_LINK_TTL_MS,
+  TRUSTED_CONTACTS_ROOT,
+  buildSosStatusUrl,
+  buildTrustedContactSosMessages,
+  normalizeSyncedTrustedContacts,
+  renderSosStatusPage,
+  renderSosStatusUnavailablePage,
+  resolveSosLastLocation,
+  summarizeTrustedContactDelivery,
+} = require('./lib/trustedContactAlerts');
+const {
+  LIVE_LOCATION_SHARES_ROOT,
+  LIVE_LOCATION_SHARE_OWNERS_ROOT,
+  LIVE_LOCATION_SHARE_RETENTION_MS,
+  MAX_ACTIVE_LIVE_LOCATION_SHARES,
+  buildLiveLocationSharePayload,
+  buildLiveLocationViewerKey,
+  countActiveLiveLocationShares,
+  normalizeShareDurationMinutes,
+  planLiveLocationShareView,
+  resolveLiveLocationShareBlock,
+  summarizeViewerDevice,
+} = require('./lib/liveLocationShare');
+const {
+  PHOTOBOOK_ROOT,
+  buildPhotobookPdf,
+  buildPhotobookStoragePath,
+  collectExcludedPhotoIds,
+  isPhotobookAvailable,
+  planPhotobook,
+} = require('./lib/photobookPdf');
+const {
+  PHOTO_ARCHIVE_DOWNLOADS_ROOT,
+  PHOTO_ARCHIVE_JOBS_ROOT,
+  PHOTO_ARCHIVE_MAX_BYTES,
+  PHOTO_ARCHIVE_STATUS,
+  buildPhotoArchiveStoragePath,
+  createDownloadToken,
+  createZipWriter,
+  downloadTokenMatches,
+  planPhotoArchive,
+} = require('./lib/photoArchive');
+const {
+  PHOTO_HASH_HEIGHT,
+  PHOTO_HASH_WIDTH,
+  PHOTO_QUALITY_VERSION,
+  PHOTO_SHARPNESS_SAMPLE_SIZE,
+  computeDifferenceHash,
+  computeSharpnessScore,
+} = require('./lib/photoQuality');
 
 // Initialize Firebase Admin
 admin.initializeApp();
@@ -74,7 +178,7 @@ const TOUR_NOTIFICATION_CATEGORY_LABELS = {
   history_military_breaks: 'History & Military Breaks',
 };
 const TOUR_NOTIFICATION_CATEGORY_KEYS = Object.freeze(Object.keys(TOUR_NOTIFICATION_CATEGORY_LABELS));
-const PUSH_NOTIFICATION_SCREENS = new Set(['Chat', 'Itinerary', 'GroupPhotobook', 'NotificationPreferences', 'SafetySupport', 'DriverTourPack']);
+const PUSH_NOTIFICATION_SCREENS = new Set(['Chat', 'Itinerary', 'GroupPhotobook', 'NotificationPreferences', 'SafetySupport', 'DriverTourPack', 'Map']);
 const SAFETY_CATEGORIES = new Set([
   'delay',
   'incident',
@@ -203,7 +307,7 @@ const validateMessageData = (messageData) => {
 
   if (messageType === 'image' && !resolveTrimmedString(messageData.imageUrl)) {
     errors.push('Image messages require an imageUrl');
-  } else if (messageType !== 'text' && messageType !== 'image' && messageType !== 'system') {
+  } else if (!['text', 'image', 'poll', 'system'].includes(messageType)) {
     errors.push('Unsupported message type');
   }
 
@@ -281,7 +385,9 @@ const buildChatNotificationContent = ({ messageData = {}, tourName = 'Tour Chat'
   const senderName = compactNotificationText(messageData.senderName || 'Tour participant', 100);
   const messageType = resolveTrimmedString(messageData.type) || 'text';
   const rawText = resolveTrimmedString(messageData.text);
-  const previewText = messageType === 'image' && !rawText ? 'Shared a photo' : rawText;
+  let previewText = rawText;
+  if (messageType === 'image' && !rawText) previewText = 'Shared a photo';
+  if (messageType === 'poll') previewText = `📊 Poll: ${rawText}`;
   const truncatedMessage = compactNotificationText(previewText, 200);
 
   return {
@@ -1081,6 +1187,47 @@ const createPhotoVariantBuffers = async (sourceBuffer) => {
   return { viewerBuffer, thumbnailBuffer };
 };
 
+// Single-channel greyscale pixels, upright, for the quality measurements.
+const greyscalePhotoSample = (sourceBuffer) => sharp(sourceBuffer).rotate().removeAlpha().toColourspace("b-w");
+
+const analyzePhotoQuality = async (sourceBuffer) => {
+  const [hashSample, sharpnessSample] = await Promise.all([
+    greyscalePhotoSample(sourceBuffer)
+      .resize(PHOTO_HASH_WIDTH, PHOTO_HASH_HEIGHT, { fit: "fill" })
+      .raw()
+      .toBuffer(),
+    greyscalePhotoSample(sourceBuffer)
+      .resize({
+        width: PHOTO_SHARPNESS_SAMPLE_SIZE,
+        height: PHOTO_SHARPNESS_SAMPLE_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true }),
+  ]);
+
+  return {
+    perceptualHash: computeDifferenceHash(hashSample),
+    sharpnessScore: computeSharpnessScore(sharpnessSample.data, sharpnessSample.info.width, sharpnessSample.info.height),
+    qualityVersion: PHOTO_QUALITY_VERSION,
+  };
+};
+
+// Quality fields only drive album stacking, so a failure here must not
+// cost the photo its variants.
+const analyzePhotoQualitySafely = async (sourceBuffer, context = {}) => {
+  try {
+    return await analyzePhotoQuality(sourceBuffer);
+  } catch (error) {
+    log.warn("Photo quality analysis failed", {
+      ...context,
+      error: error?.message || String(error),
+    });
+    return {};
+  }
+};
+
 const buildPhotoVariantPaths = ({ visibility, tourId, ownerKey, filename }) => {
   const extensionlessName = filename.replace(/\.[^/.]+$/, "");
   const viewerPath = visibility === "private"
@@ -1119,10 +1266,13 @@ const generatePhotoVariantsForRecord = async ({
   photoId,
   photoRecord,
   dryRun = false,
+  qualityOnly = false,
   storageBucket = null,
   dbRoot = null,
+  extractVideoPoster = extractVideoPosterFrame,
 }) => {
   const objectPath = typeof photoRecord?.storagePath === "string" ? photoRecord.storagePath : "";
+  const isVideoClip = photoRecord?.mediaType === "video";
   if (!bucketName || !objectPath || !photoId || !tourId) {
     return { status: "skipped", reason: "missing-required-fields" };
   }
@@ -1146,21 +1296,49 @@ const generatePhotoVariantsForRecord = async ({
       objectPath,
       viewerPath,
       thumbnailPath,
+      ...(qualityOnly ? { qualityOnly: true } : {}),
     };
   }
 
   const resolvedDbRoot = dbRoot || admin.database().ref(buildPhotoCollectionPath({ visibility, tourId, ownerKey }));
   const resolvedBucket = storageBucket || admin.storage().bucket(bucketName);
 
+  // Clips are never stacked or scored, so there is nothing to fill in.
+  if (qualityOnly && isVideoClip) {
+    return { status: "skipped", photoId, qualityOnly: true, reason: "video-clip" };
+  }
+
+  // Existing variants are kept as they are, so their cached URLs stay valid.
+  if (qualityOnly) {
+    try {
+      const [sourceBuffer] = await resolvedBucket.file(objectPath).download();
+      await resolvedDbRoot.child(photoId).update(await analyzePhotoQuality(sourceBuffer));
+      return { status: "ready", photoId, qualityOnly: true };
+    } catch (error) {
+      return {
+        status: "failed",
+        photoId,
+        qualityOnly: true,
+        error: error?.message || "Photo quality analysis failed",
+      };
+    }
+  }
+
   try {
     const sourceFile = resolvedBucket.file(objectPath);
-    const [sourceBuffer] = await sourceFile.download();
+    // A clip's viewer and thumbnail are made from one poster frame.
+    const [sourceBuffer] = isVideoClip
+      ? [await extractVideoPoster({ sourceFile, durationMs: photoRecord.durationMs })]
+      : await sourceFile.download();
     const [sourceObjectMetadata] = await sourceFile.getMetadata();
     const sourceAuthUid = typeof sourceObjectMetadata?.metadata?.authUid === 'string'
       ? sourceObjectMetadata.metadata.authUid.trim()
       : '';
     if (visibility === 'private') await hardenPrivateSourceObjectMetadata(sourceFile, sourceObjectMetadata);
-    const { viewerBuffer, thumbnailBuffer } = await createPhotoVariantBuffers(sourceBuffer);
+    const [{ viewerBuffer, thumbnailBuffer }, quality] = await Promise.all([
+      createPhotoVariantBuffers(sourceBuffer),
+      isVideoClip ? {} : analyzePhotoQualitySafely(sourceBuffer, { visibility, tourId, photoId }),
+    ]);
     const viewerToken = visibility === "private" ? null : randomUUID();
     const thumbnailToken = visibility === "private" ? null : randomUUID();
 
@@ -1210,6 +1388,7 @@ const generatePhotoVariantsForRecord = async ({
       variantStatus: "ready",
       variantUpdatedAt: Date.now(),
       variantError: null,
+      ...quality,
     });
 
     return { status: "ready", photoId, viewerPath, thumbnailPath };
@@ -1394,6 +1573,16 @@ const buildSafetySubmissionUpdates = ({ record, lockPath }) => {
       tourAlertId: `tours/${record.tourId}/safetyAlerts/${eventId}`,
     };
   }
+  const escalationEntry = buildSafetyEscalationEntry({
+    tourId: record.tourId,
+    severity: record.severity,
+    isSOS: record.isSOS,
+    tier: INITIAL_SAFETY_CONTACT_TIER,
+    fromMs: record.receivedAtMs,
+  });
+  if (escalationEntry) {
+    updates[`${SAFETY_ESCALATION_ROOT}/${eventId}`] = escalationEntry;
+  }
   return updates;
 };
 
@@ -1893,6 +2082,108 @@ const resolveReportedPhotoStoragePaths = ({ tourId, photo = {} }) => {
   return [...new Set(paths)];
 };
 
+const createPhotoModerationError = (code) => {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Swaps a reported group photo for a copy with the marked areas blurred.
+ * The blurred copy gets fresh source, viewer and thumbnail objects, and the
+ * unblurred ones are deleted, so no old URL or device cache key still leads
+ * to the original.
+ */
+const blurReportedPhotoRecord = async ({
+  reportId,
+  report = {},
+  regions,
+  db = admin.database(),
+  bucket = admin.storage().bucket(),
+  nowMs = Date.now(),
+  blurPhoto = blurPhotoRegions,
+  generateVariants = generatePhotoVariantsForRecord,
+}) => {
+  const tourId = normalizeTourKeyForComparison(report.tourId);
+  const photoId = resolveTrimmedString(report.contentId);
+  if (report.contentType !== 'group_photo' || !tourId || !photoId || !isValidFirebaseKey(photoId)) {
+    throw createPhotoModerationError('UNSUPPORTED_CONTENT');
+  }
+  const blurRegions = normalizeBlurRegions(regions);
+  if (blurRegions.length === 0) throw createPhotoModerationError('INVALID_REGIONS');
+
+  const contentPath = `group_tour_photos/${tourId}/${photoId}`;
+  const photo = (await db.ref(contentPath).once('value')).val();
+  const parsedSource = parseSourcePhotoPath(photo?.storagePath);
+  // Clips would need every frame blurred; moderators remove those instead.
+  if (!photo || photo.mediaType === 'video' || parsedSource?.visibility !== 'group' || parsedSource.tourId !== tourId) {
+    throw createPhotoModerationError('UNSUPPORTED_CONTENT');
+  }
+
+  const sourceFile = bucket.file(photo.storagePath);
+  const [[sourceBuffer], [sourceObjectMetadata]] = await Promise.all([sourceFile.download(), sourceFile.getMetadata()]);
+  const sourceAuthUid = resolveTrimmedString(sourceObjectMetadata?.metadata?.authUid);
+  const blurredBuffer = await blurPhoto(sourceBuffer, blurRegions);
+
+  const storagePath = `group_tour_photos/${tourId}/${photoId}_blurred_${nowMs}.jpg`;
+  const sourceToken = randomUUID();
+  await bucket.file(storagePath).save(blurredBuffer, {
+    metadata: {
+      contentType: 'image/jpeg',
+      cacheControl: PHOTO_CACHE_CONTROL_HEADER,
+      metadata: {
+        ...(sourceAuthUid ? { authUid: sourceAuthUid } : {}),
+        firebaseStorageDownloadTokens: sourceToken,
+      },
+    },
+  });
+
+  // Variants are made before the record points at the new source, so the
+  // Storage trigger for the new object finds nothing left to do.
+  const variants = await generateVariants({
+    bucketName: bucket.name,
+    visibility: 'group',
+    tourId,
+    photoId,
+    photoRecord: { ...photo, storagePath },
+    storageBucket: bucket,
+    dbRoot: db.ref(`group_tour_photos/${tourId}`),
+  });
+  if (variants.status !== 'ready') {
+    await db.ref(contentPath).update({
+      variantStatus: photo.variantStatus ?? null,
+      variantUpdatedAt: photo.variantUpdatedAt ?? null,
+      variantError: photo.variantError ?? null,
+    });
+    await deleteStoragePaths({ bucket, paths: [storagePath] });
+    throw new Error(variants.error || 'Blurred photo variants could not be generated');
+  }
+
+  const nowIso = new Date(nowMs).toISOString();
+  await db.ref().update({
+    [`${contentPath}/storagePath`]: storagePath,
+    [`${contentPath}/sourceUrl`]: buildFirebaseStorageDownloadUrl({
+      bucketName: bucket.name,
+      objectPath: storagePath,
+      token: sourceToken,
+    }),
+    [`${contentPath}/fileSize`]: blurredBuffer.length,
+    [`${contentPath}/fileType`]: 'image/jpeg',
+    [`content_reports/${reportId}/status`]: 'actioned',
+    [`content_reports/${reportId}/updatedAt`]: nowIso,
+    [`content_reports/${reportId}/updatedAtMs`]: nowMs,
+    [`content_reports/${reportId}/moderationAction`]: 'photo_blurred',
+  });
+
+  const replacedPaths = new Set([storagePath, variants.viewerPath, variants.thumbnailPath]);
+  const stalePaths = resolveReportedPhotoStoragePaths({ tourId, photo }).filter((path) => !replacedPaths.has(path));
+  // Stored photobooks may show the unblurred photo, so they are rebuilt on next request.
+  const deletedStorageObjects = await deleteStoragePaths({ bucket, paths: stalePaths })
+    + await deleteStoragePrefixes({ bucket, prefixes: [`${PHOTOBOOK_ROOT}/${tourId}/`] });
+
+  return { contentPath, storagePath, regionCount: blurRegions.length, deletedStorageObjects };
+};
+
 const acquireManualBookingLock = async ({ db, path, owner, nowMs, ttlMs = MANUAL_BOOKING_LOCK_TTL_MS }) => {
   const result = await db.ref(path).transaction((current) => {
     const activeLock = current
@@ -2132,6 +2423,19 @@ const verifyTourManifestAccess = async ({ authUid, tourId, db = admin.database()
   return { allowed: false, reason: 'NOT_TOUR_MEMBER' };
 };
 
+// Each participant's booking reference with their care profile, so the
+// manifest can show consented needs on the booking they travel on.
+const loadTourCareProfiles = async ({ db, participants }) => {
+  const authUids = Object.keys(participants || {}).filter((authUid) => isValidFirebaseKey(authUid));
+  return Promise.all(authUids.map(async (authUid) => {
+    const [bookingRefSnapshot, profileSnapshot] = await Promise.all([
+      db.ref(`users/${authUid}/bookingRef`).once('value'),
+      db.ref(`${CARE_PROFILES_ROOT}/${authUid}`).once('value'),
+    ]);
+    return { bookingRef: normalizeBookingRef(bookingRefSnapshot.val()), record: profileSnapshot.val() };
+  }));
+};
+
 const buildTourManifestPayload = async ({ tourId, requestedTourCode = null, db = admin.database() }) => {
   const canonicalTourId = normalizeTourKeyForComparison(tourId || requestedTourCode);
   if (!canonicalTourId || !isValidFirebaseKey(canonicalTourId)) {
@@ -2150,15 +2454,16 @@ const buildTourManifestPayload = async ({ tourId, requestedTourCode = null, db =
     || resolveTrimmedString(requestedTourCode)
     || canonicalTourId.replace(/_/g, ' ');
 
-  const [bookingsByTourIdSnapshot, manifestSnapshot] = await Promise.all([
+  const [bookingsByTourIdSnapshot, manifestSnapshot, careProfiles] = await Promise.all([
     db.ref('bookings').orderByChild('tourId').equalTo(canonicalTourId).once('value'),
     db.ref(`tour_manifests/${canonicalTourId}`).once('value'),
+    loadTourCareProfiles({ db, participants: tourData.participants }),
   ]);
 
   const rawBookings = bookingsByTourIdSnapshot.val() || {};
   const manifestData = manifestSnapshot.val() || {};
   const bookingStatuses = manifestData.bookings || {};
-  const bookings = Object.entries(rawBookings).map(([bookingRef, bookingData]) => {
+  const bookings = attachCareProfiles(Object.entries(rawBookings).map(([bookingRef, bookingData]) => {
     const normalizedBooking = normalizeManifestBooking(bookingRef, bookingData || {});
     const liveStatus = bookingStatuses[bookingRef] || {};
     const totalPax = normalizedBooking.passengerNames.length;
@@ -2182,7 +2487,7 @@ const buildTourManifestPayload = async ({ tourId, requestedTourCode = null, db =
       passengerStatus,
       notes: liveStatus.notes || '',
     };
-  });
+  }), careProfiles);
 
   const stats = bookings.reduce((acc, booking) => {
     const paxCount = booking.passengerNames.length;
@@ -2207,6 +2512,7 @@ const buildTourManifestPayload = async ({ tourId, requestedTourCode = null, db =
     complete: true,
     tourId: canonicalTourId,
     tourCode,
+    departureKey: resolveCoachArrivalDepartureKey(canonicalTourId, tourData.startDate),
     bookings,
     stats,
   };
@@ -2996,7 +3302,7 @@ exports.deleteTourData = onRequest(
         globalSafetyAlerts: safetySnapshot.val() || {},
       });
       const deletedStorageObjects = await deleteStoragePrefixes({
-        prefixes: [`group_tour_photos/${tourId}/`, `private_tour_photos/${tourId}/`],
+        prefixes: [`group_tour_photos/${tourId}/`, `private_tour_photos/${tourId}/`, `${PHOTOBOOK_ROOT}/${tourId}/`],
       });
       await db.ref().update(updates);
 
@@ -3057,7 +3363,9 @@ exports.removeReportedPhoto = onRequest(
       const photoSnapshot = await db.ref(contentPath).once('value');
       const photo = photoSnapshot.val() || {};
       const storagePaths = resolveReportedPhotoStoragePaths({ tourId, photo });
-      const deletedStorageObjects = await deleteStoragePaths({ paths: storagePaths });
+      // Stored photobooks may contain the removed photo, so they are rebuilt on next request.
+      const deletedStorageObjects = await deleteStoragePaths({ paths: storagePaths })
+        + await deleteStoragePrefixes({ prefixes: [`${PHOTOBOOK_ROOT}/${tourId}/`] });
       const now = Date.now();
       await db.ref().update({
         [contentPath]: null,
@@ -3076,6 +3384,62 @@ exports.removeReportedPhoto = onRequest(
   },
 );
 
+exports.blurReportedPhoto = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+    timeoutSeconds: 120,
+    memory: '1GiB',
+  },
+  async (req, res) => {
+    const corsAllowed = applyAuthenticatedCors(req, res);
+    if (req.method === 'OPTIONS') return corsAllowed
+      ? res.status(204).send('')
+      : res.status(403).json({ success: false, reason: 'ORIGIN_NOT_ALLOWED' });
+    if (!corsAllowed) return res.status(403).json({ success: false, reason: 'ORIGIN_NOT_ALLOWED' });
+    if (req.method !== 'POST') return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
+
+    const requestAuth = await verifyRequestAuthUid(req);
+    if (!requestAuth.success) return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
+    const db = admin.database();
+    if (!(await verifyOperationsAdminAccess({ authUid: requestAuth.uid, db }))) {
+      return res.status(403).json({ success: false, reason: 'NOT_AUTHORIZED' });
+    }
+
+    const reportId = resolveTrimmedString(req.body?.reportId);
+    if (!reportId || !isValidFirebaseKey(reportId)) {
+      return res.status(400).json({ success: false, reason: 'INVALID_REPORT' });
+    }
+
+    try {
+      const reportSnapshot = await db.ref(`content_reports/${reportId}`).once('value');
+      if (!reportSnapshot.exists()) return res.status(404).json({ success: false, reason: 'INVALID_REPORT' });
+
+      const result = await blurReportedPhotoRecord({
+        reportId,
+        report: reportSnapshot.val() || {},
+        regions: req.body?.regions,
+        db,
+      });
+      log.info('Reported photo blurred', {
+        reportId,
+        regionCount: result.regionCount,
+        deletedStorageObjects: result.deletedStorageObjects,
+      });
+      return res.status(200).json({ success: true, contentPath: result.contentPath, regionCount: result.regionCount });
+    } catch (error) {
+      const reason = error?.code || 'INTERNAL_ERROR';
+      const status = { UNSUPPORTED_CONTENT: 409, INVALID_REGIONS: 400 }[reason] || 500;
+      if (status >= 500) {
+        log.error('Reported photo blur failed', error, { reportId });
+      } else {
+        log.warn('Reported photo blur rejected', { reportId, reason });
+      }
+      return res.status(status).json({ success: false, reason: status >= 500 ? 'INTERNAL_ERROR' : reason });
+    }
+  },
+);
+
 exports.getTourManifest = onRequest(
   {
     region: 'europe-west1',
@@ -3123,13 +3487,22 @@ exports.getTourManifest = onRequest(
         requestedTourCode: requestedTour,
       });
 
+      // Only the manifest's own audience receives the per-departure key, so the
+      // driver can verify boarding passes with no signal at the kerb.
+      const boardingPass = buildBoardingPassVerification({
+        secret: resolveBoardingPassSecret(),
+        departureKey: manifest.departureKey,
+      });
+
       log.info('Tour manifest response built', {
         authUid: requestAuth.uid,
         tourId,
         role: access.role,
         bookingCount: manifest.bookings.length,
+        careProfileBookingCount: manifest.bookings.filter((booking) => booking.careProfiles).length,
+        boardingPassVerification: Boolean(boardingPass),
       });
-      return res.status(200).json({ success: true, ...manifest });
+      return res.status(200).json({ success: true, ...manifest, ...(boardingPass ? { boardingPass } : {}) });
     } catch (error) {
       const reason = error?.code === 'TOUR_NOT_FOUND' ? 'TOUR_NOT_FOUND' : 'INTERNAL_ERROR';
       log.error('Tour manifest request failed', error, {
@@ -3142,286 +3515,1525 @@ exports.getTourManifest = onRequest(
   }
 );
 
-exports.verifyDriverLogin = onRequest(
+exports.issueBoardingPass = onRequest(
   {
     region: 'europe-west1',
     maxInstances: 10,
   },
   async (req, res) => {
     if (req.method !== 'POST') {
-      return res.status(405).json({ valid: false, reason: 'METHOD_NOT_ALLOWED' });
+      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
     }
 
     const requestAuth = await verifyRequestAuthUid(req);
     if (!requestAuth.success) {
-      return res.status(401).json({ valid: false, reason: 'INVALID_CREDENTIALS' });
-    }
-
-    const driverId = normalizeDriverId(req.body?.driverId);
-    if (!driverId || !isValidFirebaseKey(driverId)) {
-      return res.status(400).json({ valid: false, reason: 'INVALID_INPUT' });
+      return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
     }
 
-    const networkKey = getTrustedRequestNetworkKey(req);
-    const networkDimension = hashRateLimitDimension(networkKey);
-    try {
-      const appCheckValid = await enforceLoginAppCheck({ req, networkDimension, loginType: 'Driver' });
-      if (!appCheckValid) return res.status(401).json({ valid: false, reason: 'INVALID_CREDENTIALS' });
-    } catch (configurationError) {
-      log.error('Driver login disabled by unsafe App Check configuration', configurationError, {
-        networkDimension,
-      });
-      return res.status(503).json({ valid: false, reason: 'SERVICE_UNAVAILABLE' });
+    const tourId = normalizeTourKeyForComparison(resolveTrimmedString(req.body?.tourId));
+    if (!tourId || !isValidFirebaseKey(tourId)) {
+      return res.status(400).json({ success: false, reason: 'INVALID_INPUT' });
     }
 
-    let rateLimit;
-    try {
-      rateLimit = await checkDriverLoginRateLimits({
+    const clientKey = getRequestClientKey(req);
+    if (!checkRateLimit(`issue_boarding_pass_${requestAuth.uid}_${tourId}_${clientKey}`, 20, 60000)) {
+      log.warn('Boarding pass rate limit exceeded', {
         authUid: requestAuth.uid,
-        clientKey: networkKey,
-        driverId,
-        limiter: distributedLoginRateLimiter,
-      });
-    } catch (rateLimitError) {
-      log.error('Driver login disabled because distributed rate limiting failed', rateLimitError, {
-        networkDimension,
+        tourId,
+        networkDimension: hashRateLimitDimension(clientKey),
       });
-      return res.status(503).json({ valid: false, reason: 'SERVICE_UNAVAILABLE' });
+      return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
     }
-    if (!rateLimit.allowed) {
-      log.warn('Driver login rate limit exceeded', {
-        scope: rateLimit.scope,
-        authDimension: rateLimit.authDimension,
-        driverId,
-        networkDimension: rateLimit.networkDimension,
-      });
-      return res.status(429).json({ valid: false, reason: 'TRY_AGAIN_LATER' });
+
+    const secret = resolveBoardingPassSecret();
+    if (!secret) {
+      log.error('Boarding pass signing secret is not configured', null, { tourId });
+      return res.status(503).json({ success: false, reason: 'BOARDING_PASS_UNAVAILABLE' });
     }
 
     try {
       const db = admin.database();
-      const driverSnapshot = await db.ref(`drivers/${driverId}`).once('value');
-      if (!driverSnapshot.exists()) {
-        log.warn('Driver login rejected: driver not found', { driverId, authUid: requestAuth.uid });
-        return res.status(200).json({ valid: false, reason: 'DRIVER_NOT_FOUND' });
-      }
-
-      const driverData = driverSnapshot.val() || {};
-      const claimedAuthUid = resolveTrimmedString(driverData.authUid);
-      if (claimedAuthUid && claimedAuthUid !== requestAuth.uid) {
-        log.warn('Driver login rejected: driver code already linked to another auth uid', {
-          driverId,
-          authUid: requestAuth.uid,
-        });
-        return res.status(403).json({ valid: false, reason: 'DRIVER_ALREADY_LINKED' });
+      const [participantSnapshot, bookingRefSnapshot, tourSnapshot] = await Promise.all([
+        db.ref(`tours/${tourId}/participants/${requestAuth.uid}`).once('value'),
+        db.ref(`users/${requestAuth.uid}/bookingRef`).once('value'),
+        db.ref(`tours/${tourId}/startDate`).once('value'),
+      ]);
+      if (!participantSnapshot.exists()) {
+        log.warn('Boarding pass request denied', { authUid: requestAuth.uid, tourId, reason: 'NOT_TOUR_MEMBER' });
+        return res.status(403).json({ success: false, reason: 'NOT_AUTHORIZED' });
       }
 
-      const claimResult = await claimDriverAuthUid({
-        db,
-        driverId,
-        authUid: requestAuth.uid,
-      });
-      if (!claimResult.claimed) {
-        log.warn('Driver login rejected: driver claim lost to another auth uid', {
-          driverId,
-          authUid: requestAuth.uid,
-        });
-        return res.status(403).json({ valid: false, reason: 'DRIVER_ALREADY_LINKED' });
+      const bookingRef = normalizeBookingRef(bookingRefSnapshot.val());
+      const bookingSnapshot = bookingRef && isValidFirebaseKey(bookingRef)
+        ? await db.ref(`bookings/${bookingRef}`).once('value')
+        : null;
+      const bookingData = bookingSnapshot?.val();
+      if (!bookingData || normalizeTourKeyForComparison(bookingData.tourId) !== tourId) {
+        return res.status(404).json({ success: false, reason: 'BOOKING_NOT_FOUND' });
       }
 
-      const assignment = await resolveDriverAssignment({ driverId, driverData, db });
-      let assignedTourCode = assignment.assignedTourCode;
-      let resolvedTour = null;
-
-      if (assignment.assignedTourId) {
-        const tourSnapshot = await db.ref(`tours/${assignment.assignedTourId}`).once('value');
-        if (tourSnapshot.exists()) {
-          const tourData = tourSnapshot.val() || {};
-          resolvedTour = {
-            id: assignment.assignedTourId,
-            ...tourData,
-          };
-        }
+      const departureKey = resolveCoachArrivalDepartureKey(tourId, tourSnapshot.val());
+      if (!departureKey) {
+        return res.status(409).json({ success: false, reason: 'BOARDING_PASS_UNAVAILABLE' });
       }
 
-      const nowMs = Date.now();
-      await db.ref().update(buildDriverIdentityProfileUpdates({
-        driverId,
-        authUid: requestAuth.uid,
-        assignedTourId: assignment.assignedTourId,
-        nowMs,
-      }));
-
-      log.info('Driver login reference validated', {
-        driverId,
-        authUid: requestAuth.uid,
-        assignedTourId: assignment.assignedTourId,
-        assignmentSource: assignment.assignmentSource,
-        hasResolvedTour: Boolean(resolvedTour),
+      // Passes index the same de-duplicated passenger rows the driver manifest
+      // uses, so a scanned index always lands on the right traveller.
+      const booking = normalizeManifestBooking(bookingRef, bookingData);
+      const issuedAtMs = Date.now();
+      const passes = issueBookingBoardingPasses({
+        secret,
+        departureKey,
+        bookingRef,
+        passengerNames: booking.passengerNames,
+        seatNumbers: booking.seatNumbers,
+        issuedAtMs,
       });
 
-      return res.status(200).json({
-        valid: true,
-        type: 'driver',
-        driver: {
-          id: driverId,
-          name: driverData.name || null,
-          assignedTourId: assignment.assignedTourId,
-          assignedTourCode,
-          hasAssignedTour: Boolean(assignment.assignedTourId),
-        },
-        tour: resolvedTour,
-        assignmentStatus: assignment.assignedTourId
-          ? (resolvedTour ? 'ASSIGNED' : 'ASSIGNED_TOUR_NOT_FOUND')
-          : 'UNASSIGNED',
-        identityClaimed: true,
-      });
-    } catch (error) {
-      log.error('Driver login verification failed', error, {
-        driverId,
+      log.info('Boarding passes issued', {
         authUid: requestAuth.uid,
+        tourId,
+        bookingRef: maskIdentifier(bookingRef),
+        passCount: passes.length,
       });
-      return res.status(500).json({ valid: false, reason: 'INTERNAL_ERROR' });
+      return res.status(200).json({ success: true, departureKey, bookingRef, issuedAtMs, passes });
+    } catch (error) {
+      log.error('Boarding pass request failed', error, { authUid: requestAuth.uid, tourId });
+      return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
     }
   }
 );
 
-exports.assignDriverToTour = onRequest(
-  {
-    region: 'europe-west1',
-    maxInstances: 10,
-  },
-  async (req, res) => {
-    if (req.method !== 'POST') {
-      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
-    }
+const PHOTOBOOK_LINK_TTL_MS = 24 * 60 * 60 * 1000;
+const PHOTOBOOK_CLEANUP_MARGIN_MS = 60 * 60 * 1000;
 
-    const requestAuth = await verifyRequestAuthUid(req);
-    if (!requestAuth.success) {
-      return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
-    }
+// A stored photobook is kept while a link handed out for it may still be
+// used: until its stamped `linkExpiresAtMs`, and never sooner than one link
+// lifetime after it was written.
+const resolvePhotobookKeptUntilMs = (metadata = {}) => Math.max(
+  Number(metadata.metadata?.linkExpiresAtMs) || 0,
+  (Date.parse(metadata.timeCreated) || 0) + PHOTOBOOK_LINK_TTL_MS,
+) + PHOTOBOOK_CLEANUP_MARGIN_MS;
 
-    const driverId = normalizeDriverId(req.body?.driverId);
-    const requestedTour = resolveTrimmedString(req.body?.tourCode || req.body?.tourId);
-    const tourId = normalizeTourKeyForComparison(requestedTour);
-    if (!driverId || !isValidFirebaseKey(driverId) || !tourId || !isValidFirebaseKey(tourId)) {
-      return res.status(400).json({ success: false, reason: 'INVALID_INPUT' });
+const deleteExpiredPhotobooks = async ({ bucket, tourId, keepPath, now }) => {
+  const [files] = await bucket.getFiles({ prefix: `${PHOTOBOOK_ROOT}/${tourId}/` });
+  let deleted = 0;
+  for (const existing of files) {
+    if (existing.name === keepPath || resolvePhotobookKeptUntilMs(existing.metadata) > now) continue;
+    try {
+      // An export that re-linked this file since it was listed changed its
+      // metageneration, so the delete is refused and the file stays.
+      const metageneration = existing.metadata?.metageneration;
+      await existing.delete(metageneration === undefined ? {} : { ifMetagenerationMatch: metageneration });
+      deleted += 1;
+    } catch (error) {
+      if (error?.code !== 404 && error?.code !== 412) {
+        log.warn('Photobook cleanup skipped a file', { tourId, error: error?.message || String(error) });
+      }
     }
-
+  }
+  return deleted;
+};
+
+/**
+ * Returns a signed link to the tour's photobook PDF, building it first when
+ * the album has changed since the last export. Files are keyed by a
+ * fingerprint of the printed content, so repeat requests reuse the stored PDF.
+ * Older versions are removed once no link to them can still be in use.
+ */
+const resolveTourPhotobook = async ({
+  db,
+  bucket,
+  tourId,
+  tour,
+  now = Date.now(),
+}) => {
+  const [photosSnapshot, reportsSnapshot] = await Promise.all([
+    db.ref(`group_tour_photos/${tourId}`).once('value'),
+    db.ref('content_reports').orderByChild('tourId').equalTo(tourId).once('value'),
+  ]);
+  const plan = planPhotobook({
+    tourId,
+    tour,
+    photos: photosSnapshot.val() || {},
+    excludedPhotoIds: collectExcludedPhotoIds({ reports: reportsSnapshot.val() || {}, tourId }),
+  });
+  if (plan.photoCount === 0) return { status: 'empty' };
+
+  const storagePath = buildPhotobookStoragePath({ tourId, fingerprint: plan.fingerprint });
+  const file = bucket.file(storagePath);
+  const expiresAtMs = now + PHOTOBOOK_LINK_TTL_MS;
+  let [exists] = await file.exists();
+  if (exists) {
+    // Stamped before the link is signed, so cleanup keeps the file for it.
+    try {
+      await file.setMetadata({ metadata: { linkExpiresAtMs: String(expiresAtMs) } });
+    } catch (error) {
+      if (error?.code !== 404) throw error;
+      exists = false;
+    }
+  }
+  let generated = false;
+  if (!exists) {
+    const { pdf, pageCount, printedPhotoCount } = await buildPhotobookPdf({
+      plan,
+      generatedAtMs: now,
+      loadImage: async (photo) => {
+        try {
+          const [buffer] = await bucket.file(photo.viewerStoragePath).download();
+          return buffer;
+        } catch (error) {
+          log.warn('Photobook photo skipped', { tourId, photoId: photo.id, error: error?.message || String(error) });
+          return null;
+        }
+      },
+    });
+    if (printedPhotoCount === 0) return { status: 'empty' };
+    await file.save(pdf, {
+      resumable: false,
+      contentType: 'application/pdf',
+      metadata: {
+        cacheControl: 'private, max-age=0, no-store',
+        metadata: {
+          tourId,
+          pageCount: String(pageCount),
+          photoCount: String(printedPhotoCount),
+          linkExpiresAtMs: String(expiresAtMs),
+        },
+      },
+    });
+    generated = true;
+  }
+
+  const [url] = await file.getSignedUrl({
+    action: 'read',
+    expires: expiresAtMs,
+    responseDisposition: 'attachment; filename="tour-photobook.pdf"',
+  });
+  try {
+    await deleteExpiredPhotobooks({ bucket, tourId, keepPath: storagePath, now });
+  } catch (error) {
+    log.warn('Photobook cleanup failed', { tourId, error: error?.message || String(error) });
+  }
+  return {
+    status: 'ready',
+    url,
+    expiresAtMs,
+    photoCount: plan.photoCount,
+    omittedCount: plan.omittedCount,
+    generated,
+  };
+};
+
+exports.exportTourPhotobook = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 5,
+    timeoutSeconds: 300,
+    memory: '1GiB',
+  },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
+    }
+
+    const requestAuth = await verifyRequestAuthUid(req);
+    if (!requestAuth.success) {
+      return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
+    }
+
+    const tourId = normalizeTourKeyForComparison(resolveTrimmedString(req.body?.tourId));
+    if (!tourId || !isValidFirebaseKey(tourId)) {
+      return res.status(400).json({ success: false, reason: 'INVALID_INPUT' });
+    }
+
     const clientKey = getRequestClientKey(req);
-    if (!checkRateLimit(`assign_driver_${requestAuth.uid}_${hashRateLimitDimension(clientKey)}`, 12, 60000)) {
+    if (!checkRateLimit(`export_photobook_${requestAuth.uid}_${tourId}_${clientKey}`, 5, 60000)) {
+      log.warn('Photobook export rate limit exceeded', {
+        authUid: requestAuth.uid,
+        tourId,
+        networkDimension: hashRateLimitDimension(clientKey),
+      });
       return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
     }
 
-    const db = admin.database();
-    const lockOwner = randomUUID();
-    const lockPaths = [
-      `driver_assignment_locks/drivers/${driverId}`,
-      `driver_assignment_locks/tours/${tourId}`,
-    ].sort();
-    const acquiredLocks = [];
-
     try {
-      for (const lockPath of lockPaths) {
-        const acquired = await acquireManualBookingLock({
-          db,
-          path: lockPath,
-          owner: lockOwner,
-          nowMs: Date.now(),
-          ttlMs: DRIVER_ASSIGNMENT_LOCK_TTL_MS,
-        });
-        if (!acquired) {
-          return res.status(409).json({ success: false, reason: 'ASSIGNMENT_IN_PROGRESS' });
-        }
-        acquiredLocks.push(lockPath);
-      }
-
-      const [driverSnapshot, tourSnapshot, manifestSnapshot] = await Promise.all([
-        db.ref(`drivers/${driverId}`).once('value'),
-        db.ref(`tours/${tourId}`).once('value'),
-        db.ref(`tour_manifests/${tourId}`).once('value'),
+      const db = admin.database();
+      const tourRef = db.ref(`tours/${tourId}`);
+      const [participantSnapshot, ...tourFieldSnapshots] = await Promise.all([
+        tourRef.child(`participants/${requestAuth.uid}`).once('value'),
+        ...['name', 'startDate', 'endDate', 'startDateEpochMs', 'endDateEpochMs', 'itinerary/days']
+          .map((field) => tourRef.child(field).once('value')),
       ]);
-
-      if (!driverSnapshot.exists()) {
-        return res.status(404).json({ success: false, reason: 'DRIVER_NOT_FOUND' });
-      }
-      const driverData = driverSnapshot.val() || {};
-      if (resolveTrimmedString(driverData.authUid) !== requestAuth.uid) {
+      if (!participantSnapshot.exists()) {
+        log.warn('Photobook export denied', { authUid: requestAuth.uid, tourId, reason: 'NOT_TOUR_MEMBER' });
         return res.status(403).json({ success: false, reason: 'NOT_AUTHORIZED' });
       }
 
-      if (!tourSnapshot.exists()) {
-        return res.status(404).json({ success: false, reason: 'TOUR_NOT_FOUND' });
+      const [name, startDate, endDate, storedStartMs, storedEndMs, itineraryDays] = tourFieldSnapshots
+        .map((snapshot) => snapshot.val());
+      // Older tours may predate the epoch indexes, so fall back to the display dates.
+      const startDateEpochMs = Number.isFinite(storedStartMs) ? storedStartMs : parseDateOnly(startDate);
+      const endDateEpochMs = Number.isFinite(storedEndMs) ? storedEndMs : parseDateOnly(endDate || startDate);
+      if (!isPhotobookAvailable({ endDateEpochMs })) {
+        return res.status(409).json({ success: false, reason: 'PHOTOBOOK_NOT_READY' });
       }
-      const tourData = tourSnapshot.val() || {};
-      if (tourData.isActive === false) {
-        return res.status(409).json({ success: false, reason: 'TOUR_INACTIVE' });
+
+      const result = await resolveTourPhotobook({
+        db,
+        bucket: admin.storage().bucket(),
+        tourId,
+        tour: {
+          name,
+          startDate,
+          endDate,
+          startDateEpochMs,
+          endDateEpochMs,
+          itinerary: { days: Array.isArray(itineraryDays) ? itineraryDays : Object.values(itineraryDays || {}) },
+        },
+      });
+      if (result.status === 'empty') {
+        return res.status(404).json({ success: false, reason: 'NO_PHOTOS' });
       }
 
-      const conflicts = collectDriverAssignmentConflicts({
-        driverId,
-        tourData,
-        manifestData: manifestSnapshot.val() || {},
+      log.info('Photobook export ready', {
+        authUid: requestAuth.uid,
+        tourId,
+        photoCount: result.photoCount,
+        omittedCount: result.omittedCount,
+        generated: result.generated,
       });
-      if (conflicts.length > 0) {
-        log.warn('Driver self-assignment rejected because tour already has another driver', {
-          driverId,
-          authUid: requestAuth.uid,
-          tourId,
-          conflictCount: conflicts.length,
+      return res.status(200).json({
+        success: true,
+        url: result.url,
+        expiresAtMs: result.expiresAtMs,
+        photoCount: result.photoCount,
+      });
+    } catch (error) {
+      log.error('Photobook export failed', error, { authUid: requestAuth.uid, tourId });
+      return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
+    }
+  }
+);
+
+const PHOTO_ARCHIVE_READY_TTL_MS = 24 * 60 * 60 * 1000;
+// Failed or abandoned jobs are swept after this, even if they never finished.
+const PHOTO_ARCHIVE_JOB_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+const PHOTO_ARCHIVE_REDIRECT_TTL_MS = 10 * 60 * 1000;
+const PHOTO_ARCHIVE_PROGRESS_INTERVAL = 10;
+const PHOTO_ARCHIVE_ACTIVE_STATUSES = new Set([PHOTO_ARCHIVE_STATUS.QUEUED, PHOTO_ARCHIVE_STATUS.BUILDING]);
+
+/**
+ * Group photos carry the uploader in `userId`, which may be the auth uid, a
+ * profile alias, or a bound legacy identity. This mirrors the ownership test
+ * in the database rules for deleting a group photo.
+ */
+const createGroupPhotoOwnershipCheck = async ({ db, authUid, groupPhotos }) => {
+  const profileSnapshot = await db.ref(`users/${authUid}`).once('value');
+  const profile = profileSnapshot.val() || {};
+  const ownerIds = new Set([authUid, profile.stablePassengerId, profile.privatePhotoOwnerId]
+    .filter((value) => typeof value === 'string' && value));
+  const boundIds = [...new Set(Object.values(groupPhotos || {})
+    .map((photo) => photo?.userId)
+    .filter((userId) => typeof userId === 'string' && !ownerIds.has(userId) && isValidFirebaseKey(userId)))];
+  const bindings = await Promise.all(boundIds.map(async (userId) => {
+    const snapshot = await db.ref(`identity_bindings/${userId}/${authUid}`).once('value');
+    return snapshot.val() === true ? userId : null;
+  }));
+  bindings.filter(Boolean).forEach((userId) => ownerIds.add(userId));
+  return (photo) => ownerIds.has(photo?.userId);
+};
+
+const writeToStream = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+};
+
+/**
+ * Builds one queued archive job: reads the passenger's photos, streams the
+ * originals into a zip in Storage and records progress on the job so the app
+ * can show it. Photos that cannot be downloaded are skipped and counted.
+ */
+const buildPhotoArchiveJob = async ({ db, bucket, authUid, jobId, now = () => Date.now() }) => {
+  const jobRef = db.ref(`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}`);
+  const downloadRef = db.ref(`${PHOTO_ARCHIVE_DOWNLOADS_ROOT}/${jobId}`);
+  const [jobSnapshot, downloadSnapshot] = await Promise.all([jobRef.once('value'), downloadRef.once('value')]);
+  const job = jobSnapshot.val();
+  const download = downloadSnapshot.val();
+  if (job?.status !== PHOTO_ARCHIVE_STATUS.QUEUED) return { status: 'skipped' };
+  if (download?.authUid !== authUid) {
+    await jobRef.update({ status: PHOTO_ARCHIVE_STATUS.FAILED, reason: 'ARCHIVE_FAILED', updatedAtMs: now() });
+    return { status: PHOTO_ARCHIVE_STATUS.FAILED };
+  }
+
+  const { tourId } = job;
+  const ownerKey = download.ownerKey || null;
+  const storagePath = buildPhotoArchiveStoragePath({ authUid, jobId });
+  const file = bucket.file(storagePath);
+  await jobRef.update({ status: PHOTO_ARCHIVE_STATUS.BUILDING, updatedAtMs: now() });
+
+  try {
+    const [privateSnapshot, groupSnapshot] = await Promise.all([
+      ownerKey ? db.ref(`private_tour_photos/${tourId}/${ownerKey}`).once('value') : null,
+      db.ref(`group_tour_photos/${tourId}`).once('value'),
+    ]);
+    const groupPhotos = groupSnapshot.val() || {};
+    const { entries, omittedCount } = planPhotoArchive({
+      tourId,
+      ownerKey,
+      privatePhotos: privateSnapshot?.val() || {},
+      groupPhotos,
+      ownsGroupPhoto: await createGroupPhotoOwnershipCheck({ db, authUid, groupPhotos }),
+    });
+    if (entries.length === 0) {
+      await jobRef.update({ status: PHOTO_ARCHIVE_STATUS.FAILED, reason: 'NO_PHOTOS', updatedAtMs: now() });
+      return { status: PHOTO_ARCHIVE_STATUS.FAILED, reason: 'NO_PHOTOS' };
+    }
+    await jobRef.update({ progress: { processed: 0, total: entries.length }, updatedAtMs: now() });
+
+    const stream = file.createWriteStream({
+      resumable: true,
+      contentType: 'application/zip',
+      metadata: { cacheControl: 'private, max-age=0, no-store', metadata: { authUid, tourId } },
+    });
+    const finished = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    const zip = createZipWriter((chunk) => writeToStream(stream, chunk));
+    let skippedCount = omittedCount;
+    for (let index = 0; index < entries.length; index += 1) {
+      const entry = entries[index];
+      try {
+        const [buffer] = await bucket.file(entry.storagePath).download();
+        if (zip.byteSize + buffer.length > PHOTO_ARCHIVE_MAX_BYTES) skippedCount += 1;
+        else await zip.addFile(entry.name, buffer, { modifiedAtMs: entry.timestamp });
+      } catch (error) {
+        skippedCount += 1;
+        log.warn('Photo archive entry skipped', {
+          authUid,
+          jobId,
+          source: entry.source,
+          photoId: entry.photoId,
+          error: error?.message || String(error),
         });
-        return res.status(409).json({ success: false, reason: 'TOUR_ALREADY_ASSIGNED' });
       }
+      const processed = index + 1;
+      if (processed % PHOTO_ARCHIVE_PROGRESS_INTERVAL === 0 && processed < entries.length) {
+        await jobRef.child('progress').update({ processed });
+      }
+    }
+    const { byteSize, fileCount } = await zip.finish();
+    stream.end();
+    await finished;
+
+    const readyAtMs = now();
+    const expiresAtMs = readyAtMs + PHOTO_ARCHIVE_READY_TTL_MS;
+    await db.ref().update({
+      [`${PHOTO_ARCHIVE_DOWNLOADS_ROOT}/${jobId}/storagePath`]: storagePath,
+      [`${PHOTO_ARCHIVE_DOWNLOADS_ROOT}/${jobId}/expiresAtMs`]: expiresAtMs,
+      [`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}/status`]: PHOTO_ARCHIVE_STATUS.READY,
+      [`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}/progress`]: { processed: entries.length, total: entries.length },
+      [`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}/photoCount`]: fileCount,
+      [`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}/skippedCount`]: skippedCount,
+      [`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}/byteSize`]: byteSize,
+      [`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}/expiresAtMs`]: expiresAtMs,
+      [`${PHOTO_ARCHIVE_JOBS_ROOT}/${authUid}/${jobId}/updatedAtMs`]: readyAtMs,
+    });
+    return { status: PHOTO_ARCHIVE_STATUS.READY, photoCount: fileCount, skippedCount, byteSize };
+  } catch (error) {
+    log.error('Photo archive build failed', error, { authUid, jobId, tourId });
+    await file.delete({ ignoreNotFound: true }).catch(() => {});
+    await jobRef.update({ status: PHOTO_ARCHIVE_STATUS.FAILED, reason: 'ARCHIVE_FAILED', updatedAtMs: now() });
+    return { status: PHOTO_ARCHIVE_STATUS.FAILED, reason: 'ARCHIVE_FAILED' };
+  }
+};
 
-      const previousTourId = normalizeTourKeyForComparison(driverData.currentTourId);
-      const previousTourSnapshot = previousTourId && previousTourId !== tourId
-        ? await db.ref(`tours/${previousTourId}`).once('value')
-        : null;
-      const assignment = buildDriverSelfAssignmentUpdates({
-        driverId,
+/**
+ * Starts an archive of the caller's private and uploaded group photos for one
+ * tour. Private photos use the same owner-key claim as resolvePrivatePhotoMedia.
+ * The download token is returned once and only its hash is stored.
+ */
+exports.requestPhotoArchive = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
+    }
+
+    const requestAuth = await verifyRequestAuthUid(req);
+    if (!requestAuth.success) {
+      return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
+    }
+
+    const tourId = normalizeTourKeyForComparison(resolveTrimmedString(req.body?.tourId));
+    if (!tourId || !isValidFirebaseKey(tourId)) {
+      return res.status(400).json({ success: false, reason: 'INVALID_INPUT' });
+    }
+
+    const clientKey = getRequestClientKey(req);
+    if (!checkRateLimit(`photo_archive_${requestAuth.uid}_${clientKey}`, 3, 60 * 60 * 1000)) {
+      log.warn('Photo archive rate limit exceeded', {
         authUid: requestAuth.uid,
-        driverData,
-        tourId,
-        tourData,
-        previousTourData: previousTourSnapshot?.val?.() || {},
+        networkDimension: hashRateLimitDimension(clientKey),
       });
+      return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
+    }
 
-      await db.ref().update(assignment.updates);
-      log.info('Driver self-assignment completed', {
-        driverId,
+    try {
+      const db = admin.database();
+      const jobsSnapshot = await db.ref(`${PHOTO_ARCHIVE_JOBS_ROOT}/${requestAuth.uid}`).once('value');
+      const activeJob = Object.values(jobsSnapshot.val() || {})
+        .some((job) => PHOTO_ARCHIVE_ACTIVE_STATUSES.has(job?.status));
+      if (activeJob) {
+        return res.status(409).json({ success: false, reason: 'ARCHIVE_IN_PROGRESS' });
+      }
+
+      const claimedOwnerKey = resolveTrimmedString(requestAuth.claims?.privatePhotoOwnerKey);
+      const ownerKey = claimedOwnerKey && isValidFirebaseKey(claimedOwnerKey) ? claimedOwnerKey : null;
+      const jobId = db.ref(PHOTO_ARCHIVE_JOBS_ROOT).push().key;
+      const { token, tokenHash } = createDownloadToken();
+      const createdAtMs = Date.now();
+      // One multi-path write, so the build trigger always finds the download record.
+      await db.ref().update({
+        [`${PHOTO_ARCHIVE_DOWNLOADS_ROOT}/${jobId}`]: {
+          authUid: requestAuth.uid,
+          ownerKey,
+          tokenHash,
+          expiresAtMs: createdAtMs + PHOTO_ARCHIVE_JOB_TTL_MS,
+        },
+        [`${PHOTO_ARCHIVE_JOBS_ROOT}/${requestAuth.uid}/${jobId}`]: {
+          tourId,
+          status: PHOTO_ARCHIVE_STATUS.QUEUED,
+          progress: { processed: 0, total: 0 },
+          createdAtMs,
+          updatedAtMs: createdAtMs,
+        },
+      });
+      log.info('Photo archive requested', { authUid: requestAuth.uid, tourId, jobId, hasPrivateAlbum: Boolean(ownerKey) });
+      return res.status(202).json({ success: true, jobId, downloadToken: token });
+    } catch (error) {
+      log.error('Photo archive request failed', error, { authUid: requestAuth.uid, tourId });
+      return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
+    }
+  }
+);
+
+exports.buildPhotoArchive = onValueCreated(
+  {
+    ref: `/${PHOTO_ARCHIVE_JOBS_ROOT}/{authUid}/{jobId}`,
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 5,
+    timeoutSeconds: 540,
+    memory: '1GiB',
+  },
+  async (event) => {
+    const { authUid, jobId } = event.params;
+    if (!isValidFirebaseKey(authUid) || !isValidFirebaseKey(jobId)) return null;
+    const result = await buildPhotoArchiveJob({
+      db: admin.database(),
+      bucket: admin.storage().bucket(),
+      authUid,
+      jobId,
+    });
+    log.info('Photo archive job finished', { authUid, jobId, ...result });
+    return null;
+  },
+);
+
+/**
+ * Redeems a download token once. The transaction marks the token used before
+ * any URL is signed, so a forwarded or replayed link gets nothing.
+ */
+const redeemPhotoArchiveDownload = async ({ db, bucket, jobId, token, now = Date.now() }) => {
+  let outcome = 'INVALID_LINK';
+  const downloadRef = db.ref(`${PHOTO_ARCHIVE_DOWNLOADS_ROOT}/${jobId}`);
+  const transaction = await downloadRef.transaction((record) => {
+    // The first call may see an empty local cache; writing null back lets the
+    // server reply with the stored record instead of aborting.
+    if (record === null) {
+      outcome = 'INVALID_LINK';
+      return null;
+    }
+    if (!downloadTokenMatches(token, record?.tokenHash)) {
+      outcome = 'INVALID_LINK';
+      return undefined;
+    }
+    if (record.consumedAtMs) {
+      outcome = 'ALREADY_USED';
+      return undefined;
+    }
+    if (!record.storagePath || !(record.expiresAtMs > now)) {
+      outcome = record.storagePath ? 'EXPIRED' : 'NOT_READY';
+      return undefined;
+    }
+    outcome = 'OK';
+    // Keep the file just long enough for the redirect to finish downloading.
+    return { ...record, consumedAtMs: now, expiresAtMs: now + PHOTO_ARCHIVE_REDIRECT_TTL_MS };
+  });
+  if (!transaction.committed || outcome !== 'OK') return { status: outcome };
+
+  const record = transaction.snapshot.val();
+  const [url] = await bucket.file(record.storagePath).getSignedUrl({
+    action: 'read',
+    expires: now + PHOTO_ARCHIVE_REDIRECT_TTL_MS,
+    responseDisposition: 'attachment; filename="my-tour-photos.zip"',
+  });
+  await db.ref(`${PHOTO_ARCHIVE_JOBS_ROOT}/${record.authUid}/${jobId}`).update({
+    status: PHOTO_ARCHIVE_STATUS.DOWNLOADED,
+    updatedAtMs: now,
+  });
+  return { status: 'OK', url };
+};
+
+const PHOTO_ARCHIVE_LINK_MESSAGES = {
+  ALREADY_USED: 'This download link has already been used. Request a new archive in the app.',
+  EXPIRED: 'This download link has expired. Request a new archive in the app.',
+  NOT_READY: 'Your archive is still being prepared. Try again when the app says it is ready.',
+  INVALID_LINK: 'This download link is not valid.',
+};
+
+// Opened in the browser, so the one-time token in the link is the credential.
+exports.downloadPhotoArchive = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    if (req.method !== 'GET') {
+      res.set('Allow', 'GET');
+      return res.status(405).send('Method not allowed');
+    }
+
+    const jobId = resolveTrimmedString(req.query?.job);
+    const token = resolveTrimmedString(req.query?.token);
+    if (!jobId || !isValidFirebaseKey(jobId) || !token) {
+      return res.status(400).type('text/plain').send(PHOTO_ARCHIVE_LINK_MESSAGES.INVALID_LINK);
+    }
+
+    const clientKey = getRequestClientKey(req);
+    if (!checkRateLimit(`photo_archive_download_${clientKey}`, 20, 60000)) {
+      return res.status(429).type('text/plain').send('Too many requests. Please wait a moment and try again.');
+    }
+
+    try {
+      const result = await redeemPhotoArchiveDownload({
+        db: admin.database(),
+        bucket: admin.storage().bucket(),
+        jobId,
+        token,
+      });
+      if (result.status !== 'OK') {
+        log.warn('Photo archive download refused', { jobId, reason: result.status });
+        const status = result.status === 'NOT_READY' ? 409 : result.status === 'INVALID_LINK' ? 404 : 410;
+        return res.status(status).type('text/plain').send(PHOTO_ARCHIVE_LINK_MESSAGES[result.status]);
+      }
+      log.info('Photo archive download redeemed', { jobId });
+      return res.redirect(302, result.url);
+    } catch (error) {
+      log.error('Photo archive download failed', error, { jobId });
+      return res.status(500).type('text/plain').send('The download could not be started. Please try again.');
+    }
+  }
+);
+
+const PHOTO_ARCHIVE_CLEANUP_BATCH_SIZE = 100;
+
+/**
+ * Deletes archives whose link expired, was used, or whose job never finished,
+ * and marks the job expired so the app stops offering the download.
+ */
+const cleanupExpiredPhotoArchives = async ({ db, bucket, now = Date.now() }) => {
+  const snapshot = await db.ref(PHOTO_ARCHIVE_DOWNLOADS_ROOT)
+    .orderByChild('expiresAtMs')
+    .endAt(now)
+    .limitToFirst(PHOTO_ARCHIVE_CLEANUP_BATCH_SIZE)
+    .once('value');
+  const records = Object.entries(snapshot.val() || {});
+  for (const [jobId, record] of records) {
+    if (record?.authUid && isValidFirebaseKey(record.authUid)) {
+      await bucket.file(buildPhotoArchiveStoragePath({ authUid: record.authUid, jobId }))
+        .delete({ ignoreNotFound: true });
+      const jobRef = db.ref(`${PHOTO_ARCHIVE_JOBS_ROOT}/${record.authUid}/${jobId}`);
+      const jobSnapshot = await jobRef.once('value');
+      if (jobSnapshot.exists()) {
+        const status = jobSnapshot.val()?.status;
+        await jobRef.update({
+          status: status === PHOTO_ARCHIVE_STATUS.DOWNLOADED ? status : PHOTO_ARCHIVE_STATUS.EXPIRED,
+          updatedAtMs: now,
+        });
+      }
+    }
+    await db.ref(`${PHOTO_ARCHIVE_DOWNLOADS_ROOT}/${jobId}`).remove();
+  }
+  return { deletedCount: records.length, hasMore: records.length === PHOTO_ARCHIVE_CLEANUP_BATCH_SIZE };
+};
+
+exports.cleanupExpiredPhotoArchives = onSchedule(
+  {
+    schedule: 'every 1 hours',
+    timeZone: 'Europe/London',
+    region: 'europe-west1',
+    memory: '256MiB',
+    timeoutSeconds: 120,
+    maxInstances: 1,
+  },
+  async () => {
+    const result = await cleanupExpiredPhotoArchives({ db: admin.database(), bucket: admin.storage().bucket() });
+    log.info('Expired photo archive cleanup completed', result);
+    return result;
+  },
+);
+
+exports.verifyDriverLogin = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ valid: false, reason: 'METHOD_NOT_ALLOWED' });
+    }
+
+    const requestAuth = await verifyRequestAuthUid(req);
+    if (!requestAuth.success) {
+      return res.status(401).json({ valid: false, reason: 'INVALID_CREDENTIALS' });
+    }
+
+    const driverId = normalizeDriverId(req.body?.driverId);
+    if (!driverId || !isValidFirebaseKey(driverId)) {
+      return res.status(400).json({ valid: false, reason: 'INVALID_INPUT' });
+    }
+
+    const networkKey = getTrustedRequestNetworkKey(req);
+    const networkDimension = hashRateLimitDimension(networkKey);
+    try {
+      const appCheckValid = await enforceLoginAppCheck({ req, networkDimension, loginType: 'Driver' });
+      if (!appCheckValid) return res.status(401).json({ valid: false, reason: 'INVALID_CREDENTIALS' });
+    } catch (configurationError) {
+      log.error('Driver login disabled by unsafe App Check configuration', configurationError, {
+        networkDimension,
+      });
+      return res.status(503).json({ valid: false, reason: 'SERVICE_UNAVAILABLE' });
+    }
+
+    let rateLimit;
+    try {
+      rateLimit = await checkDriverLoginRateLimits({
+        authUid: requestAuth.uid,
+        clientKey: networkKey,
+        driverId,
+        limiter: distributedLoginRateLimiter,
+      });
+    } catch (rateLimitError) {
+      log.error('Driver login disabled because distributed rate limiting failed', rateLimitError, {
+        networkDimension,
+      });
+      return res.status(503).json({ valid: false, reason: 'SERVICE_UNAVAILABLE' });
+    }
+    if (!rateLimit.allowed) {
+      log.warn('Driver login rate limit exceeded', {
+        scope: rateLimit.scope,
+        authDimension: rateLimit.authDimension,
+        driverId,
+        networkDimension: rateLimit.networkDimension,
+      });
+      return res.status(429).json({ valid: false, reason: 'TRY_AGAIN_LATER' });
+    }
+
+    try {
+      const db = admin.database();
+      const driverSnapshot = await db.ref(`drivers/${driverId}`).once('value');
+      if (!driverSnapshot.exists()) {
+        log.warn('Driver login rejected: driver not found', { driverId, authUid: requestAuth.uid });
+        return res.status(200).json({ valid: false, reason: 'DRIVER_NOT_FOUND' });
+      }
+
+      const driverData = driverSnapshot.val() || {};
+      const claimedAuthUid = resolveTrimmedString(driverData.authUid);
+      if (claimedAuthUid && claimedAuthUid !== requestAuth.uid) {
+        log.warn('Driver login rejected: driver code already linked to another auth uid', {
+          driverId,
+          authUid: requestAuth.uid,
+        });
+        return res.status(403).json({ valid: false, reason: 'DRIVER_ALREADY_LINKED' });
+      }
+
+      const claimResult = await claimDriverAuthUid({
+        db,
+        driverId,
+        authUid: requestAuth.uid,
+      });
+      if (!claimResult.claimed) {
+        log.warn('Driver login rejected: driver claim lost to another auth uid', {
+          driverId,
+          authUid: requestAuth.uid,
+        });
+        return res.status(403).json({ valid: false, reason: 'DRIVER_ALREADY_LINKED' });
+      }
+
+      const assignment = await resolveDriverAssignment({ driverId, driverData, db });
+      let assignedTourCode = assignment.assignedTourCode;
+      let resolvedTour = null;
+
+      if (assignment.assignedTourId) {
+        const tourSnapshot = await db.ref(`tours/${assignment.assignedTourId}`).once('value');
+        if (tourSnapshot.exists()) {
+          const tourData = tourSnapshot.val() || {};
+          resolvedTour = {
+            id: assignment.assignedTourId,
+            ...tourData,
+          };
+        }
+      }
+
+      const nowMs = Date.now();
+      await db.ref().update(buildDriverIdentityProfileUpdates({
+        driverId,
+        authUid: requestAuth.uid,
+        assignedTourId: assignment.assignedTourId,
+        nowMs,
+      }));
+
+      log.info('Driver login reference validated', {
+        driverId,
+        authUid: requestAuth.uid,
+        assignedTourId: assignment.assignedTourId,
+        assignmentSource: assignment.assignmentSource,
+        hasResolvedTour: Boolean(resolvedTour),
+      });
+
+      return res.status(200).json({
+        valid: true,
+        type: 'driver',
+        driver: {
+          id: driverId,
+          name: driverData.name || null,
+          assignedTourId: assignment.assignedTourId,
+          assignedTourCode,
+          hasAssignedTour: Boolean(assignment.assignedTourId),
+        },
+        tour: resolvedTour,
+        assignmentStatus: assignment.assignedTourId
+          ? (resolvedTour ? 'ASSIGNED' : 'ASSIGNED_TOUR_NOT_FOUND')
+          : 'UNASSIGNED',
+        identityClaimed: true,
+      });
+    } catch (error) {
+      log.error('Driver login verification failed', error, {
+        driverId,
+        authUid: requestAuth.uid,
+      });
+      return res.status(500).json({ valid: false, reason: 'INTERNAL_ERROR' });
+    }
+  }
+);
+
+exports.assignDriverToTour = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
+    }
+
+    const requestAuth = await verifyRequestAuthUid(req);
+    if (!requestAuth.success) {
+      return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
+    }
+
+    const driverId = normalizeDriverId(req.body?.driverId);
+    const requestedTour = resolveTrimmedString(req.body?.tourCode || req.body?.tourId);
+    const tourId = normalizeTourKeyForComparison(requestedTour);
+    if (!driverId || !isValidFirebaseKey(driverId) || !tourId || !isValidFirebaseKey(tourId)) {
+      return res.status(400).json({ success: false, reason: 'INVALID_INPUT' });
+    }
+
+    const clientKey = getRequestClientKey(req);
+    if (!checkRateLimit(`assign_driver_${requestAuth.uid}_${hashRateLimitDimension(clientKey)}`, 12, 60000)) {
+      return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
+    }
+
+    const db = admin.database();
+    const lockOwner = randomUUID();
+    const lockPaths = [
+      `driver_assignment_locks/drivers/${driverId}`,
+      `driver_assignment_locks/tours/${tourId}`,
+    ].sort();
+    const acquiredLocks = [];
+
+    try {
+      for (const lockPath of lockPaths) {
+        const acquired = await acquireManualBookingLock({
+          db,
+          path: lockPath,
+          owner: lockOwner,
+          nowMs: Date.now(),
+          ttlMs: DRIVER_ASSIGNMENT_LOCK_TTL_MS,
+        });
+        if (!acquired) {
+          return res.status(409).json({ success: false, reason: 'ASSIGNMENT_IN_PROGRESS' });
+        }
+        acquiredLocks.push(lockPath);
+      }
+
+      const [driverSnapshot, tourSnapshot, manifestSnapshot] = await Promise.all([
+        db.ref(`drivers/${driverId}`).once('value'),
+        db.ref(`tours/${tourId}`).once('value'),
+        db.ref(`tour_manifests/${tourId}`).once('value'),
+      ]);
+
+      if (!driverSnapshot.exists()) {
+        return res.status(404).json({ success: false, reason: 'DRIVER_NOT_FOUND' });
+      }
+      const driverData = driverSnapshot.val() || {};
+      if (resolveTrimmedString(driverData.authUid) !== requestAuth.uid) {
+        return res.status(403).json({ success: false, reason: 'NOT_AUTHORIZED' });
+      }
+
+      if (!tourSnapshot.exists()) {
+        return res.status(404).json({ success: false, reason: 'TOUR_NOT_FOUND' });
+      }
+      const tourData = tourSnapshot.val() || {};
+      if (tourData.isActive === false) {
+        return res.status(409).json({ success: false, reason: 'TOUR_INACTIVE' });
+      }
+
+      const conflicts = collectDriverAssignmentConflicts({
+        driverId,
+        tourData,
+        manifestData: manifestSnapshot.val() || {},
+      });
+      if (conflicts.length > 0) {
+        log.warn('Driver self-assignment rejected because tour already has another driver', {
+          driverId,
+          authUid: requestAuth.uid,
+          tourId,
+          conflictCount: conflicts.length,
+        });
+        return res.status(409).json({ success: false, reason: 'TOUR_ALREADY_ASSIGNED' });
+      }
+
+      const previousTourId = normalizeTourKeyForComparison(driverData.currentTourId);
+      const previousTourSnapshot = previousTourId && previousTourId !== tourId
+        ? await db.ref(`tours/${previousTourId}`).once('value')
+        : null;
+      const assignment = buildDriverSelfAssignmentUpdates({
+        driverId,
+        authUid: requestAuth.uid,
+        driverData,
+        tourId,
+        tourData,
+        previousTourData: previousTourSnapshot?.val?.() || {},
+      });
+
+      await db.ref().update(assignment.updates);
+      log.info('Driver self-assignment completed', {
+        driverId,
+        authUid: requestAuth.uid,
+        tourId,
+        previousTourId: assignment.previousTourId,
+        updatePathCount: Object.keys(assignment.updates).length,
+      });
+      return res.status(200).json({
+        success: true,
+        tourId,
+        tourCode: assignment.canonicalTourCode,
+        previousTourId: assignment.previousTourId,
+      });
+    } catch (error) {
+      log.error('Driver self-assignment failed', error, {
+        driverId,
+        authUid: requestAuth.uid,
+        tourId,
+      });
+      return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
+    } finally {
+      await Promise.all(acquiredLocks.map((path) => releaseManualBookingLock({
+        db,
+        path,
+        owner: lockOwner,
+      })));
+    }
+  }
+);
+
+const resolveSosStatusBaseUrl = (env = process.env) => {
+  const explicitUrl = resolveTrimmedString(env.SOS_STATUS_BASE_URL);
+  if (explicitUrl) return explicitUrl;
+  const projectId = resolveTrimmedString(env.GCLOUD_PROJECT);
+  return projectId ? `https://europe-west1-${projectId}.cloudfunctions.net/sosStatus` : null;
+};
+
+const SOS_CONTACT_SEND_ATTEMPTS = 3;
+// Longer than the trigger's own timeout, so a run that is still sending is
+// never taken over; a run that crashed or timed out gives the link back once
+// this passes.
+const SOS_CONTACT_SEND_LEASE_MS = 3 * 60 * 1000;
+// Redelivered trigger events older than this are dropped; family hearing
+// about an SOS hours late does more harm than good.
+const SOS_CONTACT_RETRY_WINDOW_MS = 30 * 60 * 1000;
+
+const sosContactMessageKey = (message) => `${message.contactId}_${message.channel}`;
+
+/**
+ * Messages the reporter's synced trusted contacts about an SOS and records
+ * the outcome on both alert copies. Reporters who never opted in have no
+ * `safety_contacts` node, so nothing is sent or recorded for them.
+ *
+ * The status link holds a sending lease and marks each message once the
+ * gateway accepts it. A redelivered event after a finished run sends nothing;
+ * one after a crash waits for the lease to lapse, then sends only the
+ * messages never marked, with a fresh token added to the same link. A
+ * refused message is retried a few times within one run.
+ */
+const notifyTrustedContactsOfSos = async ({
+  db,
+  record,
+  nowMs = Date.now(),
+  gateway = resolveMessagingGateway(),
+  statusBaseUrl = resolveSosStatusBaseUrl(),
+  maxSendAttempts = SOS_CONTACT_SEND_ATTEMPTS,
+  wait = (delayMs) => new Promise((resolve) => setTimeout(resolve, delayMs)),
+}) => {
+  const { eventId, tourId, reporterAuthUid } = record;
+  const contactsSnapshot = await db.ref(`${TRUSTED_CONTACTS_ROOT}/${reporterAuthUid}`).once('value');
+  const contactsRecord = contactsSnapshot.val() || {};
+  const contacts = normalizeSyncedTrustedContacts(contactsRecord);
+  if (contacts.length === 0) return null;
+
+  let summary = { status: 'not_configured', messageCount: 0, sentCount: 0, failedCount: 0 };
+  if (gateway && statusBaseUrl) {
+    const [tourNameSnapshot, liveTrackingSnapshot] = await Promise.all([
+      db.ref(`tours/${tourId}/name`).once('value'),
+      db.ref(`tours/${tourId}/liveTracking/${reporterAuthUid}`).once('value'),
+    ]);
+    const { token, tokenHash } = createDownloadToken();
+    const linkPath = `${SOS_STATUS_LINK_ROOT}/${eventId}`;
+    let leaseHeld = false;
+    const claim = await db.ref(linkPath).transaction((current) => {
+      leaseHeld = false;
+      const lease = { state: 'sending', leaseExpiresAtMs: nowMs + SOS_CONTACT_SEND_LEASE_MS };
+      if (!current) {
+        return {
+          tourId,
+          authUid: reporterAuthUid,
+          senderName: resolveTrimmedString(contactsRecord.senderName) || null,
+          tokenHashes: { [tokenHash]: nowMs },
+          createdAtMs: nowMs,
+          expiresAtMs: nowMs + SOS_STATUS_LINK_TTL_MS,
+          delivery: lease,
+        };
+      }
+      if (current.delivery?.state !== 'sending') return undefined;
+      if (Number(current.delivery.leaseExpiresAtMs) > nowMs) {
+        leaseHeld = true;
+        return undefined;
+      }
+      return {
+        ...current,
+        tokenHashes: { ...current.tokenHashes, [tokenHash]: nowMs },
+        delivery: { ...current.delivery, ...lease },
+      };
+    });
+    // Thrown so the trigger is redelivered and can take over if that run died.
+    if (leaseHeld) throw new Error(`Trusted contact SOS delivery for ${eventId} is already in progress`);
+    if (!claim.committed) return null;
+    const alreadySent = claim.snapshot?.val?.()?.delivery?.sent || {};
+    const messages = buildTrustedContactSosMessages({
+      eventId,
+      contacts,
+      senderName: contactsRecord.senderName,
+      tourName: tourNameSnapshot.val() || tourId,
+      location: resolveSosLastLocation({ alert: record, liveTracking: liveTrackingSnapshot.val(), nowMs }),
+      statusUrl: buildSosStatusUrl({ baseUrl: statusBaseUrl, eventId, token }),
+    });
+    // Sent together so one slow provider call cannot hold up the rest.
+    const results = await Promise.all(messages.map(async (message) => {
+      const messageKey = sosContactMessageKey(message);
+      if (alreadySent[messageKey]) return { status: 'sent' };
+      for (let attempt = 0; attempt < maxSendAttempts; attempt += 1) {
+        try {
+          await gateway.send(message);
+          await db.ref(`${linkPath}/delivery/sent/${messageKey}`).set(Date.now());
+          return { status: 'sent' };
+        } catch (error) {
+          log.warn('Trusted contact SOS message failed', {
+            eventId,
+            tourId,
+            channel: message.channel,
+            gateway: gateway.kind,
+            attempt: attempt + 1,
+            error: error?.message || String(error),
+          });
+          if (attempt < maxSendAttempts - 1) await wait(Math.min(1_000 * (2 ** attempt), 5_000));
+        }
+      }
+      return { status: 'failed' };
+    }));
+    summary = summarizeTrustedContactDelivery(results);
+  }
+
+  const notification = {
+    ...summary,
+    contactCount: contacts.length,
+    gateway: gateway?.kind || null,
+    updatedAtMs: nowMs,
+  };
+  await db.ref().update({
+    [`tours/${tourId}/safetyAlerts/${eventId}/trustedContactNotification`]: notification,
+    [`globalSafetyAlerts/${eventId}/trustedContactNotification`]: notification,
+    ...(summary.status === 'not_configured' ? {} : {
+      [`${SOS_STATUS_LINK_ROOT}/${eventId}/delivery/state`]: 'done',
+      [`${SOS_STATUS_LINK_ROOT}/${eventId}/delivery/leaseExpiresAtMs`]: null,
+    }),
+  });
+  return notification;
+};
+
+exports.submitSafetyReport = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 20,
+    timeoutSeconds: 30,
+  },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
+    }
+
+    const requestAuth = await verifyRequestAuthUid(req);
+    if (!requestAuth.success) {
+      return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
+    }
+    const clientKey = getRequestClientKey(req);
+    if (!checkRateLimit(`submit_safety_${requestAuth.uid}_${hashRateLimitDimension(clientKey)}`, 20, 60000)) {
+      return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
+    }
+
+    let input;
+    try {
+      input = normalizeSafetySubmissionInput(req.body, Date.now());
+    } catch (error) {
+      return res.status(400).json({ success: false, reason: error?.code || 'INVALID_INPUT' });
+    }
+
+    const db = admin.database();
+    const lockPath = `safety_submission_locks/${input.tourId}/${input.clientEventId}`;
+    const lockOwner = randomUUID();
+    let lockAcquired = false;
+    try {
+      const existingSnapshot = await db.ref(`tours/${input.tourId}/safetyAlerts/${input.clientEventId}`).once('value');
+      if (existingSnapshot.exists()) {
+        const existing = existingSnapshot.val() || {};
+        if (resolveTrimmedString(existing.reporterAuthUid || existing.userId) !== requestAuth.uid) {
+          return res.status(409).json({ success: false, reason: 'EVENT_ID_CONFLICT' });
+        }
+        return res.status(200).json({
+          success: true,
+          eventId: input.clientEventId,
+          alreadySubmitted: true,
+          receivedAtMs: Number(existing.receivedAtMs || existing.timestampMs) || null,
+        });
+      }
+
+      const access = await resolveSafetyReporterAccess({
+        db,
+        authUid: requestAuth.uid,
+        tourId: input.tourId,
+        requestedRole: input.role,
+      });
+      if (!access.allowed) {
+        return res.status(403).json({ success: false, reason: 'NOT_AUTHORIZED' });
+      }
+
+      lockAcquired = await acquireManualBookingLock({
+        db,
+        path: lockPath,
+        owner: lockOwner,
+        nowMs: Date.now(),
+        ttlMs: SAFETY_SUBMISSION_LOCK_TTL_MS,
+      });
+      if (!lockAcquired) {
+        const retrySnapshot = await db.ref(`tours/${input.tourId}/safetyAlerts/${input.clientEventId}`).once('value');
+        if (retrySnapshot.exists() && resolveTrimmedString(retrySnapshot.val()?.reporterAuthUid || retrySnapshot.val()?.userId) === requestAuth.uid) {
+          return res.status(200).json({ success: true, eventId: input.clientEventId, alreadySubmitted: true });
+        }
+        return res.status(409).json({ success: false, reason: 'SUBMISSION_IN_PROGRESS' });
+      }
+
+      const lockedExistingSnapshot = await db.ref(`tours/${input.tourId}/safetyAlerts/${input.clientEventId}`).once('value');
+      if (lockedExistingSnapshot.exists()) {
+        const lockedExisting = lockedExistingSnapshot.val() || {};
+        if (resolveTrimmedString(lockedExisting.reporterAuthUid || lockedExisting.userId) !== requestAuth.uid) {
+          return res.status(409).json({ success: false, reason: 'EVENT_ID_CONFLICT' });
+        }
+        return res.status(200).json({ success: true, eventId: input.clientEventId, alreadySubmitted: true });
+      }
+
+      const nowMs = Date.now();
+      const record = buildCanonicalSafetyRecord({
+        input,
+        authUid: requestAuth.uid,
+        principalId: access.principalId,
+        nowMs,
+      });
+      await db.ref().update(buildSafetySubmissionUpdates({ record, lockPath }));
+      lockAcquired = false;
+      log.warn('Safety report submitted', {
+        authUid: requestAuth.uid,
+        tourId: input.tourId,
+        eventId: input.clientEventId,
+        category: input.category,
+        severity: input.severity,
+        isSOS: input.isSOS,
+        processedFromQueue: input.processedFromQueue,
+      });
+      return res.status(201).json({
+        success: true,
+        eventId: input.clientEventId,
+        alreadySubmitted: false,
+        receivedAtMs: nowMs,
+      });
+    } catch (error) {
+      log.error('Safety report submission failed', error, {
+        authUid: requestAuth.uid,
+        tourId: input.tourId,
+        eventId: input.clientEventId,
+      });
+      return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
+    } finally {
+      if (lockAcquired) {
+        await releaseManualBookingLock({ db, path: lockPath, owner: lockOwner });
+      }
+    }
+  },
+);
+
+/**
+ * Trusted contacts are messaged from the global SOS copy rather than inside
+ * `submitSafetyReport`, so the reporter's confirmation never waits on the
+ * messaging relay. A thrown error is redelivered while the SOS is recent.
+ */
+exports.notifyTrustedContactsOnSos = onValueCreated(
+  {
+    ref: '/globalSafetyAlerts/{eventId}',
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 10,
+    timeoutSeconds: 120,
+    retry: true,
+  },
+  async (event) => {
+    const eventId = event.params.eventId;
+    const record = event.data?.val?.() || {};
+    if (
+      record.isSOS !== true
+      || record.schemaVersion !== 2
+      || resolveTrimmedString(record.eventId) !== eventId
+      || !isValidFirebaseKey(record.tourId)
+      || !isValidFirebaseKey(record.reporterAuthUid)
+    ) {
+      return null;
+    }
+    if (Date.now() - Date.parse(event.time) > SOS_CONTACT_RETRY_WINDOW_MS) {
+      log.warn('Trusted contact SOS notification dropped after retries', { tourId: record.tourId, eventId });
+      return null;
+    }
+
+    const notification = await notifyTrustedContactsOfSos({ db: admin.database(), record });
+    if (notification) {
+      log.info('Trusted contacts notified of SOS', { tourId: record.tourId, eventId, ...notification });
+    }
+    return null;
+  },
+);
+
+/**
+ * Everything the SOS status page shows, or null when the link is unknown,
+ * wrong or expired. Tokens are only ever stored as hashes; a delivery run
+ * that took over from a crashed one adds its own, so every sent link works.
+ */
+const resolveSosStatus = async ({ db, eventId, token, nowMs = Date.now() }) => {
+  const link = (await db.ref(`${SOS_STATUS_LINK_ROOT}/${eventId}`).once('value')).val();
+  if (!link || !(link.expiresAtMs > nowMs)) return null;
+  if (!Object.keys(link.tokenHashes || {}).some((tokenHash) => downloadTokenMatches(token, tokenHash))) return null;
+  if (!isValidFirebaseKey(link.tourId) || !isValidFirebaseKey(link.authUid)) return null;
+  const [alertSnapshot, tourNameSnapshot, liveTrackingSnapshot] = await Promise.all([
+    db.ref(`tours/${link.tourId}/safetyAlerts/${eventId}`).once('value'),
+    db.ref(`tours/${link.tourId}/name`).once('value'),
+    db.ref(`tours/${link.tourId}/liveTracking/${link.authUid}`).once('value'),
+  ]);
+  const alert = alertSnapshot.val();
+  if (!alert) return null;
+  return {
+    status: resolveTrimmedString(alert.status) || 'pending',
+    senderName: link.senderName,
+    tourName: tourNameSnapshot.val() || link.tourId,
+    location: resolveSosLastLocation({ alert, liveTracking: liveTrackingSnapshot.val(), nowMs }),
+    updatedAtMs: Date.parse(alert.statusUpdatedAt) || Number(alert.receivedAtMs || alert.timestampMs) || null,
+  };
+};
+
+/**
+ * Public, read-only page behind the link sent to trusted contacts for an SOS.
+ * Shows the alert status and the last known location until the link expires.
+ */
+exports.sosStatus = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    res.set('X-Robots-Tag', 'noindex');
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'");
+    if (req.method !== 'GET') {
+      res.set('Allow', 'GET');
+      return res.status(405).type('text/plain').send('Method not allowed');
+    }
+
+    const eventId = resolveTrimmedString(req.query?.alert);
+    const token = resolveTrimmedString(req.query?.token);
+    if (!eventId || !isValidFirebaseKey(eventId) || !token) {
+      return res.status(404).type('html').send(renderSosStatusUnavailablePage());
+    }
+    if (!checkRateLimit(`sos_status_${getRequestClientKey(req)}`, 30, 60000)) {
+      return res.status(429).type('text/plain').send('Too many requests. Please wait a moment and try again.');
+    }
+
+    try {
+      const status = await resolveSosStatus({ db: admin.database(), eventId, token });
+      if (!status) {
+        log.warn('SOS status link refused', { eventId });
+        return res.status(404).type('html').send(renderSosStatusUnavailablePage());
+      }
+      return res.status(200).type('html').send(renderSosStatusPage(status));
+    } catch (error) {
+      log.error('SOS status page failed', error, { eventId });
+      return res.status(500).type('text/plain').send('The status could not be loaded. Please try again.');
+    }
+  },
+);
+
+const SOS_STATUS_LINK_CLEANUP_BATCH_SIZE = 200;
+
+const cleanupExpiredSosStatusLinks = async ({ db, nowMs = Date.now() }) => {
+  const snapshot = await db.ref(SOS_STATUS_LINK_ROOT)
+    .orderByChild('expiresAtMs')
+    .endAt(nowMs)
+    .limitToFirst(SOS_STATUS_LINK_CLEANUP_BATCH_SIZE)
+    .once('value');
+  const eventIds = Object.keys(snapshot.val() || {});
+  if (eventIds.length > 0) {
+    await db.ref(SOS_STATUS_LINK_ROOT).update(Object.fromEntries(eventIds.map((eventId) => [eventId, null])));
+  }
+  return { removedCount: eventIds.length, hasMore: eventIds.length === SOS_STATUS_LINK_CLEANUP_BATCH_SIZE };
+};
+
+exports.cleanupExpiredSosStatusLinks = onSchedule(
+  {
+    schedule: 'every 6 hours',
+    timeZone: 'Europe/London',
+    region: 'europe-west1',
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    maxInstances: 1,
+  },
+  async () => {
+    const result = await cleanupExpiredSosStatusLinks({ db: admin.database() });
+    log.info('Expired SOS status link cleanup completed', result);
+    return result;
+  },
+);
+
+const DEFAULT_LIVE_LOCATION_SHARE_BASE_URL = 'https://loch-lomond-travel-admin.web.app/share/live';
+
+/**
+ * Page URL for a share. The share id and token travel in the fragment, so
+ * they never reach hosting logs or a Referer header.
+ */
+const buildLiveLocationShareUrl = ({ shareId, token, baseUrl = process.env.LIVE_LOCATION_SHARE_BASE_URL }) => (
+  `${resolveTrimmedString(baseUrl) || DEFAULT_LIVE_LOCATION_SHARE_BASE_URL}#${shareId}.${token}`
+);
+
+/**
+ * Creates an expiring share of the caller's live position on one tour. Only a
+ * participant of the tour can share, and only a few links may be active.
+ */
+const createLiveLocationShare = async ({
+  db,
+  authUid,
+  tourId,
+  durationMinutes,
+  displayName,
+  nowMs = Date.now(),
+}) => {
+  const access = await resolveSafetyReporterAccess({ db, authUid, tourId, requestedRole: 'passenger' });
+  if (!access.allowed) return { success: false, status: 403, reason: 'NOT_A_PARTICIPANT' };
+  const ownerShares = (await db.ref(`${LIVE_LOCATION_SHARE_OWNERS_ROOT}/${authUid}`).once('value')).val();
+  if (countActiveLiveLocationShares(ownerShares, nowMs) >= MAX_ACTIVE_LIVE_LOCATION_SHARES) {
+    return { success: false, status: 409, reason: 'TOO_MANY_SHARES' };
+  }
+
+  const shareId = db.ref(LIVE_LOCATION_SHARES_ROOT).push().key;
+  const { token, tokenHash } = createDownloadToken();
+  const expiresAtMs = nowMs + normalizeShareDurationMinutes(durationMinutes) * 60 * 1000;
+  const name = (resolveTrimmedString(displayName) || '').slice(0, 80);
+  await db.ref().update({
+    [`${LIVE_LOCATION_SHARES_ROOT}/${shareId}`]: {
+      authUid,
+      tourId,
+      tokenHash,
+      ...(name ? { displayName: name } : {}),
+      createdAtMs: nowMs,
+      expiresAtMs,
+    },
+    [`${LIVE_LOCATION_SHARE_OWNERS_ROOT}/${authUid}/${shareId}`]: {
+      tourId,
+      createdAtMs: nowMs,
+      expiresAtMs,
+      openCount: 0,
+    },
+  });
+  return { success: true, shareId, token, expiresAtMs, shareUrl: buildLiveLocationShareUrl({ shareId, token }) };
+};
+
+const revokeLiveLocationShare = async ({ db, authUid, shareId, nowMs = Date.now() }) => {
+  const share = (await db.ref(`${LIVE_LOCATION_SHARES_ROOT}/${shareId}`).once('value')).val();
+  if (!share || share.authUid !== authUid) return { success: false, status: 404, reason: 'NOT_FOUND' };
+  if (Number.isFinite(share.revokedAtMs)) return { success: true, revokedAtMs: share.revokedAtMs };
+  await db.ref().update({
+    [`${LIVE_LOCATION_SHARES_ROOT}/${shareId}/revokedAtMs`]: nowMs,
+    [`${LIVE_LOCATION_SHARE_OWNERS_ROOT}/${authUid}/${shareId}/revokedAtMs`]: nowMs,
+  });
+  return { success: true, revokedAtMs: nowMs };
+};
+
+/**
+ * One view of a share page. A wrong token is indistinguishable from an
+ * unknown share; only the holder of a real link learns that it has expired
+ * or been revoked. Every accepted view is recorded against the viewer's
+ * device so the passenger can see who has the link open.
+ */
+const viewLiveLocationShare = async ({
+  db,
+  shareId,
+  token,
+  clientKey,
+  userAgent,
+  nowMs = Date.now(),
+}) => {
+  const share = (await db.ref(`${LIVE_LOCATION_SHARES_ROOT}/${shareId}`).once('value')).val();
+  if (!share || !downloadTokenMatches(token, share.tokenHash)) return { success: false, status: 404, reason: 'NOT_FOUND' };
+  if (!isValidFirebaseKey(share.authUid) || !isValidFirebaseKey(share.tourId)) {
+    return { success: false, status: 404, reason: 'NOT_FOUND' };
+  }
+  const blocked = resolveLiveLocationShareBlock(share, nowMs);
+  if (blocked) return { success: false, status: 410, reason: `LINK_${blocked}` };
+
+  // The audit entry and the open count move together in one transaction on
+  // the owner copy, so concurrent views never lose a count and a view racing
+  // a revoke or deletion can never bring the owner copy back.
+  const ownerPath = `${LIVE_LOCATION_SHARE_OWNERS_ROOT}/${share.authUid}/${shareId}`;
+  const viewerKey = buildLiveLocationViewerKey({ shareId, clientKey, userAgent });
+  const device = summarizeViewerDevice(userAgent);
+  const audit = await db.ref(ownerPath).transaction((current) => {
+    // Writing null over null changes nothing, and still lets the server
+    // rerun this with the stored copy when the local cache is empty.
+    if (!current) return null;
+    if (resolveLiveLocationShareBlock({ ...current, expiresAtMs: share.expiresAtMs }, nowMs)) return undefined;
+    const plan = planLiveLocationShareView({ current: current.viewers?.[viewerKey], device, nowMs });
+    return {
+      ...current,
+      viewers: { ...current.viewers, [viewerKey]: plan.entry },
+      ...(plan.newOpen ? { openCount: (Number(current.openCount) || 0) + 1, lastOpenedAtMs: nowMs } : {}),
+    };
+  });
+  if (!audit.committed || !audit.snapshot.val()) {
+    return { success: false, status: 410, reason: 'LINK_REVOKED' };
+  }
+
+  const [tourNameSnapshot, liveTrackingSnapshot, driverLocationSnapshot] = await Promise.all([
+    db.ref(`tours/${share.tourId}/name`).once('value'),
+    db.ref(`tours/${share.tourId}/liveTracking/${share.authUid}`).once('value'),
+    db.ref(`tours/${share.tourId}/driverLocation`).once('value'),
+  ]);
+  return {
+    success: true,
+    share: buildLiveLocationSharePayload({
+      share,
+      tourName: tourNameSnapshot.val(),
+      liveTracking: liveTrackingSnapshot.val(),
+      driverLocation: driverLocationSnapshot.val(),
+      nowMs,
+    }),
+  };
+};
+
+exports.createLiveLocationShare = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
+    }
+
+    const requestAuth = await verifyRequestAuthUid(req);
+    if (!requestAuth.success) {
+      return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
+    }
+
+    const tourId = normalizeTourKeyForComparison(resolveTrimmedString(req.body?.tourId));
+    if (!tourId || !isValidFirebaseKey(tourId)) {
+      return res.status(400).json({ success: false, reason: 'INVALID_INPUT' });
+    }
+
+    const clientKey = getRequestClientKey(req);
+    if (!checkRateLimit(`live_share_create_${requestAuth.uid}_${hashRateLimitDimension(clientKey)}`, 10, 60 * 60 * 1000)) {
+      return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
+    }
+
+    try {
+      const result = await createLiveLocationShare({
+        db: admin.database(),
         authUid: requestAuth.uid,
         tourId,
-        previousTourId: assignment.previousTourId,
-        updatePathCount: Object.keys(assignment.updates).length,
+        durationMinutes: req.body?.durationMinutes,
+        displayName: req.body?.displayName,
       });
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, reason: result.reason });
+      }
+      log.info('Live location share created', { authUid: requestAuth.uid, tourId, shareId: result.shareId });
       return res.status(200).json({
         success: true,
-        tourId,
-        tourCode: assignment.canonicalTourCode,
-        previousTourId: assignment.previousTourId,
+        shareId: result.shareId,
+        token: result.token,
+        expiresAtMs: result.expiresAtMs,
+        shareUrl: result.shareUrl,
       });
     } catch (error) {
-      log.error('Driver self-assignment failed', error, {
-        driverId,
-        authUid: requestAuth.uid,
-        tourId,
-      });
+      log.error('Live location share creation failed', error, { authUid: requestAuth.uid, tourId });
       return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
-    } finally {
-      await Promise.all(acquiredLocks.map((path) => releaseManualBookingLock({
-        db,
-        path,
-        owner: lockOwner,
-      })));
     }
-  }
+  },
 );
 
-exports.submitSafetyReport = onRequest(
+exports.revokeLiveLocationShare = onRequest(
   {
     region: 'europe-west1',
-    maxInstances: 20,
-    timeoutSeconds: 30,
+    maxInstances: 10,
   },
   async (req, res) => {
     if (req.method !== 'POST') {
@@ -3432,107 +5044,120 @@ exports.submitSafetyReport = onRequest(
     if (!requestAuth.success) {
       return res.status(401).json({ success: false, reason: 'INVALID_CREDENTIALS' });
     }
-    const clientKey = getRequestClientKey(req);
-    if (!checkRateLimit(`submit_safety_${requestAuth.uid}_${hashRateLimitDimension(clientKey)}`, 20, 60000)) {
-      return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
+
+    const shareId = resolveTrimmedString(req.body?.shareId);
+    if (!shareId || !isValidFirebaseKey(shareId)) {
+      return res.status(400).json({ success: false, reason: 'INVALID_INPUT' });
     }
 
-    let input;
     try {
-      input = normalizeSafetySubmissionInput(req.body, Date.now());
+      const result = await revokeLiveLocationShare({ db: admin.database(), authUid: requestAuth.uid, shareId });
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, reason: result.reason });
+      }
+      log.info('Live location share revoked', { authUid: requestAuth.uid, shareId });
+      return res.status(200).json({ success: true, revokedAtMs: result.revokedAtMs });
     } catch (error) {
-      return res.status(400).json({ success: false, reason: error?.code || 'INVALID_INPUT' });
+      log.error('Live location share revoke failed', error, { authUid: requestAuth.uid, shareId });
+      return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
     }
+  },
+);
 
-    const db = admin.database();
-    const lockPath = `safety_submission_locks/${input.tourId}/${input.clientEventId}`;
-    const lockOwner = randomUUID();
-    let lockAcquired = false;
-    try {
-      const existingSnapshot = await db.ref(`tours/${input.tourId}/safetyAlerts/${input.clientEventId}`).once('value');
-      if (existingSnapshot.exists()) {
-        const existing = existingSnapshot.val() || {};
-        if (resolveTrimmedString(existing.reporterAuthUid || existing.userId) !== requestAuth.uid) {
-          return res.status(409).json({ success: false, reason: 'EVENT_ID_CONFLICT' });
-        }
-        return res.status(200).json({
-          success: true,
-          eventId: input.clientEventId,
-          alreadySubmitted: true,
-          receivedAtMs: Number(existing.receivedAtMs || existing.timestampMs) || null,
-        });
-      }
+/**
+ * Public endpoint behind the family share page on the web-admin hosting
+ * site. The page holds no database access of its own; it posts the share id
+ * and token from the link and shows what comes back.
+ */
+exports.viewLiveLocationShare = onRequest(
+  {
+    region: 'europe-west1',
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    const corsAllowed = applyAuthenticatedCors(req, res);
+    res.set('Cache-Control', 'no-store');
+    if (req.method === 'OPTIONS') {
+      return corsAllowed
+        ? res.status(204).send('')
+        : res.status(403).json({ success: false, reason: 'ORIGIN_NOT_ALLOWED' });
+    }
+    if (!corsAllowed) {
+      return res.status(403).json({ success: false, reason: 'ORIGIN_NOT_ALLOWED' });
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, reason: 'METHOD_NOT_ALLOWED' });
+    }
 
-      const access = await resolveSafetyReporterAccess({
-        db,
-        authUid: requestAuth.uid,
-        tourId: input.tourId,
-        requestedRole: input.role,
-      });
-      if (!access.allowed) {
-        return res.status(403).json({ success: false, reason: 'NOT_AUTHORIZED' });
-      }
+    const shareId = resolveTrimmedString(req.body?.shareId);
+    const token = resolveTrimmedString(req.body?.token);
+    if (!shareId || !isValidFirebaseKey(shareId) || !token) {
+      return res.status(404).json({ success: false, reason: 'NOT_FOUND' });
+    }
+    const clientKey = getRequestClientKey(req);
+    if (!checkRateLimit(`live_share_view_${hashRateLimitDimension(clientKey)}`, 30, 60000)) {
+      return res.status(429).json({ success: false, reason: 'TRY_AGAIN_LATER' });
+    }
 
-      lockAcquired = await acquireManualBookingLock({
-        db,
-        path: lockPath,
-        owner: lockOwner,
-        nowMs: Date.now(),
-        ttlMs: SAFETY_SUBMISSION_LOCK_TTL_MS,
+    try {
+      const result = await viewLiveLocationShare({
+        db: admin.database(),
+        shareId,
+        token,
+        clientKey,
+        userAgent: req.headers?.['user-agent'],
       });
-      if (!lockAcquired) {
-        const retrySnapshot = await db.ref(`tours/${input.tourId}/safetyAlerts/${input.clientEventId}`).once('value');
-        if (retrySnapshot.exists() && resolveTrimmedString(retrySnapshot.val()?.reporterAuthUid || retrySnapshot.val()?.userId) === requestAuth.uid) {
-          return res.status(200).json({ success: true, eventId: input.clientEventId, alreadySubmitted: true });
-        }
-        return res.status(409).json({ success: false, reason: 'SUBMISSION_IN_PROGRESS' });
-      }
-
-      const lockedExistingSnapshot = await db.ref(`tours/${input.tourId}/safetyAlerts/${input.clientEventId}`).once('value');
-      if (lockedExistingSnapshot.exists()) {
-        const lockedExisting = lockedExistingSnapshot.val() || {};
-        if (resolveTrimmedString(lockedExisting.reporterAuthUid || lockedExisting.userId) !== requestAuth.uid) {
-          return res.status(409).json({ success: false, reason: 'EVENT_ID_CONFLICT' });
-        }
-        return res.status(200).json({ success: true, eventId: input.clientEventId, alreadySubmitted: true });
+      if (!result.success) {
+        if (result.status === 404) log.warn('Live location share link refused', { shareId });
+        return res.status(result.status).json({ success: false, reason: result.reason });
       }
-
-      const nowMs = Date.now();
-      const record = buildCanonicalSafetyRecord({
-        input,
-        authUid: requestAuth.uid,
-        principalId: access.principalId,
-        nowMs,
-      });
-      await db.ref().update(buildSafetySubmissionUpdates({ record, lockPath }));
-      lockAcquired = false;
-      log.warn('Safety report submitted', {
-        authUid: requestAuth.uid,
-        tourId: input.tourId,
-        eventId: input.clientEventId,
-        category: input.category,
-        severity: input.severity,
-        isSOS: input.isSOS,
-        processedFromQueue: input.processedFromQueue,
-      });
-      return res.status(201).json({
-        success: true,
-        eventId: input.clientEventId,
-        alreadySubmitted: false,
-        receivedAtMs: nowMs,
-      });
+      return res.status(200).json({ success: true, share: result.share });
     } catch (error) {
-      log.error('Safety report submission failed', error, {
-        authUid: requestAuth.uid,
-        tourId: input.tourId,
-        eventId: input.clientEventId,
-      });
+      log.error('Live location share view failed', error, { shareId });
       return res.status(500).json({ success: false, reason: 'INTERNAL_ERROR' });
-    } finally {
-      if (lockAcquired) {
-        await releaseManualBookingLock({ db, path: lockPath, owner: lockOwner });
+    }
+  },
+);
+
+const LIVE_LOCATION_SHARE_CLEANUP_BATCH_SIZE = 200;
+
+/**
+ * Removes shares, with their owner copy and viewer audit, once they have been
+ * expired for the retention period.
+ */
+const cleanupExpiredLiveLocationShares = async ({ db, nowMs = Date.now() }) => {
+  const snapshot = await db.ref(LIVE_LOCATION_SHARES_ROOT)
+    .orderByChild('expiresAtMs')
+    .endAt(nowMs - LIVE_LOCATION_SHARE_RETENTION_MS)
+    .limitToFirst(LIVE_LOCATION_SHARE_CLEANUP_BATCH_SIZE)
+    .once('value');
+  const shares = Object.entries(snapshot.val() || {});
+  if (shares.length > 0) {
+    const updates = {};
+    for (const [shareId, share] of shares) {
+      updates[`${LIVE_LOCATION_SHARES_ROOT}/${shareId}`] = null;
+      if (isValidFirebaseKey(share?.authUid)) {
+        updates[`${LIVE_LOCATION_SHARE_OWNERS_ROOT}/${share.authUid}/${shareId}`] = null;
       }
     }
+    await db.ref().update(updates);
+  }
+  return { removedCount: shares.length, hasMore: shares.length === LIVE_LOCATION_SHARE_CLEANUP_BATCH_SIZE };
+};
+
+exports.cleanupExpiredLiveLocationShares = onSchedule(
+  {
+    schedule: 'every 6 hours',
+    timeZone: 'Europe/London',
+    region: 'europe-west1',
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    maxInstances: 1,
+  },
+  async () => {
+    const result = await cleanupExpiredLiveLocationShares({ db: admin.database() });
+    log.info('Expired live location share cleanup completed', result);
+    return result;
   },
 );
 
@@ -3940,6 +5565,63 @@ exports.processCategoryBroadcastWrite = onValueCreated(
   }
 );
 
+/**
+ * Text of version `version` of a group chat message (1 = as sent): an earlier
+ * version from `editHistory`, the current one from `text`. Reports without a
+ * version mean the current text. Null once the message is a tombstone.
+ */
+const resolveChatMessageVersionText = (message, version) => {
+  if (!message || typeof message !== 'object' || message.deleted === true) return null;
+  const editCount = Number.isInteger(message.editCount) && message.editCount > 0 ? message.editCount : 0;
+  const wanted = version ?? editCount + 1;
+  if (!Number.isInteger(wanted) || wanted < 1 || wanted > editCount + 1) return null;
+  const text = wanted === editCount + 1 ? message.text : message.editHistory?.[`v${wanted}`]?.text;
+  return typeof text === 'string' && text.length > 0 ? { version: wanted, text } : null;
+};
+
+/**
+ * Copies the reported version of a group chat message into the report. The
+ * sender's delete tombstone drops `text` and `editHistory`, so this copy is
+ * what moderators review once the message is gone.
+ */
+const captureReportedChatMessage = async ({ db, reportId, nowMs = Date.now() }) => {
+  const reportSnapshot = await db.ref(`content_reports/${reportId}`).once('value');
+  const report = reportSnapshot.val();
+  if (report?.contentType !== 'chat_message' || report.chatScope !== 'group') return null;
+  if (!isValidFirebaseKey(report.tourId) || !isValidFirebaseKey(report.contentId)) return null;
+
+  const messageSnapshot = await db.ref(`chats/${report.tourId}/messages/${report.contentId}`).once('value');
+  const reported = resolveChatMessageVersionText(messageSnapshot.val(), report.contentVersion);
+  if (!reported) return null;
+
+  const result = await db.ref(`content_reports/${reportId}`).transaction((current) => {
+    // Null over null writes nothing; the server reruns this with the report.
+    if (!current) return null;
+    if (current.reportedMessage) return undefined;
+    return { ...current, reportedMessage: { ...reported, capturedAtMs: nowMs } };
+  });
+  return result.committed ? result.snapshot.val()?.reportedMessage ?? null : null;
+};
+
+exports.captureReportedChatMessage = onValueCreated(
+  {
+    ref: '/content_reports/{reportId}',
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 5,
+  },
+  async (event) => {
+    const { reportId } = event.params;
+    if (!isValidFirebaseKey(reportId)) return null;
+    try {
+      await captureReportedChatMessage({ db: admin.database(), reportId });
+    } catch (error) {
+      log.error('Reported chat message capture failed', error, { reportId });
+    }
+    return null;
+  },
+);
+
 /**
  * Trigger: When a new message is added to /chats/{tourId}/messages/{messageId}
  * Enhanced with validation, security checks, and better error handling
@@ -4311,6 +5993,112 @@ exports.sendInternalChatNotification = onValueCreated(
   },
 );
 
+const readEnabledUids = async (db, path) => Object.entries((await db.ref(path).once('value')).val() || {})
+  .filter(([, enabled]) => enabled === true)
+  .map(([uid]) => uid);
+
+/**
+ * Push audience for a safety alert at one contact tier. The first page goes
+ * to the tour's assigned drivers, the operations account and every delegated
+ * operations admin; escalations add the `safety_on_call` duty roster.
+ */
+const resolveSafetyContactAudience = async ({
+  db,
+  tourId,
+  manifestData,
+  context,
+  tier = INITIAL_SAFETY_CONTACT_TIER,
+}) => {
+  const audiences = new Set(SAFETY_CONTACT_TIERS[tier]?.audiences || SAFETY_CONTACT_TIERS[INITIAL_SAFETY_CONTACT_TIER].audiences);
+  const [assignedDriverRecipientIds, delegatedAdminIds, onCallIds] = await Promise.all([
+    audiences.has(SAFETY_CONTACT_AUDIENCES.ASSIGNED_DRIVERS)
+      ? resolveAssignedDriverRecipientIds({ tourId, manifestData, context })
+      : [],
+    audiences.has(SAFETY_CONTACT_AUDIENCES.OPERATIONS_ADMINS) ? readEnabledUids(db, 'admin_users') : [],
+    audiences.has(SAFETY_CONTACT_AUDIENCES.ON_CALL) ? readEnabledUids(db, SAFETY_ON_CALL_ROOT) : [],
+  ]);
+  const operationsIds = audiences.has(SAFETY_CONTACT_AUDIENCES.OPERATIONS_ADMINS)
+    ? [OPERATIONS_ADMIN_UID, ...delegatedAdminIds]
+    : [];
+  if (audiences.has(SAFETY_CONTACT_AUDIENCES.ON_CALL) && onCallIds.length === 0) {
+    log.warn('Safety escalation has no on-call contacts', { ...context, tier });
+  }
+  return {
+    assignedDriverRecipientIds,
+    onCallRecipientIds: onCallIds,
+    audienceIds: applyRecipientCap(
+      [...new Set([...operationsIds, ...onCallIds, ...assignedDriverRecipientIds])],
+      NOTIFICATION_RECIPIENT_CAP,
+      context,
+    ),
+  };
+};
+
+const sendSafetyAlertPushes = async ({ tourId, eventId, alert, audienceIds, content }) => {
+  const usersMap = await fetchUsersSnapshot(audienceIds, { tourId, notificationType: 'safety_alert' });
+  const reporterAuthUid = resolveTrimmedString(alert.reporterAuthUid || alert.userId);
+  const { validRecipients, invalidTokens } = selectNotificationRecipients({
+    participantIds: audienceIds,
+    usersMap,
+    preferenceResolver: () => true,
+    senderId: reporterAuthUid,
+    senderParticipantIds: reporterAuthUid ? [reporterAuthUid] : [],
+    excludeSender: true,
+    context: { tourId, notificationType: 'safety_alert' },
+  });
+  if (invalidTokens.length > 0) await cleanupInvalidTokens(invalidTokens);
+
+  const pushMessages = validRecipients.map(({ userId }) => ({
+    to: usersMap[userId].pushToken,
+    sound: 'default',
+    title: content.title,
+    body: content.body,
+    data: buildPushNavigationData({
+      tourId,
+      screen: 'SafetySupport',
+      notificationType: alert.isSOS === true || alert.severity === 'critical'
+        ? 'critical_safety_alert'
+        : 'safety_alert',
+    }),
+    priority: content.priority,
+    channelId: 'default',
+  }));
+
+  let successCount = 0;
+  let errorCount = 0;
+  for (const chunk of expo.chunkPushNotifications(pushMessages)) {
+    try {
+      const tickets = await expo.sendPushNotificationsAsync(chunk);
+      const deviceFailures = collectExpoTokenFailures(tickets, chunk);
+      successCount += tickets.filter((ticket) => ticket.status !== 'error').length;
+      errorCount += tickets.filter((ticket) => ticket.status === 'error').length;
+      await Promise.all(deviceFailures.map(async ({ token, errorCode }) => {
+        const recipient = validRecipients.find((candidate) => candidate?.userData?.pushToken === token);
+        if (recipient?.userId) {
+          await removeInvalidToken(recipient.userId, token, { reason: errorCode || 'DEVICE_NOT_REGISTERED' });
+        }
+      }));
+    } catch (error) {
+      errorCount += chunk.length;
+      log.error('Safety notification chunk failed', error, { tourId, eventId, chunkSize: chunk.length });
+    }
+  }
+
+  const deliveryStatus = pushMessages.length === 0
+    ? 'no_recipients'
+    : errorCount === 0
+      ? 'accepted'
+      : successCount > 0
+        ? 'partial'
+        : 'failed';
+  return {
+    deliveryStatus,
+    recipientCount: pushMessages.length,
+    successCount,
+    errorCount,
+  };
+};
+
 exports.sendSafetyAlertNotification = onValueCreated(
   {
     ref: '/tours/{tourId}/safetyAlerts/{eventId}',
@@ -4336,90 +6124,35 @@ exports.sendSafetyAlertNotification = onValueCreated(
 
     const db = admin.database();
     try {
-      const [tourNameSnapshot, manifestSnapshot, adminUsersSnapshot] = await Promise.all([
+      const tier = INITIAL_SAFETY_CONTACT_TIER;
+      const [tourNameSnapshot, manifestSnapshot] = await Promise.all([
         db.ref(`tours/${tourId}/name`).once('value'),
         db.ref(`tour_manifests/${tourId}`).once('value'),
-        db.ref('admin_users').once('value'),
       ]);
-      const assignedDriverRecipientIds = await resolveAssignedDriverRecipientIds({
+      const { assignedDriverRecipientIds, audienceIds } = await resolveSafetyContactAudience({
+        db,
         tourId,
         manifestData: manifestSnapshot.val() || {},
         context: { tourId, eventId, notificationType: 'safety_alert' },
       });
-      const delegatedAdminIds = Object.entries(adminUsersSnapshot.val() || {})
-        .filter(([, enabled]) => enabled === true)
-        .map(([uid]) => uid);
-      const audienceIds = applyRecipientCap(
-        [...new Set([OPERATIONS_ADMIN_UID, ...delegatedAdminIds, ...assignedDriverRecipientIds])],
-        NOTIFICATION_RECIPIENT_CAP,
-        { tourId, notificationType: 'safety_alert' },
-      );
-      const usersMap = await fetchUsersSnapshot(audienceIds, { tourId, notificationType: 'safety_alert' });
-      const reporterAuthUid = resolveTrimmedString(alert.reporterAuthUid || alert.userId);
-      const { validRecipients, invalidTokens } = selectNotificationRecipients({
-        participantIds: audienceIds,
-        usersMap,
-        preferenceResolver: () => true,
-        senderId: reporterAuthUid,
-        senderParticipantIds: reporterAuthUid ? [reporterAuthUid] : [],
-        excludeSender: true,
-        context: { tourId, notificationType: 'safety_alert' },
-      });
-      if (invalidTokens.length > 0) await cleanupInvalidTokens(invalidTokens);
-
-      const content = buildSafetyNotificationContent({
+      const delivery = await sendSafetyAlertPushes({
+        tourId,
+        eventId,
         alert,
-        tourName: tourNameSnapshot.val() || tourId,
-      });
-      const pushMessages = validRecipients.map(({ userId }) => ({
-        to: usersMap[userId].pushToken,
-        sound: 'default',
-        title: content.title,
-        body: content.body,
-        data: buildPushNavigationData({
-          tourId,
-          screen: 'SafetySupport',
-          notificationType: alert.isSOS === true || alert.severity === 'critical'
-            ? 'critical_safety_alert'
-            : 'safety_alert',
+        audienceIds,
+        content: buildSafetyNotificationContent({
+          alert,
+          tourName: tourNameSnapshot.val() || tourId,
         }),
-        priority: content.priority,
-        channelId: 'default',
-      }));
-
-      let successCount = 0;
-      let errorCount = 0;
-      for (const chunk of expo.chunkPushNotifications(pushMessages)) {
-        try {
-          const tickets = await expo.sendPushNotificationsAsync(chunk);
-          const deviceFailures = collectExpoTokenFailures(tickets, chunk);
-          successCount += tickets.filter((ticket) => ticket.status !== 'error').length;
-          errorCount += tickets.filter((ticket) => ticket.status === 'error').length;
-          await Promise.all(deviceFailures.map(async ({ token, errorCode }) => {
-            const recipient = validRecipients.find((candidate) => candidate?.userData?.pushToken === token);
-            if (recipient?.userId) {
-              await removeInvalidToken(recipient.userId, token, { reason: errorCode || 'DEVICE_NOT_REGISTERED' });
-            }
-          }));
-        } catch (error) {
-          errorCount += chunk.length;
-          log.error('Safety notification chunk failed', error, { tourId, eventId, chunkSize: chunk.length });
-        }
-      }
+      });
 
-      const deliveryStatus = pushMessages.length === 0
-        ? 'no_recipients'
-        : errorCount === 0
-          ? 'accepted'
-          : successCount > 0
-            ? 'partial'
-            : 'failed';
       const deliveryUpdate = {
-        notificationDeliveryStatus: deliveryStatus,
-        notificationRecipientCount: pushMessages.length,
-        notificationSuccessCount: successCount,
-        notificationErrorCount: errorCount,
+        notificationDeliveryStatus: delivery.deliveryStatus,
+        notificationRecipientCount: delivery.recipientCount,
+        notificationSuccessCount: delivery.successCount,
+        notificationErrorCount: delivery.errorCount,
         notificationUpdatedAtMs: Date.now(),
+        escalationTier: tier,
       };
       const mirrorUpdates = Object.fromEntries(
         Object.entries(deliveryUpdate).flatMap(([key, value]) => [
@@ -4430,14 +6163,30 @@ exports.sendSafetyAlertNotification = onValueCreated(
         ]),
       );
       await db.ref().update(mirrorUpdates);
+
+      // Server-submitted alerts were queued with the report. Older clients
+      // still write alerts directly, so queue those here.
+      if (alert.schemaVersion !== 2) {
+        const escalationEntry = buildSafetyEscalationEntry({
+          tourId,
+          severity: alert.severity,
+          isSOS: alert.isSOS === true,
+          tier,
+          fromMs: deliveryUpdate.notificationUpdatedAtMs,
+        });
+        if (escalationEntry) {
+          await db.ref(`${SAFETY_ESCALATION_ROOT}/${eventId}`).transaction((current) => current || escalationEntry);
+        }
+      }
       log.info('Safety notification completed', {
         tourId,
         eventId,
-        recipients: pushMessages.length,
+        tier,
+        recipients: delivery.recipientCount,
         assignedDriverRecipientCount: assignedDriverRecipientIds.length,
-        successCount,
-        errorCount,
-        deliveryStatus,
+        successCount: delivery.successCount,
+        errorCount: delivery.errorCount,
+        deliveryStatus: delivery.deliveryStatus,
       });
       return null;
     } catch (error) {
@@ -4451,6 +6200,402 @@ exports.sendSafetyAlertNotification = onValueCreated(
   },
 );
 
+const SAFETY_ESCALATION_BATCH_SIZE = 50;
+
+const notifySafetyContactTier = async ({ db, eventId, alert, tier, nowMs }) => {
+  const tourId = alert.tourId;
+  const [tourNameSnapshot, manifestSnapshot] = await Promise.all([
+    db.ref(`tours/${tourId}/name`).once('value'),
+    db.ref(`tour_manifests/${tourId}`).once('value'),
+  ]);
+  const { audienceIds } = await resolveSafetyContactAudience({
+    db,
+    tourId,
+    manifestData: manifestSnapshot.val() || {},
+    context: { tourId, eventId, notificationType: 'safety_alert' },
+    tier,
+  });
+  const reportedAtMs = Number(alert.receivedAtMs || alert.timestampMs) || Date.parse(alert.timestamp) || nowMs;
+  return sendSafetyAlertPushes({
+    tourId,
+    eventId,
+    alert,
+    audienceIds,
+    content: buildSafetyEscalationNotificationContent({
+      alert,
+      tourName: tourNameSnapshot.val() || tourId,
+      tier,
+      waitedMs: nowMs - reportedAtMs,
+    }),
+  });
+};
+
+// Moves the alert to `escalated` only while nobody has acknowledged it. An
+// acknowledgement that lands mid-sweep wins and the step is abandoned.
+const claimSafetyEscalationStatus = async (statusRef, readStatus) => {
+  const result = await statusRef.transaction((current) => {
+    // Seed the speculative empty-cache pass with the status just read; the
+    // server still compares against the stored value before committing.
+    const status = current ?? readStatus;
+    return isSafetyAlertUnacknowledged({ status }) ? 'escalated' : undefined;
+  });
+  return result.committed && result.snapshot.val() === 'escalated';
+};
+
+/**
+ * Escalates one due queue entry to its next contact tier and records the step
+ * on the alert, so the Dashboard can show every page that went out.
+ */
+const escalateSafetyAlert = async ({ db, eventId, entry, nowMs, notifyTier = notifySafetyContactTier }) => {
+  const queueRef = db.ref(`${SAFETY_ESCALATION_ROOT}/${eventId}`);
+  const tourAlertPath = `tours/${entry?.tourId}/safetyAlerts/${eventId}`;
+  if (!isValidFirebaseKey(eventId) || !isValidFirebaseKey(entry?.tourId)) {
+    await queueRef.remove();
+    return 'dropped';
+  }
+  const alert = (await db.ref(tourAlertPath).once('value')).val();
+  const plan = planSafetyEscalation({ alert, entry, nowMs });
+  if (plan.action === 'wait') return 'waiting';
+  if (plan.action === 'drop') {
+    await queueRef.remove();
+    return 'dropped';
+  }
+
+  const claimed = await claimSafetyEscalationStatus(db.ref(`${tourAlertPath}/status`), alert.status);
+  if (!claimed) {
+    await queueRef.remove();
+    return 'dropped';
+  }
+  const mirrorGlobal = alert.isSOS === true || alert.severity === 'critical';
+  if (mirrorGlobal) {
+    const globalAlert = (await db.ref(`globalSafetyAlerts/${eventId}`).once('value')).val();
+    if (globalAlert) {
+      await claimSafetyEscalationStatus(db.ref(`globalSafetyAlerts/${eventId}/status`), globalAlert.status);
+    }
+  }
+
+  const delivery = await notifyTier({ db, eventId, alert, tier: plan.nextTier, nowMs });
+  const step = buildSafetyEscalationStep({ tier: plan.nextTier, nowMs, delivery });
+  const alertFields = {
+    escalationTier: plan.nextTier,
+    escalatedAtMs: nowMs,
+    [`escalationHistory/tier_${plan.nextTier}`]: step,
+  };
+  const updates = { [`${SAFETY_ESCALATION_ROOT}/${eventId}`]: plan.nextEntry };
+  Object.entries(alertFields).forEach(([key, value]) => {
+    updates[`${tourAlertPath}/${key}`] = value;
+    if (mirrorGlobal) updates[`globalSafetyAlerts/${eventId}/${key}`] = value;
+  });
+  await db.ref().update(updates);
+  log.warn('Safety alert escalated', {
+    tourId: entry.tourId,
+    eventId,
+    tier: plan.nextTier,
+    contactTier: SAFETY_CONTACT_TIERS[plan.nextTier]?.key,
+    deliveryStatus: step.deliveryStatus,
+    recipients: step.recipientCount,
+  });
+  return 'escalated';
+};
+
+// Critical alerts are mirrored globally. A recent one still pending there
+// that never entered the ladder (for example, reported before this sweep was
+// deployed) is queued from its last page. The query only looks inside the
+// escalation window, so old pending alerts cannot crowd out new ones, and an
+// alert that was ever tiered or whose tour copy is gone is left alone: its
+// queue entry was dropped on purpose.
+const queueUntrackedGlobalSafetyAlerts = async ({ db, nowMs }) => {
+  const snapshot = await db.ref('globalSafetyAlerts')
+    .orderByChild('receivedAtMs')
+    .startAt(nowMs - SAFETY_ESCALATION_MAX_AGE_MS)
+    .limitToLast(SAFETY_ESCALATION_BATCH_SIZE)
+    .once('value');
+  let queued = 0;
+  for (const [eventId, alert] of Object.entries(snapshot.val() || {})) {
+    if (!isValidFirebaseKey(eventId) || !isValidFirebaseKey(alert?.tourId)) continue;
+    if (alert.status !== 'pending' || Number.isInteger(alert.escalationTier) || alert.escalatedAtMs) continue;
+    const queueRef = db.ref(`${SAFETY_ESCALATION_ROOT}/${eventId}`);
+    if ((await queueRef.once('value')).exists()) continue;
+    if (!(await db.ref(`tours/${alert.tourId}/safetyAlerts/${eventId}`).once('value')).exists()) continue;
+    const entry = buildSafetyEscalationEntry({
+      tourId: alert.tourId,
+      severity: alert.severity,
+      isSOS: alert.isSOS === true,
+      tier: INITIAL_SAFETY_CONTACT_TIER,
+      fromMs: Number(alert.notificationUpdatedAtMs || alert.receivedAtMs) || nowMs,
+    });
+    if (!entry) continue;
+    await queueRef.set(entry);
+    queued += 1;
+  }
+  return queued;
+};
+
+const runSafetyEscalationSweep = async ({ db, nowMs = Date.now(), notifyTier } = {}) => {
+  const queuedGlobalCount = await queueUntrackedGlobalSafetyAlerts({ db, nowMs });
+  const snapshot = await db.ref(SAFETY_ESCALATION_ROOT)
+    .orderByChild('dueAtMs')
+    .endAt(nowMs)
+    .limitToFirst(SAFETY_ESCALATION_BATCH_SIZE)
+    .once('value');
+  const entries = Object.entries(snapshot.val() || {});
+  const result = {
+    queuedGlobalCount,
+    dueCount: entries.length,
+    escalatedCount: 0,
+    droppedCount: 0,
+    failedCount: 0,
+    hasMore: entries.length === SAFETY_ESCALATION_BATCH_SIZE,
+  };
+  for (const [eventId, entry] of entries) {
+    try {
+      const outcome = await escalateSafetyAlert({ db, eventId, entry, nowMs, notifyTier });
+      if (outcome === 'escalated') result.escalatedCount += 1;
+      if (outcome === 'dropped') result.droppedCount += 1;
+    } catch (error) {
+      // The entry stays due, so the next sweep retries the same tier.
+      result.failedCount += 1;
+      log.error('Safety alert escalation failed', error, { eventId, tourId: entry?.tourId });
+    }
+  }
+  return result;
+};
+
+/**
+ * Pages the next contact tier for HIGH and CRITICAL (and MEDIUM) safety
+ * alerts that nobody acknowledged within their SLA. See
+ * functions/lib/safetyEscalation.js for tiers and timings.
+ */
+exports.escalateUnacknowledgedSafetyAlerts = onSchedule(
+  {
+    schedule: 'every 1 minutes',
+    timeZone: 'Europe/London',
+    region: 'europe-west1',
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    maxInstances: 1,
+  },
+  async () => {
+    const result = await runSafetyEscalationSweep({ db: admin.database() });
+    if (result.escalatedCount > 0 || result.failedCount > 0 || result.hasMore) {
+      log.warn('Safety escalation sweep completed', result);
+    } else {
+      log.info('Safety escalation sweep completed', result);
+    }
+    return result;
+  },
+);
+
+/**
+ * Mirrors a passenger's check-in timer into the server-owned queue. The
+ * stored timer is re-read rather than taken from the event, so events that
+ * arrive out of order still leave the queue matching the timer.
+ */
+const syncSafetyCheckInQueueEntry = async ({ db, tourId, authUid }) => {
+  const checkIn = (await db.ref(`${SAFETY_CHECK_IN_ROOT}/${tourId}/${authUid}`).once('value')).val();
+  const entry = buildCheckInQueueEntry({ tourId, authUid, checkIn });
+  await db.ref(`${SAFETY_CHECK_IN_QUEUE_ROOT}/${checkInQueueKey(tourId, authUid)}`).set(entry);
+  return entry;
+};
+
+exports.queueSafetyCheckIn = onValueWritten(
+  {
+    ref: `/${SAFETY_CHECK_IN_ROOT}/{tourId}/{authUid}`,
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 10,
+    retry: true,
+  },
+  async (event) => {
+    const { tourId, authUid } = event.params;
+    if (!isValidFirebaseKey(tourId) || !isValidFirebaseKey(authUid)) return null;
+    const entry = await syncSafetyCheckInQueueEntry({ db: admin.database(), tourId, authUid });
+    log.info('Safety check-in queue synced', { tourId, running: Boolean(entry) });
+    return null;
+  },
+);
+
+// Removes a queue entry only while it still describes the same timer, so a
+// timer restarted mid-sweep keeps its own entry.
+const dropSafetyCheckInQueueEntry = (db, queueKey, startedAtMs) => db
+  .ref(`${SAFETY_CHECK_IN_QUEUE_ROOT}/${queueKey}`)
+  .transaction((current) => {
+    if (!current) return null;
+    return current.startedAtMs === startedAtMs ? null : undefined;
+  });
+
+/**
+ * Raises the `lost_passenger` alert for one timer that ran out and was not
+ * answered within the grace period. The timer is claimed as `raised` with its
+ * event id first; a sweep that dies before the alert is written finds the
+ * claim on its next run and writes the same event.
+ */
+const raiseSafetyCheckIn = async ({ db, queueKey, entry, nowMs }) => {
+  const { tourId, authUid, startedAtMs } = entry || {};
+  if (!isValidFirebaseKey(tourId) || !isValidFirebaseKey(authUid) || !Number.isFinite(startedAtMs)) {
+    await db.ref(`${SAFETY_CHECK_IN_QUEUE_ROOT}/${queueKey}`).remove();
+    return 'dropped';
+  }
+  const checkInRef = db.ref(`${SAFETY_CHECK_IN_ROOT}/${tourId}/${authUid}`);
+  const checkIn = normalizeStoredCheckIn((await checkInRef.once('value')).val());
+  if (!checkIn || checkIn.startedAtMs !== startedAtMs) {
+    await dropSafetyCheckInQueueEntry(db, queueKey, startedAtMs);
+    return 'dropped';
+  }
+  if (checkIn.status === CHECK_IN_STATUS.RUNNING && checkIn.dueAtMs + CHECK_IN_GRACE_MS > nowMs) return 'waiting';
+
+  const [rollCallSnapshot, access] = await Promise.all([
+    db.ref(`tours/${tourId}/rollCall`).once('value'),
+    resolveSafetyReporterAccess({ db, authUid, tourId, requestedRole: 'passenger' }),
+  ]);
+  if (checkIn.status === CHECK_IN_STATUS.RUNNING && isCheckInBackOnCoach({ checkIn, rollCall: rollCallSnapshot.val(), authUid })) {
+    await checkInRef.transaction((current) => {
+      if (!current) return null;
+      return current.startedAtMs === startedAtMs && current.status === CHECK_IN_STATUS.RUNNING ? null : undefined;
+    });
+    await dropSafetyCheckInQueueEntry(db, queueKey, startedAtMs);
+    return 'stopped';
+  }
+  if (!access.allowed) {
+    await dropSafetyCheckInQueueEntry(db, queueKey, startedAtMs);
+    return 'dropped';
+  }
+
+  const eventId = checkInEventId(authUid, startedAtMs);
+  const claim = await checkInRef.transaction((current) => {
+    // Null over null writes nothing; the server reruns this with the timer.
+    if (!current) return null;
+    if (current.startedAtMs !== startedAtMs) return undefined;
+    if (current.status === CHECK_IN_STATUS.RAISED) return current.eventId === eventId ? current : undefined;
+    return { ...current, status: CHECK_IN_STATUS.RAISED, raisedAtMs: nowMs, eventId };
+  });
+  if (!claim.committed || claim.snapshot.val()?.eventId !== eventId) {
+    await dropSafetyCheckInQueueEntry(db, queueKey, startedAtMs);
+    return 'dropped';
+  }
+
+  const queuePath = `${SAFETY_CHECK_IN_QUEUE_ROOT}/${queueKey}`;
+  if ((await db.ref(`tours/${tourId}/safetyAlerts/${eventId}`).once('value')).exists()) {
+    await db.ref(queuePath).remove();
+    return 'raised';
+  }
+  const liveTracking = (await db.ref(`tours/${tourId}/liveTracking/${authUid}`).once('value')).val();
+  const location = resolveSosLastLocation({ alert: null, liveTracking, nowMs });
+  const text = buildCheckInAlertText(checkIn);
+  const record = buildCanonicalSafetyRecord({
+    input: normalizeSafetySubmissionInput({
+      clientEventId: eventId,
+      tourId,
+      role: 'passenger',
+      category: 'lost_passenger',
+      severity: 'medium',
+      message: text.message,
+      customMessage: text.customMessage,
+      coords: location
+        ? { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracyMeters ?? 0 }
+        : null,
+      isSOS: false,
+      clientCreatedAtMs: nowMs,
+    }, nowMs),
+    authUid,
+    principalId: access.principalId,
+    nowMs,
+  });
+  // The queue entry is released in the same write as the alert.
+  await db.ref().update(buildSafetySubmissionUpdates({ record, lockPath: queuePath }));
+  return 'raised';
+};
+
+const SAFETY_CHECK_IN_BATCH_SIZE = 50;
+
+const runSafetyCheckInSweep = async ({ db, nowMs = Date.now() } = {}) => {
+  const snapshot = await db.ref(SAFETY_CHECK_IN_QUEUE_ROOT)
+    .orderByChild('dueAtMs')
+    .endAt(nowMs - CHECK_IN_GRACE_MS)
+    .limitToFirst(SAFETY_CHECK_IN_BATCH_SIZE)
+    .once('value');
+  const entries = Object.entries(snapshot.val() || {});
+  const result = {
+    dueCount: entries.length,
+    raisedCount: 0,
+    stoppedCount: 0,
+    droppedCount: 0,
+    failedCount: 0,
+    hasMore: entries.length === SAFETY_CHECK_IN_BATCH_SIZE,
+  };
+  for (const [queueKey, entry] of entries) {
+    try {
+      const outcome = await raiseSafetyCheckIn({ db, queueKey, entry, nowMs });
+      if (outcome === 'raised') result.raisedCount += 1;
+      if (outcome === 'stopped') result.stoppedCount += 1;
+      if (outcome === 'dropped') result.droppedCount += 1;
+    } catch (error) {
+      // The entry stays due, so the next sweep tries the same timer again.
+      result.failedCount += 1;
+      log.error('Safety check-in alert failed', error, { tourId: entry?.tourId });
+    }
+  }
+  return result;
+};
+
+/**
+ * Alerts the driver about passengers whose check-in timer ran out, whether or
+ * not their phone is still on. See functions/lib/safetyCheckIn.js.
+ */
+exports.raiseOverdueSafetyCheckIns = onSchedule(
+  {
+    schedule: 'every 1 minutes',
+    timeZone: 'Europe/London',
+    region: 'europe-west1',
+    memory: '256MiB',
+    timeoutSeconds: 60,
+    maxInstances: 1,
+  },
+  async () => {
+    const result = await runSafetyCheckInSweep({ db: admin.database() });
+    if (result.raisedCount > 0 || result.failedCount > 0 || result.hasMore) {
+      log.warn('Safety check-in sweep completed', result);
+    } else {
+      log.info('Safety check-in sweep completed', result);
+    }
+    return result;
+  },
+);
+
+/**
+ * Recounts a photo's likes inside one transaction on the photo, so
+ * concurrent hearts never leave a stale count and a photo deleted with its
+ * likes is not brought back as a bare `likeCount`.
+ */
+const syncPhotoLikeCount = async ({ db, tourId, photoId }) => {
+  const result = await db.ref(`group_tour_photos/${tourId}/${photoId}`).transaction((photo) => {
+    // Null over null writes nothing; the server reruns this with the photo.
+    if (!photo) return null;
+    const update = derivePhotoLikeCountUpdate(photo);
+    return update ? { ...photo, ...update } : undefined;
+  });
+  return result.committed ? result.snapshot.val()?.likeCount ?? null : null;
+};
+
+exports.syncPhotoLikeCount = onValueWritten(
+  {
+    ref: '/group_tour_photos/{tourId}/{photoId}/likes/{likerId}',
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 20,
+  },
+  async (event) => {
+    const { tourId, photoId } = event.params;
+    if (!isValidFirebaseKey(tourId) || !isValidFirebaseKey(photoId)) return null;
+    try {
+      await syncPhotoLikeCount({ db: admin.database(), tourId, photoId });
+    } catch (error) {
+      log.error('Photo like count sync failed', error, { tourId, photoId });
+    }
+    return null;
+  },
+);
+
 const findPhotoRecordByStoragePath = async ({
   dbRoot,
   objectPath,
@@ -4919,6 +7064,242 @@ exports.sendDriverTourPackChangeNotification = onValueWritten(
   },
 );
 
+/**
+ * Trigger: When the assigned driver's shared location changes at
+ * /tours/{tourId}/driverLocation.
+ * Sends one "coach arriving" push per pickup per departure, only to signed-in
+ * passengers booked at that Tour Pack pickup, and audits it in the tour's
+ * broadcast history.
+ */
+exports.sendCoachArrivingNotification = onValueWritten(
+  {
+    ref: '/tours/{tourId}/driverLocation',
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 10,
+  },
+  async (event) => {
+    const { tourId } = event.params;
+    const nowMs = Date.now();
+    const fix = normalizeLiveDriverFix(event.data?.after?.val?.(), nowMs);
+    if (!isValidFirebaseKey(tourId) || !fix) return null;
+
+    const db = admin.database();
+    const startDateSnapshot = await db.ref(`tours/${tourId}/startDate`).once('value');
+    const departureKey = resolveCoachArrivalDepartureKey(tourId, startDateSnapshot.val());
+    if (!departureKey || !isValidFirebaseKey(departureKey)) return null;
+
+    const [packSnapshot, notifiedSnapshot] = await Promise.all([
+      db.ref(`driver_tour_packs/${departureKey}`).once('value'),
+      db.ref(`${COACH_ARRIVAL_ROOT}/${departureKey}`).once('value'),
+    ]);
+    const pack = packSnapshot.val();
+    if (!pack || pack.departureKey !== departureKey || pack.tourId !== tourId) return null;
+
+    const radiusMeters = resolveCoachArrivalRadiusMeters();
+    const arriving = selectArrivingPickup({
+      pack,
+      fix,
+      radiusMeters,
+      notifiedPickupIds: notifiedSnapshot.val() || {},
+    });
+    if (!arriving || !isValidFirebaseKey(arriving.pickup.pickupId)) return null;
+
+    const { pickupId } = arriving.pickup;
+    const context = { tourId, departureKey, pickupId, notificationType: 'coach_arrival' };
+    const { title, body } = buildCoachArrivalMessage(arriving.pickup);
+    // The claim is also the audit. It stays out of `broadcasts/{tourId}`,
+    // which every passenger on the tour reads, because only the passengers
+    // at this pickup get the push.
+    const auditRef = db.ref(`${COACH_ARRIVAL_ROOT}/${departureKey}/${pickupId}`);
+    const claimed = await claimCoachArrivalNotification({
+      database: db,
+      departureKey,
+      pickupId,
+      claim: {
+        status: 'processing',
+        tourId,
+        message: body,
+        distanceMeters: arriving.distanceMeters,
+        radiusMeters,
+        claimedAtMs: nowMs,
+      },
+    });
+    if (!claimed) {
+      log.info('Coach arrival notice already claimed for pickup', context);
+      return null;
+    }
+
+    try {
+      const participantsSnapshot = await db.ref(`tours/${tourId}/participants`).once('value');
+      const participantIds = applyRecipientCap(
+        Object.keys(participantsSnapshot.val() || {}),
+        NOTIFICATION_RECIPIENT_CAP,
+        context,
+      );
+      const usersMap = await fetchUsersSnapshot(participantIds, context);
+      const pickupRecipientIds = selectPickupRecipientIds({
+        participantIds,
+        usersMap,
+        bookingRefs: collectPickupBookingRefs(pack, pickupId),
+      });
+      const { validRecipients, invalidTokens } = selectNotificationRecipients({
+        participantIds: pickupRecipientIds,
+        usersMap,
+        preferencePath: ['preferences', 'ops', 'driver_updates'],
+        senderId: null,
+        excludeSender: false,
+        context,
+      });
+      if (invalidTokens.length) await cleanupInvalidTokens(invalidTokens);
+
+      const pushMessages = validRecipients.map(({ userData }) => ({
+        to: userData.pushToken,
+        sound: 'default',
+        title,
+        body,
+        data: buildPushNavigationData({
+          screen: 'Map',
+          tourId,
+          notificationType: 'coach_arrival',
+          departureKey,
+          timestamp: nowMs,
+        }),
+        priority: 'high',
+        channelId: 'default',
+      }));
+
+      let successCount = 0;
+      let errorCount = 0;
+      for (const chunk of expo.chunkPushNotifications(pushMessages)) {
+        try {
+          const tickets = await expo.sendPushNotificationsAsync(chunk);
+          tickets.forEach((ticket) => {
+            if (ticket?.status === 'ok') successCount += 1;
+            else errorCount += 1;
+          });
+          const tokenFailures = collectExpoTokenFailures(tickets, chunk);
+          if (tokenFailures.length) {
+            await Promise.all(tokenFailures.map(async ({ token, errorCode }) => {
+              const recipient = validRecipients.find((candidate) => candidate.userData?.pushToken === token);
+              if (recipient?.userId) await removeInvalidToken(recipient.userId, token, { reason: errorCode });
+            }));
+          }
+        } catch (error) {
+          errorCount += chunk.length;
+          log.error('Coach arrival notification chunk failed', error, { ...context, chunkSize: chunk.length });
+        }
+      }
+
+      const status = resolveBroadcastDeliveryStatus({ successCount, errorCount, recipientCount: pushMessages.length });
+      await auditRef.update({
+        status,
+        recipientCount: pushMessages.length,
+        successCount,
+        errorCount,
+        completedAtMs: Date.now(),
+      });
+      log.info('Coach arrival notification completed', {
+        ...context,
+        distanceMeters: arriving.distanceMeters,
+        recipientCount: pushMessages.length,
+        successCount,
+        errorCount,
+      });
+    } catch (error) {
+      // The claim is kept so a failing pickup cannot retry on every location
+      // write; operations can still send the manual template from BroadcastPanel.
+      log.error('Coach arrival notification failed', error, context);
+      await auditRef.update({
+        status: 'failed',
+        deliveryErrorCode: 'FANOUT_FAILED',
+        completedAtMs: Date.now(),
+      }).catch(() => {});
+    }
+    return null;
+  },
+);
+
+/**
+ * Trigger: When a driver opens a roll call at
+ * /tour_manifests/{tourId}/roll_calls/{rollCallId}.
+ * Projects which signed-in participants belong to the bookings on the roll
+ * call, so the driver can match "I'm back" confirmations and shared live
+ * locations without reading user profiles.
+ */
+exports.projectRollCallParticipants = onValueCreated(
+  {
+    ref: `/tour_manifests/{tourId}/${ROLL_CALL_ROOT}/{rollCallId}`,
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 10,
+  },
+  async (event) => {
+    const { tourId, rollCallId } = event.params;
+    const rollCall = event.data?.val?.();
+    if (!isValidFirebaseKey(tourId) || !isValidFirebaseKey(rollCallId) || rollCall?.status !== 'open') return null;
+
+    const context = { tourId, rollCallId };
+    const db = admin.database();
+    try {
+      const participantsSnapshot = await db.ref(`tours/${tourId}/participants`).once('value');
+      const participantIds = applyRecipientCap(
+        Object.keys(participantsSnapshot.val() || {}),
+        NOTIFICATION_RECIPIENT_CAP,
+        context,
+      );
+      const usersMap = await fetchUsersSnapshot(participantIds, context);
+      const participantBookings = buildRollCallParticipantBookings({ participantIds, usersMap, rollCall });
+      await db.ref(`tour_manifests/${tourId}/${ROLL_CALL_ROOT}/${rollCallId}/participantBookings`).set(participantBookings);
+      log.info('Roll call participants projected', {
+        ...context,
+        participantCount: Object.keys(participantBookings).length,
+      });
+    } catch (error) {
+      log.error('Roll call participant projection failed', error, context);
+    }
+    return null;
+  },
+);
+
+/**
+ * Trigger: When the driver's ticks change at
+ * /tour_manifests/{tourId}/roll_calls/{rollCallId}/returned.
+ * Mirrors which participants are fully back to /tours/{tourId}/rollCall/returned
+ * so a passenger's check-in timer can stop itself. The pointer is only touched
+ * while it still names this roll call, so a closed roll call is not revived.
+ */
+exports.projectRollCallReturns = onValueWritten(
+  {
+    ref: `/tour_manifests/{tourId}/${ROLL_CALL_ROOT}/{rollCallId}/returned`,
+    region: 'europe-west1',
+    instance: 'loch-lomond-travel-default-rtdb',
+    maxInstances: 10,
+  },
+  async (event) => {
+    const { tourId, rollCallId } = event.params;
+    if (!isValidFirebaseKey(tourId) || !isValidFirebaseKey(rollCallId)) return null;
+
+    const context = { tourId, rollCallId };
+    const db = admin.database();
+    try {
+      const rollCallSnapshot = await db.ref(`tour_manifests/${tourId}/${ROLL_CALL_ROOT}/${rollCallId}`).once('value');
+      const rollCall = rollCallSnapshot.val();
+      if (rollCall?.status !== 'open') return null;
+      const returned = buildRollCallReturnedParticipants(rollCall);
+      await db.ref(`tours/${tourId}/rollCall`).transaction((pointer) => {
+        if (!pointer) return pointer;
+        if (pointer.rollCallId !== rollCallId) return undefined;
+        return { ...pointer, returned: Object.keys(returned).length ? returned : null };
+      });
+      log.info('Roll call returns projected', { ...context, returnedCount: Object.keys(returned).length });
+    } catch (error) {
+      log.error('Roll call return projection failed', error, context);
+    }
+    return null;
+  },
+);
+
 const normalizeTourDateIndexesForEvent = async (event) => {
   const tourId = event.params.tourId;
   if (!isValidFirebaseKey(tourId)) return null;
@@ -5129,6 +7510,22 @@ exports.__testables = {
   normalizeSafetySubmissionInput,
   buildCanonicalSafetyRecord,
   buildSafetySubmissionUpdates,
+  syncPhotoLikeCount,
+  captureReportedChatMessage,
+  resolveChatMessageVersionText,
+  escalateSafetyAlert,
+  resolveSafetyContactAudience,
+  queueUntrackedGlobalSafetyAlerts,
+  runSafetyEscalationSweep,
+  raiseSafetyCheckIn,
+  runSafetyCheckInSweep,
+  syncSafetyCheckInQueueEntry,
+  notifyTrustedContactsOfSos,
+  resolveSosStatus,
+  createLiveLocationShare,
+  revokeLiveLocationShare,
+  viewLiveLocationShare,
+  cleanupExpiredLiveLocationShares,
   resolveSafetyReporterAccess,
   resolveChatSenderParticipantIds,
   resolveChatSenderDeliveryIds,
@@ -5149,6 +7546,7 @@ exports.__testables = {
   buildPhotoVariantPaths,
   buildFirebaseStorageDownloadUrl,
   generatePhotoVariantsForRecord,
+  analyzePhotoQuality,
   sanitizeLogText,
   buildVerifiedLoginGrantUpdates,
   verifyRequestAuthUid,
@@ -5172,6 +7570,7 @@ exports.__testables = {
   resolveBroadcastDeliveryStatus,
   buildTourDeletionUpdates,
   resolveReportedPhotoStoragePaths,
+  blurReportedPhotoRecord,
   checkPassengerLoginRateLimits,
   shouldRequireLoginAppCheck,
   isDeployedFunctionsRuntime,
@@ -5193,4 +7592,8 @@ exports.__testables = {
   isPrivateMediaPathForRecord,
   readPrivateMediaRecords,
   signPrivateMediaRecords,
+  resolveTourPhotobook,
+  buildPhotoArchiveJob,
+  redeemPhotoArchiveDownload,
+  cleanupExpiredPhotoArchives,
 };
@@ -0,0 +1,113 @@
+'use strict';
+
+const { createHmac, timingSafeEqual } = require('crypto');
+
+const BOARDING_PASS_VERSION = 'LLT1';
+const BOARDING_PASS_MIN_SECRET_LENGTH = 32;
+const BOARDING_PASS_MAX_SEAT_LENGTH = 16;
+const DEPARTURE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}::[A-Z0-9_-]+$/;
+const BOOKING_REF_PATTERN = /^[A-Z0-9_-]{1,120}$/;
+
+/**
+ * Reads the master signing secret. A short or missing secret disables pass
+ * issuance rather than producing passes anyone could forge.
+ */
+function resolveBoardingPassSecret(value = process.env.BOARDING_PASS_SIGNING_SECRET) {
+  if (typeof value !== 'string') return null;
+  const secret = value.trim();
+  return secret.length >= BOARDING_PASS_MIN_SECRET_LENGTH ? secret : null;
+}
+
+/**
+ * Derives the per-departure key. Drivers only ever receive this derived key,
+ * so a lost driver device can forge passes for one departure at most.
+ */
+function deriveBoardingPassKey(secret, departureKey) {
+  if (!secret || !DEPARTURE_KEY_PATTERN.test(departureKey || '')) return null;
+  return createHmac('sha256', secret).update(`boarding-pass:${departureKey}`).digest('hex');
+}
+
+function normalizeSeat(value) {
+  const seat = String(value ?? '').trim().replace(/\|/g, '').slice(0, BOARDING_PASS_MAX_SEAT_LENGTH);
+  return seat || 'TBA';
+}
+
+const signBody = (key, body) => createHmac('sha256', key).update(body).digest('hex');
+
+/**
+ * Builds the compact QR text:
+ * `LLT1|{departureKey}|{bookingRef}|{passengerIndex}|{seat}|{issuedAtMs}|{hmac}`.
+ * The pass carries no passenger name; the driver resolves it from the manifest.
+ */
+function signBoardingPass({ secret, departureKey, bookingRef, passengerIndex, seat, issuedAtMs = Date.now() } = {}) {
+  const key = deriveBoardingPassKey(secret, departureKey);
+  const normalizedBookingRef = typeof bookingRef === 'string' ? bookingRef.trim().toUpperCase() : '';
+  if (!key || !BOOKING_REF_PATTERN.test(normalizedBookingRef)) return null;
+  if (!Number.isSafeInteger(passengerIndex) || passengerIndex < 0) return null;
+  const body = [
+    BOARDING_PASS_VERSION,
+    departureKey,
+    normalizedBookingRef,
+    passengerIndex,
+    normalizeSeat(seat),
+    Math.floor(issuedAtMs),
+  ].join('|');
+  return `${body}|${signBody(key, body)}`;
+}
+
+/**
+ * Server-side mirror of the driver's offline check, used by tests and support
+ * tooling. Returns the decoded pass or null.
+ */
+function verifyBoardingPass(token, key) {
+  if (typeof token !== 'string' || typeof key !== 'string') return null;
+  const separator = token.lastIndexOf('|');
+  if (separator < 0) return null;
+  const body = token.slice(0, separator);
+  const signature = Buffer.from(token.slice(separator + 1), 'hex');
+  const expected = Buffer.from(signBody(key, body), 'hex');
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) return null;
+  const [version, departureKey, bookingRef, passengerIndex, seat, issuedAtMs] = body.split('|');
+  if (version !== BOARDING_PASS_VERSION) return null;
+  return {
+    departureKey,
+    bookingRef,
+    passengerIndex: Number(passengerIndex),
+    seat,
+    issuedAtMs: Number(issuedAtMs),
+  };
+}
+
+/**
+ * Issues one pass per manifest passenger row so the driver can board each
+ * traveller on a shared booking individually.
+ */
+function issueBookingBoardingPasses({ secret, departureKey, bookingRef, passengerNames = [], seatNumbers = [], issuedAtMs = Date.now() } = {}) {
+  return passengerNames.map((passengerName, passengerIndex) => {
+    const seat = normalizeSeat(seatNumbers[passengerIndex]);
+    return {
+      passengerIndex,
+      passengerName,
+      seat,
+      token: signBoardingPass({ secret, departureKey, bookingRef, passengerIndex, seat, issuedAtMs }),
+    };
+  }).filter((pass) => pass.token);
+}
+
+/**
+ * Verification material attached to the assigned driver's manifest response.
+ */
+function buildBoardingPassVerification({ secret, departureKey } = {}) {
+  const key = deriveBoardingPassKey(secret, departureKey);
+  return key ? { version: BOARDING_PASS_VERSION, departureKey, key } : null;
+}
+
+module.exports = {
+  BOARDING_PASS_VERSION,
+  buildBoardingPassVerification,
+  deriveBoardingPassKey,
+  issueBookingBoardingPasses,
+  resolveBoardingPassSecret,
+  signBoardingPass,
+  verifyBoardingPass,
+};
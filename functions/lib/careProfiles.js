@@ -0,0 +1,77 @@
+'use strict';
+
+// `care_profiles/{authUid}` holds the mobility needs, allergies, medications
+// and emergency contact a passenger chose to share with their driver. Only
+// the owner can read or write it; the manifest copies it to the assigned
+// driver. The app and database.rules.json apply the same limits, and the
+// node only exists while consent is given.
+const CARE_PROFILES_ROOT = 'care_profiles';
+const CARE_PROFILE_CONSENT_VERSION = 1;
+const CARE_MOBILITY_NEEDS = Object.freeze([
+  'wheelchair',
+  'walking_aid',
+  'step_free_access',
+  'boarding_assistance',
+]);
+const MAX_CARE_TEXT_LENGTH = 300;
+
+const trimmedString = (value, maxLength) => (
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null
+);
+
+/**
+ * The part of a care profile a driver sees. Returns null unless the record
+ * carries the current consent version and says something worth showing.
+ */
+function normalizeCareProfileForDriver(record) {
+  if (!record || typeof record !== 'object') return null;
+  const consent = record.consent;
+  if (consent?.version !== CARE_PROFILE_CONSENT_VERSION || !Number.isFinite(consent?.grantedAtMs)) return null;
+
+  const mobility = CARE_MOBILITY_NEEDS.filter((need) => record.mobility?.[need] === true);
+  const contactName = trimmedString(record.emergencyContact?.name, 80);
+  const contactPhone = trimmedString(record.emergencyContact?.phone, 40);
+  const profile = {
+    passengerName: trimmedString(record.passengerName, 80),
+    mobility,
+    mobilityNotes: trimmedString(record.mobilityNotes, MAX_CARE_TEXT_LENGTH),
+    allergies: trimmedString(record.allergies, MAX_CARE_TEXT_LENGTH),
+    medications: trimmedString(record.medications, MAX_CARE_TEXT_LENGTH),
+    emergencyContact: contactName && contactPhone ? { name: contactName, phone: contactPhone } : null,
+    updatedAtMs: Number.isFinite(record.updatedAtMs) ? record.updatedAtMs : null,
+  };
+
+  const hasContent = mobility.length > 0
+    || profile.mobilityNotes
+    || profile.allergies
+    || profile.medications
+    || profile.emergencyContact;
+  return hasContent ? profile : null;
+}
+
+/**
+ * Adds `careProfiles` to the manifest bookings that the profile owners are
+ * booked on. `participants` pairs each tour participant's booking reference
+ * with their raw profile; bookings with nothing to show are left unchanged.
+ */
+function attachCareProfiles(bookings, participants) {
+  const byBooking = new Map();
+  (Array.isArray(participants) ? participants : []).forEach(({ bookingRef, record }) => {
+    const profile = normalizeCareProfileForDriver(record);
+    if (!profile || typeof bookingRef !== 'string' || !bookingRef) return;
+    byBooking.set(bookingRef, [...(byBooking.get(bookingRef) || []), profile]);
+  });
+  if (byBooking.size === 0) return bookings;
+  return bookings.map((booking) => (
+    byBooking.has(booking.id) ? { ...booking, careProfiles: byBooking.get(booking.id) } : booking
+  ));
+}
+
+module.exports = {
+  CARE_MOBILITY_NEEDS,
+  CARE_PROFILES_ROOT,
+  CARE_PROFILE_CONSENT_VERSION,
+  MAX_CARE_TEXT_LENGTH,
+  attachCareProfiles,
+  normalizeCareProfileForDriver,
+};
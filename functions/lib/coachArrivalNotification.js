@@ -0,0 +1,155 @@
+'use strict';
+
+const { parseDateOnly } = require('./tourDateIndex');
+
+const COACH_ARRIVAL_LIMITS = Object.freeze({
+  defaultRadiusMeters: 800,
+  minRadiusMeters: 150,
+  maxRadiusMeters: 5000,
+  maxFixAgeMs: 2 * 60 * 1000,
+  maxFutureSkewMs: 60 * 1000,
+  maxFixAccuracyMeters: 200,
+});
+
+const COACH_ARRIVAL_ROOT = 'coach_arrival_notifications';
+const COACH_ARRIVAL_TIME_ZONE = 'Europe/London';
+
+const finiteNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Reads the operator-configured approach radius. Out-of-range or malformed
+ * values fall back to the default rather than silently disabling the notice.
+ */
+function resolveCoachArrivalRadiusMeters(value = process.env.COACH_ARRIVAL_RADIUS_METERS) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)
+    || numeric < COACH_ARRIVAL_LIMITS.minRadiusMeters
+    || numeric > COACH_ARRIVAL_LIMITS.maxRadiusMeters) {
+    return COACH_ARRIVAL_LIMITS.defaultRadiusMeters;
+  }
+  return Math.round(numeric);
+}
+
+/**
+ * Derives the exact Tour Pack departure key from the tour start date. A tour
+ * without a valid start date has no departure identity and is never guessed.
+ */
+function resolveCoachArrivalDepartureKey(tourId, startDate) {
+  if (typeof tourId !== 'string' || !tourId.trim()) return null;
+  const epochMs = parseDateOnly(startDate);
+  if (epochMs === null) return null;
+  return `${new Date(epochMs).toISOString().slice(0, 10)}::${tourId.trim()}`;
+}
+
+/**
+ * Accepts only a fresh, accurate automatic live point. Manual pickup pins are
+ * destinations, not the coach's position, so they never trigger a notice.
+ */
+function normalizeLiveDriverFix(record, nowMs = Date.now()) {
+  if (!record || typeof record !== 'object') return null;
+  if (record.schemaVersion !== 1 || record.isSharing !== true || record.mode !== 'live' || record.source !== 'auto') return null;
+  const latitude = finiteNumber(record.latitude);
+  const longitude = finiteNumber(record.longitude);
+  const timestampMs = finiteNumber(record.timestamp);
+  if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  if (timestampMs === null
+    || timestampMs > nowMs + COACH_ARRIVAL_LIMITS.maxFutureSkewMs
+    || nowMs - timestampMs > COACH_ARRIVAL_LIMITS.maxFixAgeMs) return null;
+  const accuracy = finiteNumber(record.accuracy);
+  if (accuracy !== null && accuracy > COACH_ARRIVAL_LIMITS.maxFixAccuracyMeters) return null;
+  return { latitude, longitude, timestampMs };
+}
+
+function distanceMeters(pointA, pointB) {
+  const toRad = (value) => (value * Math.PI) / 180;
+  const dLat = toRad(pointB.latitude - pointA.latitude);
+  const dLon = toRad(pointB.longitude - pointA.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(pointA.latitude)) * Math.cos(toRad(pointB.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function localDateISO(epochMs, timeZone = COACH_ARRIVAL_TIME_ZONE) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(epochMs));
+}
+
+/**
+ * Returns the nearest same-day pickup inside the radius that has not already
+ * been announced for this departure, or null.
+ */
+function selectArrivingPickup({ pack, fix, radiusMeters, notifiedPickupIds = {} } = {}) {
+  if (!pack || pack.status !== 'active' || !fix) return null;
+  const fixDateISO = localDateISO(fix.timestampMs);
+  const candidates = Object.values(pack.pickups && typeof pack.pickups === 'object' ? pack.pickups : {})
+    .filter((pickup) => pickup?.pickupId
+      && pickup.dateISO === fixDateISO
+      && finiteNumber(pickup.latitude) !== null
+      && finiteNumber(pickup.longitude) !== null
+      && !notifiedPickupIds?.[pickup.pickupId])
+    .map((pickup) => ({ pickup, distanceMeters: Math.round(distanceMeters(fix, pickup)) }))
+    .filter((entry) => entry.distanceMeters <= radiusMeters)
+    .sort((left, right) => left.distanceMeters - right.distanceMeters
+      || left.pickup.sequence - right.pickup.sequence);
+  return candidates[0] || null;
+}
+
+function collectPickupBookingRefs(pack, pickupId) {
+  const refs = new Set();
+  Object.values(pack?.passengers && typeof pack.passengers === 'object' ? pack.passengers : {}).forEach((passenger) => {
+    if (passenger?.pickupId !== pickupId || typeof passenger.bookingRef !== 'string') return;
+    const bookingRef = passenger.bookingRef.trim().toUpperCase();
+    if (bookingRef) refs.add(bookingRef);
+  });
+  return [...refs].sort();
+}
+
+/**
+ * Narrows tour participants to the signed-in passengers whose verified
+ * booking is collected at the arriving pickup.
+ */
+function selectPickupRecipientIds({ participantIds = [], usersMap = {}, bookingRefs = [] } = {}) {
+  const refs = new Set(bookingRefs);
+  return participantIds.filter((userId) => {
+    const bookingRef = usersMap?.[userId]?.bookingRef;
+    return typeof bookingRef === 'string' && refs.has(bookingRef.trim().toUpperCase());
+  });
+}
+
+function buildCoachArrivalMessage(pickup) {
+  const name = typeof pickup?.name === 'string' && pickup.name.trim() ? pickup.name.trim() : 'your pickup point';
+  return {
+    title: 'Your coach is nearly here',
+    body: `The coach is approaching ${name}. Please make your way to the pickup point.`,
+  };
+}
+
+/**
+ * Claims the one notice allowed per pickup per departure. The transaction
+ * aborts when a claim already exists, so concurrent location writes cannot
+ * both send.
+ */
+async function claimCoachArrivalNotification({ database, departureKey, pickupId, claim }) {
+  const reference = database.ref(`${COACH_ARRIVAL_ROOT}/${departureKey}/${pickupId}`);
+  const result = await reference.transaction((current) => (current ? undefined : claim));
+  return Boolean(result?.committed);
+}
+
+module.exports = {
+  COACH_ARRIVAL_LIMITS,
+  COACH_ARRIVAL_ROOT,
+  buildCoachArrivalMessage,
+  claimCoachArrivalNotification,
+  collectPickupBookingRefs,
+  distanceMeters,
+  localDateISO,
+  normalizeLiveDriverFix,
+  resolveCoachArrivalDepartureKey,
+  resolveCoachArrivalRadiusMeters,
+  selectArrivingPickup,
+  selectPickupRecipientIds,
+};
@@ -12,6 +12,7 @@ const ADMIN_STATUS_ROOT = 'driver_tour_pack_admin_status';
 const CHANGES_ROOT = 'driver_tour_pack_changes';
 const PROGRESS_ROOT = 'driver_tour_pack_progress';
 const ISSUES_ROOT = 'driver_tour_pack_issues';
+const COACH_ARRIVALS_ROOT = 'coach_arrival_notifications';
 
 /**
  * Removes expired operational payloads in small, idempotent batches.  The
@@ -54,6 +55,7 @@ async function cleanupExpiredDriverTourPacks({
     updates[`${ACTIONS_ROOT}/${departureKey}`] = null;
     updates[`${CHANGES_ROOT}/${departureKey}`] = null;
     updates[`${PROGRESS_ROOT}/${departureKey}`] = null;
+    updates[`${COACH_ARRIVALS_ROOT}/${departureKey}`] = null;
     Object.values(actionSnapshots[index] || {}).forEach((driverActions) => {
       Object.keys(driverActions?.issues || {}).forEach((issueId) => {
         updates[`${ISSUES_ROOT}/${issueId}`] = null;
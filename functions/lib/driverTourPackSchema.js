@@ -230,7 +230,9 @@ function validateTour(value, status, errors) {
 
 function validatePickup(value, key, path, errors) {
   const keys = ['pickupId', 'dateISO', 'time', 'name', 'address', 'passengerCount', 'bookingCount', 'sequence'];
-  exactObject(value, keys, keys, path, errors);
+  // Stop coordinates are optional so geocoding can lag behind the report feed;
+  // when present they drive on-device arrival geofencing.
+  exactObject(value, [...keys, 'latitude', 'longitude'], keys, path, errors);
   if (!isObject(value)) return;
   equal(value.pickupId, key, `${path}.pickupId`, errors);
   dateString(value.dateISO, `${path}.dateISO`, errors);
@@ -240,6 +242,7 @@ function validatePickup(value, key, path, errors) {
   nonNegativeInteger(value.passengerCount, `${path}.passengerCount`, errors);
   nonNegativeInteger(value.bookingCount, `${path}.bookingCount`, errors);
   nonNegativeInteger(value.sequence, `${path}.sequence`, errors);
+  optionalCoordinates(value, path, errors);
 }
 
 function validatePassenger(value, key, path, errors) {
@@ -495,6 +498,22 @@ function nonNegativeNumber(value, path, errors) {
   if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) errors.push(`${path} must be a non-negative finite number.`);
 }
 
+function optionalCoordinates(value, path, errors) {
+  const hasLatitude = Object.hasOwn(value, 'latitude');
+  const hasLongitude = Object.hasOwn(value, 'longitude');
+  if (!hasLatitude && !hasLongitude) return;
+  if (hasLatitude !== hasLongitude) {
+    errors.push(`${path} must include both latitude and longitude.`);
+    return;
+  }
+  if (typeof value.latitude !== 'number' || !Number.isFinite(value.latitude) || value.latitude < -90 || value.latitude > 90) {
+    errors.push(`${path}.latitude must be between -90 and 90.`);
+  }
+  if (typeof value.longitude !== 'number' || !Number.isFinite(value.longitude) || value.longitude < -180 || value.longitude > 180) {
+    errors.push(`${path}.longitude must be between -180 and 180.`);
+  }
+}
+
 function isObject(value) {
   return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
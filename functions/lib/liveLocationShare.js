@@ -0,0 +1,169 @@
+'use strict';
+
+const { createHash } = require('crypto');
+
+// Server-only share records. The token is kept as a hash, like photo archive
+// download links, so a database export never contains a working link.
+const LIVE_LOCATION_SHARES_ROOT = 'live_location_shares';
+// Owner-readable copy the app lists links from, with one `viewers/{viewerKey}`
+// audit entry per device that opened the link. A share whose owner copy is
+// gone (revoked, cleaned up or account deleted) no longer opens.
+const LIVE_LOCATION_SHARE_OWNERS_ROOT = 'live_location_share_owners';
+
+const LIVE_LOCATION_SHARE_DURATIONS_MINUTES = Object.freeze([60, 240, 720, 1440]);
+const DEFAULT_LIVE_LOCATION_SHARE_MINUTES = 240;
+const MAX_ACTIVE_LIVE_LOCATION_SHARES = 3;
+// Expired and revoked shares, with their audit, are kept this long so the
+// passenger can still see who opened a link after it stopped working.
+const LIVE_LOCATION_SHARE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// The page polls; a viewer only counts as opening the link again after a gap.
+const LIVE_LOCATION_SHARE_REOPEN_GAP_MS = 30 * 60 * 1000;
+// Older points are shown as unavailable rather than as where someone is now.
+const MAX_SHARED_LOCATION_AGE_MS = 10 * 60 * 1000;
+
+const finiteNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+function normalizeShareDurationMinutes(value) {
+  const minutes = Number(value);
+  return LIVE_LOCATION_SHARE_DURATIONS_MINUTES.includes(minutes) ? minutes : DEFAULT_LIVE_LOCATION_SHARE_MINUTES;
+}
+
+/**
+ * Why a share cannot be viewed, or null when it can.
+ *
+ * @returns {null | 'REVOKED' | 'EXPIRED'}
+ */
+function resolveLiveLocationShareBlock(share, nowMs) {
+  if (finiteNumber(share?.revokedAtMs) !== null) return 'REVOKED';
+  if (!(finiteNumber(share?.expiresAtMs) > nowMs)) return 'EXPIRED';
+  return null;
+}
+
+function countActiveLiveLocationShares(ownerShares, nowMs) {
+  return Object.values(ownerShares || {})
+    .filter((share) => resolveLiveLocationShareBlock(share, nowMs) === null)
+    .length;
+}
+
+/**
+ * Stable per-link id for a viewer's network and browser. It is only a hash,
+ * so the audit says "this device opened it 3 times" without storing an IP.
+ */
+function buildLiveLocationViewerKey({ shareId, clientKey, userAgent = '' }) {
+  return createHash('sha256')
+    .update(`${shareId}:${clientKey}:${String(userAgent).slice(0, 300)}`)
+    .digest('hex')
+    .slice(0, 24);
+}
+
+/**
+ * A coarse device label such as "Safari on iPhone" for the audit list.
+ */
+function summarizeViewerDevice(userAgent) {
+  const agent = String(userAgent || '');
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/SamsungBrowser\//, 'Samsung Internet'],
+    [/Firefox\/|FxiOS\//, 'Firefox'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ].find(([pattern]) => pattern.test(agent))?.[1];
+  const platform = [
+    [/iPhone/, 'iPhone'],
+    [/iPad/, 'iPad'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Macintosh|Mac OS X/, 'Mac'],
+    [/Linux/, 'Linux'],
+  ].find(([pattern]) => pattern.test(agent))?.[1];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown browser';
+}
+
+/**
+ * Next audit entry for one view. Returns `newOpen: true` when the view counts
+ * as a fresh open rather than a poll from a page that is already open.
+ */
+function planLiveLocationShareView({ current, device, nowMs }) {
+  const lastSeenAtMs = finiteNumber(current?.lastSeenAtMs);
+  const newOpen = lastSeenAtMs === null || nowMs - lastSeenAtMs >= LIVE_LOCATION_SHARE_REOPEN_GAP_MS;
+  return {
+    newOpen,
+    entry: {
+      device,
+      firstOpenedAtMs: finiteNumber(current?.firstOpenedAtMs) ?? nowMs,
+      lastOpenedAtMs: newOpen ? nowMs : (finiteNumber(current?.lastOpenedAtMs) ?? nowMs),
+      lastSeenAtMs: nowMs,
+      openCount: (finiteNumber(current?.openCount) || 0) + (newOpen ? 1 : 0),
+    },
+  };
+}
+
+/**
+ * The passenger's point from `tours/{tourId}/liveTracking/{authUid}`, only
+ * while they are sharing and it is recent.
+ */
+function normalizeSharedPassengerLocation(record, nowMs) {
+  if (record?.isSharing !== true) return null;
+  const latitude = finiteNumber(record.coords?.latitude);
+  const longitude = finiteNumber(record.coords?.longitude);
+  const updatedAtMs = finiteNumber(record.lastUpdate) ?? finiteNumber(record.clientUpdatedAtMs);
+  if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  if (updatedAtMs === null || nowMs - updatedAtMs > MAX_SHARED_LOCATION_AGE_MS) return null;
+  const accuracy = finiteNumber(record.coords?.accuracy);
+  return {
+    latitude,
+    longitude,
+    accuracyMeters: accuracy === null ? null : Math.round(accuracy),
+    updatedAtMs,
+  };
+}
+
+/**
+ * The coach's automatic live point from `tours/{tourId}/driverLocation`.
+ * Manual pickup pins are destinations, not the coach, so they are left out.
+ */
+function normalizeSharedCoachLocation(record, nowMs) {
+  if (record?.schemaVersion !== 1 || record.isSharing !== true || record.mode !== 'live') return null;
+  const latitude = finiteNumber(record.latitude);
+  const longitude = finiteNumber(record.longitude);
+  const updatedAtMs = finiteNumber(record.timestamp);
+  if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  if (updatedAtMs === null || nowMs - updatedAtMs > MAX_SHARED_LOCATION_AGE_MS) return null;
+  return { latitude, longitude, updatedAtMs };
+}
+
+/**
+ * Everything the share page may show. Nothing else about the tour or the
+ * passenger leaves the server.
+ */
+function buildLiveLocationSharePayload({ share, tourName, liveTracking, driverLocation, nowMs }) {
+  return {
+    displayName: typeof share.displayName === 'string' && share.displayName.trim()
+      ? share.displayName.trim().slice(0, 80)
+      : null,
+    tourName: typeof tourName === 'string' && tourName.trim() ? tourName.trim().slice(0, 120) : null,
+    expiresAtMs: share.expiresAtMs,
+    passenger: normalizeSharedPassengerLocation(liveTracking, nowMs),
+    coach: normalizeSharedCoachLocation(driverLocation, nowMs),
+    checkedAtMs: nowMs,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIVE_LOCATION_SHARE_MINUTES,
+  LIVE_LOCATION_SHARES_ROOT,
+  LIVE_LOCATION_SHARE_DURATIONS_MINUTES,
+  LIVE_LOCATION_SHARE_OWNERS_ROOT,
+  LIVE_LOCATION_SHARE_RETENTION_MS,
+  MAX_ACTIVE_LIVE_LOCATION_SHARES,
+  buildLiveLocationSharePayload,
+  buildLiveLocationViewerKey,
+  countActiveLiveLocationShares,
+  normalizeShareDurationMinutes,
+  normalizeSharedCoachLocation,
+  normalizeSharedPassengerLocation,
+  planLiveLocationShareView,
+  resolveLiveLocationShareBlock,
+  summarizeViewerDevice,
+};
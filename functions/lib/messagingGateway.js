@@ -0,0 +1,140 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MESSAGING_CHANNELS = new Set(['sms', 'email']);
+const FILE_GATEWAY_OUTBOX = 'outbox.jsonl';
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * A gateway delivers one SMS or email per `send` call and resolves with the
+ * provider's message id. It throws when the provider refuses the message, so
+ * the caller can record a per-contact failure and carry on with the rest.
+ *
+ * @typedef {{
+ *   channel: 'sms' | 'email',
+ *   to: string,
+ *   subject?: string,
+ *   body: string,
+ *   idempotencyKey: string,
+ * }} GatewayMessage
+ * @typedef {{ kind: string, send: (message: GatewayMessage) => Promise<{ messageId: string }> }} MessagingGateway
+ */
+
+const assertGatewayMessage = (message) => {
+  if (!MESSAGING_CHANNELS.has(message?.channel)) {
+    throw new Error(`Unsupported messaging channel: ${message?.channel}`);
+  }
+  if (typeof message.to !== 'string' || !message.to.trim()) {
+    throw new Error('Message recipient is required');
+  }
+  if (typeof message.body !== 'string' || !message.body.trim()) {
+    throw new Error('Message body is required');
+  }
+  if (typeof message.idempotencyKey !== 'string' || !message.idempotencyKey) {
+    throw new Error('Message idempotency key is required');
+  }
+};
+
+/**
+ * Stand-in for tests and the emulator. Each message is appended to
+ * `outbox.jsonl` in `directory` instead of leaving the machine.
+ *
+ * @returns {MessagingGateway}
+ */
+function createFileMessagingGateway({ directory, fsImpl = fs, nowFn = Date.now } = {}) {
+  if (typeof directory !== 'string' || !directory) {
+    throw new Error('File messaging gateway needs a directory');
+  }
+  const outboxPath = path.join(directory, FILE_GATEWAY_OUTBOX);
+  return {
+    kind: 'file',
+    outboxPath,
+    async send(message) {
+      assertGatewayMessage(message);
+      await fsImpl.promises.mkdir(directory, { recursive: true });
+      const line = JSON.stringify({
+        messageId: message.idempotencyKey,
+        channel: message.channel,
+        to: message.to,
+        subject: message.subject || null,
+        body: message.body,
+        sentAtMs: nowFn(),
+      });
+      await fsImpl.promises.appendFile(outboxPath, `${line}\n`, 'utf8');
+      return { messageId: message.idempotencyKey };
+    },
+  };
+}
+
+/**
+ * Posts each message to an SMS/email relay. The relay owns the provider
+ * credentials, and the idempotency key lets it drop retried sends.
+ *
+ * @returns {MessagingGateway}
+ */
+function createWebhookMessagingGateway({ url, token = null, fetchImpl = globalThis.fetch } = {}) {
+  let endpoint;
+  try {
+    endpoint = new URL(url);
+  } catch {
+    throw new Error('Webhook messaging gateway needs a valid URL');
+  }
+  if (endpoint.protocol !== 'https:') {
+    throw new Error('Webhook messaging gateway must use https');
+  }
+  return {
+    kind: 'webhook',
+    async send(message) {
+      assertGatewayMessage(message);
+      const response = await fetchImpl(endpoint.toString(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': message.idempotencyKey,
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({
+          channel: message.channel,
+          to: message.to,
+          subject: message.subject || null,
+          body: message.body,
+        }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`Messaging relay responded with HTTP ${response.status}`);
+      }
+      const payload = await response.json().catch(() => ({}));
+      return { messageId: String(payload?.messageId || message.idempotencyKey) };
+    },
+  };
+}
+
+/**
+ * Picks the gateway from MESSAGING_GATEWAY. Returns null when messaging is
+ * not configured, so a missing setup is reported rather than guessed.
+ *
+ * @returns {MessagingGateway | null}
+ */
+function resolveMessagingGateway(env = process.env) {
+  const kind = String(env.MESSAGING_GATEWAY || '').trim().toLowerCase();
+  if (kind === 'file') {
+    return createFileMessagingGateway({ directory: env.MESSAGING_GATEWAY_DIR });
+  }
+  if (kind === 'webhook') {
+    return createWebhookMessagingGateway({
+      url: env.MESSAGING_GATEWAY_WEBHOOK_URL,
+      token: env.MESSAGING_GATEWAY_WEBHOOK_TOKEN || null,
+    });
+  }
+  return null;
+}
+
+module.exports = {
+  MESSAGING_CHANNELS,
+  createFileMessagingGateway,
+  createWebhookMessagingGateway,
+  resolveMessagingGateway,
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+const { createHash, randomBytes, timingSafeEqual } = require('crypto');
+
+const PHOTO_ARCHIVE_JOBS_ROOT = 'photo_archive_jobs';
+const PHOTO_ARCHIVE_DOWNLOADS_ROOT = 'photo_archive_downloads';
+const PHOTO_ARCHIVE_STORAGE_ROOT = 'photo_archives';
+const PHOTO_ARCHIVE_MAX_PHOTOS = 1000;
+// A zip without the ZIP64 extension cannot pass 4 GiB, so stop well short.
+const PHOTO_ARCHIVE_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+const DOWNLOAD_TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+const PHOTO_ARCHIVE_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  BUILDING: 'building',
+  READY: 'ready',
+  DOWNLOADED: 'downloaded',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+});
+
+const ARCHIVE_FOLDERS = Object.freeze({ private: 'My photos', group: 'Group album' });
+const PHOTO_EXTENSION_PATTERN = /\.(jpe?g|png|webp|heic|mp4|mov)$/i;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+    table[index] = value >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let index = 0; index < buffer.length; index += 1) {
+    crc = CRC32_TABLE[(crc ^ buffer[index]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// DOS timestamps cannot go before 1980 and only have 2-second precision.
+const toDosDateTime = (timestampMs) => {
+  const date = new Date(Number.isFinite(timestampMs) ? timestampMs : Date.UTC(1980, 0, 1));
+  const year = Math.min(Math.max(date.getUTCFullYear(), 1980), 2107);
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+};
+
+/**
+ * Writes a zip with every entry stored uncompressed: the photos are already
+ * compressed, and storing them keeps memory flat while streaming to Storage.
+ * `write` receives each chunk in order and may return a promise.
+ */
+function createZipWriter(write) {
+  const entries = [];
+  let offset = 0;
+  const emit = async (buffer) => {
+    await write(buffer);
+    offset += buffer.length;
+  };
+
+  const addFile = async (name, data, { modifiedAtMs } = {}) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(modifiedAtMs);
+    const entry = { nameBuffer, crc: crc32(data), size: data.length, time, date, offset };
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // names are UTF-8
+    header.writeUInt16LE(0, 8); // stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.size, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    entries.push(entry);
+    await emit(header);
+    await emit(nameBuffer);
+    await emit(data);
+  };
+
+  const finish = async () => {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014B50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0800, 8);
+      record.writeUInt16LE(0, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.size, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await emit(record);
+      await emit(entry.nameBuffer);
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await emit(end);
+    return { byteSize: offset, fileCount: entries.length };
+  };
+
+  return { addFile, finish, get byteSize() { return offset; } };
+}
+
+// Originals sit directly under the album folder; variants live in subfolders.
+const isOriginalPath = (path, prefix) => (
+  typeof path === 'string'
+  && path.startsWith(prefix)
+  && path.length > prefix.length
+  && !path.slice(prefix.length).includes('/')
+  && !path.includes('..')
+);
+
+const formatTakenAt = (timestampMs) => {
+  if (!Number.isFinite(timestampMs)) return 'undated';
+  return new Date(timestampMs).toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+};
+
+const toArchiveEntry = (source, photoId, photo) => {
+  const extension = (PHOTO_EXTENSION_PATTERN.exec(photo.storagePath)?.[0] || '.jpg').toLowerCase();
+  // Capture time from the device's EXIF beats upload time, which can be a
+  // day late for photos queued offline.
+  const timestamp = [photo.capturedAt, photo.timestamp].find(Number.isFinite) ?? null;
+  return {
+    source,
+    photoId,
+    storagePath: photo.storagePath,
+    timestamp,
+    name: `${ARCHIVE_FOLDERS[source]}/${formatTakenAt(timestamp)}_${photoId}${extension}`,
+  };
+};
+
+/**
+ * Lists the originals a passenger can take away: every photo in their own
+ * private album, plus the group photos whose `userId` they own. Paths are
+ * checked against the album folder so a tampered record cannot pull in
+ * someone else's file.
+ */
+function planPhotoArchive({
+  tourId,
+  ownerKey = null,
+  privatePhotos = {},
+  groupPhotos = {},
+  ownsGroupPhoto = () => false,
+} = {}) {
+  const privatePrefix = ownerKey ? `private_tour_photos/${tourId}/${ownerKey}/` : null;
+  const groupPrefix = `group_tour_photos/${tourId}/`;
+  const entries = [
+    ...Object.entries(privatePrefix ? privatePhotos || {} : {})
+      .filter(([, photo]) => photo && isOriginalPath(photo.storagePath, privatePrefix))
+      .map(([photoId, photo]) => toArchiveEntry('private', photoId, photo)),
+    ...Object.entries(groupPhotos || {})
+      .filter(([, photo]) => photo && isOriginalPath(photo.storagePath, groupPrefix) && ownsGroupPhoto(photo))
+      .map(([photoId, photo]) => toArchiveEntry('group', photoId, photo)),
+  ].sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0) || a.name.localeCompare(b.name));
+
+  return {
+    entries: entries.slice(0, PHOTO_ARCHIVE_MAX_PHOTOS),
+    omittedCount: Math.max(0, entries.length - PHOTO_ARCHIVE_MAX_PHOTOS),
+  };
+}
+
+const buildPhotoArchiveStoragePath = ({ authUid, jobId }) => `${PHOTO_ARCHIVE_STORAGE_ROOT}/${authUid}/${jobId}.zip`;
+
+const hashDownloadToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+function createDownloadToken() {
+  const token = randomBytes(32).toString('hex');
+  return { token, tokenHash: hashDownloadToken(token) };
+}
+
+function downloadTokenMatches(token, tokenHash) {
+  if (!DOWNLOAD_TOKEN_PATTERN.test(token || '') || !DOWNLOAD_TOKEN_PATTERN.test(tokenHash || '')) return false;
+  return timingSafeEqual(Buffer.from(hashDownloadToken(token), 'hex'), Buffer.from(tokenHash, 'hex'));
+}
+
+module.exports = {
+  PHOTO_ARCHIVE_DOWNLOADS_ROOT,
+  PHOTO_ARCHIVE_JOBS_ROOT,
+  PHOTO_ARCHIVE_MAX_BYTES,
+  PHOTO_ARCHIVE_MAX_PHOTOS,
+  PHOTO_ARCHIVE_STATUS,
+  PHOTO_ARCHIVE_STORAGE_ROOT,
+  buildPhotoArchiveStoragePath,
+  crc32,
+  createDownloadToken,
+  createZipWriter,
+  downloadTokenMatches,
+  planPhotoArchive,
+};
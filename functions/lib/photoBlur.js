@@ -0,0 +1,82 @@
+'use strict';
+
+// Same limits as utils/photoBlurRegions.js in the app and the
+// content_reports rules. Regions are fractions of the upright photo.
+const MAX_BLUR_REGIONS = 12;
+const MIN_BLUR_REGION_FRACTION = 0.02;
+// Each region is shrunk to about this many cells across before it is
+// blurred, so no facial detail survives for a sharpening filter to recover.
+const BLUR_PIXELATE_CELLS = 12;
+const BLURRED_PHOTO_QUALITY = 90;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Valid regions from an untrusted request, pulled inside the photo.
+ * Returns an empty array when nothing usable was sent.
+ */
+function normalizeBlurRegions(regions) {
+  if (!Array.isArray(regions)) return [];
+  const normalized = [];
+  for (const region of regions) {
+    const values = [region?.x, region?.y, region?.width, region?.height].map(Number);
+    if (!values.every(Number.isFinite)) continue;
+    const x = clamp(values[0], 0, 1);
+    const y = clamp(values[1], 0, 1);
+    const width = clamp(values[2], 0, 1 - x);
+    const height = clamp(values[3], 0, 1 - y);
+    if (width < MIN_BLUR_REGION_FRACTION || height < MIN_BLUR_REGION_FRACTION) continue;
+    normalized.push({ x, y, width, height });
+    if (normalized.length === MAX_BLUR_REGIONS) break;
+  }
+  return normalized;
+}
+
+function toPixelRect(region, imageWidth, imageHeight) {
+  const toPixels = (fraction, size) => Math.round(fraction * size * 1000) / 1000;
+  const left = clamp(Math.floor(toPixels(region.x, imageWidth)), 0, imageWidth - 1);
+  const top = clamp(Math.floor(toPixels(region.y, imageHeight)), 0, imageHeight - 1);
+  const right = clamp(Math.ceil(toPixels(region.x + region.width, imageWidth)), left + 1, imageWidth);
+  const bottom = clamp(Math.ceil(toPixels(region.y + region.height, imageHeight)), top + 1, imageHeight);
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Returns an upright JPEG of the photo with every region pixelated and then
+ * blurred. EXIF is not carried over, so the result is safe to share.
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function blurPhotoRegions(sourceBuffer, regions, { sharpFn = require('sharp') } = {}) {
+  const blurRegions = normalizeBlurRegions(regions);
+  if (blurRegions.length === 0) {
+    throw new Error('At least one blur region is required');
+  }
+
+  const { data: upright, info } = await sharpFn(sourceBuffer).rotate().toBuffer({ resolveWithObject: true });
+  const patches = await Promise.all(blurRegions.map(async (region) => {
+    const rect = toPixelRect(region, info.width, info.height);
+    const cellsAcross = Math.max(1, Math.min(BLUR_PIXELATE_CELLS, rect.width));
+    const cellsDown = Math.max(1, Math.round(cellsAcross * (rect.height / rect.width)));
+    const pixelated = await sharpFn(upright)
+      .extract(rect)
+      .resize(cellsAcross, cellsDown, { fit: 'fill' })
+      .toBuffer();
+    const input = await sharpFn(pixelated)
+      .resize(rect.width, rect.height, { fit: 'fill' })
+      .blur(Math.max(1, Math.min(rect.width, rect.height) / 20))
+      .toBuffer();
+    return { input, left: rect.left, top: rect.top };
+  }));
+
+  return sharpFn(upright)
+    .composite(patches)
+    .jpeg({ quality: BLURRED_PHOTO_QUALITY })
+    .toBuffer();
+}
+
+module.exports = {
+  MAX_BLUR_REGIONS,
+  blurPhotoRegions,
+  normalizeBlurRegions,
+};
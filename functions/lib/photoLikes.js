@@ -0,0 +1,24 @@
+'use strict';
+
+// `group_tour_photos/{tourId}/{photoId}/likes/{likerKey}: true` is the source
+// of truth. `likeCount` mirrors it so "best of the tour" can ask the
+// database for the most-liked photos instead of ranking a recent window.
+
+/** Hearts in a likes map; anything but `true` is ignored. */
+function countPhotoLikes(likes) {
+  if (!likes || typeof likes !== 'object' || Array.isArray(likes)) return 0;
+  return Object.values(likes).filter((value) => value === true).length;
+}
+
+/**
+ * The `likeCount` a photo should carry, or null when it already does. A
+ * photo nobody has liked needs no count; it sorts below every liked one.
+ */
+function derivePhotoLikeCountUpdate(photo) {
+  if (!photo || typeof photo !== 'object') return null;
+  const likeCount = countPhotoLikes(photo.likes);
+  if (photo.likeCount === likeCount || (photo.likeCount == null && likeCount === 0)) return null;
+  return { likeCount };
+}
+
+module.exports = { countPhotoLikes, derivePhotoLikeCountUpdate };
@@ -0,0 +1,66 @@
+'use strict';
+
+// Bump when the hash or sharpness maths changes so the backfill can find
+// records computed the old way.
+const PHOTO_QUALITY_VERSION = 1;
+// dHash compares neighbouring pixels of a 9x8 greyscale thumbnail.
+const PHOTO_HASH_WIDTH = 9;
+const PHOTO_HASH_HEIGHT = 8;
+// Sharpness is measured on a fixed-size sample so scores compare across
+// cameras. Must match the resize in functions/index.js.
+const PHOTO_SHARPNESS_SAMPLE_SIZE = 512;
+
+/**
+ * Difference hash of a 9x8 greyscale image, as 16 hex characters. Each bit
+ * records whether a pixel is brighter than its right-hand neighbour, so
+ * re-encoding, resizing and small exposure shifts barely change it.
+ */
+function computeDifferenceHash(pixels) {
+  if (!pixels || pixels.length < PHOTO_HASH_WIDTH * PHOTO_HASH_HEIGHT) {
+    throw new Error('Perceptual hash needs a 9x8 greyscale sample');
+  }
+  let hex = '';
+  for (let row = 0; row < PHOTO_HASH_HEIGHT; row += 1) {
+    let byte = 0;
+    for (let column = 0; column < PHOTO_HASH_WIDTH - 1; column += 1) {
+      const index = row * PHOTO_HASH_WIDTH + column;
+      byte = (byte << 1) | (pixels[index] > pixels[index + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Variance of the Laplacian over a greyscale image. Sharp edges give large
+ * second derivatives; camera shake and missed focus flatten them.
+ */
+function computeSharpnessScore(pixels, width, height) {
+  if (!pixels || width < 3 || height < 3 || pixels.length < width * height) {
+    throw new Error('Sharpness needs a greyscale sample of at least 3x3');
+  }
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const index = y * width + x;
+      const laplacian = pixels[index - width] + pixels[index + width]
+        + pixels[index - 1] + pixels[index + 1] - 4 * pixels[index];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      count += 1;
+    }
+  }
+  const mean = sum / count;
+  return Math.round((sumOfSquares / count - mean * mean) * 10) / 10;
+}
+
+module.exports = {
+  PHOTO_HASH_HEIGHT,
+  PHOTO_HASH_WIDTH,
+  PHOTO_QUALITY_VERSION,
+  PHOTO_SHARPNESS_SAMPLE_SIZE,
+  computeDifferenceHash,
+  computeSharpnessScore,
+};
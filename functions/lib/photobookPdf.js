@@ -0,0 +1,465 @@
+'use strict';
+
+const { createHash } = require('crypto');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const PHOTOBOOK_VERSION = 'v1';
+const PHOTOBOOK_ROOT = 'photobooks';
+const PHOTOBOOK_MAX_PHOTOS = 150;
+const PHOTOBOOK_MAX_DAYS = 60;
+const PHOTOS_PER_PAGE = 2;
+const MAX_CAPTION_LINES = 2;
+const MAX_DAY_TITLE_LENGTH = 80;
+
+// A4 portrait in PDF points.
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const PAGE_MARGIN = 48;
+
+const WIN_ANSI_REPLACEMENTS = {
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+};
+
+/**
+ * `endDateEpochMs` is the UTC midnight that starts the final tour day, so the
+ * photobook opens once that whole day has passed.
+ */
+function isPhotobookAvailable({ endDateEpochMs, now = Date.now() } = {}) {
+  return Number.isFinite(endDateEpochMs) && now >= endDateEpochMs + MS_PER_DAY;
+}
+
+/**
+ * Group photos a report keeps out of the book: reports still waiting for
+ * review, and reports actioned by removing the photo. A face blur report
+ * actioned with a blurred copy does not exclude the photo, because that copy
+ * has already replaced the photo's source and viewer files and is what gets
+ * printed. Dismissed reports never exclude.
+ */
+function collectExcludedPhotoIds({ reports = {}, tourId } = {}) {
+  const excluded = new Set();
+  Object.values(reports || {}).forEach((report) => {
+    if (!report || report.contentType !== 'group_photo' || report.tourId !== tourId) return;
+    if (report.status === 'dismissed') return;
+    if (report.status === 'actioned' && report.moderationAction === 'photo_blurred') return;
+    if (typeof report.contentId === 'string' && report.contentId) excluded.add(report.contentId);
+  });
+  return excluded;
+}
+
+const normalizeText = (value, maxLength) => {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, maxLength);
+};
+
+function resolveDayTitle(day) {
+  const explicit = normalizeText(day?.title, MAX_DAY_TITLE_LENGTH);
+  if (explicit) return explicit;
+  const firstLine = typeof day?.content === 'string'
+    ? day.content.split(/\r?\n/).map((line) => line.replace(/^[-*•\s]+/, '').trim()).find(Boolean)
+    : '';
+  return normalizeText(firstLine || '', MAX_DAY_TITLE_LENGTH);
+}
+
+const resolvePhotoDayNumber = ({ photo, startDateEpochMs, dayCount }) => {
+  const taggedDay = Number(photo?.itineraryStop?.dayNumber);
+  if (Number.isInteger(taggedDay) && taggedDay >= 1 && taggedDay <= dayCount) return taggedDay;
+  if (!Number.isFinite(startDateEpochMs) || !Number.isFinite(photo?.timestamp)) return null;
+  const dayIndex = Math.floor((photo.timestamp - startDateEpochMs) / MS_PER_DAY);
+  if (dayIndex < 0) return 0;
+  return dayIndex >= dayCount ? dayCount + 1 : dayIndex + 1;
+};
+
+const isUsableViewerPath = (path, tourId) => (
+  typeof path === 'string'
+  && path.startsWith(`group_tour_photos/${tourId}/viewers/`)
+  && !path.includes('..')
+);
+
+/**
+ * Picks the printable photos and groups them into day sections. Only the
+ * medium "viewer" variants are used, so the book never downloads originals.
+ */
+function planPhotobook({ tourId, tour = {}, photos = {}, excludedPhotoIds = new Set() } = {}) {
+  const itineraryDays = Array.isArray(tour?.itinerary?.days)
+    ? tour.itinerary.days.slice(0, PHOTOBOOK_MAX_DAYS)
+    : [];
+  const dayCount = itineraryDays.length;
+  const startDateEpochMs = Number(tour?.startDateEpochMs);
+
+  const eligible = Object.entries(photos || {})
+    .filter(([photoId, photo]) => photo
+      && photo.mediaType !== 'video'
+      && !excludedPhotoIds.has(photoId)
+      && isUsableViewerPath(photo.viewerStoragePath, tourId))
+    .map(([photoId, photo]) => ({
+      id: photoId,
+      viewerStoragePath: photo.viewerStoragePath,
+      caption: normalizeText(photo.caption, 200),
+      timestamp: Number.isFinite(photo.timestamp) ? photo.timestamp : null,
+      dayNumber: resolvePhotoDayNumber({ photo, startDateEpochMs, dayCount }),
+    }))
+    .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0) || a.id.localeCompare(b.id));
+
+  const included = eligible.slice(0, PHOTOBOOK_MAX_PHOTOS);
+  const sectionsByKey = new Map();
+  included.forEach((photo) => {
+    let key = 'undated';
+    let label = 'More memories';
+    let title = '';
+    let order = dayCount + 2;
+    if (photo.dayNumber === 0) {
+      key = 'before';
+      label = 'Before the tour';
+      order = 0;
+    } else if (photo.dayNumber === dayCount + 1) {
+      key = 'after';
+      label = 'After the tour';
+      order = dayCount + 1;
+    } else if (Number.isInteger(photo.dayNumber)) {
+      key = `day-${photo.dayNumber}`;
+      label = `Day ${photo.dayNumber}`;
+      title = resolveDayTitle(itineraryDays[photo.dayNumber - 1]);
+      order = photo.dayNumber;
+    }
+    if (!sectionsByKey.has(key)) sectionsByKey.set(key, { key, label, title, order, photos: [] });
+    sectionsByKey.get(key).photos.push(photo);
+  });
+
+  const sections = Array.from(sectionsByKey.values())
+    .sort((a, b) => a.order - b.order)
+    .map(({ order: _order, ...section }) => section);
+
+  const tourName = normalizeText(tour?.name, 120) || 'Tour photobook';
+  const dateRange = [tour?.startDate, tour?.endDate]
+    .map((value) => normalizeText(value, 20))
+    .filter(Boolean)
+    .filter((value, index, values) => values.indexOf(value) === index)
+    .join(' - ');
+
+  const fingerprint = createHash('sha256')
+    .update(JSON.stringify({
+      version: PHOTOBOOK_VERSION,
+      tourName,
+      dateRange,
+      sections: sections.map((section) => [
+        section.key,
+        section.title,
+        section.photos.map((photo) => [photo.id, photo.viewerStoragePath, photo.caption]),
+      ]),
+    }))
+    .digest('hex')
+    .slice(0, 32);
+
+  return {
+    title: tourName,
+    subtitle: dateRange,
+    sections,
+    photoCount: included.length,
+    omittedCount: eligible.length - included.length,
+    fingerprint,
+  };
+}
+
+const buildPhotobookStoragePath = ({ tourId, fingerprint }) => (
+  `${PHOTOBOOK_ROOT}/${tourId}/${PHOTOBOOK_VERSION}_${fingerprint}.pdf`
+);
+
+/**
+ * Reads pixel size and channel count from a baseline or progressive JPEG.
+ * PDF embeds JPEG bytes as-is, so these are the only facts it needs.
+ */
+function readJpegDimensions(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      offset += 2;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+    if (isStartOfFrame) {
+      if (offset + 9 >= buffer.length) return null;
+      const height = buffer.readUInt16BE(offset + 5);
+      const width = buffer.readUInt16BE(offset + 7);
+      const components = buffer[offset + 9];
+      return width > 0 && height > 0 ? { width, height, components } : null;
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Encodes text for the built-in Helvetica fonts (WinAnsi). Characters outside
+ * that set become "?" rather than corrupting the content stream.
+ */
+function toPdfString(value) {
+  const text = String(value ?? '').replace(/[‘’“”–—…]/g, (char) => WIN_ANSI_REPLACEMENTS[char]);
+  let output = '';
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    const safe = (code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) ? char : '?';
+    output += safe === '\\' || safe === '(' || safe === ')' ? `\\${safe}` : safe;
+  }
+  return `(${output})`;
+}
+
+// Helvetica averages roughly half an em per character; wrapping is
+// deliberately conservative so captions never run off the page.
+function wrapText(text, maxWidth, fontSize, maxLines = MAX_CAPTION_LINES) {
+  const maxChars = Math.max(8, Math.floor(maxWidth / (fontSize * 0.52)));
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+  words.forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      return;
+    }
+    if (current) lines.push(current);
+    current = word.length > maxChars ? `${word.slice(0, maxChars - 1)}-` : word;
+  });
+  if (current) lines.push(current);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, Math.max(0, maxChars - 3))}...`;
+  return kept;
+}
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const textOp = ({ font, size, x, y, text }) => (
+  `BT /${font} ${size} Tf ${formatNumber(x)} ${formatNumber(y)} Td ${toPdfString(text)} Tj ET`
+);
+
+const buildCoverPage = ({ title, subtitle, photoCount, generatedAtMs }) => {
+  const ops = [];
+  let y = PAGE_HEIGHT - 260;
+  wrapText(title, PAGE_WIDTH - PAGE_MARGIN * 2, 28, 3).forEach((line) => {
+    ops.push(textOp({ font: 'F2', size: 28, x: PAGE_MARGIN, y, text: line }));
+    y -= 36;
+  });
+  if (subtitle) {
+    ops.push(textOp({ font: 'F1', size: 14, x: PAGE_MARGIN, y: y - 6, text: subtitle }));
+    y -= 30;
+  }
+  ops.push(textOp({
+    font: 'F1',
+    size: 12,
+    x: PAGE_MARGIN,
+    y: y - 10,
+    text: `${photoCount} ${photoCount === 1 ? 'photo' : 'photos'} shared by the group`,
+  }));
+  ops.push(textOp({
+    font: 'F1',
+    size: 9,
+    x: PAGE_MARGIN,
+    y: PAGE_MARGIN,
+    text: `Created ${new Date(generatedAtMs).toISOString().slice(0, 10)}`,
+  }));
+  return { ops, images: [] };
+};
+
+const buildPhotoPage = ({ heading, photos, images, pageNumber }) => {
+  const ops = [];
+  const usedImages = [];
+  const contentWidth = PAGE_WIDTH - PAGE_MARGIN * 2;
+  const headingY = PAGE_HEIGHT - PAGE_MARGIN - 14;
+  ops.push(textOp({ font: 'F2', size: 14, x: PAGE_MARGIN, y: headingY, text: heading }));
+
+  const slotTop = headingY - 18;
+  const slotHeight = (slotTop - PAGE_MARGIN - 20) / PHOTOS_PER_PAGE;
+  const captionSpace = 30;
+
+  photos.forEach((photo, slotIndex) => {
+    const image = images.get(photo.id);
+    const top = slotTop - slotHeight * slotIndex;
+    const maxImageHeight = slotHeight - captionSpace - 10;
+    if (image) {
+      const scale = Math.min(contentWidth / image.width, maxImageHeight / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+      const x = PAGE_MARGIN + (contentWidth - width) / 2;
+      const y = top - height;
+      ops.push(`q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(y)} cm /${image.name} Do Q`);
+      usedImages.push(image);
+      let captionY = y - 14;
+      wrapText(photo.caption, contentWidth, 10).forEach((line) => {
+        ops.push(textOp({ font: 'F1', size: 10, x: PAGE_MARGIN, y: captionY, text: line }));
+        captionY -= 12;
+      });
+    }
+  });
+
+  ops.push(textOp({ font: 'F1', size: 9, x: PAGE_WIDTH - PAGE_MARGIN - 20, y: PAGE_MARGIN - 20, text: String(pageNumber) }));
+  return { ops, images: usedImages };
+};
+
+/**
+ * Lays the plan out as A4 pages: a cover, then each day section starting on a
+ * fresh page with two photos and their captions per page. `images` maps photo
+ * id to `{ buffer, width, height, components }`; photos without image bytes
+ * are skipped.
+ */
+function layoutPhotobookPages({ plan, images, generatedAtMs = Date.now() }) {
+  const namedImages = new Map();
+  let imageIndex = 0;
+  images.forEach((image, photoId) => {
+    imageIndex += 1;
+    namedImages.set(photoId, { ...image, name: `Im${imageIndex}` });
+  });
+
+  const pages = [buildCoverPage({ ...plan, generatedAtMs })];
+  plan.sections.forEach((section) => {
+    const printable = section.photos.filter((photo) => namedImages.has(photo.id));
+    const heading = section.title ? `${section.label} - ${section.title}` : section.label;
+    for (let index = 0; index < printable.length; index += PHOTOS_PER_PAGE) {
+      pages.push(buildPhotoPage({
+        heading,
+        photos: printable.slice(index, index + PHOTOS_PER_PAGE),
+        images: namedImages,
+        pageNumber: pages.length + 1,
+      }));
+    }
+  });
+  return pages;
+}
+
+const colorSpaceFor = (components) => {
+  if (components === 1) return '/DeviceGray';
+  if (components === 4) return '/DeviceCMYK';
+  return '/DeviceRGB';
+};
+
+/**
+ * Serialises laid-out pages into a PDF 1.4 file using only the standard
+ * Helvetica fonts and DCT (JPEG) image streams.
+ */
+function renderPhotobookPdf({ pages, title = 'Tour photobook' }) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const infoId = addObject(Buffer.from(`<< /Title ${toPdfString(title)} /Producer (Loch Lomond Travel) >>`, 'latin1'));
+  const regularFontId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>', 'latin1'));
+  const boldFontId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>', 'latin1'));
+
+  const imageObjectIds = new Map();
+  const pageIds = pages.map((page) => {
+    page.images.forEach((image) => {
+      if (imageObjectIds.has(image.name)) return;
+      const header = Buffer.from(
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} `
+        + `/ColorSpace ${colorSpaceFor(image.components)} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.buffer.length} >>\nstream\n`,
+        'latin1'
+      );
+      imageObjectIds.set(image.name, addObject(Buffer.concat([header, image.buffer, Buffer.from('\nendstream', 'latin1')])));
+    });
+
+    const content = Buffer.from(page.ops.join('\n'), 'latin1');
+    const contentId = addObject(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} >>\nstream\n`, 'latin1'),
+      content,
+      Buffer.from('\nendstream', 'latin1'),
+    ]));
+    const xObjects = [...new Set(page.images.map((image) => image.name))]
+      .map((name) => `/${name} ${imageObjectIds.get(name)} 0 R`)
+      .join(' ');
+    return addObject(Buffer.from(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> `
+      + `/Contents ${contentId} 0 R >>`,
+      'latin1'
+    ));
+  });
+
+  objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, 'latin1');
+  objects[pagesId - 1] = Buffer.from(
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+    'latin1'
+  );
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const offset = length;
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    chunks.push(chunk);
+    length += chunk.length;
+    return offset;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+  ].join('\n');
+  chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Builds the photobook PDF from a plan. `loadImage(photo)` returns the JPEG
+ * bytes of the photo's viewer variant, or null to skip it. Loads run with
+ * bounded concurrency to keep memory predictable on large albums.
+ */
+async function buildPhotobookPdf({ plan, loadImage, generatedAtMs = Date.now(), concurrency = 4 }) {
+  const photos = plan.sections.flatMap((section) => section.photos);
+  const images = new Map();
+  let nextIndex = 0;
+  const workers = Array.from({ length: Math.min(concurrency, photos.length) }, async () => {
+    while (nextIndex < photos.length) {
+      const photo = photos[nextIndex];
+      nextIndex += 1;
+      const buffer = await loadImage(photo);
+      const dimensions = readJpegDimensions(buffer);
+      if (dimensions) images.set(photo.id, { buffer, ...dimensions });
+    }
+  });
+  await Promise.all(workers);
+
+  // Keep image numbering stable regardless of download order.
+  const orderedImages = new Map(photos.filter((photo) => images.has(photo.id)).map((photo) => [photo.id, images.get(photo.id)]));
+  const pages = layoutPhotobookPages({ plan, images: orderedImages, generatedAtMs });
+  return {
+    pdf: renderPhotobookPdf({ pages, title: plan.title }),
+    pageCount: pages.length,
+    printedPhotoCount: orderedImages.size,
+  };
+}
+
+module.exports = {
+  PHOTOBOOK_MAX_PHOTOS,
+  PHOTOBOOK_ROOT,
+  buildPhotobookPdf,
+  buildPhotobookStoragePath,
+  collectExcludedPhotoIds,
+  isPhotobookAvailable,
+  layoutPhotobookPages,
+  planPhotobook,
+  readJpegDimensions,
+  renderPhotobookPdf,
+  resolveDayTitle,
+  toPdfString,
+  wrapText,
+};
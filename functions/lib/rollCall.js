@@ -0,0 +1,65 @@
+'use strict';
+
+const ROLL_CALL_ROOT = 'roll_calls';
+const BOOKING_REF_PATTERN = /^[A-Z0-9_-]{1,120}$/;
+
+const normalizeBookingRef = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '');
+
+/**
+ * Collects the booking references a roll call is waiting for. Keys in
+ * `expected` are `{bookingRef}_{passengerIndex}`, but the stored bookingRef is
+ * authoritative because booking references may themselves contain `_`.
+ */
+function collectRollCallBookingRefs(rollCall) {
+  const expected = rollCall && typeof rollCall.expected === 'object' ? rollCall.expected : {};
+  return [...new Set(Object.values(expected)
+    .map((entry) => normalizeBookingRef(entry?.bookingRef))
+    .filter((bookingRef) => BOOKING_REF_PATTERN.test(bookingRef)))];
+}
+
+/**
+ * Maps signed-in participants to their booking for the bookings on this roll
+ * call. The driver cannot read `users/*`, so this projection is what lets the
+ * roll call show "I'm back" confirmations and the last shared location of a
+ * missing passenger.
+ */
+function buildRollCallParticipantBookings({ participantIds = [], usersMap = {}, rollCall } = {}) {
+  const bookingRefs = new Set(collectRollCallBookingRefs(rollCall));
+  return Object.fromEntries(participantIds.flatMap((userId) => {
+    const bookingRef = normalizeBookingRef(usersMap?.[userId]?.bookingRef);
+    return bookingRefs.has(bookingRef) ? [[userId, bookingRef]] : [];
+  }));
+}
+
+/**
+ * Participants whose whole booking has been counted back on, keyed by auth
+ * uid. Mirrored under the tour's roll call pointer so a passenger's phone can
+ * see that the driver ticked them without reading the manifest.
+ */
+function buildRollCallReturnedParticipants(rollCall) {
+  const expected = rollCall && typeof rollCall.expected === 'object' ? rollCall.expected : {};
+  const returned = rollCall && typeof rollCall.returned === 'object' && rollCall.returned ? rollCall.returned : {};
+  const byBooking = {};
+  Object.entries(expected).forEach(([key, entry]) => {
+    const bookingRef = normalizeBookingRef(entry?.bookingRef);
+    if (!BOOKING_REF_PATTERN.test(bookingRef)) return;
+    const atMs = Number.isFinite(returned[key]?.atMs) ? returned[key].atMs : null;
+    const current = byBooking[bookingRef] || { complete: true, atMs: 0 };
+    byBooking[bookingRef] = {
+      complete: current.complete && atMs !== null,
+      atMs: Math.max(current.atMs, atMs || 0),
+    };
+  });
+  const participantBookings = rollCall?.participantBookings || {};
+  return Object.fromEntries(Object.entries(participantBookings).flatMap(([userId, bookingRef]) => {
+    const booking = byBooking[normalizeBookingRef(bookingRef)];
+    return booking?.complete ? [[userId, { atMs: booking.atMs }]] : [];
+  }));
+}
+
+module.exports = {
+  ROLL_CALL_ROOT,
+  buildRollCallParticipantBookings,
+  buildRollCallReturnedParticipants,
+  collectRollCallBookingRefs,
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+// Passenger check-in timers ("check on me if I'm not back"). The passenger's
+// phone writes the running timer to `safety_check_ins/{tourId}/{authUid}` and
+// only ever clears it; raising the alert is the server's job, so a flat or
+// lost phone still reaches the driver.
+const SAFETY_CHECK_IN_ROOT = 'safety_check_ins';
+// Server-owned copy of every running timer, keyed `{tourId}::{authUid}` so the
+// sweep can find due timers across all tours with one `dueAtMs` query.
+const SAFETY_CHECK_IN_QUEUE_ROOT = 'safety_check_in_queue';
+const CHECK_IN_STATUS = Object.freeze({ RUNNING: 'running', RAISED: 'raised' });
+// Must match services/safetyCheckInService.js: time to answer the "are you
+// OK?" notice before the driver is alerted.
+const CHECK_IN_GRACE_MS = 5 * 60 * 1000;
+const MAX_CHECK_IN_DURATION_MS = 12 * 60 * 60 * 1000;
+const MAX_LABEL_LENGTH = 200;
+const MAX_NAME_LENGTH = 80;
+const TOUR_TIME_ZONE = 'Europe/London';
+
+const finiteOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+function normalizeStoredCheckIn(value) {
+  if (!value || typeof value !== 'object') return null;
+  const startedAtMs = finiteOrNull(value.startedAtMs);
+  const dueAtMs = finiteOrNull(value.dueAtMs);
+  if (startedAtMs === null || dueAtMs === null || dueAtMs <= startedAtMs || dueAtMs - startedAtMs > MAX_CHECK_IN_DURATION_MS) {
+    return null;
+  }
+  return {
+    startedAtMs,
+    dueAtMs,
+    status: value.status === CHECK_IN_STATUS.RAISED ? CHECK_IN_STATUS.RAISED : CHECK_IN_STATUS.RUNNING,
+    principalId: typeof value.principalId === 'string' ? value.principalId : null,
+    passengerName: typeof value.passengerName === 'string' ? value.passengerName.slice(0, MAX_NAME_LENGTH) : null,
+    label: typeof value.label === 'string' ? value.label.slice(0, MAX_LABEL_LENGTH) : null,
+    eventId: typeof value.eventId === 'string' ? value.eventId : null,
+  };
+}
+
+const checkInQueueKey = (tourId, authUid) => `${tourId}::${authUid}`;
+
+// One alert per timer: a retried sweep writes the same event again.
+const checkInEventId = (authUid, startedAtMs) => `checkin_${authUid}_${startedAtMs}`;
+
+/**
+ * Queue entry for a stored timer, or null when nothing is left to raise.
+ */
+function buildCheckInQueueEntry({ tourId, authUid, checkIn }) {
+  const normalized = normalizeStoredCheckIn(checkIn);
+  if (!normalized || normalized.status !== CHECK_IN_STATUS.RUNNING) return null;
+  return { tourId, authUid, startedAtMs: normalized.startedAtMs, dueAtMs: normalized.dueAtMs };
+}
+
+/**
+ * A roll call "I'm back", or the driver ticking the whole booking, after the
+ * timer started means the passenger is on the coach.
+ */
+function isCheckInBackOnCoach({ checkIn, rollCall, authUid }) {
+  if (!checkIn || !rollCall || typeof rollCall !== 'object') return false;
+  const rollCallStartedAtMs = finiteOrNull(rollCall.startedAtMs);
+  if (rollCallStartedAtMs === null) return false;
+  const backAtMs = [rollCall.checkins?.[authUid]?.atMs, rollCall.returned?.[authUid]?.atMs]
+    .map(finiteOrNull)
+    .filter((atMs) => atMs !== null && atMs >= rollCallStartedAtMs);
+  return backAtMs.some((atMs) => atMs >= checkIn.startedAtMs);
+}
+
+const formatTourClock = (ms) => new Intl.DateTimeFormat('en-GB', {
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone: TOUR_TIME_ZONE,
+}).format(new Date(ms));
+
+// The event the driver receives. `message` stays under the 240 characters a
+// safety report may carry.
+function buildCheckInAlertText(checkIn) {
+  const who = String(checkIn.passengerName || 'A passenger').slice(0, MAX_NAME_LENGTH);
+  return {
+    message: `Check-in timer ran out: ${who} did not confirm they were OK by ${formatTourClock(checkIn.dueAtMs)}.`,
+    customMessage: checkIn.label ? `Meet-back in itinerary: ${checkIn.label}` : null,
+  };
+}
+
+module.exports = {
+  CHECK_IN_GRACE_MS,
+  CHECK_IN_STATUS,
+  SAFETY_CHECK_IN_QUEUE_ROOT,
+  SAFETY_CHECK_IN_ROOT,
+  buildCheckInAlertText,
+  buildCheckInQueueEntry,
+  checkInEventId,
+  checkInQueueKey,
+  isCheckInBackOnCoach,
+  normalizeStoredCheckIn,
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const SAFETY_ESCALATION_ROOT = 'safety_escalations';
+// Alerts older than this are left for the dashboard rather than paged, so a
+// first deploy never wakes everyone for reports that are days old.
+const SAFETY_ESCALATION_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// How long an alert may stay unacknowledged at one contact tier before the
+// next tier is paged. Low severity reports are never escalated.
+const SAFETY_ESCALATION_SLA_MS = Object.freeze({
+  critical: 2 * 60 * 1000,
+  high: 5 * 60 * 1000,
+  medium: 20 * 60 * 1000,
+});
+
+// Operations keeps the on-call duty roster here as `{uid}: true`, like
+// `admin_users`. Only escalations page it.
+const SAFETY_ON_CALL_ROOT = 'safety_on_call';
+
+const SAFETY_CONTACT_AUDIENCES = Object.freeze({
+  ASSIGNED_DRIVERS: 'assigned_drivers',
+  OPERATIONS_ADMINS: 'operations_admins',
+  ON_CALL: 'on_call',
+});
+
+// Each tier pages everyone the tier below did, so nobody already paged is
+// dropped. The first page reaches the tour's assigned drivers, the operations
+// account and every delegated admin; the first escalation adds the on-call
+// duty roster.
+const FIRST_PAGE_AUDIENCES = Object.freeze([
+  SAFETY_CONTACT_AUDIENCES.ASSIGNED_DRIVERS,
+  SAFETY_CONTACT_AUDIENCES.OPERATIONS_ADMINS,
+]);
+const ESCALATION_AUDIENCES = Object.freeze([...FIRST_PAGE_AUDIENCES, SAFETY_CONTACT_AUDIENCES.ON_CALL]);
+const SAFETY_CONTACT_TIERS = Object.freeze([
+  Object.freeze({ tier: 0, key: 'first_page', label: 'Assigned drivers and operations admins', audiences: FIRST_PAGE_AUDIENCES }),
+  Object.freeze({ tier: 1, key: 'on_call', label: 'On-call duty contacts', audiences: ESCALATION_AUDIENCES }),
+  Object.freeze({ tier: 2, key: 'final_reminder', label: 'Final reminder to all contacts', audiences: ESCALATION_AUDIENCES }),
+]);
+const INITIAL_SAFETY_CONTACT_TIER = 0;
+const FINAL_SAFETY_CONTACT_TIER = SAFETY_CONTACT_TIERS.length - 1;
+
+const UNACKNOWLEDGED_STATUSES = new Set(['pending', 'escalated']);
+
+function isSafetyAlertUnacknowledged(alert) {
+  return UNACKNOWLEDGED_STATUSES.has(alert?.status);
+}
+
+/**
+ * Queue entry that wakes the escalation sweep once the alert has waited a
+ * full SLA at `tier`. Returns null when nothing is left to escalate to.
+ */
+function buildSafetyEscalationEntry({ tourId, severity, isSOS = false, tier, fromMs }) {
+  const slaMs = SAFETY_ESCALATION_SLA_MS[isSOS === true ? 'critical' : severity];
+  if (!slaMs || !Number.isInteger(tier) || tier >= FINAL_SAFETY_CONTACT_TIER) return null;
+  return {
+    tourId,
+    severity: isSOS === true ? 'critical' : severity,
+    tier,
+    dueAtMs: fromMs + slaMs,
+  };
+}
+
+/**
+ * Decides what the sweep does with one due queue entry. An alert that was
+ * acknowledged, resolved or deleted is dropped from the queue.
+ */
+function planSafetyEscalation({ alert, entry, nowMs }) {
+  if (!alert || !entry || !isSafetyAlertUnacknowledged(alert)) return { action: 'drop' };
+  const reportedAtMs = Number(alert.receivedAtMs || alert.timestampMs) || Date.parse(alert.timestamp) || 0;
+  if (nowMs - reportedAtMs > SAFETY_ESCALATION_MAX_AGE_MS) return { action: 'drop' };
+  if (entry.dueAtMs > nowMs) return { action: 'wait' };
+  const currentTier = Math.max(
+    Number.isInteger(alert.escalationTier) ? alert.escalationTier : INITIAL_SAFETY_CONTACT_TIER,
+    Number.isInteger(entry.tier) ? entry.tier : 0,
+  );
+  if (currentTier >= FINAL_SAFETY_CONTACT_TIER) return { action: 'drop' };
+  const nextTier = currentTier + 1;
+  return {
+    action: 'escalate',
+    nextTier,
+    nextEntry: buildSafetyEscalationEntry({
+      tourId: entry.tourId,
+      severity: alert.severity,
+      isSOS: alert.isSOS === true,
+      tier: nextTier,
+      fromMs: nowMs,
+    }),
+  };
+}
+
+/**
+ * Timeline record for one escalation step. Keyed by tier, so a retried sweep
+ * overwrites its own step instead of adding a duplicate.
+ */
+function buildSafetyEscalationStep({ tier, nowMs, delivery = {} }) {
+  return {
+    tier,
+    contactTier: SAFETY_CONTACT_TIERS[tier]?.key || 'unknown',
+    reason: 'unacknowledged',
+    escalatedAtMs: nowMs,
+    deliveryStatus: delivery.deliveryStatus || 'failed',
+    recipientCount: delivery.recipientCount || 0,
+    successCount: delivery.successCount || 0,
+    errorCount: delivery.errorCount || 0,
+  };
+}
+
+function buildSafetyEscalationNotificationContent({ alert = {}, tourName = 'your tour', tier, waitedMs }) {
+  const category = String(alert.category || 'safety').replace(/_/g, ' ').slice(0, 60);
+  const minutes = Math.max(1, Math.round(waitedMs / 60000));
+  const final = tier >= FINAL_SAFETY_CONTACT_TIER;
+  return {
+    title: `${final ? 'Still unacknowledged' : 'Escalated safety alert'} · ${tourName}`,
+    body: `A ${alert.severity || 'safety'} ${category} report has not been acknowledged for ${minutes} min. Open the app to respond.`,
+    priority: 'high',
+  };
+}
+
+module.exports = {
+  FINAL_SAFETY_CONTACT_TIER,
+  INITIAL_SAFETY_CONTACT_TIER,
+  SAFETY_CONTACT_AUDIENCES,
+  SAFETY_CONTACT_TIERS,
+  SAFETY_ESCALATION_MAX_AGE_MS,
+  SAFETY_ESCALATION_ROOT,
+  SAFETY_ESCALATION_SLA_MS,
+  SAFETY_ON_CALL_ROOT,
+  buildSafetyEscalationEntry,
+  buildSafetyEscalationNotificationContent,
+  buildSafetyEscalationStep,
+  isSafetyAlertUnacknowledged,
+  planSafetyEscalation,
+};
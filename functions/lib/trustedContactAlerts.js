@@ -0,0 +1,221 @@
+'use strict';
+
+// `safety_contacts/{authUid}` holds the trusted contacts a passenger chose to
+// share with the server. The app and database.rules.json apply the same
+// limits; the node only exists while consent is given.
+const TRUSTED_CONTACTS_ROOT = 'safety_contacts';
+const TRUSTED_CONTACT_CONSENT_VERSION = 1;
+const MAX_TRUSTED_CONTACTS = 5;
+
+const SOS_STATUS_LINK_ROOT = 'sos_status_links';
+const SOS_STATUS_LINK_TTL_MS = 48 * 60 * 60 * 1000;
+// A shared live position older than this is no longer "last known" enough
+// to send to family in place of the report's own fix.
+const MAX_LIVE_LOCATION_AGE_MS = 30 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const trimmedString = (value, maxLength) => (
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null
+);
+
+const normalizePhone = (value) => {
+  const raw = trimmedString(value, 40);
+  if (!raw) return null;
+  const digits = raw.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return null;
+  return raw.startsWith('+') ? `+${digits}` : digits;
+};
+
+const normalizeEmail = (value) => {
+  const raw = trimmedString(value, 254);
+  return raw && EMAIL_PATTERN.test(raw) ? raw.toLowerCase() : null;
+};
+
+/**
+ * Contacts that may be messaged for an SOS. Returns an empty list unless the
+ * record carries the current consent version.
+ */
+function normalizeSyncedTrustedContacts(record) {
+  if (!record || typeof record !== 'object') return [];
+  const consent = record.consent;
+  if (consent?.version !== TRUSTED_CONTACT_CONSENT_VERSION || !Number.isFinite(consent?.grantedAtMs)) return [];
+  const contacts = [];
+  for (const [id, value] of Object.entries(record.contacts || {})) {
+    const name = trimmedString(value?.name, 80);
+    const phone = normalizePhone(value?.phone);
+    const email = normalizeEmail(value?.email);
+    if (!name || (!phone && !email)) continue;
+    contacts.push({ id, name, phone, email });
+    if (contacts.length === MAX_TRUSTED_CONTACTS) break;
+  }
+  return contacts;
+}
+
+/**
+ * The newest of the report's own fix and the reporter's live-tracking point.
+ * A live point only counts while it is being shared and is recent, so a
+ * stale position is never passed off as the last known one.
+ */
+function resolveSosLastLocation({ alert, liveTracking, nowMs }) {
+  const toLocation = (coords, source, atMs) => {
+    const latitude = Number(coords?.latitude);
+    const longitude = Number(coords?.longitude);
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+    if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+    const accuracy = Number(coords?.accuracy);
+    return {
+      latitude,
+      longitude,
+      accuracyMeters: Number.isFinite(accuracy) ? Math.round(accuracy) : null,
+      source,
+      atMs: Number.isFinite(atMs) ? atMs : null,
+    };
+  };
+
+  const reported = toLocation(alert?.coords, 'report', Number(alert?.receivedAtMs || alert?.timestampMs));
+  const liveAtMs = Number(liveTracking?.lastUpdate || liveTracking?.clientUpdatedAtMs);
+  const live = liveTracking?.isSharing === true && Number.isFinite(liveAtMs) && nowMs - liveAtMs <= MAX_LIVE_LOCATION_AGE_MS
+    ? toLocation(liveTracking.coords, 'live', liveAtMs)
+    : null;
+  if (!reported || !live) return reported || live;
+  return (live.atMs || 0) > (reported.atMs || 0) ? live : reported;
+}
+
+const formatMapsLink = (location) => `https://maps.google.com/?q=${location.latitude.toFixed(5)},${location.longitude.toFixed(5)}`;
+
+function buildSosStatusUrl({ baseUrl, eventId, token }) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('alert', eventId);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+/**
+ * One SMS and/or one email per contact. The wording names the tour and the
+ * last location but never the report text, which may be private.
+ */
+function buildTrustedContactSosMessages({ eventId, contacts, senderName, tourName, location, statusUrl }) {
+  const sender = trimmedString(senderName, 80) || 'A Loch Lomond Travel passenger';
+  const tour = trimmedString(tourName, 120) || 'their tour';
+  const where = location
+    ? `Last known location: ${formatMapsLink(location)}${location.accuracyMeters ? ` (within ${location.accuracyMeters} m)` : ''}`
+    : 'Their location was not available.';
+  const smsBody = `SOS: ${sender} asked for urgent help on ${tour}. The tour team has been alerted. ${where} Status: ${statusUrl}`;
+  const emailBody = [
+    `${sender} pressed SOS in the Loch Lomond Travel app while on ${tour}.`,
+    'The tour driver and operations team have been alerted and are responding.',
+    '',
+    where,
+    `Follow the status of this alert: ${statusUrl}`,
+    '',
+    'You are receiving this because you are one of their trusted contacts.',
+  ].join('\n');
+
+  return contacts.flatMap((contact) => [
+    ...(contact.phone ? [{
+      contactId: contact.id,
+      channel: 'sms',
+      to: contact.phone,
+      body: smsBody,
+      idempotencyKey: `${eventId}:${contact.id}:sms`,
+    }] : []),
+    ...(contact.email ? [{
+      contactId: contact.id,
+      channel: 'email',
+      to: contact.email,
+      subject: `SOS from ${sender}`,
+      body: emailBody,
+      idempotencyKey: `${eventId}:${contact.id}:email`,
+    }] : []),
+  ]);
+}
+
+function summarizeTrustedContactDelivery(results) {
+  const sentCount = results.filter((result) => result.status === 'sent').length;
+  const failedCount = results.length - sentCount;
+  const status = results.length === 0
+    ? 'no_contacts'
+    : failedCount === 0
+      ? 'sent'
+      : sentCount > 0
+        ? 'partial'
+        : 'failed';
+  return { status, messageCount: results.length, sentCount, failedCount };
+}
+
+const SOS_STATUS_LABELS = Object.freeze({
+  pending: 'Help requested. The tour team has been alerted.',
+  escalated: 'Help requested. The alert has been escalated to the operations team.',
+  acknowledged: 'The tour team has seen the alert and is responding.',
+  in_progress: 'The tour team is with them or on the way.',
+  resolved: 'The tour team has marked this alert as resolved.',
+});
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (character) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}[character]));
+
+/**
+ * Read-only status page for the link in the SOS message. Everything shown is
+ * escaped; the page has no script and nothing to submit.
+ */
+function renderSosStatusPage({ status, senderName, tourName, location, updatedAtMs }) {
+  const sender = escapeHtml(trimmedString(senderName, 80) || 'Your contact');
+  const tour = escapeHtml(trimmedString(tourName, 120) || 'their tour');
+  const statusText = escapeHtml(SOS_STATUS_LABELS[status] || SOS_STATUS_LABELS.pending);
+  const locationHtml = location
+    ? `<p><a href="${escapeHtml(formatMapsLink(location))}">Open last known location in Maps</a>${location.accuracyMeters ? ` (within ${location.accuracyMeters} m)` : ''}</p>`
+    : '<p>Their location is not available.</p>';
+  const updated = Number.isFinite(updatedAtMs)
+    ? `<p class="muted">Last updated ${escapeHtml(new Date(updatedAtMs).toUTCString())}</p>`
+    : '';
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>SOS status</title>
+<style>body{font-family:system-ui,sans-serif;margin:0 auto;max-width:32rem;padding:1.5rem;color:#0f172a}h1{font-size:1.4rem}.status{padding:1rem;border-radius:.5rem;background:#fef2f2;border:1px solid #fecaca}.muted{color:#64748b;font-size:.9rem}</style>
+</head>
+<body>
+<h1>SOS from ${sender}</h1>
+<p>On ${tour} with Loch Lomond Travel.</p>
+<p class="status">${statusText}</p>
+${locationHtml}
+${updated}
+<p class="muted">In an emergency, call 999 (or 112).</p>
+</body>
+</html>`;
+}
+
+function renderSosStatusUnavailablePage() {
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>SOS status</title></head>
+<body style="font-family:system-ui,sans-serif;margin:0 auto;max-width:32rem;padding:1.5rem">
+<h1>This link has expired</h1>
+<p>SOS status links work for 48 hours. In an emergency, call 999 (or 112).</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+  MAX_TRUSTED_CONTACTS,
+  SOS_STATUS_LINK_ROOT,
+  SOS_STATUS_LINK_TTL_MS,
+  TRUSTED_CONTACTS_ROOT,
+  TRUSTED_CONTACT_CONSENT_VERSION,
+  buildSosStatusUrl,
+  buildTrustedContactSosMessages,
+  normalizeSyncedTrustedContacts,
+  renderSosStatusPage,
+  renderSosStatusUnavailablePage,
+  resolveSosLastLocation,
+  summarizeTrustedContactDelivery,
+};
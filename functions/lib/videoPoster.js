@@ -0,0 +1,111 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const { randomUUID } = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Frame zero is often black or mid-fade, so take the poster a moment in.
+const VIDEO_POSTER_OFFSET_MS = 1000;
+// Stays inside the variant trigger's default 60 second budget.
+const VIDEO_POSTER_TIMEOUT_MS = 30 * 1000;
+const STDERR_TAIL_LENGTH = 400;
+
+/**
+ * Seek position for the poster frame, in seconds. Clips shorter than two
+ * offsets use their midpoint so the seek never runs past the end.
+ */
+function resolvePosterOffsetSeconds(durationMs) {
+  const duration = Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null;
+  const offsetMs = duration ? Math.min(VIDEO_POSTER_OFFSET_MS, duration / 2) : VIDEO_POSTER_OFFSET_MS;
+  return (Math.floor(offsetMs) / 1000).toFixed(3);
+}
+
+function buildPosterFrameArgs({ inputPath, durationMs }) {
+  return [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-ss', resolvePosterOffsetSeconds(durationMs),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-f', 'image2pipe',
+    '-vcodec', 'mjpeg',
+    '-q:v', '2',
+    'pipe:1',
+  ];
+}
+
+function runFfmpeg(args, { ffmpegPath, spawnFn, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawnFn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+    let settled = false;
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) reject(error);
+      else resolve(value);
+    };
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish(new Error('Video poster extraction timed out'));
+    }, timeoutMs);
+
+    child.stdout.on('data', (chunk) => chunks.push(chunk));
+    child.stderr.on('data', (chunk) => {
+      stderr = `${stderr}${chunk}`.slice(-STDERR_TAIL_LENGTH);
+    });
+    child.on('error', (error) => finish(error));
+    child.on('close', (code) => {
+      const output = Buffer.concat(chunks);
+      if (code !== 0) {
+        finish(new Error(`ffmpeg exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+      } else if (output.length === 0) {
+        finish(new Error('ffmpeg produced no poster frame'));
+      } else {
+        finish(null, output);
+      }
+    });
+  });
+}
+
+/**
+ * Downloads a clip to local scratch space and returns one JPEG frame from
+ * it. The frame goes through the normal photo variant pipeline, so a clip
+ * gets viewer and thumbnail images like any photo. ffmpeg applies the
+ * clip's rotation tag itself, so the frame comes out upright.
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function extractVideoPosterFrame({
+  sourceFile,
+  durationMs = null,
+  ffmpegPath = null,
+  spawnFn = spawn,
+  tmpDir = os.tmpdir(),
+  timeoutMs = VIDEO_POSTER_TIMEOUT_MS,
+}) {
+  const inputPath = path.join(tmpDir, `video-poster-${randomUUID()}`);
+  try {
+    await sourceFile.download({ destination: inputPath });
+    return await runFfmpeg(buildPosterFrameArgs({ inputPath, durationMs }), {
+      // Loaded on first use so photo-only cold starts skip the binary lookup.
+      ffmpegPath: ffmpegPath || require('ffmpeg-static'),
+      spawnFn,
+      timeoutMs,
+    });
+  } finally {
+    await fs.rm(inputPath, { force: true });
+  }
+}
+
+module.exports = {
+  VIDEO_POSTER_OFFSET_MS,
+  VIDEO_POSTER_TIMEOUT_MS,
+  buildPosterFrameArgs,
+  extractVideoPosterFrame,
+  resolvePosterOffsetSeconds,
+};
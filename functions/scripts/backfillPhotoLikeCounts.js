@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+const { derivePhotoLikeCountUpdate } = require('../lib/photoLikes');
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5_000;
+
+const parseArgs = (argv = []) => {
+  const options = { apply: false, allowFullScan: false, limit: DEFAULT_LIMIT };
+  argv.forEach((arg) => {
+    if (arg === '--apply') options.apply = true;
+    if (arg === '--allow-full-scan') options.allowFullScan = true;
+    if (arg.startsWith('--limit=')) {
+      const parsed = Number(arg.slice('--limit='.length));
+      if (Number.isSafeInteger(parsed) && parsed > 0) options.limit = Math.min(parsed, MAX_LIMIT);
+    }
+  });
+  return options;
+};
+
+// `syncPhotoLikeCount` only runs when a like changes, so photos liked before
+// it was deployed need their count written once.
+const buildUpdates = (albums, limit) => {
+  const updates = {};
+  let scanned = 0;
+  let counted = 0;
+  let unchanged = 0;
+
+  for (const [tourId, photos] of Object.entries(albums || {})) {
+    for (const [photoId, photo] of Object.entries(photos || {})) {
+      if (!photo || typeof photo !== 'object') continue;
+      scanned += 1;
+      const update = derivePhotoLikeCountUpdate(photo);
+      if (!update) {
+        unchanged += 1;
+        continue;
+      }
+      if (counted >= limit) continue;
+      updates[`group_tour_photos/${tourId}/${photoId}/likeCount`] = update.likeCount;
+      counted += 1;
+    }
+  }
+  return { updates, summary: { scanned, counted, unchanged, capped: counted >= limit } };
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.apply && !options.allowFullScan) {
+    throw new Error('Apply mode reads the complete group_tour_photos root. Re-run with --apply --allow-full-scan after reviewing a dry run.');
+  }
+  const admin = require('firebase-admin');
+  if (!admin.apps.length) admin.initializeApp();
+  const database = admin.database();
+  const snapshot = await database.ref('group_tour_photos').once('value');
+  const { updates, summary } = buildUpdates(snapshot.val() || {}, options.limit);
+  if (options.apply && Object.keys(updates).length) await database.ref().update(updates);
+  process.stdout.write(`${JSON.stringify({ mode: options.apply ? 'apply' : 'dry-run', ...summary }, null, 2)}\n`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    process.stderr.write(`${error?.message || error}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, buildUpdates };
@@ -6,6 +6,7 @@ const {
   parsePositiveInteger,
   trimString,
 } = require('./scriptUtils');
+const { PHOTO_QUALITY_VERSION } = require('../lib/photoQuality');
 
 const DEFAULT_LIMIT = 50;
 const MAX_LIMIT = 500;
@@ -34,6 +35,7 @@ const parseArgs = (argv = []) => {
     afterCursor: null,
     retryFailed: true,
     refreshGroupOwnership: false,
+    backfillQuality: false,
     allowFullScan: false,
   };
 
@@ -66,6 +68,7 @@ const parseArgs = (argv = []) => {
 
   options.retryFailed = parseBooleanFlag(argv, 'retry-failed', options.retryFailed);
   options.refreshGroupOwnership = parseBooleanFlag(argv, 'refresh-group-ownership', options.refreshGroupOwnership);
+  options.backfillQuality = parseBooleanFlag(argv, 'backfill-quality', options.backfillQuality);
   options.allowFullScan = parseBooleanFlag(argv, 'allow-full-scan', options.allowFullScan);
 
   return options;
@@ -91,9 +94,32 @@ const shouldBackfill = (photo, { retryFailed, force = false }) => {
   return retryFailed && photo.variantStatus === 'failed';
 };
 
+const needsQualityBackfill = (photo) => (
+  isPlainObject(photo)
+  && Boolean(trimString(photo.storagePath))
+  && photo.mediaType !== 'video'
+  && (!trimString(photo.perceptualHash) || photo.qualityVersion !== PHOTO_QUALITY_VERSION)
+);
+
+// Records that still need variants get the full pipeline, which also fills
+// the quality fields. Records with good variants only get the quality pass.
+const planBackfill = (photo, { retryFailed, force = false, backfillQuality = false }) => {
+  if (shouldBackfill(photo, { retryFailed, force })) return { qualityOnly: false };
+  if (backfillQuality && needsQualityBackfill(photo)) return { qualityOnly: true };
+  return null;
+};
+
 const compareKeys = (left, right) => (left < right ? -1 : left > right ? 1 : 0);
 
-const collectGroupCandidates = async ({ db, tourId, remaining, retryFailed, refreshGroupOwnership, afterCursor }) => {
+const collectGroupCandidates = async ({
+  db,
+  tourId,
+  remaining,
+  retryFailed,
+  refreshGroupOwnership,
+  backfillQuality = false,
+  afterCursor,
+}) => {
   if (remaining <= 0) return { candidates: [], scannedPhotos: 0 };
 
   const rootPath = tourId ? `group_tour_photos/${tourId}` : 'group_tour_photos';
@@ -116,7 +142,7 @@ const collectGroupCandidates = async ({ db, tourId, remaining, retryFailed, refr
     page.forEach(([photoId, photoRecord]) => {
       scannedPhotos += 1;
       if (shouldBackfill(photoRecord, { retryFailed, force: true })) {
-        candidates.push({ visibility: 'group', tourId, ownerKey: null, photoId, photoRecord });
+        candidates.push({ visibility: 'group', tourId, ownerKey: null, photoId, photoRecord, qualityOnly: false });
       }
     });
     return {
@@ -130,13 +156,15 @@ const collectGroupCandidates = async ({ db, tourId, remaining, retryFailed, refr
   Object.entries(tours).some(([currentTourId, photosById]) => {
     Object.entries(photosById || {}).some(([photoId, photoRecord]) => {
       scannedPhotos += 1;
-      if (shouldBackfill(photoRecord, { retryFailed, force: refreshGroupOwnership })) {
+      const plan = planBackfill(photoRecord, { retryFailed, force: refreshGroupOwnership, backfillQuality });
+      if (plan) {
         candidates.push({
           visibility: 'group',
           tourId: currentTourId,
           ownerKey: null,
           photoId,
           photoRecord,
+          qualityOnly: plan.qualityOnly,
         });
       }
       return candidates.length >= remaining;
@@ -147,7 +175,7 @@ const collectGroupCandidates = async ({ db, tourId, remaining, retryFailed, refr
   return { candidates, scannedPhotos, nextCursor: null };
 };
 
-const collectPrivateCandidates = async ({ db, tourId, ownerKey, remaining, retryFailed }) => {
+const collectPrivateCandidates = async ({ db, tourId, ownerKey, remaining, retryFailed, backfillQuality = false }) => {
   if (remaining <= 0) return { candidates: [], scannedPhotos: 0 };
 
   const rootPath = tourId
@@ -163,13 +191,15 @@ const collectPrivateCandidates = async ({ db, tourId, ownerKey, remaining, retry
     Object.entries(ownersByKey || {}).some(([currentOwnerKey, photosById]) => {
       Object.entries(photosById || {}).some(([photoId, photoRecord]) => {
         scannedPhotos += 1;
-        if (shouldBackfill(photoRecord, { retryFailed })) {
+        const plan = planBackfill(photoRecord, { retryFailed, backfillQuality });
+        if (plan) {
           candidates.push({
             visibility: 'private',
             tourId: currentTourId,
             ownerKey: currentOwnerKey,
             photoId,
             photoRecord,
+            qualityOnly: plan.qualityOnly,
           });
         }
         return candidates.length >= remaining;
@@ -195,6 +225,7 @@ const collectCandidates = async (options, deps = {}) => {
       remaining: options.limit - candidates.length,
       retryFailed: options.retryFailed,
       refreshGroupOwnership: options.refreshGroupOwnership,
+      backfillQuality: options.backfillQuality,
       afterCursor: options.afterCursor,
     });
     candidates.push(...groupResult.candidates);
@@ -209,6 +240,7 @@ const collectCandidates = async (options, deps = {}) => {
       ownerKey: options.ownerKey,
       remaining: options.limit - candidates.length,
       retryFailed: options.retryFailed,
+      backfillQuality: options.backfillQuality,
     });
     candidates.push(...privateResult.candidates);
     scan.privatePhotos += privateResult.scannedPhotos;
@@ -274,6 +306,7 @@ const run = async (options = {}, deps = {}) => {
       tourId: candidate.tourId,
       ownerKey: candidate.ownerKey,
       photoId: candidate.photoId,
+      qualityOnly: candidate.qualityOnly,
       result,
     });
   }
@@ -295,6 +328,7 @@ const run = async (options = {}, deps = {}) => {
     ownerKey: resolvedOptions.ownerKey,
     retryFailed: resolvedOptions.retryFailed,
     refreshGroupOwnership: resolvedOptions.refreshGroupOwnership,
+    backfillQuality: resolvedOptions.backfillQuality,
     nextCursor,
     scan,
     summary,
@@ -316,6 +350,7 @@ const main = async (argv = process.argv.slice(2), deps = {}) => {
     ownerKey: result.ownerKey,
     retryFailed: result.retryFailed,
     refreshGroupOwnership: result.refreshGroupOwnership,
+    backfillQuality: result.backfillQuality,
     nextCursor: result.nextCursor,
     scan: result.scan,
   }));
@@ -340,7 +375,9 @@ module.exports = {
   collectGroupCandidates,
   collectPrivateCandidates,
   main,
+  needsQualityBackfill,
   parseArgs,
+  planBackfill,
   run,
   shouldBackfill,
   validateOptions,
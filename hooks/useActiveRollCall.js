@@ -0,0 +1,24 @@
+import { useCallback, useEffect, useState } from 'react';
+import rollCallService from '../services/rollCallService';
+
+// Passenger side of a roll call. The confirmation shows as soon as the write
+// is made locally; the database delivers it when the phone is back online.
+export default function useActiveRollCall({ tourId, authUid, enabled = true } = {}) {
+  const [rollCall, setRollCall] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setRollCall(null);
+    if (!enabled || !tourId || !authUid) return undefined;
+    return rollCallService.subscribeActive({ tourId, authUid }, setRollCall);
+  }, [authUid, enabled, tourId]);
+
+  const confirm = useCallback(async () => {
+    setError(null);
+    const result = await rollCallService.confirmBack({ tourId, authUid });
+    if (!result.success) setError(result.error);
+    return result;
+  }, [authUid, tourId]);
+
+  return { rollCall, error, confirm };
+}
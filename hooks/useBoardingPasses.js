@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react';
+import boardingPassService from '../services/boardingPassService';
+
+// Shows the last issued passes straight away, then refreshes when online. A
+// failed refresh keeps the cached passes: the signature does not expire
+// within a departure, so an older pass still scans.
+export default function useBoardingPasses({ tourId, enabled = true, isConnected = true } = {}) {
+  const [issued, setIssued] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!tourId) return null;
+    setLoading(true);
+    const result = await boardingPassService.fetchPasses({ tourId });
+    setLoading(false);
+    if (result.success) {
+      setIssued(result.data);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+    return result;
+  }, [tourId]);
+
+  useEffect(() => {
+    setIssued(null);
+    setError(null);
+    if (!enabled || !tourId) return undefined;
+    let active = true;
+    boardingPassService.loadCached({ tourId }).then((cached) => {
+      if (active && cached.success && cached.data) setIssued(cached.data);
+    });
+    return () => { active = false; };
+  }, [enabled, tourId]);
+
+  useEffect(() => {
+    if (enabled && tourId && isConnected) refresh();
+  }, [enabled, isConnected, refresh, tourId]);
+
+  return { passes: issued?.passes || [], issuedAtMs: issued?.issuedAtMs || null, loading, error, refresh };
+}
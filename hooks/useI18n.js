@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
+import i18nService from '../services/i18nService';
+
+const { SUPPORTED_LOCALES, formatDate: formatLocaleDate, formatNumber: formatLocaleNumber, translate } = i18nService;
+
+// Re-renders every subscribed screen when the passenger switches language.
+export default function useI18n() {
+  const locale = useSyncExternalStore(i18nService.subscribe, i18nService.getLocale, i18nService.getLocale);
+  const autoTranslateChat = useSyncExternalStore(
+    i18nService.subscribe,
+    i18nService.getAutoTranslateChat,
+    i18nService.getAutoTranslateChat,
+  );
+
+  useEffect(() => {
+    i18nService.hydrate();
+  }, []);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+  const formatDate = useCallback((value, format, fallback) => formatLocaleDate(locale, value, format, fallback), [locale]);
+  const formatNumber = useCallback((value, options) => formatLocaleNumber(locale, value, options), [locale]);
+
+  return useMemo(() => ({
+    locale,
+    locales: SUPPORTED_LOCALES,
+    t,
+    formatDate,
+    formatNumber,
+    setLocale: i18nService.setLocale,
+    autoTranslateChat,
+    setAutoTranslateChat: i18nService.setAutoTranslateChat,
+  }), [autoTranslateChat, formatDate, formatNumber, locale, t]);
+}
@@ -0,0 +1,40 @@
+import { useEffect, useRef, useState } from 'react';
+import { selectThumbnailPrefetchBatch } from '../services/photoThumbnailPrefetchPlanner';
+import { getCachedPhotoUri } from '../services/photoViewerCacheService';
+
+// Map markers snapshot their view, so they render from a local file rather
+// than a remote URL that may still be loading. Only real thumbnails are
+// fetched, through the viewer's disk cache, a batch at a time: each result
+// re-renders and lets the next batch start.
+export default function useMapPhotoThumbnails(photos, { maxBatchSize = 12 } = {}) {
+  const [localUris, setLocalUris] = useState({});
+  const requestedUrisRef = useRef(new Set());
+  const mountedRef = useRef(true);
+
+  useEffect(() => () => {
+    mountedRef.current = false;
+  }, []);
+
+  useEffect(() => {
+    const uris = selectThumbnailPrefetchBatch({
+      photos,
+      prefetchedUris: requestedUrisRef.current,
+      maxBatchSize,
+      thumbnailOnly: true,
+    });
+    uris.forEach((uri) => {
+      requestedUrisRef.current.add(uri);
+      getCachedPhotoUri(uri)
+        .then((localUri) => {
+          if (mountedRef.current && localUri) {
+            setLocalUris((current) => ({ ...current, [uri]: localUri }));
+          }
+        })
+        .catch(() => {
+          requestedUrisRef.current.delete(uri);
+        });
+    });
+  }, [localUris, maxBatchSize, photos]);
+
+  return localUris;
+}
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Linking } from 'react-native';
+import photoArchiveService, { PHOTO_ARCHIVE_STATUS } from '../services/photoArchiveService';
+
+// Tracks the passenger's latest "download all my photos" job. A job started
+// on another screen, or before an app restart, is picked up from storage.
+export default function usePhotoArchive({ tourId, enabled = true } = {}) {
+  const [jobId, setJobId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let active = true;
+    photoArchiveService.loadPending().then((result) => {
+      if (active && result.success && result.data) setJobId(result.data.jobId);
+    });
+    return () => { active = false; };
+  }, [enabled]);
+
+  useEffect(() => {
+    setJob(null);
+    if (!enabled || !jobId) return undefined;
+    return photoArchiveService.subscribeToJob({ jobId }, setJob);
+  }, [enabled, jobId]);
+
+  const start = useCallback(async () => {
+    setBusy(true);
+    setError(null);
+    const result = await photoArchiveService.requestArchive({ tourId });
+    setBusy(false);
+    if (result.success) setJobId(result.data.jobId);
+    else setError(result.error);
+    return result;
+  }, [tourId]);
+
+  const download = useCallback(async () => {
+    setError(null);
+    const result = await photoArchiveService.getDownloadLink();
+    if (!result.success) {
+      setError(result.error);
+      return result;
+    }
+    try {
+      await Linking.openURL(result.data.url);
+      await photoArchiveService.clearPending();
+      return result;
+    } catch {
+      const message = 'The download could not be opened. Please try again.';
+      setError(message);
+      return { success: false, error: message };
+    }
+  }, []);
+
+  const inProgress = busy
+    || job?.status === PHOTO_ARCHIVE_STATUS.QUEUED
+    || job?.status === PHOTO_ARCHIVE_STATUS.BUILDING;
+  const canDownload = job?.status === PHOTO_ARCHIVE_STATUS.READY
+    && (job.expiresAtMs === null || job.expiresAtMs > Date.now());
+
+  return { job, error, inProgress, canDownload, start, download };
+}
@@ -0,0 +1,18 @@
+import { useEffect, useMemo, useState } from 'react';
+import * as photoService from '../services/photoService';
+import { rankPhotoHighlights } from '../utils/photoHighlights';
+
+// Keeps one live subscription to the album's most-liked photos, whatever
+// their age, and only receives changes. Ranking reruns when the photos
+// change, not on every render.
+export default function usePhotoHighlights({ tourId, enabled = true, limit } = {}) {
+  const [photos, setPhotos] = useState([]);
+
+  useEffect(() => {
+    setPhotos([]);
+    if (!enabled || !tourId) return undefined;
+    return photoService.subscribeToPhotoHighlights(tourId, setPhotos);
+  }, [enabled, tourId]);
+
+  return useMemo(() => rankPhotoHighlights(photos, { limit }), [limit, photos]);
+}
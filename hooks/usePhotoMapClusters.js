@@ -0,0 +1,18 @@
+import { useEffect, useMemo, useState } from 'react';
+import * as photoService from '../services/photoService';
+import { clusterPhotosForMap } from '../utils/photoMapClusters';
+
+// Map clusters for the album's recent window. Shares the Group Album's live
+// query, so opening the map does not fetch the album again. Clusters are
+// rebuilt when the photos or the visible region change.
+export default function usePhotoMapClusters({ tourId, region = null, enabled = true } = {}) {
+  const [photos, setPhotos] = useState([]);
+
+  useEffect(() => {
+    setPhotos([]);
+    if (!enabled || !tourId) return undefined;
+    return photoService.subscribeToTourPhotos(tourId, setPhotos);
+  }, [enabled, tourId]);
+
+  return useMemo(() => clusterPhotosForMap(photos, region), [photos, region]);
+}
@@ -0,0 +1,73 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createPersistenceProvider } from '../services/persistenceProvider';
+import {
+  appendDwellSample,
+  buildPickupEta,
+  observeDriverDwell,
+} from '../services/pickupEtaService';
+
+const ETA_REFRESH_MS = 30 * 1000;
+const dwellStorage = createPersistenceProvider({
+  namespace: 'LLT_PICKUP_ETA',
+  preferredStorage: 'async-storage',
+});
+const dwellKey = (tourId) => `dwell_samples_v1_${encodeURIComponent(tourId)}`;
+
+// Observed dwell samples are kept per tour on the device so the estimate
+// improves as the coach works through earlier stops, and survives a restart.
+export default function usePickupEta({
+  tourId,
+  driverLocationRecord,
+  passengerPickup,
+  tourPickupPoints,
+  fallbackDate = null,
+  enabled = true,
+}) {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [dwellSamples, setDwellSamples] = useState([]);
+  const dwellStateRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const timer = setInterval(() => setNowMs(Date.now()), ETA_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  useEffect(() => {
+    dwellStateRef.current = null;
+    setDwellSamples([]);
+    if (!tourId) return undefined;
+    let active = true;
+    dwellStorage.getItemAsync(dwellKey(tourId))
+      .then((raw) => {
+        const parsed = raw ? JSON.parse(raw) : [];
+        if (active && Array.isArray(parsed)) setDwellSamples(parsed);
+      })
+      .catch(() => {});
+    return () => { active = false; };
+  }, [tourId]);
+
+  useEffect(() => {
+    if (!tourId || !driverLocationRecord) return;
+    const { state, sampleMinutes } = observeDriverDwell(dwellStateRef.current, driverLocationRecord, Date.now());
+    dwellStateRef.current = state;
+    if (!Number.isFinite(sampleMinutes)) return;
+    setDwellSamples((current) => {
+      const next = appendDwellSample(current, sampleMinutes);
+      dwellStorage.setItemAsync(dwellKey(tourId), JSON.stringify(next)).catch(() => {});
+      return next;
+    });
+  }, [driverLocationRecord, tourId]);
+
+  return useMemo(() => {
+    if (!enabled || !passengerPickup) return null;
+    return buildPickupEta({
+      driverLocationRecord,
+      passengerPickup,
+      tourPickupPoints,
+      dwellSamplesMinutes: dwellSamples,
+      fallbackDate,
+      nowMs,
+    });
+  }, [driverLocationRecord, dwellSamples, enabled, fallbackDate, nowMs, passengerPickup, tourPickupPoints]);
+}
@@ -0,0 +1,160 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import * as Location from 'expo-location';
+import { createPersistenceProvider } from '../services/persistenceProvider';
+import {
+  GEOFENCE_MODES,
+  UNDO_WINDOW_MS,
+  dismissGeofenceProposal,
+  evaluatePickupGeofence,
+  normalizeGeofenceMode,
+  selectGeofencedPickups,
+} from '../services/pickupGeofenceService';
+
+const modeStorage = createPersistenceProvider({
+  namespace: 'LLT_PICKUP_GEOFENCE',
+  preferredStorage: 'async-storage',
+});
+const modeKey = (driverId) => `mode_v1_${encodeURIComponent(driverId)}`;
+
+// Foreground-only, like driver auto-share. Every transition still goes through
+// the Tour Pack action service, so offline arrivals queue like manual taps.
+export default function usePickupGeofence({ pack, actionState, driverId, enabled = true } = {}) {
+  const [mode, setModeState] = useState(GEOFENCE_MODES.OFF);
+  const [permission, setPermission] = useState('unknown');
+  const [proposal, setProposal] = useState(null);
+  const [undo, setUndo] = useState(null);
+  const [error, setError] = useState(null);
+  const evaluatorRef = useRef(null);
+  const pickupStopsRef = useRef({});
+  const modeRef = useRef(mode);
+  const actionRef = useRef(actionState);
+  const undoTimerRef = useRef(null);
+  const pickups = useMemo(() => selectGeofencedPickups(pack), [pack]);
+  const active = Boolean(enabled && driverId && pickups.length && mode !== GEOFENCE_MODES.OFF);
+
+  pickupStopsRef.current = actionState?.actions?.pickupStops || {};
+  modeRef.current = mode;
+  actionRef.current = actionState;
+
+  useEffect(() => {
+    setModeState(GEOFENCE_MODES.OFF);
+    if (!driverId) return undefined;
+    let cancelled = false;
+    modeStorage.getItemAsync(modeKey(driverId))
+      .then((stored) => { if (!cancelled) setModeState(normalizeGeofenceMode(stored)); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [driverId]);
+
+  useEffect(() => {
+    evaluatorRef.current = null;
+    setProposal(null);
+  }, [pack?.departureKey, pack?.revision]);
+
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  const apply = useCallback(async (next) => {
+    const result = await actionRef.current?.setPickup?.(next.pickupId, next.state);
+    if (!result?.success) setError(result?.error || 'Pickup progress could not be saved.');
+    return result;
+  }, []);
+
+  const handleProposal = useCallback(async (next) => {
+    if (modeRef.current !== GEOFENCE_MODES.AUTO) {
+      setProposal(next);
+      return;
+    }
+    const result = await apply(next);
+    if (!result?.success) return;
+    clearTimeout(undoTimerRef.current);
+    setUndo({ ...next, expiresAtMs: Date.now() + UNDO_WINDOW_MS });
+    undoTimerRef.current = setTimeout(() => setUndo(null), UNDO_WINDOW_MS);
+  }, [apply]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    let cancelled = false;
+    let subscription = null;
+    (async () => {
+      try {
+        const { status } = await Location.getForegroundPermissionsAsync();
+        if (cancelled) return;
+        setPermission(status);
+        if (status !== 'granted') return;
+        subscription = await Location.watchPositionAsync(
+          { accuracy: Location.Accuracy.High, timeInterval: 10000, distanceInterval: 15 },
+          (fix) => {
+            if (cancelled) return;
+            const evaluated = evaluatePickupGeofence({
+              state: evaluatorRef.current,
+              fix,
+              pickups,
+              pickupStops: pickupStopsRef.current,
+              nowMs: Date.now(),
+            });
+            evaluatorRef.current = evaluated.state;
+            if (evaluated.proposal) {
+              // Remember the proposal as handled so the same transition is
+              // not re-offered on the next fix while the driver decides.
+              evaluatorRef.current = dismissGeofenceProposal(evaluated.state, evaluated.proposal);
+              handleProposal(evaluated.proposal);
+            }
+          },
+        );
+        if (cancelled) subscription?.remove?.();
+      } catch (watchError) {
+        if (!cancelled) setError(watchError?.message || 'Pickup arrival detection is unavailable.');
+      }
+    })();
+    return () => {
+      cancelled = true;
+      subscription?.remove?.();
+    };
+  }, [active, handleProposal, pickups]);
+
+  const setMode = useCallback(async (value) => {
+    const nextMode = normalizeGeofenceMode(value);
+    setError(null);
+    if (nextMode !== GEOFENCE_MODES.OFF) {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      setPermission(status);
+      if (status !== 'granted') {
+        setError('Location permission is required for pickup arrival detection.');
+        return { success: false, error: 'Location permission denied' };
+      }
+    }
+    setModeState(nextMode);
+    setProposal(null);
+    if (driverId) await modeStorage.setItemAsync(modeKey(driverId), nextMode).catch(() => {});
+    return { success: true, data: { mode: nextMode } };
+  }, [driverId]);
+
+  const confirmProposal = useCallback(async () => {
+    if (!proposal) return { success: false, error: 'No pickup proposal' };
+    setProposal(null);
+    return apply(proposal);
+  }, [apply, proposal]);
+
+  const dismissProposal = useCallback(() => setProposal(null), []);
+
+  const undoLast = useCallback(async () => {
+    if (!undo) return { success: false, error: 'Nothing to undo' };
+    clearTimeout(undoTimerRef.current);
+    setUndo(null);
+    return apply({ pickupId: undo.pickupId, state: undo.previousState });
+  }, [apply, undo]);
+
+  return {
+    mode,
+    setMode,
+    available: pickups.length > 0,
+    watching: active && permission === 'granted',
+    permission,
+    proposal,
+    confirmProposal,
+    dismissProposal,
+    undo,
+    undoLast,
+    error,
+  };
+}
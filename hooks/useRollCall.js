@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import rollCallService from '../services/rollCallService';
+import logger from '../services/loggerService';
+
+const { resolveMissingLocations, summarizeRollCall } = rollCallService;
+
+// Driver roll call state. The open session lives on the device first, so ticks
+// made with no signal survive a restart and are re-sent on the next change.
+export default function useRollCall({ tourId, driverId } = {}) {
+  const [rollCall, setRollCall] = useState(null);
+  const [progress, setProgress] = useState({ checkins: {}, participantBookings: {}, liveTracking: {} });
+  const [syncPending, setSyncPending] = useState(false);
+  const rollCallRef = useRef(null);
+
+  const track = useCallback((result) => {
+    if (!result?.success) return result;
+    rollCallRef.current = result.data.status === 'open' ? result.data : null;
+    setRollCall(rollCallRef.current);
+    setSyncPending(true);
+    result.synced.then((synced) => {
+      if (!synced.success) {
+        logger.warn('RollCall', 'Roll call not yet saved to the tour', { tourId, error: synced.error });
+        return;
+      }
+      if (rollCallRef.current === result.data || result.data.status !== 'open') setSyncPending(false);
+    });
+    return result;
+  }, [tourId]);
+
+  useEffect(() => {
+    let active = true;
+    rollCallRef.current = null;
+    setRollCall(null);
+    if (!tourId || !driverId) return undefined;
+    rollCallService.loadSession({ tourId, driverId }).then((loaded) => {
+      if (!active || !loaded.success || !loaded.data || loaded.data.status !== 'open') return;
+      rollCallRef.current = loaded.data;
+      setRollCall(loaded.data);
+      setSyncPending(true);
+      rollCallService.sync(loaded.data).then((synced) => { if (active && synced.success) setSyncPending(false); });
+    });
+    return () => { active = false; };
+  }, [driverId, tourId]);
+
+  const rollCallId = rollCall?.rollCallId || null;
+  useEffect(() => {
+    if (!tourId || !rollCallId) return undefined;
+    return rollCallService.subscribeProgress({ tourId, rollCallId }, setProgress);
+  }, [rollCallId, tourId]);
+
+  // Passenger confirmations arrive while the roll call is open; fold them into
+  // the driver's record so the stored history says who confirmed themselves.
+  useEffect(() => {
+    if (!rollCallRef.current) return;
+    rollCallService.recordCheckins({ driverId, rollCall: rollCallRef.current, ...progress })
+      .then((result) => { if (result) track(result); });
+  }, [driverId, progress, track]);
+
+  const start = useCallback(async ({ stopName, bookings }) => (
+    track(await rollCallService.start({ tourId, driverId, stopName, bookings }))
+  ), [driverId, tourId, track]);
+
+  const toggleReturned = useCallback(async (key, returned) => {
+    if (!rollCallRef.current) return null;
+    return track(await rollCallService.setReturned({ driverId, rollCall: rollCallRef.current, key, returned }));
+  }, [driverId, track]);
+
+  const close = useCallback(async () => {
+    if (!rollCallRef.current) return null;
+    return track(await rollCallService.close({ driverId, rollCall: rollCallRef.current }));
+  }, [driverId, track]);
+
+  const summary = useMemo(() => (rollCall ? summarizeRollCall(rollCall) : null), [rollCall]);
+  const locations = useMemo(() => (summary ? resolveMissingLocations({
+    missing: summary.missing,
+    participantBookings: progress.participantBookings,
+    liveTracking: progress.liveTracking,
+  }) : {}), [progress, summary]);
+
+  return { rollCall, summary, locations, syncPending, start, toggleReturned, close };
+}
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useState } from 'react';
+import safetyCheckInService, { CHECK_IN_STATUS, isBackOnCoach } from '../services/safetyCheckInService';
+import rollCallService from '../services/rollCallService';
+import i18n from '../services/i18nService';
+import logger, { maskIdentifier } from '../services/loggerService';
+
+const reminderCopy = () => ({
+  reminder: (minutes) => ({
+    title: i18n.t('safety.checkIn.reminderTitle'),
+    body: i18n.t('safety.checkIn.reminderBody', { count: minutes }),
+  }),
+  due: {
+    title: i18n.t('safety.checkIn.dueTitle'),
+    body: i18n.t('safety.checkIn.dueBody'),
+  },
+});
+
+const logSyncFailure = (synced, tourId, message) => {
+  synced?.then((result) => {
+    if (!result.success) logger.warn('SafetyCheckIn', message, { tourId, error: result.error });
+  });
+};
+
+// Mounted once for a passenger session. The alert itself is raised by the
+// server when the stored timer runs out; this keeps the card in step with it.
+export default function useSafetyCheckIn({
+  tourId,
+  principalId,
+  authUid,
+  passengerName,
+  enabled = true,
+} = {}) {
+  const [checkIn, setCheckIn] = useState(null);
+  const [error, setError] = useState(null);
+  const active = Boolean(enabled && tourId && principalId && authUid);
+
+  useEffect(() => {
+    setCheckIn(null);
+    if (!active) return undefined;
+    let cancelled = false;
+    safetyCheckInService.load({ tourId, principalId, authUid }).then((result) => {
+      if (!cancelled && result.success) setCheckIn(result.data);
+    });
+    const unsubscribe = safetyCheckInService.subscribe({ tourId, principalId, authUid }, (next) => {
+      if (cancelled) return;
+      if (next?.status === CHECK_IN_STATUS.RAISED) {
+        logger.info('SafetyCheckIn', 'Check-in timer ran out and the driver was alerted', {
+          tourId,
+          principalId: maskIdentifier(principalId),
+        });
+      }
+      setCheckIn(next);
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [active, authUid, principalId, tourId]);
+
+  const cancel = useCallback(async () => {
+    setError(null);
+    const result = await safetyCheckInService.cancel({ tourId, principalId, authUid });
+    if (result.success) {
+      setCheckIn(null);
+      logSyncFailure(result.synced, tourId, 'Check-in timer not cleared on the server yet');
+    } else {
+      setError(result.error);
+    }
+    return result;
+  }, [authUid, principalId, tourId]);
+
+  // A driver tick or the passenger's own "I'm back" on a roll call that
+  // started after the timer stops it, reminders included.
+  useEffect(() => {
+    if (!active || !checkIn || !authUid) return undefined;
+    return rollCallService.subscribeActive({ tourId, authUid }, (rollCall) => {
+      if (!isBackOnCoach(checkIn, rollCall)) return;
+      logger.info('SafetyCheckIn', 'Check-in timer stopped after roll call return', { tourId });
+      cancel();
+    });
+  }, [active, authUid, cancel, checkIn, tourId]);
+
+  const start = useCallback(async ({ dueAtMs, source, label }) => {
+    setError(null);
+    const result = await safetyCheckInService.start(
+      { tourId, principalId, authUid },
+      { dueAtMs, source, label, passengerName, copy: reminderCopy() },
+    );
+    if (result.success) {
+      setCheckIn(result.data);
+      logSyncFailure(result.synced, tourId, 'Check-in timer not stored on the server yet');
+      logger.info('SafetyCheckIn', 'Check-in timer started', {
+        tourId,
+        source: result.data.source,
+        minutes: Math.round((result.data.dueAtMs - result.data.startedAtMs) / 60000),
+        reminders: result.data.notificationIds.length,
+      });
+    } else {
+      setError(result.error);
+    }
+    return result;
+  }, [authUid, passengerName, principalId, tourId]);
+
+  return { checkIn, error, start, cancel, enabled: active };
+}
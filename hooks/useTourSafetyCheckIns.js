@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+import safetyCheckInService from '../services/safetyCheckInService';
+
+// Driver side: the check-in timers passengers have running on this tour.
+export default function useTourSafetyCheckIns({ tourId } = {}) {
+  const [checkIns, setCheckIns] = useState([]);
+
+  useEffect(() => {
+    setCheckIns([]);
+    if (!tourId) return undefined;
+    return safetyCheckInService.subscribeTour({ tourId }, setCheckIns);
+  }, [tourId]);
+
+  return checkIns;
+}
@@ -1,10 +1,11 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   ActivityIndicator,
   Alert,
   Linking,
   ScrollView,
   StyleSheet,
+  Switch,
   Text,
   TouchableOpacity,
   View,
@@ -18,6 +19,26 @@ import {
   deleteCurrentAccount,
 } from '../services/accountDeletionService';
 import logger, { maskIdentifier } from '../services/loggerService';
+import { describePhotoArchiveJob } from '../services/photoArchiveService';
+import {
+  DEFAULT_INCLUDE_PHOTO_LOCATION,
+  getIncludePhotoLocation,
+  setIncludePhotoLocation,
+} from '../services/photoLocationPreferenceService';
+import { getTrustedContacts } from '../services/safetyService';
+import {
+  deleteCareProfile,
+  loadCareProfile,
+  saveCareProfile,
+} from '../services/careProfileService';
+import {
+  disableTrustedContactSync,
+  enableTrustedContactSync,
+  loadTrustedContactSync,
+} from '../services/trustedContactSyncService';
+import { auth } from '../firebase';
+import usePhotoArchive from '../hooks/usePhotoArchive';
+import CareProfileForm from '../components/CareProfileForm';
 import { COLORS, FONT_WEIGHT, RADIUS, SHADOWS, SPACING } from '../theme';
 
 const getAccountLabel = ({ bookingData, isDriverSession }) => {
@@ -85,6 +106,151 @@ export default function AccountPrivacyScreen({
   const [deleting, setDeleting] = useState(false);
   const [statusMessage, setStatusMessage] = useState('');
   const accountLabel = getAccountLabel({ bookingData, isDriverSession });
+  const photoArchive = usePhotoArchive({
+    tourId: tourData?.id || bookingData?.assignedTourId || tourData?.tourCode,
+    enabled: !isDriverSession,
+  });
+  const authUid = auth?.currentUser?.uid || null;
+  const [includePhotoLocation, setIncludePhotoLocationState] = useState(DEFAULT_INCLUDE_PHOTO_LOCATION);
+  const [shareTrustedContacts, setShareTrustedContacts] = useState(false);
+  const [trustedContactSyncBusy, setTrustedContactSyncBusy] = useState(false);
+  const [careProfile, setCareProfile] = useState(null);
+  const [careDraft, setCareDraft] = useState(null);
+  const [careBusy, setCareBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getIncludePhotoLocation(authUid).then((enabled) => {
+      if (!cancelled) setIncludePhotoLocationState(enabled);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [authUid]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadTrustedContactSync().then((result) => {
+      if (!cancelled && result.success) setShareTrustedContacts(result.data.enabled);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [authUid]);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (isDriverSession) return undefined;
+    loadCareProfile().then((result) => {
+      if (!cancelled && result.success) setCareProfile(result.data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [authUid, isDriverSession]);
+
+  const applyTrustedContactSync = async (enabled) => {
+    setTrustedContactSyncBusy(true);
+    setShareTrustedContacts(enabled);
+    const result = enabled
+      ? await enableTrustedContactSync({
+        contacts: await getTrustedContacts(canonicalIdentity?.principalId || authUid),
+        senderName: bookingData?.passengerNames?.[0] || (isDriverSession ? tourData?.driverName : ''),
+      })
+      : await disableTrustedContactSync();
+    setTrustedContactSyncBusy(false);
+    if (!result.success) {
+      setShareTrustedContacts(!enabled);
+      Alert.alert('Trusted contacts', result.error);
+    }
+  };
+
+  const handleTrustedContactSyncToggle = () => {
+    if (trustedContactSyncBusy) return;
+    if (shareTrustedContacts) {
+      applyTrustedContactSync(false);
+      return;
+    }
+    Alert.alert(
+      'Message trusted contacts on SOS?',
+      'Loch Lomond Travel will keep a copy of your trusted contacts\' names, phone numbers and email addresses. If you press SOS, we text or email them your tour name, your last known location and a link to follow the alert. Turn this off at any time to delete our copy.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'I agree', onPress: () => applyTrustedContactSync(true) },
+      ]
+    );
+  };
+
+  const applyCareProfileSave = async () => {
+    setCareBusy(true);
+    const result = await saveCareProfile(careDraft, { grantedAtMs: careProfile?.grantedAtMs });
+    setCareBusy(false);
+    if (!result.success) {
+      Alert.alert('Medical & accessibility', result.error);
+      return;
+    }
+    setCareProfile(result.data);
+    setCareDraft(null);
+    logger.info('AccountPrivacy', 'Care profile shared with driver', { firstConsent: !careProfile?.enabled });
+  };
+
+  const handleCareProfileSave = () => {
+    if (careBusy || !careDraft) return;
+    if (careProfile?.enabled) {
+      applyCareProfileSave();
+      return;
+    }
+    Alert.alert(
+      'Share these details with your driver?',
+      'Loch Lomond Travel will keep these health and accessibility details and show them to the driver assigned to your tour, including on their phone while offline. They are used only to help you travel safely and to plan for your needs. Stop sharing at any time to delete our copy.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'I agree', onPress: applyCareProfileSave },
+      ]
+    );
+  };
+
+  const handleCareProfileDelete = () => {
+    if (careBusy) return;
+    Alert.alert(
+      'Stop sharing and delete?',
+      'Your medical and accessibility details will be deleted. Your driver stops seeing them when their manifest next updates.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setCareBusy(true);
+            const result = await deleteCareProfile();
+            setCareBusy(false);
+            if (!result.success) {
+              Alert.alert('Medical & accessibility', result.error);
+              return;
+            }
+            setCareProfile((previous) => ({ ...previous, enabled: false, grantedAtMs: null }));
+            setCareDraft(null);
+            logger.info('AccountPrivacy', 'Care profile deleted');
+          },
+        },
+      ]
+    );
+  };
+
+  const handlePhotoLocationToggle = async () => {
+    const next = !includePhotoLocation;
+    setIncludePhotoLocationState(next);
+    const result = await setIncludePhotoLocation(authUid, next);
+    if (!result.success) {
+      setIncludePhotoLocationState(!next);
+      Alert.alert('Photo location', result.error);
+    }
+  };
+
+  const handlePhotoArchivePress = async () => {
+    const result = photoArchive.canDownload ? await photoArchive.download() : await photoArchive.start();
+    if (!result.success) Alert.alert('Photo download', result.error);
+  };
 
   const handleDeleteConfirmed = async () => {
     setDeleting(true);
@@ -133,7 +299,7 @@ export default function AccountPrivacyScreen({
 
     Alert.alert(
       'Delete account?',
-      'This removes your app account, notification preferences, local offline data, and your active-tour app content where possible. Your travel booking may still be retained by Loch Lomond Travel where required.',
+      'This removes your app account, notification preferences, local offline data, and your active-tour app content where possible, including your photos. Download your photos first if you want to keep them. Your travel booking may still be retained by Loch Lomond Travel where required.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -190,6 +356,99 @@ export default function AccountPrivacyScreen({
           />
         </View>
 
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Safety</Text>
+          <RowButton
+            icon={shareTrustedContacts ? 'account-multiple-check-outline' : 'account-multiple-outline'}
+            title="Message trusted contacts on SOS"
+            subtitle={shareTrustedContacts
+              ? 'If you press SOS, your trusted contacts get a text or email with your tour and last known location.'
+              : 'Your trusted contacts are kept on this device only. Turn on to let us message them if you press SOS.'}
+            onPress={handleTrustedContactSyncToggle}
+            disabled={deleting || trustedContactSyncBusy}
+            rightAccessory={(
+              <Switch
+                value={shareTrustedContacts}
+                onValueChange={handleTrustedContactSyncToggle}
+                disabled={deleting || trustedContactSyncBusy}
+                trackColor={{ true: COLORS.primary }}
+                accessibilityLabel="Message trusted contacts on SOS"
+              />
+            )}
+          />
+        </View>
+
+        {!isDriverSession ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Medical & accessibility</Text>
+            <RowButton
+              icon={careProfile?.enabled ? 'medical-bag' : 'wheelchair-accessibility'}
+              title={careProfile?.enabled ? 'Shared with your driver' : 'Tell your driver about your needs'}
+              subtitle={careProfile?.enabled
+                ? 'Your driver can see your mobility needs, allergies, medications and emergency contact. Tap to change them.'
+                : 'Optional. Share mobility needs, allergies, medications or an emergency contact so your driver can plan ahead.'}
+              onPress={() => setCareDraft(careDraft ? null : careProfile?.profile)}
+              disabled={deleting || careBusy || !careProfile}
+              rightAccessory={careBusy ? <ActivityIndicator color={COLORS.primary} /> : null}
+            />
+            {careDraft ? (
+              <>
+                <CareProfileForm value={careDraft} onChange={setCareDraft} disabled={deleting || careBusy} />
+                <RowButton
+                  icon="content-save-outline"
+                  title={careProfile?.enabled ? 'Save changes' : 'Save and share with my driver'}
+                  subtitle="Only the driver assigned to your tour can see these details."
+                  onPress={handleCareProfileSave}
+                  disabled={deleting || careBusy}
+                />
+              </>
+            ) : null}
+            {careProfile?.enabled ? (
+              <RowButton
+                icon="delete-outline"
+                title="Stop sharing and delete"
+                subtitle="Deletes these details from Loch Lomond Travel."
+                onPress={handleCareProfileDelete}
+                destructive
+                disabled={deleting || careBusy}
+              />
+            ) : null}
+          </View>
+        ) : null}
+
+        {!isDriverSession ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Your photos</Text>
+            <RowButton
+              icon={photoArchive.canDownload ? 'download' : 'folder-zip-outline'}
+              title={photoArchive.canDownload ? 'Download photo archive' : 'Download all my photos'}
+              subtitle={describePhotoArchiveJob(photoArchive.job)
+                || 'Get a zip of your private photos and the group photos you shared on this tour.'}
+              onPress={handlePhotoArchivePress}
+              disabled={deleting || photoArchive.inProgress}
+              rightAccessory={photoArchive.inProgress ? <ActivityIndicator color={COLORS.primary} /> : null}
+            />
+            <RowButton
+              icon={includePhotoLocation ? 'map-marker-radius-outline' : 'map-marker-off-outline'}
+              title="Include photo location"
+              subtitle={includePhotoLocation
+                ? 'New photos you share keep a rough location, about 1 km, so they can appear on the tour map.'
+                : 'New photos you share keep only the time they were taken. Location is removed on this device.'}
+              onPress={handlePhotoLocationToggle}
+              disabled={deleting}
+              rightAccessory={(
+                <Switch
+                  value={includePhotoLocation}
+                  onValueChange={handlePhotoLocationToggle}
+                  disabled={deleting}
+                  trackColor={{ true: COLORS.primary }}
+                  accessibilityLabel="Include photo location"
+                />
+              )}
+            />
+          </View>
+        ) : null}
+
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Account actions</Text>
           <RowButton
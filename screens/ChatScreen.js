@@ -43,7 +43,22 @@ import {
   markChatAsRead,
   markInternalChatAsRead,
   deleteMessage,
+  editMessage,
+  canEditMessage,
+  getEditHistory,
+  getMessageVersion,
   getMessageTextForCopy,
+  translateMessage,
+  getCachedMessageTranslation,
+  sendPollMessage,
+  votePoll,
+  closePoll,
+  summarizePoll,
+  formatPollResultsForIssueLog,
+  subscribeToPinnedMessages,
+  pinMessage,
+  unpinMessage,
+  PINNED_MESSAGE_LIMIT,
 } from '../services/chatService';
 import { createPersistenceProvider } from '../services/persistenceProvider';
 import offlineSyncService from '../services/offlineSyncService';
@@ -70,6 +85,8 @@ import {
 import { COLORS as THEME, SPACING, RADIUS, SHADOWS } from '../theme';
 import { parseTimestampMs as parseSharedTimestampMs } from '../services/timeUtils';
 import SyncStatusBanner from '../components/SyncStatusBanner';
+import useI18n from '../hooks/useI18n';
+import i18n from '../services/i18nService';
 const { buildChatSearchResults, normalizeSearchQuery } = require('../utils/chatSearch');
 const { buildUnreadSummary } = require('../utils/chatUnreadSummary');
 const {
@@ -79,7 +96,6 @@ const {
 } = require('../utils/chatReplyNavigation');
 const {
   buildChatTimelineItems,
-  formatChatTimestamp,
   getOldestMessageCursor,
   mergeMessagesById,
 } = require('../utils/chatTimeline');
@@ -124,19 +140,25 @@ const openChatExternalLink = async (url) => {
       domain: getExternalLinkDomain(url),
       error: error?.message || String(error),
     });
-    Alert.alert('Link unavailable', 'Could not open this link on your device.');
+    Alert.alert(i18n.t('chat.link.unavailableTitle'), i18n.t('chat.link.unavailableMessage'));
     return false;
   }
 };
 const LIVE_CHAT_MESSAGE_LIMIT = 80;
 const CHAT_PAGE_MESSAGE_LIMIT = 40;
+// Auto-translate only the newest messages; older ones translate on request.
+const AUTO_TRANSLATE_RECENT_LIMIT = 30;
+const POLL_COMPOSER_MIN_OPTIONS = 2;
+const POLL_COMPOSER_MAX_OPTIONS = 6;
+const POLL_QUESTION_MAX_LENGTH = 300;
+const POLL_OPTION_MAX_LENGTH = 80;
 
 const SEARCH_FILTERS = [
-  { key: 'all', label: 'All', icon: 'message-text-outline' },
-  { key: 'drivers', label: 'Drivers', icon: 'steering' },
-  { key: 'mine', label: 'Mine', icon: 'account' },
-  { key: 'links', label: 'Links', icon: 'link-variant' },
-  { key: 'media', label: 'Photos', icon: 'image-outline' },
+  { key: 'all', labelKey: 'chat.search.filters.all', icon: 'message-text-outline' },
+  { key: 'drivers', labelKey: 'chat.search.filters.drivers', icon: 'steering' },
+  { key: 'mine', labelKey: 'chat.search.filters.mine', icon: 'account' },
+  { key: 'links', labelKey: 'chat.search.filters.links', icon: 'link-variant' },
+  { key: 'media', labelKey: 'chat.search.filters.media', icon: 'image-outline' },
 ];
 
 // URL Detection Regex
@@ -176,6 +198,7 @@ const COLORS = {
 
 // ==================== TYPING INDICATOR COMPONENT ====================
 const TypingIndicator = ({ typingUsers }) => {
+  const { t } = useI18n();
   const [dots, setDots] = useState('');
 
   useEffect(() => {
@@ -192,11 +215,11 @@ const TypingIndicator = ({ typingUsers }) => {
 
   const getTypingText = () => {
     if (typingUsers.length === 1) {
-      return `${typingUsers[0].name} is typing${dots}`;
+      return `${t('chat.typing.one', { name: typingUsers[0].name })}${dots}`;
     } else if (typingUsers.length === 2) {
-      return `${typingUsers[0].name} and ${typingUsers[1].name} are typing${dots}`;
+      return `${t('chat.typing.two', { first: typingUsers[0].name, second: typingUsers[1].name })}${dots}`;
     } else {
-      return `${typingUsers.length} people are typing${dots}`;
+      return `${t('chat.typing.many', { count: typingUsers.length })}${dots}`;
     }
   };
 
@@ -285,21 +308,26 @@ const getMessageModerationSenderKey = (message) => {
   return null;
 };
 
-const buildReplyPreviewText = (message = {}) => {
+const buildReplyPreviewText = (message = {}, t = i18n.t) => {
   if (!message || typeof message !== 'object') return '';
   if (message.type === 'image') {
     const caption = typeof message.text === 'string' ? message.text.trim() : '';
-    return caption ? `📷 ${caption}` : '📷 Photo';
+    return caption ? `📷 ${caption}` : `📷 ${t('chat.preview.photo')}`;
+  }
+  if (message.type === 'poll') {
+    const question = typeof message.text === 'string' ? message.text.trim() : '';
+    return `📊 ${question || t('chat.preview.poll')}`;
   }
 
   const text = typeof message.text === 'string' ? message.text.trim() : '';
-  return text.length > 0 ? text : 'Message';
+  return text.length > 0 ? text : t('chat.preview.message');
 };
 
 const DateSeparator = ({ date }) => {
+  const { t, formatDate } = useI18n();
   const formatDateLabel = (dateStr) => {
     const normalized = normalizeTimestamp(dateStr);
-    if (!Number.isFinite(normalized)) return 'Unknown date';
+    if (!Number.isFinite(normalized)) return t('chat.date.unknown');
 
     const msgDate = new Date(normalized);
     const today = new Date();
@@ -309,14 +337,10 @@ const DateSeparator = ({ date }) => {
     const isToday = msgDate.toDateString() === today.toDateString();
     const isYesterday = msgDate.toDateString() === yesterday.toDateString();
 
-    if (isToday) return 'Today';
-    if (isYesterday) return 'Yesterday';
+    if (isToday) return t('chat.date.today');
+    if (isYesterday) return t('chat.date.yesterday');
 
-    return msgDate.toLocaleDateString(undefined, {
-      weekday: 'long',
-      month: 'short',
-      day: 'numeric',
-    });
+    return formatDate(msgDate, 'weekdayDate');
   };
 
   return (
@@ -330,15 +354,18 @@ const DateSeparator = ({ date }) => {
   );
 };
 
-const UnreadSeparator = () => (
-  <View style={styles.unreadSeparator}>
-    <View style={styles.unreadSeparatorLine} />
-    <View style={styles.unreadSeparatorBadge}>
-      <Text style={styles.unreadSeparatorText}>Unread messages</Text>
+const UnreadSeparator = () => {
+  const { t } = useI18n();
+  return (
+    <View style={styles.unreadSeparator}>
+      <View style={styles.unreadSeparatorLine} />
+      <View style={styles.unreadSeparatorBadge}>
+        <Text style={styles.unreadSeparatorText}>{t('chat.unreadSeparator')}</Text>
+      </View>
+      <View style={styles.unreadSeparatorLine} />
     </View>
-    <View style={styles.unreadSeparatorLine} />
-  </View>
-);
+  );
+};
 
 // ==================== MESSAGE REACTIONS COMPONENT ====================
 const getReactionUserIds = (users) => {
@@ -599,6 +626,7 @@ const MessageActionMenu = ({
   message,
   onCopy,
   onReply,
+  onEdit,
   onReact,
   onOpenReactionPicker,
   onDelete,
@@ -606,26 +634,27 @@ const MessageActionMenu = ({
   onMuteSender,
   onCopyLink,
   onOpenLink,
+  onTranslate,
+  onTogglePin,
   canDelete,
+  canEdit = false,
   canReport = false,
   canMuteSender = false,
+  canTranslate = false,
+  translationShown = false,
+  canPin = false,
+  isPinned = false,
   allowReactions = true,
   insets,
 }) => {
+  const { t, formatDate } = useI18n();
   if (!visible) return null;
 
-  const safePreview = buildReplyPreviewText(message).slice(0, 120);
+  const safePreview = buildReplyPreviewText(message, t).slice(0, 120);
   const normalizedMessageTime = normalizeTimestamp(message?.timestamp);
   const messageTimeLabel = Number.isFinite(normalizedMessageTime)
-    ? new Date(normalizedMessageTime).toLocaleString([], {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true,
-    })
-    : 'Unknown time';
+    ? formatDate(normalizedMessageTime, 'weekdayTime')
+    : t('chat.actions.unknownTime');
   const firstLinkMatch = typeof message?.text === 'string' ? message.text.match(URL_REGEX) : null;
   const hasLink = Array.isArray(firstLinkMatch) && firstLinkMatch.length > 0;
 
@@ -640,12 +669,12 @@ const MessageActionMenu = ({
           <View style={styles.actionMessagePreviewCard}>
             <View style={styles.actionMessagePreviewHeader}>
               <Text style={styles.actionMessageSender} numberOfLines={1}>
-                {message?.senderName || 'Tour Participant'}
+                {message?.senderName || t('chat.tourParticipant')}
               </Text>
               <Text style={styles.actionMessageTime}>{messageTimeLabel}</Text>
             </View>
             <Text style={styles.actionMessagePreviewText} numberOfLines={3}>
-              {safePreview || 'Message'}
+              {safePreview || t('chat.preview.message')}
             </Text>
           </View>
 
@@ -685,7 +714,7 @@ const MessageActionMenu = ({
             }}
           >
             <MaterialCommunityIcons name="content-copy" size={22} color={COLORS.darkText} />
-            <Text style={styles.actionMenuText}>Copy</Text>
+            <Text style={styles.actionMenuText}>{t('chat.actions.copy')}</Text>
           </TouchableOpacity>
 
           <TouchableOpacity
@@ -696,9 +725,52 @@ const MessageActionMenu = ({
             }}
           >
             <MaterialCommunityIcons name="reply-outline" size={22} color={COLORS.darkText} />
-            <Text style={styles.actionMenuText}>Reply</Text>
+            <Text style={styles.actionMenuText}>{t('chat.actions.reply')}</Text>
           </TouchableOpacity>
 
+          {canEdit && (
+            <TouchableOpacity
+              style={styles.actionMenuItem}
+              onPress={() => {
+                Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                onEdit();
+              }}
+            >
+              <MaterialCommunityIcons name="pencil-outline" size={22} color={COLORS.darkText} />
+              <Text style={styles.actionMenuText}>{t('chat.actions.edit')}</Text>
+            </TouchableOpacity>
+          )}
+
+          {canTranslate && (
+            <TouchableOpacity
+              style={styles.actionMenuItem}
+              onPress={() => {
+                Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                onTranslate();
+              }}
+            >
+              <MaterialCommunityIcons name="translate" size={22} color={COLORS.darkText} />
+              <Text style={styles.actionMenuText}>
+                {translationShown ? t('chat.actions.showOriginal') : t('chat.actions.translate')}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {canPin && (
+            <TouchableOpacity
+              style={styles.actionMenuItem}
+              onPress={() => {
+                Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                onTogglePin();
+              }}
+            >
+              <MaterialCommunityIcons name={isPinned ? 'pin-off-outline' : 'pin-outline'} size={22} color={COLORS.darkText} />
+              <Text style={styles.actionMenuText}>
+                {isPinned ? t('chat.actions.unpin') : t('chat.actions.pin')}
+              </Text>
+            </TouchableOpacity>
+          )}
+
           {hasLink && (
             <>
               <TouchableOpacity
@@ -709,7 +781,7 @@ const MessageActionMenu = ({
                 }}
               >
                 <MaterialCommunityIcons name="open-in-new" size={22} color={COLORS.darkText} />
-                <Text style={styles.actionMenuText}>Open Link</Text>
+                <Text style={styles.actionMenuText}>{t('chat.actions.openLink')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={styles.actionMenuItem}
@@ -719,7 +791,7 @@ const MessageActionMenu = ({
                 }}
               >
                 <MaterialCommunityIcons name="link-variant" size={22} color={COLORS.darkText} />
-                <Text style={styles.actionMenuText}>Copy Link</Text>
+                <Text style={styles.actionMenuText}>{t('chat.actions.copyLink')}</Text>
               </TouchableOpacity>
             </>
           )}
@@ -733,7 +805,7 @@ const MessageActionMenu = ({
               }}
             >
               <MaterialCommunityIcons name="flag-outline" size={22} color={THEME.error} />
-              <Text style={[styles.actionMenuText, { color: THEME.error }]}>Report</Text>
+              <Text style={[styles.actionMenuText, { color: THEME.error }]}>{t('chat.actions.report')}</Text>
             </TouchableOpacity>
           )}
 
@@ -746,7 +818,7 @@ const MessageActionMenu = ({
               }}
             >
               <MaterialCommunityIcons name="account-cancel-outline" size={22} color={COLORS.darkText} />
-              <Text style={styles.actionMenuText}>Mute sender</Text>
+              <Text style={styles.actionMenuText}>{t('chat.actions.muteSender')}</Text>
             </TouchableOpacity>
           )}
 
@@ -759,7 +831,7 @@ const MessageActionMenu = ({
               }}
             >
               <MaterialCommunityIcons name="delete-outline" size={22} color={THEME.error} />
-              <Text style={[styles.actionMenuText, { color: THEME.error }]}>Delete</Text>
+              <Text style={[styles.actionMenuText, { color: THEME.error }]}>{t('chat.actions.delete')}</Text>
             </TouchableOpacity>
           )}
         </Pressable>
@@ -770,6 +842,7 @@ const MessageActionMenu = ({
 
 // ==================== IMAGE MESSAGE COMPONENT ====================
 const ImageMessage = React.memo(({ imageUrl, onPress, imageSize = DEFAULT_CHAT_WINDOW_WIDTH * 0.55 }) => {
+  const { t } = useI18n();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
   const imageSquareStyle = useMemo(
@@ -791,7 +864,7 @@ const ImageMessage = React.memo(({ imageUrl, onPress, imageSize = DEFAULT_CHAT_W
       {error ? (
         <View style={[styles.imageError, imageErrorStyle]}>
           <MaterialCommunityIcons name="image-broken" size={40} color={COLORS.secondaryText} />
-          <Text style={styles.imageErrorText}>Failed to load image</Text>
+          <Text style={styles.imageErrorText}>{t('chat.image.loadFailed')}</Text>
         </View>
       ) : (
         <Image
@@ -863,6 +936,7 @@ const MessageStatus = ({ status, isSelf }) => {
 
 // ==================== NEW MESSAGES BANNER ====================
 const NewMessagesBanner = ({ count, onPress, bottomOffset }) => {
+  const { t } = useI18n();
   if (count === 0) return null;
 
   return (
@@ -873,13 +947,14 @@ const NewMessagesBanner = ({ count, onPress, bottomOffset }) => {
     >
       <MaterialCommunityIcons name="arrow-down" size={16} color={COLORS.white} />
       <Text style={styles.newMessagesBannerText}>
-        {count} new message{count > 1 ? 's' : ''}
+        {t('chat.newMessages', { count })}
       </Text>
     </TouchableOpacity>
   );
 };
 
 const UnreadCatchUpCard = ({ summary, onJumpToUnread, onJumpToLatest, bottomOffset }) => {
+  const { t } = useI18n();
   if (!summary || !summary.count) return null;
 
   return (
@@ -887,19 +962,19 @@ const UnreadCatchUpCard = ({ summary, onJumpToUnread, onJumpToLatest, bottomOffs
       <View style={styles.catchUpCardHeader}>
         <MaterialCommunityIcons name="chat-alert-outline" size={18} color={COLORS.primaryBlue} />
         <Text style={styles.catchUpCardTitle}>
-          {summary.count} unread message{summary.count > 1 ? 's' : ''}
+          {t('chat.catchUp.title', { count: summary.count })}
         </Text>
       </View>
       <Text style={styles.catchUpCardBody}>
-        Latest from <Text style={styles.catchUpCardBodyStrong}>{summary.latestSender}</Text>
+        {t('chat.catchUp.latestFrom')}<Text style={styles.catchUpCardBodyStrong}>{summary.latestSender}</Text>
         {summary.latestRelativeLabel ? ` · ${summary.latestRelativeLabel}` : ''}
       </Text>
       <View style={styles.catchUpActions}>
         <TouchableOpacity style={styles.catchUpButtonSecondary} onPress={onJumpToUnread} activeOpacity={0.85}>
-          <Text style={styles.catchUpButtonSecondaryText}>First unread</Text>
+          <Text style={styles.catchUpButtonSecondaryText}>{t('chat.catchUp.firstUnread')}</Text>
         </TouchableOpacity>
         <TouchableOpacity style={styles.catchUpButtonPrimary} onPress={onJumpToLatest} activeOpacity={0.85}>
-          <Text style={styles.catchUpButtonPrimaryText}>Latest</Text>
+          <Text style={styles.catchUpButtonPrimaryText}>{t('chat.catchUp.latest')}</Text>
         </TouchableOpacity>
       </View>
     </View>
@@ -907,12 +982,13 @@ const UnreadCatchUpCard = ({ summary, onJumpToUnread, onJumpToLatest, bottomOffs
 };
 
 const SwipeReplyHint = ({ visible, onDismiss }) => {
+  const { t } = useI18n();
   if (!visible) return null;
 
   return (
     <TouchableOpacity style={styles.swipeReplyHint} activeOpacity={0.92} onPress={onDismiss}>
       <MaterialCommunityIcons name="gesture-swipe-right" size={16} color={COLORS.primaryBlue} />
-      <Text style={styles.swipeReplyHintText}>Tip: swipe a message right to reply quickly.</Text>
+      <Text style={styles.swipeReplyHintText}>{t('chat.swipeReplyHint')}</Text>
       <MaterialCommunityIcons name="close" size={14} color={COLORS.secondaryText} />
     </TouchableOpacity>
   );
@@ -927,6 +1003,7 @@ const SwipeToReplyMessageWrapper = ({ children, onSwipeReply, disabled = false }
   const readyToReplyRef = useRef(false);
   const peakDragRef = useRef(0);
   const [isReadyToReply, setIsReadyToReply] = useState(false);
+  const { t } = useI18n();
 
   const setReadyToReply = useCallback((isReady, shouldPulse = false) => {
     if (isReady === readyToReplyRef.current) return;
@@ -1058,7 +1135,7 @@ const SwipeToReplyMessageWrapper = ({ children, onSwipeReply, disabled = false }
           color={feedbackColor}
         />
         <Text style={[styles.swipeReplyFeedbackText, isReadyToReply && styles.swipeReplyFeedbackTextReady]}>
-          {isReadyToReply ? 'Reply ready' : 'Reply'}
+          {isReadyToReply ? t('chat.swipe.replyReady') : t('chat.swipe.reply')}
         </Text>
       </Animated.View>
       <Animated.View
@@ -1072,7 +1149,8 @@ const SwipeToReplyMessageWrapper = ({ children, onSwipeReply, disabled = false }
 };
 
 // ==================== ATTACHMENT MENU ====================
-const AttachmentMenu = ({ visible, onClose, onPickImage, onTakePhoto }) => {
+const AttachmentMenu = ({ visible, onClose, onPickImage, onTakePhoto, onCreatePoll }) => {
+  const { t } = useI18n();
   if (!visible) return null;
 
   return (
@@ -1088,7 +1166,7 @@ const AttachmentMenu = ({ visible, onClose, onPickImage, onTakePhoto }) => {
         <View style={[styles.attachmentIconBg, { backgroundColor: THEME.primaryMuted }]}>
           <MaterialCommunityIcons name="image" size={24} color={COLORS.primaryBlue} />
         </View>
-        <Text style={styles.attachmentLabel}>Gallery</Text>
+        <Text style={styles.attachmentLabel}>{t('chat.attachments.gallery')}</Text>
       </TouchableOpacity>
 
       <TouchableOpacity
@@ -1102,9 +1180,25 @@ const AttachmentMenu = ({ visible, onClose, onPickImage, onTakePhoto }) => {
         <View style={[styles.attachmentIconBg, { backgroundColor: THEME.errorLight }]}>
           <MaterialCommunityIcons name="camera" size={24} color={THEME.error} />
         </View>
-        <Text style={styles.attachmentLabel}>Camera</Text>
+        <Text style={styles.attachmentLabel}>{t('chat.attachments.camera')}</Text>
       </TouchableOpacity>
 
+      {onCreatePoll && (
+        <TouchableOpacity
+          style={styles.attachmentOption}
+          onPress={() => {
+            Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+            onCreatePoll();
+          }}
+          activeOpacity={0.7}
+        >
+          <View style={[styles.attachmentIconBg, { backgroundColor: COLORS.coralMuted }]}>
+            <MaterialCommunityIcons name="poll" size={24} color={COLORS.coralAccent} />
+          </View>
+          <Text style={styles.attachmentLabel}>{t('chat.attachments.poll')}</Text>
+        </TouchableOpacity>
+      )}
+
       <TouchableOpacity
         style={styles.attachmentOption}
         onPress={onClose}
@@ -1113,7 +1207,7 @@ const AttachmentMenu = ({ visible, onClose, onPickImage, onTakePhoto }) => {
         <View style={[styles.attachmentIconBg, { backgroundColor: COLORS.surfaceSecondary }]}>
           <MaterialCommunityIcons name="close" size={24} color={COLORS.secondaryText} />
         </View>
-        <Text style={styles.attachmentLabel}>Cancel</Text>
+        <Text style={styles.attachmentLabel}>{t('common.cancel')}</Text>
       </TouchableOpacity>
     </View>
   );
@@ -1150,53 +1244,57 @@ const ChatHeader = React.memo(({
   onSync,
   onlineCount,
   queueStats,
-}) => (
-  <LinearGradient
-    colors={internalDriverChat ? [COLORS.primaryDark, COLORS.primaryBlue] : [COLORS.primaryBlue, COLORS.primaryLight]}
-    start={{ x: 0, y: 0 }}
-    end={{ x: 1, y: 1 }}
-    style={styles.header}
-  >
-    <TouchableOpacity onPress={onBack} style={styles.headerButton} activeOpacity={0.7} hitSlop={8}>
-      <MaterialCommunityIcons name="arrow-left" size={26} color={COLORS.white} />
-    </TouchableOpacity>
+}) => {
+  const { t } = useI18n();
 
-    <View style={styles.headerTitleContainer}>
-      <Text style={styles.headerTitle} numberOfLines={1} adjustsFontSizeToFit minimumFontScale={0.84}>
-        {internalDriverChat ? 'Driver Chat' : 'Group Chat'}
-      </Text>
-      <View style={styles.onlineIndicator}>
-        <View style={[styles.onlineDot, { backgroundColor: COLORS.onlineIndicator }]} />
-        <Text style={styles.onlineCount}>{onlineCount} online</Text>
+  return (
+    <LinearGradient
+      colors={internalDriverChat ? [COLORS.primaryDark, COLORS.primaryBlue] : [COLORS.primaryBlue, COLORS.primaryLight]}
+      start={{ x: 0, y: 0 }}
+      end={{ x: 1, y: 1 }}
+      style={styles.header}
+    >
+      <TouchableOpacity onPress={onBack} style={styles.headerButton} activeOpacity={0.7} hitSlop={8}>
+        <MaterialCommunityIcons name="arrow-left" size={26} color={COLORS.white} />
+      </TouchableOpacity>
+
+      <View style={styles.headerTitleContainer}>
+        <Text style={styles.headerTitle} numberOfLines={1} adjustsFontSizeToFit minimumFontScale={0.84}>
+          {internalDriverChat ? t('chat.header.driverChat') : t('chat.header.groupChat')}
+        </Text>
+        <View style={styles.onlineIndicator}>
+          <View style={[styles.onlineDot, { backgroundColor: COLORS.onlineIndicator }]} />
+          <Text style={styles.onlineCount}>{t('chat.header.online', { count: onlineCount })}</Text>
+        </View>
       </View>
-    </View>
 
-    <View style={styles.headerRight}>
-      <TouchableOpacity
-        style={styles.syncNowBtn}
-        onPress={onToggleSearch}
-        accessibilityRole="button"
-        accessibilityLabel="Search chat messages"
-        hitSlop={8}
-      >
-        <MaterialCommunityIcons name={isSearchOpen ? 'close' : 'magnify'} size={18} color={COLORS.white} />
-      </TouchableOpacity>
-      <TouchableOpacity
-        style={styles.syncNowBtn}
-        onPress={onSync}
-        accessibilityRole="button"
-        accessibilityLabel={queueStats.pending > 0 || queueStats.syncing > 0 ? 'Sync pending' : 'Messages sent'}
-        hitSlop={8}
-      >
-        <MaterialCommunityIcons
-          name={queueStats.pending > 0 || queueStats.syncing > 0 ? 'check' : 'check-all'}
-          size={18}
-          color={COLORS.white}
-        />
-      </TouchableOpacity>
-    </View>
-  </LinearGradient>
-));
+      <View style={styles.headerRight}>
+        <TouchableOpacity
+          style={styles.syncNowBtn}
+          onPress={onToggleSearch}
+          accessibilityRole="button"
+          accessibilityLabel={t('chat.header.searchA11y')}
+          hitSlop={8}
+        >
+          <MaterialCommunityIcons name={isSearchOpen ? 'close' : 'magnify'} size={18} color={COLORS.white} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.syncNowBtn}
+          onPress={onSync}
+          accessibilityRole="button"
+          accessibilityLabel={queueStats.pending > 0 || queueStats.syncing > 0 ? t('chat.header.syncPendingA11y') : t('chat.header.messagesSentA11y')}
+          hitSlop={8}
+        >
+          <MaterialCommunityIcons
+            name={queueStats.pending > 0 || queueStats.syncing > 0 ? 'check' : 'check-all'}
+            size={18}
+            color={COLORS.white}
+          />
+        </TouchableOpacity>
+      </View>
+    </LinearGradient>
+  );
+});
 
 const ChatFeedbackHost = React.memo(({
   syncState,
@@ -1210,6 +1308,7 @@ const ChatFeedbackHost = React.memo(({
   onRetryImage,
   draftRestored,
 }) => {
+  const { t } = useI18n();
   const feedbackRows = [];
 
   if (reactionFeedbackMessage) {
@@ -1244,7 +1343,7 @@ const ChatFeedbackHost = React.memo(({
       key: 'draft',
       type: 'info',
       icon: 'content-save-edit-outline',
-      message: 'Draft restored',
+      message: t('chat.feedback.draftRestored'),
     });
   }
 
@@ -1253,8 +1352,8 @@ const ChatFeedbackHost = React.memo(({
       key: 'image',
       type: imageSendState.status === 'failed' ? 'error' : imageSendState.status === 'success' ? 'success' : 'info',
       icon: imageSendState.status === 'failed' ? 'alert-circle-outline' : imageSendState.status === 'success' ? 'check-circle-outline' : 'image',
-      message: imageSendState.message || 'Sending photo...',
-      actionLabel: imageSendState.status === 'failed' && imageSendState.retryUri ? 'Retry' : '',
+      message: imageSendState.message || t('chat.feedback.sendingPhoto'),
+      actionLabel: imageSendState.status === 'failed' && imageSendState.retryUri ? t('common.retry') : '',
       onAction: imageSendState.status === 'failed' ? onRetryImage : null,
       loading: imageSendState.status === 'uploading',
     });
@@ -1328,6 +1427,7 @@ const ChatLoadingSkeleton = () => (
 );
 
 const LoadOlderControl = React.memo(({ visible, loading, onPress }) => {
+  const { t } = useI18n();
   if (!visible) return null;
 
   return (
@@ -1337,14 +1437,14 @@ const LoadOlderControl = React.memo(({ visible, loading, onPress }) => {
       activeOpacity={0.86}
       disabled={loading}
       accessibilityRole="button"
-      accessibilityLabel={loading ? 'Loading older messages' : 'Load older messages'}
+      accessibilityLabel={loading ? t('chat.loadOlder.loading') : t('chat.loadOlder.action')}
     >
       {loading ? (
         <ActivityIndicator size="small" color={COLORS.primaryBlue} />
       ) : (
         <MaterialCommunityIcons name="chevron-up" size={18} color={COLORS.primaryBlue} />
       )}
-      <Text style={styles.loadOlderButtonText}>{loading ? 'Loading older messages' : 'Load older messages'}</Text>
+      <Text style={styles.loadOlderButtonText}>{loading ? t('chat.loadOlder.loading') : t('chat.loadOlder.action')}</Text>
     </TouchableOpacity>
   );
 });
@@ -1357,6 +1457,7 @@ const ChatFloatingJump = React.memo(({
   onJumpToUnread,
   onJumpToLatest,
 }) => {
+  const { t } = useI18n();
   if (mode === 'unread' && summary?.count) {
     return (
       <TouchableOpacity
@@ -1367,20 +1468,20 @@ const ChatFloatingJump = React.memo(({
         <View style={styles.floatingJumpHeader}>
           <MaterialCommunityIcons name="chat-alert-outline" size={18} color={COLORS.primaryBlue} />
           <Text style={styles.floatingJumpTitle}>
-            {summary.count} unread message{summary.count > 1 ? 's' : ''}
+            {t('chat.catchUp.title', { count: summary.count })}
           </Text>
         </View>
         <Text style={styles.floatingJumpBody} numberOfLines={1}>
-          Latest from {summary.latestSender}{summary.latestRelativeLabel ? ` - ${summary.latestRelativeLabel}` : ''}
+          {t('chat.jump.latestFrom', { name: summary.latestSender })}{summary.latestRelativeLabel ? ` - ${summary.latestRelativeLabel}` : ''}
         </Text>
         <View style={styles.floatingJumpActions}>
-          <Text style={styles.floatingJumpActionText}>Jump to unread</Text>
+          <Text style={styles.floatingJumpActionText}>{t('chat.jump.toUnread')}</Text>
           <TouchableOpacity
             style={styles.floatingJumpLatest}
             onPress={onJumpToLatest}
             activeOpacity={0.8}
           >
-            <Text style={styles.floatingJumpLatestText}>Latest</Text>
+            <Text style={styles.floatingJumpLatestText}>{t('chat.catchUp.latest')}</Text>
           </TouchableOpacity>
         </View>
       </TouchableOpacity>
@@ -1396,7 +1497,7 @@ const ChatFloatingJump = React.memo(({
       >
         <MaterialCommunityIcons name="arrow-down" size={16} color={COLORS.white} />
         <Text style={styles.floatingJumpPillText}>
-          {count} new message{count > 1 ? 's' : ''}
+          {t('chat.newMessages', { count })}
         </Text>
       </TouchableOpacity>
     );
@@ -1405,6 +1506,327 @@ const ChatFloatingJump = React.memo(({
   return null;
 });
 
+// Caption under a translated (or translating) message; tapping it flips
+// between the translation and the original text.
+const MessageTranslationNote = ({ translation, isSelf, onPress }) => {
+  const { t, locales } = useI18n();
+  const { status, result, showOriginal } = translation;
+  const interactive = status === 'failed' || (status === 'ready' && !result?.unchanged);
+
+  let label = t('chat.translation.translating');
+  if (status === 'failed') {
+    label = t('chat.translation.failed');
+  } else if (status === 'ready' && result?.unchanged) {
+    label = t('chat.translation.unchanged');
+  } else if (status === 'ready' && showOriginal) {
+    label = t('chat.translation.showTranslation');
+  } else if (status === 'ready') {
+    const language = locales.find((option) => option.code === result?.sourceLocale)?.label;
+    const source = language
+      ? t('chat.translation.translatedFrom', { language })
+      : t('chat.translation.translated');
+    label = `${source} · ${t('chat.translation.showOriginal')}`;
+  }
+
+  return (
+    <Pressable
+      style={styles.translationNote}
+      onPress={interactive ? onPress : undefined}
+      disabled={!interactive}
+      accessibilityRole={interactive ? 'button' : 'text'}
+      accessibilityLabel={label}
+    >
+      {status === 'loading' ? (
+        <ActivityIndicator size="small" color={isSelf ? COLORS.lightBlueAccent : COLORS.secondaryText} />
+      ) : (
+        <MaterialCommunityIcons
+          name="translate"
+          size={12}
+          color={isSelf ? COLORS.lightBlueAccent : COLORS.secondaryText}
+        />
+      )}
+      <Text style={[styles.translationNoteText, isSelf && styles.myTranslationNoteText]}>{label}</Text>
+    </Pressable>
+  );
+};
+
+// ==================== POLLS ====================
+const PollCard = ({ message, isSelf, currentUserIds, onVote, onClose, onCopyResults }) => {
+  const { t, formatNumber } = useI18n();
+  const summary = useMemo(() => summarizePoll(message, currentUserIds), [message, currentUserIds]);
+  const iconColor = isSelf ? COLORS.white : COLORS.primaryBlue;
+
+  return (
+    <View style={styles.pollCard}>
+      {summary.options.map((option) => {
+        const selected = summary.myVote === option.id;
+        return (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.pollOption, isSelf && styles.myPollOption, selected && styles.pollOptionSelected]}
+            onPress={() => onVote?.(message, option.id)}
+            disabled={summary.closed}
+            activeOpacity={0.75}
+            accessibilityRole="button"
+            accessibilityState={{ selected, disabled: summary.closed }}
+            accessibilityLabel={t('chat.poll.optionA11y', { label: option.label, percent: option.percent })}
+          >
+            <View
+              style={[styles.pollOptionFill, isSelf && styles.myPollOptionFill, { width: `${option.percent}%` }]}
+            />
+            <MaterialCommunityIcons
+              name={selected ? 'check-circle' : 'circle-outline'}
+              size={16}
+              color={iconColor}
+            />
+            <Text
+              style={[
+                styles.pollOptionLabel,
+                isSelf && styles.myPollText,
+                summary.closed && option.leading && styles.pollOptionLeading,
+              ]}
+              numberOfLines={2}
+            >
+              {option.label}
+            </Text>
+            <Text style={[styles.pollOptionCount, isSelf && styles.myPollText]}>
+              {formatNumber(option.votes)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+
+      <Text style={[styles.pollMeta, isSelf && styles.myPollMeta]}>
+        {`${t('chat.poll.votes', { count: summary.totalVotes })} · ${summary.closed ? t('chat.poll.closed') : t('chat.poll.tapToVote')}`}
+      </Text>
+
+      {isSelf && (
+        <View style={styles.pollActions}>
+          <TouchableOpacity
+            style={styles.pollActionButton}
+            onPress={() => onCopyResults?.(message)}
+            accessibilityRole="button"
+          >
+            <MaterialCommunityIcons name="clipboard-text-outline" size={14} color={COLORS.white} />
+            <Text style={styles.pollActionText}>{t('chat.poll.copyResults')}</Text>
+          </TouchableOpacity>
+          {!summary.closed && (
+            <TouchableOpacity
+              style={styles.pollActionButton}
+              onPress={() => onClose?.(message)}
+              accessibilityRole="button"
+            >
+              <MaterialCommunityIcons name="lock-outline" size={14} color={COLORS.white} />
+              <Text style={styles.pollActionText}>{t('chat.poll.close')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const PollComposerSheet = ({ visible, posting, onClose, onSubmit, insets }) => {
+  const { t } = useI18n();
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+
+  useEffect(() => {
+    if (!visible) {
+      setQuestion('');
+      setOptions(['', '']);
+    }
+  }, [visible]);
+
+  if (!visible) return null;
+
+  const filledOptions = options.map((option) => option.trim()).filter(Boolean);
+  const distinctOptionCount = new Set(filledOptions.map((option) => option.toLocaleLowerCase())).size;
+  const canSubmit = question.trim().length > 0
+    && distinctOptionCount === filledOptions.length
+    && filledOptions.length >= POLL_COMPOSER_MIN_OPTIONS
+    && !posting;
+
+  const updateOption = (index, value) => {
+    setOptions((prev) => prev.map((option, optionIndex) => (optionIndex === index ? value : option)));
+  };
+
+  return (
+    <Modal transparent visible={visible} animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView style={styles.pollComposerKeyboard} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        <Pressable style={styles.actionMenuOverlay} onPress={onClose}>
+          <Pressable
+            style={[styles.actionMenuSheet, { paddingBottom: Math.max(insets?.bottom || 0, SPACING.md) }]}
+            onPress={() => {}}
+          >
+            <View style={styles.actionMenuHandle} />
+            <Text style={styles.pollComposerTitle}>{t('chat.poll.composerTitle')}</Text>
+            <TextInput
+              style={styles.pollComposerInput}
+              value={question}
+              onChangeText={setQuestion}
+              placeholder={t('chat.poll.questionPlaceholder')}
+              placeholderTextColor={COLORS.tertiaryText}
+              maxLength={POLL_QUESTION_MAX_LENGTH}
+              accessibilityLabel={t('chat.poll.questionLabel')}
+              multiline
+            />
+            {options.map((option, index) => (
+              <View key={`poll-option-${index}`} style={styles.pollComposerOptionRow}>
+                <TextInput
+                  style={[styles.pollComposerInput, styles.pollComposerOptionInput]}
+                  value={option}
+                  onChangeText={(value) => updateOption(index, value)}
+                  placeholder={t('chat.poll.optionPlaceholder', { number: index + 1 })}
+                  placeholderTextColor={COLORS.tertiaryText}
+                  maxLength={POLL_OPTION_MAX_LENGTH}
+                />
+                {options.length > POLL_COMPOSER_MIN_OPTIONS && (
+                  <TouchableOpacity
+                    style={styles.pollComposerRemove}
+                    onPress={() => setOptions((prev) => prev.filter((_, optionIndex) => optionIndex !== index))}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('chat.poll.removeOptionA11y', { number: index + 1 })}
+                  >
+                    <MaterialCommunityIcons name="close-circle-outline" size={20} color={COLORS.secondaryText} />
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+            {options.length < POLL_COMPOSER_MAX_OPTIONS && (
+              <TouchableOpacity
+                style={styles.pollComposerAdd}
+                onPress={() => setOptions((prev) => [...prev, ''])}
+                accessibilityRole="button"
+              >
+                <MaterialCommunityIcons name="plus" size={18} color={COLORS.primaryBlue} />
+                <Text style={styles.pollComposerAddText}>{t('chat.poll.addOption')}</Text>
+              </TouchableOpacity>
+            )}
+            {distinctOptionCount !== filledOptions.length && (
+              <Text style={styles.pollComposerHint}>{t('chat.poll.duplicateOptions')}</Text>
+            )}
+            <View style={styles.pollComposerActions}>
+              <TouchableOpacity style={styles.pollComposerButton} onPress={onClose} accessibilityRole="button">
+                <Text style={styles.pollComposerButtonText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.pollComposerButton,
+                  styles.pollComposerButtonPrimary,
+                  !canSubmit && styles.sendButtonDisabled,
+                ]}
+                onPress={() => onSubmit({ question: question.trim(), options: filledOptions })}
+                disabled={!canSubmit}
+                accessibilityRole="button"
+              >
+                {posting ? (
+                  <ActivityIndicator size="small" color={COLORS.white} />
+                ) : (
+                  <Text style={styles.pollComposerButtonPrimaryText}>{t('chat.poll.post')}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </Pressable>
+        </Pressable>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+// ==================== PINNED MESSAGES ====================
+const getPinnedPreviewText = (pin, t) => {
+  if (pin?.previewText) return pin.previewText;
+  return pin?.messageType === 'image' ? `📷 ${t('chat.preview.photo')}` : t('chat.preview.message');
+};
+
+const PinnedMessagesBanner = ({ pins, onOpenPin, onOpenList }) => {
+  const { t } = useI18n();
+  if (!pins.length) return null;
+  const latestPin = pins[0];
+  const previewText = getPinnedPreviewText(latestPin, t);
+
+  return (
+    <View style={styles.pinnedBanner}>
+      <TouchableOpacity
+        style={styles.pinnedBannerMain}
+        onPress={() => onOpenPin(latestPin)}
+        activeOpacity={0.8}
+        accessibilityRole="button"
+        accessibilityLabel={t('chat.pins.openA11y', { preview: previewText })}
+      >
+        <MaterialCommunityIcons name="pin" size={18} color={COLORS.coralAccent} />
+        <View style={styles.pinnedBannerBody}>
+          <Text style={styles.pinnedBannerLabel}>
+            {pins.length > 1 ? t('chat.pins.bannerCount', { count: pins.length }) : t('chat.pins.banner')}
+          </Text>
+          <Text style={styles.pinnedBannerPreview} numberOfLines={1}>{previewText}</Text>
+        </View>
+      </TouchableOpacity>
+      {pins.length > 1 && (
+        <TouchableOpacity
+          style={styles.pinnedBannerListButton}
+          onPress={onOpenList}
+          accessibilityRole="button"
+          accessibilityLabel={t('chat.pins.viewAll')}
+        >
+          <MaterialCommunityIcons name="format-list-bulleted" size={20} color={COLORS.primaryBlue} />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const PinnedMessagesSheet = ({ visible, pins, canManage, onClose, onOpenPin, onUnpin, insets }) => {
+  const { t, formatDate } = useI18n();
+  if (!visible) return null;
+
+  return (
+    <Modal transparent visible={visible} animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.actionMenuOverlay} onPress={onClose}>
+        <Pressable
+          style={[styles.actionMenuSheet, { paddingBottom: Math.max(insets?.bottom || 0, SPACING.md) }]}
+          onPress={() => {}}
+        >
+          <View style={styles.actionMenuHandle} />
+          <Text style={styles.pinnedSheetTitle}>{t('chat.pins.title')}</Text>
+          {pins.map((pin) => (
+            <View key={pin.messageId} style={styles.pinnedSheetRow}>
+              <TouchableOpacity
+                style={styles.pinnedSheetRowMain}
+                onPress={() => onOpenPin(pin)}
+                accessibilityRole="button"
+              >
+                <Text style={styles.actionMessageSender} numberOfLines={1}>
+                  {pin.senderName || t('chat.participant')}
+                </Text>
+                <Text style={styles.actionMessagePreviewText} numberOfLines={2}>
+                  {getPinnedPreviewText(pin, t)}
+                </Text>
+                <Text style={styles.pinnedSheetMeta} numberOfLines={1}>
+                  {Number.isFinite(pin.pinnedAt)
+                    ? t('chat.pins.pinnedByAt', { name: pin.pinnedByName || t('chat.driverBadge'), time: formatDate(pin.pinnedAt, 'weekdayTime') })
+                    : t('chat.pins.pinnedBy', { name: pin.pinnedByName || t('chat.driverBadge') })}
+                </Text>
+              </TouchableOpacity>
+              {canManage && (
+                <TouchableOpacity
+                  style={styles.pinnedSheetUnpin}
+                  onPress={() => onUnpin(pin)}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('chat.actions.unpin')}
+                >
+                  <MaterialCommunityIcons name="pin-off-outline" size={20} color={COLORS.secondaryText} />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+};
+
 const MessageBubble = React.memo(({
   message,
   presentation,
@@ -1426,11 +1848,21 @@ const MessageBubble = React.memo(({
   parseMessageText,
   chatImageSize,
   replyBubbleMinWidth,
+  translation,
+  onToggleTranslation,
+  onVotePoll,
+  onClosePoll,
+  onCopyPollResults,
+  onShowEditHistory,
+  isPinned = false,
 }) => {
+  const { t } = useI18n();
   const isSelf = Boolean(presentation?.isOwnMessage);
   const isMsgDriver = !!message?.isDriver;
   const isDeleted = !!message?.deleted;
   const isImage = message?.type === 'image';
+  const isPoll = message?.type === 'poll';
+  const isEdited = !isDeleted && Number(message?.editCount) > 0;
   const isSearchMatch = !!activeSearchResultMessageId && activeSearchResultMessageId === message?.id;
   const isReplyJumpTarget = !!highlightedReplyTargetMessageId && highlightedReplyTargetMessageId === message?.id;
   const lastTapAtRef = useRef(0);
@@ -1467,14 +1899,20 @@ const MessageBubble = React.memo(({
         <View style={[styles.messageBubble, styles.deletedMessageBubble]}>
           <Text style={styles.deletedMessageText}>
             <MaterialCommunityIcons name="cancel" size={14} color={COLORS.secondaryText} />
-            {' This message was deleted'}
+            {` ${t('chat.deletedMessage')}`}
           </Text>
         </View>
       </View>
     );
   }
 
-  const textParts = parseMessageText(message?.text);
+  // A translation made before the message text changed is ignored until refreshed.
+  const hasCurrentTranslation = Boolean(translation && translation.sourceText === message?.text);
+  const showTranslatedText = hasCurrentTranslation
+    && translation.status === 'ready'
+    && !translation.showOriginal
+    && !translation.result?.unchanged;
+  const textParts = parseMessageText(showTranslatedText ? translation.result.text : message?.text);
   const hasLink = textParts.some((part) => part.type === 'link');
   const clusterPosition = presentation?.clusterPosition || 'single';
   const showSender = Boolean(presentation?.showSender);
@@ -1495,6 +1933,7 @@ const MessageBubble = React.memo(({
             !isSelf && clusterPosition === 'last' && styles.theirMessageBubbleClusterLast,
             isMsgDriver && !isSelf && styles.driverMessageBubble,
             isImage && styles.imageMessageBubble,
+            isPoll && styles.pollMessageBubble,
             hasReplyReference && { minWidth: replyBubbleMinWidth },
             isSearchMatch && styles.searchFocusedBubble,
             isReplyJumpTarget && styles.replyJumpTargetBubble,
@@ -1509,11 +1948,11 @@ const MessageBubble = React.memo(({
                   isMsgDriver && !isSelf && styles.driverSenderName,
                 ]}
               >
-                {message?.senderName || 'Participant'}
+                {message?.senderName || t('chat.participant')}
               </Text>
               {isMsgDriver && (
                 <View style={styles.driverBadge}>
-                  <Text style={styles.driverBadgeText}>DRIVER</Text>
+                  <Text style={styles.driverBadgeText}>{t('chat.driverBadge')}</Text>
                 </View>
               )}
             </View>
@@ -1531,13 +1970,13 @@ const MessageBubble = React.memo(({
                   numberOfLines={1}
                   style={[styles.replyReferenceSender, isSelf && styles.replyReferenceSenderSelf]}
                 >
-                  {message.replyTo.senderName || 'Participant'}
+                  {message.replyTo.senderName || t('chat.participant')}
                 </Text>
                 <Text
                   numberOfLines={2}
                   style={[styles.replyReferencePreview, isSelf && styles.replyReferencePreviewSelf]}
                 >
-                  {message.replyTo.previewText || 'Message'}
+                  {message.replyTo.previewText || t('chat.preview.message')}
                 </Text>
               </View>
               <MaterialCommunityIcons
@@ -1574,11 +2013,48 @@ const MessageBubble = React.memo(({
             </Text>
           )}
 
+          {hasCurrentTranslation && !!message?.text && (
+            <MessageTranslationNote
+              translation={translation}
+              isSelf={isSelf}
+              onPress={() => onToggleTranslation?.(message)}
+            />
+          )}
+
+          {isPoll && (
+            <PollCard
+              message={message}
+              isSelf={isSelf}
+              currentUserIds={currentUserIds}
+              onVote={onVotePoll}
+              onClose={onClosePoll}
+              onCopyResults={onCopyPollResults}
+            />
+          )}
+
           {hasLink && !isSelf && (
             <LinkPreview url={textParts.find((p) => p.type === 'link')?.content || ''} />
           )}
 
           <View style={styles.messageFooter}>
+            {isPinned && (
+              <MaterialCommunityIcons
+                name="pin"
+                size={12}
+                color={isSelf ? COLORS.lightBlueAccent : COLORS.secondaryText}
+                accessibilityLabel={t('chat.pins.pinnedA11y')}
+              />
+            )}
+            {isEdited && (
+              <Text
+                style={[styles.timestamp, isSelf && styles.myTimestamp]}
+                onPress={onShowEditHistory ? () => onShowEditHistory(message) : undefined}
+                accessibilityRole={onShowEditHistory ? 'button' : 'text'}
+                accessibilityLabel={t('chat.edit.historyA11y')}
+              >
+                {t('chat.edit.edited')}
+              </Text>
+            )}
             <Text style={[styles.timestamp, isSelf && styles.myTimestamp]}>
               {formatTime(message?.timestamp)}
             </Text>
@@ -1592,7 +2068,7 @@ const MessageBubble = React.memo(({
               onPress={() => onRetry(message)}
               disabled={isRetrying}
               accessibilityRole="button"
-              accessibilityLabel={isRetrying ? 'Retrying message' : 'Retry sending failed message'}
+              accessibilityLabel={isRetrying ? t('chat.retry.retryingA11y') : t('chat.retry.retryA11y')}
             >
               {isRetrying ? (
                 <ActivityIndicator size="small" color={COLORS.white} />
@@ -1600,7 +2076,7 @@ const MessageBubble = React.memo(({
                 <MaterialCommunityIcons name="refresh" size={14} color={COLORS.white} />
               )}
               <Text style={styles.failedMessageRetryText}>
-                {isRetrying ? 'Retrying...' : 'Tap to retry'}
+                {isRetrying ? t('chat.retry.retrying') : t('chat.retry.tapToRetry')}
               </Text>
             </TouchableOpacity>
           )}
@@ -1723,101 +2199,130 @@ const ChatComposer = React.memo(({
   inputText,
   sending,
   replyingToMessage,
+  editingMessage,
   showAttachmentMenu,
   attachmentsEnabled = true,
   onComposerLayout,
   onCancelReply,
+  onCancelEdit,
   onToggleAttachments,
   onTextChange,
   onInputContentSizeChange,
   onSendMessage,
-}) => (
-  <View
-    style={[styles.inputDock, { paddingBottom: composerBottomInset }]}
-    onLayout={onComposerLayout}
-  >
-    <View style={styles.inputArea}>
-      {replyingToMessage?.messageId && (
-        <View style={styles.replyComposerCard}>
-          <View style={styles.replyComposerAccent} />
-          <View style={styles.replyComposerBody}>
-            <Text numberOfLines={1} style={styles.replyComposerTitle}>
-              Replying to {replyingToMessage.senderName || 'Participant'}
-            </Text>
-            <Text numberOfLines={1} style={styles.replyComposerPreview}>
-              {replyingToMessage.previewText || 'Message'}
-            </Text>
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <View
+      style={[styles.inputDock, { paddingBottom: composerBottomInset }]}
+      onLayout={onComposerLayout}
+    >
+      <View style={styles.inputArea}>
+        {editingMessage?.id && (
+          <View style={styles.replyComposerCard}>
+            <View style={styles.replyComposerAccent} />
+            <View style={styles.replyComposerBody}>
+              <Text numberOfLines={1} style={styles.replyComposerTitle}>
+                {t('chat.composer.editing')}
+              </Text>
+              <Text numberOfLines={1} style={styles.replyComposerPreview}>
+                {editingMessage.originalText}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={styles.replyComposerClose}
+              onPress={onCancelEdit}
+              activeOpacity={0.7}
+              accessibilityRole="button"
+              accessibilityLabel={t('chat.composer.cancelEditA11y')}
+            >
+              <MaterialCommunityIcons name="close" size={16} color={COLORS.secondaryText} />
+            </TouchableOpacity>
           </View>
-          <TouchableOpacity
-            style={styles.replyComposerClose}
-            onPress={onCancelReply}
-            activeOpacity={0.7}
-            accessibilityRole="button"
-            accessibilityLabel="Cancel reply"
-          >
-            <MaterialCommunityIcons name="close" size={16} color={COLORS.secondaryText} />
-          </TouchableOpacity>
-        </View>
-      )}
+        )}
+
+        {!editingMessage?.id && replyingToMessage?.messageId && (
+          <View style={styles.replyComposerCard}>
+            <View style={styles.replyComposerAccent} />
+            <View style={styles.replyComposerBody}>
+              <Text numberOfLines={1} style={styles.replyComposerTitle}>
+                {t('chat.composer.replyingTo', { name: replyingToMessage.senderName || t('chat.participant') })}
+              </Text>
+              <Text numberOfLines={1} style={styles.replyComposerPreview}>
+                {replyingToMessage.previewText || t('chat.preview.message')}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={styles.replyComposerClose}
+              onPress={onCancelReply}
+              activeOpacity={0.7}
+              accessibilityRole="button"
+              accessibilityLabel={t('chat.composer.cancelReplyA11y')}
+            >
+              <MaterialCommunityIcons name="close" size={16} color={COLORS.secondaryText} />
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={styles.composerInputRow}>
+          {attachmentsEnabled && (
+            <TouchableOpacity
+              style={styles.attachButton}
+              onPress={onToggleAttachments}
+              activeOpacity={0.7}
+              accessibilityRole="button"
+              accessibilityLabel={showAttachmentMenu ? t('chat.composer.closeAttachmentsA11y') : t('chat.composer.openAttachmentsA11y')}
+            >
+              <MaterialCommunityIcons
+                name={showAttachmentMenu ? 'close' : 'plus-circle'}
+                size={28}
+                color={showAttachmentMenu ? COLORS.secondaryText : COLORS.primaryBlue}
+              />
+            </TouchableOpacity>
+          )}
+
+          <TextInput
+            style={[
+              styles.textInput,
+              { height: Math.min(Math.max(44, inputHeight), 120) },
+            ]}
+            placeholder={t('chat.composer.placeholder')}
+            placeholderTextColor={COLORS.tertiaryText}
+            value={inputText}
+            onChangeText={onTextChange}
+            multiline
+            onContentSizeChange={onInputContentSizeChange}
+            selectionColor={COLORS.primaryBlue}
+            editable
+            blurOnSubmit={false}
+          />
 
-      <View style={styles.composerInputRow}>
-        {attachmentsEnabled && (
           <TouchableOpacity
-            style={styles.attachButton}
-            onPress={onToggleAttachments}
+            style={[
+              styles.sendButton,
+              (sending || !inputText.trim()) && styles.sendButtonDisabled,
+            ]}
+            onPress={onSendMessage}
             activeOpacity={0.7}
+            disabled={sending || !inputText.trim()}
             accessibilityRole="button"
-            accessibilityLabel={showAttachmentMenu ? 'Close attachments' : 'Open attachments'}
+            accessibilityLabel={editingMessage?.id ? t('chat.composer.saveEditA11y') : t('chat.composer.sendA11y')}
           >
-            <MaterialCommunityIcons
-              name={showAttachmentMenu ? 'close' : 'plus-circle'}
-              size={28}
-              color={showAttachmentMenu ? COLORS.secondaryText : COLORS.primaryBlue}
-            />
+            {sending ? (
+              <ActivityIndicator size="small" color={COLORS.sendButtonColor} />
+            ) : (
+              <MaterialCommunityIcons
+                name={editingMessage?.id ? 'check-circle' : 'send-circle'}
+                size={38}
+                color={inputText.trim() === '' ? COLORS.tertiaryText : COLORS.sendButtonColor}
+              />
+            )}
           </TouchableOpacity>
-        )}
-
-        <TextInput
-          style={[
-            styles.textInput,
-            { height: Math.min(Math.max(44, inputHeight), 120) },
-          ]}
-          placeholder="Type your message..."
-          placeholderTextColor={COLORS.tertiaryText}
-          value={inputText}
-          onChangeText={onTextChange}
-          multiline
-          onContentSizeChange={onInputContentSizeChange}
-          selectionColor={COLORS.primaryBlue}
-          editable
-          blurOnSubmit={false}
-        />
-
-        <TouchableOpacity
-          style={[
-            styles.sendButton,
-            (sending || !inputText.trim()) && styles.sendButtonDisabled,
-          ]}
-          onPress={onSendMessage}
-          activeOpacity={0.7}
-          disabled={sending || !inputText.trim()}
-          accessibilityRole="button"
-          accessibilityLabel="Send message"
-        >
-          {sending ? (
-            <ActivityIndicator size="small" color={COLORS.sendButtonColor} />
-          ) : (
-            <MaterialCommunityIcons
-              name="send-circle"
-              size={38}
-              color={inputText.trim() === '' ? COLORS.tertiaryText : COLORS.sendButtonColor}
-            />
-          )}
-        </TouchableOpacity>
+        </View>
       </View>
     </View>
-  </View>
-));
+  );
+});
 
 // ==================== MAIN CHAT SCREEN ====================
 export default function ChatScreen({
@@ -1830,6 +2335,13 @@ export default function ChatScreen({
   identityBinding: identityBindingProp = null,
   canonicalIdentity: canonicalIdentityProp = null,
 }) {
+  const {
+    t,
+    formatDate,
+    locale,
+    autoTranslateChat,
+  } = useI18n();
+
   // Core state
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
@@ -1862,12 +2374,18 @@ export default function ChatScreen({
   const [unreadAnchorY, setUnreadAnchorY] = useState(null);
   const [showJumpToUnread, setShowJumpToUnread] = useState(false);
   const [replyingToMessage, setReplyingToMessage] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
   const [isSearchOpen, setIsSearchOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchFilter, setSearchFilter] = useState('all');
   const [activeSearchResultIndex, setActiveSearchResultIndex] = useState(0);
   const [showSwipeReplyHint, setShowSwipeReplyHint] = useState(false);
   const [retryingMessageIds, setRetryingMessageIds] = useState({});
+  const [showPollComposer, setShowPollComposer] = useState(false);
+  const [postingPoll, setPostingPoll] = useState(false);
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+  const [showPinnedSheet, setShowPinnedSheet] = useState(false);
+  const [pendingPinJumpId, setPendingPinJumpId] = useState(null);
 
   // Modal state
   const [selectedMessage, setSelectedMessage] = useState(null);
@@ -1876,6 +2394,7 @@ export default function ChatScreen({
   const [viewingImage, setViewingImage] = useState(null);
   const [hiddenMessageIds, setHiddenMessageIds] = useState({});
   const [mutedSenderIds, setMutedSenderIds] = useState({});
+  const [messageTranslations, setMessageTranslations] = useState({});
   const [reactionFeedbackMessage, setReactionFeedbackMessage] = useState('');
   const [replyJumpFeedbackMessage, setReplyJumpFeedbackMessage] = useState('');
   const [highlightedReplyTargetMessageId, setHighlightedReplyTargetMessageId] = useState(null);
@@ -2080,6 +2599,8 @@ export default function ChatScreen({
   const messageListRef = useRef(null);
   const messagesRef = useRef([]);
   const typingTimeoutRef = useRef(null);
+  // Draft set aside while the composer edits an existing message.
+  const editDraftRef = useRef('');
   const syncBannerTimeoutRef = useRef(null);
   const transientFeedbackTimeoutRef = useRef(null);
   const lastLiveMessageCursorRef = useRef(null);
@@ -2230,6 +2751,65 @@ export default function ChatScreen({
     })
   ), [canonicalIdentity, hiddenMessageIds, messages, mutedSenderIds]);
 
+  // Translations are per target language, so a language switch starts over.
+  useEffect(() => {
+    setMessageTranslations({});
+  }, [locale]);
+
+  const requestMessageTranslation = useCallback(async (message) => {
+    if (!message?.id || !message.text) return;
+    const sourceText = message.text;
+    const cached = getCachedMessageTranslation(message, locale);
+    if (cached) {
+      setMessageTranslations((prev) => ({
+        ...prev,
+        [message.id]: { status: 'ready', sourceText, result: cached, showOriginal: false },
+      }));
+      return;
+    }
+
+    setMessageTranslations((prev) => ({
+      ...prev,
+      [message.id]: { status: 'loading', sourceText, result: null, showOriginal: false },
+    }));
+    const result = await translateMessage(message, locale);
+    setMessageTranslations((prev) => {
+      if (prev[message.id]?.sourceText !== sourceText) return prev;
+      return {
+        ...prev,
+        [message.id]: result.success
+          ? { status: 'ready', sourceText, result: result.translation, showOriginal: false }
+          : { status: 'failed', sourceText, result: null, showOriginal: false },
+      };
+    });
+  }, [locale]);
+
+  const toggleMessageTranslation = useCallback((message) => {
+    if (!message?.id) return;
+    const entry = messageTranslations[message.id];
+    if (entry?.status === 'loading' && entry.sourceText === message.text) return;
+    if (entry?.status === 'ready' && entry.sourceText === message.text) {
+      setMessageTranslations((prev) => ({
+        ...prev,
+        [message.id]: { ...prev[message.id], showOriginal: !prev[message.id].showOriginal },
+      }));
+      return;
+    }
+    requestMessageTranslation(message);
+  }, [messageTranslations, requestMessageTranslation]);
+
+  // Live snapshots re-render often; only messages without a translation for
+  // their current text are sent to the provider, which also caches by ID.
+  useEffect(() => {
+    if (!autoTranslateChat) return;
+    visibleMessages.slice(-AUTO_TRANSLATE_RECENT_LIMIT).forEach((message) => {
+      if (!message?.id || message.deleted || !message.text) return;
+      if (isMessageOwnedByCurrentSession(message, canonicalIdentity)) return;
+      if (messageTranslations[message.id]?.sourceText === message.text) return;
+      requestMessageTranslation(message);
+    });
+  }, [autoTranslateChat, canonicalIdentity, messageTranslations, requestMessageTranslation, visibleMessages]);
+
   const markActiveChatRead = useCallback(async ({ force = false } = {}) => {
     if (!tourId || !realtimeActorId) return;
 
@@ -2384,7 +2964,7 @@ export default function ChatScreen({
           error: error?.message || String(error),
         });
         setLoading(false);
-        setChatLoadError('Messages are temporarily unavailable. Check your connection and retry.');
+        setChatLoadError(i18n.t('chat.errors.loadFailed'));
       },
     });
 
@@ -2539,7 +3119,7 @@ export default function ChatScreen({
     }
   }, [clearTransientFeedbackTimeout]);
 
-  const showReactionFailureFeedback = useCallback((message = 'Could not update reaction. Please try again.') => {
+  const showReactionFailureFeedback = useCallback((message = i18n.t('chat.errors.reactionFailed')) => {
     clearReactionFailureTimeout();
     setReactionFeedbackMessage(message);
     reactionFailureTimeoutRef.current = setTimeout(() => {
@@ -2564,7 +3144,7 @@ export default function ChatScreen({
   );
 
   const showQueueSyncOutcome = useCallback(
-    ({ replayResult, beforeStats = {}, afterStats = {}, fallbackErrorMessage = 'Unable to flush queued chat actions.' }) => {
+    ({ replayResult, beforeStats = {}, afterStats = {}, fallbackErrorMessage = i18n.t('chat.errors.flushFailed') }) => {
       const safeBeforeStats = {
         pending: beforeStats?.pending || 0,
         failed: beforeStats?.failed || 0,
@@ -2776,7 +3356,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'warning',
         icon: 'account-alert-outline',
-        message: 'Your chat identity is still syncing. Try again in a moment.',
+        message: i18n.t('chat.errors.identitySyncing'),
       });
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
       logger.warn('ChatScreen', 'chat_send_blocked_missing_sender_stable_id', {
@@ -2841,7 +3421,7 @@ export default function ChatScreen({
         showTransientFeedback({
           type: 'warning',
           icon: 'message-alert-outline',
-          message: 'Message could not be sent. Please try again.',
+          message: i18n.t('chat.errors.sendFailed'),
         });
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
       } else {
@@ -2904,7 +3484,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'warning',
         icon: 'message-alert-outline',
-        message: 'Message could not be sent. Please try again.',
+        message: i18n.t('chat.errors.sendFailed'),
       });
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
     } finally {
@@ -2963,7 +3543,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'warning',
         icon: 'account-alert-outline',
-        message: 'Your chat identity is still syncing. Try again in a moment.',
+        message: i18n.t('chat.errors.identitySyncing'),
       });
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
       logger.warn('ChatScreen', 'chat_retry_blocked_missing_sender_stable_id', {
@@ -3007,7 +3587,7 @@ export default function ChatScreen({
         showTransientFeedback({
           type: 'warning',
           icon: 'message-alert-outline',
-          message: 'Message could not be retried. Please try again.',
+          message: i18n.t('chat.errors.retryFailed'),
         });
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
         return;
@@ -3069,7 +3649,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'warning',
         icon: 'message-alert-outline',
-        message: 'Message could not be retried. Please try again.',
+        message: i18n.t('chat.errors.retryFailed'),
       });
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
     } finally {
@@ -3121,8 +3701,8 @@ export default function ChatScreen({
       showQueueSyncOutcome({ replayResult, beforeStats, afterStats });
     } catch (error) {
       showQueueSyncOutcome({
-        replayResult: { success: false, error: error?.message || 'Unable to flush queued chat actions.' },
-        fallbackErrorMessage: 'Unable to flush queued chat actions.',
+        replayResult: { success: false, error: error?.message || i18n.t('chat.errors.flushFailed') },
+        fallbackErrorMessage: i18n.t('chat.errors.flushFailed'),
       });
     }
   }, [internalDriverChat, refreshQueueStats, showQueueSyncOutcome]);
@@ -3135,7 +3715,7 @@ export default function ChatScreen({
         showTransientFeedback({
           type: 'info',
           icon: 'image-outline',
-          message: 'Photos can be shared in the group chat.',
+          message: i18n.t('chat.photos.groupOnly'),
         });
         return;
       }
@@ -3154,7 +3734,7 @@ export default function ChatScreen({
       clearImageSendResetTimeout();
       setImageSendState({
         status: 'uploading',
-        message: 'Preparing photo...',
+        message: i18n.t('chat.photos.preparing'),
         retryUri: imageUri,
       });
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
@@ -3169,7 +3749,7 @@ export default function ChatScreen({
           });
           setImageSendState({
             status: 'failed',
-            message: 'Your chat identity is still syncing. Try again in a moment.',
+            message: i18n.t('chat.errors.identitySyncing'),
             retryUri: imageUri,
           });
           Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
@@ -3229,7 +3809,7 @@ export default function ChatScreen({
           Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
           setImageSendState({
             status: 'success',
-            message: 'Photo sent',
+            message: i18n.t('chat.photos.sent'),
             retryUri: null,
           });
           imageSendAttemptRef.current = null;
@@ -3244,7 +3824,7 @@ export default function ChatScreen({
           });
           setImageSendState({
             status: 'failed',
-            message: 'Photo could not be uploaded. Try again.',
+            message: i18n.t('chat.photos.uploadFailed'),
             retryUri: imageUri,
           });
           Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
@@ -3257,7 +3837,7 @@ export default function ChatScreen({
         });
         setImageSendState({
           status: 'failed',
-          message: 'Photo could not be sent. Try again.',
+          message: i18n.t('chat.photos.sendFailed'),
           retryUri: imageUri,
         });
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
@@ -3290,7 +3870,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'warning',
         icon: 'image-off-outline',
-        message: 'Gallery permission is needed to choose a photo.',
+        message: i18n.t('chat.photos.galleryPermission'),
       });
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
       return;
@@ -3322,7 +3902,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'warning',
         icon: 'camera-off-outline',
-        message: 'Camera permission is needed to take a photo.',
+        message: i18n.t('chat.photos.cameraPermission'),
       });
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
       return;
@@ -3360,7 +3940,7 @@ export default function ChatScreen({
         showTransientFeedback({
           type: 'info',
           icon: 'emoticon-outline',
-          message: 'Reactions are available in the group chat.',
+          message: i18n.t('chat.reactions.groupOnly'),
         });
         return;
       }
@@ -3498,7 +4078,7 @@ export default function ChatScreen({
           reactionSource,
           error: error?.message || 'Unknown error',
         }, 'warn');
-        showReactionFailureFeedback('Could not update reaction. Check your connection and try again.');
+        showReactionFailureFeedback(i18n.t('chat.errors.reactionOffline'));
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
       } finally {
         inFlightReactionKeysRef.current.delete(lockKey);
@@ -3563,6 +4143,74 @@ export default function ChatScreen({
     setSelectedMessage(null);
   }, [selectedMessage, startReplyComposer]);
 
+  const handleEditSelectedMessage = useCallback(() => {
+    const message = selectedMessage;
+    setShowActionMenu(false);
+    setSelectedMessage(null);
+    if (!message?.id || !canEditMessage(message, [principalId])) return;
+
+    editDraftRef.current = inputText;
+    setReplyingToMessage(null);
+    setEditingMessage({ id: message.id, originalText: message.text || '' });
+    setInputText(message.text || '');
+  }, [inputText, principalId, selectedMessage]);
+
+  const finishEditing = useCallback(() => {
+    setEditingMessage(null);
+    setInputText(editDraftRef.current || '');
+    editDraftRef.current = '';
+  }, []);
+
+  const handleSaveEdit = useCallback(async () => {
+    const target = editingMessage;
+    if (!target?.id || sending) return;
+
+    const trimmed = inputText.trim();
+    if (!trimmed) return;
+    const moderationResult = checkTextForObjectionableContent(trimmed);
+    if (!moderationResult.allowed) {
+      showTransientFeedback({
+        type: 'warning',
+        icon: 'shield-alert-outline',
+        message: moderationResult.message,
+      });
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+      return;
+    }
+
+    setSending(true);
+    const result = await editMessage(tourId, target.id, trimmed, principalId);
+    setSending(false);
+
+    if (result.success) {
+      if (!result.unchanged && result.message) {
+        const { text, editCount, editedAt, editHistory } = result.message;
+        setMessages((prev) => prev.map((msg) => (
+          msg.id === target.id ? { ...msg, text, editCount, editedAt, editHistory } : msg
+        )));
+      }
+      finishEditing();
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      return;
+    }
+
+    logger.warn('ChatScreen', 'chat_edit_failed', {
+      tourId,
+      messageId: maskIdentifier(target.id),
+      code: result.code || null,
+      error: result.error || null,
+    });
+    let feedbackMessage = i18n.t('chat.edit.failed');
+    if (result.code === 'objectionable_content') feedbackMessage = result.error;
+    if (result.code === 'edit_window_closed') feedbackMessage = i18n.t('chat.edit.expired');
+    showTransientFeedback({
+      type: 'warning',
+      icon: 'pencil-off-outline',
+      message: feedbackMessage,
+    });
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+  }, [editingMessage, finishEditing, inputText, principalId, sending, showTransientFeedback, tourId]);
+
   // Handle copy message
   const handleCopyMessage = useCallback(() => {
     if (selectedMessage) {
@@ -3573,6 +4221,12 @@ export default function ChatScreen({
     setSelectedMessage(null);
   }, [selectedMessage]);
 
+  const handleTranslateSelectedMessage = useCallback(() => {
+    if (selectedMessage) toggleMessageTranslation(selectedMessage);
+    setShowActionMenu(false);
+    setSelectedMessage(null);
+  }, [selectedMessage, toggleMessageTranslation]);
+
   const getSelectedMessageFirstLink = useCallback(() => {
     if (!selectedMessage || typeof selectedMessage.text !== 'string') return null;
     const matches = selectedMessage.text.match(URL_REGEX);
@@ -3634,6 +4288,7 @@ export default function ChatScreen({
       contentOwnerId: getMessageModerationSenderKey(message) || message.senderId || '',
       contentOwnerName: message.senderName || 'Tour participant',
       contentPreview: buildReplyPreviewText(message),
+      contentVersion: getMessageVersion(message),
       sourcePath: `${chatScopeForReport === 'internal' ? 'internal_chats' : 'chats'}/${tourId}/messages/${message.id}`,
     });
 
@@ -3642,7 +4297,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'success',
         icon: 'flag-checkered',
-        message: 'Report sent to Loch Lomond Travel operations.',
+        message: i18n.t('chat.report.sent'),
       });
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
       return;
@@ -3651,7 +4306,7 @@ export default function ChatScreen({
     showTransientFeedback({
       type: 'warning',
       icon: 'flag-remove-outline',
-      message: 'Report could not be sent. Please try again or contact support.',
+      message: i18n.t('chat.report.failed'),
     });
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
   }, [
@@ -3669,14 +4324,14 @@ export default function ChatScreen({
     if (!selectedMessage?.id) return;
 
     Alert.alert(
-      'Report message',
-      'Send this message to Loch Lomond Travel operations for review.',
+      i18n.t('chat.report.title'),
+      i18n.t('chat.report.message'),
       [
         ...REPORT_REASON_OPTIONS.map((option) => ({
-          text: option.label,
+          text: i18n.t(`chat.report.reasons.${option.key}`),
           onPress: () => submitSelectedMessageReport(option.key),
         })),
-        { text: 'Cancel', style: 'cancel' },
+        { text: i18n.t('common.cancel'), style: 'cancel' },
       ],
     );
   }, [selectedMessage, submitSelectedMessageReport]);
@@ -3691,18 +4346,18 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'info',
         icon: 'account-alert-outline',
-        message: 'This sender cannot be muted from this message.',
+        message: i18n.t('chat.mute.unavailable'),
       });
       return;
     }
 
     Alert.alert(
-      'Mute sender?',
-      'Future messages from this sender will be hidden on this device. Loch Lomond Travel can still review reports you submit.',
+      i18n.t('chat.mute.title'),
+      i18n.t('chat.mute.message'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: i18n.t('common.cancel'), style: 'cancel' },
         {
-          text: 'Mute sender',
+          text: i18n.t('chat.actions.muteSender'),
           style: 'destructive',
           onPress: () => {
             muteSenderLocally(senderKey);
@@ -3711,7 +4366,7 @@ export default function ChatScreen({
             showTransientFeedback({
               type: 'info',
               icon: 'account-cancel-outline',
-              message: 'Sender muted on this device.',
+              message: i18n.t('chat.mute.done'),
             });
           },
         },
@@ -3724,6 +4379,153 @@ export default function ChatScreen({
     showTransientFeedback,
   ]);
 
+  const canManagePins = isDriver && !internalDriverChat;
+
+  useEffect(() => {
+    if (!tourId || internalDriverChat) {
+      setPinnedMessages([]);
+      return undefined;
+    }
+    return subscribeToPinnedMessages(tourId, setPinnedMessages);
+  }, [internalDriverChat, tourId]);
+
+  // A tombstoned message keeps its pin until someone clears it; never surface it.
+  const visiblePinnedMessages = useMemo(() => {
+    const deletedIds = new Set(messages.filter((message) => message?.deleted).map((message) => message.id));
+    return pinnedMessages.filter((pin) => !deletedIds.has(pin.messageId));
+  }, [messages, pinnedMessages]);
+  const pinnedMessageIds = useMemo(
+    () => new Set(visiblePinnedMessages.map((pin) => pin.messageId)),
+    [visiblePinnedMessages]
+  );
+
+  const handleTogglePinSelectedMessage = useCallback(async () => {
+    const message = selectedMessage;
+    setShowActionMenu(false);
+    setSelectedMessage(null);
+    if (!message?.id || !canManagePins) return;
+
+    const result = pinnedMessageIds.has(message.id)
+      ? await unpinMessage(tourId, message.id)
+      : await pinMessage(tourId, message, buildChatSenderInfo());
+    if (result.success) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      return;
+    }
+    showTransientFeedback({
+      type: 'warning',
+      icon: 'pin-off-outline',
+      message: result.limitReached
+        ? i18n.t('chat.pins.limitReached', { count: PINNED_MESSAGE_LIMIT })
+        : i18n.t('chat.pins.failed'),
+    });
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+  }, [buildChatSenderInfo, canManagePins, pinnedMessageIds, selectedMessage, showTransientFeedback, tourId]);
+
+  const handleUnpinMessage = useCallback(async (pin) => {
+    if (!pin?.messageId || !canManagePins) return;
+    const result = await unpinMessage(tourId, pin.messageId);
+    if (!result.success) {
+      showTransientFeedback({
+        type: 'warning',
+        icon: 'pin-off-outline',
+        message: i18n.t('chat.pins.failed'),
+      });
+    }
+  }, [canManagePins, showTransientFeedback, tourId]);
+
+  const handleOpenPollComposer = useCallback(() => {
+    setShowAttachmentMenu(false);
+    setShowPollComposer(true);
+  }, []);
+
+  const handleCreatePoll = useCallback(async ({ question, options }) => {
+    if (postingPoll) return;
+    setPostingPoll(true);
+    const result = await sendPollMessage(tourId, question, options, buildChatSenderInfo());
+    setPostingPoll(false);
+    if (result.success) {
+      setShowPollComposer(false);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      return;
+    }
+    showTransientFeedback({
+      type: 'warning',
+      icon: 'poll',
+      message: i18n.t('chat.poll.createFailed'),
+    });
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+  }, [buildChatSenderInfo, postingPoll, showTransientFeedback, tourId]);
+
+  // Tapping the option you already chose withdraws the vote.
+  const handleVotePoll = useCallback(async (message, optionId) => {
+    if (!message?.id || !realtimeActorId) return;
+    const summary = summarizePoll(message, currentReactionUserIds);
+    if (summary.closed) return;
+
+    const nextOptionId = summary.myVote === optionId ? null : optionId;
+    const voterKey = summary.myVoteKey || realtimeActorId;
+    const rollbackVotes = message.pollVotes || {};
+    setMessages((prevMessages) => prevMessages.map((entry) => {
+      if (entry.id !== message.id) return entry;
+      const nextVotes = { ...(entry.pollVotes || {}) };
+      delete nextVotes[voterKey];
+      if (nextOptionId) nextVotes[voterKey] = nextOptionId;
+      return { ...entry, pollVotes: nextVotes };
+    }));
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+
+    const result = await votePoll(tourId, message.id, nextOptionId, voterKey);
+    if (!result.success) {
+      setMessages((prevMessages) => prevMessages.map((entry) => (
+        entry.id === message.id ? { ...entry, pollVotes: rollbackVotes } : entry
+      )));
+      showTransientFeedback({
+        type: 'warning',
+        icon: 'poll',
+        message: i18n.t('chat.poll.voteFailed'),
+      });
+    }
+  }, [currentReactionUserIds, realtimeActorId, showTransientFeedback, tourId]);
+
+  const handleClosePoll = useCallback((message) => {
+    if (!message?.id) return;
+    Alert.alert(
+      i18n.t('chat.poll.closeConfirmTitle'),
+      i18n.t('chat.poll.closeConfirmBody'),
+      [
+        { text: i18n.t('common.cancel'), style: 'cancel' },
+        {
+          text: i18n.t('chat.poll.close'),
+          style: 'destructive',
+          onPress: async () => {
+            const result = await closePoll(tourId, message.id, principalId);
+            if (result.success) {
+              Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+              return;
+            }
+            showTransientFeedback({
+              type: 'warning',
+              icon: 'lock-alert-outline',
+              message: i18n.t('chat.poll.closeFailed'),
+            });
+          },
+        },
+      ]
+    );
+  }, [principalId, showTransientFeedback, tourId]);
+
+  const handleCopyPollResults = useCallback((message) => {
+    if (!message) return;
+    Clipboard.setString(formatPollResultsForIssueLog(message));
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    showTransientFeedback({
+      type: 'success',
+      icon: 'clipboard-check-outline',
+      message: i18n.t('chat.poll.resultsCopied'),
+    });
+  }, [showTransientFeedback]);
+
   // Handle delete message
   const handleDeleteMessage = useCallback(async () => {
     if (internalDriverChat) {
@@ -3732,7 +4534,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'info',
         icon: 'delete-outline',
-        message: 'Internal driver chat messages cannot be deleted here.',
+        message: i18n.t('chat.delete.internalUnavailable'),
       });
       return;
     }
@@ -3745,7 +4547,7 @@ export default function ChatScreen({
         showTransientFeedback({
           type: 'warning',
           icon: 'delete-alert-outline',
-          message: 'Message could not be deleted. Please try again.',
+          message: i18n.t('chat.delete.failed'),
         });
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
       }
@@ -3775,8 +4577,8 @@ export default function ChatScreen({
       showQueueSyncOutcome({ replayResult, beforeStats, afterStats });
     } catch (error) {
       showQueueSyncOutcome({
-        replayResult: { success: false, error: error?.message || 'Unable to refresh chat right now.' },
-        fallbackErrorMessage: 'Unable to refresh chat right now.',
+        replayResult: { success: false, error: error?.message || i18n.t('chat.errors.refreshFailed') },
+        fallbackErrorMessage: i18n.t('chat.errors.refreshFailed'),
       });
     } finally {
       setRefreshing(false);
@@ -3812,7 +4614,7 @@ export default function ChatScreen({
         showTransientFeedback({
           type: 'warning',
           icon: 'cloud-alert-outline',
-          message: 'Older messages could not be loaded right now.',
+          message: i18n.t('chat.loadOlder.failed'),
         });
         return;
       }
@@ -3828,7 +4630,7 @@ export default function ChatScreen({
       showTransientFeedback({
         type: 'warning',
         icon: 'cloud-alert-outline',
-        message: 'Older messages could not be loaded right now.',
+        message: i18n.t('chat.loadOlder.failed'),
       });
     } finally {
       setLoadingOlderMessages(false);
@@ -3837,8 +4639,23 @@ export default function ChatScreen({
 
   // Format time helper
   const formatTime = useCallback((timestamp) => {
-    return formatChatTimestamp(timestamp);
-  }, []);
+    const timestampMs = parseSharedTimestampMs(timestamp);
+    return Number.isFinite(timestampMs) ? formatDate(timestampMs, 'time') : '';
+  }, [formatDate]);
+
+  const handleShowEditHistory = useCallback((message) => {
+    const history = getEditHistory(message);
+    if (history.length === 0) return;
+
+    Alert.alert(
+      i18n.t('chat.edit.historyTitle'),
+      history.map((entry) => i18n.t('chat.edit.historyEntry', {
+        version: entry.version,
+        time: formatTime(entry.replacedAt),
+        text: entry.text,
+      })).join('\n\n'),
+    );
+  }, [formatTime]);
 
   // Parse message text for links
   const parseMessageText = useCallback((text) => {
@@ -3912,9 +4729,10 @@ export default function ChatScreen({
       {
         lastSeenTimestamp,
         currentUserId: null,
+        t,
       }
     )
-  ), [visibleMessages, lastSeenTimestamp, canonicalIdentity]);
+  ), [visibleMessages, lastSeenTimestamp, canonicalIdentity, t]);
 
   const searchResults = useMemo(
     () => buildChatSearchResults(visibleMessages, searchQuery),
@@ -3965,7 +4783,7 @@ export default function ChatScreen({
         if (!message) return null;
 
         const messageText = typeof message.text === 'string' ? message.text.trim() : '';
-        const fallbackText = message.type === 'image' ? '📷 Photo' : 'Message';
+        const fallbackText = message.type === 'image' ? `📷 ${t('chat.preview.photo')}` : t('chat.preview.message');
         const previewText = messageText || fallbackText;
 
         const lowerCasePreview = previewText.toLowerCase();
@@ -3979,7 +4797,7 @@ export default function ChatScreen({
 
         return {
           id: message.id,
-          senderName: message.senderName || 'Participant',
+          senderName: message.senderName || t('chat.participant'),
           previewText: formattedSnippet || fallbackText,
           timestamp: message.timestamp,
           isActive: activeId === message.id,
@@ -3987,7 +4805,7 @@ export default function ChatScreen({
         };
       })
       .filter(Boolean);
-  }, [filteredSearchResults, messageLookupById, searchQuery, activeSearchResultMessageId]);
+  }, [filteredSearchResults, messageLookupById, searchQuery, activeSearchResultMessageId, t]);
 
   const jumpToMessageById = useCallback((messageId, fallbackId = null, { showMissingFeedback = true } = {}) => {
     const targetCandidates = [
@@ -4018,7 +4836,7 @@ export default function ChatScreen({
 
     if (targetIndex < 0) {
       if (showMissingFeedback) {
-        setReplyJumpFeedbackMessage('Could not find the original message in this chat history.');
+        setReplyJumpFeedbackMessage(i18n.t('chat.replyJump.notFound'));
       }
       return false;
     }
@@ -4058,7 +4876,7 @@ export default function ChatScreen({
 
     if (targetState.status === 'loaded') {
       notificationTargetRef.current = { key: notificationTargetKey, status: 'missing' };
-      setReplyJumpFeedbackMessage('This notification message is no longer available in the chat.');
+      setReplyJumpFeedbackMessage(i18n.t('chat.replyJump.unavailable'));
       return undefined;
     }
 
@@ -4071,7 +4889,7 @@ export default function ChatScreen({
       if (!active || notificationTargetRef.current.key !== notificationTargetKey) return;
       if (!result?.success || !result.message) {
         notificationTargetRef.current = { key: notificationTargetKey, status: 'missing' };
-        setReplyJumpFeedbackMessage('This notification message is no longer available in the chat.');
+        setReplyJumpFeedbackMessage(i18n.t('chat.replyJump.unavailable'));
         return;
       }
       notificationTargetRef.current = { key: notificationTargetKey, status: 'loaded' };
@@ -4090,6 +4908,30 @@ export default function ChatScreen({
     tourId,
   ]);
 
+  // Pins can point above the loaded page, so fetch the original before jumping.
+  const openPinnedMessage = useCallback(async (pin) => {
+    setShowPinnedSheet(false);
+    if (!pin?.messageId) return;
+    if (jumpToMessageById(pin.messageId, null, { showMissingFeedback: false })) return;
+
+    const result = await getChatMessageById({ tourId, messageId: pin.messageId, scope: 'group' });
+    if (!result?.success || !result.message || result.message.deleted) {
+      setReplyJumpFeedbackMessage(i18n.t('chat.replyJump.unavailable'));
+      return;
+    }
+    setMessages((current) => mergeMessagesById(current, [result.message]));
+    setPendingPinJumpId(pin.messageId);
+  }, [jumpToMessageById, tourId]);
+
+  useEffect(() => {
+    if (!pendingPinJumpId) return undefined;
+    setPendingPinJumpId(null);
+    if (!jumpToMessageById(pendingPinJumpId, null, { showMissingFeedback: false })) {
+      setReplyJumpFeedbackMessage(i18n.t('chat.replyJump.unavailable'));
+    }
+    return undefined;
+  }, [jumpToMessageById, pendingPinJumpId]);
+
 
   useEffect(() => {
     if (!replyJumpFeedbackMessage) return undefined;
@@ -4166,7 +5008,7 @@ export default function ChatScreen({
             <View style={[styles.messageBubble, styles.deletedMessageBubble]}>
               <Text style={styles.deletedMessageText}>
                 <MaterialCommunityIcons name="cancel" size={14} color={COLORS.secondaryText} />
-                {' This message was deleted'}
+                {` ${t('chat.deletedMessage')}`}
               </Text>
             </View>
           </View>
@@ -4207,7 +5049,7 @@ export default function ChatScreen({
                 </Text>
                 {isMsgDriver && (
                   <View style={styles.driverBadge}>
-                    <Text style={styles.driverBadgeText}>DRIVER</Text>
+                    <Text style={styles.driverBadgeText}>{t('chat.driverBadge')}</Text>
                   </View>
                 )}
               </View>
@@ -4291,7 +5133,7 @@ export default function ChatScreen({
                   onPress={() => handleRetryFailedMessage(msg)}
                   disabled={isRetrying}
                   accessibilityRole="button"
-                  accessibilityLabel={isRetrying ? 'Retrying message' : 'Retry sending failed message'}
+                  accessibilityLabel={isRetrying ? t('chat.retry.retryingA11y') : t('chat.retry.retryA11y')}
                 >
                   {isRetrying ? (
                     <ActivityIndicator size="small" color={COLORS.white} />
@@ -4299,7 +5141,7 @@ export default function ChatScreen({
                     <MaterialCommunityIcons name="refresh" size={14} color={COLORS.white} />
                   )}
                   <Text style={styles.failedMessageRetryText}>
-                    {isRetrying ? 'Retrying…' : 'Tap to retry'}
+                    {isRetrying ? t('chat.retry.retrying') : t('chat.retry.tapToRetry')}
                   </Text>
                 </TouchableOpacity>
               )}
@@ -4385,6 +5227,13 @@ export default function ChatScreen({
         parseMessageText={parseMessageText}
         chatImageSize={chatImageSize}
         replyBubbleMinWidth={replyBubbleMinWidth}
+        translation={item.type === 'message' ? messageTranslations[item.data?.id] : undefined}
+        onToggleTranslation={toggleMessageTranslation}
+        onVotePoll={handleVotePoll}
+        onClosePoll={handleClosePoll}
+        onCopyPollResults={handleCopyPollResults}
+        onShowEditHistory={handleShowEditHistory}
+        isPinned={item.type === 'message' && pinnedMessageIds.has(item.data?.id)}
       />
     );
   }, [
@@ -4393,14 +5242,20 @@ export default function ChatScreen({
     formatTime,
     handleMessageLongPress,
     handleHeartReactionDoubleTap,
+    handleClosePoll,
+    handleCopyPollResults,
     handleMessageRowLayout,
     handleReaction,
     handleRetryFailedMessage,
+    handleShowEditHistory,
+    handleVotePoll,
     highlightedReplyTargetMessageId,
     chatImageSize,
     internalDriverChat,
     jumpToMessageById,
+    messageTranslations,
     parseMessageText,
+    pinnedMessageIds,
     principalId,
     realtimeActorId,
     currentReactionUserIds,
@@ -4408,6 +5263,7 @@ export default function ChatScreen({
     retryingMessageIds,
     replyBubbleMinWidth,
     startReplyComposer,
+    toggleMessageTranslation,
     unreadAnchorMessageId,
   ]);
 
@@ -4423,32 +5279,32 @@ export default function ChatScreen({
           color={COLORS.primaryBlue}
         />
       </LinearGradient>
-      <Text style={styles.emptyText}>{chatLoadError ? 'Messages unavailable' : 'No messages yet'}</Text>
+      <Text style={styles.emptyText}>{chatLoadError ? t('chat.empty.unavailableTitle') : t('chat.empty.title')}</Text>
       <Text style={styles.emptySubtext}>
-        {chatLoadError || 'Say hello, share a useful update, or send a photo from the tour.'}
+        {chatLoadError || t('chat.empty.subtitle')}
       </Text>
       {chatLoadError ? (
         <TouchableOpacity
           style={styles.emptyRetryButton}
           onPress={() => setSubscriptionRevision((current) => current + 1)}
           accessibilityRole="button"
-          accessibilityLabel="Retry loading messages"
+          accessibilityLabel={t('chat.empty.retryA11y')}
         >
           <MaterialCommunityIcons name="refresh" size={18} color={COLORS.white} />
-          <Text style={styles.emptyRetryButtonText}>Retry</Text>
+          <Text style={styles.emptyRetryButtonText}>{t('common.retry')}</Text>
         </TouchableOpacity>
       ) : <View style={styles.emptyTips}>
         <View style={styles.emptyTip}>
           <MaterialCommunityIcons name="image" size={20} color={COLORS.primaryBlue} />
-          <Text style={styles.emptyTipText}>Share photos</Text>
+          <Text style={styles.emptyTipText}>{t('chat.empty.tipPhotos')}</Text>
         </View>
         <View style={styles.emptyTip}>
           <MaterialCommunityIcons name="emoticon" size={20} color={COLORS.coralAccent} />
-          <Text style={styles.emptyTipText}>React to messages</Text>
+          <Text style={styles.emptyTipText}>{t('chat.empty.tipReactions')}</Text>
         </View>
       </View>}
     </View>
-  ), [chatLoadError]);
+  ), [chatLoadError, t]);
 
   // Error state
   if (!tourId) {
@@ -4458,13 +5314,13 @@ export default function ChatScreen({
           <TouchableOpacity onPress={onBack} style={styles.headerButton} activeOpacity={0.7}>
             <MaterialCommunityIcons name="arrow-left" size={26} color={COLORS.white} />
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>Group Chat</Text>
+          <Text style={styles.headerTitle}>{t('chat.header.groupChat')}</Text>
           <View style={styles.headerButton} />
         </View>
         <View style={styles.errorContainer}>
           <MaterialCommunityIcons name="chat-remove-outline" size={60} color={COLORS.secondaryText} />
-          <Text style={styles.errorText}>Chat is not available</Text>
-          <Text style={styles.errorSubtext}>Please try again later</Text>
+          <Text style={styles.errorText}>{t('chat.unavailable.title')}</Text>
+          <Text style={styles.errorSubtext}>{t('chat.unavailable.subtitle')}</Text>
         </View>
       </SafeAreaView>
     );
@@ -4491,7 +5347,7 @@ export default function ChatScreen({
             <MaterialCommunityIcons name="magnify" size={18} color={COLORS.secondaryText} />
             <TextInput
               style={styles.searchInput}
-              placeholder="Search messages or names"
+              placeholder={t('chat.search.placeholder')}
               placeholderTextColor={COLORS.tertiaryText}
               value={searchQuery}
               onChangeText={setSearchQuery}
@@ -4507,8 +5363,8 @@ export default function ChatScreen({
           <View style={styles.searchMetaRow}>
             <Text style={styles.searchMetaText}>
               {searchQuery.trim().length === 0
-                ? 'Type to search this conversation'
-                : `${filteredSearchResults.length} message${filteredSearchResults.length === 1 ? '' : 's'} matched`}
+                ? t('chat.search.hint')
+                : t('chat.search.matches', { count: filteredSearchResults.length })}
             </Text>
             <View style={styles.searchNavButtons}>
               <TouchableOpacity
@@ -4544,7 +5400,7 @@ export default function ChatScreen({
                     color={active ? COLORS.white : COLORS.primaryBlue}
                   />
                   <Text style={[styles.searchFilterLabel, active && styles.searchFilterLabelActive]}>
-                    {filter.label}
+                    {t(filter.labelKey)}
                   </Text>
                 </TouchableOpacity>
               );
@@ -4565,7 +5421,7 @@ export default function ChatScreen({
                       <Text style={styles.searchPreviewSender}>{item.senderName}</Text>
                       {item.isDriver && (
                         <View style={styles.searchPreviewDriverBadge}>
-                          <Text style={styles.searchPreviewDriverBadgeText}>DRIVER</Text>
+                          <Text style={styles.searchPreviewDriverBadgeText}>{t('chat.driverBadge')}</Text>
                         </View>
                       )}
                     </View>
@@ -4581,6 +5437,14 @@ export default function ChatScreen({
         </View>
       )}
 
+      {!isSearchOpen && (
+        <PinnedMessagesBanner
+          pins={visiblePinnedMessages}
+          onOpenPin={openPinnedMessage}
+          onOpenList={() => setShowPinnedSheet(true)}
+        />
+      )}
+
       <SwipeReplyHint
         visible={showSwipeReplyHint && visibleMessages.length > 0}
         onDismiss={dismissSwipeReplyHint}
@@ -4682,6 +5546,7 @@ export default function ChatScreen({
           onClose={() => setShowAttachmentMenu(false)}
           onPickImage={handlePickImage}
           onTakePhoto={handleTakePhoto}
+          onCreatePoll={isDriver ? handleOpenPollComposer : undefined}
         />
 
         <ChatComposer
@@ -4690,6 +5555,7 @@ export default function ChatScreen({
           inputText={inputText}
           sending={sending}
           replyingToMessage={replyingToMessage}
+          editingMessage={editingMessage}
           showAttachmentMenu={showAttachmentMenu}
           attachmentsEnabled={!internalDriverChat}
           onComposerLayout={(event) => {
@@ -4697,17 +5563,26 @@ export default function ChatScreen({
             setComposerHeight((prev) => (prev === nextHeight ? prev : nextHeight));
           }}
           onCancelReply={() => setReplyingToMessage(null)}
+          onCancelEdit={finishEditing}
           onToggleAttachments={() => {
             Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
             setShowAttachmentMenu((prev) => !prev);
           }}
           onTextChange={handleTextChange}
           onInputContentSizeChange={(event) => setInputHeight(event.nativeEvent.contentSize.height)}
-          onSendMessage={handleSendMessage}
+          onSendMessage={editingMessage ? handleSaveEdit : handleSendMessage}
         />
       </KeyboardAvoidingView>
 
       {/* Modals */}
+      <PollComposerSheet
+        visible={showPollComposer}
+        posting={postingPoll}
+        onClose={() => setShowPollComposer(false)}
+        onSubmit={handleCreatePoll}
+        insets={insets}
+      />
+
       <ChatActionSheet
         visible={showActionMenu}
         onClose={() => {
@@ -4717,6 +5592,7 @@ export default function ChatScreen({
         message={selectedMessage}
         onCopy={handleCopyMessage}
         onReply={handleReplyToMessage}
+        onEdit={handleEditSelectedMessage}
         onReact={(emoji) => {
           setShowActionMenu(false);
           if (selectedMessage?.id && emoji) {
@@ -4729,10 +5605,13 @@ export default function ChatScreen({
         }}
         onCopyLink={handleCopyFirstLink}
         onOpenLink={handleOpenFirstLink}
+        onTranslate={handleTranslateSelectedMessage}
+        onTogglePin={handleTogglePinSelectedMessage}
         onDelete={handleDeleteMessage}
         onReport={handleReportMessage}
         onMuteSender={handleMuteSender}
         canDelete={!internalDriverChat && isMessageOwnedByCurrentSession(selectedMessage, canonicalIdentity)}
+        canEdit={!internalDriverChat && canEditMessage(selectedMessage, [principalId])}
         canReport={Boolean(
           selectedMessage?.id
           && !selectedMessage?.deleted
@@ -4744,10 +5623,30 @@ export default function ChatScreen({
           && !isMessageOwnedByCurrentSession(selectedMessage, canonicalIdentity)
           && getMessageModerationSenderKey(selectedMessage)
         )}
+        canTranslate={Boolean(selectedMessage?.id && !selectedMessage?.deleted && selectedMessage?.text)}
+        translationShown={Boolean(
+          selectedMessage?.id
+          && messageTranslations[selectedMessage.id]?.status === 'ready'
+          && messageTranslations[selectedMessage.id].sourceText === selectedMessage.text
+          && !messageTranslations[selectedMessage.id].showOriginal
+          && !messageTranslations[selectedMessage.id].result?.unchanged
+        )}
+        canPin={canManagePins && Boolean(selectedMessage?.id && !selectedMessage?.deleted)}
+        isPinned={Boolean(selectedMessage?.id && pinnedMessageIds.has(selectedMessage.id))}
         allowReactions={!internalDriverChat}
         insets={insets}
       />
 
+      <PinnedMessagesSheet
+        visible={showPinnedSheet}
+        pins={visiblePinnedMessages}
+        canManage={canManagePins}
+        onClose={() => setShowPinnedSheet(false)}
+        onOpenPin={openPinnedMessage}
+        onUnpin={handleUnpinMessage}
+        insets={insets}
+      />
+
       <ReactionPicker
         visible={!internalDriverChat && showReactionPicker}
         onClose={() => {
@@ -5321,6 +6220,99 @@ const styles = StyleSheet.create({
   myMessageText: {
     color: COLORS.white,
   },
+  pollMessageBubble: {
+    minWidth: 240,
+  },
+  pollCard: {
+    marginTop: SPACING.sm,
+    gap: 6,
+  },
+  pollOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    minHeight: 40,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.white,
+    overflow: 'hidden',
+  },
+  myPollOption: {
+    borderColor: 'rgba(255, 255, 255, 0.35)',
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  },
+  pollOptionSelected: {
+    borderColor: COLORS.coralAccent,
+  },
+  pollOptionFill: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    backgroundColor: COLORS.surfaceSecondary,
+  },
+  myPollOptionFill: {
+    backgroundColor: 'rgba(255, 255, 255, 0.22)',
+  },
+  pollOptionLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: COLORS.darkText,
+    fontWeight: '500',
+  },
+  pollOptionLeading: {
+    fontWeight: '700',
+  },
+  pollOptionCount: {
+    fontSize: 13,
+    color: COLORS.secondaryText,
+    fontWeight: '600',
+  },
+  myPollText: {
+    color: COLORS.white,
+  },
+  pollMeta: {
+    fontSize: 12,
+    color: COLORS.secondaryText,
+  },
+  myPollMeta: {
+    color: COLORS.lightBlueAccent,
+  },
+  pollActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+  },
+  pollActionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: RADIUS.full,
+    backgroundColor: 'rgba(255, 255, 255, 0.18)',
+  },
+  pollActionText: {
+    fontSize: 12,
+    color: COLORS.white,
+    fontWeight: '600',
+  },
+  translationNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 4,
+  },
+  translationNoteText: {
+    fontSize: 12,
+    color: COLORS.secondaryText,
+  },
+  myTranslationNoteText: {
+    color: COLORS.lightBlueAccent,
+  },
   messageFooter: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -6094,6 +7086,141 @@ const styles = StyleSheet.create({
     fontWeight: '500',
   },
 
+  pinnedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.white,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+    paddingHorizontal: SPACING.md,
+  },
+  pinnedBannerMain: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    paddingVertical: SPACING.sm,
+  },
+  pinnedBannerBody: {
+    flex: 1,
+  },
+  pinnedBannerLabel: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: COLORS.coralAccent,
+  },
+  pinnedBannerPreview: {
+    fontSize: 14,
+    color: COLORS.darkText,
+  },
+  pinnedBannerListButton: {
+    padding: SPACING.sm,
+  },
+  pinnedSheetTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: COLORS.darkText,
+    marginBottom: SPACING.sm,
+  },
+  pinnedSheetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: RADIUS.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.surfaceSecondary,
+    marginBottom: SPACING.sm,
+  },
+  pinnedSheetRowMain: {
+    flex: 1,
+    padding: SPACING.md,
+    gap: 2,
+  },
+  pinnedSheetMeta: {
+    fontSize: 12,
+    color: COLORS.secondaryText,
+  },
+  pinnedSheetUnpin: {
+    padding: SPACING.md,
+  },
+  pollComposerKeyboard: {
+    flex: 1,
+  },
+  pollComposerTitle: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: COLORS.darkText,
+    marginBottom: SPACING.sm,
+  },
+  pollComposerInput: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: RADIUS.md,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: COLORS.darkText,
+    backgroundColor: COLORS.inputBackground,
+    marginBottom: SPACING.sm,
+  },
+  pollComposerOptionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+  },
+  pollComposerOptionInput: {
+    flex: 1,
+  },
+  pollComposerRemove: {
+    padding: 6,
+    marginBottom: SPACING.sm,
+  },
+  pollComposerAdd: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: SPACING.sm,
+  },
+  pollComposerAddText: {
+    fontSize: 15,
+    color: COLORS.primaryBlue,
+    fontWeight: '600',
+  },
+  pollComposerHint: {
+    fontSize: 13,
+    color: THEME.error,
+    marginBottom: SPACING.sm,
+  },
+  pollComposerActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: SPACING.sm,
+    marginTop: SPACING.sm,
+  },
+  pollComposerButton: {
+    minWidth: 96,
+    alignItems: 'center',
+    paddingHorizontal: SPACING.md,
+    paddingVertical: 10,
+    borderRadius: RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  pollComposerButtonPrimary: {
+    backgroundColor: COLORS.primaryBlue,
+    borderColor: COLORS.primaryBlue,
+  },
+  pollComposerButtonText: {
+    fontSize: 15,
+    color: COLORS.darkText,
+    fontWeight: '600',
+  },
+  pollComposerButtonPrimaryText: {
+    fontSize: 15,
+    color: COLORS.white,
+    fontWeight: '700',
+  },
+
   // Image Viewer
   imageViewerOverlay: {
     flex: 1,
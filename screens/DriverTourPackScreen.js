@@ -13,6 +13,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
 import { COLORS } from '../theme';
 import driverManifestCacheService from '../services/driverManifestCacheService';
+import CareProfileNotes from '../components/CareProfileNotes';
 import { getTourManifest } from '../services/bookingServiceRealtime';
 import { normalizeTourId, resolveTourId } from '../services/tourIdentityService';
 const { commandCentreModel } = require('../services/driverTourPackCommandCentre');
@@ -36,6 +37,11 @@ const SEAT_COLOURS = Object.freeze({
   Unmatched: '#7C3AED',
   Conflict: '#DC2626',
 });
+const GEOFENCE_MODE_OPTIONS = Object.freeze([
+  ['off', 'Off', 'map-marker-off-outline'],
+  ['propose', 'Ask me', 'map-marker-question-outline'],
+  ['auto', 'Automatic', 'map-marker-check-outline'],
+]);
 const PACK_STATE = Object.freeze({
   ready: { label: 'Ready offline', detail: 'A validated copy is stored on this device.' },
   stale: { label: 'Stale pack', detail: 'Use with care and ask dispatch to confirm recent changes.' },
@@ -125,6 +131,35 @@ function ProgressText({ progress }) {
   );
 }
 
+function GeofenceBanner({ geofenceState, disabled, onConfirm, onUndo }) {
+  const proposal = geofenceState?.proposal;
+  const undo = geofenceState?.undo;
+  if (proposal) {
+    return (
+      <View style={[styles.actionFeedback, styles.warning]} accessibilityRole="alert" accessibilityLiveRegion="polite">
+        <Text style={styles.warningText}>
+          {proposal.state === 'ARRIVED'
+            ? `You appear to be at ${proposal.name}. Mark the stop arrived?`
+            : `You appear to have left ${proposal.name}. Mark the stop complete?`}
+        </Text>
+        <View style={styles.row}>
+          <ActionButton icon="check" label={proposal.state === 'ARRIVED' ? 'Confirm arrival' : 'Confirm completion'} disabled={disabled} onPress={onConfirm} />
+          <ActionButton icon="close" label="Not yet" onPress={geofenceState.dismissProposal} />
+        </View>
+      </View>
+    );
+  }
+  if (undo) {
+    return (
+      <View style={[styles.actionFeedback, styles.ok]} accessibilityLiveRegion="polite">
+        <Text style={styles.feedback}>{undo.name} marked {undo.state.toLowerCase()} automatically.</Text>
+        <ActionButton icon="undo" label="Undo" disabled={disabled} onPress={onUndo} />
+      </View>
+    );
+  }
+  return null;
+}
+
 function StateControls({ current = 'PENDING', values, onChange, disabled = false, label }) {
   return (
     <View style={styles.row} accessibilityLabel={`${label} progress controls`}>
@@ -142,7 +177,7 @@ function StateControls({ current = 'PENDING', values, onChange, disabled = false
   );
 }
 
-export default function DriverTourPackScreen({ packState, actionState, isConnected, tourData, driverData, onBack, onNavigate }) {
+export default function DriverTourPackScreen({ packState, actionState, geofenceState, isConnected, tourData, driverData, onBack, onNavigate }) {
   const [tab, setTab] = useState('Overview');
   const [seatView, setSeatView] = useState('visual');
   const [manifest, setManifest] = useState(null);
@@ -199,6 +234,9 @@ export default function DriverTourPackScreen({ packState, actionState, isConnect
   const actions = actionState?.actions || {};
   const change = actionState?.change?.revision === pack?.revision ? actionState.change : null;
   const changedSectionText = change?.changedSections?.map((section) => CHANGE_SECTION_LABELS[section] || section).join(', ') || '';
+  // Consented medical and accessibility profiles come with the manifest only;
+  // the published pack never carries them.
+  const careBookings = (manifest?.bookings || []).filter((booking) => booking.careProfiles?.length);
   const submittedIssues = recordValues(actions.issues).sort((left, right) => Number(right.createdAtMs || 0) - Number(left.createdAtMs || 0));
   const runAction = async (key, operation, successMessage) => {
     if (workingKey) return;
@@ -330,6 +368,17 @@ export default function DriverTourPackScreen({ packState, actionState, isConnect
             <ActionButton key={value} icon="tag-outline" label={label} selected={issueCategory === value} onPress={() => setIssueCategory(value)} />
           ))}
         </View>
+        {issueCategory === 'accessibility' ? (
+          careBookings.length ? (
+            <>
+              <Text style={styles.fieldLabel}>Needs passengers shared with you</Text>
+              {careBookings.map((booking) => (
+                <CareProfileNotes key={booking.id} profiles={booking.careProfiles} fallbackName={booking.passengerNames[0]} />
+              ))}
+              <Text style={styles.muted}>Shared for this tour only. Keep these details out of the issue summary.</Text>
+            </>
+          ) : <EmptyMessage>No passenger has shared mobility or medical needs for this departure.</EmptyMessage>
+        ) : null}
         <Text style={styles.fieldLabel}>Priority</Text>
         <View style={styles.row}>
           {ISSUE_SEVERITIES.map(([value, label]) => (
@@ -372,6 +421,23 @@ export default function DriverTourPackScreen({ packState, actionState, isConnect
 
   const run = (
     <>
+      {geofenceState ? (
+        <Section title="Arrival detection">
+          {geofenceState.available ? (
+            <>
+              <Text style={styles.muted}>
+                Uses this phone&apos;s location while the app is open. Ask me proposes arrived and complete; Automatic applies them with a short undo.
+              </Text>
+              <View style={styles.row} accessibilityLabel="Arrival detection mode">
+                {GEOFENCE_MODE_OPTIONS.map(([value, label, icon]) => (
+                  <ActionButton key={value} icon={icon} label={label} selected={geofenceState.mode === value} onPress={() => geofenceState.setMode(value)} />
+                ))}
+              </View>
+              {geofenceState.error ? <Text style={styles.criticalText}>{geofenceState.error}</Text> : null}
+            </>
+          ) : <EmptyMessage>Published pickups have no map positions. Use the manual controls below.</EmptyMessage>}
+        </Section>
+      ) : null}
       <Section title="Ordered pickup run">
         {model.pickups.length ? model.pickups.map(({ pickup, progress }, index) => (
           <View key={pickup.pickupId} style={styles.card}>
@@ -578,6 +644,20 @@ export default function DriverTourPackScreen({ packState, actionState, isConnect
           <Text style={styles.criticalText}>{actionState.error}</Text>
         </View>
       ) : null}
+      <GeofenceBanner
+        geofenceState={geofenceState}
+        disabled={Boolean(workingKey)}
+        onConfirm={() => runAction(
+          `pickup:${geofenceState.proposal.pickupId}`,
+          geofenceState.confirmProposal,
+          `${geofenceState.proposal.name} marked ${geofenceState.proposal.state.toLowerCase()}.`,
+        )}
+        onUndo={() => runAction(
+          `pickup:${geofenceState.undo.pickupId}`,
+          geofenceState.undoLast,
+          `${geofenceState.undo.name} restored to ${geofenceState.undo.previousState.toLowerCase()}.`,
+        )}
+      />
       <ScrollView contentContainerStyle={styles.content}>{contents[tab]}</ScrollView>
     </SafeAreaView>
   );
@@ -1,12 +1,13 @@
 // screens/GroupPhotobookScreen.js
-// Enhanced group photobook with contributor info, date grouping, and premium viewing experience
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+// Enhanced group photobook with contributor info, tour-day grouping, and premium viewing experience
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   StyleSheet,
   Text,
   View,
   TouchableOpacity,
   SectionList,
+  ScrollView,
   Platform,
   ActivityIndicator,
   Alert,
@@ -24,19 +25,35 @@ import * as ImagePicker from 'expo-image-picker';
 import * as offlineSyncService from '../services/offlineSyncService';
 import * as photoService from '../services/photoService';
 import {
+  FACE_BLUR_REPORT_REASON,
   checkTextForObjectionableContent,
   createContentReport,
 } from '../services/contentModerationService';
 import { createPersistenceProvider } from '../services/persistenceProvider';
 import { optimizeSourcePhotoForUpload, formatBytes } from '../services/imageOptimizationService';
+import { renderBlurredPhoto } from '../services/photoBlurService';
+import { getPhotoCaptureTimeMs } from '../utils/photoCaptureMetadata';
+import { MAX_VIDEO_CLIP_DURATION_MS, checkVideoClipAsset } from '../utils/videoClipLimits';
 import ImageViewer from '../components/ImageViewer';
 import GalleryPhotoTile from '../components/GalleryPhotoTile';
+import PhotoBlurEditor from '../components/PhotoBlurEditor';
 import { usePhotoGalleryData } from '../hooks/usePhotoGalleryData';
 import { usePhotoThumbnailPrefetch } from '../hooks/usePhotoThumbnailPrefetch';
 import { auth } from '../firebase';
 import { getCanonicalIdentity } from '../services/identityService';
 import logger, { maskIdentifier } from '../services/loggerService';
 import { parseTimestampMs } from '../services/timeUtils';
+import { getIncludePhotoLocation } from '../services/photoLocationPreferenceService';
+import { getTourDayContext, parseSupportedStartDate } from '../services/itineraryDateParser';
+import { buildItineraryItems } from '../utils/itineraryPresentation';
+import {
+  PHOTOBOOK_SECTION_KINDS,
+  buildDayScrubberItems,
+  buildPhotobookDaySections,
+  shouldLoadMoreForDay,
+} from '../utils/photobookDaySections';
+import { countPhotoLikes, isPhotoLikedBy } from '../utils/photoHighlights';
+import { collapsePhotoStacks, isPhotoBlurry } from '../utils/photoStacks';
 import { COLORS, SPACING, RADIUS, SHADOWS } from '../theme';
 
 const formatPhotoDate = (timestamp, options) => {
@@ -46,9 +63,37 @@ const formatPhotoDate = (timestamp, options) => {
     : null;
 };
 
-const getPhotoTimestampMs = (photo) => {
-  const parsedMs = parseTimestampMs(photo?.timestamp);
-  return Number.isFinite(parsedMs) ? parsedMs : 0;
+// Capture time first, so photos queued offline sort where they were taken.
+const getPhotoTimestampMs = (photo) => getPhotoCaptureTimeMs(photo) || 0;
+
+const MAX_HEADER_STOPS = 3;
+
+const getSectionTitle = (section) => {
+  switch (section.kind) {
+    case PHOTOBOOK_SECTION_KINDS.DAY:
+      return `Day ${section.dayNumber}`;
+    case PHOTOBOOK_SECTION_KINDS.BEFORE_TOUR:
+      return 'Before the tour';
+    case PHOTOBOOK_SECTION_KINDS.AFTER_TOUR:
+      return 'After the tour';
+    case PHOTOBOOK_SECTION_KINDS.DATE:
+      return formatPhotoDate(section.dateMs, { weekday: 'long', month: 'long', day: 'numeric' }) || 'Unknown Date';
+    default:
+      return 'Unknown Date';
+  }
+};
+
+const getScrubberLabel = (item) => {
+  switch (item.kind) {
+    case PHOTOBOOK_SECTION_KINDS.DAY:
+      return `Day ${item.dayNumber}`;
+    case PHOTOBOOK_SECTION_KINDS.BEFORE_TOUR:
+      return 'Before';
+    case PHOTOBOOK_SECTION_KINDS.AFTER_TOUR:
+      return 'After';
+    default:
+      return formatPhotoDate(item.dateMs, { day: 'numeric', month: 'short' }) || 'Unknown';
+  }
 };
 
 const parseModerationMap = (value) => {
@@ -74,11 +119,26 @@ export default function GroupPhotobookScreen({
   userName,
   canonicalIdentity: canonicalIdentityProp = null,
   onViewerVisibilityChange = null,
+  tourData = null,
 }) {
   const [photoQueueItems, setPhotoQueueItems] = useState([]);
   const [sortMode, setSortMode] = useState('newest');
   const [mineOnly, setMineOnly] = useState(false);
+  const [favouritesOnly, setFavouritesOnly] = useState(false);
+  const [blurryOnly, setBlurryOnly] = useState(false);
+  const [expandedStackKeys, setExpandedStackKeys] = useState({});
+  const [pruningBlurry, setPruningBlurry] = useState(false);
+  // Paged-in older photos sit outside the live window, so the viewer's own
+  // hearts are applied locally until the next snapshot or refresh.
+  const [likeOverrides, setLikeOverrides] = useState({});
   const [hiddenPhotoIds, setHiddenPhotoIds] = useState({});
+  const [collapsedSectionKeys, setCollapsedSectionKeys] = useState({});
+  const [pendingJumpKey, setPendingJumpKey] = useState(null);
+  const sectionListRef = useRef(null);
+  const lastJumpSectionIndexRef = useRef(null);
+  const jumpLoadedCountRef = useRef(null);
+  const tourStartDate = tourData?.startDate || null;
+  const itineraryDays = tourData?.itinerary?.days;
 
   // Image viewer state
   const [viewerVisible, setViewerVisible] = useState(false);
@@ -111,7 +171,13 @@ export default function GroupPhotobookScreen({
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [pendingImage, setPendingImage] = useState(null);
   const [caption, setCaption] = useState('');
+  const [selectedStopId, setSelectedStopId] = useState(null);
   const [uploading, setUploading] = useState(false);
+  // The blurred copy replaces the picked photo for the upload; the original
+  // stays on the device so the marks can be changed before sharing.
+  const [blurredPhoto, setBlurredPhoto] = useState(null);
+  const [blurEditorVisible, setBlurEditorVisible] = useState(false);
+  const [blurring, setBlurring] = useState(false);
 
   const currentUser = auth.currentUser;
   const canonicalIdentity = useMemo(
@@ -189,6 +255,7 @@ export default function GroupPhotobookScreen({
     loading: loadingPhotos,
     refreshing,
     loadingMore,
+    hasMore,
     refresh: refreshPhotos,
     loadMore,
   } = usePhotoGalleryData({
@@ -241,57 +308,115 @@ export default function GroupPhotobookScreen({
   }, [tourId]);
 
   const visiblePhotos = useMemo(() => {
-    const unhidden = photos.filter((photo) => !photo?.id || hiddenPhotoIds[photo.id] !== true);
-    const scoped = mineOnly ? unhidden.filter((photo) => photo.userId === principalId) : unhidden;
+    const unhidden = photos
+      .filter((photo) => !photo?.id || hiddenPhotoIds[photo.id] !== true)
+      .map((photo) => {
+        const liked = likeOverrides[photo?.id];
+        if (liked === undefined || liked === isPhotoLikedBy(photo, principalId)) return photo;
+        const likes = { ...(photo.likes || {}) };
+        if (liked) likes[principalId] = true;
+        else delete likes[principalId];
+        return { ...photo, likes, likeCount: countPhotoLikes(likes) };
+      });
+    const scoped = unhidden.filter((photo) => (
+      (!mineOnly || photo.userId === principalId)
+      && (!favouritesOnly || isPhotoLikedBy(photo, principalId))
+      && (!blurryOnly || (photo.userId === principalId && isPhotoBlurry(photo)))
+    ));
     return [...scoped].sort((a, b) => {
       const aTs = getPhotoTimestampMs(a);
       const bTs = getPhotoTimestampMs(b);
       return sortMode === 'oldest' ? aTs - bTs : bTs - aTs;
     });
-  }, [photos, hiddenPhotoIds, mineOnly, sortMode, principalId]);
+  }, [photos, hiddenPhotoIds, likeOverrides, mineOnly, favouritesOnly, blurryOnly, sortMode, principalId]);
 
-  const gallerySections = useMemo(() => {
-    const grouped = new Map();
+  // Only the uploader is offered the prune, and only for their own frames.
+  const myBlurryPhotos = useMemo(() => photos.filter((photo) => (
+    photo?.id
+    && hiddenPhotoIds[photo.id] !== true
+    && photo.userId === principalId
+    && isPhotoBlurry(photo)
+  )), [hiddenPhotoIds, photos, principalId]);
 
-    visiblePhotos.forEach((photo) => {
-      const date = formatPhotoDate(photo.timestamp, {
-        weekday: 'long',
-        month: 'long',
-        day: 'numeric',
-      })
-        || 'Unknown Date';
+  useEffect(() => {
+    if (blurryOnly && myBlurryPhotos.length === 0) setBlurryOnly(false);
+  }, [blurryOnly, myBlurryPhotos.length]);
+
+  // Burst shots collapse behind their sharpest frame until tapped open. The
+  // blurry review lists every frame, so nothing hides behind a cover there.
+  const stackedPhotos = useMemo(
+    () => (blurryOnly ? visiblePhotos : collapsePhotoStacks(visiblePhotos, expandedStackKeys)),
+    [blurryOnly, expandedStackKeys, visiblePhotos]
+  );
 
-      if (!grouped.has(date)) {
-        grouped.set(date, []);
-      }
-      grouped.get(date).push(photo);
-    });
+  const toggleStackExpanded = useCallback((stackKey) => {
+    setExpandedStackKeys((current) => ({ ...current, [stackKey]: current[stackKey] !== true }));
+  }, []);
+
+  useEffect(() => {
+    setCollapsedSectionKeys({});
+    setExpandedStackKeys({});
+    setPendingJumpKey(null);
+  }, [tourId]);
 
-    return Array.from(grouped.entries()).map(([title, sectionPhotos], sectionIndex) => {
-      const rows = [];
-      for (let i = 0; i < sectionPhotos.length; i += 3) {
+  const daySections = useMemo(() => buildPhotobookDaySections({
+    photos: stackedPhotos,
+    startDate: tourStartDate,
+    itineraryDays,
+    sortMode,
+  }), [itineraryDays, sortMode, stackedPhotos, tourStartDate]);
+
+  const tourStartDay = useMemo(() => parseSupportedStartDate(tourStartDate), [tourStartDate]);
+
+  const gallerySections = useMemo(() => daySections.map((section, sectionIndex) => {
+    const collapsed = collapsedSectionKeys[section.key] === true;
+    const rows = [];
+    if (!collapsed) {
+      for (let i = 0; i < section.photos.length; i += 3) {
         rows.push(
-          sectionPhotos.slice(i, i + 3).map((photo, offset) => ({
+          section.photos.slice(i, i + 3).map((photo, offset) => ({
             photo,
             photoIndexInSection: i + offset,
           }))
         );
       }
+    }
 
-      return {
-        title,
-        sectionIndex,
-        photos: sectionPhotos,
-        data: rows,
-      };
-    });
-  }, [visiblePhotos]);
+    let subtitle = null;
+    if (section.kind === PHOTOBOOK_SECTION_KINDS.DAY && tourStartDay) {
+      const dayDate = new Date(tourStartDay);
+      dayDate.setDate(tourStartDay.getDate() + section.dayNumber - 1);
+      subtitle = formatPhotoDate(dayDate.getTime(), { weekday: 'short', day: 'numeric', month: 'short' });
+    }
+
+    return {
+      ...section,
+      title: getSectionTitle(section),
+      subtitle,
+      collapsed,
+      sectionIndex,
+      data: rows,
+    };
+  }), [collapsedSectionKeys, daySections, tourStartDay]);
+
+  const scrubberItems = useMemo(() => buildDayScrubberItems({
+    sections: daySections,
+    startDate: tourStartDate,
+    itineraryDays,
+    sortMode,
+  }), [daySections, itineraryDays, sortMode, tourStartDate]);
+
+  // The viewer pages through photos in the same order as the day sections.
+  const viewerPhotos = useMemo(
+    () => daySections.flatMap((section) => section.photos),
+    [daySections]
+  );
 
   const viewerFlatIndexMap = useMemo(() => {
     const indexMap = {};
     let flatIndex = 0;
 
-    gallerySections.forEach((section, groupIndex) => {
+    daySections.forEach((section, groupIndex) => {
       section.photos.forEach((_, photoIndexInGroup) => {
         indexMap[`${groupIndex}:${photoIndexInGroup}`] = flatIndex;
         flatIndex += 1;
@@ -299,7 +424,116 @@ export default function GroupPhotobookScreen({
     });
 
     return indexMap;
-  }, [gallerySections]);
+  }, [daySections]);
+
+  const toggleSectionCollapsed = useCallback((sectionKey) => {
+    setCollapsedSectionKeys((prev) => {
+      const nextCollapsed = prev[sectionKey] !== true;
+      logger.debug('GroupPhotobook', 'Day section toggled', { tourId, sectionKey, collapsed: nextCollapsed });
+      const next = { ...prev };
+      if (nextCollapsed) {
+        next[sectionKey] = true;
+      } else {
+        delete next[sectionKey];
+      }
+      return next;
+    });
+  }, [tourId]);
+
+  const jumpToSection = useCallback((sectionKey) => {
+    logger.info('GroupPhotobook', 'Jump to day requested', { tourId, sectionKey });
+    setCollapsedSectionKeys((prev) => {
+      if (prev[sectionKey] !== true) return prev;
+      const next = { ...prev };
+      delete next[sectionKey];
+      return next;
+    });
+    jumpLoadedCountRef.current = null;
+    setPendingJumpKey(sectionKey);
+  }, [tourId]);
+
+  // Resolve a pending jump once the day is loaded, paging older photos in
+  // through the gallery pagination until the day appears or cannot exist.
+  useEffect(() => {
+    if (!pendingJumpKey || loadingPhotos) return;
+
+    const sectionIndex = gallerySections.findIndex((section) => section.key === pendingJumpKey);
+    if (sectionIndex >= 0) {
+      setPendingJumpKey(null);
+      jumpLoadedCountRef.current = null;
+      lastJumpSectionIndexRef.current = sectionIndex;
+      sectionListRef.current?.scrollToLocation({
+        sectionIndex,
+        itemIndex: 0,
+        viewPosition: 0,
+        animated: true,
+      });
+      return;
+    }
+
+    if (loadingMore) return;
+
+    // A page that brought nothing new (for example a failed request) ends the jump.
+    const madeProgress = jumpLoadedCountRef.current === null || photos.length > jumpLoadedCountRef.current;
+    if (madeProgress && shouldLoadMoreForDay({
+      targetKey: pendingJumpKey,
+      photos,
+      startDate: tourStartDate,
+      itineraryDays,
+      hasMore,
+    })) {
+      logger.debug('GroupPhotobook', 'Jump to day loading older photos', {
+        tourId,
+        sectionKey: pendingJumpKey,
+        loadedCount: photos.length,
+      });
+      jumpLoadedCountRef.current = photos.length;
+      loadMore();
+      return;
+    }
+
+    logger.info('GroupPhotobook', 'Jump to day found no photos', { tourId, sectionKey: pendingJumpKey });
+    jumpLoadedCountRef.current = null;
+    setPendingJumpKey(null);
+    Alert.alert('No photos yet', 'Nobody has shared photos from this day yet.');
+  }, [
+    gallerySections,
+    hasMore,
+    itineraryDays,
+    loadMore,
+    loadingMore,
+    loadingPhotos,
+    pendingJumpKey,
+    photos,
+    tourId,
+    tourStartDate,
+  ]);
+
+  // Rows are not measured up front, so a far jump first scrolls to an
+  // estimated offset and retries once the target has rendered.
+  const handleScrollToIndexFailed = useCallback((info) => {
+    const sectionIndex = lastJumpSectionIndexRef.current;
+    if (!Number.isInteger(sectionIndex)) return;
+    const estimatedOffset = Math.max(0, (info?.averageItemLength || 0) * (info?.index || 0));
+    sectionListRef.current?.getScrollResponder?.()?.scrollTo?.({ y: estimatedOffset, animated: false });
+    setTimeout(() => {
+      if (lastJumpSectionIndexRef.current !== sectionIndex) return;
+      lastJumpSectionIndexRef.current = null;
+      sectionListRef.current?.scrollToLocation({ sectionIndex, itemIndex: 0, viewPosition: 0, animated: true });
+    }, 150);
+  }, []);
+
+  // Stops are offered only for today's itinerary day, resolved when the upload sheet opens.
+  const todaysStops = useMemo(() => {
+    if (!showUploadModal) return null;
+    const context = getTourDayContext({
+      startDate: tourStartDate,
+      itineraryDays: Array.isArray(itineraryDays) ? itineraryDays : [],
+    });
+    if (context.status !== 'ACTIVE') return null;
+    const items = buildItineraryItems(context.data?.content || '');
+    return items.length > 0 ? { dayNumber: context.dayNumber, items } : null;
+  }, [itineraryDays, showUploadModal, tourStartDate]);
 
   // Stats
   const totalPhotos = visiblePhotos.length;
@@ -333,18 +567,38 @@ export default function GroupPhotobookScreen({
     return true;
   };
 
+  // The gallery picker cannot cap clip length on Android, so every clip is
+  // checked here before it reaches the upload sheet.
+  const acceptPickedAsset = (asset) => {
+    if (asset?.type !== 'video') return true;
+    const check = checkVideoClipAsset(asset);
+    if (!check.ok) {
+      logger.info('GroupPhotobook', 'Video clip rejected before upload', {
+        tourId,
+        durationMs: typeof asset.duration === 'number' ? asset.duration : null,
+        fileSize: typeof asset.fileSize === 'number' ? asset.fileSize : null,
+      });
+      Alert.alert('Clip not added', check.error);
+      return false;
+    }
+    return true;
+  };
+
   const handleTakePhoto = async () => {
     logger.info('GroupPhotobook', 'Take photo flow started', { tourId });
     const hasPermission = await requestCameraPermission();
     if (!hasPermission) return;
 
     const result = await ImagePicker.launchCameraAsync({
-      mediaTypes: ['images'],
+      mediaTypes: ['images', 'videos'],
       allowsEditing: false,
       quality: 0.8,
+      exif: true,
+      videoMaxDuration: MAX_VIDEO_CLIP_DURATION_MS / 1000,
     });
 
     if (!result.canceled && result.assets?.[0]) {
+      if (!acceptPickedAsset(result.assets[0])) return;
       setPendingImage(result.assets[0]);
       setShowUploadModal(true);
       logger.info('GroupPhotobook', 'Camera image selected', {
@@ -365,12 +619,15 @@ export default function GroupPhotobookScreen({
     if (!hasPermission) return;
 
     const result = await ImagePicker.launchImageLibraryAsync({
-      mediaTypes: ['images'],
+      mediaTypes: ['images', 'videos'],
       allowsEditing: false,
       quality: 0.8,
+      exif: true,
+      videoMaxDuration: MAX_VIDEO_CLIP_DURATION_MS / 1000,
     });
 
     if (!result.canceled && result.assets?.[0]) {
+      if (!acceptPickedAsset(result.assets[0])) return;
       setPendingImage(result.assets[0]);
       setShowUploadModal(true);
       logger.info('GroupPhotobook', 'Gallery image selected', {
@@ -395,9 +652,9 @@ export default function GroupPhotobookScreen({
     });
     Alert.alert(
       'Share Photo',
-      'Add a photo for everyone to enjoy',
+      `Add a photo or a clip of up to ${MAX_VIDEO_CLIP_DURATION_MS / 1000} seconds for everyone to enjoy`,
       [
-        { text: 'Take Photo', onPress: handleTakePhoto },
+        { text: 'Take Photo or Clip', onPress: handleTakePhoto },
         { text: 'Choose from Gallery', onPress: handlePickFromGallery },
         { text: 'Cancel', style: 'cancel' },
       ]
@@ -416,6 +673,7 @@ export default function GroupPhotobookScreen({
       return;
     }
 
+    const selectedStop = todaysStops?.items.find((item) => item.id === selectedStopId) || null;
     const moderationResult = checkTextForObjectionableContent(caption);
     if (!moderationResult.allowed) {
       Alert.alert('Caption needs editing', moderationResult.message);
@@ -429,8 +687,22 @@ export default function GroupPhotobookScreen({
         userId: maskIdentifier(principalId),
         hasCaption: Boolean(caption.trim()),
         captionLength: caption.trim().length,
+        hasItineraryStop: Boolean(selectedStop),
       });
-      const optimized = await optimizeSourcePhotoForUpload(pendingImage);
+      // Clips go up as recorded; only photos are re-encoded on the device.
+      const clip = pendingImage.type === 'video' ? checkVideoClipAsset(pendingImage) : null;
+      if (clip && !clip.ok) {
+        Alert.alert('Clip not added', clip.error);
+        return;
+      }
+      const includeLocation = await getIncludePhotoLocation(auth?.currentUser?.uid);
+      // EXIF still comes from the picked asset; the blurred copy has none.
+      const sourceAsset = blurredPhoto && !clip
+        ? { ...pendingImage, uri: blurredPhoto.uri, width: blurredPhoto.width, height: blurredPhoto.height, fileSize: undefined }
+        : pendingImage;
+      const optimized = clip
+        ? { uploadUri: pendingImage.uri, metrics: null, capture: null }
+        : await optimizeSourcePhotoForUpload(sourceAsset, { includeLocation });
       const createdAt = new Date().toISOString();
       const jobId = `photo_upload_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
       const idempotencyKey = makePhotoIdempotencyKey({
@@ -462,11 +734,21 @@ export default function GroupPhotobookScreen({
           uploaderName: userName || 'Tour Member',
           localAssets: {
             sourceUri: optimized.uploadUri,
-            previewUri: pendingImage.uri,
+            previewUri: sourceAsset.uri,
             optimizationMetrics: optimized.metrics || null,
           },
           metadata: {
             caption: caption.trim(),
+            capturedAt: optimized.capture?.capturedAt ?? null,
+            captureLocation: optimized.capture?.captureLocation ?? null,
+            ...(clip ? { mediaType: 'video', durationMs: clip.durationMs } : {}),
+            ...(selectedStop ? {
+              itineraryStop: {
+                dayNumber: todaysStops.dayNumber,
+                stopId: selectedStop.id,
+                label: selectedStop.text,
+              },
+            } : {}),
           },
           attemptCount: 0,
           lastError: null,
@@ -485,13 +767,16 @@ export default function GroupPhotobookScreen({
         tourId,
         jobId,
         optimized: Boolean(optimized.metrics),
+        blurRegionCount: blurredPhoto?.regions?.length || 0,
         originalSizeBytes: optimized.metrics?.originalSizeBytes || null,
         optimizedSizeBytes: optimized.metrics?.optimizedSizeBytes || null,
       });
 
       setShowUploadModal(false);
       setPendingImage(null);
+      setBlurredPhoto(null);
       setCaption('');
+      setSelectedStopId(null);
       offlineSyncService.replayQueue({ services: { photoService } }).then((result) => {
         logger.info('GroupPhotobook', 'Group photo replay requested after enqueue completed', {
           tourId,
@@ -560,6 +845,35 @@ export default function GroupPhotobookScreen({
     setPhotoQueueItems((items) => items.filter((item) => item.id !== pending.id));
   };
 
+  const applyPhotoBlur = async (regions) => {
+    if (!pendingImage?.uri || blurring) return;
+    if (regions.length === 0) {
+      setBlurredPhoto(null);
+      setBlurEditorVisible(false);
+      return;
+    }
+
+    setBlurring(true);
+    try {
+      const blurred = await renderBlurredPhoto(pendingImage, regions);
+      setBlurredPhoto({ ...blurred, regions });
+      setBlurEditorVisible(false);
+      logger.info('GroupPhotobook', 'Photo blurred before upload', {
+        tourId,
+        regionCount: regions.length,
+      });
+    } catch (error) {
+      logger.warn('GroupPhotobook', 'Photo blur failed', {
+        tourId,
+        regionCount: regions.length,
+        error: error?.message || String(error),
+      });
+      Alert.alert('Blur failed', 'Could not blur this photo. Please try again.');
+    } finally {
+      setBlurring(false);
+    }
+  };
+
   const cancelUpload = () => {
     if (uploading) return;
     logger.info('GroupPhotobook', 'Upload modal cancelled', {
@@ -569,7 +883,9 @@ export default function GroupPhotobookScreen({
     });
     setShowUploadModal(false);
     setPendingImage(null);
+    setBlurredPhoto(null);
     setCaption('');
+    setSelectedStopId(null);
   };
 
   const openViewer = useCallback((groupIndex, photoIndexInGroup) => {
@@ -580,11 +896,11 @@ export default function GroupPhotobookScreen({
       groupIndex,
       photoIndexInGroup,
       flatIndex,
-      visiblePhotoCount: visiblePhotos.length,
+      visiblePhotoCount: viewerPhotos.length,
     });
     setViewerIndex(flatIndex);
     setViewerVisible(true);
-  }, [tourId, viewerFlatIndexMap, visiblePhotos.length]);
+  }, [tourId, viewerFlatIndexMap, viewerPhotos.length]);
 
   const onViewableItemsChanged = useCallback(({ viewableItems }) => {
     const viewablePhotos = [];
@@ -597,6 +913,26 @@ export default function GroupPhotobookScreen({
     prefetchVisibleThumbnails(viewablePhotos);
   }, [prefetchVisibleThumbnails]);
 
+  const renderPendingProgress = (item) => {
+    const progress = item.status === 'uploading' ? offlineSyncService.getPhotoUploadProgress(item) : null;
+    if (progress === null) {
+      return <Text style={styles.pendingProgressText}>{item.status}</Text>;
+    }
+    const percent = Math.round(progress * 100);
+    return (
+      <>
+        <Text style={styles.pendingProgressText}>{`${percent}%`}</Text>
+        <View
+          style={styles.pendingProgressTrack}
+          accessibilityRole="progressbar"
+          accessibilityValue={{ min: 0, max: 100, now: percent }}
+        >
+          <View style={[styles.pendingProgressFill, { width: `${percent}%` }]} />
+        </View>
+      </>
+    );
+  };
+
   const renderPendingUploads = () => {
     if (photoQueueItems.length === 0) return null;
 
@@ -606,12 +942,18 @@ export default function GroupPhotobookScreen({
         <View style={styles.grid}>
           {photoQueueItems.map((item) => (
             <View key={item.id} style={styles.imageTouchable}>
-              <ExpoImage
-                source={{ uri: item?.payload?.localAssets?.previewUri || item?.payload?.localAssets?.sourceUri }}
-                style={styles.imageThumbnail}
-                contentFit="cover"
-                cachePolicy="memory-disk"
-              />
+              {item?.payload?.metadata?.mediaType === 'video' ? (
+                <View style={[styles.imageThumbnail, styles.clipPlaceholder]}>
+                  <MaterialCommunityIcons name="video-outline" size={24} color={COLORS.textMuted} />
+                </View>
+              ) : (
+                <ExpoImage
+                  source={{ uri: item?.payload?.localAssets?.previewUri || item?.payload?.localAssets?.sourceUri }}
+                  style={styles.imageThumbnail}
+                  contentFit="cover"
+                  cachePolicy="memory-disk"
+                />
+              )}
               <View style={styles.pendingOverlay}>
                 {item.status === 'failed' ? (
                   <>
@@ -636,7 +978,7 @@ export default function GroupPhotobookScreen({
                     </View>
                   </>
                 ) : (
-                  <Text style={styles.pendingProgressText}>{item.status}</Text>
+                  renderPendingProgress(item)
                 )}
               </View>
             </View>
@@ -716,7 +1058,7 @@ export default function GroupPhotobookScreen({
     }
   };
 
-  const handleReportPhoto = useCallback(async (photo, reason) => {
+  const handleReportPhoto = useCallback(async (photo, reason, { blurRegions = null } = {}) => {
     if (!photo?.id) {
       return { success: false, error: 'Photo unavailable' };
     }
@@ -733,10 +1075,12 @@ export default function GroupPhotobookScreen({
       contentOwnerName: photo.uploaderName || 'Tour member',
       contentPreview: photo.caption || 'Group photo',
       sourcePath: `group_tour_photos/${tourId}/${photo.id}`,
+      blurRegions,
     });
 
     if (reportResult.success) {
-      hidePhotoLocally(photo.id);
+      // A blur request is about the reporter, not the photo, so it stays visible.
+      if (reason !== FACE_BLUR_REPORT_REASON) hidePhotoLocally(photo.id);
       logger.info('GroupPhotobook', 'Group photo report submitted', {
         tourId,
         photoId: maskIdentifier(photo.id),
@@ -753,6 +1097,64 @@ export default function GroupPhotobookScreen({
     return reportResult;
   }, [hidePhotoLocally, principalId, tourId, userName]);
 
+  const deleteBlurryPhotos = async () => {
+    const targets = [...myBlurryPhotos];
+    setPruningBlurry(true);
+    let failedCount = 0;
+    for (const photo of targets) {
+      try {
+        await photoService.deleteGroupPhoto(tourId, photo.id, principalId);
+      } catch (error) {
+        failedCount += 1;
+        logger.warn('GroupPhotobook', 'Blurry photo delete failed', {
+          tourId,
+          photoId: maskIdentifier(photo.id),
+          error: error?.message || String(error),
+        });
+      }
+    }
+    setPruningBlurry(false);
+    logger.info('GroupPhotobook', 'Blurry photos pruned', {
+      tourId,
+      requestedCount: targets.length,
+      failedCount,
+    });
+    if (failedCount > 0) {
+      Alert.alert('Some photos were not deleted', `${failedCount} of ${targets.length} could not be deleted. Please try again.`);
+    }
+  };
+
+  const confirmDeleteBlurryPhotos = () => {
+    if (pruningBlurry || myBlurryPhotos.length === 0) return;
+    const count = myBlurryPhotos.length;
+    Alert.alert(
+      'Delete blurry photos',
+      `Delete ${count} blurry ${count === 1 ? 'photo' : 'photos'} you shared? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: deleteBlurryPhotos },
+      ],
+    );
+  };
+
+  const handleToggleLike = useCallback(async (photo) => {
+    if (!photo?.id || !principalId) return;
+    const liked = !isPhotoLikedBy(photo, principalId);
+    setLikeOverrides((current) => ({ ...current, [photo.id]: liked }));
+    try {
+      await photoService.setPhotoLike({ tourId, photoId: photo.id, likerId: principalId, liked });
+    } catch (error) {
+      logger.warn('GroupPhotobook', 'Group photo like failed', {
+        tourId,
+        photoId: maskIdentifier(photo.id),
+        liked,
+        error: error?.message || String(error),
+      });
+      setLikeOverrides((current) => ({ ...current, [photo.id]: !liked }));
+      Alert.alert('Like not saved', 'Could not save your like. Please try again.');
+    }
+  }, [principalId, tourId]);
+
   const onRefresh = useCallback(() => {
     logger.info('GroupPhotobook', 'Gallery refresh requested', { tourId });
     return refreshPhotos();
@@ -839,8 +1241,73 @@ export default function GroupPhotobookScreen({
         })}>
           <Text style={[styles.filterChipText, mineOnly && styles.filterChipTextActive]}>Mine only</Text>
         </TouchableOpacity>
+        <TouchableOpacity style={[styles.filterChip, favouritesOnly && styles.filterChipActive]} onPress={() => setFavouritesOnly((v) => {
+          logger.debug('GroupPhotobook', 'Favourites filter toggled', { tourId, enabled: !v });
+          return !v;
+        })}>
+          <Text style={[styles.filterChipText, favouritesOnly && styles.filterChipTextActive]}>Favourites</Text>
+        </TouchableOpacity>
+        {myBlurryPhotos.length > 0 && (
+          <TouchableOpacity style={[styles.filterChip, blurryOnly && styles.filterChipActive]} onPress={() => setBlurryOnly((v) => {
+            logger.debug('GroupPhotobook', 'Blurry review toggled', { tourId, enabled: !v, count: myBlurryPhotos.length });
+            return !v;
+          })}>
+            <Text style={[styles.filterChipText, blurryOnly && styles.filterChipTextActive]}>
+              Blurry ({myBlurryPhotos.length})
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
 
+      {blurryOnly && (
+        <View style={styles.blurryReviewBar}>
+          <Text style={styles.blurryReviewText}>These photos you shared look out of focus.</Text>
+          <TouchableOpacity
+            style={[styles.blurryReviewButton, pruningBlurry && styles.blurryReviewButtonBusy]}
+            onPress={confirmDeleteBlurryPhotos}
+            disabled={pruningBlurry}
+            accessibilityRole="button"
+            accessibilityLabel="Delete all blurry photos"
+          >
+            {pruningBlurry
+              ? <ActivityIndicator size="small" color={COLORS.white} />
+              : <Text style={styles.blurryReviewButtonText}>Delete all</Text>}
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Jump-to-day scrubber */}
+      {!loadingPhotos && visiblePhotos.length > 0 && scrubberItems.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.scrubber}
+          contentContainerStyle={styles.scrubberContent}
+        >
+          {scrubberItems.map((item) => {
+            const label = getScrubberLabel(item);
+            const jumping = pendingJumpKey === item.key;
+            return (
+              <TouchableOpacity
+                key={item.key}
+                style={[styles.scrubberChip, item.loadedCount === 0 && styles.scrubberChipEmpty]}
+                onPress={() => jumpToSection(item.key)}
+                disabled={Boolean(pendingJumpKey)}
+                accessibilityRole="button"
+                accessibilityLabel={`Jump to ${label}, ${item.loadedCount} ${item.loadedCount === 1 ? 'photo' : 'photos'} loaded`}
+              >
+                <Text style={styles.scrubberChipText}>{label}</Text>
+                {jumping ? (
+                  <ActivityIndicator size="small" color={COLORS.success} />
+                ) : (
+                  <Text style={styles.scrubberChipCount}>{item.loadedCount}</Text>
+                )}
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
       {/* Content */}
       {loadingPhotos ? (
         <View style={styles.loadingContainer}>
@@ -849,6 +1316,7 @@ export default function GroupPhotobookScreen({
         </View>
       ) : (
         <SectionList
+          ref={sectionListRef}
           sections={gallerySections}
           contentContainerStyle={styles.scrollContainer}
           showsVerticalScrollIndicator={false}
@@ -871,14 +1339,41 @@ export default function GroupPhotobookScreen({
             </View>
           )}
           renderSectionHeader={({ section }) => (
-            <View style={styles.dateGroup}>
-              <View style={styles.dateHeader}>
-                <MaterialCommunityIcons name="calendar" size={16} color={COLORS.textSecondary} />
-                <Text style={styles.dateHeaderText}>{section.title}</Text>
+            <View style={[styles.dateGroup, section.collapsed && styles.dateGroupCollapsed]}>
+              <TouchableOpacity
+                style={styles.dateHeader}
+                onPress={() => toggleSectionCollapsed(section.key)}
+                activeOpacity={0.7}
+                accessibilityRole="button"
+                accessibilityState={{ expanded: !section.collapsed }}
+                accessibilityLabel={`${section.title}, ${section.photos.length} ${section.photos.length === 1 ? 'photo' : 'photos'}`}
+              >
+                <MaterialCommunityIcons
+                  name={section.kind === PHOTOBOOK_SECTION_KINDS.DAY ? 'map-marker-path' : 'calendar'}
+                  size={16}
+                  color={COLORS.textSecondary}
+                />
+                <View style={styles.dateHeaderTitleBlock}>
+                  <Text style={styles.dateHeaderText}>{section.title}</Text>
+                  {section.subtitle && <Text style={styles.dateHeaderSubtitle}>{section.subtitle}</Text>}
+                </View>
                 <Text style={styles.datePhotoCount}>
                   {section.photos.length} {section.photos.length === 1 ? 'photo' : 'photos'}
                 </Text>
-              </View>
+                <MaterialCommunityIcons
+                  name={section.collapsed ? 'chevron-down' : 'chevron-up'}
+                  size={20}
+                  color={COLORS.textMuted}
+                />
+              </TouchableOpacity>
+              {section.stopCounts.length > 0 && (
+                <Text style={styles.dateStopSummary} numberOfLines={1}>
+                  {section.stopCounts
+                    .slice(0, MAX_HEADER_STOPS)
+                    .map((stop) => `${stop.label} (${stop.count})`)
+                    .join(' · ')}
+                </Text>
+              )}
             </View>
           )}
           renderItem={({ item: row, section }) => (
@@ -888,7 +1383,9 @@ export default function GroupPhotobookScreen({
                   key={photo.id}
                   photo={photo}
                   style={thumbnailTileStyle}
-                  onPress={() => openViewer(section.sectionIndex, photoIndexInSection)}
+                  onPress={() => (photo.stack && !photo.stack.expanded
+                    ? toggleStackExpanded(photo.stack.key)
+                    : openViewer(section.sectionIndex, photoIndexInSection))}
                 >
                   {photo.userId === principalId && (
                     <View style={styles.myPhotoBadge}>
@@ -896,16 +1393,52 @@ export default function GroupPhotobookScreen({
                     </View>
                   )}
 
+                  {photo.userId === principalId && isPhotoBlurry(photo) && (
+                    <View style={styles.blurryBadge} accessibilityLabel="Looks blurry">
+                      <MaterialCommunityIcons name="blur" size={10} color={COLORS.white} />
+                    </View>
+                  )}
+
+                  {photo.stack && (
+                    <TouchableOpacity
+                      style={styles.stackBadge}
+                      onPress={() => toggleStackExpanded(photo.stack.key)}
+                      accessibilityRole="button"
+                      accessibilityLabel={photo.stack.expanded
+                        ? 'Collapse similar photos'
+                        : `Show ${photo.stack.size} similar photos`}
+                    >
+                      <MaterialCommunityIcons
+                        name={photo.stack.expanded ? 'layers-off-outline' : 'layers-outline'}
+                        size={12}
+                        color={COLORS.white}
+                      />
+                      {!photo.stack.expanded && <Text style={styles.stackBadgeText}>{photo.stack.size}</Text>}
+                    </TouchableOpacity>
+                  )}
+
                   {photo.caption && (
                     <View style={styles.captionIndicator}>
                       <MaterialCommunityIcons name="text" size={12} color={COLORS.white} />
                     </View>
                   )}
+
+                  {photo.likeCount > 0 && (
+                    <View style={styles.likeIndicator}>
+                      <MaterialCommunityIcons
+                        name={isPhotoLikedBy(photo, principalId) ? 'heart' : 'heart-outline'}
+                        size={12}
+                        color={COLORS.white}
+                      />
+                      <Text style={styles.likeIndicatorText}>{photo.likeCount}</Text>
+                    </View>
+                  )}
                 </GalleryPhotoTile>
               ))}
             </View>
           )}
           onViewableItemsChanged={onViewableItemsChanged}
+          onScrollToIndexFailed={handleScrollToIndexFailed}
           onEndReached={loadMore}
           onEndReachedThreshold={0.45}
           initialNumToRender={9}
@@ -936,7 +1469,7 @@ export default function GroupPhotobookScreen({
       {/* Image Viewer */}
       <ImageViewer
         visible={viewerVisible}
-        photos={visiblePhotos}
+        photos={viewerPhotos}
         initialIndex={viewerIndex}
         onClose={() => setViewerVisible(false)}
         onDelete={handleDeletePhoto}
@@ -944,6 +1477,8 @@ export default function GroupPhotobookScreen({
         canDelete={true}
         currentUserId={principalId}
         showUploaderInfo={true}
+        isPhotoLiked={(photo) => isPhotoLikedBy(photo, principalId)}
+        onToggleLike={handleToggleLike}
         onEditCaption={async (photo, nextCaption) => photoService.updatePhotoCaption({ tourId, photoId: photo.id, userId: principalId, caption: nextCaption, visibility: 'group' })}
       />
 
@@ -964,13 +1499,46 @@ export default function GroupPhotobookScreen({
             <Text style={styles.uploadModalTitle}>Share with Group</Text>
             <Text style={styles.uploadModalSubtitle}>Everyone on the tour will see this photo</Text>
 
-            {pendingImage?.uri && (
-              <ExpoImage
-                source={{ uri: pendingImage.uri }}
-                style={styles.uploadPreview}
-                contentFit="cover"
-                cachePolicy="memory-disk"
-              />
+            {pendingImage?.uri && pendingImage.type === 'video' && (
+              <View style={[styles.uploadPreview, styles.clipPlaceholder]}>
+                <MaterialCommunityIcons name="video-outline" size={36} color={COLORS.textMuted} />
+                <Text style={styles.clipPreviewText}>Video clip</Text>
+              </View>
+            )}
+
+            {pendingImage?.uri && pendingImage.type !== 'video' && (
+              <>
+                <ExpoImage
+                  source={{ uri: blurredPhoto?.uri || pendingImage.uri }}
+                  style={styles.uploadPreview}
+                  contentFit="cover"
+                  cachePolicy="memory-disk"
+                />
+                <TouchableOpacity
+                  style={styles.blurFacesButton}
+                  onPress={() => setBlurEditorVisible(true)}
+                  disabled={uploading}
+                  accessibilityRole="button"
+                  accessibilityHint="Hide faces before the photo is shared"
+                >
+                  <MaterialCommunityIcons name="blur" size={18} color={COLORS.primary} />
+                  <Text style={styles.blurFacesButtonText}>
+                    {blurredPhoto ? `Edit blur (${blurredPhoto.regions.length})` : 'Blur faces'}
+                  </Text>
+                </TouchableOpacity>
+                <PhotoBlurEditor
+                  visible={blurEditorVisible}
+                  imageUri={pendingImage.uri}
+                  imageWidth={pendingImage.width}
+                  imageHeight={pendingImage.height}
+                  initialRegions={blurredPhoto?.regions}
+                  hint="Tap anyone who would rather not be in the album. Tap a square again to remove it."
+                  confirmLabel="Apply blur"
+                  busy={blurring}
+                  onCancel={() => setBlurEditorVisible(false)}
+                  onConfirm={applyPhotoBlur}
+                />
+              </>
             )}
 
             <TextInput
@@ -986,6 +1554,31 @@ export default function GroupPhotobookScreen({
 
             <Text style={styles.charCount}>{caption.length}/200</Text>
 
+            {todaysStops && (
+              <View style={styles.stopPicker}>
+                <Text style={styles.stopPickerLabel}>Tag a Day {todaysStops.dayNumber} stop (optional)</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.stopPickerRow}>
+                  {todaysStops.items.map((item) => {
+                    const selected = item.id === selectedStopId;
+                    return (
+                      <TouchableOpacity
+                        key={item.id}
+                        style={[styles.filterChip, selected && styles.filterChipActive]}
+                        onPress={() => setSelectedStopId(selected ? null : item.id)}
+                        disabled={uploading}
+                        accessibilityRole="button"
+                        accessibilityState={{ selected }}
+                      >
+                        <Text style={[styles.filterChipText, selected && styles.filterChipTextActive]} numberOfLines={1}>
+                          {item.text}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </ScrollView>
+              </View>
+            )}
+
             <View style={styles.uploadModalActions}>
               <TouchableOpacity
                 style={[styles.cancelButton, uploading && styles.uploadButtonDisabled]}
@@ -1076,10 +1669,29 @@ const styles = StyleSheet.create({
   },
   filterChipText: { color: COLORS.textSecondary, fontSize: 12, fontWeight: '600' },
   filterChipTextActive: { color: COLORS.success },
+  scrubber: { flexGrow: 0 },
+  scrubberContent: { gap: SPACING.sm, paddingHorizontal: SPACING.lg, paddingBottom: SPACING.sm },
+  scrubberChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    borderRadius: RADIUS.full,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: 6,
+    backgroundColor: COLORS.successLight,
+  },
+  scrubberChipEmpty: { backgroundColor: COLORS.background },
+  scrubberChipText: { color: COLORS.textPrimary, fontSize: 12, fontWeight: '700' },
+  scrubberChipCount: { color: COLORS.textMuted, fontSize: 12, fontWeight: '600' },
+  stopPicker: { marginTop: SPACING.md },
+  stopPickerLabel: { fontSize: 13, fontWeight: '600', color: COLORS.textSecondary, marginBottom: SPACING.sm },
+  stopPickerRow: { gap: SPACING.sm },
   pendingSection: { marginBottom: SPACING.lg },
   pendingTitle: { marginHorizontal: SPACING.lg, marginBottom: SPACING.sm, fontSize: 14, fontWeight: '700', color: COLORS.textPrimary },
   pendingOverlay: { position: 'absolute', left: 0, right:0, bottom:0, backgroundColor:'rgba(0,0,0,0.55)', alignItems:'center', paddingVertical: 6 },
   pendingProgressText: { color: COLORS.white, fontWeight:'700', fontSize: 12 },
+  pendingProgressTrack: { alignSelf: 'stretch', height: 3, marginHorizontal: 8, marginTop: 4, borderRadius: 2, backgroundColor: 'rgba(255,255,255,0.3)', overflow: 'hidden' },
+  pendingProgressFill: { height: '100%', backgroundColor: COLORS.white },
   pendingActionRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 4, marginTop: 4 },
   retryButton: { backgroundColor: COLORS.error, borderRadius: RADIUS.sm, paddingHorizontal: 8, paddingVertical: 2 },
   discardButton: { backgroundColor: 'rgba(15, 23, 42, 0.8)' },
@@ -1247,17 +1859,33 @@ const styles = StyleSheet.create({
   dateGroup: {
     marginBottom: SPACING.xl,
   },
+  dateGroupCollapsed: {
+    marginBottom: SPACING.md,
+  },
   dateHeader: {
     flexDirection: 'row',
     alignItems: 'center',
     marginBottom: SPACING.md,
     gap: SPACING.sm,
   },
+  dateHeaderTitleBlock: {
+    flex: 1,
+  },
   dateHeaderText: {
     fontSize: 15,
     fontWeight: '600',
     color: COLORS.textPrimary,
-    flex: 1,
+  },
+  dateHeaderSubtitle: {
+    fontSize: 12,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+  dateStopSummary: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: -SPACING.sm,
+    marginBottom: SPACING.md,
   },
   datePhotoCount: {
     fontSize: 13,
@@ -1317,6 +1945,61 @@ const styles = StyleSheet.create({
     borderRadius: RADIUS.full,
     padding: 4,
   },
+  likeIndicator: {
+    position: 'absolute',
+    bottom: 6,
+    left: 6,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 2,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    borderRadius: RADIUS.full,
+    paddingHorizontal: 5,
+    paddingVertical: 2,
+  },
+  likeIndicatorText: { color: COLORS.white, fontSize: 10, fontWeight: '700' },
+  blurryBadge: {
+    position: 'absolute',
+    top: 6,
+    left: 30,
+    backgroundColor: COLORS.warning,
+    borderRadius: RADIUS.full,
+    padding: 4,
+  },
+  stackBadge: {
+    position: 'absolute',
+    top: 6,
+    right: 6,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 2,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    borderRadius: RADIUS.full,
+    paddingHorizontal: 6,
+    paddingVertical: 3,
+  },
+  stackBadgeText: { color: COLORS.white, fontSize: 10, fontWeight: '700' },
+  blurryReviewBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    marginHorizontal: SPACING.lg,
+    marginBottom: SPACING.sm,
+    padding: SPACING.sm,
+    borderRadius: RADIUS.md,
+    backgroundColor: COLORS.warningLight,
+  },
+  blurryReviewText: { flex: 1, color: COLORS.textPrimary, fontSize: 13 },
+  blurryReviewButton: {
+    minWidth: 84,
+    alignItems: 'center',
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.xs,
+    borderRadius: RADIUS.full,
+    backgroundColor: COLORS.error,
+  },
+  blurryReviewButtonBusy: { opacity: 0.7 },
+  blurryReviewButtonText: { color: COLORS.white, fontSize: 13, fontWeight: '700' },
   fab: {
     position: 'absolute',
     right: SPACING.xl,
@@ -1370,6 +2053,29 @@ const styles = StyleSheet.create({
     borderRadius: RADIUS.lg,
     marginBottom: SPACING.lg,
   },
+  clipPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.border,
+  },
+  clipPreviewText: {
+    marginTop: SPACING.xs,
+    color: COLORS.textMuted,
+  },
+  blurFacesButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: SPACING.xs,
+    marginTop: -SPACING.sm,
+    marginBottom: SPACING.md,
+    paddingVertical: SPACING.xs,
+  },
+  blurFacesButtonText: {
+    color: COLORS.primary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
   captionInput: {
     backgroundColor: COLORS.background,
     borderRadius: RADIUS.md,
@@ -25,6 +25,7 @@ import { COLORS as THEME, SPACING, RADIUS, SHADOWS, FONT_WEIGHT } from '../theme
 import offlineSyncService from '../services/offlineSyncService';
 import logger from '../services/loggerService';
 import { parseTimestampMs } from '../services/timeUtils';
+import useI18n from '../hooks/useI18n';
 const { parseSupportedStartDate, getTourDayContext } = require('../services/itineraryDateParser');
 const { buildItineraryItems } = require('../utils/itineraryPresentation');
 const {
@@ -60,6 +61,7 @@ const COLORS = {
 };
 
 export default function ItineraryScreen({ onBack, tourId, tourName, startDate, isDriver, offlineCacheOwnerId }) {
+  const { t, formatDate } = useI18n();
   const [itinerary, setItinerary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -179,7 +181,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
         error: error?.message || String(error),
       });
       if (canUpdateForTour(tourId)) {
-        setErrorMessage('Live itinerary updates are unavailable.');
+        setErrorMessage(t('itinerary.errors.liveUnavailable'));
         setCheckingForUpdates(false);
       }
     };
@@ -282,15 +284,6 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
   };
 
   // --- DATE HELPERS ---
-  const getOrdinal = (day) => {
-    const j = day % 10;
-    const k = day % 100;
-    if (j === 1 && k !== 11) return `${day}st`;
-    if (j === 2 && k !== 12) return `${day}nd`;
-    if (j === 3 && k !== 13) return `${day}rd`;
-    return `${day}th`;
-  };
-
   const getParsedStartDate = useMemo(
     () => (rawDate) => parseSupportedStartDate(rawDate),
     []
@@ -308,27 +301,17 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
     return dayDate;
   }, [parsedTourStartDate]);
 
-  const formatShortDate = useCallback((date) => {
-    if (!date) return '';
-    return date.toLocaleDateString(undefined, {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric',
-    });
-  }, []);
+  const formatShortDate = useCallback((date) => formatDate(date, 'dayMonth'), [formatDate]);
 
   const formatDayLabel = useMemo(
     () => (dayNumber) => {
       const dayDate = getDayDate(dayNumber);
       if (!dayDate) {
-        return `Day ${dayNumber}`;
+        return t('itinerary.dayNumber', { day: dayNumber });
       }
-      const weekday = dayDate.toLocaleDateString(undefined, { weekday: 'short' });
-      const monthStr = dayDate.toLocaleDateString(undefined, { month: 'long' });
-      const dayStr = getOrdinal(dayDate.getDate());
-      return `Day ${dayNumber} - ${weekday} ${dayStr} ${monthStr}`;
+      return t('itinerary.dayWithDate', { day: dayNumber, date: formatDate(dayDate, 'dayLong') });
     },
-    [getDayDate]
+    [formatDate, getDayDate, t]
   );
 
   const tourDayContext = useMemo(() => getTourDayContext({
@@ -452,7 +435,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
           loadItinerary({ showSkeleton: false, retry: retry + 1 });
         }, delay);
         setRetryCount(retry + 1);
-        setErrorMessage(`Could not reach the live itinerary. Retrying (${retry + 1}/3).`);
+        setErrorMessage(t('itinerary.errors.retrying', { attempt: retry + 1, max: 3 }));
         if (fallbackSnapshot) {
           setItinerary(fallbackSnapshot);
           setEditedItinerary(JSON.parse(JSON.stringify(fallbackSnapshot)));
@@ -470,7 +453,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
           setEditedItinerary(JSON.parse(JSON.stringify(terminalFallback)));
           setDataSource(ITINERARY_DATA_SOURCE.CACHE);
           setRetryCount(0);
-          setErrorMessage('Live itinerary updates are unavailable.');
+          setErrorMessage(t('itinerary.errors.liveUnavailable'));
         } else {
           logger.error('ItineraryScreen', 'Itinerary load failed with no cache fallback', {
             tourId,
@@ -478,7 +461,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
           });
           setItinerary(null);
           setDataSource(ITINERARY_DATA_SOURCE.NONE);
-          setErrorMessage('Could not load itinerary. Please check your connection.');
+          setErrorMessage(t('itinerary.errors.loadFailed'));
         }
       }
     } finally {
@@ -571,12 +554,12 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
 
   const handleRemoveDay = (dayIndex) => {
     Alert.alert(
-      "Delete Day",
-      "Are you sure you want to delete this entire day?",
+      t('itinerary.edit.deleteDayTitle'),
+      t('itinerary.edit.deleteDayMessage'),
       [
-        { text: "Cancel", style: "cancel" },
+        { text: t('common.cancel'), style: "cancel" },
         {
-          text: "Delete",
+          text: t('common.delete'),
           style: "destructive",
           onPress: () => {
             const newItinerary = JSON.parse(JSON.stringify(editedItinerary));
@@ -600,12 +583,12 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
 
   const handleDuplicateDay = (dayIndex) => {
     Alert.alert(
-      "Duplicate Day",
-      "Create a copy of this day?",
+      t('itinerary.edit.duplicateDayTitle'),
+      t('itinerary.edit.duplicateDayMessage'),
       [
-        { text: "Cancel", style: "cancel" },
+        { text: t('common.cancel'), style: "cancel" },
         {
-          text: "Duplicate",
+          text: t('itinerary.edit.duplicate'),
           onPress: () => {
             const newItinerary = JSON.parse(JSON.stringify(editedItinerary));
             const dayToCopy = JSON.parse(JSON.stringify(newItinerary.days[dayIndex]));
@@ -646,7 +629,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
     if (editConflict) return;
     const validation = validateItineraryDraft(editedItinerary);
     if (!validation.valid) {
-      Alert.alert('Check the itinerary', validation.error);
+      Alert.alert(t('itinerary.edit.checkTitle'), validation.error);
       return;
     }
     setSaving(true);
@@ -665,7 +648,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
       });
 
       if (result.validationError) {
-        Alert.alert('Check the itinerary', result.validationError);
+        Alert.alert(t('itinerary.edit.checkTitle'), result.validationError);
         return;
       }
 
@@ -697,7 +680,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
       setIsEditing(false);
       setEditConflict(null);
       setDataSource(ITINERARY_DATA_SOURCE.LIVE);
-      setOperationMessage('Itinerary published. Everyone on the tour will see this latest version.');
+      setOperationMessage(t('itinerary.edit.published'));
       logger.info('ItineraryScreen', 'Itinerary save completed', {
         tourId,
         retryAttempt,
@@ -713,18 +696,18 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
 
       if (retryAttempt < 2) {
         Alert.alert(
-          "Connection Issue",
-          "Failed to save. Retry?",
+          t('itinerary.edit.saveRetryTitle'),
+          t('itinerary.edit.saveRetryMessage'),
           [
-            { text: "Cancel", style: "cancel" },
+            { text: t('common.cancel'), style: "cancel" },
             {
-              text: "Retry",
+              text: t('common.retry'),
               onPress: () => handleSaveChanges(retryAttempt + 1)
             }
           ]
         );
       } else {
-        Alert.alert("Error", "Could not save changes after multiple attempts. Please check your connection.");
+        Alert.alert(t('common.error'), t('itinerary.edit.saveFailed'));
       }
     } finally {
       setSaving(false);
@@ -747,12 +730,12 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
 
   const handleKeepDraftAfterConflict = () => {
     Alert.alert(
-      'Replace the newer version?',
-      "Your draft will become the next published version when you tap Save. Review every day first so you do not remove another operator's changes.",
+      t('itinerary.conflict.replaceTitle'),
+      t('itinerary.conflict.replaceMessage'),
       [
-        { text: 'Keep comparing', style: 'cancel' },
+        { text: t('itinerary.conflict.keepComparing'), style: 'cancel' },
         {
-          text: 'Use my draft',
+          text: t('itinerary.conflict.useDraft'),
           style: 'destructive',
           onPress: () => {
             editBaseSignatureRef.current = createItineraryContentSignature(editConflict?.serverItinerary || null);
@@ -770,12 +753,12 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
   const handleCancelEdit = () => {
     logger.info('ItineraryScreen', 'Itinerary edit cancel confirmation opened', { tourId });
     Alert.alert(
-      "Discard Changes?",
-      "All unsaved changes will be lost.",
+      t('itinerary.edit.discardTitle'),
+      t('itinerary.edit.discardMessage'),
       [
-        { text: "Keep Editing", style: "cancel" },
+        { text: t('itinerary.edit.keepEditing'), style: "cancel" },
         {
-          text: "Discard",
+          text: t('itinerary.edit.discard'),
           style: "destructive",
           onPress: () => {
             setEditedItinerary(JSON.parse(JSON.stringify(itinerary)));
@@ -796,7 +779,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
         hasDays: Boolean(itinerary?.days),
         hasStartDate: Boolean(startDate),
       });
-      Alert.alert("Error", "Cannot export: missing itinerary data");
+      Alert.alert(t('common.error'), t('itinerary.export.missingData'));
       return;
     }
 
@@ -807,7 +790,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
           tourId,
           startDate,
         });
-        Alert.alert("Unsupported start date", "Calendar export supports dd/MM/yyyy or yyyy-MM-dd dates.");
+        Alert.alert(t('itinerary.export.unsupportedDateTitle'), t('itinerary.export.unsupportedDateMessage'));
         return;
       }
       logger.info('ItineraryScreen', 'Calendar export started', {
@@ -827,7 +810,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
           icsContent += `BEGIN:VEVENT\n`;
           icsContent += `DTSTART;VALUE=DATE:${dateStr}\n`;
           icsContent += `DTEND;VALUE=DATE:${dateStr}\n`;
-          icsContent += `SUMMARY:Day ${day.day} - ${itinerary.title || tourName || 'Tour'}\n`;
+          icsContent += `SUMMARY:${t('itinerary.export.eventSummary', { day: day.day, title: itinerary.title || tourName || t('itinerary.defaultTitle') })}\n`;
           icsContent += `DESCRIPTION:${content.replace(/\n/g, '\\n')}\n`;
           icsContent += `END:VEVENT\n`;
         }
@@ -837,7 +820,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
 
       await Share.share({
         message: icsContent,
-        title: `${tourName || 'Tour'} Itinerary`
+        title: t('itinerary.export.shareTitle', { title: tourName || t('itinerary.defaultTitle') })
       });
       logger.info('ItineraryScreen', 'Calendar export share sheet opened', {
         tourId,
@@ -848,7 +831,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
         tourId,
         error: error?.message || String(error),
       });
-      Alert.alert("Export Failed", "Could not export to calendar");
+      Alert.alert(t('itinerary.export.failedTitle'), t('itinerary.export.failedMessage'));
     }
   };
 
@@ -892,24 +875,24 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
       <View style={styles.emptyContainer}>
         <MaterialCommunityIcons name="calendar-blank-outline" size={80} color={COLORS.timelineColor} />
         <Text style={styles.emptyTitle}>
-          {isSearchActive ? 'No Matching Days' : 'No Itinerary Yet'}
+          {isSearchActive ? t('itinerary.empty.noMatchesTitle') : t('itinerary.empty.title')}
         </Text>
         <Text style={styles.emptySubtitle}>
           {isSearchActive
-            ? "Try a different search term or clear search to see every day."
+            ? t('itinerary.empty.noMatchesMessage')
             : isDriver
-            ? "Tap the edit button to create your first day"
-            : "Your tour itinerary will appear here soon"}
+            ? t('itinerary.empty.driverMessage')
+            : t('itinerary.empty.passengerMessage')}
         </Text>
         {isSearchActive && (
           <TouchableOpacity
             style={styles.emptySecondaryButton}
             onPress={() => setSearchQuery('')}
             accessibilityRole="button"
-            accessibilityLabel="Clear itinerary search"
+            accessibilityLabel={t('itinerary.search.clearA11y')}
           >
             <MaterialCommunityIcons name="close-circle-outline" size={20} color={COLORS.primaryBlue} />
-            <Text style={styles.emptySecondaryButtonText}>Clear search</Text>
+            <Text style={styles.emptySecondaryButtonText}>{t('itinerary.search.clear')}</Text>
           </TouchableOpacity>
         )}
         {isDriver && !isSearchActive && (
@@ -929,7 +912,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
             }}
           >
             <MaterialCommunityIcons name="plus" size={20} color={COLORS.white} />
-            <Text style={styles.emptyButtonText}>Create Itinerary</Text>
+            <Text style={styles.emptyButtonText}>{t('itinerary.empty.create')}</Text>
           </TouchableOpacity>
         )}
       </View>
@@ -939,10 +922,10 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
   const dataToRender = isEditing ? editedItinerary : (searchQuery ? filteredItinerary : itinerary);
   const visibleDays = dataToRender?.days || [];
   const itineraryDayCount = itinerary?.days?.length || 0;
-  const displayTitle = tourName || dataToRender?.title || itinerary?.title || 'Tour itinerary';
+  const displayTitle = tourName || dataToRender?.title || itinerary?.title || t('itinerary.defaultDisplayTitle');
 
   const syncStatus = useMemo(() => {
-    const freshness = offlineSyncService.getStalenessLabel(lastSyncedAt, freshnessNow);
+    const freshness = offlineSyncService.getStalenessLabel(lastSyncedAt, freshnessNow, { t });
     return buildItinerarySyncPresentation({
       source: dataSource,
       hasItinerary: Boolean(itinerary?.days?.length),
@@ -950,28 +933,26 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
       refreshing,
       errorMessage,
       freshness,
+      t,
     });
-  }, [checkingForUpdates, dataSource, errorMessage, freshnessNow, itinerary?.days?.length, lastSyncedAt, refreshing]);
+  }, [checkingForUpdates, dataSource, errorMessage, freshnessNow, itinerary?.days?.length, lastSyncedAt, refreshing, t]);
 
   const syncAccessibilityLabel = useMemo(() => {
     const parsedLastSync = parseTimestampMs(lastSyncedAt);
     const exactLastSync = Number.isFinite(parsedLastSync)
-      ? `Last confirmed ${new Date(parsedLastSync).toLocaleString('en-GB', {
-          dateStyle: 'medium',
-          timeStyle: 'short',
-        })}`
+      ? t('itinerary.sync.lastConfirmed', { time: formatDate(parsedLastSync, 'dateTime') })
       : '';
 
     return [syncStatus.label, syncStatus.detail, exactLastSync]
       .filter(Boolean)
       .join('. ');
-  }, [lastSyncedAt, syncStatus.detail, syncStatus.label]);
+  }, [formatDate, lastSyncedAt, syncStatus.detail, syncStatus.label, t]);
 
   const headerDaySummary = useMemo(() => {
     if (!itineraryDayCount) {
       return {
         icon: 'calendar-blank-outline',
-        label: 'Itinerary pending',
+        label: t('itinerary.summary.pending'),
       };
     }
 
@@ -980,8 +961,8 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
       return {
         icon: 'calendar-today',
         label: todayDate
-          ? `Today: Day ${todaysDayNumber}, ${formatShortDate(todayDate)}`
-          : `Today: Day ${todaysDayNumber}`,
+          ? t('itinerary.summary.todayWithDate', { day: todaysDayNumber, date: formatShortDate(todayDate) })
+          : t('itinerary.summary.today', { day: todaysDayNumber }),
       };
     }
 
@@ -989,22 +970,22 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
       const firstDate = getDayDate(1);
       return {
         icon: 'calendar-start',
-        label: firstDate ? `Starts ${formatShortDate(firstDate)}` : 'Tour starts soon',
+        label: firstDate ? t('itinerary.summary.starts', { date: formatShortDate(firstDate) }) : t('itinerary.summary.startsSoon'),
       };
     }
 
     if (tourDayContext.status === 'COMPLETED') {
       return {
         icon: 'calendar-check-outline',
-        label: 'Tour dates completed',
+        label: t('itinerary.summary.completed'),
       };
     }
 
     return {
       icon: 'calendar-question',
-      label: 'Dates to be confirmed',
+      label: t('itinerary.summary.datesTbc'),
     };
-  }, [formatShortDate, getDayDate, itineraryDayCount, todaysDayNumber, tourDayContext]);
+  }, [formatShortDate, getDayDate, itineraryDayCount, t, todaysDayNumber, tourDayContext]);
 
   const timelineItemsByDay = useMemo(() => {
     const itemsByDay = {};
@@ -1020,13 +1001,13 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
 
     return (
       <View style={styles.readSummaryPanel}>
-        <Text style={styles.readSummaryEyebrow}>Daily travel plan</Text>
+        <Text style={styles.readSummaryEyebrow}>{t('itinerary.summary.eyebrow')}</Text>
 
         <View style={styles.summaryPillRow}>
           <View style={styles.summaryPill}>
             <MaterialCommunityIcons name="calendar-multiselect" size={15} color={COLORS.primaryBlue} />
             <Text style={styles.summaryPillText} numberOfLines={1}>
-              {itineraryDayCount === 1 ? '1 day' : `${itineraryDayCount} days`}
+              {t('itinerary.summary.dayCount', { count: itineraryDayCount })}
             </Text>
           </View>
 
@@ -1064,20 +1045,20 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                 style={[styles.dayRailChip, isToday && styles.dayRailChipToday]}
                 activeOpacity={0.86}
                 accessibilityRole="button"
-                accessibilityLabel={`Jump to Day ${dayNumber}${isToday ? ', today' : ''}`}
+                accessibilityLabel={isToday ? t('itinerary.rail.jumpTodayA11y', { day: dayNumber }) : t('itinerary.rail.jumpA11y', { day: dayNumber })}
               >
                 <View style={styles.dayRailTopRow}>
                   <Text style={[styles.dayRailDayText, isToday && styles.dayRailDayTextToday]}>
-                    Day {dayNumber}
+                    {t('itinerary.dayNumber', { day: dayNumber })}
                   </Text>
                   {isToday ? (
                     <View style={styles.dayRailTodayDot}>
-                      <Text style={styles.dayRailTodayText}>Today</Text>
+                      <Text style={styles.dayRailTodayText}>{t('itinerary.today')}</Text>
                     </View>
                   ) : null}
                 </View>
                 <Text style={[styles.dayRailDateText, isToday && styles.dayRailDateTextToday]} numberOfLines={1}>
-                  {dayDate ? formatShortDate(dayDate) : `${items.length || 0} items`}
+                  {dayDate ? formatShortDate(dayDate) : t('itinerary.rail.itemCount', { count: items.length || 0 })}
                 </Text>
               </TouchableOpacity>
             );
@@ -1094,7 +1075,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
       return (
         <View style={styles.emptyDayPanel}>
           <MaterialCommunityIcons name="calendar-edit" size={22} color={COLORS.mutedText} />
-          <Text style={styles.emptyDayText}>No detailed plan has been published for this day yet.</Text>
+          <Text style={styles.emptyDayText}>{t('itinerary.day.emptyPlan')}</Text>
         </View>
       );
     }
@@ -1161,13 +1142,13 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
               <MaterialCommunityIcons name="arrow-left" size={26} color={COLORS.white} />
             </TouchableOpacity>
             <View style={styles.headerTitleContainer}>
-              <Text style={styles.headerLabel}>Itinerary</Text>
+              <Text style={styles.headerLabel}>{t('itinerary.header')}</Text>
               <Text
                 style={styles.headerTitle}
                 numberOfLines={2}
                 maxFontSizeMultiplier={1.12}
               >
-                {tourName || 'Loading...'}
+                {tourName || t('common.loading')}
               </Text>
             </View>
           </View>
@@ -1187,7 +1168,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
         <View style={styles.headerContent}>
           {isEditing ? (
             <TouchableOpacity onPress={handleCancelEdit} style={styles.headerButton}>
-              <Text style={{color: COLORS.danger, fontWeight: '700'}}>Cancel</Text>
+              <Text style={{color: COLORS.danger, fontWeight: '700'}}>{t('common.cancel')}</Text>
             </TouchableOpacity>
           ) : (
             <TouchableOpacity onPress={onBack} style={styles.headerButton}>
@@ -1197,7 +1178,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
 
           <View style={styles.headerTitleContainer}>
             <Text style={[styles.headerLabel, isEditing && {color: COLORS.secondaryText}]}>
-              {isEditing ? 'EDITING MODE' : 'Itinerary'}
+              {isEditing ? t('itinerary.editingMode') : t('itinerary.header')}
             </Text>
             <Text
               style={[styles.headerTitle, isEditing && {color: COLORS.darkText}]}
@@ -1217,7 +1198,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                 onPress={() => beginEditing()}
                 style={[styles.headerButton, styles.editButton]}
                 accessibilityRole="button"
-                accessibilityLabel="Edit itinerary"
+                accessibilityLabel={t('itinerary.edit.editA11y')}
               >
                 <MaterialCommunityIcons name="pencil" size={22} color={COLORS.primaryBlue} />
               </TouchableOpacity>
@@ -1242,11 +1223,11 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
               disabled={saving || Boolean(editConflict)}
               style={[styles.headerButton, editConflict && styles.headerButtonDisabled]}
               accessibilityRole="button"
-              accessibilityLabel="Save itinerary"
+              accessibilityLabel={t('itinerary.edit.saveA11y')}
               accessibilityState={{ disabled: saving || Boolean(editConflict), busy: saving }}
             >
               {saving ? <ActivityIndicator color={COLORS.successGreen} /> : (
-                <Text style={{color: COLORS.successGreen, fontWeight: '700', fontSize: 16}}>Save</Text>
+                <Text style={{color: COLORS.successGreen, fontWeight: '700', fontSize: 16}}>{t('common.save')}</Text>
               )}
             </TouchableOpacity>
           )}
@@ -1269,7 +1250,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
             <MaterialCommunityIcons name="magnify" size={20} color={COLORS.secondaryText} />
             <TextInput
               style={styles.searchInput}
-              placeholder="Search itinerary..."
+              placeholder={t('itinerary.search.placeholder')}
               placeholderTextColor={COLORS.secondaryText}
               value={searchQuery}
               onChangeText={setSearchQuery}
@@ -1295,21 +1276,21 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                 color={COLORS.white}
               />
               <Text style={styles.toolbarText} numberOfLines={1} adjustsFontSizeToFit minimumFontScale={0.78}>
-                {expandAll ? 'Collapse All' : 'Expand All'}
+                {expandAll ? t('itinerary.toolbar.collapseAll') : t('itinerary.toolbar.expandAll')}
               </Text>
             </TouchableOpacity>
 
             <TouchableOpacity onPress={() => handleJumpToDay(todaysDayNumber || visibleDays[0]?.day || 1)} style={styles.toolbarButton}>
               <MaterialCommunityIcons name="calendar-today" size={18} color={COLORS.white} />
               <Text style={styles.toolbarText} numberOfLines={1} adjustsFontSizeToFit minimumFontScale={0.78}>
-                Today
+                {t('itinerary.today')}
               </Text>
             </TouchableOpacity>
 
             <TouchableOpacity onPress={handleExportToCalendar} style={styles.toolbarButton}>
               <MaterialCommunityIcons name="export-variant" size={18} color={COLORS.white} />
               <Text style={styles.toolbarText} numberOfLines={1} adjustsFontSizeToFit minimumFontScale={0.78}>
-                Export
+                {t('itinerary.toolbar.export')}
               </Text>
             </TouchableOpacity>
           </View>
@@ -1383,9 +1364,9 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                 onPress={() => loadItinerary({ showSkeleton: false })}
                 style={styles.syncRetryButton}
                 accessibilityRole="button"
-                accessibilityLabel="Retry itinerary refresh"
+                accessibilityLabel={t('itinerary.sync.retryA11y')}
               >
-                <Text style={styles.syncRetryText}>Retry</Text>
+                <Text style={styles.syncRetryText}>{t('common.retry')}</Text>
               </TouchableOpacity>
             ) : null}
           </View>
@@ -1398,7 +1379,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
             <TouchableOpacity
               onPress={() => setOperationMessage('')}
               accessibilityRole="button"
-              accessibilityLabel="Dismiss published message"
+              accessibilityLabel={t('itinerary.edit.dismissPublishedA11y')}
             >
               <MaterialCommunityIcons name="close" size={20} color={COLORS.successGreen} />
             </TouchableOpacity>
@@ -1419,7 +1400,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
           <View style={styles.offlineEditBanner} accessibilityRole="alert">
             <MaterialCommunityIcons name="cloud-alert" size={20} color="#B45309" />
             <Text style={styles.offlineEditText}>
-              You are editing a saved copy. Keep your draft here, but reconnect before publishing so newer changes can be checked safely.
+              {t('itinerary.edit.offlineDraft')}
             </Text>
           </View>
         ) : null}
@@ -1431,31 +1412,33 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                 <MaterialCommunityIcons name="shield-alert-outline" size={22} color={COLORS.danger} />
               </View>
               <View style={styles.conflictHeadingText}>
-                <Text style={styles.conflictTitle}>A newer itinerary is already live</Text>
+                <Text style={styles.conflictTitle}>{t('itinerary.conflict.title')}</Text>
                 <Text style={styles.conflictSubtitle}>
-                  Revision {editConflict.serverRevision || 'latest'} was protected. Your draft is unchanged and has not been published.
+                  {editConflict.serverRevision
+                    ? t('itinerary.conflict.subtitle', { revision: editConflict.serverRevision })
+                    : t('itinerary.conflict.subtitleLatest')}
                 </Text>
               </View>
             </View>
             <Text style={styles.conflictHelp}>
-              Load the latest version to include the other operator&apos;s work, or explicitly keep your draft after comparing every day.
+              {t('itinerary.conflict.help')}
             </Text>
             <View style={styles.conflictActions}>
               <TouchableOpacity
                 onPress={handleUseLatestItinerary}
                 style={[styles.conflictButton, styles.conflictPrimaryButton]}
                 accessibilityRole="button"
-                accessibilityLabel="Load latest itinerary"
+                accessibilityLabel={t('itinerary.conflict.loadLatestA11y')}
               >
-                <Text style={styles.conflictPrimaryText}>Load latest</Text>
+                <Text style={styles.conflictPrimaryText}>{t('itinerary.conflict.loadLatest')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 onPress={handleKeepDraftAfterConflict}
                 style={[styles.conflictButton, styles.conflictSecondaryButton]}
                 accessibilityRole="button"
-                accessibilityLabel="Keep my itinerary draft"
+                accessibilityLabel={t('itinerary.conflict.keepDraftA11y')}
               >
-                <Text style={styles.conflictSecondaryText}>Keep my draft</Text>
+                <Text style={styles.conflictSecondaryText}>{t('itinerary.conflict.keepDraft')}</Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -1465,7 +1448,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
           <View style={styles.dateWarningBanner}>
             <MaterialCommunityIcons name="alert-outline" size={14} color={COLORS.secondaryText} />
             <Text style={styles.dateWarningText}>
-              Start date format not supported. Showing Day numbers only.
+              {t('itinerary.edit.unsupportedStartDate')}
             </Text>
           </View>
         )}
@@ -1483,8 +1466,8 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
               const dayItems = timelineItemsByDay[dayNumber] || [];
               const dayDate = getDayDate(dayNumber);
               const dayMetaLabel = dayItems.length
-                ? `${dayItems.length} ${dayItems.length === 1 ? 'highlight' : 'highlights'}`
-                : 'No details yet';
+                ? t('itinerary.day.highlights', { count: dayItems.length })
+                : t('itinerary.day.noDetails');
 
               return (
                 <View
@@ -1508,14 +1491,14 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                       disabled={isSearchActive}
                       activeOpacity={isEditing || isSearchActive ? 1 : 0.9}
                       accessible={true}
-                      accessibilityLabel={`${dayLabel}${isToday ? ', today' : ''}`}
+                      accessibilityLabel={isToday ? t('itinerary.day.todayA11y', { label: dayLabel }) : dayLabel}
                       accessibilityRole={isSearchActive ? undefined : "button"}
                       accessibilityHint={
                         isSearchActive
-                          ? "Search matches are expanded"
+                          ? t('itinerary.day.searchExpandedHint')
                           : isCollapsed
-                          ? "Double tap to expand"
-                          : "Double tap to collapse"
+                          ? t('itinerary.day.expandHint')
+                          : t('itinerary.day.collapseHint')
                       }
                     >
                       <View style={styles.dayHeader}>
@@ -1536,7 +1519,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                                 onPress={() => handleDuplicateDay(dayIndex)}
                                 style={styles.dayActionButton}
                                 accessible={true}
-                                accessibilityLabel="Duplicate day"
+                                accessibilityLabel={t('itinerary.edit.duplicateDayA11y')}
                               >
                                 <MaterialCommunityIcons name="content-copy" size={20} color={COLORS.primaryBlue} />
                               </TouchableOpacity>
@@ -1544,7 +1527,7 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                                 onPress={() => handleRemoveDay(dayIndex)}
                                 style={styles.dayActionButton}
                                 accessible={true}
-                                accessibilityLabel="Delete day"
+                                accessibilityLabel={t('itinerary.edit.deleteDayA11y')}
                               >
                                 <MaterialCommunityIcons name="delete" size={20} color={COLORS.danger} />
                               </TouchableOpacity>
@@ -1554,16 +1537,16 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                           <View style={styles.readDayHeader}>
                             <View style={styles.readDayTitleWrap}>
                               <View style={styles.readDayTitleRow}>
-                                <Text style={styles.readDayTitle}>Day {dayNumber}</Text>
+                                <Text style={styles.readDayTitle}>{t('itinerary.dayNumber', { day: dayNumber })}</Text>
                                 {isToday ? (
                                   <View style={styles.todayInlineBadge}>
                                     <MaterialCommunityIcons name="calendar-today" size={12} color={COLORS.coralAccent} />
-                                    <Text style={styles.todayInlineBadgeText}>Today</Text>
+                                    <Text style={styles.todayInlineBadgeText}>{t('itinerary.today')}</Text>
                                   </View>
                                 ) : null}
                               </View>
                               <Text style={styles.readDayDateText} numberOfLines={1}>
-                                {dayDate ? formatShortDate(dayDate) : 'Travel plan'}
+                                {dayDate ? formatShortDate(dayDate) : t('itinerary.day.travelPlan')}
                               </Text>
                               <Text style={styles.readDayMetaText} numberOfLines={1}>
                                 {dayMetaLabel}
@@ -1589,12 +1572,12 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                             style={styles.editContentInput}
                             value={content}
                             onChangeText={(text) => handleEditDayContent(dayIndex, text)}
-                            placeholder="Enter the itinerary for this day..."
+                            placeholder={t('itinerary.edit.dayPlaceholder')}
                             placeholderTextColor={COLORS.secondaryText}
                             multiline
                             textAlignVertical="top"
                             accessible={true}
-                            accessibilityLabel={`Day ${dayNumber} content`}
+                            accessibilityLabel={t('itinerary.edit.dayContentA11y', { day: dayNumber })}
                           />
                         ) : (
                           renderTimelineForDay({ dayData, dayItems })
@@ -1611,11 +1594,11 @@ export default function ItineraryScreen({ onBack, tourId, tourName, startDate, i
                 onPress={handleAddDay}
                 style={styles.addDayBtn}
                 accessible={true}
-                accessibilityLabel="Add new day"
+                accessibilityLabel={t('itinerary.edit.addDayA11y')}
                 accessibilityRole="button"
               >
                 <MaterialCommunityIcons name="calendar-plus" size={24} color={COLORS.white} />
-                <Text style={styles.addDayText}>Add New Day</Text>
+                <Text style={styles.addDayText}>{t('itinerary.edit.addDay')}</Text>
               </TouchableOpacity>
             )}
           </>
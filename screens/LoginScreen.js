@@ -36,9 +36,10 @@ import {
   responsiveFontSize,
   responsiveLineHeight,
 } from '../utils/responsiveLayout';
+import useI18n from '../hooks/useI18n';
 
 const {
-  LOGIN_MODE_HINTS,
+  buildLoginModeHints,
   normalizeLoginFields,
   getLoginInputError,
   createOfflineErrorState,
@@ -109,7 +110,7 @@ const getNetInfoModule = () => {
 };
 
 const createErrorState = (message, options = {}) => ({
-  title: options.title || 'Login issue',
+  title: options.title || null,
   message,
   reason: options.reason || null,
   showOfflineActions: options.showOfflineActions || false,
@@ -117,6 +118,8 @@ const createErrorState = (message, options = {}) => ({
 });
 
 export default function LoginScreen({ onLoginSuccess, logger, isConnected, resolveOfflineLogin }) {
+  const { t } = useI18n();
+  const loginModeHints = useMemo(() => buildLoginModeHints(t), [t]);
   const { width, height, fontScale } = useWindowDimensions();
   const screenLayout = useMemo(
     () => getResponsiveLayout({ width, height, fontScale }),
@@ -284,6 +287,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
     const inputError = getLoginInputError(normalizedInput, {
       phase,
       emailTouched: options.emailTouched ?? fieldTouched.email,
+      t,
     });
 
     if (inputError) {
@@ -344,10 +348,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
       if (await openSupportUrl(telUrl, 'phone')) return;
     }
 
-    Alert.alert(
-      'Support contact unavailable',
-      'Support contact details are not configured on this build. Please email support@lochlomondtravel.com for assistance.'
-    );
+    Alert.alert(t('login.support.unavailableTitle'), t('login.support.unavailableMessage'));
   };
 
   const handleOfflineCtaPress = async (cta) => {
@@ -357,8 +358,8 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
     if (cta === 'verify_online') {
       if (!isConnected) {
         setErrorState(
-          createErrorState('No internet connection detected yet. Connect to mobile data or Wi-Fi, then tap "I\'m connected, verify this code".', {
-            title: 'Still offline',
+          createErrorState(t('login.offline.stillOfflineMessage'), {
+            title: t('login.offline.stillOfflineTitle'),
             reason: errorState?.reason,
             showOfflineActions: true,
           })
@@ -481,7 +482,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
         hasCachedSession: Boolean(offlineCheck?.hasCachedSession),
       }, { remote: true, reason: 'Login:offline_login_blocked' });
       setShowRecoverySteps(false);
-      setErrorState(createOfflineErrorState(offlineCheck, createErrorState));
+      setErrorState(createOfflineErrorState(offlineCheck, createErrorState, t));
       return;
     }
 
@@ -540,7 +541,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
           loginMode,
           error: result.error || null,
         }, loginDiagnosticContext);
-        setSimpleError(result.error || 'Invalid booking reference. Please try again.');
+        setSimpleError(result.error || t('login.error.invalidReference'));
       }
     } catch (error) {
       activeLogger?.error('Login', 'Login error', { error: error.message, bookingRef: maskIdentifier(trimmedReference) });
@@ -556,7 +557,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
       }, { remote: true, reason: 'Login:login_error' });
       const userMessage = typeof error?.userMessage === 'string' && error.userMessage.trim()
         ? error.userMessage.trim()
-        : 'Unable to verify booking. Please check your connection.';
+        : t('login.error.verifyFailed');
       setSimpleError(userMessage);
     } finally {
       await loginDiagnostics.recordLoginDiagnostic('login_attempt_finished_client_finally', {
@@ -571,14 +572,14 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
 
   const networkStateTone = isConnected
     ? {
-        label: 'Online verification available',
+        label: t('login.network.online'),
         icon: 'check-decagram',
         container: styles.networkPillOnline,
         iconColor: COLORS.success,
         textColor: COLORS.success,
       }
     : {
-        label: 'Offline mode active',
+        label: t('login.network.offline'),
         icon: 'wifi-strength-off-outline',
         container: styles.networkPillOffline,
         iconColor: COLORS.warning,
@@ -616,7 +617,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                   adjustsFontSizeToFit
                   maxFontSizeMultiplier={FONT_SCALE_LIMITS.display}
                 >
-                  Loch Lomond Travel
+                  {t('common.appName')}
                 </Text>
                 <Text
                   style={[styles.appSubtitle, responsiveStyles.appSubtitle]}
@@ -624,7 +625,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                   adjustsFontSizeToFit
                   maxFontSizeMultiplier={FONT_SCALE_LIMITS.caption}
                 >
-                  The UK's Fastest Growing Coach Tour Operator
+                  {t('login.tagline')}
                 </Text>
               </Animated.View>
 
@@ -634,13 +635,13 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                 numberOfLines={1}
                 maxFontSizeMultiplier={FONT_SCALE_LIMITS.heading}
               >
-                Welcome aboard
+                {t('login.welcome')}
               </Text>
               <Text
                 style={[styles.welcomeSubtext, responsiveStyles.welcomeSubtext]}
                 maxFontSizeMultiplier={FONT_SCALE_LIMITS.body}
               >
-                Sign in securely to access your live itinerary, pickup updates, and tour support.
+                {t('login.welcomeSubtext')}
               </Text>
 
               <View style={[styles.networkPillBase, networkStateTone.container]}>
@@ -656,7 +657,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
               </View>
 
               <View style={[styles.hintsRow, responsiveStyles.hintsRow]}>
-                {Object.entries(LOGIN_MODE_HINTS).map(([key, hint]) => {
+                {Object.entries(loginModeHints).map(([key, hint]) => {
                   const selected = modeHintFocus === key;
                   return (
                     <TouchableOpacity
@@ -664,7 +665,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                       style={[styles.hintChip, responsiveStyles.hintChip, selected && styles.hintChipSelected]}
                       onPress={() => setModeHintFocus(key)}
                       accessibilityRole="button"
-                      accessibilityLabel={`Select ${hint.label} login hint`}
+                      accessibilityLabel={t('login.mode.selectA11y', { mode: hint.label })}
                     >
                       <View style={styles.hintTitleRow}>
                         <MaterialCommunityIcons
@@ -705,7 +706,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                     setActiveInput(null);
                     setFieldTouched((current) => ({ ...current, bookingReference: true }));
                   }}
-                  placeholder={getReferencePlaceholder(modeHintFocus)}
+                  placeholder={getReferencePlaceholder(modeHintFocus, t)}
                   placeholderTextColor={COLORS.placeholderText}
                   autoCapitalize="characters"
                   autoCorrect={false}
@@ -713,7 +714,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                   returnKeyType="go"
                   onSubmitEditing={handleLogin}
                   editable={!loading}
-                  accessibilityLabel="Booking reference or driver code"
+                  accessibilityLabel={t('login.referenceA11y')}
                   maxFontSizeMultiplier={FONT_SCALE_LIMITS.form}
                 />
               </View>
@@ -736,7 +737,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                       setActiveInput(null);
                       handleEmailBlur();
                     }}
-                    placeholder="Booking email"
+                    placeholder={t('login.emailPlaceholder')}
                     placeholderTextColor={COLORS.placeholderText}
                     autoCapitalize="none"
                     keyboardType="email-address"
@@ -744,7 +745,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                     returnKeyType="go"
                     onSubmitEditing={handleLogin}
                     editable={!loading}
-                    accessibilityLabel="Booking email address"
+                    accessibilityLabel={t('login.emailA11y')}
                     maxFontSizeMultiplier={FONT_SCALE_LIMITS.form}
                   />
                 </View>
@@ -754,11 +755,11 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                 <View style={styles.errorContainer}>
                   <MaterialCommunityIcons name="alert-circle" size={16} color={COLORS.errorRed} />
                   <View style={styles.errorBody}>
-                    <Text style={styles.errorTitle}>{errorState.title}</Text>
+                    <Text style={styles.errorTitle}>{errorState.title || t('login.error.title')}</Text>
                     <Text style={styles.errorText}>{errorState.message}</Text>
                     {errorState.recoverySteps?.length ? (
                       <TouchableOpacity style={styles.disclosureButtonCompact} onPress={() => setShowRecoverySteps((current) => !current)}>
-                        <Text style={styles.disclosureErrorText}>How to recover</Text>
+                        <Text style={styles.disclosureErrorText}>{t('login.error.howToRecover')}</Text>
                         <MaterialCommunityIcons name={showRecoverySteps ? 'chevron-up' : 'chevron-down'} size={16} color={COLORS.errorRed} />
                       </TouchableOpacity>
                     ) : null}
@@ -772,10 +773,10 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                     {errorState.showOfflineActions ? (
                       <View style={styles.errorActionsContainer}>
                         <TouchableOpacity style={styles.errorActionButton} onPress={() => handleOfflineCtaPress('retry_now')} disabled={loading}>
-                          <Text style={styles.errorActionText}>Retry now</Text>
+                          <Text style={styles.errorActionText}>{t('login.offline.retryNow')}</Text>
                         </TouchableOpacity>
                         <TouchableOpacity style={styles.errorActionButton} onPress={() => handleOfflineCtaPress('verify_online')} disabled={loading}>
-                          <Text style={styles.errorActionText}>I’m connected, verify this code</Text>
+                          <Text style={styles.errorActionText}>{t('login.offline.verifyOnline')}</Text>
                         </TouchableOpacity>
                       </View>
                     ) : null}
@@ -800,7 +801,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                           adjustsFontSizeToFit
                           maxFontSizeMultiplier={FONT_SCALE_LIMITS.title}
                         >
-                          Verifying...
+                          {t('login.verifying')}
                         </Text>
                       </View>
                     ) : (
@@ -811,7 +812,7 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
                           adjustsFontSizeToFit
                           maxFontSizeMultiplier={FONT_SCALE_LIMITS.title}
                         >
-                          Access My Tour
+                          {t('login.submit')}
                         </Text>
                         <MaterialCommunityIcons name="arrow-right" size={18} color={COLORS.white} />
                       </View>
@@ -821,25 +822,25 @@ export default function LoginScreen({ onLoginSuccess, logger, isConnected, resol
               </Animated.View>
 
               <TouchableOpacity style={styles.disclosureButton} onPress={() => setShowPrimaryHelp((current) => !current)}>
-                <Text style={styles.disclosureText}>Sign-in help</Text>
+                <Text style={styles.disclosureText}>{t('login.help.toggle')}</Text>
                 <MaterialCommunityIcons name={showPrimaryHelp ? 'chevron-up' : 'chevron-down'} size={16} color={COLORS.primaryBlue} />
               </TouchableOpacity>
 
               {showPrimaryHelp ? (
                 <View style={styles.helpPanel}>
-                  <Text style={styles.helpText}>Passengers sign in with booking reference + booking email. Drivers sign in with a D- code.</Text>
-                  <Text style={styles.helpText}>Offline sign-in only works for identities previously verified on this device.</Text>
+                  <Text style={styles.helpText}>{t('login.help.identities')}</Text>
+                  <Text style={styles.helpText}>{t('login.help.offlineVerified')}</Text>
                 </View>
               ) : null}
 
               <TouchableOpacity style={styles.disclosureButton} onPress={() => setShowOfflineHelp((current) => !current)}>
-                <Text style={styles.disclosureText}>Why can’t I log in offline?</Text>
+                <Text style={styles.disclosureText}>{t('login.offlineHelp.toggle')}</Text>
                 <MaterialCommunityIcons name={showOfflineHelp ? 'chevron-up' : 'chevron-down'} size={16} color={COLORS.primaryBlue} />
               </TouchableOpacity>
               {showOfflineHelp ? (
                 <View style={styles.helpPanel}>
-                  <Text style={styles.helpText}>First-time codes still need one online verification.</Text>
-                  <Text style={styles.helpText}>Returning users can continue offline only when code and cached identity match exactly.</Text>
+                  <Text style={styles.helpText}>{t('login.offlineHelp.firstTime')}</Text>
+                  <Text style={styles.helpText}>{t('login.offlineHelp.returning')}</Text>
                 </View>
               ) : null}
             </Animated.View>
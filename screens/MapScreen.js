@@ -22,6 +22,13 @@ import { COLORS as THEME } from '../theme';
 import { getMinutesAgo, parseTimestampMs } from '../services/timeUtils';
 import logger from '../services/loggerService';
 import { getDriverLocationPresentation } from '../utils/driverLocation';
+import { calculateDistanceKm, formatPickupEtaLabel, PICKUP_ETA_SOURCES } from '../services/pickupEtaService';
+import usePickupEta from '../hooks/usePickupEta';
+import usePhotoMapClusters from '../hooks/usePhotoMapClusters';
+import useMapPhotoThumbnails from '../hooks/useMapPhotoThumbnails';
+import PhotoClusterMarker from '../components/PhotoClusterMarker';
+import ImageViewer from '../components/ImageViewer';
+import { resolveThumbnailOnlyUri } from '../services/photoVariantService';
 
 // Brand Colors
 const COLORS = {
@@ -91,7 +98,7 @@ const normalizeMapCoords = (coords) => {
   };
 };
 
-export default function MapScreen({ onBack, tourId, tourData }) {
+export default function MapScreen({ onBack, tourId, tourData, bookingData = null }) {
   const MIN_REFRESH_SPINNER_MS = 120;
   const [driverLocation, setDriverLocation] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
@@ -103,6 +110,9 @@ export default function MapScreen({ onBack, tourId, tourData }) {
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [showDetailCard, setShowDetailCard] = useState(true);
   const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [showPhotoLayer, setShowPhotoLayer] = useState(true);
+  const [mapRegion, setMapRegion] = useState(null);
+  const [viewerPhotos, setViewerPhotos] = useState([]);
 
   const mapRef = useRef(null);
   const pulseAnim = useRef(new Animated.Value(1)).current;
@@ -119,6 +129,16 @@ export default function MapScreen({ onBack, tourId, tourData }) {
     [driverLocation, driverLocationPresentation.available]
   );
   const userLocationPoint = useMemo(() => normalizeMapCoords(userLocation), [userLocation]);
+  const photoClusters = usePhotoMapClusters({
+    tourId: tourData?.id || tourId,
+    region: mapRegion,
+    enabled: showPhotoLayer,
+  });
+  const photoClusterCovers = useMemo(
+    () => photoClusters.map((cluster) => cluster.cover).filter(Boolean),
+    [photoClusters]
+  );
+  const photoThumbnailUris = useMapPhotoThumbnails(photoClusterCovers);
 
   useEffect(() => {
     const freshnessTimer = setInterval(() => setFreshnessNow(Date.now()), 30 * 1000);
@@ -288,25 +308,6 @@ export default function MapScreen({ onBack, tourId, tourData }) {
     };
   }, [tourId]);
 
-  const calculateDistanceKm = (pointA, pointB) => {
-    const toRad = (value) => (value * Math.PI) / 180;
-    const earthRadiusKm = 6371;
-
-    const dLat = toRad(pointB.latitude - pointA.latitude);
-    const dLon = toRad(pointB.longitude - pointA.longitude);
-
-    const lat1 = toRad(pointA.latitude);
-    const lat2 = toRad(pointB.latitude);
-
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1) * Math.cos(lat2) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return earthRadiusKm * c;
-  };
-
   const formatRelativeTime = (isoString) => {
     const diffMinutes = getMinutesAgo(isoString);
     if (!Number.isFinite(diffMinutes)) return '';
@@ -348,6 +349,24 @@ export default function MapScreen({ onBack, tourId, tourData }) {
     ? calculateDistanceKm(driverLocationPoint, userLocationPoint)
     : null;
   const etaMinutes = distanceKm ? estimateEtaMinutes(distanceKm) : null;
+  const passengerPickup = useMemo(() => {
+    if (bookingData?.pickupPoints?.length > 0) return bookingData.pickupPoints[0];
+    if (!bookingData?.pickupTime) return null;
+    return {
+      time: bookingData.pickupTime,
+      date: bookingData.pickupDate || null,
+      location: bookingData.pickupLocation || '',
+    };
+  }, [bookingData]);
+  const pickupEta = usePickupEta({
+    tourId,
+    driverLocationRecord: driverLocation,
+    passengerPickup,
+    tourPickupPoints: tourData?.pickupPoints,
+    fallbackDate: bookingData?.pickupDate || tourData?.startDate || null,
+    enabled: Boolean(passengerPickup),
+  });
+  const pickupEtaLabel = formatPickupEtaLabel(pickupEta, { formatTime });
 
   // Auto-fit map to show both locations
   useEffect(() => {
@@ -685,6 +704,22 @@ export default function MapScreen({ onBack, tourId, tourData }) {
     );
   };
 
+  const handleOpenPhotoCluster = useCallback((cluster) => {
+    logger.info('MapScreen', 'Photo cluster opened', { tourId, photoCount: cluster.photos.length });
+    setViewerPhotos(cluster.photos);
+  }, [tourId]);
+
+  // Group photos clustered where they were taken. Locations are coarse (about
+  // 1 km) and only present when the uploader left photo location on.
+  const renderPhotoMarkers = () => (showPhotoLayer ? photoClusters.map((cluster) => (
+    <PhotoClusterMarker
+      key={cluster.key}
+      cluster={cluster}
+      thumbnailUri={photoThumbnailUris[resolveThumbnailOnlyUri(cluster.cover)] || null}
+      onPress={handleOpenPhotoCluster}
+    />
+  )) : null);
+
   return (
     <SafeAreaView style={styles.safeArea}>
       {/* Header */}
@@ -739,8 +774,10 @@ export default function MapScreen({ onBack, tourId, tourData }) {
               mapType={mapType}
               customMapStyle={Platform.OS === 'android' && mapType === 'standard' ? mapStyle : undefined}
               ref={mapRef}
+              onRegionChangeComplete={setMapRegion}
               accessibilityLabel="Map showing bus location"
             >
+              {renderPhotoMarkers()}
               {renderDriverMarker()}
 
               {/* Draw line between user and driver */}
@@ -785,6 +822,21 @@ export default function MapScreen({ onBack, tourId, tourData }) {
               >
                 <MaterialCommunityIcons name="crosshairs-gps" size={22} color={COLORS.primaryBlue} />
               </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.fab, showPhotoLayer && styles.fabActive]}
+                onPress={() => setShowPhotoLayer((current) => !current)}
+                activeOpacity={0.85}
+                accessibilityLabel={showPhotoLayer ? 'Hide group photos on map' : 'Show group photos on map'}
+                accessibilityRole="button"
+                accessibilityState={{ selected: showPhotoLayer }}
+              >
+                <MaterialCommunityIcons
+                  name={showPhotoLayer ? 'image-multiple' : 'image-multiple-outline'}
+                  size={22}
+                  color={showPhotoLayer ? COLORS.white : COLORS.primaryBlue}
+                />
+              </TouchableOpacity>
             </View>
 
             {/* Info Card */}
@@ -874,6 +926,18 @@ export default function MapScreen({ onBack, tourId, tourData }) {
                       </View>
                     )}
 
+                    {/* Pickup ETA for the passenger's booked stop */}
+                    {pickupEtaLabel ? (
+                      <View style={styles.pickupEtaNotice}>
+                        <MaterialCommunityIcons
+                          name={pickupEta.source === PICKUP_ETA_SOURCES.LIVE ? 'bus-clock' : 'calendar-clock'}
+                          size={20}
+                          color={COLORS.primaryBlue}
+                        />
+                        <Text style={styles.pickupEtaNoticeText}>{pickupEtaLabel}</Text>
+                      </View>
+                    ) : null}
+
                     {/* Stale Warning */}
                     {isStale && (
                       <View style={styles.staleWarning}>
@@ -948,6 +1012,14 @@ export default function MapScreen({ onBack, tourId, tourData }) {
           </Animated.View>
         )}
       </View>
+
+      <ImageViewer
+        visible={viewerPhotos.length > 0}
+        photos={viewerPhotos}
+        initialIndex={0}
+        onClose={() => setViewerPhotos([])}
+        showUploaderInfo
+      />
     </SafeAreaView>
   );
 }
@@ -1070,6 +1142,10 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: COLORS.border,
   },
+  fabActive: {
+    backgroundColor: COLORS.primaryBlue,
+    borderColor: COLORS.primaryBlue,
+  },
 
   // Custom Marker
   customMarkerContainer: {
@@ -1244,6 +1320,22 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     lineHeight: 18,
   },
+  pickupEtaNotice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: COLORS.softBlue,
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 16,
+    gap: 10,
+  },
+  pickupEtaNoticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: COLORS.primaryBlue,
+    fontWeight: '700',
+    lineHeight: 18,
+  },
 
   // Action Buttons
   actionButtons: {
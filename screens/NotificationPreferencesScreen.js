@@ -21,6 +21,7 @@ import {
 } from '../services/notificationService';
 import logger from '../services/loggerService';
 import { parseTimestampMs } from '../services/timeUtils';
+import useI18n from '../hooks/useI18n';
 import { COLORS as THEME, SHADOWS } from '../theme';
 import NotificationFeedCard from '../components/NotificationFeedCard';
 import {
@@ -123,6 +124,68 @@ const PreferenceHealthCard = ({
   );
 };
 
+const LanguagePicker = ({ disabled = false }) => {
+  const {
+    locale,
+    locales,
+    t,
+    setLocale,
+    autoTranslateChat,
+    setAutoTranslateChat,
+  } = useI18n();
+
+  const handleSelect = async (code) => {
+    if (code === locale) return;
+    const result = await setLocale(code);
+    if (!result?.success) {
+      logger.warn('NotificationPreferences', 'Language preference could not be persisted', {
+        locale: code,
+        error: result?.error || 'unknown',
+      });
+    }
+  };
+
+  const handleAutoTranslateChange = async (enabled) => {
+    const result = await setAutoTranslateChat(enabled);
+    if (!result?.success) {
+      logger.warn('NotificationPreferences', 'Chat auto-translate preference could not be persisted', {
+        error: result?.error || 'unknown',
+      });
+    }
+  };
+
+  return (
+    <PreferenceSection title={t('settings.language.title')} subtitle={t('settings.language.subtitle')}>
+      <View style={styles.presetRow} accessibilityRole="radiogroup">
+        {locales.map((option) => {
+          const active = option.code === locale;
+          return (
+            <TouchableOpacity
+              key={option.code}
+              style={[styles.presetChip, active && styles.presetChipActive]}
+              onPress={() => handleSelect(option.code)}
+              disabled={disabled}
+              accessibilityRole="radio"
+              accessibilityState={{ selected: active, disabled }}
+              accessibilityLabel={t('settings.language.optionA11y', { language: option.label })}
+            >
+              <Text style={[styles.presetChipText, active && styles.presetChipTextActive]}>{option.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <ToggleRow
+        label={t('settings.language.autoTranslateChat')}
+        description={t('settings.language.autoTranslateChatDescription')}
+        icon="translate"
+        value={autoTranslateChat}
+        onValueChange={handleAutoTranslateChange}
+        disabled={disabled}
+      />
+    </PreferenceSection>
+  );
+};
+
 const ToggleRow = ({
   label,
   description,
@@ -927,6 +990,8 @@ export default function NotificationPreferencesScreen({
           />
         ) : null}
 
+        <LanguagePicker disabled={saving || onboardingActionBusy} />
+
         {/* SECTION 1: ON TOUR */}
         <PreferenceSection
           title="While On Tour"
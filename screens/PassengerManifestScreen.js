@@ -11,12 +11,19 @@ import * as driverManifestCache from '../services/driverManifestCacheService';
 import * as bookingService from '../services/bookingServiceRealtime';
 import * as chatService from '../services/chatService';
 import ManifestBookingCard from '../components/ManifestBookingCard';
+import CareProfileNotes from '../components/CareProfileNotes';
 import ManifestConflictCard from '../components/ManifestConflictCard';
+import BoardingPassScanner from '../components/BoardingPassScanner';
+import RollCallPanel from '../components/RollCallPanel';
+import SafetyCheckInTimers from '../components/SafetyCheckInTimers';
+import useRollCall from '../hooks/useRollCall';
+import useTourSafetyCheckIns from '../hooks/useTourSafetyCheckIns';
 import { COLORS as THEME, SPACING, RADIUS, SHADOWS, FONT_WEIGHT } from '../theme';
 import logger, { maskIdentifier } from '../services/loggerService';
 const { getBookingSyncState, normalizeSyncState } = require('../utils/manifestSyncState');
 const { pickupTimeToMinutes } = require('../services/pickupTimeParser');
 const { normalizeTourId } = require('../services/tourIdentityService');
+const { SCAN_RESULTS, resolveBoardingPassScan, scanMessageKey } = require('../services/boardingPassService');
 
 const COLORS = {
   primary: THEME.primary,
@@ -76,6 +83,8 @@ export default function PassengerManifestScreen({ route, navigation }) {
   const [bookingSyncState, setBookingSyncState] = useState({});
   const [manifestConflict, setManifestConflict] = useState(null);
   const [statusFeedback, setStatusFeedback] = useState(null);
+  const [scannerVisible, setScannerVisible] = useState(false);
+  const [rollCallVisible, setRollCallVisible] = useState(false);
   const feedbackTimeoutRef = useRef(null);
   const mountedRef = useRef(true);
   const manifestLoadSeqRef = useRef(0);
@@ -83,6 +92,11 @@ export default function PassengerManifestScreen({ route, navigation }) {
   const activeScopeKeyRef = useRef(scopeKey);
   const manifestSourceRef = useRef('none');
   const cacheScopeEnabled = /^D-[A-Z0-9_-]+$/.test(String(offlineCacheOwnerId || '').trim().toUpperCase());
+  const rollCall = useRollCall({
+    tourId,
+    driverId: cacheScopeEnabled ? String(offlineCacheOwnerId).trim().toUpperCase() : null,
+  });
+  const safetyCheckIns = useTourSafetyCheckIns({ tourId });
 
   useEffect(() => {
     manifestSourceRef.current = manifestSource;
@@ -358,24 +372,24 @@ export default function PassengerManifestScreen({ route, navigation }) {
     setModalVisible(true);
   };
 
-  const submitUpdate = async (passengerStatuses) => {
-    if (!selectedBooking) return;
+  const submitUpdate = async (passengerStatuses, targetBooking = selectedBooking) => {
+    if (!targetBooking) return;
 
     try {
       setActionLoading(true);
       logger.info('PassengerManifest', 'Manifest update started', {
         tourId,
-        bookingRef: maskIdentifier(selectedBooking.id),
-        passengerCount: selectedBooking.passengerNames?.length || 0,
+        bookingRef: maskIdentifier(targetBooking.id),
+        passengerCount: targetBooking.passengerNames?.length || 0,
         passengerStatuses: passengerStatuses || null,
       });
       const beforeStats = computeStats(manifestData.bookings);
       const beforeUnresolved = getUnresolvedBookingCount(manifestData.bookings);
       const statusesToPersist = passengerStatuses && passengerStatuses.length > 0
         ? passengerStatuses
-        : selectedBooking.passengerNames.map(() => MANIFEST_STATUS.PENDING);
+        : targetBooking.passengerNames.map(() => MANIFEST_STATUS.PENDING);
 
-      const result = await updateManifestBooking(tourId, selectedBooking.id, statusesToPersist, {
+      const result = await updateManifestBooking(tourId, targetBooking.id, statusesToPersist, {
         online: true,
         actorPrincipalId,
         authUid,
@@ -383,14 +397,14 @@ export default function PassengerManifestScreen({ route, navigation }) {
       if (!mountedRef.current) return;
       logger.info('PassengerManifest', 'Manifest update result received', {
         tourId,
-        bookingRef: maskIdentifier(selectedBooking.id),
+        bookingRef: maskIdentifier(targetBooking.id),
         queued: Boolean(result?.queued),
         hasConflictMessage: Boolean(result?.conflictMessage),
       });
       if (result?.conflict) {
         logger.warn('PassengerManifest', 'Manifest update conflict surfaced', {
           tourId,
-          bookingRef: maskIdentifier(selectedBooking.id),
+          bookingRef: maskIdentifier(targetBooking.id),
           conflictMessage: result.conflictMessage,
           serverStatus: result.conflict.serverStatus,
           attemptedStatus: result.conflict.attemptedStatus,
@@ -398,9 +412,9 @@ export default function PassengerManifestScreen({ route, navigation }) {
         setManifestConflict(result.conflict);
       }
       if (result?.queued) {
-        setBookingSyncState((prev) => ({ ...prev, [selectedBooking.id]: normalizeSyncState('queued') }));
+        setBookingSyncState((prev) => ({ ...prev, [targetBooking.id]: normalizeSyncState('queued') }));
       } else {
-        setBookingSyncState((prev) => ({ ...prev, [selectedBooking.id]: normalizeSyncState('synced') }));
+        setBookingSyncState((prev) => ({ ...prev, [targetBooking.id]: normalizeSyncState('synced') }));
       }
 
       const syncStateLabel = result?.queued ? 'queued for sync' : 'synced';
@@ -413,7 +427,7 @@ export default function PassengerManifestScreen({ route, navigation }) {
         setManifestData((current) => ({
           ...current,
           bookings: current.bookings.map((booking) => (
-            booking.id === selectedBooking.id
+            booking.id === targetBooking.id
               ? {
                   ...booking,
                   status: optimisticStatus,
@@ -426,23 +440,23 @@ export default function PassengerManifestScreen({ route, navigation }) {
         }));
         const cachePatch = cacheScopeEnabled
           ? await driverManifestCache.applyOptimisticUpdate({
-            tourId, driverId: offlineCacheOwnerId, bookingRef: selectedBooking.id, passengerStatuses: statusesToPersist,
+            tourId, driverId: offlineCacheOwnerId, bookingRef: targetBooking.id, passengerStatuses: statusesToPersist,
           })
           : null;
         if (cacheScopeEnabled && !cachePatch.success) {
           logger.warn('PassengerManifest', 'Queued manifest update could not be mirrored to the local snapshot', {
             tourId,
-            bookingRef: maskIdentifier(selectedBooking.id),
+            bookingRef: maskIdentifier(targetBooking.id),
             error: cachePatch.error,
           });
         }
         showStatusFeedback({
           variant: 'warning',
-          message: `${selectedBooking.id} is saved on this device and queued for the server. A newer change for this booking will replace this queued one.`,
+          message: `${targetBooking.id} is saved on this device and queued for the server. A newer change for this booking will replace this queued one.`,
           ctaLabel: 'Sync now',
           onCtaPress: () => handleSyncNow(),
         });
-        return;
+        return result;
       }
 
       const refreshedManifest = await loadManifest();
@@ -474,18 +488,20 @@ export default function PassengerManifestScreen({ route, navigation }) {
           autoDismissMs: 4000,
         });
       }
+      return result;
     } catch (error) {
       logger.error('PassengerManifest', 'Manifest update failed', {
         tourId,
-        bookingRef: maskIdentifier(selectedBooking?.id),
+        bookingRef: maskIdentifier(targetBooking?.id),
         error: error?.message || String(error),
       });
       showStatusFeedback({
         variant: 'error',
         message: 'Save failed. Retry now.',
         ctaLabel: 'Retry now',
-        onCtaPress: () => submitUpdate(passengerStatuses),
+        onCtaPress: () => submitUpdate(passengerStatuses, targetBooking),
       });
+      return null;
     } finally {
       if (mountedRef.current) {
         setActionLoading(false);
@@ -493,6 +509,57 @@ export default function PassengerManifestScreen({ route, navigation }) {
     }
   };
 
+  // Passes are verified against the cached manifest's departure key, so a scan
+  // works offline and the save follows the same queue path as a manual tap.
+  const handleBoardingPassScan = async (data) => {
+    const scan = resolveBoardingPassScan({ data, manifest: manifestData });
+    logger.info('PassengerManifest', 'Boarding pass scanned', {
+      tourId,
+      result: scan.result,
+      bookingRef: maskIdentifier(scan.booking?.id),
+    });
+    const messageParams = { name: scan.passengerName, seat: scan.seat };
+    if (scan.result === SCAN_RESULTS.ALREADY_BOARDED) return { variant: 'warning', messageKey: scanMessageKey(scan.result), messageParams };
+    if (scan.result !== SCAN_RESULTS.READY) return { variant: 'error', messageKey: scanMessageKey(scan.result) };
+
+    const result = await submitUpdate(scan.passengerStatuses, scan.booking);
+    if (!result) return { variant: 'error', messageKey: 'boardingPassScanner.result.saveFailed', messageParams };
+    if (result.conflict) return { variant: 'warning', message: result.conflictMessage };
+    return {
+      variant: 'success',
+      messageKey: result.queued ? 'boardingPassScanner.result.readyQueued' : scanMessageKey(scan.result),
+      messageParams,
+    };
+  };
+
+  const handleStartRollCall = async (stopName) => {
+    const result = await rollCall.start({ stopName, bookings: manifestData.bookings });
+    logger.info('PassengerManifest', 'Roll call started', { tourId, success: result.success });
+    if (!result.success) Alert.alert('Roll call not started', result.error);
+  };
+
+  const handleFinishRollCall = () => {
+    const missingCount = rollCall.summary?.missing.length || 0;
+    const finish = async () => {
+      const result = await rollCall.close();
+      logger.info('PassengerManifest', 'Roll call closed', { tourId, missingCount, success: Boolean(result?.success) });
+      if (result?.success) setRollCallVisible(false);
+      else Alert.alert('Roll call not saved', result?.error || 'Please try again.');
+    };
+    if (!missingCount) {
+      finish();
+      return;
+    }
+    Alert.alert(
+      'Depart with passengers missing?',
+      `${missingCount} ${missingCount === 1 ? 'passenger is' : 'passengers are'} not back. Operations will see who was missing at this stop.`,
+      [
+        { text: 'Keep waiting', style: 'cancel' },
+        { text: 'Depart', style: 'destructive', onPress: finish },
+      ],
+    );
+  };
+
   const handleSetAll = (status) => {
     if (!selectedBooking) return;
     const statuses = selectedBooking.passengerNames.map(() => status);
@@ -642,6 +709,23 @@ export default function PassengerManifestScreen({ route, navigation }) {
           <Text style={styles.headerSubtitle} numberOfLines={1}>Tour {tourId}</Text>
           {manifestSource === 'cache' && <Text style={styles.headerSubtitle}>Saved offline copy - refreshing when available</Text>}
         </View>
+        <TouchableOpacity
+          onPress={() => setRollCallVisible(true)}
+          style={[styles.syncBtn, styles.scanBtn, rollCall.rollCall && styles.rollCallBtnActive]}
+          accessibilityRole="button"
+          accessibilityLabel={rollCall.rollCall ? `Roll call, ${rollCall.summary.missing.length} missing` : 'Start roll call'}
+        >
+          <MaterialCommunityIcons name="account-multiple-check" size={16} color={COLORS.textLight} />
+          {rollCall.rollCall ? <Text style={styles.syncBtnText}>{rollCall.summary.missing.length}</Text> : null}
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => setScannerVisible(true)}
+          style={[styles.syncBtn, styles.scanBtn]}
+          accessibilityRole="button"
+          accessibilityLabel="Scan boarding passes"
+        >
+          <MaterialCommunityIcons name="qrcode-scan" size={16} color={COLORS.textLight} />
+        </TouchableOpacity>
         <TouchableOpacity onPress={() => handleSyncNow()} style={styles.syncBtn} disabled={refreshing}>
           <Text style={styles.syncBtnText}>{refreshing ? 'Syncing...' : 'Sync'}</Text>
         </TouchableOpacity>
@@ -714,6 +798,7 @@ export default function PassengerManifestScreen({ route, navigation }) {
           }
         }}
       />
+      <SafetyCheckInTimers checkIns={safetyCheckIns} />
 
       <View style={styles.actionSearchRow}>
         {HEADER_WIDGETS_VISIBLE.nextPassenger && nextPriorityBooking ? (
@@ -881,6 +966,12 @@ export default function PassengerManifestScreen({ route, navigation }) {
                   <Text style={styles.modalSubtitle}>Ref: {selectedBooking.id} - {selectedBooking.passengerNames.length} Pax</Text>
                 </View>
 
+                <CareProfileNotes
+                  profiles={selectedBooking.careProfiles}
+                  fallbackName={selectedBooking.passengerNames[0]}
+                  style={styles.careNotes}
+                />
+
                 {partialMode ? (
                   <>
                     <Text style={styles.modalSectionLabel}>Select Passengers</Text>
@@ -991,6 +1082,24 @@ export default function PassengerManifestScreen({ route, navigation }) {
         </View>
       </Modal>
 
+      <BoardingPassScanner
+        visible={scannerVisible}
+        onClose={() => setScannerVisible(false)}
+        onScan={handleBoardingPassScan}
+      />
+
+      <RollCallPanel
+        visible={rollCallVisible}
+        onClose={() => setRollCallVisible(false)}
+        rollCall={rollCall.rollCall}
+        summary={rollCall.summary}
+        locations={rollCall.locations}
+        boardedCount={totalStats.checkedIn}
+        syncPending={rollCall.syncPending}
+        onStart={handleStartRollCall}
+        onToggle={rollCall.toggleReturned}
+        onFinish={handleFinishRollCall}
+      />
     </SafeAreaView>
   );
 }
@@ -1295,6 +1404,8 @@ const styles = StyleSheet.create({
     borderRadius: RADIUS.md,
     backgroundColor: COLORS.info,
   },
+  scanBtn: { marginRight: SPACING.xs },
+  rollCallBtnActive: { flexDirection: 'row', alignItems: 'center', gap: 4, backgroundColor: COLORS.warning },
   syncBtnText: { color: COLORS.textLight, fontWeight: FONT_WEIGHT.bold, fontSize: 11 },
   conflictText: { color: '#FDE68A', marginBottom: 2, fontSize: 11, fontWeight: FONT_WEIGHT.semibold },
   searchContainer: {
@@ -1390,6 +1501,7 @@ const styles = StyleSheet.create({
   modalHeader: { marginBottom: 20, borderBottomWidth: 1, borderBottomColor: '#eee', paddingBottom: 15 },
   modalTitle: { fontSize: 22, fontWeight: 'bold', color: COLORS.primary },
   modalSubtitle: { fontSize: 16, color: COLORS.muted, marginTop: 5 },
+  careNotes: { marginBottom: 15 },
   
   modalSectionLabel: { fontSize: 14, fontWeight: 'bold', color: COLORS.muted, marginBottom: 10, textTransform: 'uppercase', letterSpacing: 0.4 },
   actionRow: { flexDirection: 'row', justifyContent: 'space-between', gap: 15, marginBottom: 15 },
@@ -26,6 +26,7 @@ import * as offlineSyncService from '../services/offlineSyncService';
 import * as photoService from '../services/photoService';
 import { checkTextForObjectionableContent } from '../services/contentModerationService';
 import { optimizeSourcePhotoForUpload, formatBytes } from '../services/imageOptimizationService';
+import { getPhotoCaptureTimeMs } from '../utils/photoCaptureMetadata';
 import ImageViewer from '../components/ImageViewer';
 import GalleryPhotoTile from '../components/GalleryPhotoTile';
 import { usePhotoGalleryData } from '../hooks/usePhotoGalleryData';
@@ -39,6 +40,9 @@ import { auth, realtimeDb } from '../firebase';
 import logger, { maskIdentifier } from '../services/loggerService';
 import { getCanonicalIdentity, toRealtimeKeySegment } from '../services/identityService';
 import { parseTimestampMs } from '../services/timeUtils';
+import { getIncludePhotoLocation } from '../services/photoLocationPreferenceService';
+import { describePhotoArchiveJob } from '../services/photoArchiveService';
+import usePhotoArchive from '../hooks/usePhotoArchive';
 import {
   recordBreadcrumb as recordCrashBreadcrumb,
   setDiagnosticsContext,
@@ -55,10 +59,8 @@ const formatPhotoDate = (timestamp, options) => {
     : null;
 };
 
-const getPhotoTimestampMs = (photo) => {
-  const parsedMs = parseTimestampMs(photo?.timestamp);
-  return Number.isFinite(parsedMs) ? parsedMs : 0;
-};
+// Capture time first, so photos queued offline sort where they were taken.
+const getPhotoTimestampMs = (photo) => getPhotoCaptureTimeMs(photo) || 0;
 
 const resolveQueuedUploadSourceUri = (item) => {
   const sourceUri = item?.payload?.localAssets?.sourceUri || item?.payload?.uri;
@@ -132,6 +134,13 @@ export default function PhotobookScreen({
 }) {
   const [photoQueueItems, setPhotoQueueItems] = useState([]);
   const [sortMode, setSortMode] = useState('newest');
+  const photoArchive = usePhotoArchive({ tourId });
+  const photoArchiveStatus = describePhotoArchiveJob(photoArchive.job);
+
+  const handlePhotoArchivePress = async () => {
+    const result = photoArchive.canDownload ? await photoArchive.download() : await photoArchive.start();
+    if (!result.success) Alert.alert('Photo download', result.error);
+  };
 
   // Image viewer state
   const [viewerVisible, setViewerVisible] = useState(false);
@@ -454,7 +463,7 @@ export default function PhotobookScreen({
         photoIndexById[photo.id] = index;
       }
 
-      const dateKey = formatPhotoDate(photo.timestamp, {
+      const dateKey = formatPhotoDate(getPhotoCaptureTimeMs(photo), {
         weekday: 'long',
         month: 'long',
         day: 'numeric',
@@ -489,7 +498,7 @@ export default function PhotobookScreen({
       dateKeys,
       photoIndexById,
       totalPhotos: visiblePhotos.length,
-      latestPhotoDate: formatPhotoDate(visiblePhotos[0]?.timestamp, { month: 'short', day: 'numeric' }),
+      latestPhotoDate: formatPhotoDate(getPhotoCaptureTimeMs(visiblePhotos[0]), { month: 'short', day: 'numeric' }),
     };
   }, [visiblePhotos]);
 
@@ -570,6 +579,7 @@ export default function PhotobookScreen({
       mediaTypes: ['images'],
       allowsEditing: false,
       quality: 0.8,
+      exif: true,
     });
 
     if (!result.canceled && result.assets?.[0]) {
@@ -596,6 +606,7 @@ export default function PhotobookScreen({
       mediaTypes: ['images'],
       allowsEditing: false,
       quality: 0.8,
+      exif: true,
     });
 
     if (!result.canceled && result.assets?.[0]) {
@@ -649,7 +660,8 @@ export default function PhotobookScreen({
           mimeType: pendingImage.mimeType || null,
         },
       }, { remote: true });
-      const optimized = await optimizeSourcePhotoForUpload(pendingImage);
+      const includeLocation = await getIncludePhotoLocation(auth?.currentUser?.uid);
+      const optimized = await optimizeSourcePhotoForUpload(pendingImage, { includeLocation });
       tracePrivatePhotos('upload_optimized', {
         uploadUri: summarizeUri(optimized?.uploadUri),
         metrics: optimized?.metrics || null,
@@ -690,6 +702,8 @@ export default function PhotobookScreen({
           },
           metadata: {
             caption: caption.trim(),
+            capturedAt: optimized.capture?.capturedAt ?? null,
+            captureLocation: optimized.capture?.captureLocation ?? null,
           },
           attemptCount: 0,
           lastError: null,
@@ -1036,7 +1050,29 @@ export default function PhotobookScreen({
         >
           <Text style={[styles.filterChipText, sortMode === 'oldest' && styles.filterChipTextActive]}>Oldest</Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterChip, styles.archiveChip, photoArchive.inProgress && styles.archiveChipBusy]}
+          onPress={handlePhotoArchivePress}
+          disabled={photoArchive.inProgress}
+          accessibilityRole="button"
+          accessibilityLabel={photoArchive.canDownload ? 'Download photo archive' : 'Download all my photos'}
+          accessibilityHint="Includes your private photos and the group photos you shared"
+        >
+          {photoArchive.inProgress ? (
+            <ActivityIndicator size="small" color={COLORS.primary} />
+          ) : (
+            <MaterialCommunityIcons
+              name={photoArchive.canDownload ? 'download' : 'folder-zip-outline'}
+              size={14}
+              color={COLORS.primary}
+            />
+          )}
+          <Text style={[styles.filterChipText, styles.filterChipTextActive]}>
+            {photoArchive.canDownload ? 'Download zip' : 'Download all'}
+          </Text>
+        </TouchableOpacity>
       </View>
+      {photoArchiveStatus ? <Text style={styles.archiveStatusText}>{photoArchiveStatus}</Text> : null}
 
       {/* Content */}
       {loadingPhotos ? (
@@ -1384,6 +1420,9 @@ const styles = StyleSheet.create({
   },
   filterChipText: { color: COLORS.textSecondary, fontSize: 12, fontWeight: '600' },
   filterChipTextActive: { color: COLORS.primary },
+  archiveChip: { marginLeft: 'auto', flexDirection: 'row', alignItems: 'center', gap: 4, borderColor: COLORS.primary },
+  archiveChipBusy: { opacity: 0.7 },
+  archiveStatusText: { marginHorizontal: SPACING.lg, marginBottom: SPACING.sm, fontSize: 12, color: COLORS.textSecondary },
   pendingSection: { marginBottom: SPACING.lg },
   pendingTitle: { marginHorizontal: SPACING.lg, marginBottom: SPACING.sm, fontSize: 14, fontWeight: '700', color: COLORS.textPrimary },
   pendingOverlay: { position: 'absolute', left: 0, right:0, bottom:0, backgroundColor:'rgba(0,0,0,0.55)', alignItems:'center', paddingVertical: 6 },
@@ -42,6 +42,10 @@ import {
 import logger, { maskIdentifier } from '../services/loggerService';
 import { resolveTourId } from '../services/tourIdentityService';
 import { parseTimestampMs } from '../services/timeUtils';
+import useI18n from '../hooks/useI18n';
+import FamilyLocationShareCard from '../components/FamilyLocationShareCard';
+import SafetyCheckInCard from '../components/SafetyCheckInCard';
+import i18n from '../services/i18nService';
 import { COLORS as THEME, SPACING, RADIUS, SHADOWS } from '../theme';
 
 const SOS_COUNTDOWN_SECONDS = 5;
@@ -51,6 +55,8 @@ const hasDialableDigits = (phone) => (
   (String(phone || '').match(/\d/g) || []).length >= MIN_DIALABLE_DIGITS
 );
 
+const isPlausibleEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+
 const getSafetyEventTimestampMs = (event) => {
   const parsed = parseTimestampMs(event?.timestamp || event?.queuedAt);
   return Number.isFinite(parsed) ? parsed : 0;
@@ -78,6 +84,7 @@ const COLORS = {
 
 // ==================== SOS BUTTON COMPONENT ====================
 const SOSButton = ({ onActivate, isActive, countdown, onCancel }) => {
+  const { t } = useI18n();
   const { width: windowWidth } = useWindowDimensions();
   const buttonSize = Math.min(188, Math.max(148, (windowWidth || 360) * 0.45));
   const glowSize = buttonSize + 28;
@@ -130,8 +137,8 @@ const SOSButton = ({ onActivate, isActive, countdown, onCancel }) => {
           <MaterialCommunityIcons name="shield-alert" size={24} color={COLORS.sosRed} />
         </View>
         <View style={styles.sosCardHeaderText}>
-          <Text style={styles.sosEyebrow}>Emergency options</Text>
-          <Text style={styles.sosTitle}>Need urgent help?</Text>
+          <Text style={styles.sosEyebrow}>{t('safety.sos.eyebrow')}</Text>
+          <Text style={styles.sosTitle}>{t('safety.sos.title')}</Text>
         </View>
       </View>
 
@@ -165,8 +172,8 @@ const SOSButton = ({ onActivate, isActive, countdown, onCancel }) => {
             onPress={isActive ? onCancel : undefined}
             delayLongPress={500}
             activeOpacity={0.9}
-            accessibilityLabel={isActive ? 'Cancel SOS countdown' : 'Hold for SOS emergency options'}
-            accessibilityHint="The app opens emergency options and does not call 999 automatically."
+            accessibilityLabel={isActive ? t('safety.sos.cancelA11y') : t('safety.sos.holdA11y')}
+            accessibilityHint={t('safety.sos.hintA11y')}
             accessibilityRole="button"
           >
             <LinearGradient
@@ -189,7 +196,7 @@ const SOSButton = ({ onActivate, isActive, countdown, onCancel }) => {
                     numberOfLines={1}
                     adjustsFontSizeToFit
                   >
-                    Tap to cancel
+                    {t('safety.sos.tapToCancel')}
                   </Text>
                 </View>
               ) : (
@@ -199,7 +206,7 @@ const SOSButton = ({ onActivate, isActive, countdown, onCancel }) => {
                     style={styles.sosText}
                     numberOfLines={1}
                   >
-                    SOS
+                    {t('safety.sos.label')}
                   </Text>
                 </View>
               )}
@@ -214,12 +221,12 @@ const SOSButton = ({ onActivate, isActive, countdown, onCancel }) => {
             <MaterialCommunityIcons name="gesture-tap-hold" size={18} color={COLORS.sosRed} />
           </View>
           <Text style={styles.sosHelpText}>
-            Hold SOS for emergency call options. The app attempts to attach your location, but does not contact 999 automatically.
+            {t('safety.sos.help')}
           </Text>
         </View>
       ) : (
         <Text style={styles.sosActiveText}>
-          Emergency options will open when the countdown reaches zero.
+          {t('safety.sos.countingDown')}
         </Text>
       )}
     </View>
@@ -251,8 +258,10 @@ const ContactButton = ({ icon, label, sublabel, onPress, color = COLORS.primary,
 
 // ==================== ISSUE PRESET BUTTON COMPONENT ====================
 const IssuePresetButton = ({ preset, onPress, isLoading, isSelected }) => {
+  const { t } = useI18n();
   const meta = CATEGORY_META[preset];
   if (!meta) return null;
+  const title = t(`safety.categories.${preset}.title`);
 
   return (
     <TouchableOpacity
@@ -263,15 +272,15 @@ const IssuePresetButton = ({ preset, onPress, isLoading, isSelected }) => {
       }}
       disabled={isLoading}
       activeOpacity={0.8}
-      accessibilityLabel={meta.title}
+      accessibilityLabel={title}
       accessibilityRole="button"
     >
       <View style={[styles.issueIconCircle, { backgroundColor: `${meta.color}15` }]}>
         <MaterialCommunityIcons name={meta.icon} size={22} color={meta.color} />
       </View>
       <View style={styles.issueTextContainer}>
-        <Text style={styles.issueTitle}>{meta.title}</Text>
-        <Text style={styles.issueDescription}>{meta.description}</Text>
+        <Text style={styles.issueTitle}>{title}</Text>
+        <Text style={styles.issueDescription}>{t(`safety.categories.${preset}.description`)}</Text>
       </View>
       {isLoading ? (
         <ActivityIndicator size="small" color={COLORS.primary} />
@@ -287,43 +296,47 @@ const IssuePresetButton = ({ preset, onPress, isLoading, isSelected }) => {
 };
 
 // ==================== SEVERITY SELECTOR COMPONENT ====================
-const SeveritySelector = ({ selected, onSelect }) => (
-  <View style={styles.severityContainer}>
-    <Text style={styles.severityLabel}>Urgency Level</Text>
-    <View style={styles.severityOptions}>
-      {Object.entries(SEVERITY_META).map(([key, meta]) => (
-        <TouchableOpacity
-          key={key}
-          style={[
-            styles.severityOption,
-            selected === key && { backgroundColor: `${meta.color}20`, borderColor: meta.color },
-          ]}
-          onPress={() => {
-            if (Platform.OS === 'ios') Haptics.selectionAsync();
-            onSelect(key);
-          }}
-          activeOpacity={0.7}
-          accessibilityLabel={meta.label}
-          accessibilityRole="button"
-        >
-          <MaterialCommunityIcons
-            name={meta.icon}
-            size={18}
-            color={selected === key ? meta.color : COLORS.textMuted}
-          />
-          <Text
+const SeveritySelector = ({ selected, onSelect }) => {
+  const { t } = useI18n();
+
+  return (
+    <View style={styles.severityContainer}>
+      <Text style={styles.severityLabel}>{t('safety.severity.title')}</Text>
+      <View style={styles.severityOptions}>
+        {Object.entries(SEVERITY_META).map(([key, meta]) => (
+          <TouchableOpacity
+            key={key}
             style={[
-              styles.severityText,
-              selected === key && { color: meta.color, fontWeight: '700' },
+              styles.severityOption,
+              selected === key && { backgroundColor: `${meta.color}20`, borderColor: meta.color },
             ]}
+            onPress={() => {
+              if (Platform.OS === 'ios') Haptics.selectionAsync();
+              onSelect(key);
+            }}
+            activeOpacity={0.7}
+            accessibilityLabel={t(`safety.severity.${key}`)}
+            accessibilityRole="button"
           >
-            {meta.label}
-          </Text>
-        </TouchableOpacity>
-      ))}
+            <MaterialCommunityIcons
+              name={meta.icon}
+              size={18}
+              color={selected === key ? meta.color : COLORS.textMuted}
+            />
+            <Text
+              style={[
+                styles.severityText,
+                selected === key && { color: meta.color, fontWeight: '700' },
+              ]}
+            >
+              {t(`safety.severity.${key}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
     </View>
-  </View>
-);
+  );
+};
 
 // ==================== LIVE LOCATION CARD COMPONENT ====================
 const LiveLocationCard = ({
@@ -333,12 +346,13 @@ const LiveLocationCard = ({
   accuracy,
   isUpdating,
 }) => {
+  const { t } = useI18n();
   const getAccuracyLabel = () => {
-    if (!accuracy) return { text: 'Unknown', color: COLORS.textMuted };
-    if (accuracy <= 10) return { text: 'Excellent', color: COLORS.success };
-    if (accuracy <= 30) return { text: 'Good', color: COLORS.primary };
-    if (accuracy <= 100) return { text: 'Fair', color: COLORS.warning };
-    return { text: 'Poor', color: COLORS.error };
+    if (!accuracy) return { text: t('safety.location.accuracy.unknown'), color: COLORS.textMuted };
+    if (accuracy <= 10) return { text: t('safety.location.accuracy.excellent'), color: COLORS.success };
+    if (accuracy <= 30) return { text: t('safety.location.accuracy.good'), color: COLORS.primary };
+    if (accuracy <= 100) return { text: t('safety.location.accuracy.fair'), color: COLORS.warning };
+    return { text: t('safety.location.accuracy.poor'), color: COLORS.error };
   };
 
   const accuracyInfo = getAccuracyLabel();
@@ -354,11 +368,11 @@ const LiveLocationCard = ({
           />
         </View>
         <View style={styles.liveLocationTextContainer}>
-          <Text style={styles.liveLocationTitle}>Live Location Sharing</Text>
+          <Text style={styles.liveLocationTitle}>{t('safety.location.title')}</Text>
           <Text style={styles.liveLocationSubtitle}>
             {isSharing
-              ? 'Shared with operations while this screen is open'
-              : 'Share with operations while this screen is open'}
+              ? t('safety.location.sharing')
+              : t('safety.location.notSharing')}
           </Text>
         </View>
         {isUpdating ? (
@@ -369,7 +383,7 @@ const LiveLocationCard = ({
             onValueChange={onToggle}
             trackColor={{ true: COLORS.success, false: COLORS.border }}
             thumbColor={COLORS.white}
-            accessibilityLabel="Share live location with operations while this screen is open"
+            accessibilityLabel={t('safety.location.toggleA11y')}
           />
         )}
       </View>
@@ -378,18 +392,18 @@ const LiveLocationCard = ({
         <View style={styles.liveLocationStatus}>
           <View style={styles.liveLocationStatusItem}>
             <View style={[styles.statusDot, { backgroundColor: COLORS.success }]} />
-            <Text style={styles.statusText}>Active</Text>
+            <Text style={styles.statusText}>{t('safety.location.active')}</Text>
           </View>
           <View style={styles.liveLocationStatusItem}>
             <MaterialCommunityIcons name="crosshairs-gps" size={14} color={accuracyInfo.color} />
             <Text style={[styles.statusText, { color: accuracyInfo.color }]}>
-              {accuracyInfo.text} ({Math.round(accuracy || 0)}m)
+              {t('safety.location.accuracyValue', { label: accuracyInfo.text, meters: Math.round(accuracy || 0) })}
             </Text>
           </View>
           {lastUpdate && (
             <View style={styles.liveLocationStatusItem}>
               <MaterialCommunityIcons name="clock-outline" size={14} color={COLORS.textMuted} />
-              <Text style={styles.statusText}>Updated just now</Text>
+              <Text style={styles.statusText}>{t('sync.updatedJustNow')}</Text>
             </View>
           )}
         </View>
@@ -399,31 +413,36 @@ const LiveLocationCard = ({
 };
 
 // ==================== TRUSTED CONTACT COMPONENT ====================
-const TrustedContactItem = ({ contact, onRemove, onCall }) => (
-  <View style={styles.trustedContactItem}>
-    <View style={styles.trustedContactIcon}>
-      <MaterialCommunityIcons name="account-heart" size={20} color={COLORS.primary} />
-    </View>
-    <View style={styles.trustedContactInfo}>
-      <Text style={styles.trustedContactName}>{contact.name}</Text>
-      <Text style={styles.trustedContactPhone}>{contact.phone}</Text>
+const TrustedContactItem = ({ contact, onRemove, onCall }) => {
+  const { t } = useI18n();
+
+  return (
+    <View style={styles.trustedContactItem}>
+      <View style={styles.trustedContactIcon}>
+        <MaterialCommunityIcons name="account-heart" size={20} color={COLORS.primary} />
+      </View>
+      <View style={styles.trustedContactInfo}>
+        <Text style={styles.trustedContactName}>{contact.name}</Text>
+        <Text style={styles.trustedContactPhone}>{contact.phone}</Text>
+        {contact.email ? <Text style={styles.trustedContactPhone}>{contact.email}</Text> : null}
+      </View>
+      <TouchableOpacity
+        style={styles.trustedContactAction}
+        onPress={() => onCall(contact.phone)}
+        accessibilityLabel={t('safety.contacts.callA11y', { name: contact.name })}
+      >
+        <MaterialCommunityIcons name="phone" size={18} color={COLORS.success} />
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.trustedContactAction}
+        onPress={() => onRemove(contact.id)}
+        accessibilityLabel={t('safety.contacts.removeA11y', { name: contact.name })}
+      >
+        <MaterialCommunityIcons name="close" size={18} color={COLORS.error} />
+      </TouchableOpacity>
     </View>
-    <TouchableOpacity
-      style={styles.trustedContactAction}
-      onPress={() => onCall(contact.phone)}
-      accessibilityLabel={`Call ${contact.name}`}
-    >
-      <MaterialCommunityIcons name="phone" size={18} color={COLORS.success} />
-    </TouchableOpacity>
-    <TouchableOpacity
-      style={styles.trustedContactAction}
-      onPress={() => onRemove(contact.id)}
-      accessibilityLabel={`Remove ${contact.name}`}
-    >
-      <MaterialCommunityIcons name="close" size={18} color={COLORS.error} />
-    </TouchableOpacity>
-  </View>
-);
+  );
+};
 
 // ==================== SAFETY TIP COMPONENT ====================
 const SafetyTip = ({ icon, title, description, color = COLORS.primary }) => (
@@ -440,20 +459,15 @@ const SafetyTip = ({ icon, title, description, color = COLORS.primary }) => (
 
 // ==================== HISTORY ITEM COMPONENT ====================
 const HistoryItem = ({ event }) => {
+  const { t, formatDate: formatLocaleDate } = useI18n();
   const meta = CATEGORY_META[event.category] || {};
   const severityMeta = SEVERITY_META[event.severity] || {};
   const isQueued = Boolean(event.isQueued);
 
   const formatDate = (timestamp) => {
     const parsedMs = parseTimestampMs(timestamp);
-    if (!Number.isFinite(parsedMs)) return 'Unknown time';
-    const date = new Date(parsedMs);
-    return date.toLocaleDateString(undefined, {
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+    if (!Number.isFinite(parsedMs)) return t('safety.history.unknownTime');
+    return formatLocaleDate(parsedMs, 'dateTime');
   };
 
   return (
@@ -466,7 +480,9 @@ const HistoryItem = ({ event }) => {
         />
       </View>
       <View style={styles.historyContent}>
-        <Text style={styles.historyTitle}>{meta.title || 'Report'}</Text>
+        <Text style={styles.historyTitle}>
+          {meta.title ? t(`safety.categories.${event.category}.title`) : t('safety.history.report')}
+        </Text>
         <Text style={styles.historyDate}>{formatDate(event.timestamp || event.queuedAt)}</Text>
       </View>
       <View
@@ -481,7 +497,9 @@ const HistoryItem = ({ event }) => {
             { color: isQueued ? COLORS.warning : severityMeta.color || COLORS.textMuted },
           ]}
         >
-          {isQueued ? 'Queued' : severityMeta.label || 'Unknown'}
+          {isQueued
+            ? t('safety.history.queued')
+            : severityMeta.label ? t(`safety.severity.${event.severity}`) : t('safety.history.unknownSeverity')}
         </Text>
       </View>
     </View>
@@ -497,7 +515,9 @@ export default function SafetySupportScreen({
   principalId,
   mode = 'passenger',
   isConnected = true,
+  checkIn = null,
 }) {
+  const { t } = useI18n();
   // Core state
   const [includeLocation, setIncludeLocation] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -545,6 +565,7 @@ export default function SafetySupportScreen({
   const [showAddContactModal, setShowAddContactModal] = useState(false);
   const [newContactName, setNewContactName] = useState('');
   const [newContactPhone, setNewContactPhone] = useState('');
+  const [newContactEmail, setNewContactEmail] = useState('');
   const [contactSaving, setContactSaving] = useState(false);
 
   // Report modal state
@@ -643,8 +664,8 @@ export default function SafetySupportScreen({
         });
         if (processed > 0) {
           Alert.alert(
-            'Reports Synced',
-            `${processed} pending safety report(s) have been submitted.`
+            i18n.t('safety.alerts.reportsSyncedTitle'),
+            i18n.t('safety.alerts.reportsSyncedMessage', { count: processed })
           );
         }
         await checkOfflineQueue();
@@ -675,13 +696,13 @@ export default function SafetySupportScreen({
   const openDialer = async (phone) => {
     if (!phone) {
       logger.warn('SafetySupportScreen', 'Dialer blocked without phone', { mode, tourId });
-      Alert.alert('Contact unavailable', 'No phone number is configured for this tour.');
+      Alert.alert(t('safety.alerts.contactUnavailable'), t('safety.alerts.noPhone'));
       return;
     }
     const sanitized = phone.replace(/[^+\d]/g, '');
     if (!sanitized || !hasDialableDigits(sanitized)) {
       logger.warn('SafetySupportScreen', 'Dialer blocked with invalid phone', { mode, tourId });
-      Alert.alert('Contact unavailable', 'No valid phone number is configured for this tour.');
+      Alert.alert(t('safety.alerts.contactUnavailable'), t('safety.alerts.noValidPhone'));
       return;
     }
     logger.info('SafetySupportScreen', 'Dialer opened', {
@@ -698,7 +719,7 @@ export default function SafetySupportScreen({
         phoneLength: sanitized.length,
         error: error?.message || String(error),
       });
-      Alert.alert('Could not open phone app', `Please dial ${sanitized} manually if this is urgent.`);
+      Alert.alert(t('safety.alerts.dialerFailedTitle'), t('safety.alerts.dialerFailedMessage', { phone: sanitized }));
     }
   };
 
@@ -709,12 +730,12 @@ export default function SafetySupportScreen({
       userId: maskIdentifier(userId),
     });
     Alert.alert(
-      'Call emergency services?',
-      'Only continue for an extreme emergency requiring immediate police, fire, or ambulance response.',
+      t('safety.emergency.confirmTitle'),
+      t('safety.emergency.confirmMessage'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: `Call ${emergencyNumber}`,
+          text: t('safety.emergency.callNumber', { number: emergencyNumber }),
           style: 'destructive',
           onPress: () => openDialer(emergencyNumber),
         },
@@ -728,7 +749,7 @@ export default function SafetySupportScreen({
       logger.warn('SafetySupportScreen', 'Driver callback request blocked without tour id', {
         userId: maskIdentifier(userId),
       });
-      Alert.alert('Unavailable', 'We could not find your tour right now. Please contact operations.');
+      Alert.alert(t('safety.alerts.unavailable'), t('safety.alerts.tourNotFound'));
       return;
     }
 
@@ -763,10 +784,10 @@ export default function SafetySupportScreen({
         queued: Boolean(result.queued),
       });
       Alert.alert(
-        result.queued ? 'Callback request saved' : 'Callback requested',
+        result.queued ? t('safety.callback.savedTitle') : t('safety.callback.sentTitle'),
         result.queued
-          ? 'Your request is stored on this device and will be sent to the driver team when you reconnect.'
-          : 'Your request was securely received for the assigned driver team. Please keep your phone nearby.'
+          ? t('safety.callback.savedMessage')
+          : t('safety.callback.sentMessage')
       );
       return;
     }
@@ -776,8 +797,8 @@ export default function SafetySupportScreen({
       error: result?.error || 'unknown',
     });
     Alert.alert(
-      'Could not send request',
-      'Please try again, or contact operations directly if this is urgent.'
+      t('safety.callback.failedTitle'),
+      t('safety.callback.failedMessage')
     );
   };
 
@@ -785,7 +806,7 @@ export default function SafetySupportScreen({
     const sanitized = typeof phone === 'string' ? phone.replace(/[^+\d]/g, '') : '';
     if (!sanitized || !hasDialableDigits(sanitized)) {
       logger.warn('SafetySupportScreen', 'Emergency SMS blocked with invalid phone', { tourId });
-      Alert.alert('Contact unavailable', 'No valid SMS number is available for this contact.');
+      Alert.alert(t('safety.alerts.contactUnavailable'), t('safety.alerts.noValidSms'));
       return;
     }
 
@@ -803,7 +824,7 @@ export default function SafetySupportScreen({
         phoneLength: sanitized.length,
         error: error?.message || String(error),
       });
-      Alert.alert('Could not open messages', 'Please try again, or contact this person manually if it is urgent.');
+      Alert.alert(t('safety.alerts.smsFailedTitle'), t('safety.alerts.smsFailedMessage'));
     }
   };
 
@@ -906,27 +927,27 @@ export default function SafetySupportScreen({
       : null;
     const emergencyActions = [
       {
-        text: `Call ${emergencyNumber}`,
+        text: t('safety.emergency.callNumber', { number: emergencyNumber }),
         style: 'destructive',
         onPress: () => confirmEmergencyCall(),
       },
       {
-        text: 'Call Operations',
+        text: t('safety.emergency.callOperations'),
         onPress: () => openDialer(operationsNumber),
       },
     ];
 
     if (primaryContact) {
       emergencyActions.push({
-        text: `Text ${primaryContact.name}`,
+        text: t('safety.emergency.textContact', { name: primaryContact.name }),
         onPress: () => sendSMS(primaryContact.phone, smsMessage),
       });
     }
-    emergencyActions.push({ text: 'Cancel', style: 'cancel' });
+    emergencyActions.push({ text: t('common.cancel'), style: 'cancel' });
 
     Alert.alert(
-      'Emergency options',
-      `This app does not notify emergency services for you. If you need urgent help, call ${emergencyNumber} now.`,
+      t('safety.sos.eyebrow'),
+      t('safety.emergency.optionsMessage', { number: emergencyNumber }),
       emergencyActions
     );
 
@@ -973,7 +994,7 @@ export default function SafetySupportScreen({
         hasTourId: Boolean(tourId),
         hasUserId: Boolean(userId),
       });
-      Alert.alert('Location sharing unavailable', 'We could not identify this tour session. Please reconnect or contact operations.');
+      Alert.alert(t('safety.location.unavailableTitle'), t('safety.location.unavailableMessage'));
       return;
     }
     setLiveLocationUpdating(true);
@@ -989,7 +1010,7 @@ export default function SafetySupportScreen({
         if (!mountedRef.current) return;
         if (status !== 'granted') {
           logger.warn('SafetySupportScreen', 'Live location permission denied', { tourId, status });
-          Alert.alert('Permission Denied', 'Location permission is required for live sharing.');
+          Alert.alert(t('safety.location.permissionDeniedTitle'), t('safety.location.permissionDeniedMessage'));
           setLiveLocationUpdating(false);
           return;
         }
@@ -1077,7 +1098,7 @@ export default function SafetySupportScreen({
           userId: maskIdentifier(userId),
           error: error?.message || String(error),
         });
-        Alert.alert('Error', 'Could not start location sharing. Please try again.');
+        Alert.alert(t('common.error'), t('safety.location.startFailed'));
       }
     } else {
       try {
@@ -1107,7 +1128,7 @@ export default function SafetySupportScreen({
             tourId,
             userId: maskIdentifier(userId),
           });
-          Alert.alert('Location sharing stopped', 'Sharing was stopped on this device, but we could not update the server right now.');
+          Alert.alert(t('safety.location.stoppedTitle'), t('safety.location.stoppedMessage'));
         }
       } catch (error) {
         if (mountedRef.current) {
@@ -1121,7 +1142,7 @@ export default function SafetySupportScreen({
           error: error?.message || String(error),
         });
         if (mountedRef.current) {
-          Alert.alert('Location sharing stopped', 'Sharing was stopped on this device, but we could not update the server right now.');
+          Alert.alert(t('safety.location.stoppedTitle'), t('safety.location.stoppedMessage'));
         }
       }
     }
@@ -1220,12 +1241,12 @@ export default function SafetySupportScreen({
       }
 
       Alert.alert(
-        submission.queued ? 'Report Saved for Retry' : 'Report Submitted',
+        submission.queued ? t('safety.report.savedTitle') : t('safety.report.submittedTitle'),
         submission.queued
-          ? 'Your report is safely stored on this device and will be submitted when the connection is available.'
-          : 'Your report was securely received. Operations and the assigned driver team can now review it.',
+          ? t('safety.report.savedMessage')
+          : t('safety.report.submittedMessage'),
         [{
-          text: 'OK',
+          text: t('common.ok'),
           onPress: () => {
             setShowReportModal(false);
             setSelectedCategory(null);
@@ -1246,8 +1267,8 @@ export default function SafetySupportScreen({
       });
       if (mountedRef.current) {
         Alert.alert(
-          'Report Not Saved',
-          'The report could not be submitted or stored on this device. Please try again or call operations directly.'
+          t('safety.report.failedTitle'),
+          t('safety.report.failedMessage')
         );
       }
     } finally {
@@ -1265,14 +1286,19 @@ export default function SafetySupportScreen({
         hasName: Boolean(newContactName.trim()),
         hasPhone: Boolean(newContactPhone.trim()),
       });
-      Alert.alert('Required', 'Please enter both name and phone number.');
+      Alert.alert(t('safety.contacts.requiredTitle'), t('safety.contacts.requiredMessage'));
       return;
     }
     if (!hasDialableDigits(newContactPhone)) {
       logger.warn('SafetySupportScreen', 'Trusted contact add blocked by invalid phone', {
         phoneLength: newContactPhone.replace(/[^+\d]/g, '').length,
       });
-      Alert.alert('Invalid phone number', 'Please enter a valid phone number including area or country code.');
+      Alert.alert(t('safety.contacts.invalidPhoneTitle'), t('safety.contacts.invalidPhoneMessage'));
+      return;
+    }
+    if (newContactEmail.trim() && !isPlausibleEmail(newContactEmail)) {
+      logger.warn('SafetySupportScreen', 'Trusted contact add blocked by invalid email');
+      Alert.alert(t('safety.contacts.invalidEmailTitle'), t('safety.contacts.invalidEmailMessage'));
       return;
     }
 
@@ -1285,12 +1311,14 @@ export default function SafetySupportScreen({
       await addTrustedContact(safetyPrincipalId, {
         name: newContactName.trim(),
         phone: newContactPhone.trim(),
+        email: newContactEmail.trim(),
       });
       await loadTrustedContacts();
       if (!mountedRef.current) return;
       setShowAddContactModal(false);
       setNewContactName('');
       setNewContactPhone('');
+      setNewContactEmail('');
       if (Platform.OS === 'ios') {
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
       }
@@ -1302,10 +1330,10 @@ export default function SafetySupportScreen({
         error: error?.message || String(error),
       });
       Alert.alert(
-        error?.code === 'TRUSTED_CONTACT_LIMIT' ? 'Contact limit reached' : 'Contact not saved',
+        error?.code === 'TRUSTED_CONTACT_LIMIT' ? t('safety.contacts.limitTitle') : t('safety.contacts.notSavedTitle'),
         error?.code === 'TRUSTED_CONTACT_LIMIT'
           ? error.message
-          : 'This contact could not be stored safely on this device. Please try again.',
+          : t('safety.contacts.notSavedMessage'),
       );
     } finally {
       if (mountedRef.current) setContactSaving(false);
@@ -1317,12 +1345,12 @@ export default function SafetySupportScreen({
       contactId: maskIdentifier(contactId),
     });
     Alert.alert(
-      'Remove Contact',
-      'Are you sure you want to remove this emergency contact?',
+      t('safety.contacts.removeTitle'),
+      t('safety.contacts.removeMessage'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('safety.contacts.remove'),
           style: 'destructive',
           onPress: async () => {
             try {
@@ -1338,7 +1366,7 @@ export default function SafetySupportScreen({
                 contactId: maskIdentifier(contactId),
                 error: error?.message || String(error),
               });
-              Alert.alert('Contact not removed', 'The change could not be stored on this device. Please try again.');
+              Alert.alert(t('safety.contacts.notRemovedTitle'), t('safety.contacts.notRemovedMessage'));
             }
           },
         },
@@ -1378,7 +1406,7 @@ export default function SafetySupportScreen({
         error: error?.message || String(error),
       });
       if (mountedRef.current && requestSeq === historyRequestSeqRef.current) {
-        Alert.alert('History unavailable', 'Could not load safety history right now. Please try again.');
+        Alert.alert(t('safety.history.unavailableTitle'), t('safety.history.unavailableMessage'));
       }
     } finally {
       if (mountedRef.current && requestSeq === historyRequestSeqRef.current) {
@@ -1404,17 +1432,17 @@ export default function SafetySupportScreen({
               logger.info('SafetySupportScreen', 'Back navigation requested', { tourId, mode });
               onBack();
             }}
-            accessibilityLabel="Go back"
+            accessibilityLabel={t('common.goBack')}
             accessibilityRole="button"
           >
             <MaterialCommunityIcons name="chevron-left" size={28} color={COLORS.primary} />
-            <Text style={styles.backText}>Back</Text>
+            <Text style={styles.backText}>{t('common.back')}</Text>
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>Safety & Support</Text>
+          <Text style={styles.headerTitle}>{t('safety.title')}</Text>
           <TouchableOpacity
             style={styles.historyButton}
             onPress={loadHistory}
-            accessibilityLabel="View history"
+            accessibilityLabel={t('safety.history.viewA11y')}
             accessibilityRole="button"
           >
             <MaterialCommunityIcons name="history" size={22} color={COLORS.primary} />
@@ -1461,22 +1489,22 @@ export default function SafetySupportScreen({
                 <MaterialCommunityIcons name="phone-ring" size={22} color={COLORS.success} />
               </View>
               <View style={styles.cardHeaderText}>
-                <Text style={styles.cardTitle}>Emergency Contacts</Text>
-                <Text style={styles.cardSubtitle}>Get help with one tap</Text>
+                <Text style={styles.cardTitle}>{t('safety.emergencyContacts.title')}</Text>
+                <Text style={styles.cardSubtitle}>{t('safety.emergencyContacts.subtitle')}</Text>
               </View>
             </View>
 
             <View style={styles.contactsGrid}>
               <ContactButton
                 icon="hospital-box"
-                label="Emergency"
+                label={t('safety.emergencyContacts.emergency')}
                 sublabel={emergencyNumber}
                 onPress={confirmEmergencyCall}
                 color={COLORS.error}
               />
               <ContactButton
                 icon="headset"
-                label="Operations"
+                label={t('safety.emergencyContacts.operations')}
                 sublabel={operationsNumber}
                 onPress={() => openDialer(operationsNumber)}
                 color={COLORS.primary}
@@ -1484,8 +1512,8 @@ export default function SafetySupportScreen({
               {!isDriver && (
                 <ContactButton
                   icon="phone-in-talk"
-                  label="Driver"
-                  sublabel={requestingDriverCall ? 'Requesting...' : 'Request callback'}
+                  label={t('common.driver')}
+                  sublabel={requestingDriverCall ? t('safety.callback.requesting') : t('safety.callback.request')}
                   onPress={handleRequestDriverCall}
                   color={COLORS.accent}
                 />
@@ -1502,6 +1530,18 @@ export default function SafetySupportScreen({
             isUpdating={liveLocationUpdating}
           />
 
+          {!isDriver && (
+            <FamilyLocationShareCard
+              tourId={tourId}
+              displayName={bookingData?.passengerNames?.[0] || ''}
+              isSharingLocation={liveLocationSharing}
+            />
+          )}
+
+          {!isDriver && checkIn?.enabled && (
+            <SafetyCheckInCard checkIn={checkIn} tourData={tourData} />
+          )}
+
           {/* Report Issues Card */}
           <View style={styles.card}>
             <View style={styles.cardHeader}>
@@ -1509,20 +1549,20 @@ export default function SafetySupportScreen({
                 <MaterialCommunityIcons name="alert-decagram" size={22} color={COLORS.accent} />
               </View>
               <View style={styles.cardHeaderText}>
-                <Text style={styles.cardTitle}>Report an Issue</Text>
-                <Text style={styles.cardSubtitle}>Select the type of issue you're experiencing</Text>
+                <Text style={styles.cardTitle}>{t('safety.report.sectionTitle')}</Text>
+                <Text style={styles.cardSubtitle}>{t('safety.report.sectionSubtitle')}</Text>
               </View>
             </View>
 
             <View style={styles.locationToggle}>
               <MaterialCommunityIcons name="map-marker" size={18} color={COLORS.primary} />
-              <Text style={styles.locationToggleText}>Include my location</Text>
+              <Text style={styles.locationToggleText}>{t('safety.report.includeLocation')}</Text>
               <Switch
                 value={includeLocation}
                 onValueChange={setIncludeLocation}
                 trackColor={{ true: COLORS.primary, false: COLORS.border }}
                 thumbColor={COLORS.white}
-                accessibilityLabel="Include my location with this safety report"
+                accessibilityLabel={t('safety.report.includeLocationA11y')}
               />
             </View>
 
@@ -1546,13 +1586,13 @@ export default function SafetySupportScreen({
                 <MaterialCommunityIcons name="account-group" size={22} color={COLORS.primary} />
               </View>
               <View style={styles.cardHeaderText}>
-                <Text style={styles.cardTitle}>Trusted Contacts</Text>
-                <Text style={styles.cardSubtitle}>People who can help in an emergency</Text>
+                <Text style={styles.cardTitle}>{t('safety.contacts.title')}</Text>
+                <Text style={styles.cardSubtitle}>{t('safety.contacts.subtitle')}</Text>
               </View>
               <TouchableOpacity
                 style={styles.addContactButton}
                 onPress={() => setShowAddContactModal(true)}
-                accessibilityLabel="Add contact"
+                accessibilityLabel={t('safety.contacts.addA11y')}
                 accessibilityRole="button"
               >
                 <MaterialCommunityIcons name="plus" size={20} color={COLORS.white} />
@@ -1563,7 +1603,7 @@ export default function SafetySupportScreen({
               <View style={styles.emptyContacts}>
                 <MaterialCommunityIcons name="account-plus" size={32} color={COLORS.textMuted} />
                 <Text style={styles.emptyContactsText}>
-                  Add trusted contacts who can be notified in an emergency
+                  {t('safety.contacts.empty')}
                 </Text>
               </View>
             ) : (
@@ -1586,15 +1626,15 @@ export default function SafetySupportScreen({
               style={styles.tipsHeader}
               onPress={() => setTipsExpanded(!tipsExpanded)}
               activeOpacity={0.8}
-              accessibilityLabel={tipsExpanded ? 'Collapse tips' : 'Expand tips'}
+              accessibilityLabel={tipsExpanded ? t('safety.tips.collapseA11y') : t('safety.tips.expandA11y')}
               accessibilityRole="button"
             >
               <View style={[styles.cardIconCircle, { backgroundColor: `${COLORS.primary}15` }]}>
                 <MaterialCommunityIcons name="lightbulb-on" size={22} color={COLORS.primary} />
               </View>
               <View style={styles.cardHeaderText}>
-                <Text style={styles.cardTitle}>Safety Tips</Text>
-                <Text style={styles.cardSubtitle}>Stay safe during your tour</Text>
+                <Text style={styles.cardTitle}>{t('safety.tips.title')}</Text>
+                <Text style={styles.cardSubtitle}>{t('safety.tips.subtitle')}</Text>
               </View>
               <MaterialCommunityIcons
                 name={tipsExpanded ? 'chevron-up' : 'chevron-down'}
@@ -1607,40 +1647,40 @@ export default function SafetySupportScreen({
               <View style={styles.tipsContent}>
                 <SafetyTip
                   icon="account-group"
-                  title="Stay with your group"
-                  description="Always remain with your tour group at stops and attractions."
+                  title={t('safety.tips.group.title')}
+                  description={t('safety.tips.group.description')}
                   color={COLORS.primary}
                 />
                 <SafetyTip
                   icon="bag-personal"
-                  title="Secure your belongings"
-                  description="Keep valuables close and be aware of your surroundings."
+                  title={t('safety.tips.belongings.title')}
+                  description={t('safety.tips.belongings.description')}
                   color={COLORS.accent}
                 />
                 <SafetyTip
                   icon="map-marker-check"
-                  title="Know meeting points"
-                  description="Confirm pickup locations and times with your driver."
+                  title={t('safety.tips.meetingPoints.title')}
+                  description={t('safety.tips.meetingPoints.description')}
                   color={COLORS.success}
                 />
                 <SafetyTip
                   icon="phone-check"
-                  title="Keep phone charged"
-                  description="Ensure your phone has battery for emergencies."
+                  title={t('safety.tips.phone.title')}
+                  description={t('safety.tips.phone.description')}
                   color={COLORS.warning}
                 />
                 {isDriver && (
                   <>
                     <SafetyTip
                       icon="weather-cloudy-alert"
-                      title="Monitor conditions"
-                      description="Stay aware of weather and road conditions."
+                      title={t('safety.tips.conditions.title')}
+                      description={t('safety.tips.conditions.description')}
                       color="#0284C7"
                     />
                     <SafetyTip
                       icon="clock-alert"
-                      title="Report delays early"
-                      description="Notify operations of any delays as soon as possible."
+                      title={t('safety.tips.delays.title')}
+                      description={t('safety.tips.delays.description')}
                       color={COLORS.error}
                     />
                   </>
@@ -1654,7 +1694,7 @@ export default function SafetySupportScreen({
             <View style={styles.tourInfoCard}>
               <MaterialCommunityIcons name="bus" size={18} color={COLORS.textMuted} />
               <Text style={styles.tourInfoText}>
-                Tour: {tourData.name || tourData.tourCode || 'Unknown'}
+                {t('safety.tourInfo', { name: tourData.name || tourData.tourCode || t('safety.history.unknownSeverity') })}
               </Text>
             </View>
           )}
@@ -1677,11 +1717,13 @@ export default function SafetySupportScreen({
           <View style={styles.modalContent}>
             <View style={styles.modalHeader}>
               <Text style={styles.modalTitle}>
-                {CATEGORY_META[selectedCategory]?.title || 'Report Issue'}
+                {CATEGORY_META[selectedCategory]
+                  ? t(`safety.categories.${selectedCategory}.title`)
+                  : t('safety.report.modalTitle')}
               </Text>
               <TouchableOpacity
                 onPress={() => setShowReportModal(false)}
-                accessibilityLabel="Close"
+                accessibilityLabel={t('common.close')}
                 accessibilityRole="button"
               >
                 <MaterialCommunityIcons name="close" size={24} color={COLORS.textMuted} />
@@ -1690,7 +1732,7 @@ export default function SafetySupportScreen({
 
             <View style={styles.modalBody}>
               <Text style={styles.modalDescription}>
-                {CATEGORY_META[selectedCategory]?.description}
+                {CATEGORY_META[selectedCategory] ? t(`safety.categories.${selectedCategory}.description`) : null}
               </Text>
 
               <SeveritySelector
@@ -1698,10 +1740,10 @@ export default function SafetySupportScreen({
                 onSelect={setSelectedSeverity}
               />
 
-              <Text style={styles.inputLabel}>Additional Details (Optional)</Text>
+              <Text style={styles.inputLabel}>{t('safety.report.detailsLabel')}</Text>
               <TextInput
                 style={styles.textInput}
-                placeholder="Describe the issue..."
+                placeholder={t('safety.report.detailsPlaceholder')}
                 placeholderTextColor={COLORS.textMuted}
                 value={customMessage}
                 onChangeText={setCustomMessage}
@@ -1716,16 +1758,16 @@ export default function SafetySupportScreen({
               <TouchableOpacity
                 style={styles.cancelButton}
                 onPress={() => setShowReportModal(false)}
-                accessibilityLabel="Cancel"
+                accessibilityLabel={t('common.cancel')}
                 accessibilityRole="button"
               >
-                <Text style={styles.cancelButtonText}>Cancel</Text>
+                <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={styles.submitButton}
                 onPress={handleSubmitReport}
                 disabled={submitting}
-                accessibilityLabel="Submit report"
+                accessibilityLabel={t('safety.report.submitA11y')}
                 accessibilityRole="button"
               >
                 {submitting ? (
@@ -1733,7 +1775,7 @@ export default function SafetySupportScreen({
                 ) : (
                   <>
                     <MaterialCommunityIcons name="send" size={18} color={COLORS.white} />
-                    <Text style={styles.submitButtonText}>Submit Report</Text>
+                    <Text style={styles.submitButtonText}>{t('safety.report.submit')}</Text>
                   </>
                 )}
               </TouchableOpacity>
@@ -1755,10 +1797,10 @@ export default function SafetySupportScreen({
         >
           <View style={styles.modalContent}>
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Add Emergency Contact</Text>
+              <Text style={styles.modalTitle}>{t('safety.contacts.addTitle')}</Text>
               <TouchableOpacity
                 onPress={() => setShowAddContactModal(false)}
-                accessibilityLabel="Close"
+                accessibilityLabel={t('common.close')}
                 accessibilityRole="button"
               >
                 <MaterialCommunityIcons name="close" size={24} color={COLORS.textMuted} />
@@ -1766,10 +1808,10 @@ export default function SafetySupportScreen({
             </View>
 
             <View style={styles.modalBody}>
-              <Text style={styles.inputLabel}>Contact Name</Text>
+              <Text style={styles.inputLabel}>{t('safety.contacts.nameLabel')}</Text>
               <TextInput
                 style={styles.textInputSingle}
-                placeholder="e.g., Mom, Partner, Friend"
+                placeholder={t('safety.contacts.namePlaceholder')}
                 placeholderTextColor={COLORS.textMuted}
                 value={newContactName}
                 onChangeText={setNewContactName}
@@ -1777,10 +1819,10 @@ export default function SafetySupportScreen({
                 maxLength={80}
               />
 
-              <Text style={styles.inputLabel}>Phone Number</Text>
+              <Text style={styles.inputLabel}>{t('safety.contacts.phoneLabel')}</Text>
               <TextInput
                 style={styles.textInputSingle}
-                placeholder="e.g., +44 7700 900000"
+                placeholder={t('safety.contacts.phonePlaceholder')}
                 placeholderTextColor={COLORS.textMuted}
                 value={newContactPhone}
                 onChangeText={setNewContactPhone}
@@ -1788,6 +1830,20 @@ export default function SafetySupportScreen({
                 autoComplete="tel"
                 maxLength={40}
               />
+
+              <Text style={styles.inputLabel}>{t('safety.contacts.emailLabel')}</Text>
+              <TextInput
+                style={styles.textInputSingle}
+                placeholder={t('safety.contacts.emailPlaceholder')}
+                placeholderTextColor={COLORS.textMuted}
+                value={newContactEmail}
+                onChangeText={setNewContactEmail}
+                keyboardType="email-address"
+                autoComplete="email"
+                autoCapitalize="none"
+                autoCorrect={false}
+                maxLength={254}
+              />
             </View>
 
             <View style={styles.modalActions}>
@@ -1797,17 +1853,18 @@ export default function SafetySupportScreen({
                   setShowAddContactModal(false);
                   setNewContactName('');
                   setNewContactPhone('');
+                  setNewContactEmail('');
                 }}
-                accessibilityLabel="Cancel"
+                accessibilityLabel={t('common.cancel')}
                 accessibilityRole="button"
               >
-                <Text style={styles.cancelButtonText}>Cancel</Text>
+                <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
               </TouchableOpacity>
               <TouchableOpacity
                 style={styles.submitButton}
                 onPress={handleAddContact}
                 disabled={contactSaving}
-                accessibilityLabel="Add contact"
+                accessibilityLabel={t('safety.contacts.addA11y')}
                 accessibilityRole="button"
               >
                 {contactSaving ? (
@@ -1815,7 +1872,7 @@ export default function SafetySupportScreen({
                 ) : (
                   <>
                     <MaterialCommunityIcons name="account-plus" size={18} color={COLORS.white} />
-                    <Text style={styles.submitButtonText}>Add Contact</Text>
+                    <Text style={styles.submitButtonText}>{t('safety.contacts.add')}</Text>
                   </>
                 )}
               </TouchableOpacity>
@@ -1834,10 +1891,10 @@ export default function SafetySupportScreen({
         <View style={styles.modalOverlay}>
           <View style={[styles.modalContent, styles.historyModalContent]}>
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Report History</Text>
+              <Text style={styles.modalTitle}>{t('safety.history.title')}</Text>
               <TouchableOpacity
                 onPress={() => setShowHistoryModal(false)}
-                accessibilityLabel="Close"
+                accessibilityLabel={t('common.close')}
                 accessibilityRole="button"
               >
                 <MaterialCommunityIcons name="close" size={24} color={COLORS.textMuted} />
@@ -1848,14 +1905,14 @@ export default function SafetySupportScreen({
               {loadingHistory ? (
                 <View style={styles.historyLoading}>
                   <ActivityIndicator size="large" color={COLORS.primary} />
-                  <Text style={styles.historyLoadingText}>Loading history...</Text>
+                  <Text style={styles.historyLoadingText}>{t('safety.history.loading')}</Text>
                 </View>
               ) : safetyHistory.length === 0 ? (
                 <View style={styles.historyEmpty}>
                   <MaterialCommunityIcons name="history" size={48} color={COLORS.textMuted} />
-                  <Text style={styles.historyEmptyText}>No reports yet</Text>
+                  <Text style={styles.historyEmptyText}>{t('safety.history.empty')}</Text>
                   <Text style={styles.historyEmptySubtext}>
-                    Your safety reports will appear here
+                    {t('safety.history.emptySubtitle')}
                   </Text>
                 </View>
               ) : (
@@ -15,6 +15,7 @@ import {
   Platform,
   Vibration,
   useWindowDimensions,
+  ActivityIndicator,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import MaterialCommunityIcons from '@expo/vector-icons/build/MaterialCommunityIcons.js';
@@ -22,16 +23,31 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { StatusBar } from 'expo-status-bar';
 import * as Haptics from '../services/hapticsService';
 import TodaysAgendaCard from '../components/TodaysAgendaCard';
+import PhotoHighlightsStrip from '../components/PhotoHighlightsStrip';
 import { MANIFEST_STATUS } from '../services/bookingServiceRealtime';
 import * as bookingService from '../services/bookingServiceRealtime';
 import * as chatService from '../services/chatService';
-import { realtimeDb } from '../firebase';
+import { auth, realtimeDb } from '../firebase';
 import offlineSyncService from '../services/offlineSyncService';
 import logger, { maskIdentifier } from '../services/loggerService';
 import { resolveTourId } from '../services/tourIdentityService';
 import { getDriverLocationPresentation } from '../utils/driverLocation';
 import { COLORS as THEME, SPACING, RADIUS, SHADOWS } from '../theme';
 import { getPickupCountdownState } from '../services/pickupTimeParser';
+import {
+  PICKUP_ETA_REASONS,
+  PICKUP_ETA_SOURCES,
+  formatPickupEtaLabel,
+} from '../services/pickupEtaService';
+import usePickupEta from '../hooks/usePickupEta';
+import useBoardingPasses from '../hooks/useBoardingPasses';
+import { boardingPassErrorMessageKey } from '../services/boardingPassService';
+import useActiveRollCall from '../hooks/useActiveRollCall';
+import { confirmErrorMessageKey } from '../services/rollCallService';
+import useI18n from '../hooks/useI18n';
+import usePhotoHighlights from '../hooks/usePhotoHighlights';
+import { isTourPhotobookAvailable, photobookErrorMessageKey, requestPhotobook } from '../services/tourPhotobookService';
+import QRCode from 'react-native-qrcode-svg';
 import {
   FONT_SCALE_LIMITS,
   getResponsiveLayout,
@@ -80,10 +96,10 @@ const triggerHaptic = (type = 'light') => {
 // Get time-based greeting
 const getTimeBasedGreeting = () => {
   const hour = new Date().getHours();
-  if (hour < 12) return { text: 'Good Morning', icon: 'weather-sunny', color: '#F59E0B' };
-  if (hour < 17) return { text: 'Good Afternoon', icon: 'weather-partly-cloudy', color: '#3B82F6' };
-  if (hour < 21) return { text: 'Good Evening', icon: 'weather-sunset', color: '#F97316' };
-  return { text: 'Good Night', icon: 'weather-night', color: '#6366F1' };
+  if (hour < 12) return { textKey: 'tourHome.greeting.morning', icon: 'weather-sunny', color: '#F59E0B' };
+  if (hour < 17) return { textKey: 'tourHome.greeting.afternoon', icon: 'weather-partly-cloudy', color: '#3B82F6' };
+  if (hour < 21) return { textKey: 'tourHome.greeting.evening', icon: 'weather-sunset', color: '#F97316' };
+  return { textKey: 'tourHome.greeting.night', icon: 'weather-night', color: '#6366F1' };
 };
 
 // Animated card component
@@ -180,6 +196,7 @@ const SkeletonLoader = ({ width, height, borderRadius = 8, style }) => {
 
 // Countdown timer component
 const PickupCountdown = ({ pickupTime, pickupDate }) => {
+  const { t } = useI18n();
   const [timeLeft, setTimeLeft] = useState(null);
 
   useEffect(() => {
@@ -211,7 +228,7 @@ const PickupCountdown = ({ pickupTime, pickupDate }) => {
       <View style={styles.countdownFallbackContainer}>
         <MaterialCommunityIcons name="clock-alert-outline" size={16} color={COLORS.subtleText} />
         <Text style={styles.countdownFallbackText}>
-          Pickup time shown above — countdown unavailable for this format
+          {t('tourHome.countdown.unavailable')}
         </Text>
       </View>
     );
@@ -222,11 +239,11 @@ const PickupCountdown = ({ pickupTime, pickupDate }) => {
 
   let countdownLabel = '';
   if (timeLeft.hoursLeft >= 24) {
-    countdownLabel = `${timeLeft.daysLeft}d ${timeLeft.remainingHoursLeft}h until pickup`;
+    countdownLabel = t('tourHome.countdown.days', { days: timeLeft.daysLeft, hours: timeLeft.remainingHoursLeft });
   } else if (timeLeft.hoursLeft >= 1) {
-    countdownLabel = `${timeLeft.hoursLeft}h until pickup`;
+    countdownLabel = t('tourHome.countdown.hours', { hours: timeLeft.hoursLeft });
   } else {
-    countdownLabel = `${Math.max(timeLeft.totalMinutesLeft, 0)}m until pickup`;
+    countdownLabel = t('tourHome.countdown.minutes', { minutes: Math.max(timeLeft.totalMinutesLeft, 0) });
   }
 
   return (
@@ -250,6 +267,109 @@ const PickupCountdown = ({ pickupTime, pickupDate }) => {
   );
 };
 
+// Signed pass the driver scans to board each traveller. Shared bookings get
+// one code per passenger; the driver verifies it offline.
+const BoardingPassCode = ({ passes, loading, error, onRetry }) => {
+  const { t } = useI18n();
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const pass = passes[selectedIndex] || passes[0] || null;
+
+  if (!pass) {
+    return (
+      <View style={styles.boardingCodeEmpty}>
+        {loading ? <ActivityIndicator color={COLORS.primaryBlue} /> : null}
+        <Text style={styles.boardingCodeHint}>
+          {loading
+            ? t('tourHome.boardingPass.preparing')
+            : t(error ? boardingPassErrorMessageKey(error) : 'tourHome.boardingPass.pending')}
+        </Text>
+        {!loading && error ? (
+          <TouchableOpacity onPress={onRetry} accessibilityRole="button" accessibilityLabel={t('tourHome.boardingPass.retryA11y')}>
+            <Text style={styles.boardingCodeRetry}>{t('common.tryAgain')}</Text>
+          </TouchableOpacity>
+        ) : null}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.boardingCodeSection}>
+      {passes.length > 1 ? (
+        <View style={styles.boardingCodeTabs}>
+          {passes.map((entry, index) => (
+            <TouchableOpacity
+              key={entry.token}
+              onPress={() => setSelectedIndex(index)}
+              style={[styles.boardingCodeTab, entry === pass && styles.boardingCodeTabActive]}
+              accessibilityRole="button"
+              accessibilityState={{ selected: entry === pass }}
+            >
+              <Text style={[styles.boardingCodeTabText, entry === pass && styles.boardingCodeTabTextActive]} numberOfLines={1}>
+                {entry.passengerName}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : null}
+      <View
+        style={styles.boardingCodeFrame}
+        accessible={true}
+        accessibilityLabel={t('tourHome.boardingPass.qrA11y', { name: pass.passengerName, seat: pass.seat })}
+      >
+        <QRCode value={pass.token} size={176} ecl="M" />
+      </View>
+      <Text style={styles.boardingCodeHint}>
+        {t('tourHome.boardingPass.hint', { name: pass.passengerName, seat: pass.seat })}
+      </Text>
+    </View>
+  );
+};
+
+// Live pickup ETA. Only rendered for a live estimate, or to explain why the
+// countdown above has fallen back to the scheduled time.
+const PickupEtaBanner = ({ eta }) => {
+  const { t } = useI18n();
+  if (!eta) return null;
+
+  if (eta.source === PICKUP_ETA_SOURCES.LIVE) {
+    const isLate = Number.isFinite(eta.delayMinutes) && eta.delayMinutes >= 5;
+    return (
+      <View
+        style={styles.pickupEtaContainer}
+        accessible={true}
+        accessibilityLabel={formatPickupEtaLabel(eta, { t })}
+      >
+        <MaterialCommunityIcons name="bus-clock" size={18} color={COLORS.success} />
+        <View style={styles.pickupEtaTextContainer}>
+          <Text style={styles.pickupEtaText}>{formatPickupEtaLabel(eta, { t })}</Text>
+          <Text style={styles.pickupEtaMeta}>
+            {eta.stopsBefore > 0
+              ? t('tourHome.eta.stopsBefore', { count: eta.stopsBefore })
+              : t('tourHome.eta.nextStop')}
+            {isLate ? t('tourHome.eta.runningLate', { minutes: eta.delayMinutes }) : ''}
+          </Text>
+        </View>
+      </View>
+    );
+  }
+
+  if (
+    eta.source === PICKUP_ETA_SOURCES.SCHEDULED
+    && eta.reason === PICKUP_ETA_REASONS.DRIVER_LOCATION_STALE
+  ) {
+    return (
+      <View style={styles.countdownFallbackContainer}>
+        <MaterialCommunityIcons name="bus-alert" size={16} color={COLORS.subtleText} />
+        <Text style={styles.countdownFallbackText}>
+          {t('tourHome.eta.stale')}
+        </Text>
+      </View>
+    );
+  }
+
+  return null;
+};
+
 // Quick action button component
 const QuickActionButton = ({ icon, label, color, onPress, badge, delay = 0, compact = false }) => {
   const scaleAnim = useRef(new Animated.Value(1)).current;
@@ -325,6 +445,7 @@ const QuickActionButton = ({ icon, label, color, onPress, badge, delay = 0, comp
 
 // Driver status component
 const DriverStatusIndicator = ({ driverName, isLive = false }) => {
+  const { t } = useI18n();
   const pulseAnim = useRef(new Animated.Value(1)).current;
 
   useEffect(() => {
@@ -357,11 +478,11 @@ const DriverStatusIndicator = ({ driverName, isLive = false }) => {
         )}
       </View>
       <View style={styles.driverInfo}>
-        <Text style={styles.driverName}>{driverName || 'Driver'}</Text>
+        <Text style={styles.driverName}>{driverName || t('common.driver')}</Text>
         <View style={styles.driverStatusRow}>
           <View style={[styles.statusDot, isLive && styles.statusDotLive]} />
           <Text style={styles.driverStatusText}>
-            {isLive ? 'Location sharing active' : 'Awaiting driver'}
+            {isLive ? t('tourHome.driver.sharing') : t('tourHome.driver.awaiting')}
           </Text>
         </View>
       </View>
@@ -418,6 +539,7 @@ const StatusPulse = ({ color }) => {
 
 // Feature card component for the grid
 const FeatureCard = ({ item, onPress, index, isLarge = false }) => {
+  const { t } = useI18n();
   const scaleAnim = useRef(new Animated.Value(1)).current;
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
@@ -476,7 +598,7 @@ const FeatureCard = ({ item, onPress, index, isLarge = false }) => {
         activeOpacity={1}
         accessible={true}
         accessibilityLabel={item.title}
-        accessibilityHint={`Navigate to ${item.title}`}
+        accessibilityHint={t('tourHome.features.navigateHint', { title: item.title })}
         accessibilityRole="button"
       >
         <LinearGradient
@@ -501,6 +623,43 @@ const FeatureCard = ({ item, onPress, index, isLarge = false }) => {
   );
 };
 
+// Shown while the driver is counting everyone back on after a stop. One tap
+// confirms the whole booking.
+const RollCallBanner = ({ rollCall, error, onConfirm }) => {
+  const { t } = useI18n();
+  if (!rollCall) return null;
+  const confirmed = Boolean(rollCall.confirmedAtMs);
+  return (
+    <View style={[styles.rollCallContainer, confirmed && styles.rollCallContainerConfirmed]}>
+      <MaterialCommunityIcons
+        name={confirmed ? 'check-circle' : 'account-multiple-check'}
+        size={20}
+        color={confirmed ? COLORS.success : COLORS.warning}
+      />
+      <View style={styles.pickupEtaTextContainer}>
+        <Text style={styles.pickupEtaText}>
+          {confirmed ? t('tourHome.rollCall.confirmedTitle') : t('tourHome.rollCall.title', { stop: rollCall.stopName })}
+        </Text>
+        <Text style={styles.pickupEtaMeta}>
+          {error
+            ? t(confirmErrorMessageKey(error))
+            : (confirmed ? t('tourHome.rollCall.confirmedMessage') : t('tourHome.rollCall.message'))}
+        </Text>
+      </View>
+      {!confirmed ? (
+        <TouchableOpacity
+          onPress={onConfirm}
+          style={styles.rollCallButton}
+          accessibilityRole="button"
+          accessibilityLabel={t('tourHome.rollCall.confirmA11y')}
+        >
+          <Text style={styles.rollCallButtonText}>{t('tourHome.rollCall.confirm')}</Text>
+        </TouchableOpacity>
+      ) : null}
+    </View>
+  );
+};
+
 export default function TourHomeScreen({
   tourCode,
   tourData,
@@ -509,6 +668,7 @@ export default function TourHomeScreen({
   onLogout,
   isConnected = true,
 }) {
+  const { t } = useI18n();
   const { width, height, fontScale } = useWindowDimensions();
   const screenLayout = useMemo(
     () => getResponsiveLayout({ width, height, fontScale }),
@@ -670,6 +830,37 @@ export default function TourHomeScreen({
     return bookingData?.pickupDate || tourData?.startDate || null;
   }, [bookingData, tourData?.startDate]);
 
+  const primaryPickupPoint = useMemo(() => {
+    if (bookingData?.pickupPoints?.length > 0) return bookingData.pickupPoints[0];
+    if (!bookingData?.pickupTime) return null;
+    return {
+      time: bookingData.pickupTime,
+      date: bookingData.pickupDate || null,
+      location: bookingData.pickupLocation || '',
+    };
+  }, [bookingData]);
+
+  const boardingPasses = useBoardingPasses({
+    tourId: activeTourId,
+    enabled: Boolean(bookingRef) && manifestStatus !== MANIFEST_STATUS.BOARDED,
+    isConnected,
+  });
+
+  const activeRollCall = useActiveRollCall({
+    tourId: activeTourId,
+    authUid: auth?.currentUser?.uid || null,
+    enabled: Boolean(bookingRef),
+  });
+
+  const pickupEta = usePickupEta({
+    tourId: activeTourId,
+    driverLocationRecord,
+    passengerPickup: primaryPickupPoint,
+    tourPickupPoints: tourData?.pickupPoints,
+    fallbackDate: primaryPickupDate,
+    enabled: manifestStatus !== MANIFEST_STATUS.BOARDED,
+  });
+
   useEffect(() => {
     logger.trackScreen('TourHome', {
       tourId: activeTourId || null,
@@ -849,45 +1040,43 @@ export default function TourHomeScreen({
     switch (manifestStatus) {
       case MANIFEST_STATUS.BOARDED:
         return {
-          title: 'You\'re all set!',
-          message: 'Welcome aboard! Enjoy your tour experience. Your driver has confirmed your boarding.',
+          title: t('tourHome.status.boarded.title'),
+          message: t('tourHome.status.boarded.message'),
           tone: COLORS.success,
           toneLight: COLORS.successLight,
-          badge: 'Boarded',
+          badge: t('tourHome.status.boarded.badge'),
           icon: 'check-circle',
         };
       case MANIFEST_STATUS.NO_SHOW:
         return {
-          title: 'Action Required',
-          message:
-            'The driver has marked you as not at the pickup location. Please contact them immediately.',
+          title: t('tourHome.status.noShow.title'),
+          message: t('tourHome.status.noShow.message'),
           tone: COLORS.error,
           toneLight: COLORS.errorLight,
-          badge: 'Missing',
+          badge: t('tourHome.status.noShow.badge'),
           icon: 'alert-circle',
         };
       case MANIFEST_STATUS.PARTIAL:
         return {
-          title: 'Almost there',
-          message:
-            'Some passengers in your party are still missing. Please ensure everyone is at the pickup point.',
+          title: t('tourHome.status.partial.title'),
+          message: t('tourHome.status.partial.message'),
           tone: COLORS.warning,
           toneLight: COLORS.warningLight,
-          badge: 'Partial',
+          badge: t('tourHome.status.partial.badge'),
           icon: 'account-group',
         };
       case MANIFEST_STATUS.PENDING:
       default:
         return {
-          title: 'Ready for pickup',
-          message: 'Head to your pickup location. The driver will mark you as boarded when you arrive.',
+          title: t('tourHome.status.pending.title'),
+          message: t('tourHome.status.pending.message'),
           tone: COLORS.primaryBlue,
           toneLight: COLORS.lightBlue,
-          badge: 'Pending',
+          badge: t('tourHome.status.pending.badge'),
           icon: 'clock-outline',
         };
     }
-  }, [manifestStatus]);
+  }, [manifestStatus, t]);
 
   const isNoShow = manifestStatus === MANIFEST_STATUS.NO_SHOW;
 
@@ -925,10 +1114,7 @@ export default function TourHomeScreen({
         action,
         error: error?.message || String(error),
       });
-      Alert.alert(
-        'Could not open phone app',
-        'Please try again, or contact your operator if you need help reaching the driver.'
-      );
+      Alert.alert(t('tourHome.driverContact.openFailedTitle'), t('tourHome.driverContact.openFailedMessage'));
     }
   };
 
@@ -940,7 +1126,7 @@ export default function TourHomeScreen({
         tourId: activeTourId || null,
         source: isNoShow ? 'no_show_modal' : 'quick_action',
       });
-      Alert.alert('Driver contact unavailable', 'Please reach out to your operator.');
+      Alert.alert(t('tourHome.driverContact.unavailableTitle'), t('tourHome.driverContact.unavailableMessage'));
       return;
     }
 
@@ -960,7 +1146,7 @@ export default function TourHomeScreen({
         tourId: activeTourId || null,
         bookingRef: maskIdentifier(bookingRef),
       });
-      Alert.alert('Driver contact unavailable', 'Please reach out to your operator.');
+      Alert.alert(t('tourHome.driverContact.unavailableTitle'), t('tourHome.driverContact.unavailableMessage'));
       return;
     }
     logger.info('TourHome', 'Driver message launched', {
@@ -970,6 +1156,34 @@ export default function TourHomeScreen({
     openDriverContactUrl(`sms:${phone}`, 'sms');
   };
 
+  const [photobookExporting, setPhotobookExporting] = useState(false);
+  const photobookExportAvailable = isTourPhotobookAvailable(tourData);
+  const photoHighlights = usePhotoHighlights({ tourId: activeTourId });
+
+  const handleDownloadPhotobook = async () => {
+    if (photobookExporting) return;
+    triggerHaptic('light');
+    setPhotobookExporting(true);
+    try {
+      const result = await requestPhotobook({ tourId: activeTourId });
+      if (!result.success) {
+        logger.warn('TourHome', 'Photobook export failed', { tourId: activeTourId || null, error: result.error });
+        Alert.alert(t('tourHome.photobookExport.failedTitle'), t(photobookErrorMessageKey(result.error)));
+        return;
+      }
+      logger.info('TourHome', 'Photobook export opened', { tourId: activeTourId || null, photoCount: result.data.photoCount });
+      await Linking.openURL(result.data.url);
+    } catch (error) {
+      logger.warn('TourHome', 'Photobook link launch failed', {
+        tourId: activeTourId || null,
+        error: error?.message || String(error),
+      });
+      Alert.alert(t('tourHome.photobookExport.failedTitle'), t('tourHome.photobookExport.openFailedMessage'));
+    } finally {
+      setPhotobookExporting(false);
+    }
+  };
+
   const navigateWithLog = useCallback((screen, params = {}, source = 'unknown') => {
     logger.info('TourHome', 'Navigation requested', {
       targetScreen: screen,
@@ -984,36 +1198,36 @@ export default function TourHomeScreen({
   const menuItems = [
     {
       id: 'Photobook',
-      title: 'My Photos',
-      subtitle: 'Personal gallery',
+      title: t('tourHome.features.photobook.title'),
+      subtitle: t('tourHome.features.photobook.subtitle'),
       icon: 'image-album',
       color: COLORS.primaryBlue,
     },
     {
       id: 'GroupPhotobook',
-      title: 'Group Album',
-      subtitle: 'Shared memories',
+      title: t('tourHome.features.groupPhotobook.title'),
+      subtitle: t('tourHome.features.groupPhotobook.subtitle'),
       icon: 'image-multiple',
       color: THEME.success,
     },
     {
       id: 'Itinerary',
-      title: 'Itinerary',
-      subtitle: 'Full schedule',
+      title: t('tourHome.features.itinerary.title'),
+      subtitle: t('tourHome.features.itinerary.subtitle'),
       icon: 'map-legend',
       color: THEME.primaryLight,
     },
     {
       id: 'Chat',
-      title: 'Group Chat',
-      subtitle: 'Stay connected',
+      title: t('tourHome.features.chat.title'),
+      subtitle: t('tourHome.features.chat.subtitle'),
       icon: 'chat-processing-outline',
       color: THEME.success,
     },
     {
       id: 'SafetySupport',
-      title: 'Safety & SOS',
-      subtitle: 'Emergency help',
+      title: t('tourHome.features.safety.title'),
+      subtitle: t('tourHome.features.safety.subtitle'),
       icon: 'shield-alert',
       color: '#DC2626',
     },
@@ -1021,35 +1235,37 @@ export default function TourHomeScreen({
 
   // Quick actions for easier access
   const quickActions = [
-    { icon: 'phone', label: 'Call', color: COLORS.success, onPress: handleCallDriver },
+    { id: 'Call', icon: 'phone', label: t('tourHome.quickActions.call'), color: COLORS.success, onPress: handleCallDriver },
     {
+      id: 'GroupPhotobook',
       icon: 'image-multiple',
-      label: 'Group Photos',
+      label: t('tourHome.quickActions.groupPhotos'),
       color: COLORS.primaryBlue,
       onPress: () => navigateWithLog('GroupPhotobook', {}, 'quick_action'),
     },
-    { icon: 'bus-marker', label: 'Find Bus', color: COLORS.coralAccent, onPress: () => navigateWithLog('Map', {}, 'quick_action') },
-    { icon: 'chat', label: 'Chat', color: THEME.success, onPress: () => navigateWithLog('Chat', {}, 'quick_action'), badge: null },
+    { id: 'Map', icon: 'bus-marker', label: t('tourHome.quickActions.findBus'), color: COLORS.coralAccent, onPress: () => navigateWithLog('Map', {}, 'quick_action') },
+    { id: 'Chat', icon: 'chat', label: t('tourHome.quickActions.chat'), color: THEME.success, onPress: () => navigateWithLog('Chat', {}, 'quick_action'), badge: null },
   ];
 
   const orderedQuickActions = useMemo(() => {
     const byId = {
-      Map: quickActions.find((action) => action.label === 'Find Bus'),
-      Chat: quickActions.find((action) => action.label === 'Chat'),
+      Map: quickActions.find((action) => action.id === 'Map'),
+      Chat: quickActions.find((action) => action.id === 'Chat'),
       Itinerary: {
+        id: 'Itinerary',
         icon: 'map-legend',
-        label: 'Itinerary',
+        label: t('tourHome.quickActions.itinerary'),
         color: THEME.primaryLight,
         onPress: () => navigateWithLog('Itinerary', {}, 'quick_action'),
       },
-      GroupPhotobook: quickActions.find((action) => action.label === 'Group Photos'),
+      GroupPhotobook: quickActions.find((action) => action.id === 'GroupPhotobook'),
     };
 
     return actionPlan.orderedActionIds
       .map((id) => byId[id])
       .filter(Boolean)
       .slice(0, 4);
-  }, [actionPlan.orderedActionIds, navigateWithLog, quickActions]);
+  }, [actionPlan.orderedActionIds, navigateWithLog, quickActions, t]);
 
   if (isLoading) {
     return (
@@ -1094,7 +1310,7 @@ export default function TourHomeScreen({
                 onRefresh={onRefresh}
                 colors={[COLORS.primaryBlue]}
                 tintColor={COLORS.primaryBlue}
-                title="Updating..."
+                title={t('tourHome.refreshing')}
                 titleColor={COLORS.subtleText}
               />
             }
@@ -1122,7 +1338,7 @@ export default function TourHomeScreen({
                   adjustsFontSizeToFit
                   maxFontSizeMultiplier={FONT_SCALE_LIMITS.heading}
                 >
-                  {`${greeting.text}!`}
+                  {t(greeting.textKey)}
                 </Text>
               </View>
             </View>
@@ -1138,7 +1354,7 @@ export default function TourHomeScreen({
                   setIsHeaderMenuOpen((open) => !open);
                 }}
                 accessible={true}
-                accessibilityLabel="Open account menu"
+                accessibilityLabel={t('tourHome.menu.openA11y')}
                 accessibilityRole="button"
                 accessibilityState={{ expanded: isHeaderMenuOpen }}
               >
@@ -1157,13 +1373,13 @@ export default function TourHomeScreen({
                       navigateWithLog('AccountPrivacy', { from: 'TourHome' }, 'header_account');
                     }}
                     accessible={true}
-                    accessibilityLabel="Account and privacy"
+                    accessibilityLabel={t('tourHome.menu.accountA11y')}
                     accessibilityRole="button"
                   >
                     <View style={styles.headerMenuIcon}>
                       <MaterialCommunityIcons name="account-cog-outline" size={20} color={COLORS.primaryBlue} />
                     </View>
-                    <Text style={styles.headerMenuItemText}>Account</Text>
+                    <Text style={styles.headerMenuItemText}>{t('tourHome.menu.account')}</Text>
                   </TouchableOpacity>
                   <TouchableOpacity
                     style={styles.headerMenuItem}
@@ -1172,13 +1388,13 @@ export default function TourHomeScreen({
                       navigateWithLog('NotificationPreferences', {}, 'header_notifications');
                     }}
                     accessible={true}
-                    accessibilityLabel="Notification settings"
+                    accessibilityLabel={t('tourHome.menu.notificationsA11y')}
                     accessibilityRole="button"
                   >
                     <View style={styles.headerMenuIcon}>
                       <MaterialCommunityIcons name="bell-ring-outline" size={20} color={COLORS.primaryBlue} />
                     </View>
-                    <Text style={styles.headerMenuItemText}>Notifications</Text>
+                    <Text style={styles.headerMenuItemText}>{t('tourHome.menu.notifications')}</Text>
                   </TouchableOpacity>
                   <TouchableOpacity
                     style={styles.headerMenuItem}
@@ -1193,23 +1409,37 @@ export default function TourHomeScreen({
                     }}
                     activeOpacity={0.7}
                     accessible={true}
-                    accessibilityLabel="Log out"
+                    accessibilityLabel={t('common.logOut')}
                     accessibilityRole="button"
                   >
                     <View style={styles.headerMenuIcon}>
                       <MaterialCommunityIcons name="logout-variant" size={20} color={COLORS.primaryBlue} />
                     </View>
-                    <Text style={styles.headerMenuItemText}>Log out</Text>
+                    <Text style={styles.headerMenuItemText}>{t('common.logOut')}</Text>
                   </TouchableOpacity>
                 </View>
               ) : null}
             </View>
           </AnimatedCard>
 
+          {activeRollCall.rollCall ? (
+            <AnimatedCard delay={25}>
+              <RollCallBanner
+                rollCall={activeRollCall.rollCall}
+                error={activeRollCall.error}
+                onConfirm={() => {
+                  triggerHaptic('medium');
+                  activeRollCall.confirm();
+                }}
+              />
+            </AnimatedCard>
+          ) : null}
+
           {/* Pickup countdown timer */}
           {primaryPickupTime && manifestStatus !== MANIFEST_STATUS.BOARDED && (
             <AnimatedCard delay={50}>
               <PickupCountdown pickupTime={primaryPickupTime} pickupDate={primaryPickupDate} />
+              <PickupEtaBanner eta={pickupEta} />
             </AnimatedCard>
           )}
 
@@ -1260,18 +1490,18 @@ export default function TourHomeScreen({
                 style={[styles.quickActionsTitle, responsiveStyles.quickActionsTitle]}
                 maxFontSizeMultiplier={FONT_SCALE_LIMITS.caption}
               >
-                {actionPlan.title}
+                {t(actionPlan.titleKey)}
               </Text>
               <Text
                 style={[styles.quickActionsSubtitle, responsiveStyles.quickActionsSubtitle]}
                 maxFontSizeMultiplier={FONT_SCALE_LIMITS.body}
               >
-                {actionPlan.subtitle}
+                {t(actionPlan.subtitleKey)}
               </Text>
               <View style={[styles.quickActionsRow, responsiveStyles.quickActionsRow]}>
                 {orderedQuickActions.map((action, index) => (
                   <QuickActionButton
-                    key={`${action.label}-${index}`}
+                    key={action.id}
                     {...action}
                     delay={200 + index * 50}
                     compact={responsiveStyles.compactActions}
@@ -1293,14 +1523,14 @@ export default function TourHomeScreen({
               >
                 <View style={styles.boardingPassHeaderContent}>
                   <View style={styles.boardingPassHeaderTextContainer}>
-                    <Text style={styles.boardingPassLabel}>DIGITAL BOARDING PASS</Text>
+                    <Text style={styles.boardingPassLabel}>{t('tourHome.boardingPass.label')}</Text>
                     <Text
                       style={[styles.boardingPassTour, responsiveStyles.boardingPassTour]}
                       numberOfLines={2}
                       adjustsFontSizeToFit
                       maxFontSizeMultiplier={FONT_SCALE_LIMITS.title}
                     >
-                      {tourData.name || 'Scenic Tour'}
+                      {tourData.name || t('tourHome.boardingPass.defaultTourName')}
                     </Text>
                   </View>
                   <View style={styles.boardingPassQR}>
@@ -1332,7 +1562,7 @@ export default function TourHomeScreen({
                 {bookingData?.pickupPoints && bookingData.pickupPoints.length > 0 ? (
                   <View style={styles.pickupSection}>
                     <Text style={styles.pickupSectionTitle}>
-                      {bookingData.pickupPoints.length > 1 ? 'Pickup Points' : 'Pickup Location'}
+                      {t('tourHome.pickup.title', { count: bookingData.pickupPoints.length })}
                     </Text>
                     {bookingData.pickupPoints.map((pickup, index) => (
                       <View key={index} style={styles.pickupCard}>
@@ -1354,7 +1584,7 @@ export default function TourHomeScreen({
                   </View>
                 ) : bookingData?.pickupTime ? (
                   <View style={styles.pickupSection}>
-                    <Text style={styles.pickupSectionTitle}>Pickup Location</Text>
+                    <Text style={styles.pickupSectionTitle}>{t('tourHome.pickup.title', { count: 1 })}</Text>
                     <View style={styles.pickupCard}>
                       <View style={styles.pickupTimeBox}>
                         <Text style={styles.pickupTimeText}>{bookingData.pickupTime}</Text>
@@ -1393,7 +1623,7 @@ export default function TourHomeScreen({
                       })}
                     </View>
                     <Text style={styles.seatLabel}>
-                      {bookingData.seatNumbers.length > 1 ? 'Assigned Seats' : 'Your Seat'}
+                      {t('tourHome.seats.title', { count: bookingData.seatNumbers.length })}
                     </Text>
                   </View>
                 )}
@@ -1401,7 +1631,7 @@ export default function TourHomeScreen({
                 {/* Passengers list */}
                 {bookingData?.passengerNames?.length > 1 && (
                   <View style={styles.passengersSection}>
-                    <Text style={styles.passengersSectionTitle}>Passengers</Text>
+                    <Text style={styles.passengersSectionTitle}>{t('tourHome.passengers')}</Text>
                     {bookingData.passengerNames.map((name, index) => (
                       <View key={index} style={styles.passengerRow}>
                         <View style={styles.passengerAvatar}>
@@ -1411,21 +1641,30 @@ export default function TourHomeScreen({
                         </View>
                         <Text style={styles.passengerName}>{name}</Text>
                         {bookingData.seatNumbers?.[index] != null ? (
-                          <Text style={styles.passengerSeat}>{`Seat ${bookingData.seatNumbers[index]}`}</Text>
+                          <Text style={styles.passengerSeat}>{t('common.seat', { seat: bookingData.seatNumbers[index] })}</Text>
                         ) : null}
                       </View>
                     ))}
                   </View>
                 )}
 
+                {manifestStatus !== MANIFEST_STATUS.BOARDED ? (
+                  <BoardingPassCode
+                    passes={boardingPasses.passes}
+                    loading={boardingPasses.loading}
+                    error={boardingPasses.error}
+                    onRetry={boardingPasses.refresh}
+                  />
+                ) : null}
+
                 {/* Footer with booking ref */}
                 <View style={styles.boardingPassFooter}>
                   <View>
-                    <Text style={styles.boardingPassFooterLabel}>Booking Reference</Text>
+                    <Text style={styles.boardingPassFooterLabel}>{t('tourHome.boardingPass.bookingReference')}</Text>
                     <Text style={styles.boardingPassFooterValue}>{bookingData?.id}</Text>
                   </View>
                   <View style={styles.boardingPassFooterRight}>
-                    <Text style={styles.boardingPassFooterLabel}>Tour Code</Text>
+                    <Text style={styles.boardingPassFooterLabel}>{t('tourHome.boardingPass.tourCode')}</Text>
                     <Text style={styles.boardingPassFooterValue}>{tourCode}</Text>
                   </View>
                 </View>
@@ -1447,8 +1686,8 @@ export default function TourHomeScreen({
             onPress={() => {
               navigateWithLog('Map', {}, 'find_bus_card');
             }}
-            accessibilityLabel="Find My Bus"
-            accessibilityHint="View your driver's location on the map"
+            accessibilityLabel={t('tourHome.findBus.title')}
+            accessibilityHint={t('tourHome.findBus.hint')}
           >
             <LinearGradient
               colors={[`${COLORS.coralAccent}12`, `${COLORS.coralAccent}05`]}
@@ -1460,18 +1699,18 @@ export default function TourHomeScreen({
                   {driverLocationActive && (
                     <View style={styles.findBusLiveBadge}>
                       <View style={styles.findBusLiveDot} />
-                      <Text style={styles.findBusLiveText}>LIVE</Text>
+                      <Text style={styles.findBusLiveText}>{t('common.live')}</Text>
                     </View>
                   )}
                 </View>
                 <View style={styles.findBusTextContainer}>
-                  <Text style={styles.findBusTitle}>Find My Bus</Text>
+                  <Text style={styles.findBusTitle}>{t('tourHome.findBus.title')}</Text>
                   <Text style={styles.findBusSubtitle}>
                     {driverLocationActive
-                      ? 'Driver live location is being shared'
+                      ? t('tourHome.findBus.live')
                       : driverLocationAvailable
-                        ? 'Driver pickup point is available'
-                        : 'See where your driver is on the map'}
+                        ? t('tourHome.findBus.pickupPoint')
+                        : t('tourHome.findBus.default')}
                   </Text>
                 </View>
                 <View style={styles.findBusArrow}>
@@ -1481,8 +1720,16 @@ export default function TourHomeScreen({
             </LinearGradient>
           </AnimatedCard>
 
+          {/* Best of the tour */}
+          <PhotoHighlightsStrip
+            highlights={photoHighlights}
+            title={t('tourHome.photoHighlights.title')}
+            likesLabel={(count) => t('tourHome.photoHighlights.likes', { count })}
+            onOpen={() => navigateWithLog('GroupPhotobook', {}, 'photo_highlights')}
+          />
+
           {/* Tour Features Grid - Enhanced Layout */}
-          <Text style={styles.sectionTitle}>Tour Features</Text>
+          <Text style={styles.sectionTitle}>{t('tourHome.features.title')}</Text>
           <View style={styles.featuresGrid}>
             {/* First row - 2 cards */}
             <View style={styles.featuresRow}>
@@ -1517,6 +1764,22 @@ export default function TourHomeScreen({
               isLarge={true}
               onPress={() => navigateWithLog('SafetySupport', { from: 'TourHome', mode: 'passenger' }, 'feature_card')}
             />
+            {photobookExportAvailable && (
+              <FeatureCard
+                item={{
+                  id: 'PhotobookExport',
+                  title: t('tourHome.photobookExport.title'),
+                  subtitle: photobookExporting
+                    ? t('tourHome.photobookExport.preparing')
+                    : t('tourHome.photobookExport.subtitle'),
+                  icon: photobookExporting ? 'progress-download' : 'book-open-page-variant',
+                  color: COLORS.primaryBlue,
+                }}
+                index={5}
+                isLarge={true}
+                onPress={handleDownloadPhotobook}
+              />
+            )}
           </View>
 
           {/* Bottom spacing */}
@@ -1539,15 +1802,14 @@ export default function TourHomeScreen({
                 </View>
               </View>
 
-              <Text style={styles.modalTitle}>You've Been Marked as Missing</Text>
+              <Text style={styles.modalTitle}>{t('tourHome.noShowModal.title')}</Text>
               <Text style={styles.modalMessage}>
-                Your driver has marked you as not at the pickup location. Please contact them immediately
-                so they can wait for you or help you find the right location.
+                {t('tourHome.noShowModal.message')}
               </Text>
 
               <View style={styles.modalDivider} />
 
-              <Text style={styles.modalActionLabel}>What would you like to do?</Text>
+              <Text style={styles.modalActionLabel}>{t('tourHome.noShowModal.prompt')}</Text>
 
               <TouchableOpacity
                 style={styles.modalPrimaryButton}
@@ -1559,7 +1821,7 @@ export default function TourHomeScreen({
                   style={styles.modalButtonGradient}
                 >
                   <MaterialCommunityIcons name="phone" size={22} color={COLORS.white} />
-                  <Text style={styles.modalPrimaryButtonText}>Call Driver Now</Text>
+                  <Text style={styles.modalPrimaryButtonText}>{t('tourHome.noShowModal.call')}</Text>
                 </LinearGradient>
               </TouchableOpacity>
 
@@ -1569,7 +1831,7 @@ export default function TourHomeScreen({
                 activeOpacity={0.8}
               >
                 <MaterialCommunityIcons name="message-text" size={20} color={COLORS.primaryBlue} />
-                <Text style={styles.modalSecondaryButtonText}>Send Text Message</Text>
+                <Text style={styles.modalSecondaryButtonText}>{t('tourHome.noShowModal.text')}</Text>
               </TouchableOpacity>
 
               <TouchableOpacity
@@ -1578,7 +1840,7 @@ export default function TourHomeScreen({
                 activeOpacity={0.8}
               >
                 <MaterialCommunityIcons name="shield-alert" size={18} color={COLORS.error} />
-                <Text style={styles.modalEmergencyButtonText}>Emergency Assistance</Text>
+                <Text style={styles.modalEmergencyButtonText}>{t('tourHome.noShowModal.emergency')}</Text>
               </TouchableOpacity>
 
               <View style={styles.modalLogoutDivider} />
@@ -1595,7 +1857,7 @@ export default function TourHomeScreen({
                 activeOpacity={0.8}
               >
                 <MaterialCommunityIcons name="logout-variant" size={18} color={COLORS.subtleText} />
-                <Text style={styles.modalLogoutButtonText}>Log Out</Text>
+                <Text style={styles.modalLogoutButtonText}>{t('common.logOut')}</Text>
               </TouchableOpacity>
               </LinearGradient>
             </Animated.View>
@@ -1787,6 +2049,59 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: COLORS.subtleText,
   },
+  pickupEtaContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.successLight,
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.md,
+    borderRadius: RADIUS.lg,
+    marginBottom: SPACING.lg,
+    gap: 10,
+    borderWidth: 1,
+    borderColor: `${COLORS.success}30`,
+  },
+  rollCallContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.warningLight,
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.md,
+    borderRadius: RADIUS.lg,
+    marginBottom: SPACING.lg,
+    gap: 10,
+    borderWidth: 1,
+    borderColor: `${COLORS.warning}30`,
+  },
+  rollCallContainerConfirmed: {
+    backgroundColor: COLORS.successLight,
+    borderColor: `${COLORS.success}30`,
+  },
+  rollCallButton: {
+    backgroundColor: COLORS.primaryBlue,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: RADIUS.md,
+  },
+  rollCallButtonText: {
+    color: COLORS.white,
+    fontSize: 13,
+    fontWeight: '800',
+  },
+  pickupEtaTextContainer: {
+    flex: 1,
+  },
+  pickupEtaText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: COLORS.darkText,
+  },
+  pickupEtaMeta: {
+    marginTop: 2,
+    fontSize: 12,
+    fontWeight: '600',
+    color: COLORS.subtleText,
+  },
 
   // Status card styles
   statusCard: {
@@ -2187,6 +2502,60 @@ const styles = StyleSheet.create({
     borderRadius: 8,
   },
 
+  boardingCodeSection: {
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  boardingCodeEmpty: {
+    alignItems: 'center',
+    marginTop: 16,
+    gap: 8,
+  },
+  boardingCodeTabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+    marginBottom: 12,
+  },
+  boardingCodeTab: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  boardingCodeTabActive: {
+    backgroundColor: COLORS.primaryBlue,
+    borderColor: COLORS.primaryBlue,
+  },
+  boardingCodeTabText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: COLORS.darkText,
+  },
+  boardingCodeTabTextActive: {
+    color: COLORS.white,
+  },
+  boardingCodeFrame: {
+    padding: 12,
+    borderRadius: RADIUS.lg,
+    backgroundColor: COLORS.white,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  boardingCodeHint: {
+    marginTop: 8,
+    fontSize: 12,
+    color: COLORS.subtleText,
+    textAlign: 'center',
+  },
+  boardingCodeRetry: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: COLORS.primaryBlue,
+  },
+
   // Boarding pass footer styles
   boardingPassFooter: {
     flexDirection: 'row',
@@ -1,41 +1,22 @@
-const OFFLINE_LOGIN_REASON_COPY = {
-  NO_CACHED_SESSION: {
-    headline: 'Offline login isn’t ready on this device yet.',
-    details: [
-      'Connect once and sign in with this exact code so we can save a verified trip on this device.',
-      'After that first online check, you can use offline login for this same identity.',
-    ],
-  },
-  CODE_MISMATCH: {
-    headline: 'That code doesn’t match your saved offline trip.',
-    details: [
-      'Check the code for typos (including the D- prefix for drivers).',
-      'If this is a different trip, reconnect once so we can verify and save it for offline use.',
-    ],
-  },
-  CACHE_EXPIRED: {
-    headline: 'Your saved offline trip needs a quick refresh.',
-    details: [
-      'Reconnect briefly and sign in once to refresh your saved trip data.',
-      'You can then use offline login again on this device.',
-    ],
-  },
-  EMAIL_MISMATCH: {
-    headline: 'That booking email doesn’t match this saved trip.',
-    details: [
-      'Use the same booking email that was used when this trip was first verified.',
-      'If you updated details, reconnect once and verify online to refresh offline access.',
-    ],
-  },
-  EMAIL_NOT_CACHED: {
-    headline: 'This saved trip needs one online email check first.',
-    details: [
-      'Reconnect once and sign in online so we can refresh secure offline email verification.',
-      'After that, offline login will work again for this booking identity.',
-    ],
-  },
+const { defaultT } = require('../services/i18nService');
+
+const OFFLINE_REASON_COPY_KEYS = {
+  NO_CACHED_SESSION: 'noCachedSession',
+  CODE_MISMATCH: 'codeMismatch',
+  CACHE_EXPIRED: 'cacheExpired',
+  EMAIL_MISMATCH: 'emailMismatch',
+  EMAIL_NOT_CACHED: 'emailNotCached',
 };
 
+const buildOfflineLoginReasonCopy = (t = defaultT) => Object.fromEntries(
+  Object.entries(OFFLINE_REASON_COPY_KEYS).map(([reason, key]) => [reason, {
+    headline: t(`login.offline.${key}.headline`),
+    details: [t(`login.offline.${key}.detail1`), t(`login.offline.${key}.detail2`)],
+  }])
+);
+
+const OFFLINE_LOGIN_REASON_COPY = buildOfflineLoginReasonCopy();
+
 const OFFLINE_RETRYABLE_REASONS = ['NO_CACHED_SESSION', 'CODE_MISMATCH', 'CACHE_EXPIRED', 'EMAIL_MISMATCH', 'EMAIL_NOT_CACHED'];
 const LOGIN_SUCCESS_INTERSTITIAL_MS = 1400;
 
@@ -46,18 +27,20 @@ const getLoginTransitionDurationMs = ({ alreadyHydrated } = {}) => (
   alreadyHydrated ? 700 : LOGIN_SUCCESS_INTERSTITIAL_MS
 );
 
-const LOGIN_MODE_HINTS = {
+const buildLoginModeHints = (t = defaultT) => ({
   passenger: {
-    label: 'Passenger',
-    hint: 'Use your booking reference (for example T12345 or ABC123).',
-    placeholder: 'Booking reference (for example T12345)',
+    label: t('login.mode.passenger.label'),
+    hint: t('login.mode.passenger.hint'),
+    placeholder: t('login.mode.passenger.placeholder'),
   },
   driver: {
-    label: 'Driver',
-    hint: 'Use your driver code starting with D- (for example D-BONDY).',
-    placeholder: 'Driver code (for example D-BONDY)',
+    label: t('login.mode.driver.label'),
+    hint: t('login.mode.driver.hint'),
+    placeholder: t('login.mode.driver.placeholder'),
   },
-};
+});
+
+const LOGIN_MODE_HINTS = buildLoginModeHints();
 
 const isLikelyEmailFormat = (value) => {
   const atIndex = value.indexOf('@');
@@ -82,32 +65,33 @@ const normalizeLoginFields = ({ bookingReference, email }) => {
 const getLoginInputError = ({ trimmedReference, isDriverCode, normalizedEmail }, options = {}) => {
   const phase = options.phase || 'submit';
   const emailTouched = options.emailTouched || false;
+  const t = options.t || defaultT;
 
   if (!trimmedReference) {
-    return 'Please enter your Booking Reference.';
+    return t('login.validation.referenceRequired');
   }
 
   if (!isDriverCode && normalizedEmail.length === 0 && phase === 'submit') {
-    return 'Please enter the booking email used for this reservation.';
+    return t('login.validation.emailRequired');
   }
 
   if (!isDriverCode && normalizedEmail.length > 0 && !isLikelyEmailFormat(normalizedEmail)) {
     if (phase === 'submit' || emailTouched) {
-      return 'Please enter a valid booking email (for example, name@example.com).';
+      return t('login.validation.emailInvalid');
     }
   }
 
   return null;
 };
 
-const createOfflineErrorState = (offlineCheck, createErrorState) => {
+const createOfflineErrorState = (offlineCheck, createErrorState, t = defaultT) => {
   const reason = offlineCheck?.reason;
-  const copy = OFFLINE_LOGIN_REASON_COPY[reason];
+  const copy = buildOfflineLoginReasonCopy(t)[reason];
 
   return createErrorState(
-    copy?.headline || offlineCheck?.error || 'No cached trip found for this code; reconnect once to verify.',
+    copy?.headline || offlineCheck?.error || t('login.offline.noCachedTrip'),
     {
-      title: 'Offline login unavailable',
+      title: t('login.offline.title'),
       reason,
       showOfflineActions: OFFLINE_RETRYABLE_REASONS.includes(reason),
       recoverySteps: copy?.details || [],
@@ -115,11 +99,12 @@ const createOfflineErrorState = (offlineCheck, createErrorState) => {
   );
 };
 
-const getReferencePlaceholder = (modeHintFocus) => {
-  if (modeHintFocus && LOGIN_MODE_HINTS[modeHintFocus]) {
-    return LOGIN_MODE_HINTS[modeHintFocus].placeholder;
+const getReferencePlaceholder = (modeHintFocus, t = defaultT) => {
+  const hints = buildLoginModeHints(t);
+  if (modeHintFocus && hints[modeHintFocus]) {
+    return hints[modeHintFocus].placeholder;
   }
-  return 'Booking or driver code';
+  return t('login.referencePlaceholder');
 };
 
 const shouldShowEmailField = ({ modeHintFocus, normalizedReference }) => {
@@ -135,6 +120,8 @@ module.exports = {
   OFFLINE_LOGIN_REASON_COPY,
   OFFLINE_RETRYABLE_REASONS,
   LOGIN_MODE_HINTS,
+  buildLoginModeHints,
+  buildOfflineLoginReasonCopy,
   LOGIN_PRIMARY_LAYOUT_KEYS,
   LOGIN_SUCCESS_INTERSTITIAL_MS,
   getLoginTransitionDurationMs,
@@ -311,6 +311,10 @@ const buildAccountRecordUpdates = ({ authUid, identities, identityBinding, tourI
   const updates = {};
   updates[`users/${authUid}`] = null;
   updates[`logs/${authUid}`] = null;
+  updates[`safety_contacts/${authUid}`] = null;
+  updates[`care_profiles/${authUid}`] = null;
+  // Without the owner copy, none of the account's family share links open.
+  updates[`live_location_share_owners/${authUid}`] = null;
   if (tourId) updates[`tours/${tourId}/liveTracking/${authUid}`] = null;
 
   const stableKeys = new Set();
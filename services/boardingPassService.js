@@ -0,0 +1,263 @@
+const { sha256 } = require('js-sha256');
+const { createPersistenceProvider } = require('./persistenceProvider');
+const { normalizeTourId } = require('./tourIdentityService');
+const { response } = require('./serviceResponse');
+
+// Must match functions/lib/boardingPass.js. The QR text is
+// `LLT1|{departureKey}|{bookingRef}|{passengerIndex}|{seat}|{issuedAtMs}|{hmac}`.
+const BOARDING_PASS_VERSION = 'LLT1';
+const MAX_PASS_LENGTH = 400;
+const REQUEST_TIMEOUT_MS = 15000;
+const DEPARTURE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}::[A-Z0-9_-]+$/;
+const VERIFICATION_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+const SCAN_RESULTS = Object.freeze({
+  READY: 'READY',
+  ALREADY_BOARDED: 'ALREADY_BOARDED',
+  NOT_A_PASS: 'NOT_A_PASS',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  WRONG_DEPARTURE: 'WRONG_DEPARTURE',
+  UNKNOWN_BOOKING: 'UNKNOWN_BOOKING',
+  UNKNOWN_PASSENGER: 'UNKNOWN_PASSENGER',
+  VERIFICATION_UNAVAILABLE: 'VERIFICATION_UNAVAILABLE',
+});
+
+// Scan results carry `passengerName` and `seat` for the copy that names them.
+const SCAN_MESSAGE_KEYS = Object.freeze({
+  READY: 'boardingPassScanner.result.ready',
+  ALREADY_BOARDED: 'boardingPassScanner.result.alreadyBoarded',
+  NOT_A_PASS: 'boardingPassScanner.result.notAPass',
+  INVALID_SIGNATURE: 'boardingPassScanner.result.invalidSignature',
+  WRONG_DEPARTURE: 'boardingPassScanner.result.wrongDeparture',
+  UNKNOWN_BOOKING: 'boardingPassScanner.result.unknownBooking',
+  UNKNOWN_PASSENGER: 'boardingPassScanner.result.unknownPassenger',
+  VERIFICATION_UNAVAILABLE: 'boardingPassScanner.result.verificationUnavailable',
+});
+
+const scanMessageKey = (result) => SCAN_MESSAGE_KEYS[result] || SCAN_MESSAGE_KEYS.NOT_A_PASS;
+
+// Failure codes: the server's reasons plus two of our own. Each one has copy
+// in the locale catalog; raw failures only go to the logger. `error` in a
+// failed result is always one of these codes.
+const BOARDING_PASS_ERRORS = Object.freeze({
+  BOOKING_NOT_FOUND: 'BOOKING_NOT_FOUND',
+  BOARDING_PASS_UNAVAILABLE: 'BOARDING_PASS_UNAVAILABLE',
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+  TRY_AGAIN_LATER: 'TRY_AGAIN_LATER',
+  SIGNED_OUT: 'SIGNED_OUT',
+  UNAVAILABLE: 'UNAVAILABLE',
+});
+
+const BOARDING_PASS_ERROR_MESSAGE_KEYS = Object.freeze({
+  BOOKING_NOT_FOUND: 'tourHome.boardingPass.bookingNotFoundMessage',
+  BOARDING_PASS_UNAVAILABLE: 'tourHome.boardingPass.notIssuedMessage',
+  NOT_AUTHORIZED: 'tourHome.boardingPass.notAuthorizedMessage',
+  TRY_AGAIN_LATER: 'tourHome.boardingPass.tryAgainLaterMessage',
+  SIGNED_OUT: 'tourHome.boardingPass.signedOutMessage',
+  UNAVAILABLE: 'tourHome.boardingPass.unavailableMessage',
+});
+
+const boardingPassErrorMessageKey = (code) => (
+  BOARDING_PASS_ERROR_MESSAGE_KEYS[code] || BOARDING_PASS_ERROR_MESSAGE_KEYS.UNAVAILABLE
+);
+
+const defaultLogger = process.env.NODE_ENV === 'test'
+  ? null
+  : (() => {
+      try {
+        const loggerImport = require('./loggerService');
+        return loggerImport.default || loggerImport;
+      } catch {
+        return null;
+      }
+    })();
+
+/**
+ * Keeps only verification material that can be used offline: a 64-character
+ * hex key bound to one exact departure of the given tour.
+ */
+function normalizeBoardingPassVerification(value, tourId) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const departureKey = typeof value.departureKey === 'string' ? value.departureKey.trim() : '';
+  const key = typeof value.key === 'string' ? value.key.trim().toLowerCase() : '';
+  if (value.version !== BOARDING_PASS_VERSION || !DEPARTURE_KEY_PATTERN.test(departureKey) || !VERIFICATION_KEY_PATTERN.test(key)) return null;
+  if (tourId && departureKey.split('::')[1] !== normalizeTourId(tourId)) return null;
+  return { version: BOARDING_PASS_VERSION, departureKey, key };
+}
+
+function parseBoardingPass(text) {
+  if (typeof text !== 'string' || !text || text.length > MAX_PASS_LENGTH) return null;
+  const parts = text.trim().split('|');
+  if (parts.length !== 7 || parts[0] !== BOARDING_PASS_VERSION) return null;
+  const [, departureKey, bookingRef, passengerIndex, seat, issuedAtMs, signature] = parts;
+  const index = Number(passengerIndex);
+  if (!DEPARTURE_KEY_PATTERN.test(departureKey) || !bookingRef || !Number.isSafeInteger(index) || index < 0) return null;
+  if (!VERIFICATION_KEY_PATTERN.test(signature)) return null;
+  return {
+    body: parts.slice(0, 6).join('|'),
+    signature,
+    departureKey,
+    bookingRef,
+    passengerIndex: index,
+    seat,
+    issuedAtMs: Number(issuedAtMs) || null,
+  };
+}
+
+// Compare every character so a mismatch position does not change timing.
+const signaturesMatch = (left, right) => {
+  if (left.length !== right.length) return false;
+  let difference = 0;
+  for (let index = 0; index < left.length; index += 1) difference |= left.charCodeAt(index) ^ right.charCodeAt(index);
+  return difference === 0;
+};
+
+function verifyBoardingPassSignature(pass, key) {
+  if (!pass?.body || !VERIFICATION_KEY_PATTERN.test(key || '')) return false;
+  return signaturesMatch(sha256.hmac(key, pass.body), pass.signature);
+}
+
+/**
+ * Checks a scanned QR entirely against the driver's cached manifest snapshot.
+ * A READY result carries the passenger statuses to submit, with only the
+ * scanned traveller changed to BOARDED.
+ */
+function resolveBoardingPassScan({ data, manifest } = {}) {
+  const fail = (result) => ({ result });
+  const pass = parseBoardingPass(data);
+  if (!pass) return fail(SCAN_RESULTS.NOT_A_PASS);
+  const verification = normalizeBoardingPassVerification(manifest?.boardingPass, manifest?.tourId);
+  if (!verification) return fail(SCAN_RESULTS.VERIFICATION_UNAVAILABLE);
+  if (pass.departureKey !== verification.departureKey) return fail(SCAN_RESULTS.WRONG_DEPARTURE);
+  if (!verifyBoardingPassSignature(pass, verification.key)) return fail(SCAN_RESULTS.INVALID_SIGNATURE);
+  const booking = (manifest.bookings || []).find((entry) => String(entry?.id || '').toUpperCase() === pass.bookingRef);
+  if (!booking) return fail(SCAN_RESULTS.UNKNOWN_BOOKING);
+  const passengerName = booking.passengerNames?.[pass.passengerIndex];
+  if (!passengerName) return fail(SCAN_RESULTS.UNKNOWN_PASSENGER);
+
+  const currentStatuses = booking.passengerNames.map((_, index) => booking.passengerStatus?.[index] || 'PENDING');
+  const seat = booking.seatNumbers?.[pass.passengerIndex] || pass.seat;
+  const details = { booking, passengerIndex: pass.passengerIndex, passengerName, seat };
+  if (currentStatuses[pass.passengerIndex] === 'BOARDED') {
+    return { ...details, result: SCAN_RESULTS.ALREADY_BOARDED };
+  }
+  const passengerStatuses = [...currentStatuses];
+  passengerStatuses[pass.passengerIndex] = 'BOARDED';
+  return { ...details, result: SCAN_RESULTS.READY, passengerStatuses };
+}
+
+const buildIssueEndpoint = () => {
+  const explicitUrl = process.env.EXPO_PUBLIC_ISSUE_BOARDING_PASS_URL?.trim();
+  if (explicitUrl) return explicitUrl;
+  const projectId = process.env.EXPO_PUBLIC_FIREBASE_PROJECT_ID?.trim();
+  return projectId ? `https://europe-west1-${projectId}.cloudfunctions.net/issueBoardingPass` : null;
+};
+
+const normalizeIssuedPasses = (payload) => {
+  if (!payload || !DEPARTURE_KEY_PATTERN.test(payload.departureKey || '') || !Array.isArray(payload.passes)) return null;
+  const passes = payload.passes
+    .filter((pass) => parseBoardingPass(pass?.token) && typeof pass.passengerName === 'string')
+    .map((pass) => ({
+      passengerIndex: pass.passengerIndex,
+      passengerName: pass.passengerName,
+      seat: String(pass.seat || 'TBA'),
+      token: pass.token,
+    }));
+  return passes.length ? {
+    departureKey: payload.departureKey,
+    bookingRef: String(payload.bookingRef || ''),
+    issuedAtMs: Number(payload.issuedAtMs) || null,
+    passes,
+  } : null;
+};
+
+/**
+ * Passenger side: fetches signed passes and keeps the last good set per
+ * account and tour, so the QR still opens with no signal at the pickup.
+ */
+function createBoardingPassService({
+  storage = createPersistenceProvider({ namespace: 'LLT_BOARDING_PASS', preferredStorage: 'async-storage' }),
+  getAuth = () => { try { return require('../firebase').auth || null; } catch { return null; } },
+  fetchImpl = (...args) => fetch(...args),
+  endpoint = buildIssueEndpoint,
+  logger = defaultLogger,
+} = {}) {
+  const cacheKey = (authUid, tourId) => `passes_v1_${encodeURIComponent(authUid)}_${encodeURIComponent(tourId)}`;
+  const scope = (tourId) => {
+    const authUid = getAuth()?.currentUser?.uid || '';
+    const canonicalTourId = normalizeTourId(tourId);
+    return authUid && canonicalTourId ? { authUid, tourId: canonicalTourId } : null;
+  };
+
+  const logFailure = (message, error) => {
+    logger?.warn?.('BoardingPassService', message, { error: error?.message || String(error) });
+  };
+
+  const loadCached = async ({ tourId } = {}) => {
+    const identity = scope(tourId);
+    if (!identity) return response.fail(BOARDING_PASS_ERRORS.SIGNED_OUT);
+    try {
+      const raw = await storage.getItemAsync(cacheKey(identity.authUid, identity.tourId));
+      if (!raw) return response.ok(null);
+      return response.ok(normalizeIssuedPasses(JSON.parse(raw)));
+    } catch (error) {
+      logFailure('Cached boarding passes could not be read', error);
+      return response.fail(BOARDING_PASS_ERRORS.UNAVAILABLE);
+    }
+  };
+
+  const fetchPasses = async ({ tourId } = {}) => {
+    const identity = scope(tourId);
+    const url = endpoint();
+    if (!identity) return response.fail(BOARDING_PASS_ERRORS.SIGNED_OUT);
+    if (!url) {
+      logFailure('Boarding pass endpoint is not configured', 'EXPO_PUBLIC_FIREBASE_PROJECT_ID is unset');
+      return response.fail(BOARDING_PASS_ERRORS.UNAVAILABLE);
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const token = await getAuth().currentUser.getIdToken();
+      const result = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ tourId: identity.tourId }),
+        signal: controller.signal,
+      });
+      const payload = await result.json().catch(() => null);
+      if (!result.ok || payload?.success !== true) {
+        return response.fail(BOARDING_PASS_ERRORS[payload?.reason] || BOARDING_PASS_ERRORS.UNAVAILABLE);
+      }
+      const issued = normalizeIssuedPasses(payload);
+      if (!issued) {
+        logFailure('Boarding pass response was incomplete', `HTTP ${result.status}`);
+        return response.fail(BOARDING_PASS_ERRORS.UNAVAILABLE);
+      }
+      await storage.setItemAsync(cacheKey(identity.authUid, identity.tourId), JSON.stringify(issued)).catch(() => {});
+      return response.ok(issued);
+    } catch (error) {
+      logFailure('Boarding pass request failed', error);
+      return response.fail(BOARDING_PASS_ERRORS.UNAVAILABLE);
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  return { loadCached, fetchPasses };
+}
+
+const boardingPassService = createBoardingPassService();
+
+module.exports = {
+  ...boardingPassService,
+  BOARDING_PASS_ERRORS,
+  BOARDING_PASS_VERSION,
+  SCAN_RESULTS,
+  boardingPassErrorMessageKey,
+  createBoardingPassService,
+  normalizeBoardingPassVerification,
+  parseBoardingPass,
+  resolveBoardingPassScan,
+  scanMessageKey,
+  verifyBoardingPassSignature,
+};
@@ -443,6 +443,7 @@ const fetchTourManifestFromFunction = async (tourCodeOriginal) => {
       tourCode: payload.tourCode || null,
       bookings: Array.isArray(payload.bookings) ? payload.bookings : [],
       stats: payload.stats || {},
+      boardingPass: payload.boardingPass || null,
     };
   }
 
@@ -0,0 +1,191 @@
+const { response } = require('./serviceResponse');
+
+// Optional medical and accessibility profile a passenger shares with their
+// assigned driver: mobility needs, allergies, medications and an emergency
+// contact. The node at `care_profiles/{authUid}` exists only while consent is
+// given; withdrawing consent deletes it. functions/lib/careProfiles.js and
+// database.rules.json apply the same shape.
+const CARE_PROFILES_ROOT = 'care_profiles';
+const CARE_PROFILE_CONSENT_VERSION = 1;
+const CARE_MOBILITY_NEEDS = Object.freeze([
+  'wheelchair',
+  'walking_aid',
+  'step_free_access',
+  'boarding_assistance',
+]);
+const MAX_CARE_TEXT_LENGTH = 300;
+const CARE_MOBILITY_LABELS = Object.freeze({
+  wheelchair: 'Wheelchair user',
+  walking_aid: 'Walking aid',
+  step_free_access: 'Needs step-free access',
+  boarding_assistance: 'Help boarding the coach',
+});
+
+const SIGNED_OUT_MESSAGE = 'Sign in again to change this setting.';
+const OFFLINE_MESSAGE = 'This setting needs an internet connection. Please try again.';
+
+const defaultDatabase = () => { try { return require('../firebase').realtimeDb || null; } catch { return null; } };
+const defaultAuth = () => { try { return require('../firebase').auth || null; } catch { return null; } };
+
+const trimmedString = (value, maxLength) => (
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+);
+
+const EMPTY_PROFILE = Object.freeze({
+  passengerName: '',
+  mobility: [],
+  mobilityNotes: '',
+  allergies: '',
+  medications: '',
+  emergencyContact: { name: '', phone: '' },
+});
+
+/**
+ * The form values in the shape the rules accept. Blank fields are left out,
+ * and an emergency contact needs both a name and a phone number.
+ */
+function buildCareProfileFields(form = {}) {
+  const fields = {};
+  const passengerName = trimmedString(form.passengerName, 80);
+  if (passengerName) fields.passengerName = passengerName;
+  const selected = Array.isArray(form.mobility) ? form.mobility : [];
+  const mobility = CARE_MOBILITY_NEEDS.filter((need) => selected.includes(need));
+  if (mobility.length > 0) fields.mobility = Object.fromEntries(mobility.map((need) => [need, true]));
+  ['mobilityNotes', 'allergies', 'medications'].forEach((key) => {
+    const text = trimmedString(form[key], MAX_CARE_TEXT_LENGTH);
+    if (text) fields[key] = text;
+  });
+  const contactName = trimmedString(form.emergencyContact?.name, 80);
+  const contactPhone = trimmedString(form.emergencyContact?.phone, 40);
+  if (contactName && contactPhone) fields.emergencyContact = { name: contactName, phone: contactPhone };
+  return fields;
+}
+
+const hasCareProfileContent = (fields) => Object.keys(fields).some((key) => key !== 'passengerName');
+
+// The stored record as form values; anything unknown is dropped.
+function toCareProfileForm(value) {
+  return {
+    passengerName: trimmedString(value?.passengerName, 80),
+    mobility: CARE_MOBILITY_NEEDS.filter((need) => value?.mobility?.[need] === true),
+    mobilityNotes: trimmedString(value?.mobilityNotes, MAX_CARE_TEXT_LENGTH),
+    allergies: trimmedString(value?.allergies, MAX_CARE_TEXT_LENGTH),
+    medications: trimmedString(value?.medications, MAX_CARE_TEXT_LENGTH),
+    emergencyContact: {
+      name: trimmedString(value?.emergencyContact?.name, 80),
+      phone: trimmedString(value?.emergencyContact?.phone, 40),
+    },
+  };
+}
+
+/**
+ * What a driver reads for one profile from the manifest, as labelled lines.
+ * `tags` is the short form for list rows.
+ */
+function describeCareProfile(profile) {
+  const mobility = (Array.isArray(profile?.mobility) ? profile.mobility : [])
+    .map((need) => CARE_MOBILITY_LABELS[need])
+    .filter(Boolean);
+  const lines = [];
+  const mobilityText = [mobility.join(', '), profile?.mobilityNotes].filter(Boolean).join('. ');
+  if (mobilityText) lines.push({ label: 'Mobility', text: mobilityText });
+  if (profile?.allergies) lines.push({ label: 'Allergies', text: profile.allergies });
+  if (profile?.medications) lines.push({ label: 'Medications', text: profile.medications });
+  if (profile?.emergencyContact?.name && profile?.emergencyContact?.phone) {
+    lines.push({ label: 'Emergency contact', text: `${profile.emergencyContact.name}, ${profile.emergencyContact.phone}` });
+  }
+  const tags = [
+    ...mobility,
+    ...(profile?.allergies ? ['Allergies'] : []),
+    ...(profile?.medications ? ['Medications'] : []),
+  ];
+  return { passengerName: profile?.passengerName || '', lines, tags };
+}
+
+function createCareProfileService({
+  getAuth = defaultAuth,
+  getDatabase = defaultDatabase,
+  nowFn = Date.now,
+} = {}) {
+  const resolveRef = () => {
+    const authUid = getAuth()?.currentUser?.uid || '';
+    const database = getDatabase();
+    if (!authUid || !database) return null;
+    return database.ref(`${CARE_PROFILES_ROOT}/${authUid}`);
+  };
+
+  const loadProfile = async () => {
+    const ref = resolveRef();
+    if (!ref) return response.ok({ enabled: false, grantedAtMs: null, profile: { ...EMPTY_PROFILE } });
+    try {
+      const value = (await ref.once('value')).val();
+      const consented = value?.consent?.version === CARE_PROFILE_CONSENT_VERSION;
+      return response.ok({
+        enabled: consented,
+        grantedAtMs: consented ? value.consent.grantedAtMs : null,
+        profile: consented ? toCareProfileForm(value) : { ...EMPTY_PROFILE },
+      });
+    } catch {
+      return response.fail('Your medical and accessibility details could not be loaded.');
+    }
+  };
+
+  /**
+   * Replaces the profile. `grantedAtMs` carries consent given earlier; without
+   * it this save records consent now, so only call it after the passenger
+   * has agreed.
+   */
+  const saveProfile = async (form, { grantedAtMs = null } = {}) => {
+    const ref = resolveRef();
+    if (!ref) return response.fail(SIGNED_OUT_MESSAGE);
+    const fields = buildCareProfileFields(form);
+    if (!hasCareProfileContent(fields)) {
+      return response.fail('Add at least one need, allergy, medication or emergency contact.');
+    }
+    const nowMs = nowFn();
+    const consentedAtMs = Number.isFinite(grantedAtMs) && grantedAtMs > 0 ? grantedAtMs : nowMs;
+    try {
+      await ref.set({
+        schemaVersion: 1,
+        consent: { version: CARE_PROFILE_CONSENT_VERSION, grantedAtMs: consentedAtMs },
+        ...fields,
+        updatedAtMs: nowMs,
+      });
+      return response.ok({ enabled: true, grantedAtMs: consentedAtMs, profile: toCareProfileForm(fields) });
+    } catch {
+      return response.fail(OFFLINE_MESSAGE);
+    }
+  };
+
+  /**
+   * Withdraws consent by deleting the profile. Drivers stop seeing it the
+   * next time their manifest refreshes.
+   */
+  const deleteProfile = async () => {
+    const ref = resolveRef();
+    if (!ref) return response.fail(SIGNED_OUT_MESSAGE);
+    try {
+      await ref.remove();
+      return response.ok({ enabled: false });
+    } catch {
+      return response.fail(OFFLINE_MESSAGE);
+    }
+  };
+
+  return { loadProfile, saveProfile, deleteProfile };
+}
+
+const careProfileService = createCareProfileService();
+
+module.exports = {
+  CARE_MOBILITY_LABELS,
+  CARE_MOBILITY_NEEDS,
+  CARE_PROFILE_CONSENT_VERSION,
+  MAX_CARE_TEXT_LENGTH,
+  buildCareProfileFields,
+  createCareProfileService,
+  describeCareProfile,
+  loadCareProfile: careProfileService.loadProfile,
+  saveCareProfile: careProfileService.saveProfile,
+  deleteCareProfile: careProfileService.deleteProfile,
+};
@@ -9,7 +9,7 @@ const { loadOptionalService } = require('./optionalServiceLoader');
 const { createLazyRealtimeDbResolver } = require('./lazyRealtimeDb');
 const { toRealtimeKeySegment } = require('./identityService');
 const { parseTimestampMs: parseStrictTimestampMs } = require('./timeUtils');
-const { assertTextPassesModeration } = require('./contentModerationService');
+const { assertTextPassesModeration, checkTextForObjectionableContent } = require('./contentModerationService');
 
 const resolveRealtimeDb = createLazyRealtimeDbResolver({
   loadFirebaseModule: () => (isTestEnv ? null : require('../firebase')),
@@ -41,6 +41,18 @@ const logger = loggerServiceModule?.default || loggerServiceModule;
 const MAX_MESSAGE_LENGTH = 10000;
 const MAX_CAPTION_LENGTH = 500;
 const CHAT_MESSAGE_SCHEMA_VERSION = 2;
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 6;
+const POLL_QUESTION_MAX_LENGTH = 300;
+const POLL_OPTION_MAX_LENGTH = 80;
+const POLL_OPTION_ID_PATTERN = /^o[1-6]$/;
+// Matches the Tour Pack operational issue summary limit.
+const POLL_ISSUE_LOG_MAX_LENGTH = 240;
+const PINNED_MESSAGE_LIMIT = 3;
+const PINNED_PREVIEW_MAX_LENGTH = 160;
+// Database rules enforce the same window and cap on `editCount`.
+const CHAT_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const CHAT_MAX_EDITS = 5;
 const CHAT_MESSAGE_ID_MAX_LENGTH = 160;
 const MAX_TYPING_INDICATOR_AGE_MS = 10000;
 const MAX_PRESENCE_AGE_MS = 300000; // 5 minutes
@@ -98,6 +110,20 @@ const normalizeReactions = (reactions) => {
   }, {});
 };
 
+// Poll votes are keyed by voter so each participant holds at most one option.
+const normalizePollVotes = (pollVotes) => {
+  if (!pollVotes || typeof pollVotes !== 'object') {
+    return {};
+  }
+
+  return Object.entries(pollVotes).reduce((accumulator, [voterKey, optionId]) => {
+    if (typeof optionId === 'string' && POLL_OPTION_ID_PATTERN.test(optionId)) {
+      accumulator[voterKey] = optionId;
+    }
+    return accumulator;
+  }, {});
+};
+
 const summarizeReactionUsersForDebug = (users, actorId = null) => {
   const normalizedUsers = normalizeReactionUsers(users);
   return {
@@ -155,6 +181,7 @@ const normalizeMessageTimestamp = (message = {}) => {
   return {
     ...message,
     reactions: normalizeReactions(message.reactions),
+    ...(message.type === 'poll' ? { pollVotes: normalizePollVotes(message.pollVotes) } : {}),
     timestampRaw,
     timestamp: timestampMs ?? message.timestamp ?? null,
     timestampMs,
@@ -1949,9 +1976,139 @@ const getChatMessagesPage = async ({
 // Copy message text to clipboard (returns text for clipboard API)
 const getMessageTextForCopy = (message) => {
   if (!message) return '';
+  if (message.type === 'poll' && !message.deleted) {
+    const labels = getPollOptions(message).map((option) => `- ${option.label}`);
+    return [message.text || '', ...labels].filter(Boolean).join('\n');
+  }
   return message.text || '';
 };
 
+// ==================== EDITING ====================
+// A sender can correct their own group text message for CHAT_EDIT_WINDOW_MS.
+// Each edit moves the replaced text to `editHistory/v{n}`, so version n of a
+// message is recoverable for moderation while reactions and replies stay
+// attached to the same message id. Deleting the message drops the history
+// with the text; a report keeps its own copy of the version it was made on.
+
+const getEditCount = (message) => {
+  const count = Number(message?.editCount);
+  return Number.isInteger(count) && count > 0 ? count : 0;
+};
+
+// Version 1 is the text as sent; each edit adds one.
+const getMessageVersion = (message) => getEditCount(message) + 1;
+
+const getEditHistory = (message) => {
+  const history = message?.editHistory && typeof message.editHistory === 'object' ? message.editHistory : {};
+  const entries = [];
+  for (let version = 1; version <= getEditCount(message); version += 1) {
+    const entry = history[`v${version}`];
+    if (!entry || typeof entry.text !== 'string') continue;
+    entries.push({
+      version,
+      text: entry.text,
+      replacedAt: parseTimestampToMillis(entry.replacedAt),
+    });
+  }
+  return entries;
+};
+
+const canEditMessage = (message, userIds = [], nowMs = Date.now()) => {
+  if (!message || message.deleted || message.type !== 'text') return false;
+  if (message.schemaVersion !== CHAT_MESSAGE_SCHEMA_VERSION) return false;
+  if (message.status && message.status !== 'sent' && message.status !== 'delivered') return false;
+  if (getEditCount(message) >= CHAT_MAX_EDITS) return false;
+
+  const ids = (Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean);
+  if (!ids.includes(message.senderId) && !ids.includes(message.senderStableId)) return false;
+
+  const sentAtMs = parseTimestampToMillis(message.timestampMs ?? message.timestamp);
+  return Number.isFinite(sentAtMs) && nowMs - sentAtMs <= CHAT_EDIT_WINDOW_MS;
+};
+
+const editMessage = async (tourId, messageId, newText, requestingUserId, dbInstance) => {
+  try {
+    const validatedTourId = validateTourId(tourId);
+    const validatedMessageId = validateMessageId(messageId);
+    const validatedUserId = validateUserId(requestingUserId);
+
+    const trimmed = typeof newText === 'string' ? sanitizeInput(newText).trim() : '';
+    if (!trimmed) {
+      return { success: false, error: 'Message cannot be empty' };
+    }
+    if (trimmed.length > MAX_MESSAGE_LENGTH) {
+      return { success: false, error: `Message exceeds maximum length of ${MAX_MESSAGE_LENGTH} characters` };
+    }
+
+    // Edits get the same wording gate as new messages so a clean message
+    // cannot be swapped for abuse after it has been read.
+    const moderation = checkTextForObjectionableContent(trimmed);
+    if (!moderation.allowed) {
+      return { success: false, error: moderation.message, code: moderation.code };
+    }
+
+    const db = dbInstance || resolveRealtimeDb();
+    if (!db) return { success: false, error: 'Database unavailable' };
+
+    const messageRef = db.ref(`chats/${validatedTourId}/messages/${validatedMessageId}`);
+    const snapshot = await messageRef.once('value');
+    if (!snapshot.exists()) {
+      return { success: false, error: 'Message not found' };
+    }
+
+    const messageData = { ...snapshot.val(), id: validatedMessageId };
+    if (messageData.senderId !== validatedUserId && messageData.senderStableId !== validatedUserId) {
+      return { success: false, error: 'You can only edit your own messages' };
+    }
+    if (!canEditMessage(messageData, [validatedUserId])) {
+      return { success: false, error: 'This message can no longer be edited', code: 'edit_window_closed' };
+    }
+    if (moderation.text === messageData.text) {
+      return { success: true, unchanged: true, message: messageData };
+    }
+
+    const editCount = getEditCount(messageData) + 1;
+    await messageRef.update({
+      text: moderation.text,
+      editCount,
+      editedAt: { '.sv': 'timestamp' },
+      [`editHistory/v${editCount}`]: {
+        text: messageData.text,
+        replacedAt: { '.sv': 'timestamp' },
+      },
+    });
+
+    logChatEvent('info', 'chat_message_edited', {
+      tourId: validatedTourId,
+      messageId: validatedMessageId,
+      maskedUserId: maskUserId(validatedUserId),
+      editCount,
+    });
+
+    return {
+      success: true,
+      message: {
+        ...messageData,
+        text: moderation.text,
+        editCount,
+        editedAt: Date.now(),
+        editHistory: {
+          ...(messageData.editHistory || {}),
+          [`v${editCount}`]: { text: messageData.text, replacedAt: Date.now() },
+        },
+      },
+    };
+  } catch (error) {
+    logChatEvent('error', 'chat_message_edit_failed', {
+      tourId: typeof tourId === 'string' ? tourId.trim() : null,
+      messageId: typeof messageId === 'string' ? messageId.trim() : null,
+      maskedUserId: maskUserId(requestingUserId),
+      error: summarizeErrorForDbLog(error),
+    });
+    return { success: false, error: error.message };
+  }
+};
+
 // Soft-delete a group message owned by the active principal.
 const deleteMessage = async (tourId, messageId, requestingUserId, _isDriver = false, dbInstance) => {
   try {
@@ -1985,10 +2142,22 @@ const deleteMessage = async (tourId, messageId, requestingUserId, _isDriver = fa
       text: '',
       imageUrl: null,
       thumbnailUrl: null,
+      editHistory: null,
       deletedAt: new Date().toISOString(),
       deletedBy: requestingUserId,
     });
 
+    // Rules let any participant clear the pin of a tombstoned message.
+    try {
+      await db.ref(`chats/${validatedTourId}/pins/${validatedMessageId}`).remove();
+    } catch (error) {
+      logChatEvent('warn', 'chat_pin_cleanup_failed', {
+        tourId: validatedTourId,
+        messageId: validatedMessageId,
+        error: summarizeErrorForDbLog(error),
+      });
+    }
+
     return { success: true };
   } catch (error) {
     logChatEvent('error', 'chat_message_delete_failed', {
@@ -2002,6 +2171,603 @@ const deleteMessage = async (tourId, messageId, requestingUserId, _isDriver = fa
   }
 };
 
+// ==================== POLLS ====================
+// A poll is a driver-authored group message (`type: 'poll'`) whose question is
+// the message text. Options live under `poll/options/o1..o6` and are immutable;
+// votes live under `pollVotes/{voterKey}` so database rules can hold each
+// participant to one vote, changeable until the sender closes the poll.
+
+const validatePollOptions = (options) => {
+  if (!Array.isArray(options)) {
+    throw new Error('Poll options must be a list');
+  }
+
+  const seen = new Set();
+  const labels = [];
+  options.forEach((option) => {
+    const label = typeof option === 'string' ? sanitizeInput(option.trim()) : '';
+    if (!label) return;
+    if (label.length > POLL_OPTION_MAX_LENGTH) {
+      throw new Error(`Poll options must be ${POLL_OPTION_MAX_LENGTH} characters or fewer`);
+    }
+    const dedupeKey = label.toLocaleLowerCase();
+    if (seen.has(dedupeKey)) {
+      throw new Error('Poll options must be different from each other');
+    }
+    seen.add(dedupeKey);
+    labels.push(assertTextPassesModeration(label, 'Poll option'));
+  });
+
+  if (labels.length < POLL_MIN_OPTIONS || labels.length > POLL_MAX_OPTIONS) {
+    throw new Error(`Polls need between ${POLL_MIN_OPTIONS} and ${POLL_MAX_OPTIONS} options`);
+  }
+
+  return labels.reduce((accumulator, label, index) => {
+    accumulator[`o${index + 1}`] = label;
+    return accumulator;
+  }, {});
+};
+
+const getPollOptions = (message) => {
+  const options = message?.poll?.options;
+  if (!options || typeof options !== 'object') return [];
+  return Object.keys(options)
+    .filter((optionId) => POLL_OPTION_ID_PATTERN.test(optionId) && typeof options[optionId] === 'string')
+    .sort()
+    .map((optionId) => ({ id: optionId, label: options[optionId] }));
+};
+
+/**
+ * Builds live tallies for a poll message. `viewerIds` (a principal ID or a list
+ * of aliases) resolves the viewer's own vote under whichever key it was written.
+ */
+const summarizePoll = (message, viewerIds = []) => {
+  const options = getPollOptions(message);
+  const votes = normalizePollVotes(message?.pollVotes);
+  const counts = options.reduce((accumulator, option) => ({ ...accumulator, [option.id]: 0 }), {});
+
+  Object.values(votes).forEach((optionId) => {
+    if (Object.prototype.hasOwnProperty.call(counts, optionId)) {
+      counts[optionId] += 1;
+    }
+  });
+
+  const totalVotes = Object.values(counts).reduce((total, count) => total + count, 0);
+  const leadingCount = Math.max(0, ...Object.values(counts));
+  const viewerKeys = new Set();
+  (Array.isArray(viewerIds) ? viewerIds : [viewerIds]).forEach((viewerId) => {
+    buildActorKeySet(viewerId).forEach((key) => viewerKeys.add(key));
+  });
+  const viewerKey = Object.keys(votes).find((voterKey) => viewerKeys.has(voterKey));
+
+  return {
+    question: message?.text || '',
+    closed: message?.poll?.closed === true,
+    closedAt: parseTimestampToMillis(message?.poll?.closedAt),
+    totalVotes,
+    myVote: viewerKey && counts[votes[viewerKey]] !== undefined ? votes[viewerKey] : null,
+    myVoteKey: viewerKey || null,
+    options: options.map((option) => ({
+      ...option,
+      votes: counts[option.id],
+      percent: totalVotes > 0 ? Math.round((counts[option.id] / totalVotes) * 100) : 0,
+      leading: totalVotes > 0 && counts[option.id] === leadingCount,
+    })),
+  };
+};
+
+/**
+ * Formats poll results as a single anonymous line sized for the Tour Pack
+ * issue log, so the driver can paste it straight into an issue summary.
+ */
+const formatPollResultsForIssueLog = (message) => {
+  const summary = summarizePoll(message);
+  const status = summary.closed ? 'closed' : 'open';
+  const tallies = summary.options
+    .map((option) => `${option.label} ${option.votes} (${option.percent}%)`)
+    .join(', ');
+  const voteLabel = summary.totalVotes === 1 ? 'vote' : 'votes';
+  const build = (question) => `Chat poll (${status}): ${question} - ${tallies}. ${summary.totalVotes} ${voteLabel}.`;
+
+  let line = build(summary.question);
+  if (line.length > POLL_ISSUE_LOG_MAX_LENGTH) {
+    const overflow = line.length - POLL_ISSUE_LOG_MAX_LENGTH;
+    const questionBudget = Math.max(20, summary.question.length - overflow - 1);
+    line = build(`${summary.question.slice(0, questionBudget).trimEnd()}…`);
+  }
+  return line.length > POLL_ISSUE_LOG_MAX_LENGTH
+    ? `${line.slice(0, POLL_ISSUE_LOG_MAX_LENGTH - 1)}…`
+    : line;
+};
+
+// Start a poll in the group chat. Only the driver can ask the group.
+const sendPollMessage = async (tourId, question, options, senderInfo, dbInstance, sendOptions = {}) => {
+  try {
+    const validatedTourId = validateTourId(tourId);
+    const validatedQuestion = validateMessageText(question, POLL_QUESTION_MAX_LENGTH);
+    const validatedSender = validateSenderInfo(senderInfo);
+    if (validatedSender.principalType !== 'driver' || !validatedSender.isDriver) {
+      return { success: false, error: 'Only the driver can start a poll' };
+    }
+    const pollOptions = validatePollOptions(options);
+
+    const db = dbInstance || resolveRealtimeDb();
+    if (!db) return { success: false, error: 'Realtime database unavailable' };
+
+    const { messageId, idempotencyKey } = resolveMessageWriteIdentity({
+      messageId: sendOptions.messageId,
+      idempotencyKey: sendOptions.idempotencyKey,
+    }, 'poll');
+    const clientCreatedAt = Date.now();
+    const payloadForDb = {
+      schemaVersion: CHAT_MESSAGE_SCHEMA_VERSION,
+      text: sanitizeInput(validatedQuestion),
+      senderName: validatedSender.name,
+      senderId: validatedSender.principalId,
+      senderType: validatedSender.principalType,
+      ...(validatedSender.stablePassengerId ? { senderStableId: validatedSender.stablePassengerId } : {}),
+      timestamp: { '.sv': 'timestamp' },
+      clientCreatedAt,
+      isDriver: true,
+      status: 'sent',
+      type: 'poll',
+      idempotencyKey,
+      poll: {
+        optionCount: Object.keys(pollOptions).length,
+        options: pollOptions,
+        closed: false,
+      },
+    };
+
+    const storedMessage = await writeMessageOnce(
+      db.ref(`chats/${validatedTourId}/messages/${messageId}`),
+      payloadForDb,
+    );
+    logChatEvent('info', 'chat_poll_created', {
+      tourId: validatedTourId,
+      messageId,
+      optionCount: payloadForDb.poll.optionCount,
+      sender: summarizeSenderForDbLog(validatedSender),
+    });
+    return {
+      success: true,
+      message: normalizeMessageTimestamp({
+        id: messageId,
+        ...storedMessage,
+        timestamp: parseTimestampToMillis(storedMessage.timestamp) ?? clientCreatedAt,
+      }),
+    };
+  } catch (error) {
+    logChatEvent('warn', 'chat_poll_create_failed', {
+      tourId: typeof tourId === 'string' ? tourId.trim() : null,
+      sender: summarizeSenderForDbLog(senderInfo),
+      error: summarizeErrorForDbLog(error),
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+// Cast, change, or (with a null optionId) withdraw the caller's vote.
+const votePoll = async (tourId, messageId, optionId, userId, dbInstance) => {
+  try {
+    const validatedTourId = validateTourId(tourId);
+    const validatedMessageId = validateMessageId(messageId);
+    const { rawUserId, actorKey } = getRealtimeActorContext(userId);
+    if (optionId !== null && (typeof optionId !== 'string' || !POLL_OPTION_ID_PATTERN.test(optionId))) {
+      return { success: false, error: 'Invalid poll option' };
+    }
+
+    const db = dbInstance || resolveRealtimeDb();
+    if (!db) return { success: false, error: 'Database unavailable' };
+
+    const voteRef = db.ref(`chats/${validatedTourId}/messages/${validatedMessageId}/pollVotes/${actorKey}`);
+    if (optionId === null) {
+      await voteRef.remove();
+    } else {
+      await voteRef.set(optionId);
+    }
+    return { success: true, optionId };
+  } catch (error) {
+    logChatEvent('warn', 'chat_poll_vote_failed', {
+      tourId: typeof tourId === 'string' ? tourId.trim() : null,
+      messageId: typeof messageId === 'string' ? messageId.trim() : null,
+      maskedUserId: maskUserId(userId),
+      error: summarizeErrorForDbLog(error),
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+// Close a poll so no further votes are accepted. Only the poll's sender can close it.
+const closePoll = async (tourId, messageId, requestingUserId, dbInstance) => {
+  try {
+    const validatedTourId = validateTourId(tourId);
+    const validatedMessageId = validateMessageId(messageId);
+    const validatedUserId = validateUserId(requestingUserId);
+
+    const db = dbInstance || resolveRealtimeDb();
+    if (!db) return { success: false, error: 'Database unavailable' };
+
+    const messageRef = db.ref(`chats/${validatedTourId}/messages/${validatedMessageId}`);
+    const snapshot = await messageRef.once('value');
+    if (!snapshot.exists()) {
+      return { success: false, error: 'Message not found' };
+    }
+
+    const messageData = snapshot.val();
+    if (messageData.type !== 'poll') {
+      return { success: false, error: 'Message is not a poll' };
+    }
+    if (messageData.senderId !== validatedUserId && messageData.senderStableId !== validatedUserId) {
+      return { success: false, error: 'Only the poll creator can close it' };
+    }
+    if (messageData.poll?.closed === true) {
+      return { success: true, alreadyClosed: true };
+    }
+
+    await messageRef.update({
+      'poll/closed': true,
+      'poll/closedAt': { '.sv': 'timestamp' },
+    });
+    logChatEvent('info', 'chat_poll_closed', {
+      tourId: validatedTourId,
+      messageId: validatedMessageId,
+      voteCount: Object.keys(normalizePollVotes(messageData.pollVotes)).length,
+    });
+    return { success: true, alreadyClosed: false };
+  } catch (error) {
+    logChatEvent('warn', 'chat_poll_close_failed', {
+      tourId: typeof tourId === 'string' ? tourId.trim() : null,
+      messageId: typeof messageId === 'string' ? messageId.trim() : null,
+      maskedUserId: maskUserId(requestingUserId),
+      error: summarizeErrorForDbLog(error),
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+// ==================== PINNED MESSAGES ====================
+// Pins live at `chats/{tourId}/pins/{messageId}` beside the messages they point
+// at. Each pin carries its own preview so the banner renders before the pinned
+// message is in the loaded page; only assigned drivers and admins may write.
+
+const buildPinnedPreviewText = (message = {}) => {
+  if (message.type === 'poll') {
+    return sanitizeInput(`📊 ${message.text || ''}`.trim()).slice(0, PINNED_PREVIEW_MAX_LENGTH);
+  }
+  const text = typeof message.text === 'string' ? sanitizeInput(message.text.trim()) : '';
+  return text.slice(0, PINNED_PREVIEW_MAX_LENGTH);
+};
+
+const normalizePinnedMessages = (pins) => {
+  if (!pins || typeof pins !== 'object') return [];
+
+  return Object.entries(pins)
+    .filter(([messageId, pin]) => pin && typeof pin === 'object' && pin.messageId === messageId)
+    .map(([messageId, pin]) => ({
+      messageId,
+      pinnedAt: parseTimestampToMillis(pin.pinnedAt),
+      pinnedBy: typeof pin.pinnedBy === 'string' ? pin.pinnedBy : null,
+      pinnedByName: typeof pin.pinnedByName === 'string' ? pin.pinnedByName : '',
+      senderName: typeof pin.senderName === 'string' ? pin.senderName : '',
+      messageType: typeof pin.messageType === 'string' ? pin.messageType : 'text',
+      previewText: typeof pin.previewText === 'string' ? pin.previewText : '',
+    }))
+    .sort((left, right) => (right.pinnedAt || 0) - (left.pinnedAt || 0));
+};
+
+// Pin a group message. The newest pin leads the ChatScreen banner.
+const pinMessage = async (tourId, message, pinnerInfo, dbInstance) => {
+  try {
+    const validatedTourId = validateTourId(tourId);
+    const validatedMessageId = validateMessageId(message?.id);
+    const validatedPinner = validateSenderInfo(pinnerInfo);
+    if (message.deleted) {
+      return { success: false, error: 'Deleted messages cannot be pinned' };
+    }
+
+    const db = dbInstance || resolveRealtimeDb();
+    if (!db) return { success: false, error: 'Database unavailable' };
+
+    const pinsSnapshot = await db.ref(`chats/${validatedTourId}/pins`).once('value');
+    const existingPins = normalizePinnedMessages(pinsSnapshot.val());
+    if (existingPins.some((pin) => pin.messageId === validatedMessageId)) {
+      return { success: true, alreadyPinned: true };
+    }
+    if (existingPins.length >= PINNED_MESSAGE_LIMIT) {
+      return { success: false, error: `Only ${PINNED_MESSAGE_LIMIT} messages can be pinned at once`, limitReached: true };
+    }
+
+    await db.ref(`chats/${validatedTourId}/pins/${validatedMessageId}`).set({
+      messageId: validatedMessageId,
+      pinnedAt: { '.sv': 'timestamp' },
+      pinnedBy: validatedPinner.principalId,
+      pinnedByName: validatedPinner.name,
+      senderName: sanitizeInput(String(message.senderName || '')).slice(0, 100),
+      messageType: ['image', 'poll'].includes(message.type) ? message.type : 'text',
+      previewText: buildPinnedPreviewText(message),
+    });
+    logChatEvent('info', 'chat_message_pinned', {
+      tourId: validatedTourId,
+      messageId: validatedMessageId,
+      pinner: summarizeSenderForDbLog(validatedPinner),
+    });
+    return { success: true, alreadyPinned: false };
+  } catch (error) {
+    logChatEvent('warn', 'chat_message_pin_failed', {
+      tourId: typeof tourId === 'string' ? tourId.trim() : null,
+      messageId: typeof message?.id === 'string' ? message.id.trim() : null,
+      pinner: summarizeSenderForDbLog(pinnerInfo),
+      error: summarizeErrorForDbLog(error),
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+const unpinMessage = async (tourId, messageId, dbInstance) => {
+  try {
+    const validatedTourId = validateTourId(tourId);
+    const validatedMessageId = validateMessageId(messageId);
+
+    const db = dbInstance || resolveRealtimeDb();
+    if (!db) return { success: false, error: 'Database unavailable' };
+
+    await db.ref(`chats/${validatedTourId}/pins/${validatedMessageId}`).remove();
+    return { success: true };
+  } catch (error) {
+    logChatEvent('warn', 'chat_message_unpin_failed', {
+      tourId: typeof tourId === 'string' ? tourId.trim() : null,
+      messageId: typeof messageId === 'string' ? messageId.trim() : null,
+      error: summarizeErrorForDbLog(error),
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+const subscribeToPinnedMessages = (tourId, onPinsUpdate, dbInstance) => {
+  const db = dbInstance || resolveRealtimeDb();
+
+  if (!db || !tourId || typeof onPinsUpdate !== 'function') {
+    return () => {};
+  }
+
+  const pinsRef = db.ref(`chats/${tourId}/pins`);
+  const listener = pinsRef.on('value', (snapshot) => {
+    onPinsUpdate(normalizePinnedMessages(snapshot.exists() ? snapshot.val() : null));
+  });
+
+  return () => {
+    try {
+      pinsRef.off('value', listener);
+    } catch (error) {
+      logChatEvent('warn', 'pinned_messages_unsubscribe_failed', {
+        tourId,
+        error: summarizeErrorForDbLog(error),
+      });
+    }
+  };
+};
+
+// ==================== MESSAGE TRANSLATION ====================
+// A provider is any object with an `id` and an async
+// `translate({ text, sourceLocale, targetLocale })` resolving `{ text, sourceLocale }`.
+// The bundled provider is a deterministic phrasebook so tests and offline
+// builds never reach a remote service; a hosted provider can be swapped in
+// with setTranslationProvider without touching ChatScreen.
+
+const TRANSLATION_CACHE_LIMIT = 500;
+const UNKNOWN_SOURCE_LOCALE = 'und';
+
+// Columns: en, de, es, fr, it.
+const LOCAL_TRANSLATION_LOCALES = ['en', 'de', 'es', 'fr', 'it'];
+const LOCAL_TRANSLATION_PHRASEBOOK = [
+  ['hello', 'hallo', 'hola', 'bonjour', 'ciao'],
+  ['thanks', 'danke', 'gracias', 'merci', 'grazie'],
+  ['sorry', 'entschuldigung', 'perdón', 'pardon', 'scusa'],
+  ['yes', 'ja', 'sí', 'oui', 'sì'],
+  ['no', 'nein', 'no', 'non', 'no'],
+  ['and', 'und', 'y', 'et', 'e'],
+  ['here', 'hier', 'aquí', 'ici', 'qui'],
+  ['where', 'wo', 'dónde', 'où', 'dove'],
+  ['when', 'wann', 'cuándo', 'quand', 'quando'],
+  ['time', 'zeit', 'hora', 'heure', 'ora'],
+  ['today', 'heute', 'hoy', "aujourd'hui", 'oggi'],
+  ['tomorrow', 'morgen', 'mañana', 'demain', 'domani'],
+  ['late', 'spät', 'tarde', 'tard', 'tardi'],
+  ['ready', 'bereit', 'listo', 'prêt', 'pronto'],
+  ['wait', 'warten', 'esperar', 'attendre', 'aspettare'],
+  ['coach', 'reisebus', 'autocar', 'car', 'pullman'],
+  ['hotel', 'hotel', 'hotel', 'hôtel', 'albergo'],
+  ['lunch', 'mittagessen', 'almuerzo', 'déjeuner', 'pranzo'],
+  ['dinner', 'abendessen', 'cena', 'dîner', 'cena'],
+  ['water', 'wasser', 'agua', 'eau', 'acqua'],
+  ['photo', 'foto', 'foto', 'photo', 'foto'],
+  ['lake', 'see', 'lago', 'lac', 'lago'],
+  ['castle', 'schloss', 'castillo', 'château', 'castello'],
+  ['good', 'gut', 'bueno', 'bon', 'buono'],
+  ['beautiful', 'schön', 'precioso', 'magnifique', 'bellissimo'],
+];
+
+const TRANSLATION_WORD_PATTERN = /(\p{L}+(?:['’]\p{L}+)*)/u;
+const TRANSLATION_LINK_PATTERN = /((?:https?:\/\/|www\.)\S+)/i;
+
+const normalizeTranslationLocale = (locale) => {
+  if (typeof locale !== 'string') return null;
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(language) ? language : null;
+};
+
+const matchWordCase = (source, translated) => {
+  if (source.length > 1 && source === source.toUpperCase()) return translated.toUpperCase();
+  if (source[0] === source[0].toUpperCase() && source[0] !== source[0].toLowerCase()) {
+    return translated[0].toUpperCase() + translated.slice(1);
+  }
+  return translated;
+};
+
+/**
+ * Word-for-word provider over a fixed phrasebook. The source language is the
+ * column with the most matched words (ties go to the earlier column) so the
+ * same text always yields the same translation.
+ */
+const createLocalDictionaryTranslationProvider = ({
+  locales = LOCAL_TRANSLATION_LOCALES,
+  phrasebook = LOCAL_TRANSLATION_PHRASEBOOK,
+} = {}) => {
+  const wordIndex = new Map();
+  phrasebook.forEach((row, rowIndex) => {
+    row.forEach((word, column) => {
+      const key = String(word).toLowerCase().replace(/’/g, "'");
+      const entries = wordIndex.get(key) || [];
+      entries.push({ locale: locales[column], rowIndex });
+      wordIndex.set(key, entries);
+    });
+  });
+
+  const lookup = (word) => wordIndex.get(word.toLowerCase().replace(/’/g, "'")) || [];
+
+  const detectSourceLocale = (parts) => {
+    const hits = new Map();
+    parts.forEach((part) => {
+      new Set(lookup(part).map((entry) => entry.locale)).forEach((locale) => {
+        hits.set(locale, (hits.get(locale) || 0) + 1);
+      });
+    });
+    let best = UNKNOWN_SOURCE_LOCALE;
+    let bestCount = 0;
+    locales.forEach((locale) => {
+      if ((hits.get(locale) || 0) > bestCount) {
+        best = locale;
+        bestCount = hits.get(locale);
+      }
+    });
+    return best;
+  };
+
+  return {
+    id: 'local-dictionary',
+    translate: async ({ text, sourceLocale, targetLocale }) => {
+      const targetColumn = locales.indexOf(targetLocale);
+      // Links stay untouched; odd split indexes are the captured links.
+      const segments = String(text).split(TRANSLATION_LINK_PATTERN)
+        .map((segment, index) => (index % 2 === 1 ? [segment] : segment.split(TRANSLATION_WORD_PATTERN)));
+      const words = segments.flatMap((parts) => (parts.length > 1 ? parts.filter((_, index) => index % 2 === 1) : []));
+      const resolvedSource = sourceLocale || detectSourceLocale(words);
+      if (targetColumn < 0 || resolvedSource === targetLocale) {
+        return { text: String(text), sourceLocale: resolvedSource };
+      }
+
+      const translated = segments.map((parts) => parts.map((part, index) => {
+        if (index % 2 === 0) return part;
+        const entry = lookup(part).find((candidate) => candidate.locale === resolvedSource);
+        return entry ? matchWordCase(part, phrasebook[entry.rowIndex][targetColumn]) : part;
+      }).join(''));
+      return { text: translated.join(''), sourceLocale: resolvedSource };
+    },
+  };
+};
+
+let activeTranslationProvider = createLocalDictionaryTranslationProvider();
+
+// Keyed by `${messageId}:${targetLocale}`; entries remember the source text so
+// an edited message is translated again instead of serving a stale result.
+const translationCache = new Map();
+
+const validateTranslationProvider = (provider) => {
+  if (!provider || typeof provider.translate !== 'function') {
+    throw new Error('Translation provider must implement translate()');
+  }
+  if (typeof provider.id !== 'string' || !provider.id.trim()) {
+    throw new Error('Translation provider must have an id');
+  }
+  return provider;
+};
+
+const setTranslationProvider = (provider) => {
+  activeTranslationProvider = validateTranslationProvider(provider);
+  translationCache.clear();
+};
+
+const getTranslationProvider = () => activeTranslationProvider;
+
+const clearMessageTranslationCache = () => {
+  translationCache.clear();
+};
+
+const rememberTranslation = (cacheKey, entry) => {
+  translationCache.delete(cacheKey);
+  translationCache.set(cacheKey, entry);
+  while (translationCache.size > TRANSLATION_CACHE_LIMIT) {
+    translationCache.delete(translationCache.keys().next().value);
+  }
+};
+
+// Synchronous read so list re-renders can show a finished translation without awaiting.
+const getCachedMessageTranslation = (message, targetLocale) => {
+  const locale = normalizeTranslationLocale(targetLocale);
+  if (!message?.id || !locale) return null;
+  const entry = translationCache.get(`${message.id}:${locale}`);
+  if (!entry?.translation || entry.sourceText !== message.text) return null;
+  return entry.translation;
+};
+
+// Translate one message's text, reusing the cached (or in-flight) result for
+// the same message ID, text and target locale.
+const translateMessage = async (message, targetLocale, options = {}) => {
+  try {
+    const messageId = validateMessageId(message?.id);
+    const locale = normalizeTranslationLocale(targetLocale);
+    if (!locale) return { success: false, error: 'Target language is required', translation: null };
+    if (message.deleted || typeof message.text !== 'string' || !message.text.trim()) {
+      return { success: false, error: 'Message has no text to translate', translation: null };
+    }
+
+    const provider = options.provider ? validateTranslationProvider(options.provider) : activeTranslationProvider;
+    const cacheKey = `${messageId}:${locale}`;
+    const cached = translationCache.get(cacheKey);
+    if (cached && cached.sourceText === message.text && cached.providerId === provider.id) {
+      if (cached.translation) return { success: true, translation: cached.translation, cached: true };
+      if (cached.pending) return cached.pending;
+    }
+
+    const pending = Promise.resolve()
+      .then(() => provider.translate({
+        text: message.text,
+        sourceLocale: normalizeTranslationLocale(options.sourceLocale),
+        targetLocale: locale,
+      }))
+      .then((result) => {
+        if (typeof result?.text !== 'string') throw new Error('Translation provider returned no text');
+        const sourceLocale = normalizeTranslationLocale(result.sourceLocale) || UNKNOWN_SOURCE_LOCALE;
+        const translation = {
+          messageId,
+          text: result.text,
+          sourceLocale,
+          targetLocale: locale,
+          providerId: provider.id,
+          unchanged: sourceLocale === locale || result.text === message.text,
+        };
+        rememberTranslation(cacheKey, { sourceText: message.text, providerId: provider.id, translation });
+        return { success: true, translation, cached: false };
+      })
+      .catch((error) => {
+        if (translationCache.get(cacheKey)?.pending === pending) translationCache.delete(cacheKey);
+        logChatEvent('warn', 'chat_message_translation_failed', {
+          messageId,
+          targetLocale: locale,
+          providerId: provider.id,
+          error: summarizeErrorForDbLog(error),
+        });
+        return { success: false, error: 'Message could not be translated', translation: null };
+      });
+
+    rememberTranslation(cacheKey, { sourceText: message.text, providerId: provider.id, pending });
+    return pending;
+  } catch (error) {
+    return { success: false, error: error.message, translation: null };
+  }
+};
+
 module.exports = {
   // Send messages
   sendMessage,
@@ -2016,6 +2782,7 @@ module.exports = {
   subscribeToTypingIndicators,
   subscribeToPresence,
   subscribeToReadReceipts,
+  subscribeToPinnedMessages,
 
   // Reactions
   addReaction,
@@ -2036,4 +2803,32 @@ module.exports = {
   getChatMessagesPage,
   getMessageTextForCopy,
   deleteMessage,
+
+  // Editing
+  editMessage,
+  canEditMessage,
+  getMessageVersion,
+  getEditHistory,
+  CHAT_EDIT_WINDOW_MS,
+  CHAT_MAX_EDITS,
+
+  // Polls
+  sendPollMessage,
+  votePoll,
+  closePoll,
+  summarizePoll,
+  formatPollResultsForIssueLog,
+
+  // Pinned messages
+  pinMessage,
+  unpinMessage,
+  PINNED_MESSAGE_LIMIT,
+
+  // Translation
+  createLocalDictionaryTranslationProvider,
+  setTranslationProvider,
+  getTranslationProvider,
+  translateMessage,
+  getCachedMessageTranslation,
+  clearMessageTranslationCache,
 };
@@ -14,6 +14,7 @@ if (!isTestEnv) {
 }
 
 const { loadOptionalService } = require('./optionalServiceLoader');
+const { normalizeBlurRegions } = require('../utils/photoBlurRegions');
 
 const loggerServiceModule = loadOptionalService({
   modulePath: './loggerService',
@@ -38,6 +39,15 @@ const REPORT_REASON_OPTIONS = [
   { key: 'other', label: 'Other concern' },
 ];
 
+// Photos only: someone in the picture asks for their face to be blurred.
+// Moderators blur the marked areas instead of removing the photo.
+const FACE_BLUR_REPORT_REASON = 'face_blur';
+
+const PHOTO_REPORT_REASON_OPTIONS = [
+  { key: FACE_BLUR_REPORT_REASON, label: 'Blur my face' },
+  ...REPORT_REASON_OPTIONS,
+];
+
 const REPORT_REASON_KEYS = new Set(REPORT_REASON_OPTIONS.map((option) => option.key));
 const CONTENT_TYPES = new Set(['chat_message', 'group_photo']);
 const CHAT_SCOPES = new Set(['group', 'internal']);
@@ -65,8 +75,11 @@ const requiredString = (value, label, maxLength = MAX_REPORT_TEXT_LENGTH) => {
   return normalized;
 };
 
-const normalizeReportReason = (reason) => {
+const normalizeReportReason = (reason, contentType) => {
   const normalized = safeString(reason, 80).toLowerCase();
+  if (normalized === FACE_BLUR_REPORT_REASON) {
+    return contentType === 'group_photo' ? normalized : 'other';
+  }
   return REPORT_REASON_KEYS.has(normalized) ? normalized : 'other';
 };
 
@@ -83,6 +96,12 @@ const normalizeChatScope = (scope) => {
   return CHAT_SCOPES.has(normalized) ? normalized : null;
 };
 
+// Edited chat messages report the version the reporter saw (1 = as sent).
+const normalizeContentVersion = (version) => {
+  const numeric = Number(version);
+  return Number.isInteger(numeric) && numeric >= 1 && numeric <= 1000 ? numeric : null;
+};
+
 const buildReportId = (createdAtMs) =>
   `report_${createdAtMs}_${Math.random().toString(36).slice(2, 10)}`;
 
@@ -130,7 +149,7 @@ const createContentReport = async (
     const safeCreatedAtMs = Number.isFinite(createdAtMs) && createdAtMs > 0 ? createdAtMs : Date.now();
     const createdAt = new Date(safeCreatedAtMs).toISOString();
     const contentType = normalizeContentType(payload.contentType);
-    const reason = normalizeReportReason(payload.reason);
+    const reason = normalizeReportReason(payload.reason, contentType);
     const reporterId = requiredString(payload.reporterId, 'Reporter ID', 160);
     const reporterAuthUid = requiredString(payload.reporterAuthUid, 'Reporter auth UID', 160);
     const tourId = requiredString(payload.tourId, 'Tour ID', 160);
@@ -168,6 +187,14 @@ const createContentReport = async (
     const chatScope = normalizeChatScope(payload.chatScope);
     if (chatScope) report.chatScope = chatScope;
 
+    const contentVersion = normalizeContentVersion(payload.contentVersion);
+    if (contentVersion) report.contentVersion = contentVersion;
+
+    // Where the reporter marked their face, as a starting point for the
+    // moderator. Optional: the moderator can always mark it themselves.
+    const blurRegions = reason === FACE_BLUR_REPORT_REASON ? normalizeBlurRegions(payload.blurRegions) : [];
+    if (blurRegions.length > 0) report.blurRegions = blurRegions;
+
     await reportRef.set(report);
 
     logger?.info?.('ContentModeration', 'Content report submitted', {
@@ -175,6 +202,7 @@ const createContentReport = async (
       tourId,
       contentType,
       reason,
+      blurRegionCount: blurRegions.length,
     });
 
     return { success: true, reportId, report };
@@ -189,6 +217,8 @@ const createContentReport = async (
 };
 
 module.exports = {
+  FACE_BLUR_REPORT_REASON,
+  PHOTO_REPORT_REASON_OPTIONS,
   REPORT_REASON_OPTIONS,
   checkTextForObjectionableContent,
   assertTextPassesModeration,
@@ -1,5 +1,6 @@
 const { createPersistenceProvider } = require('./persistenceProvider');
 const { normalizeTourId } = require('./tourIdentityService');
+const { normalizeBoardingPassVerification } = require('./boardingPassService');
 
 const SCHEMA_VERSION = 1;
 const MAX_BOOKINGS = 1_500;
@@ -7,6 +8,8 @@ const MAX_PASSENGERS_PER_BOOKING = 80;
 const MAX_PICKUP_POINTS_PER_BOOKING = 20;
 const MAX_BOOKING_ID_LENGTH = 120;
 const MAX_TEXT_LENGTH = 500;
+const MAX_CARE_PROFILES_PER_BOOKING = 20;
+const CARE_MOBILITY_NEEDS = new Set(['wheelchair', 'walking_aid', 'step_free_access', 'boarding_assistance']);
 const MANIFEST_STATUSES = new Set(['PENDING', 'BOARDED', 'NO_SHOW', 'PARTIAL']);
 
 const defaultStorage = createPersistenceProvider({
@@ -53,6 +56,29 @@ const recomputeStats = (bookings) => bookings.reduce((stats, booking) => {
   return stats;
 }, { totalBookings: 0, totalPax: 0, checkedIn: 0, noShows: 0 });
 
+// Consented medical and accessibility notes from functions/lib/careProfiles.js.
+// Entries that do not fit are dropped rather than rejecting the booking.
+const normalizeCareProfiles = (input) => (Array.isArray(input) ? input : [])
+  .slice(0, MAX_CARE_PROFILES_PER_BOOKING)
+  .map((profile) => {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return null;
+    const mobility = Array.isArray(profile.mobility) ? profile.mobility.filter((need) => CARE_MOBILITY_NEEDS.has(need)) : [];
+    const contactName = text(profile.emergencyContact?.name, 80);
+    const contactPhone = text(profile.emergencyContact?.phone, 40);
+    const normalized = {
+      passengerName: text(profile.passengerName, 80),
+      mobility,
+      mobilityNotes: text(profile.mobilityNotes, 300),
+      allergies: text(profile.allergies, 300),
+      medications: text(profile.medications, 300),
+      emergencyContact: contactName && contactPhone ? { name: contactName, phone: contactPhone } : null,
+    };
+    const hasContent = mobility.length > 0 || normalized.mobilityNotes || normalized.allergies
+      || normalized.medications || normalized.emergencyContact;
+    return hasContent ? normalized : null;
+  })
+  .filter(Boolean);
+
 const normalizeBooking = (input) => {
   if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
   const id = text(input.id, MAX_BOOKING_ID_LENGTH).toUpperCase();
@@ -78,6 +104,7 @@ const normalizeBooking = (input) => {
     return (location || time || date) ? { location, time, date } : null;
   });
   if (pickupPoints.some((point) => !point)) return null;
+  const careProfiles = normalizeCareProfiles(input.careProfiles);
 
   // Cache only fields the manifest screen renders. This deliberately avoids a
   // generic booking copy and keeps the local PII surface bounded.
@@ -93,6 +120,7 @@ const normalizeBooking = (input) => {
     pickupLocation: text(input.pickupLocation, 250) || 'To be confirmed',
     pickupTime: text(input.pickupTime, 40) || 'TBA',
     notes: text(input.notes, 1_000),
+    ...(careProfiles.length ? { careProfiles } : {}),
   };
 };
 
@@ -109,6 +137,9 @@ function normalizeSnapshot(snapshot, { tourId, driverId, now = Date.now() } = {}
   if (ids.size !== bookings.length) return null;
   const fetchedAtMs = Number(snapshot.fetchedAtMs);
   if (!Number.isFinite(fetchedAtMs) || fetchedAtMs <= 0 || fetchedAtMs > now + 5 * 60 * 1000) return null;
+  // Boarding pass verification is optional: a snapshot without it still loads,
+  // the scanner just asks for a refresh.
+  const boardingPass = normalizeBoardingPassVerification(snapshot.boardingPass, canonicalTourId);
   return {
     schemaVersion: SCHEMA_VERSION,
     complete: true,
@@ -117,11 +148,43 @@ function normalizeSnapshot(snapshot, { tourId, driverId, now = Date.now() } = {}
     fetchedAtMs,
     bookings,
     stats: recomputeStats(bookings),
+    ...(boardingPass ? { boardingPass } : {}),
   };
 }
 
+// Care profiles are medical data and the snapshot store is not encrypted, so
+// they are never written there. They are kept in memory for the app session
+// and come back with the next manifest refresh after a restart.
+const withoutCareProfiles = (snapshot) => ({
+  ...snapshot,
+  bookings: snapshot.bookings.map((booking) => {
+    if (!booking.careProfiles) return booking;
+    const persisted = { ...booking };
+    delete persisted.careProfiles;
+    return persisted;
+  }),
+});
+
 function createDriverManifestCacheService({ storage = defaultStorage, now = () => Date.now() } = {}) {
   const locks = new Map();
+  const careProfilesByKey = new Map();
+  const rememberCareProfiles = (key, snapshot) => {
+    const byBooking = new Map(snapshot.bookings
+      .filter((booking) => booking.careProfiles)
+      .map((booking) => [booking.id, booking.careProfiles]));
+    if (byBooking.size) careProfilesByKey.set(key, byBooking);
+    else careProfilesByKey.delete(key);
+  };
+  const withRememberedCareProfiles = (key, snapshot) => {
+    const byBooking = careProfilesByKey.get(key);
+    if (!byBooking) return snapshot;
+    return {
+      ...snapshot,
+      bookings: snapshot.bookings.map((booking) => (
+        byBooking.has(booking.id) ? { ...booking, careProfiles: byBooking.get(booking.id) } : booking
+      )),
+    };
+  };
   const withLock = async (key, operation) => {
     const previous = locks.get(key) || Promise.resolve();
     const current = previous.catch(() => {}).then(operation);
@@ -137,12 +200,19 @@ function createDriverManifestCacheService({ storage = defaultStorage, now = () =
     const identity = validateIdentity(tourId, driverId);
     if (!identity) return response.fail('A canonical tour ID and D-* driver ID are required.');
     try {
-      const raw = await storage.getItemAsync(cacheKey(identity.tourId, identity.driverId));
+      const key = cacheKey(identity.tourId, identity.driverId);
+      const raw = await storage.getItemAsync(key);
       if (!raw) return response.ok(null);
       let parsed;
       try { parsed = JSON.parse(raw); } catch { return response.fail('Cached manifest is malformed.'); }
       const snapshot = normalizeSnapshot(parsed, { ...identity, now: now() });
-      return snapshot ? response.ok(snapshot) : response.fail('Cached manifest did not pass validation.');
+      if (!snapshot) return response.fail('Cached manifest did not pass validation.');
+      const persisted = withoutCareProfiles(snapshot);
+      if (persisted.bookings.some((booking, index) => booking !== snapshot.bookings[index])) {
+        // Written before care profiles were kept out of storage; drop them now.
+        await withLock(key, () => storage.setItemAsync(key, JSON.stringify(persisted))).catch(() => {});
+      }
+      return response.ok(withRememberedCareProfiles(key, persisted));
     } catch (error) { return response.fail(error); }
   };
   const replace = async ({ tourId, driverId, manifest, fetchedAtMs = now() } = {}) => {
@@ -159,7 +229,8 @@ function createDriverManifestCacheService({ storage = defaultStorage, now = () =
     if (!snapshot) return response.fail('Manifest snapshot did not pass validation.');
     const key = cacheKey(identity.tourId, identity.driverId);
     try {
-      await withLock(key, () => storage.setItemAsync(key, JSON.stringify(snapshot)));
+      await withLock(key, () => storage.setItemAsync(key, JSON.stringify(withoutCareProfiles(snapshot))));
+      rememberCareProfiles(key, snapshot);
       return response.ok(snapshot);
     } catch (error) { return response.fail(error); }
   };
@@ -183,9 +254,9 @@ function createDriverManifestCacheService({ storage = defaultStorage, now = () =
         if (statuses.some((status) => !MANIFEST_STATUSES.has(status))) return response.fail('Passenger status is invalid.');
         const bookings = [...snapshot.bookings];
         bookings[bookingIndex] = { ...booking, passengerStatus: statuses, status: deriveStatus(statuses) };
-        const next = { ...snapshot, bookings, stats: recomputeStats(bookings) };
+        const next = withoutCareProfiles({ ...snapshot, bookings, stats: recomputeStats(bookings) });
         await storage.setItemAsync(key, JSON.stringify(next));
-        return response.ok(next);
+        return response.ok(withRememberedCareProfiles(key, next));
       });
     } catch (error) { return response.fail(error); }
   };
@@ -193,6 +264,7 @@ function createDriverManifestCacheService({ storage = defaultStorage, now = () =
     const identity = validateIdentity(tourId, driverId);
     if (!identity) return response.fail('A canonical tour ID and D-* driver ID are required.');
     try {
+      careProfilesByKey.delete(cacheKey(identity.tourId, identity.driverId));
       await withLock(cacheKey(identity.tourId, identity.driverId), () => storage.deleteItemAsync(cacheKey(identity.tourId, identity.driverId)));
       return response.ok(true);
     } catch (error) { return response.fail(error); }
@@ -15,9 +15,10 @@ const QUALITY = ['state','matched','tourPaxOnly','paxOnly','conflicts','duplicat
 const safeKey = (v) => typeof v === 'string' && v.length > 0 && v.length <= 180 && !/[.#$/\[\]\x00-\x1f\x7f]/.test(v);
 const object = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
 const realDate = (v) => { if (!DATE.test(String(v || ''))) return false; const [y,m,d] = v.split('-').map(Number); const x = new Date(Date.UTC(y,m-1,d)); return x.getUTCFullYear() === y && x.getUTCMonth() === m-1 && x.getUTCDate() === d; };
-const errorsForExact = (value, keys, path, errors) => { if (!object(value)) { errors.push(`${path} must be an object`); return false; } const allowed = new Set(keys); Object.keys(value).forEach((k) => { if (!allowed.has(k)) errors.push(`${path}.${k} is unknown`); }); keys.forEach((k) => { if (!Object.hasOwn(value,k)) errors.push(`${path}.${k} is required`); }); return true; };
+const errorsForExact = (value, keys, path, errors, optional = []) => { if (!object(value)) { errors.push(`${path} must be an object`); return false; } const allowed = new Set([...keys, ...optional]); Object.keys(value).forEach((k) => { if (!allowed.has(k)) errors.push(`${path}.${k} is unknown`); }); keys.forEach((k) => { if (!Object.hasOwn(value,k)) errors.push(`${path}.${k} is required`); }); return true; };
 const string = (value, path, errors, { required = false, max = 240 } = {}) => { if (typeof value !== 'string') errors.push(`${path} must be a string`); else if ((required && !value.trim()) || value.length > max) errors.push(`${path} is invalid`); };
 const integer = (value, path, errors, positive = false) => { if (!Number.isSafeInteger(value) || value < (positive ? 1 : 0)) errors.push(`${path} must be a ${positive ? 'positive' : 'non-negative'} integer`); };
+const coordinates = (value, path, errors) => { const hasLat = Object.hasOwn(value,'latitude'); const hasLng = Object.hasOwn(value,'longitude'); if (!hasLat && !hasLng) return; if (hasLat !== hasLng) { errors.push(`${path} coordinates incomplete`); return; } if (typeof value.latitude !== 'number' || !Number.isFinite(value.latitude) || Math.abs(value.latitude) > 90 || typeof value.longitude !== 'number' || !Number.isFinite(value.longitude) || Math.abs(value.longitude) > 180) errors.push(`${path} coordinates invalid`); };
 const record = (value, limit, path, errors, validator) => { if (!object(value)) { errors.push(`${path} must be an object`); return; } const entries = Object.entries(value); if (entries.length > limit) errors.push(`${path} exceeds limit`); entries.forEach(([key,item]) => { if (!safeKey(key)) errors.push(`${path} contains unsafe key`); validator(item,key,`${path}.${key}`,errors); }); };
 const privacy = (value, path, errors) => { if (typeof value === 'string') { if (EMAIL.test(value)) errors.push(`${path} contains email`); return; } if (Array.isArray(value)) return value.forEach((x,i) => privacy(x,`${path}[${i}]`,errors)); if (object(value)) Object.entries(value).forEach(([k,v]) => { if (FORBIDDEN.test(k)) errors.push(`${path}.${k} is prohibited`); privacy(v,`${path}.${k}`,errors); }); };
 
@@ -66,7 +67,7 @@ function validateDriverTourPack(pack) {
   return { valid: errors.length === 0, errors };
 }
 function validateTour(v,status,e) { const k=['name','destination','routeCode','endDateISO','days','status']; if (errorsForExact(v,k,'$.tour',e)) { ['name','destination','routeCode'].forEach(x=>string(v[x],`$.tour.${x}`,e,{required:status==='active'&&x==='name',max:300})); if(!realDate(v.endDateISO))e.push('$.tour.endDateISO invalid'); integer(v.days,'$.tour.days',e,true); if(v.status!==status)e.push('$.tour.status mismatch'); } }
-function validatePickup(v,key,p,e){const k=['pickupId','dateISO','time','name','address','passengerCount','bookingCount','sequence'];if(errorsForExact(v,k,p,e)){if(v.pickupId!==key)e.push(`${p}.pickupId mismatch`);if(!realDate(v.dateISO))e.push(`${p}.date invalid`);['time','name','address'].forEach(x=>string(v[x],`${p}.${x}`,e,{required:x==='name',max:x==='address'?600:300}));['passengerCount','bookingCount','sequence'].forEach(x=>integer(v[x],`${p}.${x}`,e));}}
+function validatePickup(v,key,p,e){const k=['pickupId','dateISO','time','name','address','passengerCount','bookingCount','sequence'];if(errorsForExact(v,k,p,e,['latitude','longitude'])){if(v.pickupId!==key)e.push(`${p}.pickupId mismatch`);if(!realDate(v.dateISO))e.push(`${p}.date invalid`);['time','name','address'].forEach(x=>string(v[x],`${p}.${x}`,e,{required:x==='name',max:x==='address'?600:300}));['passengerCount','bookingCount','sequence'].forEach(x=>integer(v[x],`${p}.${x}`,e));coordinates(v,p,e);}}
 function validatePassenger(v,key,p,e){const k=['passengerKey','name','bookingRef','seatLabel','pickupId','bookingLeadContactId','sourceState','note'];if(errorsForExact(v,k,p,e)){if(v.passengerKey!==key)e.push(`${p}.key mismatch`);['name','bookingRef','seatLabel','pickupId','bookingLeadContactId','note'].forEach(x=>string(v[x],`${p}.${x}`,e,{required:x==='name',max:300}));if(!['MATCHED','TOUR_PAX_ONLY_OCCUPIED','PAX_ONLY','OCCUPANT_CONFLICT','UNSEATED_PAX'].includes(v.sourceState))e.push(`${p}.sourceState invalid`);}}
 function validateSeat(v,key,p,e){const k=['seatId','label','state','passengerKey'];if(errorsForExact(v,k,p,e)){if(v.seatId!==key)e.push(`${p}.key mismatch`);string(v.label,`${p}.label`,e,{required:true,max:40});string(v.passengerKey,`${p}.passengerKey`,e,{max:80});if(!['empty','occupied','unmatched','blocked','conflict'].includes(v.state))e.push(`${p}.state invalid`);}}
 function validateTimeline(v,key,p,e){const k=['eventId','type','dateISO','time','title','subtitle','reference','notes','sequence'];if(errorsForExact(v,k,p,e)){if(v.eventId!==key)e.push(`${p}.key mismatch`);if(!['pickup','hotel','service','coach'].includes(v.type))e.push(`${p}.type invalid`);if(!realDate(v.dateISO))e.push(`${p}.date invalid`);['time','title','subtitle','reference','notes'].forEach(x=>string(v[x],`${p}.${x}`,e,{required:x==='title',max:x==='notes'?2000:600}));integer(v.sequence,`${p}.sequence`,e);}}
@@ -0,0 +1,247 @@
+// Message catalogs, plural rules and locale-aware dates for the passenger app.
+// Catalog keys are flat dot paths such as `tourHome.greeting`. A value is
+// either a string with `{name}` placeholders or a plural object keyed by
+// Intl.PluralRules categories (`one`, `other`, ...), chosen by `count`.
+const { createPersistenceProvider } = require('./persistenceProvider');
+const { parseTimestampMs } = require('./timeUtils');
+const { parseSupportedStartDate } = require('./itineraryDateParser');
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'locale_v1';
+const AUTO_TRANSLATE_CHAT_STORAGE_KEY = 'auto_translate_chat_v1';
+
+const CATALOGS = Object.freeze({
+  en: require('../locales/en.json'),
+  de: require('../locales/de.json'),
+  es: require('../locales/es.json'),
+  fr: require('../locales/fr.json'),
+  it: require('../locales/it.json'),
+});
+
+// Each language is named in its own language so a passenger can always find it.
+// `intlTag` picks the date and number conventions; English is British English.
+const SUPPORTED_LOCALES = Object.freeze([
+  { code: 'en', label: 'English', intlTag: 'en-GB' },
+  { code: 'de', label: 'Deutsch', intlTag: 'de-DE' },
+  { code: 'es', label: 'Español', intlTag: 'es-ES' },
+  { code: 'fr', label: 'Français', intlTag: 'fr-FR' },
+  { code: 'it', label: 'Italiano', intlTag: 'it-IT' },
+]);
+
+const toIntlTag = (locale) => (
+  SUPPORTED_LOCALES.find((entry) => entry.code === locale) || SUPPORTED_LOCALES[0]
+).intlTag;
+
+const PLURAL_CATEGORIES = Object.freeze(['zero', 'one', 'two', 'few', 'many', 'other']);
+
+// Dates follow the device clock, like timeUtils; only the wording and order
+// change with the locale. Tour days use 24-hour times in every language.
+const DATE_FORMATS = Object.freeze({
+  dayMonth: { weekday: 'short', day: 'numeric', month: 'short' },
+  dayLong: { weekday: 'short', day: 'numeric', month: 'long' },
+  weekdayDate: { weekday: 'long', day: 'numeric', month: 'short' },
+  fullDate: { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' },
+  shortDate: { day: 'numeric', month: 'short', year: 'numeric' },
+  weekday: { weekday: 'short' },
+  month: { month: 'long' },
+  time: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  weekdayTime: { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  dateTime: { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+});
+
+const isPluralEntry = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  && typeof value.other === 'string'
+  && Object.keys(value).every((category) => PLURAL_CATEGORIES.includes(category));
+
+/**
+ * Maps a device or stored tag such as `de-AT` or `fr_CH` to a shipped
+ * catalog. Unknown languages fall back to English.
+ */
+function resolveSupportedLocale(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return DEFAULT_LOCALE;
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+function detectDeviceLocale() {
+  try {
+    return resolveSupportedLocale(Intl.DateTimeFormat().resolvedOptions().locale);
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+}
+
+const pluralRulesCache = new Map();
+const selectPluralCategory = (locale, count) => {
+  if (!pluralRulesCache.has(locale)) pluralRulesCache.set(locale, new Intl.PluralRules(locale));
+  return pluralRulesCache.get(locale).select(count);
+};
+
+const interpolate = (template, params) => template.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined || params[name] === null ? match : String(params[name])
+));
+
+const missingKeys = new Set();
+
+/**
+ * Looks the key up in the active catalog, then English. A key missing from
+ * every catalog renders as the key itself and is recorded, so the catalog
+ * tests and development builds can surface it.
+ */
+function translate(locale, key, params = {}) {
+  const activeLocale = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  let entry = CATALOGS[activeLocale][key];
+  let entryLocale = activeLocale;
+  if (entry === undefined) {
+    if (activeLocale !== DEFAULT_LOCALE) missingKeys.add(`${activeLocale}:${key}`);
+    entry = CATALOGS[DEFAULT_LOCALE][key];
+    entryLocale = DEFAULT_LOCALE;
+  }
+  if (entry === undefined) {
+    missingKeys.add(`${DEFAULT_LOCALE}:${key}`);
+    return key;
+  }
+  if (isPluralEntry(entry)) {
+    const count = Number(params.count);
+    const category = Number.isFinite(count) ? selectPluralCategory(entryLocale, count) : 'other';
+    return interpolate(entry[category] ?? entry.other, params);
+  }
+  return interpolate(String(entry), params);
+}
+
+// `t` for helpers that run outside React. Screens pass their own `t` so the
+// passenger's language wins; tests and logs get English.
+const defaultT = (key, params) => translate(DEFAULT_LOCALE, key, params);
+
+const toDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  // Date-only tour values are read at local noon, like the itinerary, so a
+  // day never shifts across a daylight-saving boundary.
+  const dateOnly = typeof value === 'string' ? parseSupportedStartDate(value) : null;
+  if (dateOnly) return dateOnly;
+  const ms = parseTimestampMs(value);
+  return Number.isFinite(ms) ? new Date(ms) : null;
+};
+
+function formatDate(locale, value, format = 'shortDate', fallback = '') {
+  const date = toDate(value);
+  if (!date) return fallback;
+  const options = DATE_FORMATS[format] || DATE_FORMATS.shortDate;
+  try {
+    return new Intl.DateTimeFormat(toIntlTag(locale), options).format(date);
+  } catch {
+    return date.toISOString();
+  }
+}
+
+function formatNumber(locale, value, options) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return '';
+  return new Intl.NumberFormat(toIntlTag(locale), options).format(numeric);
+}
+
+/**
+ * The chosen language, shared by every screen. Starts from the device
+ * language and switches at runtime when the passenger picks another one.
+ * Also holds whether chat messages are translated into that language
+ * automatically (off until the passenger turns it on).
+ */
+function createI18nStore({
+  storage = createPersistenceProvider({ namespace: 'LLT_I18N', preferredStorage: 'async-storage' }),
+  initialLocale = detectDeviceLocale(),
+} = {}) {
+  let locale = resolveSupportedLocale(initialLocale);
+  let userSelected = false;
+  let autoTranslateChat = false;
+  let autoTranslateSelected = false;
+  let hydration = null;
+  const listeners = new Set();
+
+  const emit = () => listeners.forEach((listener) => listener(locale));
+
+  const hydrate = () => {
+    if (!hydration) {
+      hydration = Promise.all([
+        storage.getItemAsync(LOCALE_STORAGE_KEY).catch(() => null),
+        storage.getItemAsync(AUTO_TRANSLATE_CHAT_STORAGE_KEY).catch(() => null),
+      ])
+        .then(([stored, storedAutoTranslate]) => {
+          let changed = false;
+          if (stored && !userSelected && CATALOGS[stored] && stored !== locale) {
+            locale = stored;
+            changed = true;
+          }
+          if (storedAutoTranslate === '1' && !autoTranslateSelected && !autoTranslateChat) {
+            autoTranslateChat = true;
+            changed = true;
+          }
+          if (changed) emit();
+          return locale;
+        });
+    }
+    return hydration;
+  };
+
+  const setLocale = async (nextLocale) => {
+    if (!CATALOGS[nextLocale]) return { success: false, error: `Unsupported language: ${nextLocale}` };
+    userSelected = true;
+    if (nextLocale !== locale) {
+      locale = nextLocale;
+      emit();
+    }
+    try {
+      await storage.setItemAsync(LOCALE_STORAGE_KEY, nextLocale);
+      return { success: true, data: { locale } };
+    } catch (error) {
+      return { success: false, error: error?.message || String(error) };
+    }
+  };
+
+  const setAutoTranslateChat = async (enabled) => {
+    autoTranslateSelected = true;
+    if (Boolean(enabled) !== autoTranslateChat) {
+      autoTranslateChat = Boolean(enabled);
+      emit();
+    }
+    try {
+      await storage.setItemAsync(AUTO_TRANSLATE_CHAT_STORAGE_KEY, autoTranslateChat ? '1' : '0');
+      return { success: true, data: { autoTranslateChat } };
+    } catch (error) {
+      return { success: false, error: error?.message || String(error) };
+    }
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    getLocale: () => locale,
+    getAutoTranslateChat: () => autoTranslateChat,
+    hydrate,
+    setAutoTranslateChat,
+    setLocale,
+    subscribe,
+    t: (key, params) => translate(locale, key, params),
+  };
+}
+
+const i18nStore = createI18nStore();
+
+module.exports = {
+  ...i18nStore,
+  CATALOGS,
+  DATE_FORMATS,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  createI18nStore,
+  defaultT,
+  detectDeviceLocale,
+  formatDate,
+  formatNumber,
+  getMissingTranslationKeys: () => [...missingKeys],
+  isPluralEntry,
+  resolveSupportedLocale,
+  translate,
+};
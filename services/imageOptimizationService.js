@@ -1,5 +1,6 @@
 import * as ImageManipulator from 'expo-image-manipulator';
 import * as FileSystem from 'expo-file-system/legacy';
+import { extractPhotoCaptureMetadata } from '../utils/photoCaptureMetadata';
 
 const OPTIMIZATION_PROFILES = {
   full: {
@@ -131,6 +132,8 @@ export const optimizeSourcePhotoForUpload = async (asset, options = {}) => {
   }
 
   const originalSizeBytes = typeof asset.fileSize === 'number' ? asset.fileSize : await safeFileSize(asset.uri);
+  // Re-encoding drops EXIF, so keep what the album needs from it first.
+  const capture = extractPhotoCaptureMetadata(asset.exif, { includeLocation: options.includeLocation !== false });
   const dimensions = { width: asset.width, height: asset.height };
 
   const fullProfile = resolveProfile(OPTIMIZATION_PROFILES.full, {
@@ -142,6 +145,7 @@ export const optimizeSourcePhotoForUpload = async (asset, options = {}) => {
 
   return {
     uploadUri: full.uri,
+    capture,
     metrics: {
       originalSizeBytes,
       optimizedSizeBytes: full.sizeBytes,
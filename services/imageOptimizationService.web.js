@@ -1,9 +1,11 @@
+import { extractPhotoCaptureMetadata } from '../utils/photoCaptureMetadata';
+
 const safeFileSize = async (asset) => {
   if (typeof asset?.fileSize === 'number') return asset.fileSize;
   return null;
 };
 
-export const optimizeSourcePhotoForUpload = async (asset) => {
+export const optimizeSourcePhotoForUpload = async (asset, options = {}) => {
   if (!asset?.uri) {
     throw new Error('Missing image asset URI');
   }
@@ -12,6 +14,7 @@ export const optimizeSourcePhotoForUpload = async (asset) => {
 
   return {
     uploadUri: asset.uri,
+    capture: extractPhotoCaptureMetadata(asset.exif, { includeLocation: options.includeLocation !== false }),
     metrics: {
       originalSizeBytes,
       optimizedSizeBytes: originalSizeBytes,
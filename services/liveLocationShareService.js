@@ -0,0 +1,151 @@
+const { finiteOrNull, response } = require('./serviceResponse');
+
+// Family share links for a passenger's live location. The server keeps the
+// share and its hashed token in `live_location_shares` (see
+// functions/lib/liveLocationShare.js); the app only reads the owner copy at
+// `live_location_share_owners/{authUid}`, which also carries the viewer audit.
+// The page behind a link shows the passenger only while location sharing is on.
+const LIVE_LOCATION_SHARE_DURATIONS_MINUTES = Object.freeze([60, 240, 720, 1440]);
+const DEFAULT_LIVE_LOCATION_SHARE_MINUTES = 240;
+const REQUEST_TIMEOUT_MS = 15000;
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const REASON_MESSAGES = Object.freeze({
+  NOT_A_PARTICIPANT: 'Only passengers on this tour can share their location with family.',
+  TOO_MANY_SHARES: 'You already have 3 active links. Stop one before creating another.',
+  TRY_AGAIN_LATER: 'You have created several links recently. Please try again later.',
+  NOT_FOUND: 'This link no longer exists.',
+});
+const UNAVAILABLE_MESSAGE = 'Family location links are temporarily unavailable. Please check your connection and try again.';
+
+const defaultDatabase = () => { try { return require('../firebase').realtimeDb || null; } catch { return null; } };
+const defaultAuth = () => { try { return require('../firebase').auth || null; } catch { return null; } };
+
+const buildEndpoint = (envName, functionName) => () => {
+  const explicitUrl = process.env[envName]?.trim();
+  if (explicitUrl) return explicitUrl;
+  const projectId = process.env.EXPO_PUBLIC_FIREBASE_PROJECT_ID?.trim();
+  return projectId ? `https://europe-west1-${projectId}.cloudfunctions.net/${functionName}` : null;
+};
+
+/**
+ * The owner's links, newest first, with who has opened each one. A link is
+ * active until it expires or is revoked.
+ */
+function normalizeLiveLocationShares(value, nowMs = Date.now()) {
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value)
+    .filter(([shareId, share]) => SHARE_ID_PATTERN.test(shareId) && finiteOrNull(share?.expiresAtMs) !== null)
+    .map(([shareId, share]) => {
+      const revokedAtMs = finiteOrNull(share.revokedAtMs);
+      const viewers = Object.values(share.viewers || {})
+        .filter((viewer) => finiteOrNull(viewer?.lastOpenedAtMs) !== null)
+        .map((viewer) => ({
+          device: typeof viewer.device === 'string' ? viewer.device : 'Unknown browser',
+          openCount: Math.max(1, finiteOrNull(viewer.openCount) || 1),
+          lastOpenedAtMs: viewer.lastOpenedAtMs,
+        }))
+        .sort((a, b) => b.lastOpenedAtMs - a.lastOpenedAtMs);
+      return {
+        shareId,
+        tourId: typeof share.tourId === 'string' ? share.tourId : null,
+        createdAtMs: finiteOrNull(share.createdAtMs),
+        expiresAtMs: share.expiresAtMs,
+        revokedAtMs,
+        active: revokedAtMs === null && share.expiresAtMs > nowMs,
+        openCount: Math.max(0, finiteOrNull(share.openCount) || 0),
+        lastOpenedAtMs: finiteOrNull(share.lastOpenedAtMs),
+        viewers,
+      };
+    })
+    .sort((a, b) => (b.createdAtMs || 0) - (a.createdAtMs || 0));
+}
+
+function createLiveLocationShareService({
+  getAuth = defaultAuth,
+  getDatabase = defaultDatabase,
+  fetchImpl = (...args) => fetch(...args),
+  createEndpoint = buildEndpoint('EXPO_PUBLIC_CREATE_LIVE_LOCATION_SHARE_URL', 'createLiveLocationShare'),
+  revokeEndpoint = buildEndpoint('EXPO_PUBLIC_REVOKE_LIVE_LOCATION_SHARE_URL', 'revokeLiveLocationShare'),
+  nowFn = Date.now,
+} = {}) {
+  const currentUser = () => getAuth()?.currentUser || null;
+
+  const post = async (url, body) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const token = await currentUser().getIdToken();
+      const result = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      const payload = await result.json().catch(() => null);
+      return result.ok && payload?.success === true
+        ? response.ok(payload)
+        : response.fail(REASON_MESSAGES[payload?.reason] || UNAVAILABLE_MESSAGE);
+    } catch {
+      return response.fail(UNAVAILABLE_MESSAGE);
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  /**
+   * Creates a link for family. The token is only in the returned URL; the
+   * app does not keep it, so a lost link is revoked and replaced.
+   */
+  const createShare = async ({ tourId, durationMinutes = DEFAULT_LIVE_LOCATION_SHARE_MINUTES, displayName = '' } = {}) => {
+    const url = createEndpoint();
+    if (!currentUser() || !tourId) return response.fail('A signed-in passenger and tour are required.');
+    if (!url) return response.fail(UNAVAILABLE_MESSAGE);
+    const result = await post(url, {
+      tourId,
+      durationMinutes: LIVE_LOCATION_SHARE_DURATIONS_MINUTES.includes(durationMinutes)
+        ? durationMinutes
+        : DEFAULT_LIVE_LOCATION_SHARE_MINUTES,
+      displayName: typeof displayName === 'string' ? displayName.trim().slice(0, 80) : '',
+    });
+    if (!result.success) return result;
+    const { shareId, shareUrl, expiresAtMs } = result.data;
+    if (!SHARE_ID_PATTERN.test(shareId || '') || typeof shareUrl !== 'string' || !shareUrl.startsWith('https://')) {
+      return response.fail('The share link response was incomplete.');
+    }
+    return response.ok({ shareId, shareUrl, expiresAtMs });
+  };
+
+  const revokeShare = async (shareId) => {
+    const url = revokeEndpoint();
+    if (!currentUser() || !SHARE_ID_PATTERN.test(shareId || '')) return response.fail('This link could not be stopped.');
+    if (!url) return response.fail(UNAVAILABLE_MESSAGE);
+    const result = await post(url, { shareId });
+    return result.success ? response.ok({ shareId, revokedAtMs: result.data.revokedAtMs }) : result;
+  };
+
+  const subscribeToShares = (onChange) => {
+    const db = getDatabase();
+    const authUid = currentUser()?.uid || '';
+    if (!db?.ref || !authUid) {
+      onChange([]);
+      return () => {};
+    }
+    const ref = db.ref(`live_location_share_owners/${authUid}`);
+    const handler = (snapshot) => onChange(normalizeLiveLocationShares(snapshot?.val?.(), nowFn()));
+    ref.on('value', handler, () => onChange([]));
+    return () => ref.off?.('value', handler);
+  };
+
+  return { createShare, revokeShare, subscribeToShares };
+}
+
+const liveLocationShareService = createLiveLocationShareService();
+
+module.exports = {
+  ...liveLocationShareService,
+  DEFAULT_LIVE_LOCATION_SHARE_MINUTES,
+  LIVE_LOCATION_SHARE_DURATIONS_MINUTES,
+  createLiveLocationShareService,
+  normalizeLiveLocationShares,
+};
@@ -59,9 +59,18 @@ const SENSITIVE_KEYS = new Set([
   'password',
 ]);
 
+// Care profile fields (see careProfileService) are health data: they are
+// removed outright rather than masked.
+const MEDICAL_KEY_FRAGMENTS = ['allerg', 'medication', 'mobility', 'emergencycontact', 'careprofile'];
+
+const isMedicalKey = (key = '') => {
+  const normalizedKey = String(key || '').toLowerCase().replace(/[_-]/g, '');
+  return MEDICAL_KEY_FRAGMENTS.some((fragment) => normalizedKey.includes(fragment));
+};
+
 const hasSensitiveKeyFragment = (key = '') => {
   const normalizedKey = String(key || '').toLowerCase();
-  if (SENSITIVE_KEYS.has(normalizedKey)) return true;
+  if (SENSITIVE_KEYS.has(normalizedKey) || isMedicalKey(normalizedKey)) return true;
   return ['token', 'secret', 'session', 'auth', 'booking', 'reference', 'drivercode'].some((fragment) => normalizedKey.includes(fragment));
 };
 
@@ -86,6 +95,7 @@ const safeRealtimeKey = (value, fallback = 'unknown') => {
 
 const redactValueForKey = (key, value) => {
   if (value === null || value === undefined) return value;
+  if (isMedicalKey(key)) return '[REDACTED]';
   if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
     return maskIdentifier(value);
   }
@@ -6,6 +6,7 @@ const logger = process.env.NODE_ENV === 'test'
       return loggerImport.default || loggerImport || console;
     })();
 const { parseTimestampMs } = require('./timeUtils');
+const { defaultT } = require('./i18nService');
 const { normalizeTourId } = require('./tourIdentityService');
 const { HEALTH_STATE, UNIFIED_SYNC_STATES } = require('../utils/unifiedSyncContract');
 const storage = createPersistenceProvider({
@@ -593,43 +594,43 @@ const getStalenessBucket = (lastSyncedAt) => {
   return 'old';
 };
 
-const getStalenessLabel = (lastSyncedAt, now = Date.now()) => {
+const getStalenessLabel = (lastSyncedAt, now = Date.now(), { t = defaultT } = {}) => {
   if (!lastSyncedAt) {
-    return { bucket: 'old', label: 'Not synced yet' };
+    return { bucket: 'old', label: t('sync.notSyncedYet') };
   }
 
   const ts = parseTimestampMs(lastSyncedAt);
   const nowMs = parseTimestampMs(now);
   if (!Number.isFinite(ts)) {
-    return { bucket: 'old', label: 'Not synced yet' };
+    return { bucket: 'old', label: t('sync.notSyncedYet') };
   }
 
   if (!Number.isFinite(nowMs)) {
-    return { bucket: 'old', label: 'Not synced yet' };
+    return { bucket: 'old', label: t('sync.notSyncedYet') };
   }
 
   const diffMs = nowMs - ts;
   const ageMinutes = diffMs / (60 * 1000);
   const bucket = ageMinutes <= 15 ? 'fresh' : ageMinutes <= 24 * 60 ? 'stale' : 'old';
   if (diffMs <= 0) {
-    return { bucket: 'fresh', label: 'Updated just now' };
+    return { bucket: 'fresh', label: t('sync.updatedJustNow') };
   }
 
   const diffMinutes = Math.floor(diffMs / (60 * 1000));
-  if (diffMinutes < 1) return { bucket: 'fresh', label: 'Updated just now' };
-  if (diffMinutes < 60) return { bucket, label: `Updated ${diffMinutes} min ago` };
+  if (diffMinutes < 1) return { bucket: 'fresh', label: t('sync.updatedJustNow') };
+  if (diffMinutes < 60) return { bucket, label: t('sync.updatedMinutesAgo', { minutes: diffMinutes }) };
 
   const diffHours = Math.floor(diffMinutes / 60);
   if (diffHours < 24) {
-    return { bucket, label: `Updated ${diffHours}h ago` };
+    return { bucket, label: t('sync.updatedHoursAgo', { hours: diffHours }) };
   }
 
   const diffDays = Math.floor(diffHours / 24);
   if (diffDays === 1) {
-    return { bucket: 'old', label: 'Cached data from yesterday' };
+    return { bucket: 'old', label: t('sync.cachedYesterday') };
   }
 
-  return { bucket: 'old', label: `Cached data from ${diffDays} days ago` };
+  return { bucket: 'old', label: t('sync.cachedDaysAgo', { count: diffDays }) };
 };
 
 const deriveUnifiedSyncStatus = ({
@@ -1282,7 +1283,7 @@ const subscribeQueuedActions = (listener, { scope } = {}) => {
 };
 
 const applyReplayAction = async (action, services = {}) => {
-  const { bookingService, chatService, photoService, driverTourPackActionService, db } = services;
+  const { bookingService, chatService, photoService, driverTourPackActionService, db, onUploadSession } = services;
 
   if (action.type === 'MANIFEST_UPDATE' && bookingService?.applyManifestUpdateDirect) {
     return bookingService.applyManifestUpdateDirect(action.payload, db);
@@ -1297,7 +1298,11 @@ const applyReplayAction = async (action, services = {}) => {
   }
 
   if (action.type === 'PHOTO_UPLOAD' && photoService?.uploadPhotoDirect) {
-    return photoService.uploadPhotoDirect(action.payload, db);
+    return photoService.uploadPhotoDirect({
+      ...action.payload,
+      uploadSession: action.uploadSession || null,
+      onUploadSession: onUploadSession || null,
+    }, db);
   }
 
   if (action.type === 'DRIVER_TOUR_PACK_ACTION' && driverTourPackActionService?.submitDirect) {
@@ -1413,7 +1418,14 @@ const replayQueue = async ({ db, services = {}, scope = activeSessionScope } = {
       logger.info('OfflineSync', 'Queue replay action started', {
         action: summarizeQueueActionForLog({ ...action, status: inProgressStatus, lastError: null }),
       });
-      const result = await applyReplayAction(action, { ...services, db });
+      // Saved after every acknowledged chunk, and not silently, so the album's
+      // pending tiles show progress and a killed app resumes mid-file.
+      const onUploadSession = action.type === 'PHOTO_UPLOAD'
+        ? async (uploadSession) => {
+          await updateAction(action.id, { uploadSession }, { scope: replayScope });
+        }
+        : null;
+      const result = await applyReplayAction(action, { ...services, db, onUploadSession });
 
       if (result?.success) {
         processed += 1;
@@ -1438,6 +1450,7 @@ const replayQueue = async ({ db, services = {}, scope = activeSessionScope } = {
             status: 'completed',
             lastError: null,
             nextAttemptAt: null,
+            uploadSession: null,
             result: result.data || null,
           }, { silent: true, scope: replayScope });
         } else {
@@ -1503,6 +1516,17 @@ const replayQueue = async ({ db, services = {}, scope = activeSessionScope } = {
   }
 };
 
+/**
+ * Share of a queued photo's bytes the server has acknowledged, from 0 to 1,
+ * or null before the first chunk session exists.
+ */
+const getPhotoUploadProgress = (action) => {
+  const session = action?.uploadSession;
+  if (!session || !Number.isFinite(session.totalBytes) || session.totalBytes <= 0) return null;
+  if (!Number.isFinite(session.bytesSent)) return null;
+  return Math.min(1, Math.max(0, session.bytesSent / session.totalBytes));
+};
+
 const getPhotoUploadActions = async ({ tourId, visibility, ownerId } = {}) => {
   const queued = await getQueuedActions();
   if (!queued.success) return queued;
@@ -1558,6 +1582,7 @@ module.exports = {
   subscribeQueueState,
   subscribeQueuedActions,
   getPhotoUploadActions,
+  getPhotoUploadProgress,
   getStalenessBucket,
   getStalenessLabel,
   pruneCompletedPhotoUploadActions,
@@ -32,6 +32,9 @@ const MAX_DEVICE_LENGTH = 80;
 const MAX_BREADCRUMB_SUMMARY_LENGTH = 420;
 
 const SENSITIVE_LABEL_PATTERN = /\b(auth(?:uid)?|authorization|bearer|booking(?:ref|reference)?|drivercode|email|password|push(?:token)?|reference|session(?:id)?|token|uid|userid)\b\s*[:=]\s*['"]?[^,\s'"}\]]+/gi;
+// Care profile values are free text, so everything up to the next field
+// separator goes, not just the first word.
+const MEDICAL_LABEL_PATTERN = /\b(allerg(?:y|ies)|medications?|mobility[_ ]?(?:needs|notes)?|emergency[_ ]?contact|care[_ ]?profiles?)\b['"]?\s*[:=]\s*(?:"[^"]*"|'[^']*'|\[[^\]]*\]|\{[^}]*\}|[^,;|}\]\n]+)/gi;
 const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
 const EXPO_TOKEN_PATTERN = /ExponentPushToken\[[^\]]+\]/g;
 const SESSION_PATTERN = /\b(?:session|diag)_\d+_[A-Za-z0-9_-]+\b/g;
@@ -64,6 +67,7 @@ const sanitizeOpsText = (value, maxLength = MAX_SUMMARY_LENGTH) => {
     .replace(EXPO_TOKEN_PATTERN, '[push-token]')
     .replace(BEARER_PATTERN, 'Bearer [redacted]')
     .replace(SESSION_PATTERN, '[session]')
+    .replace(MEDICAL_LABEL_PATTERN, (_match, label) => `${label}=[redacted]`)
     .replace(SENSITIVE_LABEL_PATTERN, (_match, label) => `${label}=[redacted]`)
     .replace(LONG_IDENTIFIER_PATTERN, '[identifier]');
 
@@ -78,6 +82,7 @@ const sanitizeOpsLabelText = (value, maxLength = MAX_COMPONENT_LENGTH) => {
     .replace(EXPO_TOKEN_PATTERN, '[push-token]')
     .replace(BEARER_PATTERN, 'Bearer [redacted]')
     .replace(SESSION_PATTERN, '[session]')
+    .replace(MEDICAL_LABEL_PATTERN, (_match, label) => `${label}=[redacted]`)
     .replace(SENSITIVE_LABEL_PATTERN, (_match, label) => `${label}=[redacted]`);
 
   return clamp(withoutSensitiveText, maxLength);
@@ -0,0 +1,196 @@
+const { createPersistenceProvider } = require('./persistenceProvider');
+const { normalizeTourId } = require('./tourIdentityService');
+const { finiteOrNull, response } = require('./serviceResponse');
+
+// Must match functions/lib/photoArchive.js. The server builds the zip in the
+// background and writes progress to `photo_archive_jobs/{authUid}/{jobId}`.
+const PHOTO_ARCHIVE_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  BUILDING: 'building',
+  READY: 'ready',
+  DOWNLOADED: 'downloaded',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+});
+const REQUEST_TIMEOUT_MS = 15000;
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DOWNLOAD_TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+const REQUEST_REASON_MESSAGES = Object.freeze({
+  ARCHIVE_IN_PROGRESS: 'Your photo archive is already being prepared.',
+  TRY_AGAIN_LATER: 'You have asked for several archives recently. Please try again later.',
+});
+
+// Every failure carries copy that is safe to show as-is; raw errors stay out of the UI.
+const UNAVAILABLE_MESSAGE = 'Photo downloads are temporarily unavailable. Please check your connection and try again.';
+const SAVED_LINK_MESSAGE = 'Your saved download could not be read. Request a new archive.';
+
+const FAILURE_MESSAGES = Object.freeze({
+  NO_PHOTOS: 'There were no photos of yours to download for this tour.',
+  ARCHIVE_FAILED: 'Your photo archive could not be prepared. Please try again.',
+});
+
+const defaultDatabase = () => { try { return require('../firebase').realtimeDb || null; } catch { return null; } };
+
+function normalizePhotoArchiveJob(value) {
+  if (!value || typeof value !== 'object' || !Object.values(PHOTO_ARCHIVE_STATUS).includes(value.status)) return null;
+  const total = Math.max(0, finiteOrNull(value.progress?.total) || 0);
+  return {
+    status: value.status,
+    tourId: typeof value.tourId === 'string' ? value.tourId : null,
+    processed: Math.min(total, Math.max(0, finiteOrNull(value.progress?.processed) || 0)),
+    total,
+    photoCount: finiteOrNull(value.photoCount),
+    skippedCount: finiteOrNull(value.skippedCount) || 0,
+    byteSize: finiteOrNull(value.byteSize),
+    expiresAtMs: finiteOrNull(value.expiresAtMs),
+    reason: typeof value.reason === 'string' ? value.reason : null,
+  };
+}
+
+const formatMegabytes = (bytes) => `${Math.max(0.1, Math.round((bytes / (1024 * 1024)) * 10) / 10)} MB`;
+
+/**
+ * One line of status for the archive row, e.g. "Adding photos: 12 of 40".
+ */
+function describePhotoArchiveJob(job, now = Date.now()) {
+  if (!job) return null;
+  switch (job.status) {
+    case PHOTO_ARCHIVE_STATUS.QUEUED:
+      return 'Waiting to start your archive...';
+    case PHOTO_ARCHIVE_STATUS.BUILDING:
+      return job.total > 0 ? `Adding photos: ${job.processed} of ${job.total}` : 'Finding your photos...';
+    case PHOTO_ARCHIVE_STATUS.READY: {
+      if (job.expiresAtMs !== null && job.expiresAtMs <= now) return 'This archive has expired. Request a new one.';
+      const size = job.byteSize ? ` (${formatMegabytes(job.byteSize)})` : '';
+      const skipped = job.skippedCount ? ` ${job.skippedCount} could not be included.` : '';
+      return `${job.photoCount} photos ready to download${size}.${skipped}`;
+    }
+    case PHOTO_ARCHIVE_STATUS.DOWNLOADED:
+      return 'Archive downloaded. Request a new one to download again.';
+    case PHOTO_ARCHIVE_STATUS.EXPIRED:
+      return 'This archive has expired. Request a new one.';
+    default:
+      return FAILURE_MESSAGES[job.reason] || FAILURE_MESSAGES.ARCHIVE_FAILED;
+  }
+}
+
+const buildEndpoint = (envName, functionName) => () => {
+  const explicitUrl = process.env[envName]?.trim();
+  if (explicitUrl) return explicitUrl;
+  const projectId = process.env.EXPO_PUBLIC_FIREBASE_PROJECT_ID?.trim();
+  return projectId ? `https://europe-west1-${projectId}.cloudfunctions.net/${functionName}` : null;
+};
+
+/**
+ * Passenger side of "download all my photos". The one-time download token is
+ * kept in secure storage per account until the link is opened, so progress
+ * survives an app restart.
+ */
+function createPhotoArchiveService({
+  storage = createPersistenceProvider({ namespace: 'LLT_PHOTO_ARCHIVE' }),
+  getAuth = () => { try { return require('../firebase').auth || null; } catch { return null; } },
+  getDatabase = defaultDatabase,
+  fetchImpl = (...args) => fetch(...args),
+  requestEndpoint = buildEndpoint('EXPO_PUBLIC_REQUEST_PHOTO_ARCHIVE_URL', 'requestPhotoArchive'),
+  downloadEndpoint = buildEndpoint('EXPO_PUBLIC_DOWNLOAD_PHOTO_ARCHIVE_URL', 'downloadPhotoArchive'),
+} = {}) {
+  const currentUid = () => getAuth()?.currentUser?.uid || '';
+  const pendingKey = (authUid) => `pending_v1_${encodeURIComponent(authUid)}`;
+
+  const readPending = async (authUid) => {
+    const raw = await storage.getItemAsync(pendingKey(authUid));
+    if (!raw) return null;
+    const pending = JSON.parse(raw);
+    return JOB_ID_PATTERN.test(pending?.jobId || '') && DOWNLOAD_TOKEN_PATTERN.test(pending?.token || '') ? pending : null;
+  };
+
+  const loadPending = async () => {
+    const authUid = currentUid();
+    if (!authUid) return response.ok(null);
+    try {
+      const pending = await readPending(authUid);
+      return response.ok(pending ? { jobId: pending.jobId, tourId: pending.tourId } : null);
+    } catch { return response.fail(SAVED_LINK_MESSAGE); }
+  };
+
+  const clearPending = async () => {
+    const authUid = currentUid();
+    if (authUid) await storage.deleteItemAsync(pendingKey(authUid)).catch(() => {});
+  };
+
+  const requestArchive = async ({ tourId } = {}) => {
+    const authUid = currentUid();
+    const canonicalTourId = normalizeTourId(tourId);
+    const url = requestEndpoint();
+    if (!authUid || !canonicalTourId) return response.fail('A signed-in passenger and tour are required.');
+    if (!url) return response.fail(UNAVAILABLE_MESSAGE);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const token = await getAuth().currentUser.getIdToken();
+      const result = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ tourId: canonicalTourId }),
+        signal: controller.signal,
+      });
+      const payload = await result.json().catch(() => null);
+      if (!result.ok || payload?.success !== true) {
+        return response.fail(REQUEST_REASON_MESSAGES[payload?.reason] || UNAVAILABLE_MESSAGE);
+      }
+      if (!JOB_ID_PATTERN.test(payload.jobId || '') || !DOWNLOAD_TOKEN_PATTERN.test(payload.downloadToken || '')) {
+        return response.fail('Photo archive response was incomplete.');
+      }
+      await storage.setItemAsync(pendingKey(authUid), JSON.stringify({
+        jobId: payload.jobId,
+        token: payload.downloadToken,
+        tourId: canonicalTourId,
+      }));
+      return response.ok({ jobId: payload.jobId, tourId: canonicalTourId });
+    } catch {
+      return response.fail(UNAVAILABLE_MESSAGE);
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  const subscribeToJob = ({ jobId }, onChange) => {
+    const db = getDatabase();
+    const authUid = currentUid();
+    if (!db?.ref || !authUid || !JOB_ID_PATTERN.test(jobId || '')) return () => {};
+    const ref = db.ref(`photo_archive_jobs/${authUid}/${jobId}`);
+    const handler = (snapshot) => onChange(normalizePhotoArchiveJob(snapshot?.val?.()));
+    ref.on('value', handler, () => onChange(null));
+    return () => ref.off?.('value', handler);
+  };
+
+  /**
+   * Returns the one-time link for a ready archive. The caller clears the
+   * pending token once the link has opened, because the server accepts it once.
+   */
+  const getDownloadLink = async () => {
+    const authUid = currentUid();
+    const url = downloadEndpoint();
+    if (!authUid) return response.fail('A signed-in passenger is required.');
+    if (!url) return response.fail(UNAVAILABLE_MESSAGE);
+    try {
+      const pending = await readPending(authUid);
+      if (!pending) return response.fail('This download link has already been used. Request a new archive.');
+      const query = `job=${encodeURIComponent(pending.jobId)}&token=${encodeURIComponent(pending.token)}`;
+      return response.ok({ url: `${url}${url.includes('?') ? '&' : '?'}${query}`, jobId: pending.jobId });
+    } catch { return response.fail(SAVED_LINK_MESSAGE); }
+  };
+
+  return { clearPending, getDownloadLink, loadPending, requestArchive, subscribeToJob };
+}
+
+const photoArchiveService = createPhotoArchiveService();
+
+module.exports = {
+  ...photoArchiveService,
+  PHOTO_ARCHIVE_STATUS,
+  createPhotoArchiveService,
+  describePhotoArchiveJob,
+  normalizePhotoArchiveJob,
+};
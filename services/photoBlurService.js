@@ -0,0 +1,78 @@
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system/legacy';
+import { ClipOp, ImageFormat, Skia, TileMode } from '@shopify/react-native-skia';
+import { normalizeBlurRegions, resolveBlurSigma, toPixelRect } from '../utils/photoBlurRegions';
+
+// Large enough for any upload, small enough to keep the raster surface well
+// inside a budget phone's memory.
+const MAX_BLUR_LONG_EDGE = 4096;
+const BLURRED_PHOTO_QUALITY = 92;
+
+// Picker URIs can carry an EXIF rotation that Skia ignores. One manipulator
+// pass bakes it in, so region fractions line up with what the user saw.
+const renderUprightCopy = async (asset) => {
+  const context = ImageManipulator.ImageManipulator.manipulate(asset.uri);
+  let rendered = null;
+  try {
+    const longEdge = Math.max(asset.width || 0, asset.height || 0);
+    if (longEdge > MAX_BLUR_LONG_EDGE) {
+      context.resize(asset.width >= asset.height ? { width: MAX_BLUR_LONG_EDGE } : { height: MAX_BLUR_LONG_EDGE });
+    }
+    rendered = await context.renderAsync();
+    return await rendered.saveAsync({ format: ImageManipulator.SaveFormat.JPEG, compress: 1 });
+  } finally {
+    rendered?.release?.();
+    context?.release?.();
+  }
+};
+
+/**
+ * Writes a copy of the photo with every region blurred beyond recognition
+ * and returns it like a picker asset. The original file is left untouched,
+ * so the editor can be reopened and the regions changed.
+ *
+ * @returns {Promise<{ uri: string, width: number, height: number }>}
+ */
+export const renderBlurredPhoto = async (asset, regions) => {
+  if (!asset?.uri) {
+    throw new Error('Missing image asset URI');
+  }
+  const blurRegions = normalizeBlurRegions(regions);
+  const upright = await renderUprightCopy(asset);
+  if (blurRegions.length === 0) {
+    return { uri: upright.uri, width: upright.width, height: upright.height };
+  }
+
+  const data = await Skia.Data.fromURI(upright.uri);
+  const image = Skia.Image.MakeImageFromEncoded(data);
+  if (!image) {
+    throw new Error('Photo could not be decoded for blurring');
+  }
+  const width = image.width();
+  const height = image.height();
+  const surface = Skia.Surface.Make(width, height);
+  if (!surface) {
+    throw new Error('Photo is too large to blur on this device');
+  }
+
+  const canvas = surface.getCanvas();
+  canvas.drawImage(image, 0, 0);
+  blurRegions.forEach((region) => {
+    const rect = toPixelRect(region, width, height);
+    const sigma = resolveBlurSigma(rect);
+    const paint = Skia.Paint();
+    paint.setImageFilter(Skia.ImageFilter.MakeBlur(sigma, sigma, TileMode.Clamp, null));
+    canvas.save();
+    canvas.clipRect(Skia.XYWHRect(rect.left, rect.top, rect.width, rect.height), ClipOp.Intersect, true);
+    canvas.drawImage(image, 0, 0, paint);
+    canvas.restore();
+  });
+  surface.flush();
+
+  const snapshot = surface.makeImageSnapshot();
+  const base64 = snapshot.encodeToBase64(ImageFormat.JPEG, BLURRED_PHOTO_QUALITY);
+  const uri = `${FileSystem.cacheDirectory}photo-blur-${Date.now()}.jpg`;
+  await FileSystem.writeAsStringAsync(uri, base64, { encoding: FileSystem.EncodingType.Base64 });
+  await FileSystem.deleteAsync(upright.uri, { idempotent: true });
+  return { uri, width, height };
+};
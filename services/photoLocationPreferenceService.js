@@ -0,0 +1,50 @@
+const { createPersistenceProvider } = require('./persistenceProvider');
+const { response } = require('./serviceResponse');
+
+const STORAGE_KEY_PREFIX = 'include_photo_location_v1:';
+// Coarse capture location is on unless the passenger turns it off.
+const DEFAULT_INCLUDE_PHOTO_LOCATION = true;
+
+const toStorageKey = (userKey) => (
+  typeof userKey === 'string' && userKey.trim() ? `${STORAGE_KEY_PREFIX}${userKey.trim()}` : null
+);
+
+/**
+ * Whether photos this user uploads carry a coarse capture location. Stored
+ * per signed-in user on the device, so a shared phone keeps each person's
+ * choice. Capture time is always kept; only location can be dropped.
+ */
+function createPhotoLocationPreferenceService({
+  storage = createPersistenceProvider({ namespace: 'LLT_PHOTO_PRIVACY', preferredStorage: 'async-storage' }),
+} = {}) {
+  const getIncludePhotoLocation = async (userKey) => {
+    const key = toStorageKey(userKey);
+    if (!key) return DEFAULT_INCLUDE_PHOTO_LOCATION;
+    const stored = await storage.getItemAsync(key).catch(() => null);
+    if (stored === '0') return false;
+    if (stored === '1') return true;
+    return DEFAULT_INCLUDE_PHOTO_LOCATION;
+  };
+
+  const setIncludePhotoLocation = async (userKey, enabled) => {
+    const key = toStorageKey(userKey);
+    if (!key) return response.fail('Sign in again to change this setting.');
+    try {
+      await storage.setItemAsync(key, enabled ? '1' : '0');
+      return response.ok({ includePhotoLocation: Boolean(enabled) });
+    } catch {
+      return response.fail('Your photo location setting could not be saved. Please try again.');
+    }
+  };
+
+  return { getIncludePhotoLocation, setIncludePhotoLocation };
+}
+
+const photoLocationPreferenceService = createPhotoLocationPreferenceService();
+
+module.exports = {
+  DEFAULT_INCLUDE_PHOTO_LOCATION,
+  createPhotoLocationPreferenceService,
+  getIncludePhotoLocation: photoLocationPreferenceService.getIncludePhotoLocation,
+  setIncludePhotoLocation: photoLocationPreferenceService.setIncludePhotoLocation,
+};
@@ -28,7 +28,17 @@ const {
 const { storage, realtimeDbModular, auth } = require('../firebase');
 const { normalizePhotoUri } = require('./photoVariantService');
 const { loadOptionalService } = require('./optionalServiceLoader');
+const { uploadResumable } = require('./resumableUploadService');
 const { assertTextPassesModeration } = require('./contentModerationService');
+const { normalizeItineraryStop } = require('../utils/photobookDaySections');
+const { normalizeCaptureLocation, normalizeCaptureTime } = require('../utils/photoCaptureMetadata');
+const {
+  ALLOWED_VIDEO_CLIP_TYPES,
+  MAX_VIDEO_CLIP_DURATION_MS,
+  MAX_VIDEO_CLIP_SIZE_BYTES,
+  VIDEO_CLIP_DURATION_GRACE_MS,
+  isVideoClipType,
+} = require('../utils/videoClipLimits');
 
 const loggerServiceModule = loadOptionalService({
   modulePath: './loggerService',
@@ -41,8 +51,14 @@ const logger = loggerServiceModule?.default || loggerServiceModule;
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic'];
+const PHOTO_UPLOAD_TIMEOUT_MS = 60000;
+// Clips are up to five times the size of a photo and go over the same links.
+const VIDEO_CLIP_UPLOAD_TIMEOUT_MS = 5 * 60000;
 const MAX_CAPTION_LENGTH = 500;
 const LIVE_PHOTOS_WINDOW = 100;
+// Most-liked photos fetched for the highlights strip. Larger than the strip
+// so recency can still break ties between equally liked photos.
+const PHOTO_HIGHLIGHT_CANDIDATES = 30;
 const PHOTO_CACHE_CONTROL_HEADER = 'public,max-age=31536000,immutable';
 const DOWNLOAD_URL_RETRYABLE_CODES = new Set([
   'storage/object-not-found',
@@ -353,6 +369,7 @@ const normalizePhotoRecordForClient = (id, value, extras = {}) => {
     'variantStatus',
     'variantError',
     'captionEditedBy',
+    'perceptualHash',
   ].forEach((field) => {
     const normalized = normalizeOptionalString(source?.[field]);
     if (normalized) {
@@ -362,7 +379,7 @@ const normalizePhotoRecordForClient = (id, value, extras = {}) => {
     }
   });
 
-  ['fileSize', 'variantUpdatedAt', 'variantVersion', 'captionUpdatedAt'].forEach((field) => {
+  ['fileSize', 'variantUpdatedAt', 'variantVersion', 'captionUpdatedAt', 'sharpnessScore', 'qualityVersion', 'durationMs'].forEach((field) => {
     const normalized = normalizeOptionalNumber(source?.[field]);
     if (normalized !== null) {
       photo[field] = normalized;
@@ -371,6 +388,43 @@ const normalizePhotoRecordForClient = (id, value, extras = {}) => {
     }
   });
 
+  // Records without a media type are photos.
+  if (source?.mediaType === 'video') {
+    photo.mediaType = 'video';
+  } else {
+    delete photo.mediaType;
+  }
+
+  const itineraryStop = normalizeItineraryStop(source?.itineraryStop);
+  if (itineraryStop) {
+    photo.itineraryStop = itineraryStop;
+  } else {
+    delete photo.itineraryStop;
+  }
+
+  const capturedAt = normalizeCaptureTime(source?.capturedAt);
+  if (capturedAt !== null) {
+    photo.capturedAt = capturedAt;
+  } else {
+    delete photo.capturedAt;
+  }
+
+  const captureLocation = normalizeCaptureLocation(source?.captureLocation);
+  if (captureLocation) {
+    photo.captureLocation = captureLocation;
+  } else {
+    delete photo.captureLocation;
+  }
+
+  const likes = Object.entries(source?.likes && typeof source.likes === 'object' ? source.likes : {})
+    .filter(([, liked]) => liked === true);
+  if (likes.length > 0) {
+    photo.likes = Object.fromEntries(likes);
+  } else {
+    delete photo.likes;
+  }
+  photo.likeCount = likes.length;
+
   return photo;
 };
 
@@ -686,6 +740,13 @@ const validateBlob = (blob) => {
     throw new Error('Invalid file blob');
   }
 
+  if (isVideoClipType(blob.type)) {
+    if (blob.size > MAX_VIDEO_CLIP_SIZE_BYTES) {
+      throw new Error(`Video size exceeds maximum of ${MAX_VIDEO_CLIP_SIZE_BYTES / 1024 / 1024}MB`);
+    }
+    return blob;
+  }
+
   // Check file size
   if (blob.size > MAX_FILE_SIZE) {
     throw new Error(`File size exceeds maximum of ${MAX_FILE_SIZE / 1024 / 1024}MB`);
@@ -693,7 +754,7 @@ const validateBlob = (blob) => {
 
   // Check file type
   if (!ALLOWED_IMAGE_TYPES.includes(blob.type)) {
-    throw new Error(`File type ${blob.type} is not supported. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`);
+    throw new Error(`File type ${blob.type} is not supported. Allowed types: ${[...ALLOWED_IMAGE_TYPES, ...ALLOWED_VIDEO_CLIP_TYPES].join(', ')}`);
   }
 
   return blob;
@@ -740,6 +801,13 @@ const uploadPhoto = async (
     onProgress = null,
     optimizationMetrics = null,
     idempotencyKey = null,
+    itineraryStop = null,
+    capturedAt = null,
+    captureLocation = null,
+    durationMs = null,
+    uploadSession = null,
+    onUploadSession = null,
+    uploadResumableFn = uploadResumable,
     nowFn = Date.now,
   } = {}
 ) => {
@@ -758,6 +826,9 @@ const uploadPhoto = async (
     const normalizedIdempotencyKey = typeof idempotencyKey === 'string' && idempotencyKey.trim()
       ? idempotencyKey.trim().slice(0, IDEMPOTENCY_KEY_MAX_LENGTH)
       : null;
+    const normalizedItineraryStop = normalizeItineraryStop(itineraryStop);
+    const normalizedCapturedAt = normalizeCaptureTime(capturedAt, { now: nowFn() });
+    const normalizedCaptureLocation = normalizeCaptureLocation(captureLocation);
 
     if (!storageInstance) {
       throw new Error('Storage instance not initialized');
@@ -839,6 +910,18 @@ const uploadPhoto = async (
       fileSize: typeof blob.size === 'number' ? blob.size : null,
     };
 
+    // Clips are a shared-album feature; the private album stays photos only.
+    const isVideoClipUpload = isVideoClipType(blob.type);
+    if (isVideoClipUpload && isPrivate) {
+      throw new Error('Video clips can only be shared to the group album');
+    }
+    const normalizedDurationMs = typeof durationMs === 'number' && Number.isFinite(durationMs) && durationMs > 0
+      ? Math.min(Math.round(durationMs), MAX_VIDEO_CLIP_DURATION_MS + VIDEO_CLIP_DURATION_GRACE_MS)
+      : null;
+    if (isVideoClipUpload && normalizedDurationMs === null) {
+      throw new Error('Video clip duration is required');
+    }
+
     // Determine file extension from blob type
     const extensionMap = {
       'image/jpeg': 'jpg',
@@ -846,6 +929,8 @@ const uploadPhoto = async (
       'image/png': 'png',
       'image/webp': 'webp',
       'image/heic': 'heic',
+      'video/mp4': 'mp4',
+      'video/quicktime': 'mov',
     };
     const extension = extensionMap[blob.type] || 'jpg';
 
@@ -874,16 +959,21 @@ const uploadPhoto = async (
         },
       };
 
+      // Clips always go up in resumable chunks so a dropped connection
+      // retries the current chunk rather than the whole file.
+      const useResumableUpload = typeof uploadBytesResumableFn === 'function'
+        && (typeof onProgress === 'function' || isVideoClipUpload);
+
       const uploadWithProgress = () => new Promise((resolve, reject) => {
         try {
-          if (typeof uploadBytesResumableFn !== 'function' || typeof onProgress !== 'function') {
+          if (!useResumableUpload) {
             resolve(uploadBytesFn(fileRef, blob, metadata));
             return;
           }
 
           const uploadTask = uploadBytesResumableFn(fileRef, blob, metadata);
           uploadTask.on('state_changed', (snapshot) => {
-            if (snapshot.totalBytes > 0) {
+            if (snapshot.totalBytes > 0 && typeof onProgress === 'function') {
               onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
             }
           }, reject, () => resolve(uploadTask.snapshot));
@@ -894,12 +984,42 @@ const uploadPhoto = async (
 
       uploadStage = 'uploading_source_to_storage';
       logPhotoDbEvent('debug', 'photo_upload_storage_source_start', uploadDiagnostics);
-      await Promise.race([
-        uploadWithProgress(),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Photo upload timeout')), 60000)
-        ),
-      ]);
+      if (typeof onUploadSession === 'function') {
+        // Queued uploads persist their session after every chunk so a killed
+        // app continues mid-file. Each chunk has its own timeout.
+        const { resumedFromBytes, totalBytes } = await uploadResumableFn({
+          bucket: fileRef?.bucket || storageInstance?.app?.options?.storageBucket,
+          storagePath,
+          blob,
+          metadata,
+          getAuthToken: () => authInstance.currentUser.getIdToken(),
+          session: uploadSession,
+          onSession: onUploadSession,
+          onProgress,
+        });
+        if (resumedFromBytes > 0) {
+          logPhotoDbEvent('info', 'photo_upload_storage_source_resumed', {
+            ...uploadDiagnostics,
+            resumedFromBytes,
+            totalBytes,
+          });
+        }
+      } else {
+        let uploadTimeoutId = null;
+        try {
+          await Promise.race([
+            uploadWithProgress(),
+            new Promise((_, reject) => {
+              uploadTimeoutId = setTimeout(
+                () => reject(new Error('Photo upload timeout')),
+                isVideoClipUpload ? VIDEO_CLIP_UPLOAD_TIMEOUT_MS : PHOTO_UPLOAD_TIMEOUT_MS
+              );
+            }),
+          ]);
+        } finally {
+          if (uploadTimeoutId) clearTimeout(uploadTimeoutId);
+        }
+      }
       logPhotoDbEvent('info', 'photo_upload_storage_source_written', uploadDiagnostics);
 
       uploadStage = 'resolving_source_download_url';
@@ -930,6 +1050,12 @@ const uploadPhoto = async (
         variantVersion: 2,
       };
       if (!isPrivate) photoData.sourceUrl = downloadURL;
+      // The server turns a poster frame into the viewer and thumbnail
+      // variants; sourceUrl stays the playable clip.
+      if (isVideoClipUpload) {
+        photoData.mediaType = 'video';
+        photoData.durationMs = normalizedDurationMs;
+      }
 
       if (optimizationMetrics && typeof optimizationMetrics === 'object') {
         photoData.optimization = {
@@ -947,6 +1073,20 @@ const uploadPhoto = async (
         photoData.uploaderName = uploaderName.trim();
       }
 
+      // Itinerary stop tags only drive the shared album's day sections
+      if (!isPrivate && normalizedItineraryStop) {
+        photoData.itineraryStop = normalizedItineraryStop;
+      }
+
+      // Read from EXIF on the device before the upload copy was re-encoded.
+      // Location is already coarse, or absent when the uploader opted out.
+      if (normalizedCapturedAt !== null) {
+        photoData.capturedAt = normalizedCapturedAt;
+      }
+      if (normalizedCaptureLocation) {
+        photoData.captureLocation = normalizedCaptureLocation;
+      }
+
       uploadStage = 'writing_photo_record_to_database';
       logPhotoDbEvent('debug', 'photo_upload_db_write_start', {
         ...uploadDiagnostics,
@@ -1008,6 +1148,7 @@ const subscribeToTourPhotos = (
     orderByChildFn = orderByChild,
     limitToLastFn = limitToLast,
     limit = LIVE_PHOTOS_WINDOW,
+    orderByField = 'timestamp',
   } = {}
 ) => {
   try {
@@ -1028,7 +1169,7 @@ const subscribeToTourPhotos = (
 
     const photosRef = dbRefFn(realtimeDbInstance, `group_tour_photos/${validatedTourId}`);
     const liveLimit = sanitizePageLimit(limit || LIVE_PHOTOS_WINDOW);
-    const photosQuery = queryFn(photosRef, orderByChildFn('timestamp'), limitToLastFn(liveLimit));
+    const photosQuery = queryFn(photosRef, orderByChildFn(orderByField), limitToLastFn(liveLimit));
 
     logPhotoDbEvent('debug', 'photo_subscription_start', {
       visibility: 'group',
@@ -1095,6 +1236,16 @@ const subscribeToTourPhotos = (
   }
 };
 
+/**
+ * The album's most-liked photos, by the server-maintained `likeCount`, so
+ * older favourites stay in the highlights however many photos follow them.
+ */
+const subscribeToPhotoHighlights = (tourId, callback, options = {}) => subscribeToTourPhotos(tourId, callback, {
+  limit: PHOTO_HIGHLIGHT_CANDIDATES,
+  ...options,
+  orderByField: 'likeCount',
+});
+
 const subscribeToPrivatePhotos = (
   tourId,
   ownerId,
@@ -1520,6 +1671,46 @@ const updatePhotoCaption = async (
   }
 };
 
+/**
+ * Sets or clears one heart on a group photo. Likes are keyed by the liker's
+ * principal id, the same key chat reactions use, and database rules only let
+ * a caller write their own key.
+ */
+const setPhotoLike = async (
+  { tourId, photoId, likerId, liked },
+  {
+    realtimeDbInstance = realtimeDbModular,
+    dbRefFn = databaseRef,
+    setFn = set,
+  } = {},
+) => {
+  try {
+    const validatedTourId = validateTourId(tourId);
+    const validatedPhotoId = validatePhotoId(photoId);
+    const validatedLikerId = validateUserId(likerId);
+    const likeRef = dbRefFn(
+      realtimeDbInstance,
+      `group_tour_photos/${validatedTourId}/${validatedPhotoId}/likes/${sanitizeRealtimeKeySegment(validatedLikerId)}`,
+    );
+    await setFn(likeRef, liked ? true : null);
+
+    logPhotoDbEvent('debug', 'photo_like_updated', {
+      tourId: summarizePrincipalForDbLog(validatedTourId),
+      photoId: summarizePrincipalForDbLog(validatedPhotoId),
+      likerId: summarizePrincipalForDbLog(validatedLikerId),
+      liked: Boolean(liked),
+    });
+    return { success: true };
+  } catch (error) {
+    logPhotoDbEvent('error', 'photo_like_update_failed', {
+      tourId: summarizePrincipalForDbLog(tourId),
+      photoId: summarizePrincipalForDbLog(photoId),
+      likerId: summarizePrincipalForDbLog(likerId),
+      error: summarizeErrorForDbLog(error),
+    });
+    throw error;
+  }
+};
 
 const uploadPhotoDirect = async (payload = {}) => {
   let directDiagnostics = {};
@@ -1538,6 +1729,8 @@ const uploadPhotoDirect = async (payload = {}) => {
       localAssets = null,
       metadata = null,
       idempotencyKey = null,
+      uploadSession = null,
+      onUploadSession = null,
     } = payload;
 
     const resolvedLocalAssets = localAssets && typeof localAssets === 'object' ? localAssets : {};
@@ -1547,6 +1740,10 @@ const uploadPhotoDirect = async (payload = {}) => {
       ? caption
       : (resolvedMetadata.caption ?? '');
     const sourceOptimizationMetrics = optimizationMetrics || resolvedLocalAssets.optimizationMetrics || null;
+    const sourceItineraryStop = payload.itineraryStop || resolvedMetadata.itineraryStop || null;
+    const sourceCapturedAt = payload.capturedAt ?? resolvedMetadata.capturedAt ?? null;
+    const sourceCaptureLocation = payload.captureLocation || resolvedMetadata.captureLocation || null;
+    const sourceDurationMs = payload.durationMs ?? resolvedMetadata.durationMs ?? null;
 
     const resolvedOwnerId = ownerId || userId;
     directDiagnostics = {
@@ -1588,6 +1785,12 @@ const uploadPhotoDirect = async (payload = {}) => {
       optimizationMetrics: sourceOptimizationMetrics,
       onProgress,
       idempotencyKey: normalizedIdempotencyKey,
+      itineraryStop: sourceItineraryStop,
+      capturedAt: sourceCapturedAt,
+      captureLocation: sourceCaptureLocation,
+      durationMs: sourceDurationMs,
+      uploadSession,
+      onUploadSession,
     });
 
     return { success: true, data };
@@ -1606,10 +1809,12 @@ module.exports = {
   fetchTourPhotosPage,
   fetchPrivatePhotosPage,
   subscribeToTourPhotos,
+  subscribeToPhotoHighlights,
   subscribeToPrivatePhotos,
   deleteGroupPhoto,
   deletePrivatePhoto,
   updatePhotoCaption,
+  setPhotoLike,
   createBlob,
   resolvePrivatePhotoMedia,
 };
@@ -1,11 +1,13 @@
-const { resolveThumbnailDisplayUri } = require('./photoVariantService');
+const { resolveThumbnailDisplayUri, resolveThumbnailOnlyUri } = require('./photoVariantService');
 
 const selectThumbnailPrefetchBatch = ({
   photos = [],
   prefetchedUris = new Set(),
   maxBatchSize = 12,
+  thumbnailOnly = false,
 } = {}) => {
   if (!Array.isArray(photos) || maxBatchSize <= 0) return [];
+  const resolveUri = thumbnailOnly ? resolveThumbnailOnlyUri : resolveThumbnailDisplayUri;
 
   const selected = [];
   const seenInBatch = new Set();
@@ -13,7 +15,7 @@ const selectThumbnailPrefetchBatch = ({
   for (const photo of photos) {
     if (selected.length >= maxBatchSize) break;
 
-    const uri = resolveThumbnailDisplayUri(photo);
+    const uri = resolveUri(photo);
     if (
       typeof uri !== 'string'
       || uri.length === 0
@@ -28,10 +28,14 @@ const firstPhotoUri = (...values) => {
   return null;
 };
 
+// A clip's source is the video itself, so only its poster variants can be
+// shown as images.
+const imageSourceUrl = (photo) => (photo?.mediaType === 'video' ? null : photo?.sourceUrl);
+
 const resolveViewerDisplayUri = (photo) => firstPhotoUri(
   photo?.viewerUrl,
   photo?.thumbnailUrl,
-  photo?.sourceUrl,
+  imageSourceUrl(photo),
 );
 
 const resolveSaveUri = (photo) => firstPhotoUri(
@@ -41,7 +45,11 @@ const resolveSaveUri = (photo) => firstPhotoUri(
 );
 
 const resolveFullQualityUri = (photo) => firstPhotoUri(
-  photo?.sourceUrl,
+  imageSourceUrl(photo),
+);
+
+const resolveVideoPlaybackUri = (photo) => (
+  photo?.mediaType === 'video' ? firstPhotoUri(photo.sourceUrl) : null
 );
 
 const isProcessingVariantRecord = (photo) => (
@@ -57,11 +65,15 @@ const resolveThumbnailDisplayUri = (photo) => {
     firstPhotoUri(
       photo?.thumbnailUrl,
       photo?.viewerUrl,
-      photo?.sourceUrl,
+      imageSourceUrl(photo),
     )
   );
 };
 
+// Small surfaces such as map markers that must never fall back to a
+// viewer-size or original download.
+const resolveThumbnailOnlyUri = (photo) => firstPhotoUri(photo?.thumbnailUrl);
+
 const normalizeCacheKeyPart = (value) => {
   if (value === null || value === undefined) return null;
   if (typeof value === 'object' || typeof value === 'function' || typeof value === 'symbol') return null;
@@ -154,8 +166,10 @@ module.exports = {
   hashCacheKey,
   resolveViewerDisplayUri,
   resolveThumbnailDisplayUri,
+  resolveThumbnailOnlyUri,
   resolveSaveUri,
   resolveFullQualityUri,
+  resolveVideoPlaybackUri,
   buildPhotoCacheKey,
   buildNeighborPrefetchUris,
   isProcessingVariantRecord,
@@ -0,0 +1,261 @@
+// Rolling passenger pickup ETA built from the shared driver location, the
+// tour's pickup order and observed dwell at earlier stops. The estimate only
+// ever uses a fresh live coach position; anything else degrades to the
+// scheduled pickup time so passengers are never shown a confident number
+// derived from a stale or fixed point (docs/data-contracts/driver-location.md).
+const { getDriverLocationPresentation, normalizeDriverCoordinates } = require('../utils/driverLocation.js');
+const { parsePickupDateTime, pickupTimeToMinutes } = require('./pickupTimeParser');
+const { defaultT } = require('./i18nService');
+
+const PICKUP_ETA_SOURCES = Object.freeze({
+  LIVE: 'live',
+  SCHEDULED: 'scheduled',
+  UNAVAILABLE: 'unavailable',
+});
+
+const PICKUP_ETA_REASONS = Object.freeze({
+  DRIVER_LOCATION_UNAVAILABLE: 'DRIVER_LOCATION_UNAVAILABLE',
+  DRIVER_LOCATION_STALE: 'DRIVER_LOCATION_STALE',
+  DRIVER_LOCATION_NOT_LIVE: 'DRIVER_LOCATION_NOT_LIVE',
+  PICKUP_LOCATION_UNKNOWN: 'PICKUP_LOCATION_UNKNOWN',
+  PICKUP_TIME_INVALID: 'PICKUP_TIME_INVALID',
+});
+
+// Matches the conservative Highland road speed already used by Find My Bus.
+const AVERAGE_COACH_SPEED_KMH = 35;
+// Straight-line distance undercounts winding roads; scale before converting.
+const ROAD_DISTANCE_FACTOR = 1.3;
+const MIN_ETA_MINUTES = 2;
+const DEFAULT_PICKUP_DWELL_MINUTES = 3;
+const MIN_PICKUP_DWELL_MINUTES = 1;
+const MAX_PICKUP_DWELL_MINUTES = 15;
+const MAX_DWELL_SAMPLES = 20;
+// A live fix within this radius of the previous one is treated as the coach
+// standing at a stop rather than moving.
+const DWELL_STATIONARY_RADIUS_KM = 0.075;
+// Earlier stops are still ahead of the coach until their scheduled time plus
+// this grace has passed.
+const REMAINING_STOP_GRACE_MS = 5 * 60 * 1000;
+const LIVE_BAND_RATIO = 0.15;
+const RECENT_BAND_RATIO = 0.3;
+const MIN_BAND_MINUTES = 2;
+const PER_STOP_BAND_MINUTES = 1;
+
+const calculateDistanceKm = (pointA, pointB) => {
+  const toRad = (value) => (value * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+  const dLat = toRad(pointB.latitude - pointA.latitude);
+  const dLon = toRad(pointB.longitude - pointA.longitude);
+  const lat1 = toRad(pointA.latitude);
+  const lat2 = toRad(pointB.latitude);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
+    + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const estimateTravelMinutes = (distanceKm) => {
+  if (!Number.isFinite(distanceKm) || distanceKm <= 0) return 0;
+  return ((distanceKm * ROAD_DISTANCE_FACTOR) / AVERAGE_COACH_SPEED_KMH) * 60;
+};
+
+const readPickupCoordinates = (pickup) => normalizeDriverCoordinates(pickup?.coordinates || pickup);
+
+const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const pickupIdentity = (pickup) => [
+  readText(pickup?.date),
+  readText(pickup?.time),
+  readText(pickup?.location).toLowerCase(),
+].join('|');
+
+const buildPickupSchedule = (pickupPoints, { fallbackDate = null, now = new Date() } = {}) => {
+  const points = Array.isArray(pickupPoints) ? pickupPoints : Object.values(pickupPoints || {});
+  return points
+    .filter((pickup) => pickup && typeof pickup === 'object')
+    .map((pickup, index) => {
+      const parsed = parsePickupDateTime({
+        pickupTime: pickup.time,
+        pickupDate: readText(pickup.date) || fallbackDate || undefined,
+        now,
+      });
+      return {
+        key: pickupIdentity(pickup),
+        index,
+        time: readText(pickup.time),
+        date: readText(pickup.date) || null,
+        location: readText(pickup.location),
+        coordinates: readPickupCoordinates(pickup),
+        scheduledAtMs: parsed.success ? parsed.pickup.getTime() : null,
+        sortMinutes: pickupTimeToMinutes(pickup.time),
+      };
+    })
+    .sort((left, right) => {
+      if (Number.isFinite(left.scheduledAtMs) && Number.isFinite(right.scheduledAtMs)) {
+        return left.scheduledAtMs - right.scheduledAtMs || left.index - right.index;
+      }
+      return left.sortMinutes - right.sortMinutes || left.index - right.index;
+    });
+};
+
+const estimateDwellMinutes = (samples) => {
+  const valid = (Array.isArray(samples) ? samples : [])
+    .map(Number)
+    .filter((value) => Number.isFinite(value) && value >= MIN_PICKUP_DWELL_MINUTES && value <= MAX_PICKUP_DWELL_MINUTES)
+    .slice(-MAX_DWELL_SAMPLES)
+    .sort((left, right) => left - right);
+  if (valid.length === 0) return DEFAULT_PICKUP_DWELL_MINUTES;
+  const middle = Math.floor(valid.length / 2);
+  return valid.length % 2 === 0 ? (valid[middle - 1] + valid[middle]) / 2 : valid[middle];
+};
+
+// Pure reducer over successive driver location records. While consecutive
+// live fixes stay within the stationary radius the coach is dwelling; once it
+// moves off, the stationary duration is emitted as a dwell sample.
+const observeDriverDwell = (state, driverLocationRecord, nowMs = Date.now()) => {
+  const presentation = getDriverLocationPresentation(driverLocationRecord, nowMs);
+  if (presentation.mode !== 'live' || !presentation.actionable || !presentation.coordinates) {
+    return { state: null, sampleMinutes: null };
+  }
+
+  const fix = { coordinates: presentation.coordinates, timestampMs: presentation.timestampMs };
+  if (!state?.anchor) {
+    return { state: { anchor: fix, lastStationaryMs: fix.timestampMs }, sampleMinutes: null };
+  }
+  if (fix.timestampMs <= state.lastStationaryMs) {
+    return { state, sampleMinutes: null };
+  }
+
+  if (calculateDistanceKm(state.anchor.coordinates, fix.coordinates) <= DWELL_STATIONARY_RADIUS_KM) {
+    return { state: { ...state, lastStationaryMs: fix.timestampMs }, sampleMinutes: null };
+  }
+
+  const stationaryMinutes = (state.lastStationaryMs - state.anchor.timestampMs) / 60000;
+  const sampleMinutes = stationaryMinutes >= MIN_PICKUP_DWELL_MINUTES && stationaryMinutes <= MAX_PICKUP_DWELL_MINUTES
+    ? Math.round(stationaryMinutes * 10) / 10
+    : null;
+  return { state: { anchor: fix, lastStationaryMs: fix.timestampMs }, sampleMinutes };
+};
+
+const appendDwellSample = (samples, sampleMinutes) => {
+  const existing = Array.isArray(samples) ? samples : [];
+  if (!Number.isFinite(sampleMinutes)) return existing;
+  return [...existing, sampleMinutes].slice(-MAX_DWELL_SAMPLES);
+};
+
+const buildScheduledEta = ({ scheduledAtMs, nowMs, reason, freshness }) => ({
+  source: PICKUP_ETA_SOURCES.SCHEDULED,
+  reason,
+  freshness,
+  scheduledAtMs,
+  etaMs: scheduledAtMs,
+  minutesAway: Math.max(0, Math.round((scheduledAtMs - nowMs) / 60000)),
+  earliestMinutes: null,
+  latestMinutes: null,
+  delayMinutes: null,
+  stopsBefore: null,
+});
+
+const buildPickupEta = ({
+  driverLocationRecord,
+  passengerPickup,
+  tourPickupPoints,
+  dwellSamplesMinutes = [],
+  fallbackDate = null,
+  nowMs = Date.now(),
+} = {}) => {
+  const now = new Date(nowMs);
+  const passengerDate = readText(passengerPickup?.date) || fallbackDate || undefined;
+  const scheduled = parsePickupDateTime({ pickupTime: passengerPickup?.time, pickupDate: passengerDate, now });
+  if (!scheduled.success) {
+    return { source: PICKUP_ETA_SOURCES.UNAVAILABLE, reason: PICKUP_ETA_REASONS.PICKUP_TIME_INVALID };
+  }
+
+  const scheduledAtMs = scheduled.pickup.getTime();
+  const presentation = getDriverLocationPresentation(driverLocationRecord, nowMs);
+  const fallback = (reason) => buildScheduledEta({
+    scheduledAtMs,
+    nowMs,
+    reason,
+    freshness: presentation.freshness,
+  });
+
+  if (!presentation.available) return fallback(PICKUP_ETA_REASONS.DRIVER_LOCATION_UNAVAILABLE);
+  if (presentation.mode !== 'live') return fallback(PICKUP_ETA_REASONS.DRIVER_LOCATION_NOT_LIVE);
+  if (!presentation.actionable) return fallback(PICKUP_ETA_REASONS.DRIVER_LOCATION_STALE);
+
+  const pickupCoordinates = readPickupCoordinates(passengerPickup);
+  if (!pickupCoordinates) return fallback(PICKUP_ETA_REASONS.PICKUP_LOCATION_UNKNOWN);
+
+  const schedule = buildPickupSchedule(tourPickupPoints, { fallbackDate, now });
+  const passengerKey = pickupIdentity({ ...passengerPickup, date: readText(passengerPickup?.date) || null });
+  const remainingStops = schedule.filter((stop) => (
+    stop.key !== passengerKey
+    && Number.isFinite(stop.scheduledAtMs)
+    && stop.scheduledAtMs < scheduledAtMs
+    && stop.scheduledAtMs + REMAINING_STOP_GRACE_MS >= nowMs
+  ));
+
+  // Route through the remaining stops when every one of them is located;
+  // otherwise the direct leg is the only distance we can defend.
+  const routePoints = remainingStops.every((stop) => stop.coordinates)
+    ? [presentation.coordinates, ...remainingStops.map((stop) => stop.coordinates), pickupCoordinates]
+    : [presentation.coordinates, pickupCoordinates];
+  const distanceKm = routePoints.slice(1).reduce(
+    (total, point, index) => total + calculateDistanceKm(routePoints[index], point),
+    0,
+  );
+  const dwellMinutes = estimateDwellMinutes(dwellSamplesMinutes);
+  const ageMinutes = (presentation.ageMs || 0) / 60000;
+  const rawMinutes = Math.max(
+    MIN_ETA_MINUTES,
+    estimateTravelMinutes(distanceKm) + (remainingStops.length * dwellMinutes) - ageMinutes,
+  );
+  const bandRatio = presentation.freshness === 'live' ? LIVE_BAND_RATIO : RECENT_BAND_RATIO;
+  const bandMinutes = Math.max(
+    MIN_BAND_MINUTES,
+    (rawMinutes * bandRatio) + (remainingStops.length * PER_STOP_BAND_MINUTES) + ageMinutes,
+  );
+  const minutesAway = Math.round(rawMinutes);
+  const etaMs = nowMs + (minutesAway * 60000);
+
+  return {
+    source: PICKUP_ETA_SOURCES.LIVE,
+    reason: null,
+    freshness: presentation.freshness,
+    scheduledAtMs,
+    etaMs,
+    minutesAway,
+    earliestMinutes: Math.max(1, Math.floor(rawMinutes - bandMinutes)),
+    latestMinutes: Math.ceil(rawMinutes + bandMinutes),
+    delayMinutes: Math.round((etaMs - scheduledAtMs) / 60000),
+    stopsBefore: remainingStops.length,
+    distanceKm,
+  };
+};
+
+const formatPickupEtaLabel = (eta, { formatTime, t = defaultT } = {}) => {
+  if (!eta || eta.source === PICKUP_ETA_SOURCES.UNAVAILABLE) return null;
+  if (eta.source === PICKUP_ETA_SOURCES.LIVE) {
+    return eta.latestMinutes > eta.earliestMinutes
+      ? t('pickupEta.liveBand', { minutes: eta.minutesAway, earliest: eta.earliestMinutes, latest: eta.latestMinutes })
+      : t('pickupEta.live', { minutes: eta.minutesAway });
+  }
+  const scheduledLabel = typeof formatTime === 'function' ? formatTime(eta.scheduledAtMs) : null;
+  return scheduledLabel ? t('pickupEta.scheduledAt', { time: scheduledLabel }) : t('pickupEta.scheduled');
+};
+
+module.exports = {
+  AVERAGE_COACH_SPEED_KMH,
+  DEFAULT_PICKUP_DWELL_MINUTES,
+  MAX_DWELL_SAMPLES,
+  PICKUP_ETA_REASONS,
+  PICKUP_ETA_SOURCES,
+  appendDwellSample,
+  buildPickupEta,
+  buildPickupSchedule,
+  calculateDistanceKm,
+  estimateDwellMinutes,
+  estimateTravelMinutes,
+  formatPickupEtaLabel,
+  observeDriverDwell,
+};
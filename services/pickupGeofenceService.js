@@ -0,0 +1,150 @@
+const { calculateDistanceKm } = require('./pickupEtaService');
+
+// Radii are deliberately asymmetric: the coach must come well inside a stop
+// before arrival is proposed and move well clear before completion is, so GPS
+// jitter at the kerb cannot flap a stop between states.
+const ARRIVAL_RADIUS_METERS = 120;
+const DEPARTURE_RADIUS_METERS = 250;
+const MAX_FIX_ACCURACY_METERS = 150;
+const ARRIVAL_CONFIRMATION_FIXES = 2;
+const UNDO_WINDOW_MS = 10 * 1000;
+
+const GEOFENCE_MODES = Object.freeze({
+  OFF: 'off',
+  PROPOSE: 'propose',
+  AUTO: 'auto',
+});
+
+const EMPTY_STATE = Object.freeze({
+  candidatePickupId: null,
+  candidateFixes: 0,
+  visited: Object.freeze({}),
+  dismissed: Object.freeze({}),
+});
+
+const finiteNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+function normalizeGeofenceMode(value) {
+  return Object.values(GEOFENCE_MODES).includes(value) ? value : GEOFENCE_MODES.OFF;
+}
+
+function normalizeFix(fix) {
+  const coords = fix?.coords || fix;
+  const latitude = finiteNumber(coords?.latitude);
+  const longitude = finiteNumber(coords?.longitude);
+  if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  const accuracy = finiteNumber(coords?.accuracy);
+  if (accuracy !== null && accuracy > MAX_FIX_ACCURACY_METERS) return null;
+  return { latitude, longitude, accuracy, timestampMs: finiteNumber(fix?.timestamp) };
+}
+
+/**
+ * Returns the pack pickups that carry published coordinates, in run order.
+ * Pickups without coordinates are left to manual progress controls.
+ */
+function selectGeofencedPickups(pack) {
+  const pickups = pack?.pickups && typeof pack.pickups === 'object' ? Object.values(pack.pickups) : [];
+  return pickups
+    .filter((pickup) => pickup?.pickupId
+      && finiteNumber(pickup.latitude) !== null
+      && finiteNumber(pickup.longitude) !== null)
+    .map((pickup) => ({
+      pickupId: pickup.pickupId,
+      name: pickup.name || 'Pickup',
+      latitude: Number(pickup.latitude),
+      longitude: Number(pickup.longitude),
+      sequence: Number.isSafeInteger(pickup.sequence) ? pickup.sequence : Number.MAX_SAFE_INTEGER,
+    }))
+    .sort((left, right) => left.sequence - right.sequence || left.pickupId.localeCompare(right.pickupId));
+}
+
+const dismissalKey = (pickupId, state) => `${pickupId}:${state}`;
+const stopState = (pickupStops, pickupId) => pickupStops?.[pickupId]?.state || 'PENDING';
+
+/**
+ * Feeds one foreground location fix through the geofence. Returns the next
+ * evaluator state and, at most, one proposed pickup transition. Completed and
+ * skipped stops are never reopened, and a departure is only proposed for a
+ * stop the coach was actually seen inside during this session.
+ */
+function evaluatePickupGeofence({ state, fix, pickups = [], pickupStops = {}, nowMs = Date.now() } = {}) {
+  const current = { ...EMPTY_STATE, ...(state || {}) };
+  const position = normalizeFix(fix);
+  if (!position || !pickups.length) return { state: current, proposal: null };
+
+  const measured = pickups.map((pickup) => ({
+    pickup,
+    distanceMeters: Math.round(calculateDistanceKm(position, pickup) * 1000),
+    progress: stopState(pickupStops, pickup.pickupId),
+  }));
+  const visited = { ...current.visited };
+  measured.forEach(({ pickup, distanceMeters }) => {
+    if (distanceMeters <= ARRIVAL_RADIUS_METERS) visited[pickup.pickupId] = true;
+  });
+  const proposal = (entry, nextState) => ({
+    pickupId: entry.pickup.pickupId,
+    name: entry.pickup.name,
+    state: nextState,
+    previousState: entry.progress,
+    distanceMeters: entry.distanceMeters,
+    detectedAtMs: nowMs,
+  });
+
+  const departed = measured.find((entry) => entry.progress === 'ARRIVED'
+    && visited[entry.pickup.pickupId]
+    && entry.distanceMeters > DEPARTURE_RADIUS_METERS
+    && !current.dismissed[dismissalKey(entry.pickup.pickupId, 'COMPLETED')]);
+  if (departed) {
+    return {
+      state: { ...current, visited, candidatePickupId: null, candidateFixes: 0 },
+      proposal: proposal(departed, 'COMPLETED'),
+    };
+  }
+
+  const arriving = measured
+    .filter((entry) => entry.progress === 'PENDING'
+      && entry.distanceMeters <= ARRIVAL_RADIUS_METERS
+      && !current.dismissed[dismissalKey(entry.pickup.pickupId, 'ARRIVED')])
+    .sort((left, right) => left.distanceMeters - right.distanceMeters)[0];
+  if (!arriving) {
+    return { state: { ...current, visited, candidatePickupId: null, candidateFixes: 0 }, proposal: null };
+  }
+
+  const candidateFixes = current.candidatePickupId === arriving.pickup.pickupId ? current.candidateFixes + 1 : 1;
+  return {
+    state: { ...current, visited, candidatePickupId: arriving.pickup.pickupId, candidateFixes },
+    proposal: candidateFixes >= ARRIVAL_CONFIRMATION_FIXES ? proposal(arriving, 'ARRIVED') : null,
+  };
+}
+
+/**
+ * Records that the driver rejected a proposal so the same stop and state is
+ * not offered again while the coach lingers nearby.
+ */
+function dismissGeofenceProposal(state, proposal) {
+  const current = { ...EMPTY_STATE, ...(state || {}) };
+  if (!proposal?.pickupId || !proposal?.state) return current;
+  return {
+    ...current,
+    candidatePickupId: null,
+    candidateFixes: 0,
+    dismissed: { ...current.dismissed, [dismissalKey(proposal.pickupId, proposal.state)]: true },
+  };
+}
+
+module.exports = {
+  ARRIVAL_CONFIRMATION_FIXES,
+  ARRIVAL_RADIUS_METERS,
+  DEPARTURE_RADIUS_METERS,
+  GEOFENCE_MODES,
+  MAX_FIX_ACCURACY_METERS,
+  UNDO_WINDOW_MS,
+  dismissGeofenceProposal,
+  evaluatePickupGeofence,
+  normalizeGeofenceMode,
+  selectGeofencedPickups,
+};
@@ -0,0 +1,207 @@
+// Firebase Storage's resumable upload protocol, spoken directly so the
+// session can outlive the app process. The SDK's uploadBytesResumable keeps
+// its session in memory, so a killed app starts the file again from zero.
+const DEFAULT_STORAGE_HOST = 'firebasestorage.googleapis.com';
+// The protocol requires every chunk except the last to be a multiple of
+// 256 KiB. Half a megabyte is a few seconds on rural 3G, so a dropped
+// connection costs little.
+const UPLOAD_CHUNK_GRANULARITY_BYTES = 256 * 1024;
+const DEFAULT_UPLOAD_CHUNK_BYTES = 2 * UPLOAD_CHUNK_GRANULARITY_BYTES;
+const DEFAULT_CHUNK_TIMEOUT_MS = 60 * 1000;
+// Sessions last about a week on the server. Drop ours a little sooner.
+const UPLOAD_SESSION_MAX_AGE_MS = 6 * 24 * 60 * 60 * 1000;
+
+const createUploadError = (message, status = null) => {
+  const error = new Error(message);
+  if (status !== null) error.status = status;
+  return error;
+};
+
+const readHeader = (response, name) => {
+  const value = response?.headers?.get?.(name);
+  return typeof value === 'string' ? value.trim() : null;
+};
+
+/**
+ * Returns the stored session when it still describes this exact upload, or
+ * null. A different file size means the local copy was re-encoded or
+ * replaced, and a different path means a different object.
+ */
+const resolveReusableSession = (session, { storagePath, totalBytes, now = Date.now() }) => {
+  if (!session || typeof session !== 'object') return null;
+  if (typeof session.sessionUri !== 'string' || !/^https:\/\//.test(session.sessionUri)) return null;
+  if (session.storagePath !== storagePath || session.totalBytes !== totalBytes) return null;
+  if (!Number.isFinite(session.startedAt) || now - session.startedAt > UPLOAD_SESSION_MAX_AGE_MS) return null;
+  return session;
+};
+
+function createResumableUploadService({
+  fetchFn = (...args) => fetch(...args),
+  storageHost = DEFAULT_STORAGE_HOST,
+  chunkSize = DEFAULT_UPLOAD_CHUNK_BYTES,
+  chunkTimeoutMs = DEFAULT_CHUNK_TIMEOUT_MS,
+  nowFn = Date.now,
+} = {}) {
+  const alignedChunkSize = Math.max(1, Math.floor(chunkSize / UPLOAD_CHUNK_GRANULARITY_BYTES)) * UPLOAD_CHUNK_GRANULARITY_BYTES;
+
+  const request = async (url, options) => {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timeoutId = setTimeout(() => controller?.abort(), chunkTimeoutMs);
+    try {
+      return await fetchFn(url, { ...options, ...(controller ? { signal: controller.signal } : {}) });
+    } catch (error) {
+      if (error?.name === 'AbortError') throw createUploadError('Photo upload timeout');
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  const startSession = async ({ bucket, storagePath, totalBytes, metadata, authToken }) => {
+    const url = `https://${storageHost}/v0/b/${encodeURIComponent(bucket)}/o?name=${encodeURIComponent(storagePath)}`;
+    const response = await request(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Firebase ${authToken}`,
+        'Content-Type': 'application/json; charset=utf-8',
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': String(totalBytes),
+        'X-Goog-Upload-Header-Content-Type': metadata.contentType,
+      },
+      body: JSON.stringify({
+        name: storagePath,
+        contentType: metadata.contentType,
+        cacheControl: metadata.cacheControl,
+        metadata: metadata.customMetadata,
+      }),
+    });
+    const sessionUri = readHeader(response, 'X-Goog-Upload-URL');
+    if (!response.ok || !sessionUri) {
+      throw createUploadError(`Upload session could not be started (${response.status})`, response.status);
+    }
+    return sessionUri;
+  };
+
+  // Null means the server no longer knows the session and a new one is
+  // needed. Network failures throw so a good session is not thrown away.
+  const querySession = async (sessionUri, authToken) => {
+    const response = await request(sessionUri, {
+      method: 'POST',
+      headers: {
+        Authorization: `Firebase ${authToken}`,
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'query',
+      },
+    });
+    if (response.status >= 400 && response.status < 500) return null;
+    if (!response.ok) {
+      throw createUploadError(`Upload session status check failed (${response.status})`, response.status);
+    }
+    const bytesReceived = Number(readHeader(response, 'X-Goog-Upload-Size-Received'));
+    return {
+      final: readHeader(response, 'X-Goog-Upload-Status') === 'final',
+      bytesReceived: Number.isFinite(bytesReceived) && bytesReceived >= 0 ? bytesReceived : 0,
+    };
+  };
+
+  /**
+   * Uploads `blob` in chunks, reporting the session after every chunk the
+   * server acknowledges. Pass that session back in after a restart and the
+   * upload continues from the server's byte count.
+   *
+   * @param {Object} params
+   * @param {(session: Object) => Promise<void>} params.onSession Persists
+   *   `{ sessionUri, storagePath, totalBytes, bytesSent, startedAt, updatedAt }`.
+   * @returns {Promise<{ resumedFromBytes: number, totalBytes: number }>}
+   */
+  const uploadResumable = async ({
+    bucket,
+    storagePath,
+    blob,
+    metadata,
+    getAuthToken,
+    session = null,
+    onSession = null,
+    onProgress = null,
+  }) => {
+    if (!bucket || !storagePath) throw createUploadError('Storage location is required for resumable upload');
+    if (!blob || typeof blob.slice !== 'function') throw createUploadError('Resumable upload needs a sliceable blob');
+    const totalBytes = blob.size;
+    // Fetched per request: a long clip on a slow link can outlive one token.
+    const requireAuthToken = async () => {
+      const token = await getAuthToken();
+      if (!token) throw createUploadError('Authenticated user required for photo upload');
+      return token;
+    };
+
+    const reportProgress = (bytesSent) => {
+      if (typeof onProgress === 'function' && totalBytes > 0) onProgress(bytesSent / totalBytes);
+    };
+    const saveSession = async (next) => {
+      if (typeof onSession === 'function') await onSession({ ...next, updatedAt: nowFn() });
+    };
+
+    let current = null;
+    let offset = 0;
+    const reusable = resolveReusableSession(session, { storagePath, totalBytes, now: nowFn() });
+    if (reusable) {
+      const status = await querySession(reusable.sessionUri, await requireAuthToken());
+      if (status?.final) {
+        reportProgress(totalBytes);
+        return { resumedFromBytes: totalBytes, totalBytes };
+      }
+      if (status) {
+        current = reusable;
+        offset = Math.min(status.bytesReceived, totalBytes);
+      }
+    }
+    if (!current) {
+      current = {
+        sessionUri: await startSession({ bucket, storagePath, totalBytes, metadata, authToken: await requireAuthToken() }),
+        storagePath,
+        totalBytes,
+        startedAt: nowFn(),
+      };
+    }
+    const resumedFromBytes = offset;
+    await saveSession({ ...current, bytesSent: offset });
+    reportProgress(offset);
+
+    while (offset < totalBytes) {
+      const end = Math.min(offset + alignedChunkSize, totalBytes);
+      const isLastChunk = end === totalBytes;
+      const response = await request(current.sessionUri, {
+        method: 'POST',
+        headers: {
+          Authorization: `Firebase ${await requireAuthToken()}`,
+          'X-Goog-Upload-Protocol': 'resumable',
+          'X-Goog-Upload-Command': isLastChunk ? 'upload, finalize' : 'upload',
+          'X-Goog-Upload-Offset': String(offset),
+        },
+        body: blob.slice(offset, end),
+      });
+      if (!response.ok) {
+        throw createUploadError(`Upload chunk was rejected (${response.status})`, response.status);
+      }
+      offset = end;
+      await saveSession({ ...current, bytesSent: offset });
+      reportProgress(offset);
+    }
+
+    return { resumedFromBytes, totalBytes };
+  };
+
+  return { uploadResumable };
+}
+
+const resumableUploadService = createResumableUploadService();
+
+module.exports = {
+  DEFAULT_UPLOAD_CHUNK_BYTES,
+  UPLOAD_CHUNK_GRANULARITY_BYTES,
+  UPLOAD_SESSION_MAX_AGE_MS,
+  createResumableUploadService,
+  resolveReusableSession,
+  uploadResumable: resumableUploadService.uploadResumable,
+};
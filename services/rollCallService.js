@@ -0,0 +1,336 @@
+const { createPersistenceProvider } = require('./persistenceProvider');
+const { normalizeTourId } = require('./tourIdentityService');
+const { finiteOrNull, safeKey } = require('./serviceResponse');
+
+// A roll call is a head count after a stop. It snapshots who was boarded when
+// the driver opened it, then tracks who is back. The driver's device owns the
+// record; passengers can only add their own "I'm back" confirmation.
+const ROLL_CALL_STATUS = Object.freeze({ OPEN: 'open', CLOSED: 'closed' });
+const RETURN_SOURCES = Object.freeze({ DRIVER: 'driver', PASSENGER: 'passenger' });
+const CACHE_PREFIX = 'roll_call_v1';
+const MAX_STOP_NAME_LENGTH = 120;
+const object = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const defaultDatabase = () => { try { return require('../firebase').realtimeDb || null; } catch { return null; } };
+
+// The passenger's "I'm back" can fail two ways; each code has copy in the
+// locale catalog, so `confirmBack` never hands raw database errors to the UI.
+const CONFIRM_ERRORS = Object.freeze({ UNAVAILABLE: 'UNAVAILABLE', NOT_SAVED: 'NOT_SAVED' });
+
+const CONFIRM_ERROR_MESSAGE_KEYS = Object.freeze({
+  UNAVAILABLE: 'tourHome.rollCall.unavailableMessage',
+  NOT_SAVED: 'tourHome.rollCall.notSavedMessage',
+});
+
+const confirmErrorMessageKey = (code) => CONFIRM_ERROR_MESSAGE_KEYS[code] || CONFIRM_ERROR_MESSAGE_KEYS.UNAVAILABLE;
+
+const passengerKey = (bookingRef, passengerIndex) => `${bookingRef}_${passengerIndex}`;
+
+/**
+ * Everyone boarded on the manifest right now. A NO_SHOW or still-PENDING
+ * passenger was never on the coach, so they are not expected back.
+ */
+function buildRollCallExpected(bookings = []) {
+  return Object.fromEntries((Array.isArray(bookings) ? bookings : []).flatMap((booking) => {
+    const bookingRef = String(booking?.id || '').trim().toUpperCase();
+    const names = Array.isArray(booking?.passengerNames) ? booking.passengerNames : [];
+    if (!safeKey(bookingRef)) return [];
+    const perPassenger = booking.hasPassengerStatuses && Array.isArray(booking.passengerStatus) && booking.passengerStatus.length > 0;
+    return names.flatMap((name, passengerIndex) => {
+      const status = perPassenger ? booking.passengerStatus[passengerIndex] : booking.status;
+      if (status !== 'BOARDED') return [];
+      return [[passengerKey(bookingRef, passengerIndex), {
+        bookingRef,
+        passengerIndex,
+        name: String(name || '').trim() || `Passenger ${passengerIndex + 1}`,
+        seat: String(booking.seatNumbers?.[passengerIndex] || 'TBA'),
+      }]];
+    });
+  }));
+}
+
+function createRollCall({ tourId, stopName, bookings, driverId, nowMs = Date.now() } = {}) {
+  const canonicalTourId = normalizeTourId(tourId);
+  if (!canonicalTourId) return null;
+  return {
+    schemaVersion: 1,
+    rollCallId: `rc_${nowMs}`,
+    tourId: canonicalTourId,
+    stopName: String(stopName || '').trim().slice(0, MAX_STOP_NAME_LENGTH) || 'Stop',
+    status: ROLL_CALL_STATUS.OPEN,
+    startedAtMs: nowMs,
+    startedBy: driverId || null,
+    expected: buildRollCallExpected(bookings),
+    returned: {},
+  };
+}
+
+function normalizeRollCall(value) {
+  if (!object(value) || value.schemaVersion !== 1 || !safeKey(value.rollCallId) || !finiteOrNull(value.startedAtMs)) return null;
+  if (!Object.values(ROLL_CALL_STATUS).includes(value.status)) return null;
+  const expected = Object.fromEntries(Object.entries(object(value.expected) ? value.expected : {}).filter(([key, entry]) => (
+    safeKey(key) && object(entry) && typeof entry.bookingRef === 'string' && Number.isSafeInteger(entry.passengerIndex)
+  )));
+  const returned = Object.fromEntries(Object.entries(object(value.returned) ? value.returned : {}).filter(([key, entry]) => (
+    expected[key] && object(entry) && finiteOrNull(entry.atMs) && Object.values(RETURN_SOURCES).includes(entry.source)
+  )));
+  return {
+    schemaVersion: 1,
+    rollCallId: value.rollCallId,
+    tourId: String(value.tourId || ''),
+    stopName: String(value.stopName || 'Stop'),
+    status: value.status,
+    startedAtMs: value.startedAtMs,
+    startedBy: value.startedBy || null,
+    ...(finiteOrNull(value.closedAtMs) ? { closedAtMs: value.closedAtMs } : {}),
+    expected,
+    returned,
+    ...(object(value.missingAtClose) ? { missingAtClose: value.missingAtClose } : {}),
+  };
+}
+
+function markReturned(rollCall, key, { returned = true, source = RETURN_SOURCES.DRIVER, atMs = Date.now() } = {}) {
+  if (!rollCall || rollCall.status !== ROLL_CALL_STATUS.OPEN || !rollCall.expected[key]) return rollCall;
+  if (Boolean(rollCall.returned[key]) === Boolean(returned)) return rollCall;
+  const next = { ...rollCall.returned };
+  if (returned) next[key] = next[key] || { atMs, source };
+  else delete next[key];
+  return { ...rollCall, returned: next };
+}
+
+/**
+ * A confirmation covers the whole booking: one phone usually travels with the
+ * family. Driver ticks are kept as they are.
+ */
+function applySelfCheckins(rollCall, { checkins = {}, participantBookings = {} } = {}) {
+  if (!rollCall || rollCall.status !== ROLL_CALL_STATUS.OPEN) return rollCall;
+  let next = rollCall;
+  Object.entries(object(checkins) ? checkins : {}).forEach(([authUid, checkin]) => {
+    const bookingRef = participantBookings?.[authUid];
+    const atMs = finiteOrNull(checkin?.atMs);
+    if (!bookingRef || atMs === null || atMs < rollCall.startedAtMs) return;
+    Object.entries(next.expected)
+      .filter(([, entry]) => entry.bookingRef === bookingRef)
+      .forEach(([key]) => { next = markReturned(next, key, { source: RETURN_SOURCES.PASSENGER, atMs }); });
+  });
+  return next;
+}
+
+function summarizeRollCall(rollCall) {
+  const entries = Object.entries(rollCall?.expected || {})
+    .map(([key, entry]) => ({ key, ...entry, returned: rollCall.returned[key] || null }))
+    .sort((left, right) => left.name.localeCompare(right.name));
+  const missing = entries.filter((entry) => !entry.returned);
+  return {
+    expectedCount: entries.length,
+    returnedCount: entries.length - missing.length,
+    missing,
+    returned: entries.filter((entry) => entry.returned),
+  };
+}
+
+function closeRollCall(rollCall, nowMs = Date.now()) {
+  if (!rollCall || rollCall.status !== ROLL_CALL_STATUS.OPEN) return rollCall;
+  const { missing } = summarizeRollCall(rollCall);
+  return {
+    ...rollCall,
+    status: ROLL_CALL_STATUS.CLOSED,
+    closedAtMs: nowMs,
+    missingAtClose: Object.fromEntries(missing.map((entry) => [entry.key, true])),
+  };
+}
+
+/**
+ * The newest location any traveller on a missing passenger's booking is
+ * sharing. Passengers only appear in liveTracking while they share.
+ */
+function resolveMissingLocations({ missing = [], participantBookings = {}, liveTracking = {} } = {}) {
+  const latestByBooking = {};
+  Object.entries(object(participantBookings) ? participantBookings : {}).forEach(([authUid, bookingRef]) => {
+    const record = liveTracking?.[authUid];
+    const latitude = finiteOrNull(record?.coords?.latitude);
+    const longitude = finiteOrNull(record?.coords?.longitude);
+    const updatedAtMs = finiteOrNull(record?.lastUpdate) ?? finiteOrNull(record?.clientUpdatedAtMs);
+    if (record?.isSharing !== true || latitude === null || longitude === null) return;
+    const current = latestByBooking[bookingRef];
+    if (!current || (updatedAtMs || 0) > (current.updatedAtMs || 0)) {
+      latestByBooking[bookingRef] = { latitude, longitude, accuracy: finiteOrNull(record.coords.accuracy), updatedAtMs };
+    }
+  });
+  return Object.fromEntries(missing.flatMap((entry) => (
+    latestByBooking[entry.bookingRef] ? [[entry.key, latestByBooking[entry.bookingRef]]] : []
+  )));
+}
+
+/**
+ * Writes every driver-owned field as its own path, so a re-sync never wipes
+ * the participant projection or passenger confirmations.
+ */
+function buildRollCallSyncUpdate(rollCall) {
+  const root = `tour_manifests/${rollCall.tourId}/roll_calls/${rollCall.rollCallId}`;
+  const pointer = `tours/${rollCall.tourId}/rollCall`;
+  const update = {
+    [`${root}/schemaVersion`]: 1,
+    [`${root}/rollCallId`]: rollCall.rollCallId,
+    [`${root}/tourId`]: rollCall.tourId,
+    [`${root}/stopName`]: rollCall.stopName,
+    [`${root}/status`]: rollCall.status,
+    [`${root}/startedAtMs`]: rollCall.startedAtMs,
+    [`${root}/startedBy`]: rollCall.startedBy || null,
+    [`${root}/expected`]: rollCall.expected,
+    [`${root}/returned`]: Object.keys(rollCall.returned).length ? rollCall.returned : null,
+  };
+  if (rollCall.status === ROLL_CALL_STATUS.CLOSED) {
+    update[`${root}/closedAtMs`] = rollCall.closedAtMs;
+    update[`${root}/missingAtClose`] = Object.keys(rollCall.missingAtClose || {}).length ? rollCall.missingAtClose : null;
+    update[pointer] = null;
+  } else {
+    update[`${pointer}/rollCallId`] = rollCall.rollCallId;
+    update[`${pointer}/stopName`] = rollCall.stopName;
+    update[`${pointer}/startedAtMs`] = rollCall.startedAtMs;
+  }
+  return update;
+}
+
+function normalizeActiveRollCall(value, authUid) {
+  if (!object(value) || !safeKey(value.rollCallId) || !finiteOrNull(value.startedAtMs)) return null;
+  const checkin = authUid ? value.checkins?.[authUid] : null;
+  const returned = authUid ? value.returned?.[authUid] : null;
+  return {
+    rollCallId: value.rollCallId,
+    stopName: String(value.stopName || 'Stop'),
+    startedAtMs: value.startedAtMs,
+    confirmedAtMs: finiteOrNull(checkin?.atMs) !== null && checkin.atMs >= value.startedAtMs ? checkin.atMs : null,
+    // Set by the server once the driver has ticked everyone on the booking.
+    returnedAtMs: finiteOrNull(returned?.atMs) !== null && returned.atMs >= value.startedAtMs ? returned.atMs : null,
+  };
+}
+
+/**
+ * Keeps the driver's open roll call on the device so it survives a restart
+ * with no signal, and mirrors it to the tour when the database accepts it.
+ */
+function createRollCallService({
+  storage = createPersistenceProvider({ namespace: 'LLT_ROLL_CALL', preferredStorage: 'async-storage' }),
+  getDatabase = defaultDatabase,
+  now = () => Date.now(),
+} = {}) {
+  const cacheKey = (tourId, driverId) => `${CACHE_PREFIX}_${encodeURIComponent(driverId)}_${encodeURIComponent(tourId)}`;
+
+  const loadSession = async ({ tourId, driverId } = {}) => {
+    const canonicalTourId = normalizeTourId(tourId);
+    if (!canonicalTourId || !driverId) return { success: false, error: 'A driver and tour are required.' };
+    try {
+      const raw = await storage.getItemAsync(cacheKey(canonicalTourId, driverId));
+      return { success: true, data: raw ? normalizeRollCall(JSON.parse(raw)) : null };
+    } catch (error) { return { success: false, error: error?.message || String(error) }; }
+  };
+
+  const saveSession = async ({ driverId, rollCall }) => {
+    const key = cacheKey(rollCall.tourId, driverId);
+    if (rollCall.status === ROLL_CALL_STATUS.CLOSED) await storage.deleteItemAsync(key);
+    else await storage.setItemAsync(key, JSON.stringify(rollCall));
+  };
+
+  const sync = async (rollCall) => {
+    const db = getDatabase();
+    if (!rollCall || !db?.ref) return { success: false, error: 'Roll call database unavailable' };
+    try {
+      await db.ref().update(buildRollCallSyncUpdate(rollCall));
+      return { success: true, data: { rollCallId: rollCall.rollCallId } };
+    } catch (error) { return { success: false, error: error?.message || String(error) }; }
+  };
+
+  // The local copy is saved first; the realtime write is returned separately
+  // because it only settles once the device is back online.
+  const commit = async ({ driverId, rollCall }) => {
+    try { await saveSession({ driverId, rollCall }); } catch (error) {
+      return { success: false, error: error?.message || String(error) };
+    }
+    return { success: true, data: rollCall, synced: sync(rollCall) };
+  };
+
+  const start = ({ tourId, driverId, stopName, bookings }) => {
+    const rollCall = createRollCall({ tourId, stopName, bookings, driverId, nowMs: now() });
+    if (!rollCall) return Promise.resolve({ success: false, error: 'A tour is required to start a roll call.' });
+    if (!Object.keys(rollCall.expected).length) return Promise.resolve({ success: false, error: 'Nobody is boarded yet, so there is nobody to count back on.' });
+    return commit({ driverId, rollCall });
+  };
+
+  const setReturned = ({ driverId, rollCall, key, returned }) => commit({
+    driverId,
+    rollCall: markReturned(rollCall, key, { returned, source: RETURN_SOURCES.DRIVER, atMs: now() }),
+  });
+
+  const recordCheckins = ({ driverId, rollCall, checkins, participantBookings }) => {
+    const next = applySelfCheckins(rollCall, { checkins, participantBookings });
+    return next === rollCall ? Promise.resolve(null) : commit({ driverId, rollCall: next });
+  };
+
+  const close = ({ driverId, rollCall }) => commit({ driverId, rollCall: closeRollCall(rollCall, now()) });
+
+  // Driver side: confirmations, who they belong to, and shared locations.
+  const subscribeProgress = ({ tourId: rawTourId, rollCallId }, onChange) => {
+    const db = getDatabase();
+    const tourId = normalizeTourId(rawTourId);
+    if (!db?.ref || !tourId || !safeKey(rollCallId)) return () => {};
+    const state = { checkins: {}, participantBookings: {}, liveTracking: {} };
+    const refs = [
+      ['checkins', db.ref(`tours/${tourId}/rollCall/checkins`)],
+      ['participantBookings', db.ref(`tour_manifests/${tourId}/roll_calls/${rollCallId}/participantBookings`)],
+      ['liveTracking', db.ref(`tours/${tourId}/liveTracking`)],
+    ];
+    const handlers = refs.map(([field, ref]) => {
+      const handler = (snapshot) => {
+        state[field] = snapshot?.val?.() || {};
+        onChange({ ...state });
+      };
+      ref.on('value', handler, () => {});
+      return () => ref.off?.('value', handler);
+    });
+    return () => handlers.forEach((off) => off());
+  };
+
+  // Passenger side.
+  const subscribeActive = ({ tourId: rawTourId, authUid }, onChange) => {
+    const db = getDatabase();
+    const tourId = normalizeTourId(rawTourId);
+    if (!db?.ref || !tourId) return () => {};
+    const ref = db.ref(`tours/${tourId}/rollCall`);
+    const handler = (snapshot) => onChange(normalizeActiveRollCall(snapshot?.val?.(), authUid));
+    ref.on('value', handler, () => onChange(null));
+    return () => ref.off?.('value', handler);
+  };
+
+  const confirmBack = async ({ tourId: rawTourId, authUid }) => {
+    const db = getDatabase();
+    const tourId = normalizeTourId(rawTourId);
+    if (!db?.ref || !tourId || !authUid) return { success: false, error: CONFIRM_ERRORS.UNAVAILABLE };
+    try {
+      await db.ref(`tours/${tourId}/rollCall/checkins/${authUid}`).set({ atMs: now() });
+      return { success: true, data: { confirmed: true } };
+    } catch { return { success: false, error: CONFIRM_ERRORS.NOT_SAVED }; }
+  };
+
+  return { close, confirmBack, loadSession, recordCheckins, setReturned, start, subscribeActive, subscribeProgress, sync };
+}
+
+const rollCallService = createRollCallService();
+
+module.exports = {
+  ...rollCallService,
+  CONFIRM_ERRORS,
+  RETURN_SOURCES,
+  ROLL_CALL_STATUS,
+  applySelfCheckins,
+  buildRollCallExpected,
+  buildRollCallSyncUpdate,
+  closeRollCall,
+  confirmErrorMessageKey,
+  createRollCall,
+  createRollCallService,
+  markReturned,
+  normalizeActiveRollCall,
+  normalizeRollCall,
+  resolveMissingLocations,
+  summarizeRollCall,
+};
@@ -0,0 +1,349 @@
+const { createPersistenceProvider } = require('./persistenceProvider');
+const { normalizeTourId } = require('./tourIdentityService');
+const { getTourDayContext } = require('./itineraryDateParser');
+const { parsePickupTime } = require('./pickupTimeParser');
+const { splitItineraryContent } = require('../utils/itineraryPresentation');
+const { finiteOrNull, response, safeKey } = require('./serviceResponse');
+
+// "Check on me if I'm not back": a passenger starts a timer for free time,
+// normally ending at the itinerary's meet-back time. The timer is kept on the
+// device so it survives a restart with no signal, and written to
+// `safety_check_ins/{tourId}/{authUid}`, where the driver sees it. The app only
+// ever clears the timer: raising the safety event once it runs out is done by
+// the server (functions/lib/safetyCheckIn.js), so a flat phone still reaches
+// the driver. It stops on its own once the passenger is counted back on the
+// coach.
+const SAFETY_CHECK_IN_ROOT = 'safety_check_ins';
+const CHECK_IN_STATUS = Object.freeze({ RUNNING: 'running', RAISED: 'raised' });
+const CHECK_IN_SOURCES = Object.freeze({ ITINERARY: 'itinerary', MANUAL: 'manual' });
+const CHECK_IN_DURATIONS_MINUTES = Object.freeze([30, 60, 90, 120]);
+const CHECK_IN_REMINDER_MINUTES = Object.freeze([15, 5]);
+// Time to answer the "are you OK?" notice before the driver is alerted. Must
+// match functions/lib/safetyCheckIn.js.
+const CHECK_IN_GRACE_MS = 5 * 60 * 1000;
+const MIN_LEAD_MS = 60 * 1000;
+const MAX_DURATION_MS = 12 * 60 * 60 * 1000;
+const MAX_LABEL_LENGTH = 200;
+const MAX_NAME_LENGTH = 80;
+const CACHE_PREFIX = 'safety_check_in_v1';
+
+// Why load, start or cancel failed; the card shows `checkInErrorMessageKey`.
+const CHECK_IN_ERRORS = Object.freeze({
+  SIGNED_OUT: 'SIGNED_OUT',
+  INVALID_TIME: 'INVALID_TIME',
+  NOT_SAVED: 'NOT_SAVED',
+});
+
+const CHECK_IN_ERROR_MESSAGE_KEYS = Object.freeze({
+  SIGNED_OUT: 'safety.checkIn.signedOutMessage',
+  INVALID_TIME: 'safety.checkIn.invalidTimeMessage',
+  NOT_SAVED: 'safety.checkIn.notSavedMessage',
+});
+
+const checkInErrorMessageKey = (code) => CHECK_IN_ERROR_MESSAGE_KEYS[code] || CHECK_IN_ERROR_MESSAGE_KEYS.NOT_SAVED;
+
+const MEET_BACK_PATTERN = /\b(meet(?:ing)?\s+(?:back|at\s+the\s+coach)|back\s+(?:at|on|to)\s+the\s+coach|return(?:ing)?\s+to\s+the\s+coach|rejoin|coach\s+(?:departs|leaves)|free\s+time\b.*\b(?:until|till))/i;
+const TIME_TOKEN_PATTERN = /\b(\d{1,2})(?:[:.]([0-5]\d))?\s*(?:([ap])\.?\s?m\b\.?)?/gi;
+
+const defaultDatabase = () => { try { return require('../firebase').realtimeDb || null; } catch { return null; } };
+const defaultNotifications = () => { try { return require('expo-notifications'); } catch { return null; } };
+
+// "15:30", "15.30", "3:30 pm" and "4pm" count; a bare "2" (as in "2 hours")
+// does not.
+const readTimes = (text) => {
+  const times = [];
+  for (const match of String(text || '').matchAll(TIME_TOKEN_PATTERN)) {
+    const [, hours, minutes, meridiem] = match;
+    if (!minutes && !meridiem) continue;
+    const parsed = parsePickupTime(`${hours}:${minutes || '00'}${meridiem ? ` ${meridiem}M` : ''}`);
+    if (parsed.success) times.push(parsed.parsed);
+  }
+  return times;
+};
+
+/**
+ * The earliest meet-back time still ahead today in one day's itinerary text,
+ * with the line it came from. Times are read as device-local clock times.
+ */
+function findMeetBackTime(content, nowMs = Date.now()) {
+  let best = null;
+  splitItineraryContent(content).forEach((line) => {
+    if (!MEET_BACK_PATTERN.test(line)) return;
+    readTimes(line).forEach(({ hours, minutes }) => {
+      const due = new Date(nowMs);
+      due.setHours(hours, minutes, 0, 0);
+      const dueAtMs = due.getTime();
+      if (dueAtMs - nowMs < MIN_LEAD_MS || dueAtMs - nowMs > MAX_DURATION_MS) return;
+      if (!best || dueAtMs < best.dueAtMs) best = { dueAtMs, label: line.slice(0, MAX_LABEL_LENGTH) };
+    });
+  });
+  return best;
+}
+
+function resolveMeetBackTime({ startDate, itineraryDays, nowMs = Date.now() } = {}) {
+  const day = getTourDayContext({ startDate, itineraryDays, now: new Date(nowMs) });
+  return day.status === 'ACTIVE' ? findMeetBackTime(day.data?.content, nowMs) : null;
+}
+
+function normalizeCheckIn(value) {
+  if (!value || typeof value !== 'object') return null;
+  const startedAtMs = finiteOrNull(value.startedAtMs);
+  const dueAtMs = finiteOrNull(value.dueAtMs);
+  if (!safeKey(value.tourId) || !safeKey(value.principalId) || startedAtMs === null || dueAtMs === null) return null;
+  return {
+    schemaVersion: 1,
+    tourId: value.tourId,
+    principalId: value.principalId,
+    startedAtMs,
+    dueAtMs,
+    source: value.source === CHECK_IN_SOURCES.ITINERARY ? CHECK_IN_SOURCES.ITINERARY : CHECK_IN_SOURCES.MANUAL,
+    label: typeof value.label === 'string' ? value.label.slice(0, MAX_LABEL_LENGTH) : null,
+    passengerName: typeof value.passengerName === 'string' ? value.passengerName.slice(0, MAX_NAME_LENGTH) : null,
+    status: value.status === CHECK_IN_STATUS.RAISED ? CHECK_IN_STATUS.RAISED : CHECK_IN_STATUS.RUNNING,
+    raisedAtMs: finiteOrNull(value.raisedAtMs),
+    notificationIds: Array.isArray(value.notificationIds)
+      ? value.notificationIds.filter((id) => typeof id === 'string')
+      : [],
+  };
+}
+
+/**
+ * A roll call tick or "I'm back" made after the timer started means the
+ * passenger is on the coach.
+ */
+function isBackOnCoach(checkIn, activeRollCall) {
+  if (!checkIn || !activeRollCall) return false;
+  const backAtMs = Math.max(finiteOrNull(activeRollCall.returnedAtMs) || 0, finiteOrNull(activeRollCall.confirmedAtMs) || 0);
+  return backAtMs > 0 && backAtMs >= checkIn.startedAtMs;
+}
+
+// What the database rules accept from the passenger: a running timer only.
+const buildRemoteCheckIn = (checkIn) => ({
+  schemaVersion: 1,
+  principalId: checkIn.principalId,
+  startedAtMs: checkIn.startedAtMs,
+  dueAtMs: checkIn.dueAtMs,
+  source: checkIn.source,
+  label: checkIn.label,
+  passengerName: checkIn.passengerName,
+  status: CHECK_IN_STATUS.RUNNING,
+});
+
+/**
+ * The timers running on one tour, soonest first, for the driver.
+ */
+function listTourCheckIns(value) {
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value)
+    .map(([authUid, entry]) => {
+      const startedAtMs = finiteOrNull(entry?.startedAtMs);
+      const dueAtMs = finiteOrNull(entry?.dueAtMs);
+      if (!safeKey(authUid) || startedAtMs === null || dueAtMs === null) return null;
+      return {
+        authUid,
+        passengerName: typeof entry.passengerName === 'string' && entry.passengerName ? entry.passengerName : null,
+        label: typeof entry.label === 'string' && entry.label ? entry.label : null,
+        startedAtMs,
+        dueAtMs,
+        status: entry.status === CHECK_IN_STATUS.RAISED ? CHECK_IN_STATUS.RAISED : CHECK_IN_STATUS.RUNNING,
+        raisedAtMs: finiteOrNull(entry.raisedAtMs),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.dueAtMs - b.dueAtMs);
+}
+
+function createSafetyCheckInService({
+  storage = createPersistenceProvider({ namespace: 'LLT_SAFETY_CHECK_IN', preferredStorage: 'async-storage' }),
+  getDatabase = defaultDatabase,
+  getNotifications = defaultNotifications,
+  now = () => Date.now(),
+} = {}) {
+  const resolveScope = ({ tourId, principalId, authUid } = {}) => {
+    const canonicalTourId = normalizeTourId(tourId);
+    return canonicalTourId && safeKey(principalId) && safeKey(authUid)
+      ? { tourId: canonicalTourId, principalId, authUid }
+      : null;
+  };
+  const remotePath = (scope) => `${SAFETY_CHECK_IN_ROOT}/${scope.tourId}/${scope.authUid}`;
+  const cacheKey = (scope) => `${CACHE_PREFIX}_${encodeURIComponent(scope.principalId)}_${encodeURIComponent(scope.tourId)}`;
+
+  const read = async (scope) => {
+    const raw = await storage.getItemAsync(cacheKey(scope));
+    return raw ? normalizeCheckIn(JSON.parse(raw)) : null;
+  };
+  const write = (scope, checkIn) => storage.setItemAsync(cacheKey(scope), JSON.stringify(checkIn));
+
+  // `checkIn` null clears the timer.
+  const sync = async (scope, checkIn) => {
+    const db = getDatabase();
+    if (!db?.ref) return response.fail('Check-in database unavailable');
+    try {
+      await db.ref(remotePath(scope)).set(checkIn ? buildRemoteCheckIn(checkIn) : null);
+      return response.ok({ startedAtMs: checkIn?.startedAtMs ?? null });
+    } catch (error) { return response.fail(error?.message || String(error)); }
+  };
+
+  // Reminders are best effort: the server raises the alert whether or not
+  // they were shown.
+  const scheduleReminders = async ({ tourId, dueAtMs, copy }) => {
+    const notifications = getNotifications();
+    if (!notifications?.scheduleNotificationAsync || !copy) return [];
+    const moments = [
+      ...CHECK_IN_REMINDER_MINUTES.map((minutes) => ({ atMs: dueAtMs - minutes * 60000, content: copy.reminder?.(minutes) })),
+      { atMs: dueAtMs, content: copy.due },
+    ].filter(({ atMs, content }) => content && atMs > now());
+    const ids = [];
+    for (const { atMs, content } of moments) {
+      try {
+        ids.push(await notifications.scheduleNotificationAsync({
+          content: {
+            ...content,
+            sound: true,
+            data: { screen: 'SafetySupport', tourId, notificationType: 'safety_check_in' },
+          },
+          trigger: { type: 'date', date: new Date(atMs) },
+        }));
+      } catch {
+        // Permission refused or scheduling unavailable on this device.
+      }
+    }
+    return ids.filter((id) => typeof id === 'string');
+  };
+
+  const cancelReminders = async (checkIn) => {
+    const notifications = getNotifications();
+    if (!notifications?.cancelScheduledNotificationAsync) return;
+    await Promise.all((checkIn?.notificationIds || []).map((id) => (
+      notifications.cancelScheduledNotificationAsync(id).catch(() => undefined)
+    )));
+  };
+
+  const load = async (identity) => {
+    const scope = resolveScope(identity);
+    if (!scope) return response.fail(CHECK_IN_ERRORS.SIGNED_OUT);
+    try { return response.ok(await read(scope)); } catch {
+      return response.fail(CHECK_IN_ERRORS.NOT_SAVED);
+    }
+  };
+
+  // The local copy is saved first; the realtime write is returned separately
+  // as `synced` because it only settles once the device is back online.
+  const start = async (identity, { dueAtMs, source = CHECK_IN_SOURCES.MANUAL, label = null, passengerName = null, copy } = {}) => {
+    const scope = resolveScope(identity);
+    if (!scope) return response.fail(CHECK_IN_ERRORS.SIGNED_OUT);
+    const startedAtMs = now();
+    if (finiteOrNull(dueAtMs) === null || dueAtMs - startedAtMs < MIN_LEAD_MS || dueAtMs - startedAtMs > MAX_DURATION_MS) {
+      return response.fail(CHECK_IN_ERRORS.INVALID_TIME);
+    }
+    try {
+      const previous = await read(scope);
+      if (previous) await cancelReminders(previous);
+      const checkIn = normalizeCheckIn({
+        tourId: scope.tourId,
+        principalId: scope.principalId,
+        startedAtMs,
+        dueAtMs,
+        source,
+        label,
+        passengerName,
+        status: CHECK_IN_STATUS.RUNNING,
+        notificationIds: await scheduleReminders({ tourId: scope.tourId, dueAtMs, copy }),
+      });
+      await write(scope, checkIn);
+      return { ...response.ok(checkIn), synced: sync(scope, checkIn) };
+    } catch { return response.fail(CHECK_IN_ERRORS.NOT_SAVED); }
+  };
+
+  const cancel = async (identity) => {
+    const scope = resolveScope(identity);
+    if (!scope) return response.fail(CHECK_IN_ERRORS.SIGNED_OUT);
+    try {
+      const current = await read(scope);
+      if (current) await cancelReminders(current);
+      await storage.deleteItemAsync(cacheKey(scope));
+      return { ...response.ok(current), synced: sync(scope, null) };
+    } catch { return response.fail(CHECK_IN_ERRORS.NOT_SAVED); }
+  };
+
+  /**
+   * Follows the stored timer. When the server raises the alert, or clears a
+   * timer after a roll call, the device copy follows and `onChange` gets the
+   * new state. A timer the database never received (started offline and the
+   * app closed before it synced) is sent again on the first read.
+   */
+  const subscribe = (identity, onChange) => {
+    const db = getDatabase();
+    const scope = resolveScope(identity);
+    if (!db?.ref || !scope) return () => {};
+    const ref = db.ref(remotePath(scope));
+    let firstRead = true;
+    const handler = async (snapshot) => {
+      const remote = snapshot?.val?.() || null;
+      const isFirstRead = firstRead;
+      firstRead = false;
+      try {
+        const current = await read(scope);
+        if (!current) return;
+        if (!remote) {
+          if (isFirstRead && current.status === CHECK_IN_STATUS.RUNNING) {
+            sync(scope, current);
+            return;
+          }
+          await cancelReminders(current);
+          await storage.deleteItemAsync(cacheKey(scope));
+          onChange(null);
+          return;
+        }
+        if (remote.startedAtMs !== current.startedAtMs || remote.status !== CHECK_IN_STATUS.RAISED) return;
+        if (current.status === CHECK_IN_STATUS.RAISED) return;
+        await cancelReminders(current);
+        const raised = normalizeCheckIn({
+          ...current,
+          status: CHECK_IN_STATUS.RAISED,
+          raisedAtMs: finiteOrNull(remote.raisedAtMs) ?? now(),
+          notificationIds: [],
+        });
+        await write(scope, raised);
+        onChange(raised);
+      } catch {
+        // The device copy is refreshed on the next value.
+      }
+    };
+    ref.on('value', handler, () => {});
+    return () => ref.off?.('value', handler);
+  };
+
+  // Driver side: every timer on the tour.
+  const subscribeTour = ({ tourId: rawTourId } = {}, onChange) => {
+    const db = getDatabase();
+    const tourId = normalizeTourId(rawTourId);
+    if (!db?.ref || !tourId) return () => {};
+    const ref = db.ref(`${SAFETY_CHECK_IN_ROOT}/${tourId}`);
+    const handler = (snapshot) => onChange(listTourCheckIns(snapshot?.val?.()));
+    ref.on('value', handler, () => onChange([]));
+    return () => ref.off?.('value', handler);
+  };
+
+  return { cancel, load, start, subscribe, subscribeTour };
+}
+
+const safetyCheckInService = createSafetyCheckInService();
+
+module.exports = {
+  ...safetyCheckInService,
+  CHECK_IN_DURATIONS_MINUTES,
+  CHECK_IN_ERRORS,
+  CHECK_IN_GRACE_MS,
+  CHECK_IN_REMINDER_MINUTES,
+  CHECK_IN_SOURCES,
+  CHECK_IN_STATUS,
+  SAFETY_CHECK_IN_ROOT,
+  checkInErrorMessageKey,
+  createSafetyCheckInService,
+  findMeetBackTime,
+  isBackOnCoach,
+  listTourCheckIns,
+  normalizeCheckIn,
+  resolveMeetBackTime,
+};
@@ -4,6 +4,7 @@ import logger from './loggerService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { parseTimestampMs } from './timeUtils';
 import { normalizeTourId } from './tourIdentityService';
+import { syncTrustedContacts } from './trustedContactSyncService';
 
 // Safety event categories with metadata
 export const SAFETY_CATEGORIES = {
@@ -785,6 +786,7 @@ const readTrustedContactsStrict = async (principalId) => {
     && typeof contact.id === 'string'
     && typeof contact.name === 'string'
     && typeof contact.phone === 'string'
+    && (contact.email === undefined || typeof contact.email === 'string')
   ));
   if (!contactsAreValid || parsed.length > MAX_TRUSTED_CONTACTS) {
     throw new Error('Trusted contacts payload is invalid');
@@ -814,11 +816,21 @@ export async function saveTrustedContacts(principalId, contacts) {
   }
 }
 
+// Keeps the opt-in server copy used for SOS messages in step with this
+// device. A failure is logged, not thrown: the local change still stands.
+const syncTrustedContactsForSos = async (contacts) => {
+  const result = await syncTrustedContacts(contacts);
+  if (!result.success) {
+    await logger.warn('Safety', 'Trusted contacts could not be synced for SOS alerts', { error: result.error });
+  }
+};
+
 export async function addTrustedContact(principalId, contact) {
   const operation = trustedContactsMutationTail.catch(() => {}).then(async () => {
     const name = typeof contact?.name === 'string' ? contact.name.trim().slice(0, 80) : '';
     const phone = typeof contact?.phone === 'string' ? contact.phone.trim().slice(0, 40) : '';
-    if (!name || (phone.match(/\d/g) || []).length < 7) {
+    const email = typeof contact?.email === 'string' ? contact.email.trim().toLowerCase().slice(0, 254) : '';
+    if (!name || (phone.match(/\d/g) || []).length < 7 || (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
       const error = new Error('Trusted contact details are invalid');
       error.code = 'TRUSTED_CONTACT_INVALID';
       throw error;
@@ -833,14 +845,17 @@ export async function addTrustedContact(principalId, contact) {
       id: `contact_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
       name,
       phone,
+      ...(email ? { email } : {}),
       addedAt: new Date().toISOString(),
     };
-    const saved = await saveTrustedContacts(principalId, [...contacts, newContact]);
+    const nextContacts = [...contacts, newContact];
+    const saved = await saveTrustedContacts(principalId, nextContacts);
     if (!saved) {
       const error = new Error('Trusted contact could not be saved on this device');
       error.code = 'TRUSTED_CONTACT_SAVE_FAILED';
       throw error;
     }
+    await syncTrustedContactsForSos(nextContacts);
     return newContact;
   });
   trustedContactsMutationTail = operation.catch(() => {});
@@ -857,6 +872,7 @@ export async function removeTrustedContact(principalId, contactId) {
       error.code = 'TRUSTED_CONTACT_SAVE_FAILED';
       throw error;
     }
+    await syncTrustedContactsForSos(filtered);
     return true;
   });
   trustedContactsMutationTail = operation.catch(() => {});
@@ -0,0 +1,14 @@
+// Shared by the feature services: the `{ success, data }` and
+// `{ success: false, error }` result shape they return, and the checks they
+// run on values read back from Realtime Database.
+const response = Object.freeze({
+  ok: (data) => ({ success: true, data }),
+  fail: (error) => ({ success: false, error }),
+});
+
+// A string that can be used as one Realtime Database path segment.
+const safeKey = (value) => typeof value === 'string' && value.length > 0 && value.length <= 180 && !/[.#$/\[\]\x00-\x1f\x7f]/.test(value);
+
+const finiteOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+module.exports = { finiteOrNull, response, safeKey };
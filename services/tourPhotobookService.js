@@ -0,0 +1,119 @@
+const { normalizeTourId } = require('./tourIdentityService');
+const { response } = require('./serviceResponse');
+
+// Must match functions/lib/photobookPdf.js: the book opens once the final
+// tour day has fully passed.
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 120000;
+
+// Failure codes: the server's reasons plus two of our own. Each one has copy
+// in the locale catalog; raw errors never reach the UI. `error` in a failed
+// result is always one of these codes.
+const PHOTOBOOK_ERRORS = Object.freeze({
+  PHOTOBOOK_NOT_READY: 'PHOTOBOOK_NOT_READY',
+  NO_PHOTOS: 'NO_PHOTOS',
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+  TRY_AGAIN_LATER: 'TRY_AGAIN_LATER',
+  SIGNED_OUT: 'SIGNED_OUT',
+  UNAVAILABLE: 'UNAVAILABLE',
+});
+
+const PHOTOBOOK_ERROR_MESSAGE_KEYS = Object.freeze({
+  PHOTOBOOK_NOT_READY: 'tourHome.photobookExport.notReadyMessage',
+  NO_PHOTOS: 'tourHome.photobookExport.noPhotosMessage',
+  NOT_AUTHORIZED: 'tourHome.photobookExport.notAuthorizedMessage',
+  TRY_AGAIN_LATER: 'tourHome.photobookExport.tryAgainLaterMessage',
+  SIGNED_OUT: 'tourHome.photobookExport.signedOutMessage',
+  UNAVAILABLE: 'tourHome.photobookExport.unavailableMessage',
+});
+
+const photobookErrorMessageKey = (code) => (
+  PHOTOBOOK_ERROR_MESSAGE_KEYS[code] || PHOTOBOOK_ERROR_MESSAGE_KEYS.UNAVAILABLE
+);
+
+// Same DD/MM/YYYY or YYYY-MM-DD forms as functions/lib/tourDateIndex.js.
+const parseEndDateMs = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  const ukMatch = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(text);
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!ukMatch && !isoMatch) return null;
+  const [year, month, day] = (ukMatch ? [ukMatch[3], ukMatch[2], ukMatch[1]] : isoMatch.slice(1)).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date.getTime() : null;
+};
+
+/**
+ * Tour records carry `endDateEpochMs` once indexed; older cached tours only
+ * have the `endDate` text, which is parsed the same way as the server does.
+ */
+function isTourPhotobookAvailable(tourData, now = Date.now()) {
+  const endDateEpochMs = Number.isFinite(tourData?.endDateEpochMs)
+    ? tourData.endDateEpochMs
+    : parseEndDateMs(tourData?.endDate || tourData?.startDate);
+  return Number.isFinite(endDateEpochMs) && now >= endDateEpochMs + MS_PER_DAY;
+}
+
+const buildExportEndpoint = () => {
+  const explicitUrl = process.env.EXPO_PUBLIC_EXPORT_TOUR_PHOTOBOOK_URL?.trim();
+  if (explicitUrl) return explicitUrl;
+  const projectId = process.env.EXPO_PUBLIC_FIREBASE_PROJECT_ID?.trim();
+  return projectId ? `https://europe-west1-${projectId}.cloudfunctions.net/exportTourPhotobook` : null;
+};
+
+/**
+ * Asks the server for the end-of-tour photobook PDF. The first request for a
+ * tour builds the file, so the timeout is longer than for other calls.
+ */
+function createTourPhotobookService({
+  getAuth = () => { try { return require('../firebase').auth || null; } catch { return null; } },
+  fetchImpl = (...args) => fetch(...args),
+  endpoint = buildExportEndpoint,
+  timeoutMs = REQUEST_TIMEOUT_MS,
+} = {}) {
+  const requestPhotobook = async ({ tourId } = {}) => {
+    const currentUser = getAuth()?.currentUser;
+    const canonicalTourId = normalizeTourId(tourId);
+    const url = endpoint();
+    if (!currentUser?.uid || !canonicalTourId) return response.fail(PHOTOBOOK_ERRORS.SIGNED_OUT);
+    if (!url) return response.fail(PHOTOBOOK_ERRORS.UNAVAILABLE);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const token = await currentUser.getIdToken();
+      const result = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ tourId: canonicalTourId }),
+        signal: controller.signal,
+      });
+      const payload = await result.json().catch(() => null);
+      if (!result.ok || payload?.success !== true) {
+        return response.fail(PHOTOBOOK_ERRORS[payload?.reason] || PHOTOBOOK_ERRORS.UNAVAILABLE);
+      }
+      if (typeof payload.url !== 'string' || !/^https:\/\//.test(payload.url)) {
+        return response.fail(PHOTOBOOK_ERRORS.UNAVAILABLE);
+      }
+      return response.ok({
+        url: payload.url,
+        expiresAtMs: Number(payload.expiresAtMs) || null,
+        photoCount: Number(payload.photoCount) || 0,
+      });
+    } catch {
+      return response.fail(PHOTOBOOK_ERRORS.UNAVAILABLE);
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  return { requestPhotobook };
+}
+
+const tourPhotobookService = createTourPhotobookService();
+
+module.exports = {
+  ...tourPhotobookService,
+  PHOTOBOOK_ERRORS,
+  createTourPhotobookService,
+  isTourPhotobookAvailable,
+  photobookErrorMessageKey,
+};
@@ -0,0 +1,142 @@
+const { response } = require('./serviceResponse');
+
+// Opt-in server copy of a passenger's trusted contacts, so an SOS can message
+// them even when the phone cannot. The node at `safety_contacts/{authUid}`
+// exists only while consent is given; withdrawing consent deletes it.
+// functions/lib/trustedContactAlerts.js and database.rules.json apply the
+// same shape.
+const TRUSTED_CONTACTS_ROOT = 'safety_contacts';
+const TRUSTED_CONTACT_CONSENT_VERSION = 1;
+const MAX_SYNCED_TRUSTED_CONTACTS = 5;
+const CONTACT_ID_PATTERN = /^contact_[a-z0-9_]{1,40}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SIGNED_OUT_MESSAGE = 'Sign in again to change this setting.';
+const OFFLINE_MESSAGE = 'This setting needs an internet connection. Please try again.';
+
+const defaultDatabase = () => { try { return require('../firebase').realtimeDb || null; } catch { return null; } };
+const defaultAuth = () => { try { return require('../firebase').auth || null; } catch { return null; } };
+
+const trimmedString = (value, maxLength) => (
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+);
+
+/**
+ * The device's trusted contacts in the shape the rules accept, keyed by
+ * contact id. Contacts that would be rejected are left out rather than
+ * failing the whole sync.
+ */
+function buildSyncedTrustedContacts(contacts) {
+  if (!Array.isArray(contacts)) return {};
+  const synced = {};
+  contacts.slice(0, MAX_SYNCED_TRUSTED_CONTACTS).forEach((contact) => {
+    const id = typeof contact?.id === 'string' ? contact.id : '';
+    const name = trimmedString(contact?.name, 80);
+    const phone = trimmedString(contact?.phone, 40);
+    if (!CONTACT_ID_PATTERN.test(id) || !name || !phone) return;
+    const email = trimmedString(contact?.email, 254).toLowerCase();
+    synced[id] = EMAIL_PATTERN.test(email) ? { name, phone, email } : { name, phone };
+  });
+  return synced;
+}
+
+function createTrustedContactSyncService({
+  getAuth = defaultAuth,
+  getDatabase = defaultDatabase,
+  nowFn = Date.now,
+} = {}) {
+  const resolveRef = () => {
+    const authUid = getAuth()?.currentUser?.uid || '';
+    const database = getDatabase();
+    if (!authUid || !database) return null;
+    return database.ref(`${TRUSTED_CONTACTS_ROOT}/${authUid}`);
+  };
+
+  const loadSyncState = async () => {
+    const ref = resolveRef();
+    if (!ref) return response.ok({ enabled: false, grantedAtMs: null, contactCount: 0 });
+    try {
+      const value = (await ref.once('value')).val();
+      const consented = value?.consent?.version === TRUSTED_CONTACT_CONSENT_VERSION;
+      return response.ok({
+        enabled: consented,
+        grantedAtMs: consented ? value.consent.grantedAtMs : null,
+        contactCount: consented ? Object.keys(value.contacts || {}).length : 0,
+      });
+    } catch {
+      return response.fail('Your trusted contact setting could not be loaded.');
+    }
+  };
+
+  /**
+   * Records consent and uploads the current contacts in one write.
+   */
+  const enableSync = async ({ contacts, senderName = '' } = {}) => {
+    const ref = resolveRef();
+    if (!ref) return response.fail(SIGNED_OUT_MESSAGE);
+    const nowMs = nowFn();
+    const name = trimmedString(senderName, 80);
+    try {
+      await ref.set({
+        schemaVersion: 1,
+        consent: { version: TRUSTED_CONTACT_CONSENT_VERSION, grantedAtMs: nowMs },
+        ...(name ? { senderName: name } : {}),
+        contacts: buildSyncedTrustedContacts(contacts),
+        updatedAtMs: nowMs,
+      });
+      return response.ok({ enabled: true, grantedAtMs: nowMs });
+    } catch {
+      return response.fail(OFFLINE_MESSAGE);
+    }
+  };
+
+  /**
+   * Replaces the server copy after a contact is added or removed on this
+   * device. Does nothing unless consent was given.
+   */
+  const syncContacts = async (contacts) => {
+    const ref = resolveRef();
+    if (!ref) return response.ok({ synced: false });
+    try {
+      const consent = (await ref.child('consent').once('value')).val();
+      if (consent?.version !== TRUSTED_CONTACT_CONSENT_VERSION) return response.ok({ synced: false });
+      await ref.update({
+        contacts: buildSyncedTrustedContacts(contacts),
+        updatedAtMs: nowFn(),
+      });
+      return response.ok({ synced: true });
+    } catch {
+      return response.fail('Your trusted contacts could not be updated for SOS alerts.');
+    }
+  };
+
+  /**
+   * Withdraws consent by deleting the server copy. Contacts on this device
+   * are kept for manual sharing.
+   */
+  const disableSync = async () => {
+    const ref = resolveRef();
+    if (!ref) return response.fail(SIGNED_OUT_MESSAGE);
+    try {
+      await ref.remove();
+      return response.ok({ enabled: false });
+    } catch {
+      return response.fail(OFFLINE_MESSAGE);
+    }
+  };
+
+  return { loadSyncState, enableSync, syncContacts, disableSync };
+}
+
+const trustedContactSyncService = createTrustedContactSyncService();
+
+module.exports = {
+  MAX_SYNCED_TRUSTED_CONTACTS,
+  TRUSTED_CONTACT_CONSENT_VERSION,
+  buildSyncedTrustedContacts,
+  createTrustedContactSyncService,
+  loadTrustedContactSync: trustedContactSyncService.loadSyncState,
+  enableTrustedContactSync: trustedContactSyncService.enableSync,
+  syncTrustedContacts: trustedContactSyncService.syncContacts,
+  disableTrustedContactSync: trustedContactSyncService.disableSync,
+};
@@ -183,3 +183,45 @@ test('surfaces semantic acknowledgement and records offline progress and structu
   ]);
   await act(async () => renderer.unmount());
 });
+
+test('offers geofence opt-in and confirms a proposed arrival through the action queue', async () => {
+  const Screen = require('../screens/DriverTourPackScreen').default;
+  const calls = [];
+  const geofenceState = {
+    mode: 'propose',
+    available: true,
+    proposal: { pickupId: 'p1', name: 'Main Street', state: 'ARRIVED', previousState: 'PENDING', distanceMeters: 40 },
+    setMode: async (value) => { calls.push(['mode', value]); return { success: true }; },
+    confirmProposal: async () => { calls.push(['confirm']); return { success: true, data: { queued: true } }; },
+    dismissProposal: () => calls.push(['dismiss']),
+    undo: null,
+    undoLast: async () => ({ success: true }),
+    error: null,
+  };
+  let renderer;
+  await act(async () => {
+    renderer = TestRenderer.create(React.createElement(Screen, {
+      packState: { pack, state: 'ready', source: 'cache' },
+      actionState: { actions: { pickupStops: {} }, pendingCount: 0 },
+      geofenceState,
+      isConnected: false,
+      driverData: { id: 'D-ONE', currentTourId: '5001D_1', name: 'Driver One' },
+      tourData: { name: 'Highland Explorer' },
+      onBack: () => {},
+      onNavigate: () => {},
+    }));
+    await Promise.resolve();
+  });
+
+  assert.ok(allText(renderer.root).includes('You appear to be at Main Street. Mark the stop arrived?'));
+  await act(async () => renderer.root.findByProps({ accessibilityLabel: 'Confirm arrival' }).props.onPress());
+  assert.ok(allText(renderer.root).includes('Main Street marked arrived. Saved offline and queued.'));
+
+  await act(async () => renderer.root.findByProps({ accessibilityLabel: 'Run tab' }).props.onPress());
+  const modes = renderer.root.findByProps({ accessibilityLabel: 'Arrival detection mode' });
+  assert.equal(modes.findByProps({ accessibilityLabel: 'Ask me' }).props.accessibilityState.selected, true);
+  await act(async () => modes.findByProps({ accessibilityLabel: 'Automatic' }).props.onPress());
+
+  assert.deepEqual(calls, [['confirm'], ['mode', 'auto']]);
+  await act(async () => renderer.unmount());
+});
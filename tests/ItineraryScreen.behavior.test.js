@@ -209,3 +209,23 @@ test('a conflicting save keeps the draft intact until the driver explicitly choo
 
   await act(async () => renderer.unmount());
 });
+
+test('the itinerary renders with every shipped catalog without missing keys', async () => {
+  const i18n = require('../services/i18nService');
+  networkMode = 'failure';
+  cachedItinerary = baseItinerary;
+
+  for (const { code } of i18n.SUPPORTED_LOCALES) {
+    await act(async () => {
+      await i18n.setLocale(code);
+    });
+    const renderer = await renderScreen({ isDriver: true });
+    assert.ok(allText(renderer.root).includes(i18n.translate(code, 'itinerary.sync.saved')));
+    await act(async () => renderer.unmount());
+  }
+  await act(async () => {
+    await i18n.setLocale('en');
+  });
+
+  assert.deepEqual(i18n.getMissingTranslationKeys(), []);
+});
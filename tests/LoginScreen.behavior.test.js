@@ -273,3 +273,23 @@ test('LoginScreen keeps first glance minimal and reveals email by hint focus/cod
   });
   assert.equal(Boolean(findTextInputByPlaceholder(root, 'Booking email')), false);
 });
+
+test('LoginScreen renders with every shipped catalog without missing keys', async () => {
+  const i18n = require('../services/i18nService');
+
+  for (const { code } of i18n.SUPPORTED_LOCALES) {
+    await act(async () => {
+      await i18n.setLocale(code);
+    });
+    const renderer = await renderLoginScreen();
+    await act(async () => {
+      findTouchableByText(renderer.root, i18n.translate(code, 'login.mode.passenger.label')).props.onPress();
+    });
+    await act(async () => renderer.unmount());
+  }
+  await act(async () => {
+    await i18n.setLocale('en');
+  });
+
+  assert.deepEqual(i18n.getMissingTranslationKeys(), []);
+});
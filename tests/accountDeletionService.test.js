@@ -188,6 +188,9 @@ test('deleteCurrentAccount clears app account records, active-tour content, loca
   assert.equal(updatePayload['users/auth-1'], null);
   assert.equal(updatePayload['logs/auth-1'], null);
   assert.equal(updatePayload['logs/stable-pax-1'], undefined);
+  assert.equal(updatePayload['safety_contacts/auth-1'], null);
+  assert.equal(updatePayload['care_profiles/auth-1'], null);
+  assert.equal(updatePayload['live_location_share_owners/auth-1'], null);
   assert.equal(updatePayload['identity_bindings/stable-pax-1/auth-1'], null);
   assert.equal(updatePayload['tours/TOUR_1/liveTracking/auth-1'], null);
   assert.equal(updatePayload['tours/TOUR_1/liveTracking/stable-pax-1'], undefined);
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { buildBoardingPassVerification, signBoardingPass } = require('../functions/lib/boardingPass');
+const {
+  BOARDING_PASS_ERRORS,
+  SCAN_RESULTS,
+  boardingPassErrorMessageKey,
+  createBoardingPassService,
+  resolveBoardingPassScan,
+  scanMessageKey,
+} = require('../services/boardingPassService');
+const { createDriverManifestCacheService } = require('../services/driverManifestCacheService');
+
+const SECRET = 'test-boarding-pass-secret-with-enough-entropy';
+const DEPARTURE = '2026-09-10::TOUR_1';
+
+const createStorage = () => {
+  const values = new Map();
+  return {
+    values,
+    getItemAsync: async (key) => values.get(key) || null,
+    setItemAsync: async (key, value) => values.set(key, value),
+    deleteItemAsync: async (key) => values.delete(key),
+  };
+};
+
+const passFor = (overrides = {}) => signBoardingPass({
+  secret: SECRET, departureKey: DEPARTURE, bookingRef: 'BOOK-1', passengerIndex: 1, seat: '2', ...overrides,
+});
+const manifest = (overrides = {}) => ({
+  tourId: 'TOUR_1',
+  boardingPass: buildBoardingPassVerification({ secret: SECRET, departureKey: DEPARTURE }),
+  bookings: [{
+    id: 'BOOK-1', passengerNames: ['Ada', 'Ben'], passengerStatus: ['BOARDED', 'PENDING'], seatNumbers: ['1', '2'],
+  }],
+  ...overrides,
+});
+
+test('a valid pass boards only the scanned passenger', () => {
+  const scan = resolveBoardingPassScan({ data: passFor(), manifest: manifest() });
+
+  assert.equal(scan.result, SCAN_RESULTS.READY);
+  assert.equal(scan.booking.id, 'BOOK-1');
+  assert.equal(scan.passengerName, 'Ben');
+  assert.deepEqual(scan.passengerStatuses, ['BOARDED', 'BOARDED']);
+  assert.equal(scan.seat, '2');
+  assert.equal(scanMessageKey(scan.result), 'boardingPassScanner.result.ready');
+});
+
+test('rejected scans explain why without proposing a status change', () => {
+  const cases = [
+    [{ data: 'https://example.test', manifest: manifest() }, SCAN_RESULTS.NOT_A_PASS],
+    [{ data: passFor(), manifest: manifest({ boardingPass: undefined }) }, SCAN_RESULTS.VERIFICATION_UNAVAILABLE],
+    [{ data: passFor({ departureKey: '2026-09-11::TOUR_1' }), manifest: manifest() }, SCAN_RESULTS.WRONG_DEPARTURE],
+    [{ data: passFor().replace('|BOOK-1|', '|BOOK-2|'), manifest: manifest() }, SCAN_RESULTS.INVALID_SIGNATURE],
+    [{ data: passFor({ bookingRef: 'BOOK-9' }), manifest: manifest() }, SCAN_RESULTS.UNKNOWN_BOOKING],
+    [{ data: passFor({ passengerIndex: 5 }), manifest: manifest() }, SCAN_RESULTS.UNKNOWN_PASSENGER],
+    [{ data: passFor({ passengerIndex: 0 }), manifest: manifest() }, SCAN_RESULTS.ALREADY_BOARDED],
+  ];
+
+  cases.forEach(([input, expected]) => {
+    const scan = resolveBoardingPassScan(input);
+    assert.equal(scan.result, expected);
+    assert.equal(scan.passengerStatuses, undefined);
+    assert.notEqual(scanMessageKey(scan.result), scanMessageKey(SCAN_RESULTS.READY));
+  });
+
+  for (const locale of ['en', 'de', 'es', 'fr', 'it']) {
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${locale}.json`), 'utf8'));
+    for (const result of Object.values(SCAN_RESULTS)) {
+      assert.equal(typeof catalog[scanMessageKey(result)], 'string', `${locale} ${result}`);
+    }
+  }
+});
+
+test('the driver manifest cache keeps verification only for the same tour', async () => {
+  const cache = createDriverManifestCacheService({ storage: createStorage(), now: () => 1_000 });
+  const snapshot = { complete: true, tourId: 'TOUR_1', bookings: manifest().bookings };
+
+  const saved = await cache.replace({
+    tourId: 'TOUR_1', driverId: 'D-1', fetchedAtMs: 900, manifest: { ...snapshot, boardingPass: manifest().boardingPass },
+  });
+  const otherTour = await cache.replace({
+    tourId: 'TOUR_1',
+    driverId: 'D-1',
+    fetchedAtMs: 900,
+    manifest: { ...snapshot, boardingPass: buildBoardingPassVerification({ secret: SECRET, departureKey: '2026-09-10::OTHER' }) },
+  });
+
+  assert.equal(saved.data.boardingPass.departureKey, DEPARTURE);
+  assert.equal(otherTour.success, true);
+  assert.equal(otherTour.data.boardingPass, undefined);
+  const scan = resolveBoardingPassScan({ data: passFor(), manifest: saved.data });
+  assert.equal(scan.result, SCAN_RESULTS.READY);
+});
+
+test('passenger passes are cached per account and tour for offline display', async () => {
+  const storage = createStorage();
+  const requests = [];
+  const logged = [];
+  let online = true;
+  const service = createBoardingPassService({
+    storage,
+    logger: { warn: (...args) => logged.push(args) },
+    getAuth: () => ({ currentUser: { uid: 'uid-1', getIdToken: async () => 'id-token' } }),
+    endpoint: () => 'https://example.test/issueBoardingPass',
+    fetchImpl: async (url, options) => {
+      requests.push({ url, options });
+      if (!online) throw new Error('Network request failed');
+      return {
+        ok: true,
+        json: async () => ({
+          success: true,
+          departureKey: DEPARTURE,
+          bookingRef: 'BOOK-1',
+          issuedAtMs: 5,
+          passes: [{ passengerIndex: 1, passengerName: 'Ben', seat: '2', token: passFor() }],
+        }),
+      };
+    },
+  });
+
+  const fetched = await service.fetchPasses({ tourId: 'tour 1' });
+  online = false;
+  const failed = await service.fetchPasses({ tourId: 'TOUR_1' });
+  const cached = await service.loadCached({ tourId: 'TOUR_1' });
+
+  assert.equal(fetched.success, true);
+  assert.equal(requests[0].options.headers.Authorization, 'Bearer id-token');
+  assert.deepEqual(JSON.parse(requests[0].options.body), { tourId: 'TOUR_1' });
+  assert.equal(failed.success, false);
+  assert.equal(failed.error, BOARDING_PASS_ERRORS.UNAVAILABLE);
+  assert.equal(logged[0][2].error, 'Network request failed');
+  assert.deepEqual(cached.data, fetched.data);
+});
+
+test('issue failures come back as codes with copy in every locale', async () => {
+  const serviceFor = (status, payload) => createBoardingPassService({
+    storage: createStorage(),
+    getAuth: () => ({ currentUser: { uid: 'uid-1', getIdToken: async () => 'id-token' } }),
+    endpoint: () => 'https://example.test/issueBoardingPass',
+    fetchImpl: async () => ({ ok: status === 200, status, json: async () => payload }),
+    logger: null,
+  });
+
+  assert.equal((await serviceFor(404, { reason: 'BOOKING_NOT_FOUND' }).fetchPasses({ tourId: 'TOUR_1' })).error, BOARDING_PASS_ERRORS.BOOKING_NOT_FOUND);
+  assert.equal((await serviceFor(429, { reason: 'TRY_AGAIN_LATER' }).fetchPasses({ tourId: 'TOUR_1' })).error, BOARDING_PASS_ERRORS.TRY_AGAIN_LATER);
+  assert.equal((await serviceFor(500, { reason: 'INTERNAL_ERROR' }).fetchPasses({ tourId: 'TOUR_1' })).error, BOARDING_PASS_ERRORS.UNAVAILABLE);
+  assert.equal((await createBoardingPassService({ getAuth: () => null }).fetchPasses({ tourId: 'TOUR_1' })).error, BOARDING_PASS_ERRORS.SIGNED_OUT);
+
+  for (const locale of ['en', 'de', 'es', 'fr', 'it']) {
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${locale}.json`), 'utf8'));
+    for (const code of Object.values(BOARDING_PASS_ERRORS)) {
+      assert.equal(typeof catalog[boardingPassErrorMessageKey(code)], 'string', `${locale} ${code}`);
+    }
+  }
+  assert.equal(boardingPassErrorMessageKey('Network request failed'), 'tourHome.boardingPass.unavailableMessage');
+});
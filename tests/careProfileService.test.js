@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildCareProfileFields,
+  createCareProfileService,
+  describeCareProfile,
+} = require('../services/careProfileService');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const createDatabase = (initial = {}) => {
+  const values = { ...initial };
+  const writes = [];
+  const ref = (path) => ({
+    once: async () => ({ val: () => values[path] ?? null }),
+    set: async (value) => { writes.push({ op: 'set', path, value }); values[path] = value; },
+    remove: async () => { writes.push({ op: 'remove', path }); delete values[path]; },
+  });
+  return { values, writes, ref };
+};
+
+const createService = (database, uid = 'uid-1') => createCareProfileService({
+  getAuth: () => ({ currentUser: uid ? { uid } : null }),
+  getDatabase: () => database,
+  nowFn: () => NOW,
+});
+
+const form = {
+  passengerName: ' Alex ',
+  mobility: ['step_free_access', 'wheelchair', 'jetpack'],
+  mobilityNotes: ' Folding chair ',
+  allergies: 'Peanuts',
+  medications: '   ',
+  emergencyContact: { name: 'Sam', phone: '' },
+};
+
+test('profile fields keep only what the rules accept', () => {
+  assert.deepEqual(buildCareProfileFields(form), {
+    passengerName: 'Alex',
+    mobility: { wheelchair: true, step_free_access: true },
+    mobilityNotes: 'Folding chair',
+    allergies: 'Peanuts',
+  });
+  assert.equal(buildCareProfileFields({ allergies: 'x'.repeat(400) }).allergies.length, 300);
+});
+
+test('the driver description labels each need', () => {
+  assert.deepEqual(describeCareProfile({
+    passengerName: 'Alex',
+    mobility: ['wheelchair', 'step_free_access'],
+    mobilityNotes: 'Folding chair',
+    allergies: 'Peanuts',
+    medications: '',
+    emergencyContact: { name: 'Sam', phone: '07700 900001' },
+  }), {
+    passengerName: 'Alex',
+    lines: [
+      { label: 'Mobility', text: 'Wheelchair user, Needs step-free access. Folding chair' },
+      { label: 'Allergies', text: 'Peanuts' },
+      { label: 'Emergency contact', text: 'Sam, 07700 900001' },
+    ],
+    tags: ['Wheelchair user', 'Needs step-free access', 'Allergies'],
+  });
+});
+
+test('saving records consent with the profile, and deleting removes it', async () => {
+  const database = createDatabase();
+  const service = createService(database);
+
+  const saved = await service.saveProfile(form);
+  assert.equal(saved.success, true);
+  assert.deepEqual(database.writes[0], {
+    op: 'set',
+    path: 'care_profiles/uid-1',
+    value: {
+      schemaVersion: 1,
+      consent: { version: 1, grantedAtMs: NOW },
+      ...buildCareProfileFields(form),
+      updatedAtMs: NOW,
+    },
+  });
+
+  const loaded = await service.loadProfile();
+  assert.equal(loaded.data.enabled, true);
+  assert.deepEqual(loaded.data.profile.mobility, ['wheelchair', 'step_free_access']);
+
+  await service.saveProfile({ allergies: 'Shellfish' }, { grantedAtMs: NOW - 5000 });
+  assert.deepEqual(database.writes[1].value.consent, { version: 1, grantedAtMs: NOW - 5000 });
+
+  assert.deepEqual(await service.deleteProfile(), { success: true, data: { enabled: false } });
+  assert.deepEqual(database.writes[2], { op: 'remove', path: 'care_profiles/uid-1' });
+});
+
+test('an empty profile or a signed-out user never writes', async () => {
+  const database = createDatabase();
+  assert.equal((await createService(database).saveProfile({ passengerName: 'Alex' })).success, false);
+  assert.equal((await createService(database, null).saveProfile(form)).success, false);
+  assert.equal((await createService(database, null).loadProfile()).data.enabled, false);
+  assert.equal(database.writes.length, 0);
+});
@@ -89,6 +89,40 @@ test('createContentReport writes bounded report payload', async () => {
   });
 });
 
+test('createContentReport records which version of an edited message was reported', async () => {
+  const db = createMockDb();
+  const result = await createContentReport({
+    tourId: 'TOUR_1',
+    contentType: 'chat_message',
+    contentId: 'MSG_1',
+    reason: 'harassment',
+    reporterId: 'pax-1',
+    reporterAuthUid: 'auth-1',
+    contentPreview: 'The wording the reporter saw',
+    contentVersion: 2,
+  }, {
+    dbInstance: db,
+    nowFn: () => 1710000000000,
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(db.writes[0].value.contentVersion, 2);
+  assert.equal(db.writes[0].value.contentPreview, 'The wording the reporter saw');
+
+  const unversioned = await createContentReport({
+    tourId: 'TOUR_1',
+    contentType: 'group_photo',
+    contentId: 'PHOTO_1',
+    reason: 'other',
+    reporterId: 'pax-1',
+    reporterAuthUid: 'auth-1',
+    contentVersion: 'latest',
+  }, {
+    dbInstance: db,
+  });
+  assert.equal(unversioned.report.contentVersion, undefined);
+});
+
 test('createContentReport rejects unsupported content types', async () => {
   const result = await createContentReport({
     tourId: 'TOUR_1',
@@ -104,3 +138,51 @@ test('createContentReport rejects unsupported content types', async () => {
   assert.equal(result.success, false);
   assert.match(result.error, /Unsupported content report type/);
 });
+
+test('createContentReport keeps face blur requests and marked areas for photos only', async () => {
+  const db = createMockDb();
+  const photoReport = await createContentReport({
+    tourId: 'TOUR_1',
+    contentType: 'group_photo',
+    contentId: 'PHOTO_1',
+    reason: 'face_blur',
+    reporterId: 'pax-1',
+    reporterAuthUid: 'auth-1',
+    blurRegions: [
+      { x: 0.4, y: 0.2, width: 0.15, height: 0.2 },
+      { x: 'left', y: 0, width: 0.1, height: 0.1 },
+    ],
+  }, {
+    dbInstance: db,
+  });
+
+  assert.equal(photoReport.success, true);
+  assert.equal(photoReport.report.reason, 'face_blur');
+  assert.deepEqual(photoReport.report.blurRegions, [{ x: 0.4, y: 0.2, width: 0.15, height: 0.2 }]);
+
+  const chatReport = await createContentReport({
+    tourId: 'TOUR_1',
+    contentType: 'chat_message',
+    contentId: 'MSG_1',
+    reason: 'face_blur',
+    reporterId: 'pax-1',
+    reporterAuthUid: 'auth-1',
+    blurRegions: [{ x: 0.4, y: 0.2, width: 0.15, height: 0.2 }],
+  }, {
+    dbInstance: db,
+  });
+  assert.equal(chatReport.report.reason, 'other');
+  assert.equal(chatReport.report.blurRegions, undefined);
+
+  const unmarked = await createContentReport({
+    tourId: 'TOUR_1',
+    contentType: 'group_photo',
+    contentId: 'PHOTO_2',
+    reason: 'face_blur',
+    reporterId: 'pax-1',
+    reporterAuthUid: 'auth-1',
+  }, {
+    dbInstance: db,
+  });
+  assert.equal(unmarked.report.blurRegions, undefined);
+});
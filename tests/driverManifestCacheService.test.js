@@ -39,6 +39,77 @@ test('stores a bounded complete driver manifest snapshot and recomputes stats',
   assert.deepEqual(loaded.data, saved.data);
 });
 
+test('keeps consented care profiles in their bounded shape only, and only in memory', async () => {
+  const storage = createStorage();
+  const cache = createDriverManifestCacheService({ storage, now: () => 1_000 });
+  const [booking] = manifest().bookings;
+  const saved = await cache.replace({
+    tourId: 'TOUR_1',
+    driverId: 'D-DRIVER',
+    manifest: manifest({
+      bookings: [{
+        ...booking,
+        careProfiles: [
+          { passengerName: 'Ada', mobility: ['wheelchair', 'hoverboard'], allergies: 'Peanuts', emergencyContact: { name: 'Kim', phone: '07700 900001' }, bookingRef: 'must-not-persist' },
+          { passengerName: 'Ben', mobility: [], medications: 'x'.repeat(301) },
+          'not-a-profile',
+        ],
+      }],
+    }),
+    fetchedAtMs: 900,
+  });
+  assert.equal(saved.success, true);
+  assert.deepEqual(saved.data.bookings[0].careProfiles, [{
+    passengerName: 'Ada',
+    mobility: ['wheelchair'],
+    mobilityNotes: '',
+    allergies: 'Peanuts',
+    medications: '',
+    emergencyContact: { name: 'Kim', phone: '07700 900001' },
+  }]);
+  assert.equal(JSON.stringify(saved.data).includes('must-not-persist'), false);
+
+  // The stored snapshot has no medical data; this session still shows it.
+  assert.equal([...storage.values.values()].join('').includes('Peanuts'), false);
+  const loaded = await cache.get({ tourId: 'TOUR_1', driverId: 'D-DRIVER' });
+  assert.deepEqual(loaded.data.bookings[0].careProfiles, saved.data.bookings[0].careProfiles);
+  const boarded = await cache.applyOptimisticUpdate({
+    tourId: 'TOUR_1', driverId: 'D-DRIVER', bookingRef: 'BOOK-1', passengerStatuses: ['BOARDED', 'BOARDED'],
+  });
+  assert.equal(boarded.data.bookings[0].careProfiles.length, 1);
+  assert.equal([...storage.values.values()].join('').includes('Peanuts'), false);
+
+  // After a restart the snapshot loads without them until the next refresh.
+  const restarted = createDriverManifestCacheService({ storage, now: () => 1_000 });
+  assert.equal((await restarted.get({ tourId: 'TOUR_1', driverId: 'D-DRIVER' })).data.bookings[0].careProfiles, undefined);
+
+  // A purge forgets them too.
+  const [[key, stored]] = [...storage.values.entries()];
+  await cache.purge({ tourId: 'TOUR_1', driverId: 'D-DRIVER' });
+  await storage.setItemAsync(key, stored);
+  assert.equal((await cache.get({ tourId: 'TOUR_1', driverId: 'D-DRIVER' })).data.bookings[0].careProfiles, undefined);
+});
+
+test('strips care profiles from a snapshot cached before they were kept in memory', async () => {
+  const storage = createStorage();
+  const writer = createDriverManifestCacheService({ storage, now: () => 1_000 });
+  const [booking] = manifest().bookings;
+  const saved = await writer.replace({
+    tourId: 'TOUR_1',
+    driverId: 'D-DRIVER',
+    manifest: manifest({ bookings: [{ ...booking, careProfiles: [{ allergies: 'Peanuts' }] }] }),
+    fetchedAtMs: 900,
+  });
+  const [key] = storage.values.keys();
+  await storage.setItemAsync(key, JSON.stringify(saved.data));
+
+  const loaded = await createDriverManifestCacheService({ storage, now: () => 1_000 })
+    .get({ tourId: 'TOUR_1', driverId: 'D-DRIVER' });
+  assert.equal(loaded.success, true);
+  assert.equal(loaded.data.bookings[0].careProfiles, undefined);
+  assert.equal(storage.values.get(key).includes('Peanuts'), false);
+});
+
 test('never accepts a wrong-tour, malformed, duplicated, or partial snapshot', async () => {
   const storage = createStorage();
   const cache = createDriverManifestCacheService({ storage, now: () => 1_000 });
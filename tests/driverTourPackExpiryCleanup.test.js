@@ -61,6 +61,7 @@ test('expiry cleanup removes only expired operational packs/actions and writes a
     driver_tour_pack_actions: { [expiredKey]: { 'D-1': { issues: { issue_001: { summary: 'Private issue text' } } } } },
     driver_tour_pack_changes: { [expiredKey]: { latest: { revision: 4 } } },
     driver_tour_pack_progress: { [expiredKey]: { 'D-1': { pickupCompleted: 1 } } },
+    coach_arrival_notifications: { [expiredKey]: { pickup_1: { status: 'delivered' } } },
     driver_tour_pack_issues: { issue_001: { issueId: 'issue_001', departureKey: expiredKey, category: 'vehicle' } },
     driver_tour_pack_ingestion: { packMetadata: { [expiredKey]: { contentFingerprint: 'sha256:deadbeef' } } },
     driver_tour_pack_admin_status: { [expiredKey]: { departureKey: expiredKey, status: 'active' } },
@@ -72,6 +73,7 @@ test('expiry cleanup removes only expired operational packs/actions and writes a
   assert.equal(database.state.driver_tour_pack_actions[expiredKey], undefined);
   assert.equal(database.state.driver_tour_pack_changes[expiredKey], undefined);
   assert.equal(database.state.driver_tour_pack_progress[expiredKey], undefined);
+  assert.equal(database.state.coach_arrival_notifications[expiredKey], undefined);
   assert.equal(database.state.driver_tour_pack_issues.issue_001, undefined);
   assert.equal(database.state.driver_tour_pack_ingestion.packMetadata[expiredKey], undefined);
   assert.deepEqual(database.state.driver_tour_pack_admin_status[expiredKey], {
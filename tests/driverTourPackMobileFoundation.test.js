@@ -39,6 +39,12 @@ test('client schema validates a complete v1 pack and rejects privacy/relationshi
   assert.equal(validateDriverTourPack(invalid).valid,false);
 });
 
+test('client accepts optional pickup coordinates as a complete pair only', () => {
+  const located=pack({pickups:{p1:{...pack().pickups.p1,latitude:55.8652,longitude:-4.2514}}});
+  assert.equal(validateDriverTourPack(located).valid,true);
+  assert.equal(validateDriverTourPack(pack({pickups:{p1:{...pack().pickups.p1,latitude:55.8652}}})).valid,false);
+  assert.equal(validateDriverTourPack(pack({pickups:{p1:{...pack().pickups.p1,latitude:55.8652,longitude:'west'}}})).valid,false);
+});
 test('client rejects a cancelled pack that retains operational text', () => {
   const tombstone = tombstonePack('cancelled', {
     itineraries: { client: { title: '', text: '' }, driver: { title: '', text: 'private instruction' } },
@@ -260,6 +260,23 @@ test('app schema rejects impossible dates and broken cross-record references', (
   assert.ok(errors.includes('$.coach.layoutSeatCount must equal the number of projected seats.'));
 });
 
+test('app schema accepts optional pickup coordinates only as a bounded pair', () => {
+  const located = validPack();
+  Object.assign(located.pickups.pickup_1, { latitude: 55.8652, longitude: -4.2514 });
+  located.contentFingerprint = computeDriverTourPackContentFingerprint(located);
+  assert.equal(validateDriverTourPack(located).valid, true);
+
+  const partial = validPack();
+  partial.pickups.pickup_1.latitude = 55.8652;
+  partial.contentFingerprint = computeDriverTourPackContentFingerprint(partial);
+  assert.ok(validateDriverTourPack(partial).errors.includes('$.pickups.pickup_1 must include both latitude and longitude.'));
+
+  const outOfRange = validPack();
+  Object.assign(outOfRange.pickups.pickup_1, { latitude: 95, longitude: -4.2514 });
+  outOfRange.contentFingerprint = computeDriverTourPackContentFingerprint(outOfRange);
+  assert.ok(validateDriverTourPack(outOfRange).errors.includes('$.pickups.pickup_1.latitude must be between -90 and 90.'));
+});
+
 test('management OIDC requires the exact verified service-account identity and audience', async () => {
   const request = { get: (name) => name === 'authorization' ? 'Bearer signed-token' : '' };
   const client = {
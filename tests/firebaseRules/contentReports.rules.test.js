@@ -125,6 +125,44 @@ test('allows tour participants and assigned drivers to create valid content repo
   );
 });
 
+test('accepts face blur requests with marked areas on photos only', async () => {
+  const photoReport = {
+    contentType: 'group_photo',
+    contentId: 'photo_1',
+    sourcePath: `group_tour_photos/${TOUR_ID}/photo_1`,
+    reason: 'face_blur',
+  };
+  await assertSucceeds(
+    dbFor(PASSENGER_UID).ref('content_reports/report_blur_1').set(buildReport({
+      ...photoReport,
+      reportId: 'report_blur_1',
+      blurRegions: [{ x: 0.4, y: 0.2, width: 0.15, height: 0.2 }],
+    })),
+  );
+
+  await assertFails(
+    dbFor(PASSENGER_UID).ref('content_reports/report_blur_chat').set(buildReport({
+      reportId: 'report_blur_chat',
+      reason: 'face_blur',
+    })),
+  );
+  await assertFails(
+    dbFor(PASSENGER_UID).ref('content_reports/report_blur_outside').set(buildReport({
+      ...photoReport,
+      reportId: 'report_blur_outside',
+      blurRegions: [{ x: 0.9, y: 0.2, width: 0.5, height: 0.2 }],
+    })),
+  );
+  await assertFails(
+    dbFor(PASSENGER_UID).ref('content_reports/report_regions_harassment').set(buildReport({
+      ...photoReport,
+      reportId: 'report_regions_harassment',
+      reason: 'harassment',
+      blurRegions: [{ x: 0.4, y: 0.2, width: 0.15, height: 0.2 }],
+    })),
+  );
+});
+
 test('denies content report creation by users outside the tour', async () => {
   await assertFails(
     dbFor(OUTSIDER_UID).ref('content_reports/report_outsider_1').set(buildReport({
@@ -144,3 +144,30 @@ test('allows admin manifest update', async () => {
     idempotencyKey: 'manifest-test-admin',
   }));
 });
+
+test('keeps roll calls driver-owned while passengers confirm only themselves', async () => {
+  const rollCallPath = `tour_manifests/${TOUR_ID}/roll_calls/rc_1000`;
+  const checkinPath = `tours/${TOUR_ID}/rollCall/checkins`;
+  await assertSucceeds(dbFor(DRIVER_AUTH_UID).ref().update({
+    [`${rollCallPath}/schemaVersion`]: 1,
+    [`${rollCallPath}/rollCallId`]: 'rc_1000',
+    [`${rollCallPath}/tourId`]: TOUR_ID,
+    [`${rollCallPath}/stopName`]: 'Luss',
+    [`${rollCallPath}/status`]: 'open',
+    [`${rollCallPath}/startedAtMs`]: 1000,
+    [`tours/${TOUR_ID}/rollCall/rollCallId`]: 'rc_1000',
+    [`tours/${TOUR_ID}/rollCall/stopName`]: 'Luss',
+    [`tours/${TOUR_ID}/rollCall/startedAtMs`]: 1000,
+  }));
+  await assertFails(dbFor(OTHER_DRIVER_AUTH_UID).ref(`${rollCallPath}/status`).set('closed'));
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(rollCallPath).get());
+
+  await assertSucceeds(dbFor(PASSENGER_AUTH_UID).ref(`${checkinPath}/${PASSENGER_AUTH_UID}`).set({ atMs: 1200 }));
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(`${checkinPath}/${DRIVER_AUTH_UID}`).set({ atMs: 1200 }));
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(`tours/${TOUR_ID}/rollCall/returned/${PASSENGER_AUTH_UID}`).set({ atMs: 1300 }));
+  await assertSucceeds(dbFor(PASSENGER_AUTH_UID).ref(`tours/${TOUR_ID}/rollCall`).get());
+
+  await assertSucceeds(dbFor(DRIVER_AUTH_UID).ref(rollCallPath).update({ status: 'closed', closedAtMs: 2000 }));
+  await assertFails(dbFor(DRIVER_AUTH_UID).ref(`${rollCallPath}/status`).set('open'));
+  await assertFails(dbFor(DRIVER_AUTH_UID).ref(rollCallPath).remove());
+});
@@ -115,6 +115,150 @@ test('denies invalid variantStatus values', async () => {
   }));
 });
 
+test('allows a bounded itinerary stop tag on group photos and rejects malformed tags', async () => {
+  const base = {
+    sourceUrl: 'https://example.com/source.jpg',
+    userId: USER_UID,
+    timestamp: Date.now(),
+  };
+
+  await assertSucceeds(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_stop_ok`).set({
+    ...base,
+    itineraryStop: { dayNumber: 2, stopId: 'agenda-1-glencoe', label: 'Glencoe viewpoint' },
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_stop_day`).set({
+    ...base,
+    itineraryStop: { dayNumber: 61, stopId: 'agenda-1-glencoe', label: 'Glencoe viewpoint' },
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_stop_label`).set({
+    ...base,
+    itineraryStop: { dayNumber: 2, stopId: 'agenda-1-glencoe' },
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_stop_extra`).set({
+    ...base,
+    itineraryStop: { dayNumber: 2, stopId: 'agenda-1-glencoe', label: 'Glencoe viewpoint', lat: 56.68 },
+  }));
+});
+
+test('accepts server photo quality fields only in their expected shape', async () => {
+  const base = {
+    sourceUrl: 'https://example.com/source.jpg',
+    userId: USER_UID,
+    timestamp: Date.now(),
+  };
+
+  await assertSucceeds(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_quality_ok`).set({
+    ...base,
+    perceptualHash: '0f0f0f0f0f0f0f0f',
+    sharpnessScore: 212.4,
+    qualityVersion: 1,
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_quality_hash`).set({
+    ...base,
+    perceptualHash: '0f0f',
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_quality_score`).set({
+    ...base,
+    sharpnessScore: 'sharp',
+  }));
+});
+
+test('accepts capture time and coarse location only in their expected shape', async () => {
+  const base = {
+    sourceUrl: 'https://example.com/source.jpg',
+    userId: USER_UID,
+    timestamp: Date.now(),
+  };
+
+  await assertSucceeds(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_capture_ok`).set({
+    ...base,
+    capturedAt: Date.now() - 60 * 60 * 1000,
+    captureLocation: { lat: 56.08, lng: -4.63 },
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_capture_epoch`).set({
+    ...base,
+    capturedAt: 0,
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_capture_future`).set({
+    ...base,
+    capturedAt: Date.now() + 7 * 24 * 60 * 60 * 1000,
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_capture_lat`).set({
+    ...base,
+    captureLocation: { lat: 91, lng: -4.63 },
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_capture_extra`).set({
+    ...base,
+    captureLocation: { lat: 56.08, lng: -4.63, altitude: 12 },
+  }));
+});
+
+test('accepts video clip fields only on new clip records', async () => {
+  const base = {
+    sourceUrl: 'https://example.com/clip.mp4',
+    userId: USER_UID,
+    timestamp: Date.now(),
+  };
+
+  await assertSucceeds(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/clip_ok`).set({
+    ...base,
+    mediaType: 'video',
+    durationMs: 12400,
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/clip_long`).set({
+    ...base,
+    mediaType: 'video',
+    durationMs: 60000,
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/clip_type`).set({
+    ...base,
+    mediaType: 'audio',
+  }));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_with_duration`).set({
+    ...base,
+    durationMs: 12400,
+  }));
+  await assertSucceeds(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_later_clip`).set(base));
+  await assertFails(dbFor(USER_UID).ref(`group_tour_photos/${TOUR_ID}/photo_later_clip/mediaType`).set('video'));
+});
+
+test('lets tour members heart a group photo only under their own key', async () => {
+  const likerUid = 'user-photo-liker';
+  const photoPath = `group_tour_photos/${TOUR_ID}/photo_liked`;
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.database(dbUrl);
+    await db.ref(`tours/${TOUR_ID}/participants/${likerUid}`).set({ userId: likerUid, joinedAt: 1710000000000 });
+    await db.ref(photoPath).set({
+      sourceUrl: 'https://example.com/liked.jpg',
+      userId: USER_UID,
+      timestamp: Date.now(),
+    });
+  });
+
+  await assertSucceeds(dbFor(likerUid).ref(`${photoPath}/likes/${likerUid}`).set(true));
+  await assertFails(dbFor(likerUid).ref(`${photoPath}/likes/${likerUid}`).set(2));
+  await assertFails(dbFor(likerUid).ref(`${photoPath}/likes/${USER_UID}`).set(true));
+  await assertFails(dbFor(FOREIGN_UID).ref(`${photoPath}/likes/${FOREIGN_UID}`).set(true));
+  await assertFails(dbFor(likerUid).ref(`group_tour_photos/${TOUR_ID}/photo_missing/likes/${likerUid}`).set(true));
+  // The owner may edit their photo but cannot add hearts for other people.
+  await assertFails(dbFor(USER_UID).ref(`${photoPath}/likes`).update({ 'someone-else': true }));
+  await assertSucceeds(dbFor(USER_UID).ref(photoPath).update({ caption: 'Loch Lomond at dawn' }));
+  // Nor can they remove anyone's heart, even while adding their own.
+  await assertFails(dbFor(USER_UID).ref(`${photoPath}/likes/${likerUid}`).remove());
+  await assertFails(dbFor(USER_UID).ref(photoPath).update({ [`likes/${likerUid}`]: null, [`likes/${USER_UID}`]: true }));
+  await assertFails(dbFor(USER_UID).ref(photoPath).set({
+    sourceUrl: 'https://example.com/liked.jpg',
+    userId: USER_UID,
+    timestamp: Date.now(),
+  }));
+  await assertSucceeds(dbFor(USER_UID).ref(`${photoPath}/likes/${USER_UID}`).set(true));
+  await assertSucceeds(dbFor(USER_UID).ref(`${photoPath}/likes/${USER_UID}`).remove());
+  // Only the server keeps likeCount.
+  await assertFails(dbFor(USER_UID).ref(`${photoPath}/likeCount`).set(50));
+  await assertFails(dbFor(likerUid).ref(`${photoPath}/likeCount`).set(1));
+  await assertSucceeds(dbFor(likerUid).ref(`${photoPath}/likes/${likerUid}`).remove());
+});
+
 test('allows private photo record with ready variants in valid shape', async () => {
   await testEnv.withSecurityRulesDisabled(async (context) => {
     await context.database(dbUrl).ref(`users/${USER_UID}`).set({
@@ -221,3 +365,24 @@ test('allows hardcoded admin access to group photos but not private tour photos'
     variantStatus: 'ready',
   }));
 });
+
+test('lets a passenger watch only their own photo archive jobs and never the download tokens', async () => {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.database(dbUrl).ref(`photo_archive_jobs/${USER_UID}/job_1`).set({
+      tourId: TOUR_ID,
+      status: 'building',
+      progress: { processed: 3, total: 12 },
+    });
+    await context.database(dbUrl).ref('photo_archive_downloads/job_1').set({
+      authUid: USER_UID,
+      tokenHash: 'a'.repeat(64),
+      expiresAtMs: Date.now() + 60000,
+    });
+  });
+
+  await assertSucceeds(dbFor(USER_UID).ref(`photo_archive_jobs/${USER_UID}/job_1`).get());
+  await assertFails(dbFor(FOREIGN_UID).ref(`photo_archive_jobs/${USER_UID}/job_1`).get());
+  await assertFails(dbFor(USER_UID).ref(`photo_archive_jobs/${USER_UID}/job_1/status`).set('ready'));
+  await assertFails(dbFor(USER_UID).ref(`photo_archive_jobs/${USER_UID}/job_2`).set({ tourId: TOUR_ID, status: 'queued' }));
+  await assertFails(dbFor(USER_UID).ref('photo_archive_downloads/job_1').get());
+});
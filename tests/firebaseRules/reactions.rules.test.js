@@ -7,7 +7,12 @@ const {
   assertSucceeds,
   assertFails,
 } = require('@firebase/rules-unit-testing');
-const { sendInternalDriverMessage } = require('../../services/chatService');
+const {
+  sendInternalDriverMessage,
+  sendPollMessage,
+  votePoll,
+  closePoll,
+} = require('../../services/chatService');
 const { toRealtimeKeySegment } = require('../../services/identityService');
 
 const ADMIN_UID = '9CWQ4705gVRkfW5Xki5LyvrmVp23';
@@ -479,3 +484,225 @@ test('allows internal driver typing and presence only for assigned driver princi
     })
   );
 });
+
+test('accepts service-generated driver polls and holds each participant to one changeable vote', async () => {
+  const pollId = 'poll_rules_001';
+  const pollPath = `chats/${TOUR_ID}/messages/${pollId}`;
+  const result = await sendPollMessage(
+    TOUR_ID,
+    'Lunch stop?',
+    ['Luss', 'Balloch'],
+    { name: 'Driver Bondy', principalId: DRIVER_PRINCIPAL_ID, principalType: 'driver', isDriver: true },
+    dbFor(DRIVER_AUTH_UID),
+    { messageId: pollId }
+  );
+  assert.equal(result.success, true);
+
+  assert.equal((await votePoll(TOUR_ID, pollId, 'o1', 'userA', dbFor('userA'))).success, true);
+  assert.equal((await votePoll(TOUR_ID, pollId, 'o2', 'userA', dbFor('userA'))).success, true);
+  assert.equal((await votePoll(TOUR_ID, pollId, 'o1', PASSENGER_PRINCIPAL_KEY, dbFor(PASSENGER_AUTH_UID))).success, true);
+
+  await assertFails(dbFor('userA').ref(`${pollPath}/pollVotes/${PASSENGER_PRINCIPAL_KEY}`).set('o2'));
+  await assertFails(dbFor('userA').ref(`${pollPath}/pollVotes/userA`).set('o3'));
+  await assertFails(dbFor('userA').ref(`${pollPath}/pollVotes`).set({ userA: 'o1', extra_vote: 'o1' }));
+  await assertFails(dbFor(DRIVER_AUTH_UID).ref(`${pollPath}/poll/options/o1`).set('Somewhere else'));
+  await assertFails(dbFor(DRIVER_AUTH_UID).ref(`${pollPath}/poll/options/o3`).set('Tarbet'));
+
+  const votes = await dbFor('userA').ref(`${pollPath}/pollVotes`).get();
+  assert.deepEqual(votes.val(), { userA: 'o2', [PASSENGER_PRINCIPAL_KEY]: 'o1' });
+});
+
+test('only the poll sender can close a poll, and closed polls reject votes and reopening', async () => {
+  const pollId = 'poll_rules_002';
+  const pollPath = `chats/${TOUR_ID}/messages/${pollId}`;
+  await sendPollMessage(
+    TOUR_ID,
+    'Leave 15 minutes early?',
+    ['Yes', 'No'],
+    { name: 'Driver Bondy', principalId: DRIVER_PRINCIPAL_ID, principalType: 'driver', isDriver: true },
+    dbFor(DRIVER_AUTH_UID),
+    { messageId: pollId }
+  );
+
+  await assertFails(dbFor('userA').ref(`${pollPath}/poll/closed`).set(true));
+  assert.equal((await closePoll(TOUR_ID, pollId, DRIVER_PRINCIPAL_ID, dbFor(DRIVER_AUTH_UID))).success, true);
+
+  await assertFails(dbFor('userA').ref(`${pollPath}/pollVotes/userA`).set('o1'));
+  await assertFails(dbFor(DRIVER_AUTH_UID).ref(`${pollPath}/poll/closed`).set(false));
+});
+
+test('denies passenger-authored polls and poll payloads on ordinary messages', async () => {
+  const base = {
+    schemaVersion: 2,
+    senderId: PASSENGER_PRINCIPAL_ID,
+    senderStableId: PASSENGER_PRINCIPAL_ID,
+    senderName: 'Passenger One',
+    senderType: 'passenger',
+    text: 'Lunch stop?',
+    timestamp: { '.sv': 'timestamp' },
+    clientCreatedAt: Date.now(),
+    isDriver: false,
+    status: 'sent',
+  };
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(`chats/${TOUR_ID}/messages/poll_passenger`).set({
+    ...base,
+    idempotencyKey: 'poll_passenger',
+    type: 'poll',
+    poll: { optionCount: 2, options: { o1: 'Luss', o2: 'Balloch' }, closed: false },
+  }));
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(`chats/${TOUR_ID}/messages/text_with_poll`).set({
+    ...base,
+    idempotencyKey: 'text_with_poll',
+    type: 'text',
+    poll: { optionCount: 2, options: { o1: 'Luss', o2: 'Balloch' }, closed: false },
+  }));
+});
+
+test('only assigned drivers and admins can pin, and pins must point at a live message', async () => {
+  const pinFor = (messageId) => ({
+    messageId,
+    pinnedAt: { '.sv': 'timestamp' },
+    pinnedBy: DRIVER_PRINCIPAL_ID,
+    pinnedByName: 'Driver Bondy',
+    senderName: 'User B',
+    messageType: 'text',
+    previewText: 'original text',
+  });
+
+  await assertSucceeds(dbFor(DRIVER_AUTH_UID).ref(`chats/${TOUR_ID}/pins/${MESSAGE_ID}`).set(pinFor(MESSAGE_ID)));
+  await assertSucceeds(dbFor(ADMIN_UID).ref(`chats/${TOUR_ID}/pins/${MESSAGE_ID}`).set(pinFor(MESSAGE_ID)));
+  await assertFails(dbFor('userA').ref(`chats/${TOUR_ID}/pins/${MESSAGE_ID}`).remove());
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(`chats/${TOUR_ID}/pins/${MESSAGE_ID}`).set(pinFor(MESSAGE_ID)));
+  await assertFails(dbFor(DRIVER_AUTH_UID).ref(`chats/${TOUR_ID}/pins/MSG_MISSING`).set(pinFor('MSG_MISSING')));
+  await assertFails(dbFor(DRIVER_AUTH_UID).ref(`chats/${TOUR_ID}/pins/${MESSAGE_ID}`).set({
+    ...pinFor(MESSAGE_ID),
+    extra: 'not allowed',
+  }));
+  await assertSucceeds(dbFor(DRIVER_AUTH_UID).ref(`chats/${TOUR_ID}/pins/${MESSAGE_ID}`).remove());
+});
+
+test('any participant can clear the pin of a tombstoned message', async () => {
+  const messageId = 'MSG_PINNED_TOMBSTONE';
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.database(dbUrl).ref(`chats/${TOUR_ID}/messages/${messageId}`).set({
+      senderId: 'userA',
+      senderStableId: 'userA',
+      senderName: 'User A',
+      text: '',
+      deleted: true,
+      timestamp: 1710000000000,
+    });
+    await context.database(dbUrl).ref(`chats/${TOUR_ID}/pins/${messageId}`).set({
+      messageId,
+      pinnedAt: 1710000000000,
+      pinnedBy: DRIVER_PRINCIPAL_ID,
+      messageType: 'text',
+      previewText: 'was pinned',
+    });
+  });
+
+  await assertSucceeds(dbFor('userA').ref(`chats/${TOUR_ID}/pins/${messageId}`).remove());
+});
+
+const seedEditableMessage = async (messageId, overrides = {}) => {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.database(dbUrl).ref(`chats/${TOUR_ID}/messages/${messageId}`).set({
+      schemaVersion: 2,
+      senderId: PASSENGER_PRINCIPAL_ID,
+      senderStableId: PASSENGER_PRINCIPAL_ID,
+      senderName: 'Passenger One',
+      senderType: 'passenger',
+      text: 'Meet at the peir',
+      timestamp: Date.now() - 60000,
+      clientCreatedAt: Date.now() - 60000,
+      isDriver: false,
+      status: 'sent',
+      idempotencyKey: messageId,
+      type: 'text',
+      ...overrides,
+    });
+  });
+};
+
+test('allows the sender to edit within the window only when the replaced text is kept in editHistory', async () => {
+  const messageId = 'MSG_EDIT_001';
+  await seedEditableMessage(messageId);
+  const messageRef = dbFor(PASSENGER_AUTH_UID).ref(`chats/${TOUR_ID}/messages/${messageId}`);
+
+  await assertFails(messageRef.update({ text: 'Meet at the pier' }));
+  await assertFails(messageRef.update({
+    text: 'Meet at the pier',
+    editCount: 1,
+    editedAt: { '.sv': 'timestamp' },
+    'editHistory/v1': { text: 'something else', replacedAt: { '.sv': 'timestamp' } },
+  }));
+  await assertSucceeds(messageRef.update({
+    text: 'Meet at the pier',
+    editCount: 1,
+    editedAt: { '.sv': 'timestamp' },
+    'editHistory/v1': { text: 'Meet at the peir', replacedAt: { '.sv': 'timestamp' } },
+  }));
+
+  await assertFails(messageRef.child('editHistory/v1/text').set('rewritten history'));
+  await assertFails(messageRef.child('editHistory').remove());
+  await assertFails(messageRef.update({ schemaVersion: null, text: 'downgraded to skip the edit rules' }));
+  await assertFails(dbFor('userA').ref(`chats/${TOUR_ID}/messages/${messageId}`).update({
+    text: 'not my message',
+    editCount: 2,
+    editedAt: { '.sv': 'timestamp' },
+    'editHistory/v2': { text: 'Meet at the pier', replacedAt: { '.sv': 'timestamp' } },
+  }));
+});
+
+test('rejects edits after the window and clears history with the tombstone', async () => {
+  const staleId = 'MSG_EDIT_STALE';
+  await seedEditableMessage(staleId, { timestamp: Date.now() - (16 * 60 * 1000) });
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(`chats/${TOUR_ID}/messages/${staleId}`).update({
+    text: 'Too late',
+    editCount: 1,
+    editedAt: { '.sv': 'timestamp' },
+    'editHistory/v1': { text: 'Meet at the peir', replacedAt: { '.sv': 'timestamp' } },
+  }));
+
+  const editedId = 'MSG_EDIT_DELETE';
+  await seedEditableMessage(editedId, {
+    text: 'Meet at the pier',
+    editCount: 1,
+    editedAt: Date.now() - 30000,
+    editHistory: { v1: { text: 'Meet at the peir', replacedAt: Date.now() - 30000 } },
+  });
+  const editedRef = dbFor(PASSENGER_AUTH_UID).ref(`chats/${TOUR_ID}/messages/${editedId}`);
+  await assertFails(editedRef.update({
+    deleted: true,
+    text: '',
+    deletedAt: new Date().toISOString(),
+    deletedBy: PASSENGER_PRINCIPAL_ID,
+  }));
+  await assertSucceeds(editedRef.update({
+    deleted: true,
+    text: '',
+    editHistory: null,
+    deletedAt: new Date().toISOString(),
+    deletedBy: PASSENGER_PRINCIPAL_ID,
+  }));
+});
+
+test('new versioned messages cannot arrive pre-edited', async () => {
+  const messageId = 'MSG_V2_PRE_EDITED';
+  await assertFails(dbFor(PASSENGER_AUTH_UID).ref(`chats/${TOUR_ID}/messages/${messageId}`).set({
+    schemaVersion: 2,
+    senderId: PASSENGER_PRINCIPAL_ID,
+    senderStableId: PASSENGER_PRINCIPAL_ID,
+    senderName: 'Passenger One',
+    senderType: 'passenger',
+    text: 'Looks edited',
+    timestamp: { '.sv': 'timestamp' },
+    clientCreatedAt: Date.now(),
+    isDriver: false,
+    status: 'sent',
+    idempotencyKey: messageId,
+    type: 'text',
+    editCount: 1,
+    editHistory: { v1: { text: 'fabricated original', replacedAt: 1 } },
+  }));
+});
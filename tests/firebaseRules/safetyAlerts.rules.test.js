@@ -147,3 +147,36 @@ test('outsiders cannot create or update safety records', async () => {
   await assertFails(dbFor(OUTSIDER_UID).ref('globalSafetyAlerts/event-1/status').set('resolved'));
   await assertFails(dbFor(OUTSIDER_UID).ref(`logs/${PASSENGER_UID}/safety/event-1/status`).set('resolved'));
 });
+
+test('only the operations account edits the on-call roster that escalations page', async () => {
+  await assertSucceeds(dbFor(ADMIN_UID).ref(`safety_on_call/${DELEGATED_ADMIN_UID}`).set(true));
+  await assertFails(dbFor(ADMIN_UID).ref(`safety_on_call/${DELEGATED_ADMIN_UID}`).set('yes'));
+  await assertSucceeds(dbFor(DELEGATED_ADMIN_UID).ref('safety_on_call').once('value'));
+  await assertFails(dbFor(DELEGATED_ADMIN_UID).ref(`safety_on_call/${OUTSIDER_UID}`).set(true));
+  await assertFails(dbFor(PASSENGER_UID).ref('safety_on_call').once('value'));
+});
+
+test('a passenger only writes or clears their own running check-in timer', async () => {
+  const nowMs = Date.now();
+  const timer = {
+    schemaVersion: 1,
+    principalId: 'pax_v1:one',
+    startedAtMs: nowMs,
+    dueAtMs: nowMs + 60 * 60000,
+    source: 'manual',
+    passengerName: 'Ann Roe',
+    status: 'running',
+  };
+  const timerPath = `safety_check_ins/${TOUR_ID}/${PASSENGER_UID}`;
+  await assertSucceeds(dbFor(PASSENGER_UID).ref(timerPath).set(timer));
+  await assertSucceeds(dbFor(PASSENGER_UID).ref(timerPath).once('value'));
+  await assertFails(dbFor(PASSENGER_UID).ref(timerPath).set({ ...timer, status: 'raised' }));
+  await assertFails(dbFor(PASSENGER_UID).ref(timerPath).set({ ...timer, dueAtMs: nowMs + 13 * 60 * 60000 }));
+  await assertFails(dbFor(PASSENGER_UID).ref(timerPath).set({ ...timer, eventId: 'checkin_forged' }));
+  await assertFails(dbFor(OUTSIDER_UID).ref(`safety_check_ins/${TOUR_ID}/${OUTSIDER_UID}`).set(timer));
+  await assertFails(dbFor(OUTSIDER_UID).ref(timerPath).once('value'));
+  await assertFails(dbFor(PASSENGER_UID).ref(`safety_check_ins/${TOUR_ID}`).once('value'));
+  await assertSucceeds(dbFor(DELEGATED_ADMIN_UID).ref(`safety_check_ins/${TOUR_ID}`).once('value'));
+  await assertFails(dbFor(PASSENGER_UID).ref(`safety_check_in_queue/${TOUR_ID}::${PASSENGER_UID}`).set({ dueAtMs: 0 }));
+  await assertSucceeds(dbFor(PASSENGER_UID).ref(timerPath).remove());
+});
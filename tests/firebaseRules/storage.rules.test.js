@@ -128,6 +128,34 @@ test('uploads must be authenticated images with matching uploader metadata', asy
   ));
 });
 
+test('short video clips are accepted in the group album only', async () => {
+  const clipBytes = new Uint8Array([0, 0, 0, 0x18, 0x66, 0x74, 0x79, 0x70]);
+  const clipMetadata = {
+    contentType: 'video/mp4',
+    customMetadata: { authUid: OWNER_UID, visibility: 'group', sourceRole: 'source' },
+  };
+  await assertSucceeds(uploadBytes(
+    ref(storageFor(OWNER_UID), 'group_tour_photos/TOUR_1/clip.mp4'),
+    clipBytes,
+    clipMetadata,
+  ));
+  await assertFails(uploadBytes(
+    ref(storageFor(OWNER_UID), 'group_tour_photos/TOUR_1/clip.webm'),
+    clipBytes,
+    { ...clipMetadata, contentType: 'video/webm' },
+  ));
+  await assertFails(uploadBytes(
+    ref(storageFor(OWNER_UID), 'group_tour_photos/TOUR_1/viewers/clip.mp4'),
+    clipBytes,
+    clipMetadata,
+  ));
+  await assertFails(uploadBytes(
+    ref(storageFor(OWNER_UID, { privatePhotoOwnerKey: 'PASSENGER_1' }), 'private_tour_photos/TOUR_1/PASSENGER_1/clip.mp4'),
+    clipBytes,
+    { ...clipMetadata, customMetadata: { authUid: OWNER_UID, visibility: 'private', sourceRole: 'source' } },
+  ));
+});
+
 test('private photo reads require the matching stable owner claim', async () => {
   const objectPath = 'private_tour_photos/TOUR_1/PASSENGER_1/read.jpg';
   await assertSucceeds(uploadBytes(
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildBoardingPassVerification,
+  deriveBoardingPassKey,
+  issueBookingBoardingPasses,
+  resolveBoardingPassSecret,
+  signBoardingPass,
+  verifyBoardingPass,
+} = require('../functions/lib/boardingPass');
+const { parseBoardingPass, verifyBoardingPassSignature } = require('../services/boardingPassService');
+
+const SECRET = 'test-boarding-pass-secret-with-enough-entropy';
+const DEPARTURE = '2026-09-10::5001D_1';
+const ISSUED_AT = Date.UTC(2026, 8, 9, 18, 0);
+
+test('short or missing signing secrets disable issuance', () => {
+  assert.equal(resolveBoardingPassSecret(undefined), null);
+  assert.equal(resolveBoardingPassSecret('too-short'), null);
+  assert.equal(resolveBoardingPassSecret(`  ${SECRET}  `), SECRET);
+  assert.equal(signBoardingPass({ secret: null, departureKey: DEPARTURE, bookingRef: 'BR1', passengerIndex: 0 }), null);
+});
+
+test('passes carry departure, booking, passenger and seat under a per-departure signature', () => {
+  const token = signBoardingPass({
+    secret: SECRET, departureKey: DEPARTURE, bookingRef: 'br1', passengerIndex: 1, seat: '12|A', issuedAtMs: ISSUED_AT,
+  });
+  const key = deriveBoardingPassKey(SECRET, DEPARTURE);
+
+  assert.match(token, /^LLT1\|2026-09-10::5001D_1\|BR1\|1\|12A\|\d+\|[0-9a-f]{64}$/);
+  assert.deepEqual(verifyBoardingPass(token, key), {
+    departureKey: DEPARTURE, bookingRef: 'BR1', passengerIndex: 1, seat: '12A', issuedAtMs: ISSUED_AT,
+  });
+  assert.equal(verifyBoardingPass(token, deriveBoardingPassKey(SECRET, '2026-09-11::5001D_1')), null);
+  assert.equal(verifyBoardingPass(token.replace('|BR1|', '|BR2|'), key), null);
+});
+
+test('the driver app verifies server-signed passes with only the derived key', () => {
+  const [pass] = issueBookingBoardingPasses({
+    secret: SECRET, departureKey: DEPARTURE, bookingRef: 'BR1', passengerNames: ['Ada'], seatNumbers: [4], issuedAtMs: ISSUED_AT,
+  });
+  const verification = buildBoardingPassVerification({ secret: SECRET, departureKey: DEPARTURE });
+  const parsed = parseBoardingPass(pass.token);
+
+  assert.equal(verification.departureKey, DEPARTURE);
+  assert.equal(verification.key.includes(SECRET), false);
+  assert.equal(verifyBoardingPassSignature(parsed, verification.key), true);
+  assert.equal(verifyBoardingPassSignature(parseBoardingPass(pass.token.replace('|4|', '|5|')), verification.key), false);
+});
+
+test('a shared booking gets one pass per manifest passenger row', () => {
+  const passes = issueBookingBoardingPasses({
+    secret: SECRET, departureKey: DEPARTURE, bookingRef: 'BR1', passengerNames: ['Ada', 'Ben'], seatNumbers: ['1'], issuedAtMs: ISSUED_AT,
+  });
+
+  assert.deepEqual(passes.map(({ passengerIndex, passengerName, seat }) => ({ passengerIndex, passengerName, seat })), [
+    { passengerIndex: 0, passengerName: 'Ada', seat: '1' },
+    { passengerIndex: 1, passengerName: 'Ben', seat: 'TBA' },
+  ]);
+  assert.equal(buildBoardingPassVerification({ secret: SECRET, departureKey: 'not-a-departure' }), null);
+});
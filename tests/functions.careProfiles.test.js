@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  attachCareProfiles,
+  normalizeCareProfileForDriver,
+} = require('../functions/lib/careProfiles');
+
+const NOW = 1786636800000;
+
+const careProfile = (overrides = {}) => ({
+  schemaVersion: 1,
+  consent: { version: 1, grantedAtMs: NOW - 86400000 },
+  passengerName: ' Alex ',
+  mobility: { wheelchair: true, step_free_access: true, jetpack: true },
+  mobilityNotes: 'Folding chair, needs the front seat',
+  allergies: 'Peanuts',
+  medications: '',
+  emergencyContact: { name: 'Sam', phone: '+44 7700 900001' },
+  updatedAtMs: NOW,
+  ...overrides,
+});
+
+test('driver view keeps consented, known fields only', () => {
+  assert.deepEqual(normalizeCareProfileForDriver(careProfile()), {
+    passengerName: 'Alex',
+    mobility: ['wheelchair', 'step_free_access'],
+    mobilityNotes: 'Folding chair, needs the front seat',
+    allergies: 'Peanuts',
+    medications: null,
+    emergencyContact: { name: 'Sam', phone: '+44 7700 900001' },
+    updatedAtMs: NOW,
+  });
+  assert.equal(normalizeCareProfileForDriver(careProfile({ consent: null })), null);
+  assert.equal(normalizeCareProfileForDriver(careProfile({ consent: { version: 2, grantedAtMs: NOW } })), null);
+  assert.equal(normalizeCareProfileForDriver({
+    ...careProfile(),
+    mobility: {},
+    mobilityNotes: ' ',
+    allergies: null,
+    emergencyContact: { name: 'Sam' },
+  }), null);
+});
+
+test('care profiles attach to the booking each participant travels on', () => {
+  const bookings = [{ id: 'ABC123', passengerNames: ['Alex'] }, { id: 'DEF456', passengerNames: ['Jo'] }];
+  const attached = attachCareProfiles(bookings, [
+    { bookingRef: 'ABC123', record: careProfile() },
+    { bookingRef: 'ABC123', record: careProfile({ passengerName: 'Robin', mobility: null, allergies: 'Shellfish' }) },
+    { bookingRef: 'DEF456', record: careProfile({ consent: null }) },
+    { bookingRef: '', record: careProfile() },
+  ]);
+
+  assert.deepEqual(attached[0].careProfiles.map((profile) => profile.passengerName), ['Alex', 'Robin']);
+  assert.deepEqual(attached[0].careProfiles[1].mobility, []);
+  assert.equal(attached[1], bookings[1]);
+  assert.equal(attachCareProfiles(bookings, []), bookings);
+});
@@ -32,6 +32,22 @@ test('captionless photo notifications use a useful passenger-facing preview', ()
   });
 });
 
+test('driver poll messages notify with a poll preview', () => {
+  assert.equal(__testables.validateMessageData({
+    senderId: 'driver:BONDY',
+    senderName: 'Driver Bondy',
+    text: 'Lunch stop?',
+    type: 'poll',
+  }).valid, true);
+  assert.deepEqual(__testables.buildChatNotificationContent({
+    tourName: 'Highland Explorer',
+    messageData: { senderName: 'Driver Bondy', type: 'poll', text: 'Lunch stop?' },
+  }), {
+    title: 'New message in Highland Explorer',
+    body: 'Driver Bondy: 📊 Poll: Lunch stop?',
+  });
+});
+
 test('chat sender delivery resolution recognizes passengers and coherently assigned drivers', async () => {
   const passengerIds = await __testables.resolveChatSenderDeliveryIds({
     tourId: 'TOUR_1',
@@ -75,3 +91,54 @@ test('internal driver chat push navigation opens the internal chat and exact mes
     timestamp: 123,
   });
 });
+
+test('reports keep a copy of the reported chat version that survives the delete tombstone', async () => {
+  const values = {
+    'content_reports/report_1': {
+      reportId: 'report_1', contentType: 'chat_message', chatScope: 'group',
+      tourId: 'TOUR_1', contentId: 'msg_1', contentVersion: 1,
+    },
+    'content_reports/report_2': {
+      reportId: 'report_2', contentType: 'chat_message', chatScope: 'group', tourId: 'TOUR_1', contentId: 'msg_1',
+    },
+    'chats/TOUR_1/messages/msg_1': {
+      text: 'Meet at the pier', editCount: 1, editHistory: { v1: { text: 'Meet at the peir', replacedAt: 1 } },
+    },
+  };
+  const db = {
+    ref: (path) => ({
+      once: async () => ({ val: () => values[path] ?? null }),
+      transaction: async (updater) => {
+        assert.equal(updater(null), null);
+        const next = updater(values[path] ?? null);
+        if (next === undefined) return { committed: false, snapshot: { val: () => values[path] ?? null } };
+        values[path] = next;
+        return { committed: true, snapshot: { val: () => next } };
+      },
+    }),
+  };
+
+  assert.deepEqual(await __testables.captureReportedChatMessage({ db, reportId: 'report_1', nowMs: 500 }), {
+    version: 1, text: 'Meet at the peir', capturedAtMs: 500,
+  });
+  assert.equal((await __testables.captureReportedChatMessage({ db, reportId: 'report_2', nowMs: 500 })).text, 'Meet at the pier');
+  // A rerun keeps the first copy.
+  values['chats/TOUR_1/messages/msg_1'] = { ...values['chats/TOUR_1/messages/msg_1'], text: 'Changed' };
+  assert.equal(await __testables.captureReportedChatMessage({ db, reportId: 'report_2', nowMs: 600 }), null);
+  assert.equal(values['content_reports/report_2'].reportedMessage.text, 'Meet at the pier');
+
+  values['chats/TOUR_1/messages/msg_1'] = { text: '', deleted: true };
+  values['content_reports/report_3'] = { ...values['content_reports/report_1'], reportId: 'report_3' };
+  delete values['content_reports/report_3'].reportedMessage;
+  assert.equal(await __testables.captureReportedChatMessage({ db, reportId: 'report_3' }), null);
+  assert.equal(await __testables.captureReportedChatMessage({ db, reportId: 'report_missing' }), null);
+});
+
+test('reported chat version text comes from history or the current text only', () => {
+  const message = { text: 'v3', editCount: 2, editHistory: { v1: { text: 'v1' }, v2: { text: 'v2' } } };
+  assert.deepEqual(__testables.resolveChatMessageVersionText(message, 2), { version: 2, text: 'v2' });
+  assert.deepEqual(__testables.resolveChatMessageVersionText(message, 3), { version: 3, text: 'v3' });
+  assert.deepEqual(__testables.resolveChatMessageVersionText(message, null), { version: 3, text: 'v3' });
+  assert.equal(__testables.resolveChatMessageVersionText(message, 4), null);
+  assert.equal(__testables.resolveChatMessageVersionText({ ...message, deleted: true }, 2), null);
+});
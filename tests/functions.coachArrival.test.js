@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  COACH_ARRIVAL_LIMITS,
+  buildCoachArrivalMessage,
+  claimCoachArrivalNotification,
+  collectPickupBookingRefs,
+  normalizeLiveDriverFix,
+  resolveCoachArrivalDepartureKey,
+  resolveCoachArrivalRadiusMeters,
+  selectArrivingPickup,
+  selectPickupRecipientIds,
+} = require('../functions/lib/coachArrivalNotification');
+
+const NOW = Date.UTC(2026, 8, 10, 7, 40);
+const liveRecord = (overrides = {}) => ({
+  schemaVersion: 1,
+  isSharing: true,
+  mode: 'live',
+  source: 'auto',
+  latitude: 55.8670,
+  longitude: -4.2514,
+  accuracy: 20,
+  timestamp: NOW - 30 * 1000,
+  ...overrides,
+});
+const pack = {
+  departureKey: '2026-09-10::5001D_1',
+  tourId: '5001D_1',
+  status: 'active',
+  pickups: {
+    buchanan: { pickupId: 'buchanan', dateISO: '2026-09-10', name: 'Buchanan Bus Station', sequence: 0, latitude: 55.8652, longitude: -4.2514 },
+    balloch: { pickupId: 'balloch', dateISO: '2026-09-10', name: 'Balloch Station', sequence: 1, latitude: 56.0029, longitude: -4.5832 },
+    unlocated: { pickupId: 'unlocated', dateISO: '2026-09-10', name: 'Hotel Door', sequence: 2 },
+  },
+  passengers: {
+    pax_1: { passengerKey: 'pax_1', bookingRef: 'br1', pickupId: 'buchanan' },
+    pax_2: { passengerKey: 'pax_2', bookingRef: 'BR1', pickupId: 'buchanan' },
+    pax_3: { passengerKey: 'pax_3', bookingRef: 'BR2', pickupId: 'balloch' },
+  },
+};
+
+test('only fresh accurate automatic live points are treated as the coach position', () => {
+  assert.deepEqual(normalizeLiveDriverFix(liveRecord(), NOW), { latitude: 55.867, longitude: -4.2514, timestampMs: NOW - 30 * 1000 });
+  assert.equal(normalizeLiveDriverFix(liveRecord({ mode: 'pickup', source: 'manual' }), NOW), null);
+  assert.equal(normalizeLiveDriverFix(liveRecord({ timestamp: NOW - COACH_ARRIVAL_LIMITS.maxFixAgeMs - 1 }), NOW), null);
+  assert.equal(normalizeLiveDriverFix(liveRecord({ accuracy: 900 }), NOW), null);
+  assert.equal(normalizeLiveDriverFix(liveRecord({ isSharing: false }), NOW), null);
+  assert.equal(normalizeLiveDriverFix(null, NOW), null);
+});
+
+test('radius configuration is bounded and departure identity comes from the tour start date', () => {
+  assert.equal(resolveCoachArrivalRadiusMeters(undefined), COACH_ARRIVAL_LIMITS.defaultRadiusMeters);
+  assert.equal(resolveCoachArrivalRadiusMeters('400'), 400);
+  assert.equal(resolveCoachArrivalRadiusMeters('20'), COACH_ARRIVAL_LIMITS.defaultRadiusMeters);
+  assert.equal(resolveCoachArrivalDepartureKey('5001D_1', '10/09/2026'), '2026-09-10::5001D_1');
+  assert.equal(resolveCoachArrivalDepartureKey('5001D_1', '31/02/2026'), null);
+});
+
+test('the nearest same-day located pickup inside the radius is selected once', () => {
+  const fix = normalizeLiveDriverFix(liveRecord(), NOW);
+  const selected = selectArrivingPickup({ pack, fix, radiusMeters: 800 });
+  assert.equal(selected.pickup.pickupId, 'buchanan');
+  assert.ok(selected.distanceMeters < 800);
+
+  assert.equal(selectArrivingPickup({ pack, fix, radiusMeters: 800, notifiedPickupIds: { buchanan: { status: 'delivered' } } }), null);
+  assert.equal(selectArrivingPickup({ pack, fix, radiusMeters: 150 }), null);
+  assert.equal(selectArrivingPickup({ pack: { ...pack, status: 'withdrawn' }, fix, radiusMeters: 800 }), null);
+  const nextDay = normalizeLiveDriverFix(liveRecord({ timestamp: NOW + 24 * 60 * 60 * 1000 - 1000 }), NOW + 24 * 60 * 60 * 1000);
+  assert.equal(selectArrivingPickup({ pack, fix: nextDay, radiusMeters: 800 }), null);
+});
+
+test('recipients are narrowed to signed-in passengers booked at the arriving pickup', () => {
+  const bookingRefs = collectPickupBookingRefs(pack, 'buchanan');
+  assert.deepEqual(bookingRefs, ['BR1']);
+  assert.deepEqual(selectPickupRecipientIds({
+    participantIds: ['uid-a', 'uid-b', 'uid-c', 'uid-d'],
+    usersMap: {
+      'uid-a': { bookingRef: 'br1' },
+      'uid-b': { bookingRef: 'BR2' },
+      'uid-c': { driverId: 'D-1' },
+    },
+    bookingRefs,
+  }), ['uid-a']);
+});
+
+test('notification copy names the pickup without passenger details', () => {
+  const message = buildCoachArrivalMessage(pack.pickups.buchanan);
+  assert.match(message.body, /approaching Buchanan Bus Station/);
+  assert.match(buildCoachArrivalMessage({}).body, /approaching your pickup point/);
+});
+
+test('the per-pickup claim commits once and aborts for later location writes', async () => {
+  const store = {};
+  const database = {
+    ref: (path) => ({
+      transaction: async (update) => {
+        const next = update(store[path] ?? null);
+        if (next === undefined) return { committed: false };
+        store[path] = next;
+        return { committed: true };
+      },
+    }),
+  };
+  const args = { database, departureKey: pack.departureKey, pickupId: 'buchanan', claim: { status: 'processing' } };
+  assert.equal(await claimCoachArrivalNotification(args), true);
+  assert.equal(await claimCoachArrivalNotification(args), false);
+  assert.deepEqual(Object.keys(store), ['coach_arrival_notifications/2026-09-10::5001D_1/buchanan']);
+});
@@ -0,0 +1,278 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.FIREBASE_CONFIG = JSON.stringify({
+  projectId: 'demo-llt-live-share',
+  storageBucket: 'demo-llt-live-share.appspot.com',
+});
+
+const { __testables } = require('../functions/index.js');
+const {
+  LIVE_LOCATION_SHARE_RETENTION_MS,
+  normalizeSharedCoachLocation,
+  normalizeSharedPassengerLocation,
+  planLiveLocationShareView,
+  summarizeViewerDevice,
+} = require('../functions/lib/liveLocationShare');
+
+const NOW = 1786636800000;
+const IPHONE_SAFARI = 'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1';
+
+// Leaf-path map standing in for the Realtime Database. Objects are stored as
+// their leaves, so child updates and parent reads see the same data.
+const createDb = (initial = {}) => {
+  const values = {};
+  let pushCount = 0;
+  const read = (refPath) => {
+    if (values[refPath] !== undefined) return values[refPath];
+    const prefix = `${refPath}/`;
+    const children = Object.keys(values).filter((key) => key.startsWith(prefix));
+    if (children.length === 0) return null;
+    const nested = {};
+    for (const key of children) {
+      const parts = key.slice(prefix.length).split('/');
+      let node = nested;
+      parts.slice(0, -1).forEach((part) => { node = node[part] = node[part] || {}; });
+      node[parts[parts.length - 1]] = values[key];
+    }
+    return nested;
+  };
+  const setLeaves = (refPath, value) => {
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => setLeaves(`${refPath}/${key}`, child));
+    } else if (value !== null && value !== undefined) {
+      values[refPath] = value;
+    }
+  };
+  const write = (refPath, value) => {
+    Object.keys(values).filter((key) => key === refPath || key.startsWith(`${refPath}/`)).forEach((key) => delete values[key]);
+    setLeaves(refPath, value);
+  };
+  const ref = (refPath = '') => ({
+    once: async () => ({ exists: () => read(refPath) !== null, val: () => read(refPath) }),
+    push: () => ({ key: `share_${++pushCount}` }),
+    update: async (payload) => {
+      for (const [key, value] of Object.entries(payload)) write(refPath ? `${refPath}/${key}` : key, value);
+    },
+    transaction: async (updater) => {
+      // First pass mimics the empty local cache, the second the stored value.
+      updater(null);
+      const next = updater(read(refPath));
+      if (next === undefined) return { committed: false, snapshot: { val: () => read(refPath) } };
+      write(refPath, next);
+      return { committed: true, snapshot: { val: () => next } };
+    },
+  });
+  Object.entries(initial).forEach(([refPath, value]) => setLeaves(refPath, value));
+  return { values, read, ref };
+};
+
+const seededDb = () => createDb({
+  'tours/TOUR_1/name': 'Highlands Explorer',
+  'tours/TOUR_1/participants/passenger-auth': { joinedAt: NOW - 86400000 },
+  'tours/TOUR_1/liveTracking/passenger-auth': {
+    schemaVersion: 2,
+    isSharing: true,
+    coords: { latitude: 56.01, longitude: -4.6, accuracy: 12.4 },
+    lastUpdate: NOW - 30000,
+    userId: 'passenger-auth',
+  },
+  'tours/TOUR_1/driverLocation': {
+    schemaVersion: 1,
+    isSharing: true,
+    mode: 'live',
+    source: 'auto',
+    latitude: 56.02,
+    longitude: -4.61,
+    timestamp: NOW - 60000,
+  },
+});
+
+const createShare = (db, overrides = {}) => __testables.createLiveLocationShare({
+  db,
+  authUid: 'passenger-auth',
+  tourId: 'TOUR_1',
+  durationMinutes: 60,
+  displayName: 'Alex',
+  nowMs: NOW,
+  ...overrides,
+});
+
+const view = (db, { shareId, token }, overrides = {}) => __testables.viewLiveLocationShare({
+  db,
+  shareId,
+  token,
+  clientKey: '203.0.113.7',
+  userAgent: IPHONE_SAFARI,
+  nowMs: NOW + 60000,
+  ...overrides,
+});
+
+test('only tour participants can create a share, and only a few at once', async () => {
+  const db = seededDb();
+  assert.deepEqual(await createShare(db, { authUid: 'stranger-auth' }), { success: false, status: 403, reason: 'NOT_A_PARTICIPANT' });
+
+  const created = await createShare(db);
+  assert.equal(created.success, true);
+  assert.equal(created.expiresAtMs, NOW + 60 * 60000);
+  assert.equal(created.shareUrl, `https://loch-lomond-travel-admin.web.app/share/live#${created.shareId}.${created.token}`);
+  const stored = db.read(`live_location_shares/${created.shareId}`);
+  assert.equal(stored.authUid, 'passenger-auth');
+  assert.match(stored.tokenHash, /^[0-9a-f]{64}$/);
+  assert.notEqual(stored.tokenHash, created.token);
+  assert.deepEqual(db.read(`live_location_share_owners/passenger-auth/${created.shareId}`), {
+    tourId: 'TOUR_1',
+    createdAtMs: NOW,
+    expiresAtMs: NOW + 60 * 60000,
+    openCount: 0,
+  });
+
+  // Unknown durations fall back to the default of four hours.
+  assert.equal((await createShare(db, { durationMinutes: 5 })).expiresAtMs, NOW + 240 * 60000);
+  await createShare(db);
+  assert.deepEqual(await createShare(db), { success: false, status: 409, reason: 'TOO_MANY_SHARES' });
+});
+
+test('a share shows the passenger and the coach and records who opened it', async () => {
+  const db = seededDb();
+  const created = await createShare(db);
+
+  const viewed = await view(db, created);
+  assert.deepEqual(viewed, {
+    success: true,
+    share: {
+      displayName: 'Alex',
+      tourName: 'Highlands Explorer',
+      expiresAtMs: created.expiresAtMs,
+      passenger: { latitude: 56.01, longitude: -4.6, accuracyMeters: 12, updatedAtMs: NOW - 30000 },
+      coach: { latitude: 56.02, longitude: -4.61, updatedAtMs: NOW - 60000 },
+      checkedAtMs: NOW + 60000,
+    },
+  });
+
+  // Polls from the open page do not count as new opens; a later visit does.
+  await view(db, created, { nowMs: NOW + 90000 });
+  await view(db, created, { nowMs: NOW + 40 * 60000 });
+  await view(db, created, { nowMs: NOW + 41 * 60000, clientKey: '198.51.100.2', userAgent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/130.0 Safari/537.36' });
+
+  const owner = db.read(`live_location_share_owners/passenger-auth/${created.shareId}`);
+  assert.equal(owner.openCount, 3);
+  assert.equal(owner.lastOpenedAtMs, NOW + 41 * 60000);
+  const viewers = Object.values(owner.viewers).sort((a, b) => a.firstOpenedAtMs - b.firstOpenedAtMs);
+  assert.deepEqual(viewers.map(({ device, openCount }) => [device, openCount]), [
+    ['Safari on iPhone', 2],
+    ['Chrome on Windows', 1],
+  ]);
+  assert.doesNotMatch(JSON.stringify(owner.viewers), /203\.0\.113\.7/);
+});
+
+test('wrong, revoked and expired links show nothing', async () => {
+  const db = seededDb();
+  const created = await createShare(db);
+
+  assert.deepEqual(await view(db, { shareId: created.shareId, token: 'f'.repeat(64) }), { success: false, status: 404, reason: 'NOT_FOUND' });
+  assert.deepEqual(await view(db, created, { nowMs: created.expiresAtMs }), { success: false, status: 410, reason: 'LINK_EXPIRED' });
+
+  assert.deepEqual(
+    await __testables.revokeLiveLocationShare({ db, authUid: 'other-auth', shareId: created.shareId, nowMs: NOW }),
+    { success: false, status: 404, reason: 'NOT_FOUND' },
+  );
+  assert.deepEqual(
+    await __testables.revokeLiveLocationShare({ db, authUid: 'passenger-auth', shareId: created.shareId, nowMs: NOW + 1000 }),
+    { success: true, revokedAtMs: NOW + 1000 },
+  );
+  assert.equal(db.read(`live_location_share_owners/passenger-auth/${created.shareId}/revokedAtMs`), NOW + 1000);
+  assert.deepEqual(await view(db, created), { success: false, status: 410, reason: 'LINK_REVOKED' });
+
+  // Deleting the owner copy, as account deletion does, also stops the link.
+  const second = await createShare(db);
+  await db.ref().update({ 'live_location_share_owners/passenger-auth': null });
+  assert.deepEqual(await view(db, second), { success: false, status: 410, reason: 'LINK_REVOKED' });
+  assert.equal(db.read('live_location_share_owners/passenger-auth'), null);
+});
+
+test('a view racing a revoke or deletion never brings the owner copy back', async () => {
+  const db = seededDb();
+  const revoked = await createShare(db);
+  const deleted = await createShare(db);
+  const ownerPath = (shareId) => `live_location_share_owners/passenger-auth/${shareId}`;
+  const baseRef = db.ref;
+  // The share copy still looks live when read; the owner copy changes just
+  // before the audit transaction runs.
+  const racing = {
+    ref: (refPath) => {
+      const ref = baseRef(refPath);
+      return {
+        ...ref,
+        transaction: async (updater) => {
+          if (refPath === ownerPath(revoked.shareId)) await baseRef(refPath).update({ revokedAtMs: NOW + 1000 });
+          if (refPath === ownerPath(deleted.shareId)) await baseRef(refPath).transaction(() => null);
+          return ref.transaction(updater);
+        },
+      };
+    },
+  };
+
+  assert.deepEqual(await view(racing, revoked), { success: false, status: 410, reason: 'LINK_REVOKED' });
+  assert.equal(db.read(`${ownerPath(revoked.shareId)}/viewers`), null);
+  assert.equal(db.read(`${ownerPath(revoked.shareId)}/openCount`), 0);
+
+  assert.deepEqual(await view(racing, deleted), { success: false, status: 410, reason: 'LINK_REVOKED' });
+  assert.equal(db.read(ownerPath(deleted.shareId)), null);
+});
+
+test('stale or manual positions are shown as unavailable', () => {
+  const live = { isSharing: true, coords: { latitude: 56, longitude: -4 }, lastUpdate: NOW - 60000 };
+  assert.equal(normalizeSharedPassengerLocation(live, NOW).accuracyMeters, null);
+  assert.equal(normalizeSharedPassengerLocation({ ...live, lastUpdate: NOW - 11 * 60000 }, NOW), null);
+  assert.equal(normalizeSharedPassengerLocation({ ...live, isSharing: false }, NOW), null);
+
+  const coach = { schemaVersion: 1, isSharing: true, mode: 'live', latitude: 56, longitude: -4, timestamp: NOW - 60000 };
+  assert.deepEqual(normalizeSharedCoachLocation(coach, NOW), { latitude: 56, longitude: -4, updatedAtMs: NOW - 60000 });
+  assert.equal(normalizeSharedCoachLocation({ ...coach, mode: 'pickup' }, NOW), null);
+  assert.equal(normalizeSharedCoachLocation({ ...coach, timestamp: NOW - 11 * 60000 }, NOW), null);
+});
+
+test('viewer audit entries describe the device and count opens after a gap', () => {
+  assert.equal(summarizeViewerDevice(IPHONE_SAFARI), 'Safari on iPhone');
+  assert.equal(summarizeViewerDevice('Mozilla/5.0 (Linux; Android 14) Chrome/130.0 Mobile Safari/537.36'), 'Chrome on Android');
+  assert.equal(summarizeViewerDevice(''), 'Unknown browser');
+
+  const first = planLiveLocationShareView({ current: null, device: 'Safari on iPhone', nowMs: NOW });
+  assert.deepEqual(first, {
+    newOpen: true,
+    entry: { device: 'Safari on iPhone', firstOpenedAtMs: NOW, lastOpenedAtMs: NOW, lastSeenAtMs: NOW, openCount: 1 },
+  });
+  const poll = planLiveLocationShareView({ current: first.entry, device: 'Safari on iPhone', nowMs: NOW + 30000 });
+  assert.equal(poll.newOpen, false);
+  assert.equal(poll.entry.openCount, 1);
+  assert.equal(poll.entry.lastSeenAtMs, NOW + 30000);
+});
+
+test('shares are removed once expired for the retention period', async () => {
+  const removed = [];
+  const db = {
+    ref: (refPath = '') => ({
+      orderByChild: () => ({
+        endAt: (endAtMs) => ({
+          limitToFirst: () => ({
+            once: async () => ({
+              val: () => (endAtMs === NOW - LIVE_LOCATION_SHARE_RETENTION_MS
+                ? { share_1: { authUid: 'passenger-auth', expiresAtMs: endAtMs - 1 } }
+                : {}),
+            }),
+          }),
+        }),
+      }),
+      update: async (payload) => removed.push({ refPath, payload }),
+    }),
+  };
+  assert.deepEqual(await __testables.cleanupExpiredLiveLocationShares({ db, nowMs: NOW }), { removedCount: 1, hasMore: false });
+  assert.deepEqual(removed, [{
+    refPath: '',
+    payload: {
+      'live_location_shares/share_1': null,
+      'live_location_share_owners/passenger-auth/share_1': null,
+    },
+  }]);
+});
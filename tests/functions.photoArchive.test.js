@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const { PassThrough } = require('node:stream');
+
+const {
+  PHOTO_ARCHIVE_MAX_PHOTOS,
+  crc32,
+  createDownloadToken,
+  createZipWriter,
+  downloadTokenMatches,
+  planPhotoArchive,
+} = require('../functions/lib/photoArchive');
+
+process.env.FIREBASE_CONFIG = JSON.stringify({ storageBucket: 'demo-bucket.appspot.com' });
+const originalLoad = Module._load;
+Module._load = function mockedLoad(request, parent, isMain) {
+  if (request === 'sharp') return () => ({});
+  return originalLoad.apply(this, arguments);
+};
+const { __testables } = require('../functions/index.js');
+Module._load = originalLoad;
+
+const TOUR_ID = 'TOUR_1';
+const AUTH_UID = 'uid-1';
+const OWNER_KEY = 'pax_v1_BOOKING_ada';
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+// Reads a stored-only zip back through its central directory.
+const readZip = (buffer) => {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let cursor = buffer.readUInt32LE(endOffset + 16);
+  const files = [];
+  for (let index = 0; index < count; index += 1) {
+    assert.equal(buffer.readUInt32LE(cursor), 0x02014B50);
+    const crc = buffer.readUInt32LE(cursor + 16);
+    const size = buffer.readUInt32LE(cursor + 20);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const localOffset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.subarray(cursor + 46, cursor + 46 + nameLength).toString('utf8');
+    assert.equal(buffer.readUInt32LE(localOffset), 0x04034B50);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(data), crc);
+    files.push({ name, data: data.toString('utf8') });
+    cursor += 46 + nameLength;
+  }
+  return files;
+};
+
+const createMemoryDatabase = (initial = {}) => {
+  const root = JSON.parse(JSON.stringify(initial));
+  const split = (path) => String(path || '').split('/').filter(Boolean);
+  const get = (path) => split(path).reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), root) ?? null;
+  const set = (path, value) => {
+    const keys = split(path);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+      return node[key];
+    }, root);
+    if (value === null || value === undefined) delete parent[last];
+    else parent[last] = JSON.parse(JSON.stringify(value));
+  };
+  const snapshot = (value) => ({ val: () => value, exists: () => value !== null });
+  let pushCount = 0;
+  const ref = (path = '') => ({
+    child: (childPath) => ref(`${path}/${childPath}`),
+    once: async () => snapshot(get(path)),
+    set: async (value) => set(path, value),
+    remove: async () => set(path, null),
+    update: async (values) => Object.entries(values).forEach(([key, value]) => set(`${path}/${key}`, value)),
+    push: () => ({ key: `job_${++pushCount}` }),
+    transaction: async (update) => {
+      const next = update(get(path));
+      if (next === undefined) return { committed: false, snapshot: snapshot(get(path)) };
+      set(path, next);
+      return { committed: true, snapshot: snapshot(get(path)) };
+    },
+    orderByChild: (field) => ({
+      endAt: (max) => ({
+        limitToFirst: (limit) => ({
+          once: async () => snapshot(Object.fromEntries(Object.entries(get(path) || {})
+            .filter(([, value]) => Number(value?.[field]) <= max)
+            .slice(0, limit))),
+        }),
+      }),
+    }),
+  });
+  return { ref, get };
+};
+
+const createBucket = (objects = {}) => {
+  const saved = {};
+  const deleted = [];
+  const bucket = {
+    file: (name) => ({
+      download: async () => {
+        if (!(name in objects)) throw new Error('No such object');
+        return [Buffer.from(objects[name])];
+      },
+      createWriteStream: () => {
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('end', () => { saved[name] = Buffer.concat(chunks); });
+        stream.resume();
+        return stream;
+      },
+      delete: async () => { deleted.push(name); },
+      getSignedUrl: async ({ expires }) => [`https://signed.invalid/${name}?expires=${expires}`],
+    }),
+  };
+  return { bucket, saved, deleted };
+};
+
+test('the zip writer stores files with valid CRCs and a central directory', async () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+  const chunks = [];
+  const zip = createZipWriter(async (chunk) => { chunks.push(chunk); });
+  await zip.addFile('My photos/first.jpg', Buffer.from('first'), { modifiedAtMs: NOW });
+  await zip.addFile('Group album/Loch Ness – day 2.jpg', Buffer.from('second'));
+  const { byteSize, fileCount } = await zip.finish();
+  const buffer = Buffer.concat(chunks);
+
+  assert.equal(fileCount, 2);
+  assert.equal(byteSize, buffer.length);
+  assert.deepEqual(readZip(buffer), [
+    { name: 'My photos/first.jpg', data: 'first' },
+    { name: 'Group album/Loch Ness – day 2.jpg', data: 'second' },
+  ]);
+});
+
+test('the archive plan takes only originals from the passenger albums', () => {
+  const plan = planPhotoArchive({
+    tourId: TOUR_ID,
+    ownerKey: OWNER_KEY,
+    privatePhotos: {
+      p1: { storagePath: `private_tour_photos/${TOUR_ID}/${OWNER_KEY}/p1.PNG`, timestamp: NOW },
+      viewer: { storagePath: `private_tour_photos/${TOUR_ID}/${OWNER_KEY}/viewers/p1_viewer.jpg`, timestamp: NOW },
+      foreign: { storagePath: `private_tour_photos/${TOUR_ID}/someone_else/p9.jpg`, timestamp: NOW },
+    },
+    groupPhotos: {
+      g1: { storagePath: `group_tour_photos/${TOUR_ID}/g1.jpg`, userId: 'mine', timestamp: NOW - 1000 },
+      g2: { storagePath: `group_tour_photos/${TOUR_ID}/g2.jpg`, userId: 'theirs', timestamp: NOW },
+      g3: { storagePath: `group_tour_photos/${TOUR_ID}/../g3.jpg`, userId: 'mine', timestamp: NOW },
+    },
+    ownsGroupPhoto: (photo) => photo.userId === 'mine',
+  });
+
+  assert.deepEqual(plan.entries.map(({ source, photoId, name }) => [source, photoId, name]), [
+    ['group', 'g1', 'Group album/2026-10-19_11-59-59_g1.jpg'],
+    ['private', 'p1', 'My photos/2026-10-19_12-00-00_p1.png'],
+  ]);
+  assert.equal(plan.omittedCount, 0);
+
+  const withoutOwnerKey = planPhotoArchive({
+    tourId: TOUR_ID,
+    privatePhotos: { p1: { storagePath: `private_tour_photos/${TOUR_ID}/${OWNER_KEY}/p1.jpg` } },
+  });
+  assert.deepEqual(withoutOwnerKey.entries, []);
+
+  const many = Object.fromEntries(Array.from({ length: PHOTO_ARCHIVE_MAX_PHOTOS + 2 }, (_, index) => [
+    `p${index}`,
+    { storagePath: `private_tour_photos/${TOUR_ID}/${OWNER_KEY}/p${index}.jpg`, timestamp: index },
+  ]));
+  assert.equal(planPhotoArchive({ tourId: TOUR_ID, ownerKey: OWNER_KEY, privatePhotos: many }).omittedCount, 2);
+});
+
+test('download tokens are random and only their hash is compared', () => {
+  const first = createDownloadToken();
+  const second = createDownloadToken();
+  assert.notEqual(first.token, second.token);
+  assert.notEqual(first.token, first.tokenHash);
+  assert.equal(downloadTokenMatches(first.token, first.tokenHash), true);
+  assert.equal(downloadTokenMatches(second.token, first.tokenHash), false);
+  assert.equal(downloadTokenMatches('not-a-token', first.tokenHash), false);
+});
+
+const queuedJob = (overrides = {}) => ({
+  photo_archive_jobs: {
+    [AUTH_UID]: { job_1: { tourId: TOUR_ID, status: 'queued', progress: { processed: 0, total: 0 }, createdAtMs: NOW } },
+  },
+  photo_archive_downloads: {
+    job_1: { authUid: AUTH_UID, ownerKey: OWNER_KEY, tokenHash: 'f'.repeat(64), expiresAtMs: NOW + 1000 },
+  },
+  users: { [AUTH_UID]: { stablePassengerId: 'pax-ada' } },
+  identity_bindings: { 'legacy-ada': { [AUTH_UID]: true } },
+  private_tour_photos: {
+    [TOUR_ID]: {
+      [OWNER_KEY]: {
+        p1: { storagePath: `private_tour_photos/${TOUR_ID}/${OWNER_KEY}/p1.jpg`, timestamp: NOW },
+        gone: { storagePath: `private_tour_photos/${TOUR_ID}/${OWNER_KEY}/gone.jpg`, timestamp: NOW + 1 },
+      },
+    },
+  },
+  group_tour_photos: {
+    [TOUR_ID]: {
+      g1: { storagePath: `group_tour_photos/${TOUR_ID}/g1.jpg`, userId: 'pax-ada', timestamp: NOW - 2 },
+      g2: { storagePath: `group_tour_photos/${TOUR_ID}/g2.jpg`, userId: 'legacy-ada', timestamp: NOW - 1 },
+      g3: { storagePath: `group_tour_photos/${TOUR_ID}/g3.jpg`, userId: 'someone-else', timestamp: NOW },
+    },
+  },
+  ...overrides,
+});
+
+test('an archive job zips owned originals, skips missing files and reports progress', async () => {
+  const db = createMemoryDatabase(queuedJob());
+  const { bucket, saved } = createBucket({
+    [`private_tour_photos/${TOUR_ID}/${OWNER_KEY}/p1.jpg`]: 'private-1',
+    [`group_tour_photos/${TOUR_ID}/g1.jpg`]: 'group-1',
+    [`group_tour_photos/${TOUR_ID}/g2.jpg`]: 'group-2',
+    [`group_tour_photos/${TOUR_ID}/g3.jpg`]: 'not-mine',
+  });
+
+  const result = await __testables.buildPhotoArchiveJob({ db, bucket, authUid: AUTH_UID, jobId: 'job_1', now: () => NOW });
+
+  assert.equal(result.status, 'ready');
+  const job = db.get(`photo_archive_jobs/${AUTH_UID}/job_1`);
+  assert.equal(job.status, 'ready');
+  assert.deepEqual(job.progress, { processed: 4, total: 4 });
+  assert.equal(job.photoCount, 3);
+  assert.equal(job.skippedCount, 1);
+  assert.equal(job.expiresAtMs, NOW + 24 * 60 * 60 * 1000);
+  assert.equal(db.get('photo_archive_downloads/job_1/storagePath'), `photo_archives/${AUTH_UID}/job_1.zip`);
+
+  const archive = saved[`photo_archives/${AUTH_UID}/job_1.zip`];
+  assert.equal(job.byteSize, archive.length);
+  assert.deepEqual(readZip(archive).map((file) => file.data), ['group-1', 'group-2', 'private-1']);
+
+  const rerun = await __testables.buildPhotoArchiveJob({ db, bucket, authUid: AUTH_UID, jobId: 'job_1', now: () => NOW });
+  assert.equal(rerun.status, 'skipped');
+});
+
+test('an archive job with nothing to export fails with a reason', async () => {
+  const db = createMemoryDatabase(queuedJob({ private_tour_photos: {}, group_tour_photos: {} }));
+  const { bucket } = createBucket();
+
+  const result = await __testables.buildPhotoArchiveJob({ db, bucket, authUid: AUTH_UID, jobId: 'job_1', now: () => NOW });
+
+  assert.deepEqual(result, { status: 'failed', reason: 'NO_PHOTOS' });
+  assert.equal(db.get(`photo_archive_jobs/${AUTH_UID}/job_1/reason`), 'NO_PHOTOS');
+});
+
+test('a download link works once and only with its own token', async () => {
+  const { token, tokenHash } = createDownloadToken();
+  const db = createMemoryDatabase({
+    photo_archive_jobs: { [AUTH_UID]: { job_1: { status: 'ready' }, job_2: { status: 'building' } } },
+    photo_archive_downloads: {
+      job_1: { authUid: AUTH_UID, tokenHash, storagePath: `photo_archives/${AUTH_UID}/job_1.zip`, expiresAtMs: NOW + 1000 },
+      job_2: { authUid: AUTH_UID, tokenHash, expiresAtMs: NOW + 1000 },
+    },
+  });
+  const { bucket } = createBucket();
+  const redeem = (jobId, candidate, now = NOW) => __testables.redeemPhotoArchiveDownload({ db, bucket, jobId, token: candidate, now });
+
+  assert.deepEqual(await redeem('job_1', createDownloadToken().token), { status: 'INVALID_LINK' });
+  assert.deepEqual(await redeem('job_2', token), { status: 'NOT_READY' });
+  assert.deepEqual(await redeem('job_1', token, NOW + 5000), { status: 'EXPIRED' });
+  assert.deepEqual(await redeem('missing', token), { status: 'INVALID_LINK' });
+
+  const first = await redeem('job_1', token);
+  assert.equal(first.status, 'OK');
+  assert.match(first.url, /^https:\/\/signed\.invalid\/photo_archives\/uid-1\/job_1\.zip/);
+  assert.equal(db.get(`photo_archive_jobs/${AUTH_UID}/job_1/status`), 'downloaded');
+  assert.equal(db.get('photo_archive_downloads/job_1/consumedAtMs'), NOW);
+  assert.deepEqual(await redeem('job_1', token), { status: 'ALREADY_USED' });
+});
+
+test('cleanup removes expired archives and marks unfinished jobs expired', async () => {
+  const db = createMemoryDatabase({
+    photo_archive_jobs: { [AUTH_UID]: { old: { status: 'ready' }, used: { status: 'downloaded' }, fresh: { status: 'ready' } } },
+    photo_archive_downloads: {
+      old: { authUid: AUTH_UID, expiresAtMs: NOW - 1 },
+      used: { authUid: AUTH_UID, expiresAtMs: NOW - 1, consumedAtMs: NOW - 100 },
+      fresh: { authUid: AUTH_UID, expiresAtMs: NOW + 1 },
+    },
+  });
+  const { bucket, deleted } = createBucket();
+
+  const result = await __testables.cleanupExpiredPhotoArchives({ db, bucket, now: NOW });
+
+  assert.deepEqual(result, { deletedCount: 2, hasMore: false });
+  assert.deepEqual(deleted.sort(), [`photo_archives/${AUTH_UID}/old.zip`, `photo_archives/${AUTH_UID}/used.zip`]);
+  assert.equal(db.get(`photo_archive_jobs/${AUTH_UID}/old/status`), 'expired');
+  assert.equal(db.get(`photo_archive_jobs/${AUTH_UID}/used/status`), 'downloaded');
+  assert.deepEqual(Object.keys(db.get('photo_archive_downloads')), ['fresh']);
+});
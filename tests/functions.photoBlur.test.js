@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('../functions/node_modules/sharp');
+const { blurPhotoRegions, normalizeBlurRegions } = require('../functions/lib/photoBlur');
+
+// A 200x100 checkerboard: every 2x2 block mixes black and white pixels.
+const createCheckerboard = () => {
+  const width = 200;
+  const height = 100;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      pixels.fill((x + y) % 2 === 0 ? 0 : 255, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+};
+
+const channelSpread = async (buffer, region) => {
+  // stats() reads its input, so the crop has to be rendered first.
+  const crop = await sharp(buffer).extract(region).greyscale().png().toBuffer();
+  const stats = await sharp(crop).stats();
+  return stats.channels[0].stdev;
+};
+
+test('blurPhotoRegions flattens detail inside the regions and leaves the rest alone', async () => {
+  const source = await createCheckerboard();
+  const blurred = await blurPhotoRegions(source, [{ x: 0, y: 0, width: 0.5, height: 1 }], { sharpFn: sharp });
+
+  const metadata = await sharp(blurred).metadata();
+  assert.equal(metadata.format, 'jpeg');
+  assert.equal(metadata.width, 200);
+  assert.equal(metadata.height, 100);
+  assert.ok(await channelSpread(blurred, { left: 10, top: 10, width: 80, height: 80 }) < 5);
+  assert.ok(await channelSpread(blurred, { left: 110, top: 10, width: 80, height: 80 }) > 60);
+});
+
+test('blurPhotoRegions refuses requests without a usable region', async () => {
+  const source = await createCheckerboard();
+  await assert.rejects(
+    blurPhotoRegions(source, [{ x: 0.2, y: 0.2, width: 0.001, height: 0.5 }], { sharpFn: sharp }),
+    /At least one blur region is required/,
+  );
+  const [clamped] = normalizeBlurRegions([{ x: 0.9, y: 0.5, width: 0.4, height: 0.2 }]);
+  assert.ok(Math.abs(clamped.x + clamped.width - 1) < 1e-9);
+});
@@ -0,0 +1,62 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.FIREBASE_CONFIG = JSON.stringify({
+  projectId: 'demo-llt-photo-likes',
+  storageBucket: 'demo-llt-photo-likes.appspot.com',
+});
+
+const { __testables } = require('../functions/index.js');
+const { buildUpdates, parseArgs } = require('../functions/scripts/backfillPhotoLikeCounts');
+const { derivePhotoLikeCountUpdate } = require('../functions/lib/photoLikes');
+
+const createDb = (values) => ({
+  values,
+  ref: (refPath) => ({
+    transaction: async (updater) => {
+      // First pass mimics the empty local cache, the second the stored value.
+      updater(null);
+      const next = updater(values[refPath] ?? null);
+      if (next === undefined) return { committed: false, snapshot: { val: () => values[refPath] ?? null } };
+      if (next === null) delete values[refPath];
+      else values[refPath] = next;
+      return { committed: true, snapshot: { val: () => next } };
+    },
+  }),
+});
+
+test('likeCount counts only true hearts and is left alone when it already matches', () => {
+  assert.deepEqual(derivePhotoLikeCountUpdate({ likes: { a: true, b: true, c: 'yes' } }), { likeCount: 2 });
+  assert.deepEqual(derivePhotoLikeCountUpdate({ likeCount: 3 }), { likeCount: 0 });
+  assert.equal(derivePhotoLikeCountUpdate({ likes: { a: true }, likeCount: 1 }), null);
+  assert.equal(derivePhotoLikeCountUpdate({ userId: 'u1' }), null);
+  assert.equal(derivePhotoLikeCountUpdate(null), null);
+});
+
+test('a like change recounts the photo and never recreates a deleted one', async () => {
+  const db = createDb({
+    'group_tour_photos/TOUR_1/photo_1': { userId: 'u1', likes: { a: true, b: true }, likeCount: 1 },
+  });
+
+  assert.equal(await __testables.syncPhotoLikeCount({ db, tourId: 'TOUR_1', photoId: 'photo_1' }), 2);
+  assert.equal(db.values['group_tour_photos/TOUR_1/photo_1'].likeCount, 2);
+  assert.equal(await __testables.syncPhotoLikeCount({ db, tourId: 'TOUR_1', photoId: 'photo_1' }), null);
+
+  assert.equal(await __testables.syncPhotoLikeCount({ db, tourId: 'TOUR_1', photoId: 'photo_gone' }), null);
+  assert.equal('group_tour_photos/TOUR_1/photo_gone' in db.values, false);
+});
+
+test('the like count backfill is dry-run by default and writes only stale counts', () => {
+  assert.deepEqual(parseArgs([]), { apply: false, allowFullScan: false, limit: 500 });
+  assert.deepEqual(parseArgs(['--apply', '--allow-full-scan', '--limit=10']), { apply: true, allowFullScan: true, limit: 10 });
+
+  const { updates, summary } = buildUpdates({
+    TOUR_1: {
+      liked: { likes: { a: true, b: true } },
+      counted: { likes: { a: true }, likeCount: 1 },
+      unliked: { userId: 'u1' },
+    },
+  }, 500);
+  assert.deepEqual(updates, { 'group_tour_photos/TOUR_1/liked/likeCount': 2 });
+  assert.deepEqual(summary, { scanned: 3, counted: 1, unchanged: 2, capped: false });
+});
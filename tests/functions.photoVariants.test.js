@@ -3,22 +3,38 @@ const assert = require('node:assert/strict');
 const Module = require('node:module');
 
 process.env.FIREBASE_CONFIG = JSON.stringify({ storageBucket: 'demo-bucket.appspot.com' });
+// Raw greyscale samples: a 9x8 hash sample that falls left to right, and a
+// 4x4 quality sample with one bright pixel.
+const createSharpPipeline = () => {
+  const state = { raw: false, hashSample: false };
+  const pipeline = {
+    rotate: () => pipeline,
+    removeAlpha: () => pipeline,
+    toColourspace: () => pipeline,
+    jpeg: () => pipeline,
+    resize: (width) => { state.hashSample = width === 9; return pipeline; },
+    raw: () => { state.raw = true; return pipeline; },
+    toBuffer: async (options) => {
+      if (!state.raw) return Buffer.from([]);
+      if (state.hashSample) return Buffer.from(Array.from({ length: 72 }, (_, index) => 200 - (index % 9) * 10));
+      const data = Buffer.alloc(16);
+      data[5] = 80;
+      return options?.resolveWithObject ? { data, info: { width: 4, height: 4, channels: 1 } } : data;
+    },
+  };
+  return pipeline;
+};
+
 const originalLoad = Module._load;
 Module._load = function mockedLoad(request, parent, isMain) {
   if (request === 'sharp') {
-    return () => ({
-      rotate: () => ({
-        resize: () => ({
-          jpeg: () => ({
-            toBuffer: async () => Buffer.from([]),
-          }),
-        }),
-      }),
-    });
+    return () => createSharpPipeline();
   }
   return originalLoad.apply(this, arguments);
 };
 const { __testables } = require('../functions/index.js');
+const { computeDifferenceHash, computeSharpnessScore } = require('../functions/lib/photoQuality.js');
+const { extractVideoPosterFrame, resolvePosterOffsetSeconds } = require('../functions/lib/videoPoster.js');
 const { buildBookingRepairPlan } = require('../functions/scripts/repairDuplicateManifestPassengers.js');
 Module._load = originalLoad;
 
@@ -283,6 +299,38 @@ test('buildTourManifestPayload assembles normalized bookings and live passenger
   assert.equal(manifest.stats.noShows, 1);
 });
 
+test('buildTourManifestPayload adds consented care profiles to the participant booking', async () => {
+  const consent = { version: 1, grantedAtMs: 1000 };
+  const db = createMockRealtimeDb({
+    tours: {
+      '5112D_8': { tourCode: '5112D 8', participants: { 'uid-1': true, 'uid-2': true, 'uid-3': true } },
+    },
+    users: {
+      'uid-1': { bookingRef: 'abc123' },
+      'uid-2': { bookingRef: 'ABC123' },
+      'uid-3': { bookingRef: 'BY_TOUR_ID' },
+    },
+    care_profiles: {
+      'uid-1': { schemaVersion: 1, consent, mobility: { wheelchair: true }, updatedAtMs: 2000 },
+      'uid-2': { schemaVersion: 1, consent, allergies: 'Peanuts', updatedAtMs: 2000 },
+      'uid-3': { schemaVersion: 1, allergies: 'No consent recorded', updatedAtMs: 2000 },
+    },
+    bookings: {
+      ABC123: { tourId: '5112D_8', passengerNames: ['Alex', 'Sam'] },
+      BY_TOUR_ID: { tourId: '5112D_8', passengerNames: ['Jamie'] },
+    },
+  });
+
+  const manifest = await __testables.buildTourManifestPayload({ tourId: '5112D_8', db });
+
+  const booking = manifest.bookings.find((item) => item.id === 'ABC123');
+  assert.deepEqual(booking.careProfiles.map((profile) => [profile.mobility, profile.allergies]), [
+    [['wheelchair'], null],
+    [[], 'Peanuts'],
+  ]);
+  assert.equal('careProfiles' in manifest.bookings.find((item) => item.id === 'BY_TOUR_ID'), false);
+});
+
 test('buildTourManifestPayload removes sync duplicates by passenger and seat identity', async () => {
   const duplicatedDetails = [
     { name: 'Ms Patricia Saunders', seatNo: 13, seatLabel: 'S13', pickupDate: '20/08/2026' },
@@ -967,6 +1015,137 @@ test('generatePhotoVariantsForRecord writes ready variant fields', async () => {
   assert.equal(typeof saveMetadataByPath['group_tour_photos/tour-1/thumbnails/source_thumb.jpg'].firebaseStorageDownloadTokens, 'string');
   assert.equal(saveMetadataByPath['group_tour_photos/tour-1/viewers/source_viewer.jpg'].authUid, 'auth-1');
   assert.equal(saveMetadataByPath['group_tour_photos/tour-1/thumbnails/source_thumb.jpg'].authUid, 'auth-1');
+  assert.equal(updates[0].payload.perceptualHash, 'ffffffffffffffff');
+  assert.equal(typeof updates[0].payload.sharpnessScore, 'number');
+  assert.equal(updates[0].payload.qualityVersion, 1);
+});
+
+test('photo quality maths yields a stable dHash and rewards crisp edges', () => {
+  const gradient = Array.from({ length: 72 }, (_, index) => (index % 9) * 10);
+  assert.equal(computeDifferenceHash(gradient), '0000000000000000');
+  assert.equal(computeDifferenceHash(gradient.map((value) => 255 - value)), 'ffffffffffffffff');
+  assert.throws(() => computeDifferenceHash([1, 2, 3]), /9x8/);
+
+  const size = 8;
+  const flat = new Array(size * size).fill(120);
+  const checkerboard = flat.map((_, index) => (((index % size) + Math.floor(index / size)) % 2 ? 255 : 0));
+  const softEdge = flat.map((_, index) => (index % size) * 4);
+  assert.equal(computeSharpnessScore(flat, size, size), 0);
+  assert.ok(computeSharpnessScore(checkerboard, size, size) > computeSharpnessScore(softEdge, size, size));
+  assert.throws(() => computeSharpnessScore([1, 2], 2, 1), /3x3/);
+});
+
+test('generatePhotoVariantsForRecord can fill quality fields without touching variants', async () => {
+  const updates = [];
+  const downloads = [];
+  const storageBucket = {
+    file: (path) => ({
+      download: async () => { downloads.push(path); return [Buffer.from('source')]; },
+      save: async () => { throw new Error('variants must not be rewritten'); },
+    }),
+  };
+  const dbRoot = { child: (photoId) => ({ update: async (payload) => updates.push({ photoId, payload }) }) };
+  const result = await __testables.generatePhotoVariantsForRecord({
+    bucketName: 'demo-bucket.appspot.com',
+    visibility: 'group',
+    tourId: 'tour-1',
+    photoId: 'photo-1',
+    qualityOnly: true,
+    storageBucket,
+    dbRoot,
+    photoRecord: { storagePath: 'group_tour_photos/tour-1/source.jpg', variantStatus: 'ready' },
+  });
+
+  assert.deepEqual(result, { status: 'ready', photoId: 'photo-1', qualityOnly: true });
+  assert.deepEqual(downloads, ['group_tour_photos/tour-1/source.jpg']);
+  assert.deepEqual(Object.keys(updates[0].payload).sort(), ['perceptualHash', 'qualityVersion', 'sharpnessScore']);
+});
+
+test('video clips get poster-frame variants and skip quality analysis', async () => {
+  const posterRequests = [];
+  const savedPaths = [];
+  const updates = [];
+  const storageBucket = {
+    file: (path) => ({
+      download: async () => { throw new Error('the clip is read by the poster extractor'); },
+      getMetadata: async () => [{ metadata: { authUid: 'auth-1' } }],
+      save: async () => { savedPaths.push(path); },
+    }),
+  };
+  const dbRoot = { child: (photoId) => ({ update: async (payload) => updates.push({ photoId, payload }) }) };
+  const base = {
+    bucketName: 'demo-bucket.appspot.com',
+    visibility: 'group',
+    tourId: 'tour-1',
+    photoId: 'clip-1',
+    storageBucket,
+    dbRoot,
+    photoRecord: { storagePath: 'group_tour_photos/tour-1/clip.mov', mediaType: 'video', durationMs: 1200 },
+    extractVideoPoster: async ({ durationMs }) => {
+      posterRequests.push(durationMs);
+      return Buffer.from('poster');
+    },
+  };
+
+  const result = await __testables.generatePhotoVariantsForRecord(base);
+
+  assert.equal(result.status, 'ready');
+  assert.deepEqual(posterRequests, [1200]);
+  assert.deepEqual(savedPaths, [
+    'group_tour_photos/tour-1/viewers/clip_viewer.jpg',
+    'group_tour_photos/tour-1/thumbnails/clip_thumb.jpg',
+  ]);
+  assert.equal(updates[0].payload.variantStatus, 'ready');
+  assert.ok(!('perceptualHash' in updates[0].payload));
+
+  const qualityOnly = await __testables.generatePhotoVariantsForRecord({ ...base, qualityOnly: true });
+  assert.deepEqual(qualityOnly, { status: 'skipped', photoId: 'clip-1', qualityOnly: true, reason: 'video-clip' });
+});
+
+test('extractVideoPosterFrame seeks into the clip and removes its scratch copy', async () => {
+  const { EventEmitter } = require('node:events');
+  const fs = require('node:fs');
+  const os = require('node:os');
+  const path = require('node:path');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poster-test-'));
+  let downloadedTo = null;
+  let spawnedArgs = null;
+  const fakeSpawn = (_binary, args) => {
+    spawnedArgs = args;
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = () => {};
+    setImmediate(() => {
+      child.stdout.emit('data', Buffer.from('jpeg-bytes'));
+      child.emit('close', 0);
+    });
+    return child;
+  };
+
+  try {
+    const poster = await extractVideoPosterFrame({
+      sourceFile: {
+        download: async ({ destination }) => {
+          downloadedTo = destination;
+          fs.writeFileSync(destination, 'clip');
+        },
+      },
+      durationMs: 800,
+      ffmpegPath: '/bin/ffmpeg',
+      spawnFn: fakeSpawn,
+      tmpDir,
+    });
+
+    assert.equal(poster.toString(), 'jpeg-bytes');
+    assert.equal(spawnedArgs[spawnedArgs.indexOf('-ss') + 1], '0.400');
+    assert.equal(spawnedArgs[spawnedArgs.indexOf('-i') + 1], downloadedTo);
+    assert.equal(fs.existsSync(downloadedTo), false);
+    assert.equal(resolvePosterOffsetSeconds(12000), '1.000');
+    assert.equal(resolvePosterOffsetSeconds(null), '1.000');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
 });
 
 test('private variant generation revokes source tokens and creates path-only tokenless variants', async () => {
@@ -1282,6 +1461,102 @@ test('reported photo cleanup resolves source and generated variant storage objec
   ].sort());
 });
 
+test('blurReportedPhotoRecord swaps in a blurred copy and deletes the unblurred objects', async () => {
+  const sourcePath = 'group_tour_photos/TOUR_1/holiday.jpg';
+  const saved = {};
+  const deleted = [];
+  const bucket = {
+    name: 'demo-bucket.appspot.com',
+    file: (path) => ({
+      download: async () => [Buffer.from(`bytes:${path}`)],
+      getMetadata: async () => [{ metadata: { authUid: 'auth-owner' } }],
+      save: async (buffer, options) => { saved[path] = { buffer, metadata: options.metadata }; },
+      delete: async () => { deleted.push(path); },
+    }),
+    getFiles: async () => [[]],
+  };
+  const rootUpdates = [];
+  const db = {
+    ref: (path) => ({
+      once: async () => ({ val: () => (path === 'group_tour_photos/TOUR_1/photo_1' ? {
+        storagePath: sourcePath,
+        viewerStoragePath: 'group_tour_photos/TOUR_1/viewers/holiday_viewer.jpg',
+        thumbnailStoragePath: 'group_tour_photos/TOUR_1/thumbnails/holiday_thumb.jpg',
+      } : null) }),
+      update: async (payload) => rootUpdates.push({ path, payload }),
+    }),
+  };
+  const blurCalls = [];
+  let variantRequest = null;
+
+  const result = await __testables.blurReportedPhotoRecord({
+    reportId: 'report_1',
+    report: { contentType: 'group_photo', tourId: 'TOUR_1', contentId: 'photo_1' },
+    regions: [{ x: 0.4, y: 0.2, width: 0.15, height: 0.2 }, { x: 'bad' }],
+    db,
+    bucket,
+    nowMs: 1781090000000,
+    blurPhoto: async (buffer, regions) => {
+      blurCalls.push({ buffer: buffer.toString(), regions });
+      return Buffer.from('blurred');
+    },
+    generateVariants: async (params) => {
+      variantRequest = params;
+      return {
+        status: 'ready',
+        viewerPath: 'group_tour_photos/TOUR_1/viewers/photo_1_blurred_1781090000000_viewer.jpg',
+        thumbnailPath: 'group_tour_photos/TOUR_1/thumbnails/photo_1_blurred_1781090000000_thumb.jpg',
+      };
+    },
+  });
+
+  const blurredPath = 'group_tour_photos/TOUR_1/photo_1_blurred_1781090000000.jpg';
+  assert.deepEqual(blurCalls, [{ buffer: `bytes:${sourcePath}`, regions: [{ x: 0.4, y: 0.2, width: 0.15, height: 0.2 }] }]);
+  assert.equal(saved[blurredPath].buffer.toString(), 'blurred');
+  assert.equal(saved[blurredPath].metadata.metadata.authUid, 'auth-owner');
+  assert.equal(variantRequest.photoRecord.storagePath, blurredPath);
+
+  const finalUpdate = rootUpdates.find((update) => update.path === undefined).payload;
+  assert.equal(finalUpdate['group_tour_photos/TOUR_1/photo_1/storagePath'], blurredPath);
+  assert.match(finalUpdate['group_tour_photos/TOUR_1/photo_1/sourceUrl'], /photo_1_blurred_1781090000000\.jpg\?alt=media&token=/);
+  assert.equal(finalUpdate['content_reports/report_1/status'], 'actioned');
+  assert.equal(finalUpdate['content_reports/report_1/moderationAction'], 'photo_blurred');
+  assert.deepEqual(deleted.sort(), [
+    sourcePath,
+    'group_tour_photos/TOUR_1/thumbnails/holiday_thumb.jpg',
+    'group_tour_photos/TOUR_1/viewers/holiday_viewer.jpg',
+  ].sort());
+  assert.equal(result.regionCount, 1);
+});
+
+test('blurReportedPhotoRecord refuses clips and requests without usable regions', async () => {
+  const db = {
+    ref: () => ({
+      once: async () => ({ val: () => ({ storagePath: 'group_tour_photos/TOUR_1/clip.mp4', mediaType: 'video' }) }),
+    }),
+  };
+  const report = { contentType: 'group_photo', tourId: 'TOUR_1', contentId: 'clip_1' };
+
+  await assert.rejects(
+    __testables.blurReportedPhotoRecord({ reportId: 'report_2', report, regions: [{ x: 0, y: 0, width: 0.5, height: 0.5 }], db, bucket: {} }),
+    (error) => error.code === 'UNSUPPORTED_CONTENT',
+  );
+  await assert.rejects(
+    __testables.blurReportedPhotoRecord({ reportId: 'report_2', report, regions: [], db, bucket: {} }),
+    (error) => error.code === 'INVALID_REGIONS',
+  );
+  await assert.rejects(
+    __testables.blurReportedPhotoRecord({
+      reportId: 'report_3',
+      report: { ...report, contentType: 'chat_message' },
+      regions: [{ x: 0, y: 0, width: 0.5, height: 0.5 }],
+      db,
+      bucket: {},
+    }),
+    (error) => error.code === 'UNSUPPORTED_CONTENT',
+  );
+});
+
 test('broadcast delivery status distinguishes accepted, partial, failed, and empty fanout', () => {
   assert.equal(__testables.resolveBroadcastDeliveryStatus({ recipientCount: 0 }), 'no_recipients');
   assert.equal(__testables.resolveBroadcastDeliveryStatus({ recipientCount: 2, successCount: 2 }), 'delivered');
@@ -0,0 +1,322 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const {
+  buildPhotobookPdf,
+  buildPhotobookStoragePath,
+  collectExcludedPhotoIds,
+  isPhotobookAvailable,
+  planPhotobook,
+  readJpegDimensions,
+  toPdfString,
+  wrapText,
+} = require('../functions/lib/photobookPdf');
+
+process.env.FIREBASE_CONFIG = JSON.stringify({ storageBucket: 'demo-bucket.appspot.com' });
+const originalLoad = Module._load;
+Module._load = function mockedLoad(request, parent, isMain) {
+  if (request === 'sharp') return () => ({});
+  return originalLoad.apply(this, arguments);
+};
+const { __testables } = require('../functions/index.js');
+Module._load = originalLoad;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 4, 4);
+const TOUR_ID = 'TOUR_1';
+
+// Smallest JPEG header the parser needs: SOI, an APP0 segment and a SOF0 frame.
+const fakeJpeg = (width, height) => {
+  const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00]);
+  const sof0 = Buffer.alloc(19);
+  sof0.writeUInt16BE(0xFFC0, 0);
+  sof0.writeUInt16BE(17, 2);
+  sof0[4] = 8;
+  sof0.writeUInt16BE(height, 5);
+  sof0.writeUInt16BE(width, 7);
+  sof0[9] = 3;
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, sof0, Buffer.from([0xFF, 0xD9])]);
+};
+
+const viewerPath = (photoId) => `group_tour_photos/${TOUR_ID}/viewers/${photoId}_viewer.jpg`;
+
+const tour = {
+  name: 'Highlands Explorer',
+  startDate: '04/05/2026',
+  endDate: '06/05/2026',
+  startDateEpochMs: START,
+  endDateEpochMs: START + 2 * DAY_MS,
+  itinerary: {
+    days: [
+      { day: 1, content: '- Depart Glasgow\nLuss' },
+      { day: 2, title: 'Glencoe and Fort William', content: 'Glencoe' },
+      { day: 3, content: '' },
+    ],
+  },
+};
+
+test('photobook opens only after the final tour day has ended', () => {
+  const endDateEpochMs = START + 2 * DAY_MS;
+  assert.equal(isPhotobookAvailable({ endDateEpochMs, now: endDateEpochMs + 12 * 60 * 60 * 1000 }), false);
+  assert.equal(isPhotobookAvailable({ endDateEpochMs, now: endDateEpochMs + DAY_MS }), true);
+  assert.equal(isPhotobookAvailable({ endDateEpochMs: null, now: endDateEpochMs + 10 * DAY_MS }), false);
+});
+
+test('reported group photos stay out unless the report was dismissed or answered with a blurred copy', () => {
+  const excluded = collectExcludedPhotoIds({
+    tourId: TOUR_ID,
+    reports: {
+      r1: { tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p-open', status: 'open' },
+      r2: { tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p-actioned', status: 'actioned' },
+      r3: { tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p-dismissed', status: 'dismissed' },
+      r4: { tourId: TOUR_ID, contentType: 'chat_message', contentId: 'm1', status: 'open' },
+      r5: { tourId: 'OTHER', contentType: 'group_photo', contentId: 'p-other', status: 'open' },
+      r6: {
+        tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p-blurred', reason: 'face_blur',
+        status: 'actioned', moderationAction: 'photo_blurred',
+      },
+      r7: { tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p-blur-pending', reason: 'face_blur', status: 'reviewing' },
+      r8: { tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p-blurred-and-reported', status: 'actioned', moderationAction: 'photo_blurred' },
+      r9: { tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p-blurred-and-reported', reason: 'harassment', status: 'open' },
+    },
+  });
+  assert.deepEqual([...excluded].sort(), ['p-actioned', 'p-blur-pending', 'p-blurred-and-reported', 'p-open']);
+});
+
+test('planPhotobook groups viewer variants by tour day with itinerary titles and captions', () => {
+  const plan = planPhotobook({
+    tourId: TOUR_ID,
+    tour,
+    excludedPhotoIds: new Set(['reported']),
+    photos: {
+      a: { timestamp: START + 10 * 60 * 60 * 1000, caption: '  Loch   Lomond ', viewerStoragePath: viewerPath('a') },
+      b: { timestamp: START + DAY_MS + 3600000, viewerStoragePath: viewerPath('b') },
+      tagged: {
+        timestamp: START + DAY_MS + 7200000,
+        itineraryStop: { dayNumber: 1, stopId: 'luss', label: 'Luss' },
+        viewerStoragePath: viewerPath('tagged'),
+      },
+      early: { timestamp: START - DAY_MS, viewerStoragePath: viewerPath('early') },
+      late: { timestamp: START + 5 * DAY_MS, viewerStoragePath: viewerPath('late') },
+      reported: { timestamp: START + 3600000, viewerStoragePath: viewerPath('reported') },
+      processing: { timestamp: START + 3600000, variantStatus: 'processing' },
+      clip: { timestamp: START + 3600000, mediaType: 'video', viewerStoragePath: viewerPath('clip') },
+      foreign: { timestamp: START + 3600000, viewerStoragePath: 'group_tour_photos/OTHER/viewers/x.jpg' },
+    },
+  });
+
+  assert.equal(plan.title, 'Highlands Explorer');
+  assert.equal(plan.subtitle, '04/05/2026 - 06/05/2026');
+  assert.equal(plan.photoCount, 5);
+  assert.deepEqual(plan.sections.map(({ key, label, title }) => [key, label, title]), [
+    ['before', 'Before the tour', ''],
+    ['day-1', 'Day 1', 'Depart Glasgow'],
+    ['day-2', 'Day 2', 'Glencoe and Fort William'],
+    ['after', 'After the tour', ''],
+  ]);
+  assert.deepEqual(plan.sections[1].photos.map((photo) => [photo.id, photo.caption]), [['a', 'Loch Lomond'], ['tagged', '']]);
+  assert.match(buildPhotobookStoragePath({ tourId: TOUR_ID, fingerprint: plan.fingerprint }), /^photobooks\/TOUR_1\/v1_[0-9a-f]{32}\.pdf$/);
+
+  const recaptioned = planPhotobook({
+    tourId: TOUR_ID,
+    tour,
+    photos: { a: { timestamp: START, caption: 'New caption', viewerStoragePath: viewerPath('a') } },
+  });
+  const original = planPhotobook({
+    tourId: TOUR_ID,
+    tour,
+    photos: { a: { timestamp: START, caption: 'Old caption', viewerStoragePath: viewerPath('a') } },
+  });
+  assert.notEqual(recaptioned.fingerprint, original.fingerprint);
+});
+
+test('PDF text helpers escape delimiters, map WinAnsi characters and wrap captions', () => {
+  assert.equal(toPdfString('Loch (Lomond) \\ “day” — fun…'), '(Loch \\(Lomond\\) \\\\ "day" - fun...)');
+  assert.equal(toPdfString('Café 🚌'), '(Café ?)');
+  const lines = wrapText('word '.repeat(80), 200, 10);
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /\.\.\.$/);
+  assert.deepEqual(readJpegDimensions(fakeJpeg(1600, 1067)), { width: 1600, height: 1067, components: 3 });
+  assert.equal(readJpegDimensions(Buffer.from('not a jpeg')), null);
+});
+
+test('buildPhotobookPdf writes a cover and two photos per page with a valid xref table', async () => {
+  const plan = planPhotobook({
+    tourId: TOUR_ID,
+    tour,
+    photos: Object.fromEntries(['p1', 'p2', 'p3', 'broken'].map((photoId, index) => [photoId, {
+      timestamp: START + index * 60000,
+      caption: `Caption ${photoId}`,
+      viewerStoragePath: viewerPath(photoId),
+    }])),
+  });
+  const loaded = [];
+  const { pdf, pageCount, printedPhotoCount } = await buildPhotobookPdf({
+    plan,
+    generatedAtMs: START + 10 * DAY_MS,
+    loadImage: async (photo) => {
+      loaded.push(photo.viewerStoragePath);
+      return photo.id === 'broken' ? Buffer.from('not a jpeg') : fakeJpeg(1600, 1200);
+    },
+  });
+
+  const text = pdf.toString('latin1');
+  assert.equal(loaded.length, 4);
+  assert.equal(printedPhotoCount, 3);
+  assert.equal(pageCount, 3);
+  assert.match(text, /^%PDF-1\.4/);
+  assert.match(text, /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 3/);
+  assert.equal((text.match(/\/Subtype \/Image/g) || []).length, 3);
+  assert.match(text, /\(Day 1 - Depart Glasgow\) Tj/);
+  assert.match(text, /\(Caption p3\) Tj/);
+  assert.doesNotMatch(text, /Caption broken/);
+
+  const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+  assert.equal(text.slice(startxref, startxref + 4), 'xref');
+  const offsets = text.slice(startxref).split('\n').slice(3).filter((line) => / 00000 n $/.test(line));
+  offsets.forEach((line, index) => {
+    const offset = Number(line.slice(0, 10));
+    assert.equal(text.slice(offset, offset + `${index + 1} 0 obj`.length), `${index + 1} 0 obj`);
+  });
+});
+
+// `existing` maps each stored file to its creation time in ms.
+const createPhotobookStorage = ({ existing = {}, nowMs = Date.now() } = {}) => {
+  const files = new Map(Object.entries(existing).map(([name, createdAtMs]) => [name, {
+    buffer: Buffer.from('old'),
+    metadata: { timeCreated: new Date(createdAtMs).toISOString(), metageneration: '1', metadata: {} },
+  }]));
+  const calls = { saved: [], deleted: [], signed: [], downloads: [], stamped: [] };
+  const bucket = {
+    file: (name) => ({
+      name,
+      exists: async () => [files.has(name)],
+      download: async () => {
+        calls.downloads.push(name);
+        return [fakeJpeg(800, 600)];
+      },
+      save: async (buffer, options) => {
+        files.set(name, {
+          buffer,
+          metadata: { timeCreated: new Date(nowMs).toISOString(), metageneration: '1', metadata: options.metadata.metadata },
+        });
+        calls.saved.push({ name, options });
+      },
+      setMetadata: async ({ metadata }) => {
+        const stored = files.get(name);
+        if (!stored) throw Object.assign(new Error('No such object'), { code: 404 });
+        stored.metadata = {
+          ...stored.metadata,
+          metageneration: String(Number(stored.metadata.metageneration) + 1),
+          metadata: { ...stored.metadata.metadata, ...metadata },
+        };
+        calls.stamped.push({ name, metadata });
+      },
+      getSignedUrl: async (options) => {
+        calls.signed.push({ name, options });
+        return [`https://signed.invalid/${name}`];
+      },
+    }),
+    getFiles: async ({ prefix }) => [[...files.entries()]
+      .filter(([name]) => name.startsWith(prefix))
+      .map(([name, stored]) => ({
+        name,
+        metadata: stored.metadata,
+        delete: async (options = {}) => {
+          if (options.ifMetagenerationMatch !== files.get(name)?.metadata.metageneration) {
+            throw Object.assign(new Error('Precondition failed'), { code: 412 });
+          }
+          files.delete(name);
+          calls.deleted.push(name);
+        },
+      }))],
+  };
+  return { bucket, calls, files };
+};
+
+const createPhotobookDb = ({ photos, reports = {} }) => ({
+  ref: (path) => ({
+    once: async () => ({ val: () => photos }),
+    orderByChild: (child) => ({
+      equalTo: (value) => ({
+        once: async () => {
+          assert.equal(path, 'content_reports');
+          assert.equal(child, 'tourId');
+          assert.equal(value, TOUR_ID);
+          return { val: () => reports };
+        },
+      }),
+    }),
+  }),
+});
+
+test('resolveTourPhotobook builds once, replaces older versions and reuses the stored PDF', async () => {
+  const photos = { p1: { timestamp: START, caption: 'Luss', viewerStoragePath: viewerPath('p1') } };
+  const now = START + 10 * DAY_MS;
+  const { bucket, calls, files } = createPhotobookStorage({
+    existing: { 'photobooks/TOUR_1/v1_stale.pdf': now - 3 * DAY_MS },
+    nowMs: now,
+  });
+  const db = createPhotobookDb({ photos });
+
+  const first = await __testables.resolveTourPhotobook({ db, bucket, tourId: TOUR_ID, tour, now });
+  assert.equal(first.status, 'ready');
+  assert.equal(first.generated, true);
+  assert.equal(first.expiresAtMs, now + DAY_MS);
+  assert.equal(calls.saved.length, 1);
+  assert.equal(calls.saved[0].options.contentType, 'application/pdf');
+  assert.equal(calls.saved[0].options.metadata.metadata.linkExpiresAtMs, String(now + DAY_MS));
+  assert.deepEqual(calls.deleted, ['photobooks/TOUR_1/v1_stale.pdf']);
+  assert.deepEqual([...files.keys()], [calls.saved[0].name]);
+  assert.deepEqual(calls.downloads, [viewerPath('p1')]);
+  assert.equal(calls.signed[0].options.action, 'read');
+
+  const second = await __testables.resolveTourPhotobook({ db, bucket, tourId: TOUR_ID, tour, now: now + 1000 });
+  assert.equal(second.generated, false);
+  assert.equal(calls.saved.length, 1);
+  assert.equal(second.url, first.url);
+  assert.deepEqual(calls.stamped, [{ name: calls.saved[0].name, metadata: { linkExpiresAtMs: String(now + 1000 + DAY_MS) } }]);
+});
+
+test('resolveTourPhotobook keeps other versions while links to them may still be used', async () => {
+  const now = START + 10 * DAY_MS;
+  const concurrent = 'photobooks/TOUR_1/v1_concurrent.pdf';
+  const relinked = 'photobooks/TOUR_1/v1_relinked.pdf';
+  const { bucket, calls, files } = createPhotobookStorage({
+    existing: { [concurrent]: now - 60 * 1000, [relinked]: now - 3 * DAY_MS },
+    nowMs: now,
+  });
+  // An older version whose link was handed out an hour ago.
+  files.get(relinked).metadata.metadata.linkExpiresAtMs = String(now - 60 * 60 * 1000 + DAY_MS);
+  const db = createPhotobookDb({ photos: { p1: { timestamp: START, viewerStoragePath: viewerPath('p1') } } });
+
+  await __testables.resolveTourPhotobook({ db, bucket, tourId: TOUR_ID, tour, now });
+  assert.deepEqual(calls.deleted, []);
+  assert.equal(files.has(concurrent), true);
+  assert.equal(files.has(relinked), true);
+
+  // Once every link has expired the old versions go, unless one was re-linked after being listed.
+  const later = now + 3 * DAY_MS;
+  const listFiles = bucket.getFiles;
+  bucket.getFiles = async (options) => {
+    const listed = await listFiles(options);
+    await bucket.file(concurrent).setMetadata({ metadata: { linkExpiresAtMs: String(later + DAY_MS) } });
+    return listed;
+  };
+  await __testables.resolveTourPhotobook({ db, bucket, tourId: TOUR_ID, tour, now: later });
+  assert.equal(files.has(concurrent), true);
+  assert.deepEqual(calls.deleted, [relinked]);
+});
+
+test('resolveTourPhotobook reports an empty album when every photo was reported', async () => {
+  const { bucket, calls } = createPhotobookStorage();
+  const db = createPhotobookDb({
+    photos: { p1: { timestamp: START, viewerStoragePath: viewerPath('p1') } },
+    reports: { r1: { tourId: TOUR_ID, contentType: 'group_photo', contentId: 'p1', status: 'reviewing' } },
+  });
+
+  const result = await __testables.resolveTourPhotobook({ db, bucket, tourId: TOUR_ID, tour });
+  assert.deepEqual(result, { status: 'empty' });
+  assert.equal(calls.saved.length, 0);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildRollCallParticipantBookings,
+  buildRollCallReturnedParticipants,
+  collectRollCallBookingRefs,
+} = require('../functions/lib/rollCall');
+
+const rollCall = {
+  status: 'open',
+  expected: {
+    T1_0: { bookingRef: 'T1', passengerIndex: 0 },
+    T1_1: { bookingRef: 't1', passengerIndex: 1 },
+    T2_0: { bookingRef: 'T2', passengerIndex: 0 },
+    bad: { bookingRef: 'not/a/key', passengerIndex: 0 },
+  },
+};
+
+test('roll call bookings are collected once per booking reference', () => {
+  assert.deepEqual(collectRollCallBookingRefs(rollCall), ['T1', 'T2']);
+  assert.deepEqual(collectRollCallBookingRefs(null), []);
+});
+
+test('only participants on a roll call booking are projected for the driver', () => {
+  const participantBookings = buildRollCallParticipantBookings({
+    participantIds: ['uidA', 'uidB', 'uidC', 'uidD'],
+    usersMap: {
+      uidA: { bookingRef: ' t1 ', pushToken: 'ExponentPushToken[a]' },
+      uidB: { bookingRef: 'T2' },
+      uidC: { bookingRef: 'T9' },
+    },
+    rollCall,
+  });
+  assert.deepEqual(participantBookings, { uidA: 'T1', uidB: 'T2' });
+});
+
+test('a participant is mirrored as back only once every passenger on their booking is ticked', () => {
+  const participantBookings = { uidA: 'T1', uidB: 'T2', uidC: 'T9' };
+  const partly = buildRollCallReturnedParticipants({
+    ...rollCall,
+    participantBookings,
+    returned: { T1_0: { atMs: 100, source: 'driver' }, T2_0: { atMs: 150, source: 'passenger' } },
+  });
+  assert.deepEqual(partly, { uidB: { atMs: 150 } });
+
+  const complete = buildRollCallReturnedParticipants({
+    ...rollCall,
+    participantBookings,
+    returned: { T1_0: { atMs: 100 }, T1_1: { atMs: 220 }, T2_0: { atMs: 150 } },
+  });
+  assert.deepEqual(complete, { uidA: { atMs: 220 }, uidB: { atMs: 150 } });
+  assert.deepEqual(buildRollCallReturnedParticipants(null), {});
+});
@@ -0,0 +1,207 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+process.env.FIREBASE_CONFIG = JSON.stringify({
+  projectId: 'demo-llt-safety-check-in',
+  storageBucket: 'demo-llt-safety-check-in.appspot.com',
+});
+
+const { __testables } = require('../functions/index.js');
+const {
+  CHECK_IN_GRACE_MS,
+  buildCheckInAlertText,
+  buildCheckInQueueEntry,
+  isCheckInBackOnCoach,
+  normalizeStoredCheckIn,
+} = require('../functions/lib/safetyCheckIn');
+
+// 15:30 in Edinburgh.
+const dueAtMs = Date.UTC(2026, 9, 19, 14, 30);
+const startedAtMs = dueAtMs - 90 * 60000;
+const checkInPath = 'safety_check_ins/TOUR_1/uid_1';
+const queueKey = 'TOUR_1::uid_1';
+const queuePath = `safety_check_in_queue/${queueKey}`;
+const entry = { tourId: 'TOUR_1', authUid: 'uid_1', startedAtMs, dueAtMs };
+const running = {
+  schemaVersion: 1,
+  principalId: 'pax_v1:one',
+  startedAtMs,
+  dueAtMs,
+  source: 'itinerary',
+  label: 'Free time until 15:30',
+  passengerName: 'Ann Roe',
+  status: 'running',
+};
+
+// Values by flat path. Transactions see null first, as the server does
+// before it has the current value.
+const createCheckInDb = (initial = {}) => {
+  const values = new Map(Object.entries(initial));
+  const db = {
+    values,
+    rootUpdates: [],
+    ref: (path) => ({
+      once: async () => {
+        const value = values.has(path) ? values.get(path) : null;
+        return { exists: () => value !== null, val: () => value };
+      },
+      set: async (value) => {
+        if (value === null) values.delete(path);
+        else values.set(path, value);
+      },
+      remove: async () => { values.delete(path); },
+      update: async (updates) => {
+        db.rootUpdates.push(updates);
+        Object.entries(updates).forEach(([key, value]) => {
+          if (value === null) values.delete(key);
+          else values.set(key, value);
+        });
+      },
+      transaction: async (updater) => {
+        updater(null);
+        const next = updater(values.has(path) ? values.get(path) : null);
+        if (next === undefined) return { committed: false, snapshot: { val: () => values.get(path) ?? null } };
+        if (next === null) values.delete(path);
+        else values.set(path, next);
+        return { committed: true, snapshot: { val: () => next } };
+      },
+    }),
+  };
+  return db;
+};
+
+const overdueDb = (extra = {}) => createCheckInDb({
+  [checkInPath]: running,
+  [queuePath]: entry,
+  'tours/TOUR_1/participants/uid_1': { userId: 'uid_1' },
+  'users/uid_1': { stablePassengerId: 'pax_v1:one' },
+  'tours/TOUR_1/liveTracking/uid_1': { isSharing: true, coords: { latitude: 56.1, longitude: -4.6, accuracy: 20 }, lastUpdate: dueAtMs + CHECK_IN_GRACE_MS - 60000 },
+  ...extra,
+});
+
+test('only a running timer with a sane window is queued', () => {
+  assert.deepEqual(buildCheckInQueueEntry({ tourId: 'TOUR_1', authUid: 'uid_1', checkIn: running }), entry);
+  assert.equal(buildCheckInQueueEntry({ tourId: 'TOUR_1', authUid: 'uid_1', checkIn: { ...running, status: 'raised' } }), null);
+  assert.equal(normalizeStoredCheckIn({ ...running, dueAtMs: startedAtMs }), null);
+  assert.equal(normalizeStoredCheckIn({ ...running, dueAtMs: startedAtMs + 13 * 60 * 60000 }), null);
+  assert.deepEqual(buildCheckInAlertText(normalizeStoredCheckIn(running)), {
+    message: 'Check-in timer ran out: Ann Roe did not confirm they were OK by 15:30.',
+    customMessage: 'Meet-back in itinerary: Free time until 15:30',
+  });
+});
+
+test('a roll call return after the timer started counts as back on the coach', () => {
+  const rollCall = { startedAtMs: dueAtMs - 10 * 60000, checkins: {}, returned: {} };
+  assert.equal(isCheckInBackOnCoach({ checkIn: running, rollCall, authUid: 'uid_1' }), false);
+  assert.equal(isCheckInBackOnCoach({ checkIn: running, rollCall: { ...rollCall, checkins: { uid_1: { atMs: dueAtMs } } }, authUid: 'uid_1' }), true);
+  assert.equal(isCheckInBackOnCoach({ checkIn: running, rollCall: { ...rollCall, returned: { uid_1: { atMs: dueAtMs } } }, authUid: 'uid_1' }), true);
+  assert.equal(isCheckInBackOnCoach({ checkIn: running, rollCall: { ...rollCall, checkins: { uid_2: { atMs: dueAtMs } } }, authUid: 'uid_1' }), false);
+});
+
+test('the queue entry follows the stored timer', async () => {
+  const db = createCheckInDb({ [checkInPath]: running });
+  await __testables.syncSafetyCheckInQueueEntry({ db, tourId: 'TOUR_1', authUid: 'uid_1' });
+  assert.deepEqual(db.values.get(queuePath), entry);
+
+  db.values.delete(checkInPath);
+  await __testables.syncSafetyCheckInQueueEntry({ db, tourId: 'TOUR_1', authUid: 'uid_1' });
+  assert.equal(db.values.has(queuePath), false);
+});
+
+test('an unanswered timer raises one lost passenger alert after the grace period', async () => {
+  const db = overdueDb();
+  const eventId = `checkin_uid_1_${startedAtMs}`;
+
+  const early = await __testables.raiseSafetyCheckIn({ db, queueKey, entry, nowMs: dueAtMs + CHECK_IN_GRACE_MS - 1 });
+  assert.equal(early, 'waiting');
+  assert.equal(db.rootUpdates.length, 0);
+
+  const nowMs = dueAtMs + CHECK_IN_GRACE_MS;
+  assert.equal(await __testables.raiseSafetyCheckIn({ db, queueKey, entry, nowMs }), 'raised');
+  const alert = db.values.get(`tours/TOUR_1/safetyAlerts/${eventId}`);
+  assert.equal(alert.category, 'lost_passenger');
+  assert.equal(alert.severity, 'medium');
+  assert.equal(alert.role, 'passenger');
+  assert.equal(alert.principalId, 'pax_v1:one');
+  assert.equal(alert.reporterAuthUid, 'uid_1');
+  assert.equal(alert.message, 'Check-in timer ran out: Ann Roe did not confirm they were OK by 15:30.');
+  assert.deepEqual(alert.coords, { latitude: 56.1, longitude: -4.6, accuracy: 20 });
+  assert.equal(db.values.get(`safety_escalations/${eventId}`).tier, 0);
+  assert.equal(db.values.has(queuePath), false);
+  assert.deepEqual(
+    { status: db.values.get(checkInPath).status, eventId: db.values.get(checkInPath).eventId },
+    { status: 'raised', eventId },
+  );
+
+  // A redelivered entry finds the alert already written.
+  db.values.set(queuePath, entry);
+  assert.equal(await __testables.raiseSafetyCheckIn({ db, queueKey, entry, nowMs: nowMs + 60000 }), 'raised');
+  assert.equal(db.rootUpdates.length, 1);
+  assert.equal(db.values.has(queuePath), false);
+});
+
+test('a timer claimed by a sweep that died before the alert was written is raised by the next one', async () => {
+  const eventId = `checkin_uid_1_${startedAtMs}`;
+  const db = overdueDb({ [checkInPath]: { ...running, status: 'raised', raisedAtMs: dueAtMs + CHECK_IN_GRACE_MS, eventId } });
+
+  assert.equal(await __testables.raiseSafetyCheckIn({ db, queueKey, entry, nowMs: dueAtMs + CHECK_IN_GRACE_MS + 60000 }), 'raised');
+  assert.equal(db.values.get(`tours/TOUR_1/safetyAlerts/${eventId}`).eventId, eventId);
+  assert.equal(db.values.has(queuePath), false);
+});
+
+test('a passenger back on the coach, a cleared timer or a restarted one raises nothing', async () => {
+  const nowMs = dueAtMs + CHECK_IN_GRACE_MS;
+  const back = overdueDb({
+    'tours/TOUR_1/rollCall': { startedAtMs: dueAtMs - 10 * 60000, returned: { uid_1: { atMs: dueAtMs - 60000 } } },
+  });
+  assert.equal(await __testables.raiseSafetyCheckIn({ db: back, queueKey, entry, nowMs }), 'stopped');
+  assert.equal(back.values.has(checkInPath), false);
+  assert.equal(back.values.has(queuePath), false);
+
+  const cleared = overdueDb({ [checkInPath]: null });
+  cleared.values.delete(checkInPath);
+  assert.equal(await __testables.raiseSafetyCheckIn({ db: cleared, queueKey, entry, nowMs }), 'dropped');
+  assert.equal(cleared.values.has(queuePath), false);
+
+  const restarted = overdueDb({
+    [checkInPath]: { ...running, startedAtMs: nowMs, dueAtMs: nowMs + 60 * 60000 },
+    [queuePath]: { ...entry, startedAtMs: nowMs, dueAtMs: nowMs + 60 * 60000 },
+  });
+  assert.equal(await __testables.raiseSafetyCheckIn({ db: restarted, queueKey, entry, nowMs }), 'dropped');
+  assert.equal(restarted.values.get(queuePath).startedAtMs, nowMs);
+
+  for (const db of [back, cleared, restarted]) assert.equal(db.rootUpdates.length, 0);
+});
+
+test('the sweep reads only entries past their grace period and keeps failed ones queued', async () => {
+  const nowMs = dueAtMs + CHECK_IN_GRACE_MS;
+  const db = overdueDb({ 'safety_check_in_queue/TOUR_2::uid_2': { tourId: 'TOUR_2', authUid: 'uid_2', startedAtMs, dueAtMs } });
+  let window = null;
+  const baseRef = db.ref;
+  db.ref = (path) => {
+    if (path !== 'safety_check_in_queue') {
+      const ref = baseRef(path);
+      if (path !== 'tours/TOUR_2/rollCall') return ref;
+      return { ...ref, once: async () => { throw new Error('unavailable'); } };
+    }
+    return {
+      orderByChild: (child) => ({
+        endAt: (endMs) => ({
+          limitToFirst: (limit) => ({
+            once: async () => {
+              window = { child, endMs, limit };
+              return { val: () => ({ [queueKey]: entry, 'TOUR_2::uid_2': db.values.get('safety_check_in_queue/TOUR_2::uid_2') }) };
+            },
+          }),
+        }),
+      }),
+    };
+  };
+  db.values.set('safety_check_ins/TOUR_2/uid_2', running);
+
+  const result = await __testables.runSafetyCheckInSweep({ db, nowMs });
+
+  assert.deepEqual(window, { child: 'dueAtMs', endMs: dueAtMs, limit: 50 });
+  assert.deepEqual(result, { dueCount: 2, raisedCount: 1, stoppedCount: 0, droppedCount: 0, failedCount: 1, hasMore: false });
+  assert.equal(db.values.has('safety_check_in_queue/TOUR_2::uid_2'), true);
+});
@@ -7,6 +7,11 @@ process.env.FIREBASE_CONFIG = JSON.stringify({
 });
 
 const { __testables } = require('../functions/index.js');
+const {
+  SAFETY_ESCALATION_MAX_AGE_MS,
+  SAFETY_ESCALATION_SLA_MS,
+  planSafetyEscalation,
+} = require('../functions/lib/safetyEscalation');
 
 const baseInput = (overrides = {}) => ({
   clientEventId: 'safety_event_1',
@@ -64,6 +69,245 @@ test('canonical safety write plan mirrors one server-owned event id atomically',
   assert.equal(updates['tours/TOUR_1/safetyAlerts/safety_event_1'].eventId, 'safety_event_1');
   assert.equal(updates['globalSafetyAlerts/safety_event_1'].eventId, 'safety_event_1');
   assert.equal(updates['safety_submission_locks/TOUR_1/safety_event_1'], null);
+  // Every report starts with the full first page and is queued for re-pages.
+  assert.deepEqual(updates['safety_escalations/safety_event_1'], {
+    tourId: 'TOUR_1',
+    severity: 'critical',
+    tier: 0,
+    dueAtMs: 1786636801000 + SAFETY_ESCALATION_SLA_MS.critical,
+  });
+
+  const lowRecord = __testables.buildCanonicalSafetyRecord({
+    input: __testables.normalizeSafetySubmissionInput(baseInput({ severity: 'low' }), 1786636801000),
+    authUid: 'passenger-auth',
+    principalId: 'pax_v1:BOOKING:person@example.com',
+    nowMs: 1786636801000,
+  });
+  const lowUpdates = __testables.buildSafetySubmissionUpdates({ record: lowRecord, lockPath: 'locks/x' });
+  assert.equal(lowUpdates['safety_escalations/safety_event_1'], undefined);
+});
+
+test('safety escalation plans wait for the SLA, climb one tier at a time and stop when acknowledged', () => {
+  const reportedAtMs = 1786636800000;
+  const alert = { status: 'pending', severity: 'high', receivedAtMs: reportedAtMs };
+  const entry = { tourId: 'TOUR_1', severity: 'high', tier: 0, dueAtMs: reportedAtMs + SAFETY_ESCALATION_SLA_MS.high };
+
+  assert.deepEqual(planSafetyEscalation({ alert, entry, nowMs: entry.dueAtMs - 1 }), { action: 'wait' });
+
+  const first = planSafetyEscalation({ alert, entry, nowMs: entry.dueAtMs });
+  assert.equal(first.action, 'escalate');
+  assert.equal(first.nextTier, 1);
+  assert.deepEqual(first.nextEntry, { ...entry, tier: 1, dueAtMs: entry.dueAtMs + SAFETY_ESCALATION_SLA_MS.high });
+
+  const last = planSafetyEscalation({
+    alert: { ...alert, status: 'escalated', escalationTier: 1 },
+    entry: first.nextEntry,
+    nowMs: first.nextEntry.dueAtMs,
+  });
+  assert.equal(last.nextTier, 2);
+  assert.equal(last.nextEntry, null);
+
+  assert.deepEqual(planSafetyEscalation({ alert: { ...alert, status: 'acknowledged' }, entry, nowMs: entry.dueAtMs }), { action: 'drop' });
+  assert.deepEqual(planSafetyEscalation({ alert: null, entry, nowMs: entry.dueAtMs }), { action: 'drop' });
+  assert.deepEqual(
+    planSafetyEscalation({ alert, entry, nowMs: reportedAtMs + 7 * 60 * 60 * 1000 }),
+    { action: 'drop' },
+    'day-old reports are left to the dashboard',
+  );
+});
+
+test('the first safety page reaches delegated admins as well as the operations account', async () => {
+  const db = {
+    ref: (path) => ({
+      once: async () => ({
+        val: () => (path === 'admin_users' ? { 'admin-1': true, 'admin-2': false, 'admin-3': true } : null),
+      }),
+    }),
+  };
+  const { audienceIds } = await __testables.resolveSafetyContactAudience({
+    db,
+    tourId: 'TOUR_1',
+    manifestData: {},
+    context: { tourId: 'TOUR_1' },
+  });
+  assert.equal(audienceIds.length, 3);
+  assert.ok(audienceIds.includes('admin-1'));
+  assert.ok(audienceIds.includes('admin-3'));
+  assert.equal(audienceIds.includes('admin-2'), false);
+});
+
+test('escalation tiers add the on-call roster the first page never reaches', async () => {
+  const reads = [];
+  const db = {
+    ref: (path) => ({
+      once: async () => {
+        reads.push(path);
+        return {
+          val: () => ({
+            admin_users: { 'admin-1': true },
+            safety_on_call: { 'duty-1': true, 'duty-2': false, 'admin-1': true },
+          })[path] ?? null,
+        };
+      },
+    }),
+  };
+  const audienceAt = async (tier) => (await __testables.resolveSafetyContactAudience({
+    db,
+    tourId: 'TOUR_1',
+    manifestData: {},
+    context: { tourId: 'TOUR_1' },
+    tier,
+  })).audienceIds;
+
+  const firstPage = await audienceAt(0);
+  assert.equal(reads.includes('safety_on_call'), false);
+  const onCall = await audienceAt(1);
+  const finalReminder = await audienceAt(2);
+
+  assert.deepEqual(onCall.filter((uid) => !firstPage.includes(uid)), ['duty-1']);
+  assert.ok(firstPage.every((uid) => onCall.includes(uid)));
+  assert.deepEqual(finalReminder, onCall);
+  assert.equal(onCall.includes('duty-2'), false);
+});
+
+const createEscalationDb = (values, { statusOnServer = null } = {}) => {
+  const rootUpdates = [];
+  const removed = [];
+  return {
+    rootUpdates,
+    removed,
+    ref: (path) => ({
+      once: async () => ({ exists: () => values[path] != null, val: () => values[path] ?? null }),
+      remove: async () => { removed.push(path); },
+      set: async (value) => { values[path] = value; },
+      transaction: async (updater) => {
+        // First pass mimics the empty local cache, the second the server value.
+        updater(null);
+        const serverValue = statusOnServer ?? values[path] ?? null;
+        const next = updater(serverValue);
+        if (next === undefined) return { committed: false, snapshot: { val: () => serverValue } };
+        values[path] = next;
+        return { committed: true, snapshot: { val: () => next } };
+      },
+      update: async (payload) => rootUpdates.push(payload),
+    }),
+  };
+};
+
+test('escalateSafetyAlert pages the next tier and records the step on both alert copies', async () => {
+  const nowMs = 1786636800000 + SAFETY_ESCALATION_SLA_MS.critical;
+  const alert = {
+    tourId: 'TOUR_1',
+    status: 'pending',
+    severity: 'critical',
+    category: 'medical',
+    isSOS: false,
+    receivedAtMs: 1786636800000,
+    escalationTier: 1,
+  };
+  const db = createEscalationDb({
+    'tours/TOUR_1/safetyAlerts/event_1': alert,
+    'tours/TOUR_1/safetyAlerts/event_1/status': 'pending',
+    'globalSafetyAlerts/event_1': { ...alert },
+    'globalSafetyAlerts/event_1/status': 'pending',
+  });
+  const notified = [];
+
+  const outcome = await __testables.escalateSafetyAlert({
+    db,
+    eventId: 'event_1',
+    entry: { tourId: 'TOUR_1', severity: 'critical', tier: 1, dueAtMs: nowMs },
+    nowMs,
+    notifyTier: async ({ tier }) => {
+      notified.push(tier);
+      return { deliveryStatus: 'accepted', recipientCount: 3, successCount: 3, errorCount: 0 };
+    },
+  });
+
+  assert.equal(outcome, 'escalated');
+  assert.deepEqual(notified, [2]);
+  const [updates] = db.rootUpdates;
+  assert.equal(updates['safety_escalations/event_1'], null);
+  assert.equal(updates['tours/TOUR_1/safetyAlerts/event_1/escalationTier'], 2);
+  assert.deepEqual(updates['tours/TOUR_1/safetyAlerts/event_1/escalationHistory/tier_2'], {
+    tier: 2,
+    contactTier: 'final_reminder',
+    reason: 'unacknowledged',
+    escalatedAtMs: nowMs,
+    deliveryStatus: 'accepted',
+    recipientCount: 3,
+    successCount: 3,
+    errorCount: 0,
+  });
+  assert.equal(updates['globalSafetyAlerts/event_1/escalationTier'], 2);
+});
+
+test('escalateSafetyAlert abandons the step when an acknowledgement lands first', async () => {
+  const nowMs = 1786636800000 + SAFETY_ESCALATION_SLA_MS.high;
+  const db = createEscalationDb({
+    'tours/TOUR_1/safetyAlerts/event_2': {
+      tourId: 'TOUR_1',
+      status: 'pending',
+      severity: 'high',
+      receivedAtMs: 1786636800000,
+    },
+  }, { statusOnServer: 'acknowledged' });
+  let notified = false;
+
+  const outcome = await __testables.escalateSafetyAlert({
+    db,
+    eventId: 'event_2',
+    entry: { tourId: 'TOUR_1', severity: 'high', tier: 0, dueAtMs: nowMs },
+    nowMs,
+    notifyTier: async () => { notified = true; },
+  });
+
+  assert.equal(outcome, 'dropped');
+  assert.equal(notified, false);
+  assert.deepEqual(db.removed, ['safety_escalations/event_2']);
+  assert.deepEqual(db.rootUpdates, []);
+});
+
+test('the untracked alert sweep only queues recent pending alerts that never entered the ladder', async () => {
+  const nowMs = 1786636800000;
+  const recent = { tourId: 'TOUR_1', status: 'pending', severity: 'critical', receivedAtMs: nowMs - 60000 };
+  const db = createEscalationDb({
+    'tours/TOUR_1/safetyAlerts/event_new': recent,
+    'tours/TOUR_1/safetyAlerts/event_tiered': recent,
+    'safety_escalations/event_queued': { tourId: 'TOUR_1', tier: 0 },
+  });
+  const globalAlerts = {
+    event_new: recent,
+    event_tiered: { ...recent, escalationTier: 1 },
+    event_queued: recent,
+    event_orphaned: recent,
+    event_acknowledged: { ...recent, status: 'acknowledged' },
+  };
+  let window = null;
+  const baseRef = db.ref;
+  db.ref = (path) => (path !== 'globalSafetyAlerts' ? baseRef(path) : {
+    orderByChild: (child) => ({
+      startAt: (startMs) => ({
+        limitToLast: (limit) => ({
+          once: async () => {
+            window = { child, startMs, limit };
+            return { val: () => globalAlerts };
+          },
+        }),
+      }),
+    }),
+  });
+
+  const queued = await __testables.queueUntrackedGlobalSafetyAlerts({ db, nowMs });
+
+  assert.equal(queued, 1);
+  assert.deepEqual(window, { child: 'receivedAtMs', startMs: nowMs - SAFETY_ESCALATION_MAX_AGE_MS, limit: 50 });
+  const entry = (await db.ref('safety_escalations/event_new').once()).val();
+  assert.equal(entry.tier, 0);
+  assert.equal(entry.tourId, 'TOUR_1');
+  for (const eventId of ['event_tiered', 'event_orphaned', 'event_acknowledged']) {
+    assert.equal((await db.ref(`safety_escalations/${eventId}`).once()).exists(), false);
+  }
 });
 
 test('safety notification copy is urgent but does not expose report details on the lock screen', () => {
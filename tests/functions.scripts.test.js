@@ -42,6 +42,30 @@ test('photo variant backfill selects missing or failed server variants', () => {
   );
 });
 
+test('photo variant backfill can add quality fields to photos whose variants are fine', () => {
+  const ready = {
+    storagePath: 'group_tour_photos/TOUR_1/source.jpg',
+    viewerUrl: 'https://example.test/viewer.jpg',
+    thumbnailUrl: 'https://example.test/thumb.jpg',
+    variantStatus: 'ready',
+  };
+
+  assert.equal(photoBackfill.planBackfill(ready, { retryFailed: true }), null);
+  assert.deepEqual(photoBackfill.planBackfill(ready, { retryFailed: true, backfillQuality: true }), { qualityOnly: true });
+  assert.deepEqual(
+    photoBackfill.planBackfill({ ...ready, thumbnailUrl: null }, { retryFailed: true, backfillQuality: true }),
+    { qualityOnly: false },
+  );
+  assert.equal(photoBackfill.planBackfill({
+    ...ready, perceptualHash: '0f0f0f0f0f0f0f0f', sharpnessScore: 240, qualityVersion: 1,
+  }, { retryFailed: true, backfillQuality: true }), null);
+  assert.equal(photoBackfill.needsQualityBackfill({
+    ...ready, perceptualHash: '0f0f0f0f0f0f0f0f', qualityVersion: 0,
+  }), true);
+  assert.equal(photoBackfill.needsQualityBackfill({ ...ready, mediaType: 'video' }), false);
+  assert.equal(photoBackfill.parseArgs(['--backfill-quality=true']).backfillQuality, true);
+});
+
 test('group ownership refresh uses a bounded exact-tour cursor page', async () => {
   const calls = [];
   const query = {
@@ -0,0 +1,376 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+process.env.FIREBASE_CONFIG = JSON.stringify({
+  projectId: 'demo-llt-trusted-contacts',
+  storageBucket: 'demo-llt-trusted-contacts.appspot.com',
+});
+
+const { __testables } = require('../functions/index.js');
+const {
+  createFileMessagingGateway,
+  createWebhookMessagingGateway,
+  resolveMessagingGateway,
+} = require('../functions/lib/messagingGateway');
+const {
+  buildTrustedContactSosMessages,
+  normalizeSyncedTrustedContacts,
+  renderSosStatusPage,
+  resolveSosLastLocation,
+} = require('../functions/lib/trustedContactAlerts');
+
+const NOW = 1786636800000;
+const STATUS_BASE_URL = 'https://status.example/sosStatus';
+
+const syncedContacts = (overrides = {}) => ({
+  schemaVersion: 1,
+  consent: { version: 1, grantedAtMs: NOW - 86400000 },
+  senderName: 'Alex Traveller',
+  contacts: {
+    contact_a: { name: 'Mum', phone: '+44 7700 900001', email: 'mum@example.com' },
+    contact_b: { name: 'Sam', phone: '07700 900002' },
+  },
+  updatedAtMs: NOW - 86400000,
+  ...overrides,
+});
+
+const sosRecord = (overrides = {}) => ({
+  eventId: 'sos_event_1',
+  tourId: 'TOUR_1',
+  reporterAuthUid: 'passenger-auth',
+  category: 'sos',
+  severity: 'critical',
+  isSOS: true,
+  status: 'pending',
+  message: 'SOS',
+  customMessage: 'Private details that must not leave the app',
+  coords: { latitude: 56.0123456, longitude: -4.6, accuracy: 18 },
+  receivedAtMs: NOW,
+  ...overrides,
+});
+
+// Values are kept by full path; a read folds deeper paths into the object.
+const createDb = (values) => {
+  const rootUpdates = [];
+  const read = (refPath) => {
+    let value = values[refPath] ?? null;
+    for (const [fullPath, nested] of Object.entries(values)) {
+      if (!fullPath.startsWith(`${refPath}/`) || nested == null) continue;
+      value = structuredClone(value || {});
+      const segments = fullPath.slice(refPath.length + 1).split('/');
+      let target = value;
+      for (const segment of segments.slice(0, -1)) target = (target[segment] ||= {});
+      target[segments.at(-1)] = nested;
+    }
+    return value;
+  };
+  return {
+    values,
+    rootUpdates,
+    ref: (refPath = '') => ({
+      once: async () => ({ exists: () => read(refPath) != null, val: () => read(refPath) }),
+      set: async (value) => { values[refPath] = value; },
+      transaction: async (updater) => {
+        const next = updater(read(refPath));
+        if (next === undefined) return { committed: false, snapshot: { val: () => read(refPath) } };
+        for (const fullPath of Object.keys(values)) {
+          if (fullPath.startsWith(`${refPath}/`)) delete values[fullPath];
+        }
+        values[refPath] = next;
+        return { committed: true, snapshot: { val: () => next } };
+      },
+      update: async (payload) => {
+        rootUpdates.push(payload);
+        Object.assign(values, payload);
+      },
+    }),
+  };
+};
+
+const sosMessageKey = (message) => `${message.contactId}:${message.channel}`;
+
+const withOutbox = async (run) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llt-outbox-'));
+  try {
+    const gateway = createFileMessagingGateway({ directory, nowFn: () => NOW });
+    const readOutbox = () => fs.readFileSync(gateway.outboxPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    await run({ gateway, readOutbox });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+test('only consented contacts with a usable phone or email are messaged', () => {
+  assert.deepEqual(normalizeSyncedTrustedContacts(syncedContacts()), [
+    { id: 'contact_a', name: 'Mum', phone: '+447700900001', email: 'mum@example.com' },
+    { id: 'contact_b', name: 'Sam', phone: '07700900002', email: null },
+  ]);
+  assert.deepEqual(normalizeSyncedTrustedContacts(syncedContacts({ consent: null })), []);
+  assert.deepEqual(normalizeSyncedTrustedContacts(syncedContacts({ consent: { version: 2, grantedAtMs: NOW } })), []);
+  assert.deepEqual(normalizeSyncedTrustedContacts(syncedContacts({
+    contacts: { contact_c: { name: 'No way to reach', phone: '12' } },
+  })), []);
+});
+
+test('the last known location is the newest of the report fix and a fresh live point', () => {
+  const live = { isSharing: true, coords: { latitude: 56.2, longitude: -4.7, accuracy: 9 }, lastUpdate: NOW + 60000 };
+  assert.equal(resolveSosLastLocation({ alert: sosRecord(), liveTracking: live, nowMs: NOW + 60000 }).source, 'live');
+  assert.equal(resolveSosLastLocation({ alert: sosRecord(), liveTracking: { ...live, lastUpdate: NOW - 1000 }, nowMs: NOW }).source, 'report');
+  assert.equal(resolveSosLastLocation({ alert: sosRecord({ coords: null }), liveTracking: { ...live, isSharing: false }, nowMs: NOW }), null);
+  assert.equal(
+    resolveSosLastLocation({ alert: sosRecord({ coords: null }), liveTracking: { ...live, lastUpdate: NOW - 31 * 60000 }, nowMs: NOW }),
+    null,
+  );
+});
+
+test('SOS messages name the tour and location but never the report details', () => {
+  const messages = buildTrustedContactSosMessages({
+    eventId: 'sos_event_1',
+    contacts: normalizeSyncedTrustedContacts(syncedContacts()),
+    senderName: 'Alex Traveller',
+    tourName: 'Highlands Explorer',
+    location: resolveSosLastLocation({ alert: sosRecord(), liveTracking: null, nowMs: NOW }),
+    statusUrl: 'https://status.example/sosStatus?alert=sos_event_1&token=abc',
+  });
+
+  assert.deepEqual(messages.map(({ channel, to }) => [channel, to]), [
+    ['sms', '+447700900001'],
+    ['email', 'mum@example.com'],
+    ['sms', '07700900002'],
+  ]);
+  assert.equal(new Set(messages.map((message) => message.idempotencyKey)).size, 3);
+  for (const message of messages) {
+    assert.match(message.body, /Highlands Explorer/);
+    assert.match(message.body, /maps\.google\.com\/\?q=56\.01235,-4\.60000/);
+    assert.match(message.body, /status\.example\/sosStatus\?alert=sos_event_1&token=abc/);
+    assert.doesNotMatch(message.body, /Private details/);
+  }
+});
+
+test('an SOS writes one message per contact channel to the file gateway and records the outcome', async () => {
+  await withOutbox(async ({ gateway, readOutbox }) => {
+    const db = createDb({
+      'safety_contacts/passenger-auth': syncedContacts(),
+      'tours/TOUR_1/name': 'Highlands Explorer',
+    });
+
+    const notification = await __testables.notifyTrustedContactsOfSos({
+      db,
+      record: sosRecord(),
+      nowMs: NOW,
+      gateway,
+      statusBaseUrl: STATUS_BASE_URL,
+    });
+
+    assert.deepEqual(notification, {
+      status: 'sent',
+      messageCount: 3,
+      sentCount: 3,
+      failedCount: 0,
+      contactCount: 2,
+      gateway: 'file',
+      updatedAtMs: NOW,
+    });
+    const outbox = readOutbox();
+    assert.deepEqual(outbox.map((message) => message.to), ['+447700900001', 'mum@example.com', '07700900002']);
+    assert.equal(outbox[1].subject, 'SOS from Alex Traveller');
+
+    const link = db.ref('sos_status_links/sos_event_1');
+    const linkRecord = (await link.once('value')).val();
+    assert.equal(linkRecord.tourId, 'TOUR_1');
+    assert.equal(linkRecord.authUid, 'passenger-auth');
+    assert.equal(Object.keys(linkRecord.tokenHashes).length, 1);
+    assert.match(Object.keys(linkRecord.tokenHashes)[0], /^[0-9a-f]{64}$/);
+    assert.equal(linkRecord.delivery.state, 'done');
+    assert.deepEqual(Object.keys(linkRecord.delivery.sent).sort(), ['contact_a_email', 'contact_a_sms', 'contact_b_sms']);
+    const statusUrl = new URL(outbox[0].body.match(/https:\/\/status\.example\S+/)[0]);
+    assert.equal(statusUrl.searchParams.get('alert'), 'sos_event_1');
+    assert.equal(linkRecord.tokenHashes[statusUrl.searchParams.get('token')], undefined);
+
+    const [updates] = db.rootUpdates;
+    assert.deepEqual(updates['tours/TOUR_1/safetyAlerts/sos_event_1/trustedContactNotification'], notification);
+    assert.deepEqual(updates['globalSafetyAlerts/sos_event_1/trustedContactNotification'], notification);
+
+    // The link in the message opens the status page until it expires.
+    db.values['tours/TOUR_1/safetyAlerts/sos_event_1'] = sosRecord({ status: 'acknowledged' });
+    const status = await __testables.resolveSosStatus({
+      db,
+      eventId: 'sos_event_1',
+      token: statusUrl.searchParams.get('token'),
+      nowMs: NOW + 60000,
+    });
+    assert.equal(status.status, 'acknowledged');
+    assert.equal(status.senderName, 'Alex Traveller');
+    assert.equal(status.tourName, 'Highlands Explorer');
+    assert.equal(await __testables.resolveSosStatus({ db, eventId: 'sos_event_1', token: 'f'.repeat(64), nowMs: NOW }), null);
+    assert.equal(await __testables.resolveSosStatus({
+      db,
+      eventId: 'sos_event_1',
+      token: statusUrl.searchParams.get('token'),
+      nowMs: linkRecord.expiresAtMs,
+    }), null);
+
+    // A redelivered trigger event finds the delivery finished and sends nothing.
+    assert.equal(await __testables.notifyTrustedContactsOfSos({
+      db,
+      record: sosRecord(),
+      nowMs: NOW + 1000,
+      gateway,
+      statusBaseUrl: STATUS_BASE_URL,
+    }), null);
+    assert.equal(readOutbox().length, 3);
+    assert.deepEqual((await link.once('value')).val(), linkRecord);
+  });
+});
+
+test('a run that dies mid-send is taken over once its lease lapses, and only unsent messages go out', async () => {
+  const sent = [];
+  const gateway = {
+    kind: 'test',
+    send: async (message) => {
+      if (message.contactId === 'contact_b') throw new Error('instance shut down');
+      sent.push(message);
+    },
+  };
+  const db = createDb({ 'safety_contacts/passenger-auth': syncedContacts() });
+  // The first run is cut off: contact_a is marked sent, contact_b never is,
+  // and the run never gets to finish the delivery.
+  const crashed = { ...db, ref: (refPath) => (!refPath ? { update: async () => { throw new Error('timeout'); } } : db.ref(refPath)) };
+  await assert.rejects(__testables.notifyTrustedContactsOfSos({
+    db: crashed,
+    record: sosRecord(),
+    nowMs: NOW,
+    gateway,
+    statusBaseUrl: STATUS_BASE_URL,
+    maxSendAttempts: 1,
+  }), /timeout/);
+  const firstToken = new URL(sent[0].body.match(/https:\/\/status\.example\S+/)[0]).searchParams.get('token');
+  assert.deepEqual(sent.map(sosMessageKey), ['contact_a:sms', 'contact_a:email']);
+
+  // A redelivery while the lease is still held throws so the event comes back.
+  gateway.send = async (message) => { sent.push(message); };
+  await assert.rejects(__testables.notifyTrustedContactsOfSos({
+    db,
+    record: sosRecord(),
+    nowMs: NOW + 60000,
+    gateway,
+    statusBaseUrl: STATUS_BASE_URL,
+  }), /already in progress/);
+  assert.equal(sent.length, 2);
+
+  const notification = await __testables.notifyTrustedContactsOfSos({
+    db,
+    record: sosRecord(),
+    nowMs: NOW + 4 * 60000,
+    gateway,
+    statusBaseUrl: STATUS_BASE_URL,
+  });
+  assert.equal(notification.status, 'sent');
+  assert.equal(notification.sentCount, 3);
+  assert.deepEqual(sent.map(sosMessageKey), ['contact_a:sms', 'contact_a:email', 'contact_b:sms']);
+  const secondToken = new URL(sent[2].body.match(/https:\/\/status\.example\S+/)[0]).searchParams.get('token');
+  assert.notEqual(secondToken, firstToken);
+
+  // Links from both runs open the status page.
+  db.values['tours/TOUR_1/safetyAlerts/sos_event_1'] = sosRecord();
+  for (const token of [firstToken, secondToken]) {
+    assert.equal((await __testables.resolveSosStatus({ db, eventId: 'sos_event_1', token, nowMs: NOW + 5 * 60000 })).status, 'pending');
+  }
+});
+
+test('reporters without consent are never messaged, and a missing gateway is recorded', async () => {
+  const sent = [];
+  const gateway = { kind: 'test', send: async (message) => { sent.push(message); } };
+  const withoutConsent = createDb({ 'safety_contacts/passenger-auth': syncedContacts({ consent: null }) });
+  assert.equal(await __testables.notifyTrustedContactsOfSos({
+    db: withoutConsent,
+    record: sosRecord(),
+    nowMs: NOW,
+    gateway,
+    statusBaseUrl: STATUS_BASE_URL,
+  }), null);
+  assert.deepEqual(sent, []);
+  assert.deepEqual(withoutConsent.rootUpdates, []);
+
+  const unconfigured = createDb({ 'safety_contacts/passenger-auth': syncedContacts() });
+  const notification = await __testables.notifyTrustedContactsOfSos({
+    db: unconfigured,
+    record: sosRecord(),
+    nowMs: NOW,
+    gateway: null,
+    statusBaseUrl: STATUS_BASE_URL,
+  });
+  assert.equal(notification.status, 'not_configured');
+  assert.equal(unconfigured.values['sos_status_links/sos_event_1'], undefined);
+});
+
+test('a refused message is retried before it is recorded as a partial delivery', async () => {
+  const attempts = { sms: 0, email: 0 };
+  const gateway = {
+    kind: 'test',
+    send: async (message) => {
+      attempts[message.channel] += 1;
+      if (message.channel === 'email') throw new Error('mailbox unavailable');
+      if (attempts.sms === 1) throw new Error('relay busy');
+      return { messageId: message.idempotencyKey };
+    },
+  };
+  const waits = [];
+  const db = createDb({ 'safety_contacts/passenger-auth': syncedContacts() });
+  const notification = await __testables.notifyTrustedContactsOfSos({
+    db,
+    record: sosRecord(),
+    nowMs: NOW,
+    gateway,
+    statusBaseUrl: STATUS_BASE_URL,
+    wait: async (delayMs) => { waits.push(delayMs); },
+  });
+  assert.equal(notification.status, 'partial');
+  assert.equal(notification.sentCount, 2);
+  assert.equal(notification.failedCount, 1);
+  assert.equal(attempts.email, 3);
+  assert.equal(attempts.sms, 3);
+  assert.deepEqual(waits.sort((a, b) => a - b), [1000, 1000, 2000]);
+});
+
+test('gateway selection follows MESSAGING_GATEWAY and the webhook relay gets an idempotency key', async () => {
+  assert.equal(resolveMessagingGateway({}), null);
+  assert.equal(resolveMessagingGateway({ MESSAGING_GATEWAY: 'file', MESSAGING_GATEWAY_DIR: os.tmpdir() }).kind, 'file');
+  assert.throws(() => resolveMessagingGateway({ MESSAGING_GATEWAY: 'webhook', MESSAGING_GATEWAY_WEBHOOK_URL: 'http://relay.example' }));
+
+  const calls = [];
+  const gateway = createWebhookMessagingGateway({
+    url: 'https://relay.example/messages',
+    token: 'relay-token',
+    fetchImpl: async (url, options) => {
+      calls.push({ url, options });
+      return { ok: true, json: async () => ({ messageId: 'relay-1' }) };
+    },
+  });
+  const result = await gateway.send({ channel: 'sms', to: '+447700900001', body: 'SOS', idempotencyKey: 'sos_event_1:contact_a:sms' });
+  assert.deepEqual(result, { messageId: 'relay-1' });
+  assert.equal(calls[0].options.headers['Idempotency-Key'], 'sos_event_1:contact_a:sms');
+  assert.equal(calls[0].options.headers.Authorization, 'Bearer relay-token');
+
+  const refusing = createWebhookMessagingGateway({
+    url: 'https://relay.example/messages',
+    fetchImpl: async () => ({ ok: false, status: 502 }),
+  });
+  await assert.rejects(refusing.send({ channel: 'sms', to: '+447700900001', body: 'SOS', idempotencyKey: 'k' }), /HTTP 502/);
+});
+
+test('the status page escapes everything it shows', () => {
+  const html = renderSosStatusPage({
+    status: 'pending',
+    senderName: '<script>alert(1)</script>',
+    tourName: 'Tour "A" & B',
+    location: null,
+    updatedAtMs: NOW,
+  });
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /&lt;script&gt;/);
+  assert.match(html, /Tour &quot;A&quot; &amp; B/);
+});
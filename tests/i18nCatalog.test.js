@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  CATALOGS,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  createI18nStore,
+  formatDate,
+  isPluralEntry,
+  resolveSupportedLocale,
+  translate,
+} = require('../services/i18nService');
+const { buildLoginModeHints, buildOfflineLoginReasonCopy } = require('../screens/loginFlow');
+
+const readText = (relativePath) => fs.readFileSync(path.join(__dirname, '..', relativePath), 'utf8');
+
+const TRANSLATED_SOURCES = [
+  'screens/TourHomeScreen.js',
+  'screens/ItineraryScreen.js',
+  'screens/ChatScreen.js',
+  'screens/SafetySupportScreen.js',
+  'screens/LoginScreen.js',
+  'screens/NotificationPreferencesScreen.js',
+  'screens/loginFlow.js',
+  'services/offlineSyncService.js',
+  'services/pickupEtaService.js',
+  'utils/chatUnreadSummary.js',
+  'utils/itinerarySyncPresentation.js',
+  'utils/tourHomeActionPlanner.js',
+];
+
+const placeholdersOf = (entry) => {
+  const values = isPluralEntry(entry) ? Object.values(entry) : [entry];
+  return [...new Set(values.flatMap((value) => String(value).match(/\{\w+\}/g) || []))]
+    .filter((name) => name !== '{count}')
+    .sort();
+};
+
+// Literal keys passed to `t(...)`/`i18n.t(...)` plus `*Key: '...'` constants
+// resolved at render time. Template keys become patterns matched against the
+// catalog so `safety.categories.${key}.title` still needs at least one entry.
+const collectSourceKeys = (source) => {
+  const literal = new Set();
+  const templates = new Set();
+  for (const match of source.matchAll(/\bt\(\s*'([a-zA-Z][\w.]*)'/g)) literal.add(match[1]);
+  for (const match of source.matchAll(/\b\w+Key:\s*'([a-zA-Z][\w]*\.[\w.]+)'/g)) literal.add(match[1]);
+  for (const match of source.matchAll(/\bt\(\s*`([^`]+)`/g)) templates.add(match[1]);
+  return { literal: [...literal], templates: [...templates] };
+};
+
+test('every shipped catalog carries the same keys as English', () => {
+  const englishKeys = Object.keys(CATALOGS[DEFAULT_LOCALE]).sort();
+
+  SUPPORTED_LOCALES.forEach(({ code }) => {
+    assert.ok(CATALOGS[code], `missing catalog for ${code}`);
+    assert.deepEqual(Object.keys(CATALOGS[code]).sort(), englishKeys, `${code} keys differ from English`);
+  });
+});
+
+test('translations keep the English placeholders and plural shape', () => {
+  const english = CATALOGS[DEFAULT_LOCALE];
+
+  SUPPORTED_LOCALES.forEach(({ code, intlTag }) => {
+    const requiredCategories = new Intl.PluralRules(intlTag).resolvedOptions().pluralCategories
+      .filter((category) => category === 'one' || category === 'other');
+
+    Object.entries(english).forEach(([key, englishEntry]) => {
+      const entry = CATALOGS[code][key];
+      assert.equal(isPluralEntry(entry), isPluralEntry(englishEntry), `${code}:${key} plural shape`);
+      assert.deepEqual(placeholdersOf(entry), placeholdersOf(englishEntry), `${code}:${key} placeholders`);
+      if (isPluralEntry(entry)) {
+        requiredCategories.forEach((category) => {
+          assert.equal(typeof entry[category], 'string', `${code}:${key} lacks "${category}"`);
+        });
+      } else {
+        assert.ok(String(entry).trim(), `${code}:${key} is empty`);
+      }
+    });
+  });
+});
+
+test('every key referenced by the translated screens exists in every catalog', () => {
+  TRANSLATED_SOURCES.forEach((relativePath) => {
+    const { literal, templates } = collectSourceKeys(readText(relativePath));
+    assert.ok(literal.length > 0, `${relativePath} references no catalog keys`);
+
+    SUPPORTED_LOCALES.forEach(({ code }) => {
+      const catalogKeys = Object.keys(CATALOGS[code]);
+      literal.forEach((key) => {
+        assert.ok(Object.hasOwn(CATALOGS[code], key), `${relativePath} uses "${key}" missing from ${code}`);
+      });
+      templates.forEach((template) => {
+        const pattern = new RegExp(`^${template.split(/\$\{[^}]+\}/).map((part) => part.replace(/\./g, '\\.')).join('[\\w]+')}$`);
+        assert.ok(catalogKeys.some((key) => pattern.test(key)), `${relativePath} template "${template}" has no ${code} keys`);
+      });
+    });
+  });
+});
+
+test('login copy builders resolve in every catalog', () => {
+  SUPPORTED_LOCALES.forEach(({ code }) => {
+    const t = (key, params) => {
+      assert.ok(Object.hasOwn(CATALOGS[code], key), `login builder uses "${key}" missing from ${code}`);
+      return translate(code, key, params);
+    };
+    const reasonCopy = buildOfflineLoginReasonCopy(t);
+    const modeHints = buildLoginModeHints(t);
+
+    Object.values(reasonCopy).forEach((copy) => assert.ok(copy.headline));
+    Object.values(modeHints).forEach((hint) => assert.ok(hint.label && hint.placeholder));
+  });
+});
+
+test('translate selects plural forms, interpolates params and falls back to English', () => {
+  assert.equal(translate('en', 'chat.newMessages', { count: 1 }), '1 new message');
+  assert.equal(translate('en', 'chat.newMessages', { count: 3 }), '3 new messages');
+  assert.equal(translate('de', 'chat.typing.one', { name: 'Ailsa' }).includes('Ailsa'), true);
+  assert.equal(translate('xx', 'chat.date.today'), 'Today');
+  assert.equal(translate('en', 'not.a.real.key'), 'not.a.real.key');
+});
+
+test('resolveSupportedLocale maps regional tags and rejects unknown languages', () => {
+  assert.equal(resolveSupportedLocale('de-AT'), 'de');
+  assert.equal(resolveSupportedLocale('fr_CH'), 'fr');
+  assert.equal(resolveSupportedLocale('pt-PT'), 'en');
+  assert.equal(resolveSupportedLocale(''), 'en');
+});
+
+test('formatDate reads date-only tour values at local noon and uses the locale', () => {
+  assert.equal(formatDate('en', '2026-08-20', 'shortDate'), '20 Aug 2026');
+  assert.match(formatDate('de', '2026-08-20', 'shortDate'), /20\. Aug\.? 2026/);
+  assert.equal(formatDate('en', 'not a date', 'shortDate', '—'), '—');
+});
+
+test('locale store switches at runtime, notifies subscribers and persists the choice', async () => {
+  const stored = new Map();
+  const storage = {
+    getItemAsync: async (key) => stored.get(key) ?? null,
+    setItemAsync: async (key, value) => {
+      stored.set(key, value);
+    },
+  };
+  const store = createI18nStore({ storage, initialLocale: 'en-GB' });
+  const seen = [];
+  const unsubscribe = store.subscribe(() => seen.push(store.getLocale()));
+
+  assert.equal(store.t('chat.date.today'), 'Today');
+  const result = await store.setLocale('it');
+  assert.equal(result.success, true);
+  assert.deepEqual(seen, ['it']);
+  assert.equal(store.t('chat.date.today'), CATALOGS.it['chat.date.today']);
+  assert.equal((await store.setLocale('pt')).success, false);
+  unsubscribe();
+
+  const rehydrated = createI18nStore({ storage, initialLocale: 'en' });
+  assert.equal(await rehydrated.hydrate(), 'it');
+});
+
+test('chat auto-translate preference is off by default and persists with the locale store', async () => {
+  const stored = new Map();
+  const storage = {
+    getItemAsync: async (key) => stored.get(key) ?? null,
+    setItemAsync: async (key, value) => {
+      stored.set(key, value);
+    },
+  };
+  const store = createI18nStore({ storage, initialLocale: 'fr' });
+  let notifications = 0;
+  store.subscribe(() => {
+    notifications += 1;
+  });
+
+  assert.equal(store.getAutoTranslateChat(), false);
+  assert.equal((await store.setAutoTranslateChat(true)).success, true);
+  assert.equal(store.getAutoTranslateChat(), true);
+  assert.equal(notifications, 1);
+
+  const rehydrated = createI18nStore({ storage, initialLocale: 'fr' });
+  await rehydrated.hydrate();
+  assert.equal(rehydrated.getAutoTranslateChat(), true);
+});
@@ -99,3 +99,31 @@ test('optimizeSourcePhotoForUpload skips viewer and thumbnail variant work', asy
   assert.equal(result.metrics.viewerOptimizationPasses, 0);
   assert.equal(result.metrics.thumbnailOptimizationPasses, 0);
 });
+
+test('optimizeSourcePhotoForUpload keeps capture metadata that re-encoding strips', async () => {
+  const service = buildService({ sizeByCall: () => 900_000 });
+  const asset = {
+    uri: 'file://with-exif.jpg',
+    fileSize: 2_000_000,
+    width: 3000,
+    height: 2000,
+    exif: {
+      DateTimeOriginal: '2026:07:14 09:30:12',
+      OffsetTimeOriginal: '+01:00',
+      GPSLatitude: 56.08461,
+      GPSLatitudeRef: 'N',
+      GPSLongitude: 4.63122,
+      GPSLongitudeRef: 'W',
+    },
+  };
+
+  const withLocation = await service.optimizeSourcePhotoForUpload(asset);
+  assert.deepEqual(withLocation.capture, {
+    capturedAt: Date.UTC(2026, 6, 14, 8, 30, 12),
+    captureLocation: { lat: 56.08, lng: -4.63 },
+  });
+
+  const withoutLocation = await service.optimizeSourcePhotoForUpload(asset, { includeLocation: false });
+  assert.equal(withoutLocation.capture.captureLocation, null);
+  assert.equal(withoutLocation.capture.capturedAt, Date.UTC(2026, 6, 14, 8, 30, 12));
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createLiveLocationShareService,
+  normalizeLiveLocationShares,
+} = require('../services/liveLocationShareService');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const SHARE_URL = 'https://loch-lomond-travel-admin.web.app/share/live#-Nshare1.token';
+
+const auth = { currentUser: { uid: 'uid-1', getIdToken: async () => 'id-token' } };
+
+const createService = ({ fetchImpl, database = null } = {}) => createLiveLocationShareService({
+  getAuth: () => auth,
+  getDatabase: () => database,
+  fetchImpl,
+  createEndpoint: () => 'https://functions.example/createLiveLocationShare',
+  revokeEndpoint: () => 'https://functions.example/revokeLiveLocationShare',
+  nowFn: () => NOW,
+});
+
+test('creating a link posts the tour and duration and returns the URL to share', async () => {
+  const calls = [];
+  const service = createService({
+    fetchImpl: async (url, options) => {
+      calls.push({ url, options });
+      return { ok: true, json: async () => ({ success: true, shareId: '-Nshare1', token: 'token', shareUrl: SHARE_URL, expiresAtMs: NOW + 3600000 }) };
+    },
+  });
+
+  const created = await service.createShare({ tourId: 'TOUR_1', durationMinutes: 60, displayName: ' Alex ' });
+  assert.deepEqual(created, { success: true, data: { shareId: '-Nshare1', shareUrl: SHARE_URL, expiresAtMs: NOW + 3600000 } });
+  assert.equal(calls[0].options.headers.Authorization, 'Bearer id-token');
+  assert.deepEqual(JSON.parse(calls[0].options.body), { tourId: 'TOUR_1', durationMinutes: 60, displayName: 'Alex' });
+
+  await service.createShare({ tourId: 'TOUR_1', durationMinutes: 7 });
+  assert.equal(JSON.parse(calls[1].options.body).durationMinutes, 240);
+});
+
+test('server refusals and network errors come back as copy that is safe to show', async () => {
+  const refusing = createService({
+    fetchImpl: async () => ({ ok: false, json: async () => ({ success: false, reason: 'TOO_MANY_SHARES' }) }),
+  });
+  assert.match((await refusing.createShare({ tourId: 'TOUR_1' })).error, /3 active links/);
+
+  const offline = createService({ fetchImpl: async () => { throw new Error('Network request failed'); } });
+  const result = await offline.revokeShare('-Nshare1');
+  assert.equal(result.success, false);
+  assert.doesNotMatch(result.error, /Network request failed/);
+  assert.equal((await offline.revokeShare('bad/id')).success, false);
+});
+
+test('the owner list shows active and ended links with who opened them', () => {
+  const shares = normalizeLiveLocationShares({
+    '-Nold': { tourId: 'TOUR_1', createdAtMs: NOW - 7200000, expiresAtMs: NOW - 3600000, openCount: 0 },
+    '-Nnew': {
+      tourId: 'TOUR_1',
+      createdAtMs: NOW - 600000,
+      expiresAtMs: NOW + 3600000,
+      openCount: 3,
+      lastOpenedAtMs: NOW - 60000,
+      viewers: {
+        a1: { device: 'Safari on iPhone', openCount: 2, firstOpenedAtMs: NOW - 500000, lastOpenedAtMs: NOW - 300000 },
+        b2: { device: 'Chrome on Windows', openCount: 1, firstOpenedAtMs: NOW - 60000, lastOpenedAtMs: NOW - 60000 },
+      },
+    },
+    '-Nrevoked': { tourId: 'TOUR_1', createdAtMs: NOW - 1800000, expiresAtMs: NOW + 3600000, revokedAtMs: NOW - 900000 },
+    'bad/key': { expiresAtMs: NOW + 1000 },
+  }, NOW);
+
+  assert.deepEqual(shares.map(({ shareId, active }) => [shareId, active]), [
+    ['-Nnew', true],
+    ['-Nrevoked', false],
+    ['-Nold', false],
+  ]);
+  assert.deepEqual(shares[0].viewers.map((viewer) => viewer.device), ['Chrome on Windows', 'Safari on iPhone']);
+  assert.equal(shares[0].openCount, 3);
+  assert.deepEqual(normalizeLiveLocationShares(null), []);
+});
+
+test('subscribing reads only the signed-in owner copy', () => {
+  const subscriptions = [];
+  const database = {
+    ref: (path) => ({
+      on: (event, handler) => subscriptions.push({ path, handler }),
+      off: () => {},
+    }),
+  };
+  const received = [];
+  const unsubscribe = createService({ database }).subscribeToShares((shares) => received.push(shares));
+  assert.equal(subscriptions[0].path, 'live_location_share_owners/uid-1');
+  subscriptions[0].handler({ val: () => ({ '-Nnew': { createdAtMs: NOW, expiresAtMs: NOW + 1000 } }) });
+  assert.equal(received[0][0].active, true);
+  unsubscribe();
+});
@@ -351,6 +351,69 @@ test('replayQueue can process PHOTO_UPLOAD when photoService direct handler is p
   assert.equal(remaining.data[0].status, 'completed');
 });
 
+test('replayQueue persists PHOTO_UPLOAD session progress so a restarted replay resumes it', async () => {
+  await clearQueue();
+
+  await offlineSyncService.enqueueAction({
+    id: 'photo-resume-1',
+    type: 'PHOTO_UPLOAD',
+    tourId: 'tour-photo',
+    payload: {
+      uri: 'file:///tmp/clip.mp4',
+      tourId: 'tour-photo',
+      userId: 'user-1',
+    },
+  });
+
+  const session = {
+    sessionUri: 'https://upload.example.test/session-1',
+    storagePath: 'photos/tour-photo/group/source/photo.mp4',
+    totalBytes: 1024,
+    startedAt: 1,
+  };
+  // The first run stores a half-sent session and then loses the connection,
+  // as a killed app would leave it.
+  const first = await offlineSyncService.replayQueue({
+    services: {
+      photoService: {
+        uploadPhotoDirect: async (payload) => {
+          assert.equal(payload.uploadSession, null);
+          await payload.onUploadSession({ ...session, bytesSent: 512, updatedAt: 2 });
+          return { success: false, error: 'Photo upload timeout' };
+        },
+      },
+    },
+  });
+  assert.equal(first.data.failed, 1);
+
+  let queued = await offlineSyncService.getQueuedActions();
+  const interrupted = queued.data.find((action) => action.id === 'photo-resume-1');
+  assert.equal(interrupted.uploadSession.bytesSent, 512);
+  assert.equal(offlineSyncService.getPhotoUploadProgress(interrupted), 0.5);
+
+  await offlineSyncService.updateAction('photo-resume-1', { status: 'queued', nextAttemptAt: null });
+  let resumedWith = null;
+  const second = await offlineSyncService.replayQueue({
+    services: {
+      photoService: {
+        uploadPhotoDirect: async (payload) => {
+          resumedWith = payload.uploadSession;
+          return { success: true, data: { photoId: 'photo-1' } };
+        },
+      },
+    },
+  });
+
+  assert.equal(second.data.processed, 1);
+  assert.equal(resumedWith.sessionUri, session.sessionUri);
+  assert.equal(resumedWith.bytesSent, 512);
+  queued = await offlineSyncService.getQueuedActions();
+  const completed = queued.data.find((action) => action.id === 'photo-resume-1');
+  assert.equal(completed.status, 'completed');
+  assert.equal(completed.uploadSession, null);
+  assert.equal(offlineSyncService.getPhotoUploadProgress(completed), null);
+});
+
 test('replayQueue skips max-attempt failed action and replays once when re-queued', async () => {
   await clearQueue();
   const MAX_ATTEMPTS = 5;
@@ -159,3 +159,11 @@ test('sanitizeOpsText redacts common secret and identity patterns', () => {
   assert.doesNotMatch(sanitized, /session_1_secret/);
   assert.doesNotMatch(sanitized, /ABCDEFGHIJKLMNOPQRSTUVWX/);
 });
+
+test('sanitizeOpsText removes care profile values whole', () => {
+  const sanitized = sanitizeOpsText('Save failed {"allergies":"Peanuts, eggs","mobilityNotes":"Folding chair"} medications: insulin pen | emergencyContact={"name":"Sam","phone":"07700 900001"}');
+
+  assert.doesNotMatch(sanitized, /Peanuts|eggs|Folding|insulin|Sam|07700/);
+  assert.match(sanitized, /allergies=\[redacted\]/);
+  assert.match(sanitized, /^Save failed/);
+});
@@ -57,6 +57,9 @@ let getTourManifestCalls = 0;
 let manifestLoader = async () => mockManifest;
 let cachedManifest = null;
 let cachedReplacements = [];
+let manifestUpdates = [];
+let manifestUpdateResult = { success: true };
+let optimisticUpdates = [];
 
 const originalLoad = Module._load;
 Module._load = function mockLoader(request, parent, isMain) {
@@ -116,7 +119,10 @@ Module._load = function mockLoader(request, parent, isMain) {
         getTourManifestCalls += 1;
         return manifestLoader();
       },
-      updateManifestBooking: async () => ({ success: true }),
+      updateManifestBooking: async (...args) => {
+        manifestUpdates.push(args);
+        return manifestUpdateResult;
+      },
       MANIFEST_STATUS: {
         PENDING: 'PENDING',
         BOARDED: 'BOARDED',
@@ -163,10 +169,17 @@ Module._load = function mockLoader(request, parent, isMain) {
         cachedReplacements.push(data);
         return { success: true, data };
       },
-      applyOptimisticUpdate: async () => ({ success: true }),
+      applyOptimisticUpdate: async (update) => {
+        optimisticUpdates.push(update);
+        return { success: true };
+      },
     };
   }
 
+  if (request === '../components/BoardingPassScanner') {
+    return { __esModule: true, default: createHost('BoardingPassScanner') };
+  }
+
   if (request.endsWith('/services/chatService') || request === '../services/chatService') {
     return {};
   }
@@ -245,3 +258,53 @@ test('PassengerManifestScreen renders an identity-scoped cached manifest before
   assert.equal(cachedReplacements.length, 1);
   assert.equal(cachedReplacements[0].driverId, 'D-CACHE');
 });
+
+test('PassengerManifestScreen boards a scanned passenger through the queued manifest update', async () => {
+  const { buildBoardingPassVerification, signBoardingPass } = require('../functions/lib/boardingPass');
+  const secret = 'test-boarding-pass-secret-with-enough-entropy';
+  const departureKey = '2026-09-10::TOUR-1';
+  const scannedManifest = {
+    tourId: 'TOUR-1',
+    boardingPass: buildBoardingPassVerification({ secret, departureKey }),
+    bookings: [{
+      id: 'SCAN-1', passengerNames: ['Ada', 'Ben'], passengerStatus: ['PENDING', 'PENDING'],
+      seatNumbers: ['1', '2'], status: 'PENDING', pickupLocation: 'Luss', pickupTime: '08:00', hasPassengerStatuses: true,
+    }],
+    stats: { totalBookings: 1, totalPax: 2, checkedIn: 0, noShows: 0 },
+  };
+  cachedManifest = null;
+  manifestUpdates = [];
+  optimisticUpdates = [];
+  manifestUpdateResult = { success: true, queued: true, localStatus: 'PARTIAL' };
+  manifestLoader = async () => scannedManifest;
+  const PassengerManifestScreen = require('../screens/PassengerManifestScreen').default;
+
+  let renderer;
+  await act(async () => {
+    renderer = TestRenderer.create(React.createElement(PassengerManifestScreen, {
+      route: { params: { tourId: 'TOUR-1', offlineCacheOwnerId: 'D-SCAN', actorPrincipalId: 'driver:D-SCAN' } },
+      navigation: { goBack: () => {} },
+    }));
+  });
+  await waitForEffects();
+
+  const scanner = renderer.root.findByType('BoardingPassScanner');
+  let rejected;
+  let boarded;
+  await act(async () => {
+    rejected = await scanner.props.onScan('not a pass');
+    boarded = await scanner.props.onScan(signBoardingPass({
+      secret, departureKey, bookingRef: 'SCAN-1', passengerIndex: 1, seat: '2',
+    }));
+  });
+
+  assert.equal(rejected.variant, 'error');
+  assert.equal(boarded.variant, 'success');
+  assert.equal(rejected.messageKey, 'boardingPassScanner.result.notAPass');
+  assert.equal(boarded.messageKey, 'boardingPassScanner.result.readyQueued');
+  assert.deepEqual(boarded.messageParams, { name: 'Ben', seat: '2' });
+  assert.equal(manifestUpdates.length, 1);
+  assert.deepEqual(manifestUpdates[0].slice(0, 3), ['TOUR-1', 'SCAN-1', ['PENDING', 'BOARDED']]);
+  assert.deepEqual(optimisticUpdates.map((update) => update.passengerStatuses), [['PENDING', 'BOARDED']]);
+  manifestUpdateResult = { success: true };
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PHOTO_ARCHIVE_STATUS,
+  createPhotoArchiveService,
+  describePhotoArchiveJob,
+  normalizePhotoArchiveJob,
+} = require('../services/photoArchiveService');
+
+const TOKEN = 'a'.repeat(64);
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const createStorage = () => {
+  const values = new Map();
+  return {
+    values,
+    getItemAsync: async (key) => values.get(key) || null,
+    setItemAsync: async (key, value) => values.set(key, value),
+    deleteItemAsync: async (key) => values.delete(key),
+  };
+};
+
+const auth = { currentUser: { uid: 'uid-1', getIdToken: async () => 'id-token' } };
+
+const createService = ({ storage = createStorage(), fetchImpl, database = null } = {}) => createPhotoArchiveService({
+  storage,
+  getAuth: () => auth,
+  getDatabase: () => database,
+  fetchImpl,
+  requestEndpoint: () => 'https://functions.example/requestPhotoArchive',
+  downloadEndpoint: () => 'https://functions.example/downloadPhotoArchive',
+});
+
+test('requesting an archive keeps the one-time token until the link is used', async () => {
+  const storage = createStorage();
+  const calls = [];
+  const service = createService({
+    storage,
+    fetchImpl: async (url, options) => {
+      calls.push({ url, options });
+      return { ok: true, json: async () => ({ success: true, jobId: '-Njob1', downloadToken: TOKEN }) };
+    },
+  });
+
+  const requested = await service.requestArchive({ tourId: 'tour_1' });
+  assert.deepEqual(requested, { success: true, data: { jobId: '-Njob1', tourId: 'TOUR_1' } });
+  assert.equal(calls[0].options.headers.Authorization, 'Bearer id-token');
+  assert.deepEqual(JSON.parse(calls[0].options.body), { tourId: 'TOUR_1' });
+  assert.deepEqual((await service.loadPending()).data, { jobId: '-Njob1', tourId: 'TOUR_1' });
+
+  const link = await service.getDownloadLink();
+  assert.equal(link.data.url, `https://functions.example/downloadPhotoArchive?job=-Njob1&token=${TOKEN}`);
+
+  await service.clearPending();
+  assert.equal((await service.loadPending()).data, null);
+  assert.match((await service.getDownloadLink()).error, /already been used/);
+});
+
+test('request failures are explained and nothing is stored', async () => {
+  const storage = createStorage();
+  const serviceFor = (status, payload) => createService({
+    storage,
+    fetchImpl: async () => ({ ok: status === 202, json: async () => payload }),
+  });
+
+  assert.match((await serviceFor(409, { reason: 'ARCHIVE_IN_PROGRESS' }).requestArchive({ tourId: 'TOUR_1' })).error, /already being prepared/);
+  assert.match((await serviceFor(500, null).requestArchive({ tourId: 'TOUR_1' })).error, /temporarily unavailable/);
+  assert.match((await serviceFor(202, { success: true, jobId: 'job', downloadToken: 'short' }).requestArchive({ tourId: 'TOUR_1' })).error, /incomplete/);
+  assert.equal(storage.values.size, 0);
+});
+
+test('job progress is read from the caller job record', () => {
+  const listeners = [];
+  const database = {
+    ref: (path) => ({
+      on: (event, handler) => listeners.push({ path, handler }),
+      off: () => listeners.pop(),
+    }),
+  };
+  const updates = [];
+  const unsubscribe = createService({ database }).subscribeToJob({ jobId: '-Njob1' }, (job) => updates.push(job));
+
+  assert.equal(listeners[0].path, 'photo_archive_jobs/uid-1/-Njob1');
+  listeners[0].handler({ val: () => ({ status: 'building', tourId: 'TOUR_1', progress: { processed: 12, total: 40 } }) });
+  listeners[0].handler({ val: () => ({ status: 'unknown' }) });
+  assert.equal(updates[0].processed, 12);
+  assert.equal(updates[1], null);
+  unsubscribe();
+  assert.equal(listeners.length, 0);
+});
+
+test('archive status lines cover each stage of the job', () => {
+  const job = (value) => normalizePhotoArchiveJob({ tourId: 'TOUR_1', ...value });
+
+  assert.equal(describePhotoArchiveJob(null), null);
+  assert.equal(describePhotoArchiveJob(job({ status: PHOTO_ARCHIVE_STATUS.QUEUED })), 'Waiting to start your archive...');
+  assert.equal(
+    describePhotoArchiveJob(job({ status: 'building', progress: { processed: 50, total: 40 } })),
+    'Adding photos: 40 of 40',
+  );
+  assert.equal(
+    describePhotoArchiveJob(job({ status: 'ready', photoCount: 38, skippedCount: 2, byteSize: 52428800, expiresAtMs: NOW + 1 }), NOW),
+    '38 photos ready to download (50 MB). 2 could not be included.',
+  );
+  assert.match(describePhotoArchiveJob(job({ status: 'ready', photoCount: 1, expiresAtMs: NOW }), NOW), /expired/);
+  assert.match(describePhotoArchiveJob(job({ status: 'failed', reason: 'NO_PHOTOS' })), /no photos of yours/);
+  assert.match(describePhotoArchiveJob(job({ status: 'failed' })), /could not be prepared/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_BLUR_REGIONS,
+  createBlurRegionAt,
+  normalizeBlurRegions,
+  resolveBlurSigma,
+  toPixelRect,
+  toggleBlurRegionAt,
+} = require('../utils/photoBlurRegions');
+
+const LANDSCAPE = { imageWidth: 4000, imageHeight: 3000 };
+
+test('createBlurRegionAt centres a square on the tap and keeps it inside the photo', () => {
+  const centred = createBlurRegionAt({ x: 0.5, y: 0.5 }, { ...LANDSCAPE, size: 'medium' });
+  // 20% of the 3000px short side is 600px square.
+  assert.deepStrictEqual(centred, { x: 0.425, y: 0.4, width: 0.15, height: 0.2 });
+
+  const corner = createBlurRegionAt({ x: 0.99, y: 0.01 }, { ...LANDSCAPE, size: 'large' });
+  assert.equal(corner.y, 0);
+  assert.equal(Math.round((corner.x + corner.width) * 10000) / 10000, 1);
+  assert.equal(corner.width, 0.24);
+
+  assert.equal(createBlurRegionAt({ x: 0.5, y: 0.5 }, { imageWidth: 0, imageHeight: 3000 }), null);
+});
+
+test('toggleBlurRegionAt adds on empty taps, removes on region taps and caps the count', () => {
+  const added = toggleBlurRegionAt([], { x: 0.5, y: 0.5 }, LANDSCAPE);
+  assert.equal(added.length, 1);
+
+  const second = toggleBlurRegionAt(added, { x: 0.1, y: 0.1 }, LANDSCAPE);
+  assert.equal(second.length, 2);
+
+  const removed = toggleBlurRegionAt(second, { x: 0.5, y: 0.5 }, LANDSCAPE);
+  assert.deepStrictEqual(removed, [second[1]]);
+
+  const full = Array.from({ length: MAX_BLUR_REGIONS }, (_, index) => ({
+    x: (index % 6) * 0.15,
+    y: index < 6 ? 0 : 0.5,
+    width: 0.1,
+    height: 0.1,
+  }));
+  assert.equal(toggleBlurRegionAt(full, { x: 0.95, y: 0.95 }, LANDSCAPE).length, MAX_BLUR_REGIONS);
+});
+
+test('normalizeBlurRegions drops malformed and tiny regions and clamps the rest', () => {
+  assert.deepStrictEqual(normalizeBlurRegions(null), []);
+  assert.deepStrictEqual(normalizeBlurRegions([
+    { x: 0.9, y: -0.2, width: 0.5, height: 0.4 },
+    { x: 'a', y: 0, width: 0.2, height: 0.2 },
+    { x: 0.1, y: 0.1, width: 0.001, height: 0.3 },
+  ]), [{ x: 0.9, y: 0, width: 0.1, height: 0.4 }]);
+
+  const many = Array.from({ length: MAX_BLUR_REGIONS + 3 }, () => ({ x: 0, y: 0, width: 0.1, height: 0.1 }));
+  assert.equal(normalizeBlurRegions(many).length, MAX_BLUR_REGIONS);
+});
+
+test('toPixelRect covers the whole region in pixels and resolveBlurSigma scales with it', () => {
+  const rect = toPixelRect({ x: 0.425, y: 0.4, width: 0.15, height: 0.2 }, 4000, 3000);
+  assert.deepStrictEqual(rect, { left: 1700, top: 1200, width: 600, height: 600 });
+  assert.equal(resolveBlurSigma(rect), 150);
+
+  const edge = toPixelRect({ x: 0.999, y: 0.999, width: 0.001, height: 0.001 }, 100, 100);
+  assert.deepStrictEqual(edge, { left: 99, top: 99, width: 1, height: 1 });
+  assert.equal(resolveBlurSigma(edge), 8);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractPhotoCaptureMetadata,
+  getPhotoCaptureTimeMs,
+  groupPhotosByCaptureLocation,
+  normalizeCaptureLocation,
+  parseExifDateTime,
+} = require('../utils/photoCaptureMetadata');
+const { buildPhotobookDaySections } = require('../utils/photobookDaySections');
+
+const now = Date.UTC(2026, 6, 20);
+
+test('parseExifDateTime applies the EXIF offset when present', () => {
+  assert.equal(parseExifDateTime('2026:07:14 09:30:12', '+01:00'), Date.UTC(2026, 6, 14, 8, 30, 12));
+  assert.equal(parseExifDateTime('2026:07:14 09:30:12', '-0400'), Date.UTC(2026, 6, 14, 13, 30, 12));
+  assert.equal(
+    parseExifDateTime('2026:07:14 09:30:12'),
+    new Date(2026, 6, 14, 9, 30, 12).getTime()
+  );
+  assert.equal(parseExifDateTime('14/07/2026'), null);
+});
+
+test('extractPhotoCaptureMetadata reads iOS and Android EXIF shapes', () => {
+  const ios = extractPhotoCaptureMetadata({
+    '{Exif}': { DateTimeOriginal: '2026:07:14 09:30:12', OffsetTimeOriginal: '+01:00' },
+    '{GPS}': { Latitude: 56.08461, LatitudeRef: 'N', Longitude: 4.63122, LongitudeRef: 'W' },
+  }, { now });
+  assert.deepEqual(ios, {
+    capturedAt: Date.UTC(2026, 6, 14, 8, 30, 12),
+    captureLocation: { lat: 56.08, lng: -4.63 },
+  });
+
+  const android = extractPhotoCaptureMetadata({
+    DateTimeOriginal: '2026:07:14 09:30:12',
+    OffsetTimeOriginal: '+01:00',
+    GPSLatitude: [56, 5, 4.6],
+    GPSLatitudeRef: 'N',
+    GPSLongitude: [4, 37, 52.4],
+    GPSLongitudeRef: 'W',
+  }, { now });
+  assert.deepEqual(android, ios);
+});
+
+test('extractPhotoCaptureMetadata drops location on request and rejects unset clocks', () => {
+  const exif = {
+    DateTimeOriginal: '2000:01:01 00:00:00',
+    GPSLatitude: 56.08,
+    GPSLongitude: -4.63,
+  };
+  assert.deepEqual(extractPhotoCaptureMetadata(exif, { now, includeLocation: false }), {
+    capturedAt: null,
+    captureLocation: null,
+  });
+  assert.deepEqual(extractPhotoCaptureMetadata({ DateTimeOriginal: '2027:01:01 00:00:00' }, { now }), {
+    capturedAt: null,
+    captureLocation: null,
+  });
+  assert.deepEqual(extractPhotoCaptureMetadata(undefined, { now }), { capturedAt: null, captureLocation: null });
+});
+
+test('normalizeCaptureLocation rejects out-of-range and placeholder coordinates', () => {
+  assert.deepEqual(normalizeCaptureLocation({ lat: -33.86785, lng: 151.20732 }), { lat: -33.87, lng: 151.21 });
+  assert.equal(normalizeCaptureLocation({ lat: 0, lng: 0 }), null);
+  assert.equal(normalizeCaptureLocation({ lat: 95, lng: 10 }), null);
+  assert.equal(normalizeCaptureLocation({ lat: '56', lng: '-4' }), null);
+});
+
+test('photos queued offline are ordered and sectioned by when they were taken', () => {
+  const takenDayOne = Date.UTC(2026, 6, 14, 18);
+  const uploadedDayTwo = Date.UTC(2026, 6, 15, 9);
+  const late = { id: 'late', timestamp: uploadedDayTwo, capturedAt: takenDayOne };
+  const fresh = { id: 'fresh', timestamp: uploadedDayTwo + 60 * 1000 };
+
+  assert.equal(getPhotoCaptureTimeMs(late), takenDayOne);
+  assert.equal(getPhotoCaptureTimeMs(fresh), uploadedDayTwo + 60 * 1000);
+  assert.equal(getPhotoCaptureTimeMs({}), null);
+
+  const sections = buildPhotobookDaySections({
+    photos: [fresh, late],
+    startDate: '2026-07-14',
+    itineraryDays: [{ day: 1 }, { day: 2 }],
+    sortMode: 'oldest',
+  });
+  assert.deepEqual(sections.map((section) => [section.key, section.photos.map((photo) => photo.id)]), [
+    ['day-1', ['late']],
+    ['day-2', ['fresh']],
+  ]);
+});
+
+test('groupPhotosByCaptureLocation shares a pin between photos from the same place', () => {
+  const pins = groupPhotosByCaptureLocation([
+    { id: 'a', timestamp: 10, captureLocation: { lat: 56.08, lng: -4.63 } },
+    { id: 'b', timestamp: 30, captureLocation: { lat: 56.08, lng: -4.63 } },
+    { id: 'c', timestamp: 20, captureLocation: { lat: 56.68, lng: -5.1 } },
+    { id: 'd', timestamp: 40 },
+  ]);
+  assert.deepEqual(pins.map((pin) => [pin.key, pin.photos.map((photo) => photo.id)]), [
+    ['56.08,-4.63', ['b', 'a']],
+    ['56.68,-5.1', ['c']],
+  ]);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  countPhotoLikes,
+  isPhotoLikedBy,
+  rankPhotoHighlights,
+} = require('../utils/photoHighlights');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.UTC(2026, 4, 8, 12);
+const likesFrom = (...keys) => Object.fromEntries(keys.map((key) => [key, true]));
+
+test('countPhotoLikes and isPhotoLikedBy only trust true entries', () => {
+  assert.equal(countPhotoLikes({ a: true, b: 'true', c: 1, d: true }), 2);
+  assert.equal(countPhotoLikes(null), 0);
+  assert.equal(countPhotoLikes(['a']), 0);
+
+  const photo = { likes: { 'passenger-1': true, 'passenger-2': 'yes' } };
+  assert.equal(isPhotoLikedBy(photo, 'passenger-1'), true);
+  assert.equal(isPhotoLikedBy(photo, 'passenger-2'), false);
+  assert.equal(isPhotoLikedBy(photo, ''), false);
+  assert.equal(isPhotoLikedBy(null, 'passenger-1'), false);
+});
+
+test('rankPhotoHighlights puts likes first and lets recency break ties', () => {
+  const photos = [
+    { id: 'old-favourite', timestamp: now - 72 * HOUR_MS, likes: likesFrom('a', 'b', 'c') },
+    { id: 'fresh-one-like', timestamp: now - HOUR_MS, likes: likesFrom('a') },
+    { id: 'stale-one-like', timestamp: now - 48 * HOUR_MS, likes: likesFrom('b') },
+    { id: 'fresh-two-likes', timestamp: now - 2 * HOUR_MS, likes: likesFrom('a', 'b') },
+    { id: 'unliked', timestamp: now, likes: {} },
+    { id: 'undated', likes: likesFrom('c') },
+  ];
+
+  const ranked = rankPhotoHighlights(photos, { now });
+  assert.deepEqual(ranked.map((entry) => entry.photo.id), [
+    'old-favourite',
+    'fresh-two-likes',
+    'fresh-one-like',
+    'stale-one-like',
+    'undated',
+  ]);
+  assert.deepEqual(ranked.map((entry) => entry.likeCount), [3, 2, 1, 1, 1]);
+});
+
+test('rankPhotoHighlights respects the limit and stays stable on equal scores', () => {
+  const photos = ['c', 'a', 'b'].map((id) => ({ id, timestamp: now, likes: likesFrom('x') }));
+
+  assert.deepEqual(rankPhotoHighlights(photos, { now, limit: 2 }).map((entry) => entry.photo.id), ['a', 'b']);
+  assert.deepEqual(rankPhotoHighlights(null, { now }), []);
+  assert.deepEqual(rankPhotoHighlights([{ timestamp: now, likes: likesFrom('x') }], { now }), []);
+});
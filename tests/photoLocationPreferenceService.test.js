@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPhotoLocationPreferenceService } = require('../services/photoLocationPreferenceService');
+
+const createMemoryStorage = () => {
+  const values = new Map();
+  return {
+    values,
+    getItemAsync: async (key) => (values.has(key) ? values.get(key) : null),
+    setItemAsync: async (key, value) => {
+      values.set(key, value);
+    },
+  };
+};
+
+test('photo location stays on by default and is remembered per signed-in user', async () => {
+  const storage = createMemoryStorage();
+  const service = createPhotoLocationPreferenceService({ storage });
+
+  assert.equal(await service.getIncludePhotoLocation('auth-a'), true);
+  assert.deepEqual(await service.setIncludePhotoLocation('auth-a', false), {
+    success: true,
+    data: { includePhotoLocation: false },
+  });
+  assert.equal(await service.getIncludePhotoLocation('auth-a'), false);
+  assert.equal(await service.getIncludePhotoLocation('auth-b'), true);
+  assert.equal((await service.setIncludePhotoLocation('', false)).success, false);
+});
+
+test('a storage failure keeps raw errors out of the result', async () => {
+  const service = createPhotoLocationPreferenceService({
+    storage: {
+      getItemAsync: async () => {
+        throw new Error('disk full');
+      },
+      setItemAsync: async () => {
+        throw new Error('disk full');
+      },
+    },
+  });
+
+  assert.equal(await service.getIncludePhotoLocation('auth-a'), true);
+  const result = await service.setIncludePhotoLocation('auth-a', false);
+  assert.equal(result.success, false);
+  assert.doesNotMatch(result.error, /disk full/);
+});
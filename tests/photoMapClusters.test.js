@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { clusterPhotosForMap } = require('../utils/photoMapClusters');
+
+const photo = (id, timestamp, lat, lng, overrides = {}) => ({
+  id,
+  timestamp,
+  captureLocation: { lat, lng },
+  thumbnailUrl: `https://cdn.example.com/${id}-thumb.jpg`,
+  sourceUrl: `https://cdn.example.com/${id}.jpg`,
+  ...overrides,
+});
+
+const photos = [
+  photo('luss-1', 10, 56.1, -4.64),
+  photo('luss-2', 40, 56.1, -4.64),
+  photo('balloch', 20, 56.0, -4.58),
+  photo('glencoe', 30, 56.68, -5.1),
+  { id: 'no-location', timestamp: 50 },
+];
+
+test('zoomed out, nearby stops merge into one cluster at their photo-weighted centre', () => {
+  const clusters = clusterPhotosForMap(photos, { latitudeDelta: 3, longitudeDelta: 3 });
+  const byKey = Object.fromEntries(clusters.map((cluster) => [cluster.key, cluster]));
+
+  assert.equal(clusters.length, 2);
+  const loch = byKey['cluster:56.1,-4.64'];
+  assert.deepEqual(loch.photos.map((entry) => entry.id), ['luss-2', 'balloch', 'luss-1']);
+  assert.ok(Math.abs(loch.lat - (56.1 * 2 + 56.0) / 3) < 1e-9);
+  assert.equal(loch.cover.id, 'luss-2');
+  assert.deepEqual(byKey['cluster:56.68,-5.1'].photos.map((entry) => entry.id), ['glencoe']);
+});
+
+test('zoomed in, stops split into their own clusters', () => {
+  const clusters = clusterPhotosForMap(photos, { latitudeDelta: 0.05, longitudeDelta: 0.05 });
+  assert.deepEqual(clusters.map((cluster) => cluster.photos.length).sort(), [1, 1, 2]);
+});
+
+test('a cluster cover is never a photo without a real thumbnail', () => {
+  const [cluster] = clusterPhotosForMap([
+    photo('processing', 30, 56.1, -4.64, { thumbnailUrl: undefined, variantStatus: 'processing' }),
+    photo('viewer-only', 20, 56.1, -4.64, { thumbnailUrl: undefined, viewerUrl: 'https://cdn.example.com/v.jpg' }),
+    photo('ready', 10, 56.1, -4.64),
+  ], null);
+  assert.equal(cluster.cover.id, 'ready');
+
+  const [uncovered] = clusterPhotosForMap([
+    photo('source-only', 10, 56.1, -4.64, { thumbnailUrl: undefined }),
+  ], null);
+  assert.equal(uncovered.cover, null);
+});
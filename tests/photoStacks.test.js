@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildPhotoStacks,
+  collapsePhotoStacks,
+  getHashDistance,
+  isPhotoBlurry,
+} = require('../utils/photoStacks');
+
+const MINUTE_MS = 60 * 1000;
+const start = Date.UTC(2026, 4, 5, 10);
+const photo = (id, overrides = {}) => ({
+  id,
+  userId: 'passenger-1',
+  timestamp: start,
+  perceptualHash: 'f0f0f0f0f0f0f0f0',
+  sharpnessScore: 300,
+  ...overrides,
+});
+
+test('getHashDistance counts differing bits and rejects malformed hashes', () => {
+  assert.equal(getHashDistance('f0f0f0f0f0f0f0f0', 'f0f0f0f0f0f0f0f0'), 0);
+  assert.equal(getHashDistance('f0f0f0f0f0f0f0f0', 'f0f0f0f0f0f0f0f1'), 1);
+  assert.equal(getHashDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(getHashDistance('f0f0', 'f0f0'), null);
+  assert.equal(getHashDistance(undefined, 'f0f0f0f0f0f0f0f0'), null);
+});
+
+test('isPhotoBlurry needs a measured score below the threshold', () => {
+  assert.equal(isPhotoBlurry({ sharpnessScore: 42 }), true);
+  assert.equal(isPhotoBlurry({ sharpnessScore: 420 }), false);
+  assert.equal(isPhotoBlurry({}), false);
+  assert.equal(isPhotoBlurry({ sharpnessScore: '42' }), false);
+});
+
+test('buildPhotoStacks groups one uploader\'s burst and picks the sharpest cover', () => {
+  const stacks = buildPhotoStacks([
+    photo('burst-1', { sharpnessScore: 80 }),
+    photo('burst-2', { timestamp: start + MINUTE_MS, perceptualHash: 'f0f0f0f0f0f0f0f1', sharpnessScore: 410 }),
+    photo('other-view', { timestamp: start + MINUTE_MS, perceptualHash: '0f0f0f0f0f0f0f0f' }),
+    photo('later', { timestamp: start + 30 * MINUTE_MS }),
+    photo('someone-else', { userId: 'passenger-2' }),
+    photo('unhashed', { perceptualHash: undefined }),
+  ]);
+
+  assert.deepEqual(stacks.map((stack) => stack.photos.map((item) => item.id)), [
+    ['burst-1', 'burst-2'],
+    ['other-view'],
+    ['later'],
+    ['someone-else'],
+    ['unhashed'],
+  ]);
+  assert.equal(stacks[0].key, 'stack:burst-1');
+  assert.equal(stacks[0].cover.id, 'burst-2');
+});
+
+test('collapsePhotoStacks shows covers until a stack is expanded', () => {
+  const photos = [
+    photo('burst-1'),
+    photo('burst-2', { sharpnessScore: 500 }),
+    photo('single', { userId: 'passenger-2' }),
+  ];
+
+  const collapsed = collapsePhotoStacks(photos);
+  assert.deepEqual(collapsed.map((item) => item.id), ['burst-2', 'single']);
+  assert.deepEqual(collapsed[0].stack, { key: 'stack:burst-1', size: 2, expanded: false });
+  assert.equal(collapsed[1].stack, undefined);
+
+  const expanded = collapsePhotoStacks(photos, { 'stack:burst-1': true });
+  assert.deepEqual(expanded.map((item) => item.id), ['burst-1', 'burst-2', 'single']);
+  assert.equal(expanded[0].stack.expanded, true);
+});
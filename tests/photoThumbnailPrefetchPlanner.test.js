@@ -45,3 +45,16 @@ test('selectThumbnailPrefetchBatch de-dupes batch candidates and skips processin
     'https://cdn/viewer-fallback.jpg',
   ]);
 });
+
+test('selectThumbnailPrefetchBatch can be limited to real thumbnails for map markers', () => {
+  const batch = selectThumbnailPrefetchBatch({
+    photos: [
+      { thumbnailUrl: 'https://cdn/1-thumb.jpg', sourceUrl: 'https://cdn/1-source.jpg' },
+      { viewerUrl: 'https://cdn/2-viewer.jpg', sourceUrl: 'https://cdn/2-source.jpg' },
+      { sourceUrl: 'https://cdn/3-source.jpg' },
+    ],
+    thumbnailOnly: true,
+  });
+
+  assert.deepEqual(batch, ['https://cdn/1-thumb.jpg']);
+});
@@ -11,6 +11,7 @@ const {
   buildNeighborPrefetchUris,
   buildPhotoCacheKey,
   resolveThumbnailDisplayUri,
+  resolveVideoPlaybackUri,
   isProcessingVariantRecord,
 } = require('../services/photoVariantService');
 
@@ -162,3 +163,21 @@ test('photo URI resolvers ignore malformed fields', () => {
     ],
   );
 });
+
+test('video clips only show poster variants as images and play from their source', () => {
+  const clip = {
+    mediaType: 'video',
+    sourceUrl: 'https://cdn/clip.mp4',
+    variantStatus: 'failed',
+  };
+  assert.equal(resolveViewerDisplayUri(clip), null);
+  assert.equal(resolveThumbnailDisplayUri(clip), null);
+  assert.equal(resolveFullQualityUri(clip), null);
+  assert.equal(resolveSaveUri(clip), 'https://cdn/clip.mp4');
+  assert.equal(resolveVideoPlaybackUri(clip), 'https://cdn/clip.mp4');
+
+  const ready = { ...clip, viewerUrl: 'https://cdn/clip_viewer.jpg', thumbnailUrl: 'https://cdn/clip_thumb.jpg' };
+  assert.equal(resolveViewerDisplayUri(ready), 'https://cdn/clip_viewer.jpg');
+  assert.equal(resolveThumbnailDisplayUri(ready), 'https://cdn/clip_thumb.jpg');
+  assert.equal(resolveVideoPlaybackUri({ sourceUrl: 'https://cdn/photo.jpg' }), null);
+});
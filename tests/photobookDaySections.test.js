@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildDayScrubberItems,
+  buildPhotobookDaySections,
+  getPhotoTourDay,
+  normalizeItineraryStop,
+  shouldLoadMoreForDay,
+} = require('../utils/photobookDaySections');
+
+const itineraryDays = [
+  { day: 1, content: '09:00 Depart Glasgow\nLuss village stop' },
+  { day: 2, content: 'Glencoe viewpoint' },
+  { day: 3, content: 'Return to Glasgow' },
+];
+const startDate = '2026-05-04';
+const at = (isoDate, hour = 12) => new Date(`${isoDate}T${String(hour).padStart(2, '0')}:00:00`).getTime();
+
+test('getPhotoTourDay buckets by capture day and lets a stop tag win', () => {
+  const context = { startDate, itineraryDays };
+
+  assert.deepEqual(getPhotoTourDay({ timestamp: at('2026-05-05', 9) }, context), { kind: 'day', dayNumber: 2 });
+  assert.deepEqual(getPhotoTourDay({ timestamp: at('2026-05-03') }, context), { kind: 'before_tour', dayNumber: null });
+  assert.deepEqual(getPhotoTourDay({ timestamp: at('2026-05-09') }, context), { kind: 'after_tour', dayNumber: null });
+  assert.deepEqual(getPhotoTourDay({
+    timestamp: at('2026-05-05', 8),
+    itineraryStop: { dayNumber: 1, stopId: 'agenda-2-luss', label: 'Luss village stop' },
+  }, context), { kind: 'day', dayNumber: 1 });
+  assert.deepEqual(getPhotoTourDay({
+    timestamp: at('2026-05-05', 8),
+    itineraryStop: { dayNumber: 9, stopId: 'agenda-1-x', label: 'Out of range' },
+  }, context), { kind: 'day', dayNumber: 2 });
+  assert.equal(getPhotoTourDay({ timestamp: at('2026-05-05') }, { startDate: 'soon', itineraryDays }), null);
+});
+
+test('normalizeItineraryStop rejects malformed tags and trims labels', () => {
+  assert.equal(normalizeItineraryStop(null), null);
+  assert.equal(normalizeItineraryStop({ dayNumber: 0, stopId: 'a', label: 'b' }), null);
+  assert.equal(normalizeItineraryStop({ dayNumber: 61, stopId: 'a', label: 'b' }), null);
+  assert.equal(normalizeItineraryStop({ dayNumber: 1.5, stopId: 'a', label: 'b' }), null);
+  assert.equal(normalizeItineraryStop({ dayNumber: 1, stopId: ' ', label: 'b' }), null);
+  assert.deepEqual(
+    normalizeItineraryStop({ dayNumber: '2', stopId: ' stop-1 ', label: `  ${'x'.repeat(130)}` }),
+    { dayNumber: 2, stopId: 'stop-1', label: 'x'.repeat(120) },
+  );
+});
+
+test('buildPhotobookDaySections orders day sections by sort mode with per-day counts and stops', () => {
+  const photos = [
+    { id: 'p1', timestamp: at('2026-05-04', 10), itineraryStop: { dayNumber: 1, stopId: 'luss', label: 'Luss' } },
+    { id: 'p2', timestamp: at('2026-05-04', 15), itineraryStop: { dayNumber: 1, stopId: 'luss', label: 'Luss' } },
+    { id: 'p3', timestamp: at('2026-05-05', 11) },
+    { id: 'p4', timestamp: at('2026-05-10', 11) },
+    { id: 'p5', timestamp: at('2026-05-01', 11) },
+    { id: 'p6', timestamp: 'not-a-time' },
+  ];
+
+  const newest = buildPhotobookDaySections({ photos, startDate, itineraryDays, sortMode: 'newest' });
+  assert.deepEqual(newest.map((section) => section.key), ['after_tour', 'day-2', 'day-1', 'before_tour', 'undated']);
+  assert.deepEqual(newest[2].photos.map((photo) => photo.id), ['p2', 'p1']);
+  assert.deepEqual(newest[2].stopCounts, [{ stopId: 'luss', label: 'Luss', count: 2 }]);
+  assert.deepEqual(newest[1].stopCounts, []);
+
+  const oldest = buildPhotobookDaySections({ photos, startDate, itineraryDays, sortMode: 'oldest' });
+  assert.deepEqual(oldest.map((section) => section.key), ['before_tour', 'day-1', 'day-2', 'after_tour', 'undated']);
+  assert.deepEqual(oldest[1].photos.map((photo) => photo.id), ['p1', 'p2']);
+});
+
+test('buildPhotobookDaySections falls back to calendar dates without a usable itinerary', () => {
+  const sections = buildPhotobookDaySections({
+    photos: [
+      { id: 'p1', timestamp: at('2026-05-04', 9) },
+      { id: 'p2', timestamp: at('2026-05-04', 18) },
+      { id: 'p3', timestamp: at('2026-05-06', 9) },
+    ],
+    startDate: null,
+    itineraryDays,
+  });
+
+  assert.deepEqual(sections.map((section) => section.key), ['date-2026-05-06', 'date-2026-05-04']);
+  assert.equal(sections[1].kind, 'date');
+  assert.equal(sections[1].photos.length, 2);
+  assert.equal(new Date(sections[1].dateMs).getDate(), 4);
+});
+
+test('buildDayScrubberItems lists every itinerary day with loaded counts', () => {
+  const sections = buildPhotobookDaySections({
+    photos: [
+      { id: 'p1', timestamp: at('2026-05-05', 9) },
+      { id: 'p2', timestamp: at('2026-05-12', 9) },
+    ],
+    startDate,
+    itineraryDays,
+  });
+
+  const items = buildDayScrubberItems({ sections, startDate, itineraryDays, sortMode: 'oldest' });
+  assert.deepEqual(items.map(({ key, loadedCount }) => [key, loadedCount]), [
+    ['day-1', 0],
+    ['day-2', 1],
+    ['day-3', 0],
+    ['after_tour', 1],
+  ]);
+  assert.deepEqual(
+    buildDayScrubberItems({ sections, startDate, itineraryDays }).map((item) => item.key),
+    ['after_tour', 'day-3', 'day-2', 'day-1'],
+  );
+
+  const fallback = buildDayScrubberItems({
+    sections: buildPhotobookDaySections({ photos: [{ id: 'p1', timestamp: at('2026-05-05') }] }),
+  });
+  assert.deepEqual(fallback.map(({ key, loadedCount }) => [key, loadedCount]), [['date-2026-05-05', 1]]);
+});
+
+test('shouldLoadMoreForDay pages towards older days only while they can still appear', () => {
+  const photos = [{ id: 'p1', timestamp: at('2026-05-06', 9) }, { id: 'p2', timestamp: at('2026-05-05', 9) }];
+  const base = { photos, startDate, itineraryDays, hasMore: true };
+
+  assert.equal(shouldLoadMoreForDay({ ...base, targetKey: 'day-1' }), true);
+  assert.equal(shouldLoadMoreForDay({ ...base, targetKey: 'day-2' }), true);
+  assert.equal(shouldLoadMoreForDay({ ...base, targetKey: 'day-3' }), false);
+  assert.equal(shouldLoadMoreForDay({ ...base, targetKey: 'before_tour' }), true);
+  assert.equal(shouldLoadMoreForDay({ ...base, targetKey: 'day-1', hasMore: false }), false);
+  assert.equal(shouldLoadMoreForDay({ ...base, photos: [], targetKey: 'day-1' }), true);
+});
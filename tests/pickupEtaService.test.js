@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_PICKUP_DWELL_MINUTES,
+  PICKUP_ETA_REASONS,
+  PICKUP_ETA_SOURCES,
+  appendDwellSample,
+  buildPickupEta,
+  buildPickupSchedule,
+  estimateDwellMinutes,
+  formatPickupEtaLabel,
+  observeDriverDwell,
+} = require('../services/pickupEtaService');
+
+const NOW = new Date(2026, 7, 14, 8, 30, 0).getTime();
+const liveRecord = (overrides = {}) => ({
+  schemaVersion: 1,
+  isSharing: true,
+  mode: 'live',
+  source: 'auto',
+  latitude: 55.8642,
+  longitude: -4.2518,
+  timestamp: NOW - 30 * 1000,
+  ...overrides,
+});
+const balloch = { date: '14/08/2026', time: '09:15', location: 'Balloch Station', latitude: 56.0029, longitude: -4.5832 };
+const dumbarton = { date: '14/08/2026', time: '08:50', location: 'Dumbarton Cross', latitude: 55.9441, longitude: -4.5659 };
+const glasgow = { date: '14/08/2026', time: '08:00', location: 'Buchanan Bus Station', latitude: 55.8652, longitude: -4.2514 };
+
+test('live estimate routes through remaining earlier stops with learned dwell', () => {
+  const eta = buildPickupEta({
+    driverLocationRecord: liveRecord(),
+    passengerPickup: balloch,
+    tourPickupPoints: [balloch, glasgow, dumbarton],
+    dwellSamplesMinutes: [4, 4, 6],
+    nowMs: NOW,
+  });
+
+  assert.equal(eta.source, PICKUP_ETA_SOURCES.LIVE);
+  assert.equal(eta.freshness, 'live');
+  assert.equal(eta.stopsBefore, 1);
+  assert.ok(eta.minutesAway > 40 && eta.minutesAway < 90, `unexpected ETA ${eta.minutesAway}`);
+  assert.ok(eta.earliestMinutes < eta.minutesAway);
+  assert.ok(eta.latestMinutes > eta.minutesAway);
+  assert.equal(eta.scheduledAtMs, new Date(2026, 7, 14, 9, 15, 0).getTime());
+});
+
+test('confidence band widens once the live fix is only recent', () => {
+  const fresh = buildPickupEta({ driverLocationRecord: liveRecord(), passengerPickup: balloch, nowMs: NOW });
+  const recent = buildPickupEta({
+    driverLocationRecord: liveRecord({ timestamp: NOW - 6 * 60 * 1000 }),
+    passengerPickup: balloch,
+    nowMs: NOW,
+  });
+
+  assert.equal(recent.source, PICKUP_ETA_SOURCES.LIVE);
+  assert.equal(recent.freshness, 'recent');
+  assert.ok(
+    recent.latestMinutes - recent.earliestMinutes > fresh.latestMinutes - fresh.earliestMinutes,
+    'recent fixes must carry a wider band than live fixes',
+  );
+});
+
+test('stale, pickup-mode and missing driver points degrade to the scheduled time', () => {
+  const scheduledAtMs = new Date(2026, 7, 14, 9, 15, 0).getTime();
+  const stale = buildPickupEta({
+    driverLocationRecord: liveRecord({ timestamp: NOW - 15 * 60 * 1000 }),
+    passengerPickup: balloch,
+    nowMs: NOW,
+  });
+  const pickupPoint = buildPickupEta({
+    driverLocationRecord: liveRecord({ mode: 'pickup', source: 'manual' }),
+    passengerPickup: balloch,
+    nowMs: NOW,
+  });
+  const missing = buildPickupEta({ driverLocationRecord: null, passengerPickup: balloch, nowMs: NOW });
+
+  assert.equal(stale.source, PICKUP_ETA_SOURCES.SCHEDULED);
+  assert.equal(stale.reason, PICKUP_ETA_REASONS.DRIVER_LOCATION_STALE);
+  assert.equal(stale.etaMs, scheduledAtMs);
+  assert.equal(stale.minutesAway, 45);
+  assert.equal(pickupPoint.reason, PICKUP_ETA_REASONS.DRIVER_LOCATION_NOT_LIVE);
+  assert.equal(missing.reason, PICKUP_ETA_REASONS.DRIVER_LOCATION_UNAVAILABLE);
+});
+
+test('pickup without coordinates falls back instead of guessing a distance', () => {
+  const eta = buildPickupEta({
+    driverLocationRecord: liveRecord(),
+    passengerPickup: { time: '09:15', date: '14/08/2026', location: 'Balloch Station' },
+    nowMs: NOW,
+  });
+
+  assert.equal(eta.source, PICKUP_ETA_SOURCES.SCHEDULED);
+  assert.equal(eta.reason, PICKUP_ETA_REASONS.PICKUP_LOCATION_UNKNOWN);
+});
+
+test('unparseable pickup times are unavailable rather than scheduled', () => {
+  const eta = buildPickupEta({
+    driverLocationRecord: liveRecord(),
+    passengerPickup: { time: 'TBA', location: 'Balloch' },
+    nowMs: NOW,
+  });
+
+  assert.equal(eta.source, PICKUP_ETA_SOURCES.UNAVAILABLE);
+  assert.equal(eta.reason, PICKUP_ETA_REASONS.PICKUP_TIME_INVALID);
+  assert.equal(formatPickupEtaLabel(eta), null);
+});
+
+test('pickup schedule sorts by date and time and keeps coordinates optional', () => {
+  const schedule = buildPickupSchedule(
+    [balloch, { time: '08:00', location: 'Buchanan Bus Station' }, dumbarton],
+    { fallbackDate: '14/08/2026', now: new Date(NOW) },
+  );
+
+  assert.deepEqual(schedule.map((stop) => stop.location), ['Buchanan Bus Station', 'Dumbarton Cross', 'Balloch Station']);
+  assert.equal(schedule[0].coordinates, null);
+  assert.deepEqual(schedule[2].coordinates, { latitude: 56.0029, longitude: -4.5832 });
+});
+
+test('dwell estimate uses the median of bounded samples', () => {
+  assert.equal(estimateDwellMinutes([]), DEFAULT_PICKUP_DWELL_MINUTES);
+  assert.equal(estimateDwellMinutes([2, 8, 4]), 4);
+  assert.equal(estimateDwellMinutes([2, 4, 'bad', 90, 0.2]), 3);
+  assert.deepEqual(appendDwellSample([1, 2], Number.NaN), [1, 2]);
+});
+
+test('dwell observer emits a sample when the coach moves off a stop', () => {
+  const start = NOW - 10 * 60 * 1000;
+  let observed = observeDriverDwell(null, liveRecord({ timestamp: start }), start);
+  assert.equal(observed.sampleMinutes, null);
+
+  observed = observeDriverDwell(observed.state, liveRecord({ timestamp: start + 4 * 60 * 1000, latitude: 55.86425 }), start + 4 * 60 * 1000);
+  assert.equal(observed.sampleMinutes, null);
+
+  observed = observeDriverDwell(observed.state, liveRecord({ timestamp: start + 6 * 60 * 1000, latitude: 55.9 }), start + 6 * 60 * 1000);
+  assert.equal(observed.sampleMinutes, 4);
+
+  const reset = observeDriverDwell(observed.state, liveRecord({ mode: 'pickup', source: 'manual' }), NOW);
+  assert.equal(reset.state, null);
+});
+
+test('labels describe live bands and scheduled fallbacks', () => {
+  assert.equal(
+    formatPickupEtaLabel({ source: 'live', minutesAway: 12, earliestMinutes: 10, latestMinutes: 15 }),
+    'Coach about 12 min from your stop (10–15 min)',
+  );
+  assert.equal(
+    formatPickupEtaLabel({ source: 'scheduled', scheduledAtMs: NOW }, { formatTime: () => '08:30' }),
+    'Scheduled pickup 08:30',
+  );
+});
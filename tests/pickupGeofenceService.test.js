@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ARRIVAL_CONFIRMATION_FIXES,
+  GEOFENCE_MODES,
+  dismissGeofenceProposal,
+  evaluatePickupGeofence,
+  normalizeGeofenceMode,
+  selectGeofencedPickups,
+} = require('../services/pickupGeofenceService');
+
+const pack = {
+  pickups: {
+    p2: { pickupId: 'p2', sequence: 1, name: 'Dumbarton Cross', latitude: 55.9441, longitude: -4.5659 },
+    p1: { pickupId: 'p1', sequence: 0, name: 'Buchanan Bus Station', latitude: 55.8652, longitude: -4.2514 },
+    p3: { pickupId: 'p3', sequence: 2, name: 'Balloch Station' },
+  },
+};
+const pickups = selectGeofencedPickups(pack);
+const fix = (latitude, longitude, accuracy = 10) => ({ coords: { latitude, longitude, accuracy }, timestamp: 1 });
+const atBuchanan = fix(55.86525, -4.25145);
+const farAway = fix(55.9, -4.4);
+
+function feed(fixes, pickupStops = {}, initialState = null) {
+  let state = initialState;
+  const proposals = [];
+  fixes.forEach((item) => {
+    const result = evaluatePickupGeofence({ state, fix: item, pickups, pickupStops, nowMs: 1000 });
+    state = result.state;
+    if (result.proposal) proposals.push(result.proposal);
+  });
+  return { state, proposals };
+}
+
+test('only pickups with published coordinates are geofenced, in run order', () => {
+  assert.deepEqual(pickups.map((pickup) => pickup.pickupId), ['p1', 'p2']);
+  assert.deepEqual(selectGeofencedPickups(null), []);
+});
+
+test('arrival is proposed only after consecutive fixes inside the radius', () => {
+  const single = feed([atBuchanan]);
+  assert.equal(single.proposals.length, 0);
+
+  const confirmed = feed(Array.from({ length: ARRIVAL_CONFIRMATION_FIXES }, () => atBuchanan));
+  assert.equal(confirmed.proposals.length, 1);
+  assert.equal(confirmed.proposals[0].pickupId, 'p1');
+  assert.equal(confirmed.proposals[0].state, 'ARRIVED');
+  assert.equal(confirmed.proposals[0].previousState, 'PENDING');
+
+  const interrupted = feed([atBuchanan, farAway, atBuchanan]);
+  assert.equal(interrupted.proposals.length, 0);
+});
+
+test('inaccurate and malformed fixes are ignored', () => {
+  const result = feed([fix(55.86525, -4.25145, 400), fix('bad', -4.25), atBuchanan]);
+  assert.equal(result.proposals.length, 0);
+  assert.equal(result.state.candidateFixes, 1);
+});
+
+test('completion is proposed when leaving an arrived stop that was visited', () => {
+  const arrived = { p1: { state: 'ARRIVED', updatedAtMs: 1 } };
+  const withoutVisit = feed([farAway], arrived);
+  assert.equal(withoutVisit.proposals.length, 0, 'app start far from an arrived stop must not complete it');
+
+  const departed = feed([atBuchanan, farAway], arrived);
+  assert.equal(departed.proposals.length, 1);
+  assert.equal(departed.proposals[0].state, 'COMPLETED');
+  assert.equal(departed.proposals[0].previousState, 'ARRIVED');
+});
+
+test('completed and skipped stops are never reopened', () => {
+  const result = feed([atBuchanan, atBuchanan, farAway], {
+    p1: { state: 'COMPLETED', updatedAtMs: 1 },
+  });
+  assert.equal(result.proposals.length, 0);
+  const skipped = feed([atBuchanan, atBuchanan], { p1: { state: 'SKIPPED', updatedAtMs: 1 } });
+  assert.equal(skipped.proposals.length, 0);
+});
+
+test('dismissed proposals are not offered again for the same stop and state', () => {
+  const first = feed([atBuchanan, atBuchanan]);
+  const dismissed = dismissGeofenceProposal(first.state, first.proposals[0]);
+  const again = feed([atBuchanan, atBuchanan, atBuchanan], {}, dismissed);
+  assert.equal(again.proposals.length, 0);
+});
+
+test('unknown modes fall back to off', () => {
+  assert.equal(normalizeGeofenceMode('auto'), GEOFENCE_MODES.AUTO);
+  assert.equal(normalizeGeofenceMode('always'), GEOFENCE_MODES.OFF);
+});
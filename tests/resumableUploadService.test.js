@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  UPLOAD_CHUNK_GRANULARITY_BYTES,
+  UPLOAD_SESSION_MAX_AGE_MS,
+  createResumableUploadService,
+  resolveReusableSession,
+} = require('../services/resumableUploadService');
+
+const CHUNK = UPLOAD_CHUNK_GRANULARITY_BYTES;
+const STORAGE_PATH = 'photos/tour-1/group/source/photo-1.mp4';
+
+const createResponse = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+});
+
+// Speaks just enough of the resumable protocol to count what arrived.
+const createFakeStorage = () => {
+  const sessions = new Map();
+  const calls = [];
+  let nextId = 1;
+  let failOnChunk = null;
+
+  const fetchFn = async (url, options) => {
+    const command = options.headers['X-Goog-Upload-Command'];
+    calls.push({ url, command, offset: options.headers['X-Goog-Upload-Offset'] ?? null });
+    if (command === 'start') {
+      const sessionUri = `https://upload.example.test/session-${nextId++}`;
+      sessions.set(sessionUri, { received: 0, final: false });
+      return createResponse(200, { 'X-Goog-Upload-URL': sessionUri });
+    }
+    const session = sessions.get(url);
+    if (!session) return createResponse(404);
+    if (command === 'query') {
+      return createResponse(200, {
+        'X-Goog-Upload-Size-Received': String(session.received),
+        'X-Goog-Upload-Status': session.final ? 'final' : 'active',
+      });
+    }
+    if (failOnChunk !== null && Number(options.headers['X-Goog-Upload-Offset']) >= failOnChunk) {
+      throw new Error('Network request failed');
+    }
+    assert.equal(Number(options.headers['X-Goog-Upload-Offset']), session.received);
+    session.received += options.body.size;
+    session.final = command.includes('finalize');
+    return createResponse(200);
+  };
+
+  return {
+    calls,
+    fetchFn,
+    sessions,
+    failFromOffset: (offset) => { failOnChunk = offset; },
+  };
+};
+
+const createUpload = (totalBytes) => ({
+  bucket: 'demo-bucket',
+  storagePath: STORAGE_PATH,
+  blob: new Blob([new Uint8Array(totalBytes)]),
+  metadata: { contentType: 'video/mp4', cacheControl: 'private, max-age=31536000', customMetadata: {} },
+  getAuthToken: async () => 'token-1',
+});
+
+test('an upload killed mid-file resumes from the server offset in a new process', async () => {
+  const storage = createFakeStorage();
+  const totalBytes = 3 * CHUNK + 100;
+  let persisted = null;
+  const onSession = async (session) => { persisted = session; };
+
+  storage.failFromOffset(2 * CHUNK);
+  const firstRun = createResumableUploadService({ fetchFn: storage.fetchFn, chunkSize: CHUNK, nowFn: () => 1000 });
+  await assert.rejects(
+    firstRun.uploadResumable({ ...createUpload(totalBytes), onSession }),
+    /Network request failed/
+  );
+  assert.equal(persisted.bytesSent, 2 * CHUNK);
+  assert.equal(persisted.totalBytes, totalBytes);
+
+  // Only the persisted session survives the restart.
+  storage.failFromOffset(null);
+  const progress = [];
+  const secondRun = createResumableUploadService({ fetchFn: storage.fetchFn, chunkSize: CHUNK, nowFn: () => 2000 });
+  const result = await secondRun.uploadResumable({
+    ...createUpload(totalBytes),
+    session: persisted,
+    onSession,
+    onProgress: (value) => progress.push(value),
+  });
+
+  assert.deepEqual(result, { resumedFromBytes: 2 * CHUNK, totalBytes });
+  assert.equal(storage.sessions.size, 1);
+  const [serverSession] = storage.sessions.values();
+  assert.equal(serverSession.received, totalBytes);
+  assert.equal(serverSession.final, true);
+  assert.equal(storage.calls.filter((call) => call.command === 'start').length, 1);
+  const resumedChunks = storage.calls.slice(storage.calls.findIndex((call) => call.command === 'query'));
+  assert.deepEqual(resumedChunks.map((call) => call.command), ['query', 'upload', 'upload, finalize']);
+  assert.equal(resumedChunks[1].offset, String(2 * CHUNK));
+  assert.equal(progress[0], (2 * CHUNK) / totalBytes);
+  assert.equal(progress[progress.length - 1], 1);
+  assert.equal(persisted.bytesSent, totalBytes);
+  assert.equal(persisted.startedAt, 1000);
+});
+
+test('a session the server has forgotten starts a fresh upload', async () => {
+  const storage = createFakeStorage();
+  const service = createResumableUploadService({ fetchFn: storage.fetchFn, chunkSize: CHUNK, nowFn: () => 5000 });
+  const stale = {
+    sessionUri: 'https://upload.example.test/expired',
+    storagePath: STORAGE_PATH,
+    totalBytes: CHUNK,
+    bytesSent: CHUNK / 2,
+    startedAt: 4000,
+  };
+
+  const result = await service.uploadResumable({ ...createUpload(CHUNK), session: stale });
+
+  assert.equal(result.resumedFromBytes, 0);
+  assert.deepEqual(storage.calls.map((call) => call.command), ['query', 'start', 'upload, finalize']);
+});
+
+test('a session that already finalized skips straight to the database write', async () => {
+  const storage = createFakeStorage();
+  const service = createResumableUploadService({ fetchFn: storage.fetchFn, chunkSize: CHUNK, nowFn: () => 1000 });
+  let persisted = null;
+  await service.uploadResumable({ ...createUpload(CHUNK), onSession: async (session) => { persisted = session; } });
+  storage.calls.length = 0;
+
+  const result = await service.uploadResumable({ ...createUpload(CHUNK), session: persisted });
+
+  assert.deepEqual(result, { resumedFromBytes: CHUNK, totalBytes: CHUNK });
+  assert.deepEqual(storage.calls.map((call) => call.command), ['query']);
+});
+
+test('resolveReusableSession rejects sessions for another file or past their age', () => {
+  const session = {
+    sessionUri: 'https://upload.example.test/session-1',
+    storagePath: STORAGE_PATH,
+    totalBytes: 10,
+    startedAt: 0,
+  };
+
+  assert.equal(resolveReusableSession(session, { storagePath: STORAGE_PATH, totalBytes: 10, now: 1 }), session);
+  assert.equal(resolveReusableSession(session, { storagePath: STORAGE_PATH, totalBytes: 11, now: 1 }), null);
+  assert.equal(resolveReusableSession(session, { storagePath: 'photos/other.jpg', totalBytes: 10, now: 1 }), null);
+  assert.equal(
+    resolveReusableSession(session, { storagePath: STORAGE_PATH, totalBytes: 10, now: UPLOAD_SESSION_MAX_AGE_MS + 1 }),
+    null
+  );
+  assert.equal(
+    resolveReusableSession({ ...session, sessionUri: 'http://insecure.test' }, { storagePath: STORAGE_PATH, totalBytes: 10, now: 1 }),
+    null
+  );
+});
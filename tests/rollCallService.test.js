@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  CONFIRM_ERRORS,
+  RETURN_SOURCES,
+  applySelfCheckins,
+  buildRollCallExpected,
+  buildRollCallSyncUpdate,
+  closeRollCall,
+  confirmErrorMessageKey,
+  createRollCall,
+  createRollCallService,
+  markReturned,
+  normalizeActiveRollCall,
+  resolveMissingLocations,
+  summarizeRollCall,
+} = require('../services/rollCallService');
+
+const bookings = [
+  { id: 't1', passengerNames: ['Ann Roe', 'Ben Roe'], seatNumbers: ['4A', '4B'], hasPassengerStatuses: true, passengerStatus: ['BOARDED', 'BOARDED'] },
+  { id: 'T2', passengerNames: ['Cat Lee'], seatNumbers: ['9C'], status: 'BOARDED' },
+  { id: 'T3', passengerNames: ['Dan Fox', 'Eve Fox'], hasPassengerStatuses: true, passengerStatus: ['BOARDED', 'NO_SHOW'] },
+  { id: 'T4', passengerNames: ['Fay Kim'], status: 'PENDING' },
+];
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    items,
+    getItemAsync: async (key) => (items.has(key) ? items.get(key) : null),
+    setItemAsync: async (key, value) => { items.set(key, value); },
+    deleteItemAsync: async (key) => { items.delete(key); },
+  };
+};
+
+test('a roll call expects only passengers who are boarded when it starts', () => {
+  const expected = buildRollCallExpected(bookings);
+  assert.deepEqual(Object.keys(expected), ['T1_0', 'T1_1', 'T2_0', 'T3_0']);
+  assert.deepEqual(expected.T1_1, { bookingRef: 'T1', passengerIndex: 1, name: 'Ben Roe', seat: '4B' });
+  assert.equal(expected.T3_0.seat, 'TBA');
+});
+
+test('driver ticks, passenger confirmations and closing record who was missing', () => {
+  let rollCall = createRollCall({ tourId: '5001D_1', stopName: ' Luss ', bookings, driverId: 'D-ONE', nowMs: 1000 });
+  assert.equal(rollCall.rollCallId, 'rc_1000');
+  assert.equal(rollCall.stopName, 'Luss');
+
+  rollCall = markReturned(rollCall, 'T2_0', { atMs: 1100 });
+  rollCall = applySelfCheckins(rollCall, {
+    checkins: { uidAnn: { atMs: 1200 }, uidStale: { atMs: 900 }, uidUnknown: { atMs: 1300 } },
+    participantBookings: { uidAnn: 'T1', uidStale: 'T3' },
+  });
+  assert.deepEqual(rollCall.returned.T1_1, { atMs: 1200, source: RETURN_SOURCES.PASSENGER });
+  assert.equal(rollCall.returned.T3_0, undefined, 'a confirmation from before the roll call started is ignored');
+  assert.equal(applySelfCheckins(rollCall, { checkins: { uidAnn: { atMs: 1500 } }, participantBookings: { uidAnn: 'T1' } }), rollCall);
+
+  const summary = summarizeRollCall(rollCall);
+  assert.equal(summary.returnedCount, 3);
+  assert.deepEqual(summary.missing.map((entry) => entry.name), ['Dan Fox']);
+
+  const closed = closeRollCall(rollCall, 2000);
+  assert.equal(closed.status, 'closed');
+  assert.deepEqual(closed.missingAtClose, { T3_0: true });
+  assert.equal(markReturned(closed, 'T3_0'), closed, 'a closed roll call cannot change');
+
+  const update = buildRollCallSyncUpdate(closed);
+  assert.equal(update['tours/5001D_1/rollCall'], null);
+  assert.equal(update['tour_manifests/5001D_1/roll_calls/rc_1000/closedAtMs'], 2000);
+  assert.ok(!Object.keys(update).some((path) => path.includes('participantBookings') || path.includes('checkins')));
+});
+
+test('missing passengers show the newest location shared by anyone on their booking', () => {
+  const missing = [{ key: 'T1_0', bookingRef: 'T1' }, { key: 'T3_0', bookingRef: 'T3' }];
+  const locations = resolveMissingLocations({
+    missing,
+    participantBookings: { uidA: 'T1', uidB: 'T1', uidC: 'T3' },
+    liveTracking: {
+      uidA: { isSharing: true, lastUpdate: 100, coords: { latitude: 56.1, longitude: -4.6, accuracy: 12 } },
+      uidB: { isSharing: true, lastUpdate: 300, coords: { latitude: 56.2, longitude: -4.7, accuracy: 8 } },
+      uidC: { isSharing: false, lastUpdate: 300, coords: { latitude: 1, longitude: 1 } },
+    },
+  });
+  assert.deepEqual(locations, { T1_0: { latitude: 56.2, longitude: -4.7, accuracy: 8, updatedAtMs: 300 } });
+});
+
+test('the open roll call is kept on the device and synced without touching passenger writes', async () => {
+  const storage = memoryStorage();
+  const updates = [];
+  const db = { ref: () => ({ update: async (value) => { updates.push(value); } }) };
+  let clock = 5000;
+  const service = createRollCallService({ storage, getDatabase: () => db, now: () => clock });
+
+  const empty = await service.start({ tourId: '5001D_1', driverId: 'D-ONE', stopName: 'Luss', bookings: [bookings[3]] });
+  assert.equal(empty.success, false);
+
+  const started = await service.start({ tourId: '5001D_1', driverId: 'D-ONE', stopName: 'Luss', bookings });
+  assert.equal(started.success, true);
+  assert.equal((await started.synced).success, true);
+  assert.equal(updates[0]['tours/5001D_1/rollCall/rollCallId'], 'rc_5000');
+
+  clock = 5100;
+  const ticked = await service.setReturned({ driverId: 'D-ONE', rollCall: started.data, key: 'T2_0', returned: true });
+  const loaded = await service.loadSession({ tourId: '5001D_1', driverId: 'D-ONE' });
+  assert.deepEqual(loaded.data.returned, { T2_0: { atMs: 5100, source: 'driver' } });
+
+  await service.close({ driverId: 'D-ONE', rollCall: ticked.data });
+  assert.equal((await service.loadSession({ tourId: '5001D_1', driverId: 'D-ONE' })).data, null);
+  assert.equal(storage.items.size, 0);
+});
+
+test('the passenger pointer reports their own confirmation and driver ticks for this roll call only', () => {
+  const pointer = {
+    rollCallId: 'rc_1000',
+    stopName: 'Inverness',
+    startedAtMs: 1000,
+    checkins: { uidA: { atMs: 1500 }, uidB: { atMs: 900 } },
+    returned: { uidA: { atMs: 1800 }, uidB: { atMs: 700 } },
+  };
+  assert.deepEqual(normalizeActiveRollCall(pointer, 'uidA'), {
+    rollCallId: 'rc_1000', stopName: 'Inverness', startedAtMs: 1000, confirmedAtMs: 1500, returnedAtMs: 1800,
+  });
+  const stale = normalizeActiveRollCall(pointer, 'uidB');
+  assert.equal(stale.confirmedAtMs, null);
+  assert.equal(stale.returnedAtMs, null);
+  assert.equal(normalizeActiveRollCall({ stopName: 'No id' }, 'uidA'), null);
+});
+
+test('a failed "I\'m back" comes back as a code with copy in every locale', async () => {
+  const rejecting = createRollCallService({
+    storage: memoryStorage(),
+    getDatabase: () => ({ ref: () => ({ set: async () => { throw new Error('PERMISSION_DENIED'); } }) }),
+  });
+  assert.equal((await rejecting.confirmBack({ tourId: '5001D_1', authUid: 'uid-1' })).error, CONFIRM_ERRORS.NOT_SAVED);
+  const offline = createRollCallService({ storage: memoryStorage(), getDatabase: () => null });
+  assert.equal((await offline.confirmBack({ tourId: '5001D_1', authUid: 'uid-1' })).error, CONFIRM_ERRORS.UNAVAILABLE);
+
+  for (const locale of ['en', 'de', 'es', 'fr', 'it']) {
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${locale}.json`), 'utf8'));
+    for (const code of Object.values(CONFIRM_ERRORS)) {
+      assert.equal(typeof catalog[confirmErrorMessageKey(code)], 'string', `${locale} ${code}`);
+    }
+  }
+});
@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  CHECK_IN_ERRORS,
+  CHECK_IN_STATUS,
+  checkInErrorMessageKey,
+  createSafetyCheckInService,
+  findMeetBackTime,
+  isBackOnCoach,
+  listTourCheckIns,
+  resolveMeetBackTime,
+} = require('../services/safetyCheckInService');
+
+const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes).getTime();
+const scope = { tourId: '5112d', principalId: 'principal_1', authUid: 'uid_1' };
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    items,
+    getItemAsync: async (key) => (items.has(key) ? items.get(key) : null),
+    setItemAsync: async (key, value) => { items.set(key, value); },
+    deleteItemAsync: async (key) => { items.delete(key); },
+  };
+};
+
+const fakeNotifications = () => {
+  let next = 0;
+  const scheduled = new Map();
+  return {
+    scheduled,
+    scheduleNotificationAsync: async (request) => {
+      next += 1;
+      scheduled.set(`n${next}`, request);
+      return `n${next}`;
+    },
+    cancelScheduledNotificationAsync: async (id) => { scheduled.delete(id); },
+  };
+};
+
+// Values by path, with `value` listeners that fire on subscribe and on set.
+const fakeDatabase = () => {
+  const values = new Map();
+  const listeners = new Map();
+  const emit = (path) => (listeners.get(path) || []).forEach((handler) => handler({ val: () => values.get(path) ?? null }));
+  return {
+    values,
+    emit,
+    ref: (path) => ({
+      set: async (value) => {
+        if (value === null) values.delete(path);
+        else values.set(path, JSON.parse(JSON.stringify(value)));
+        emit(path);
+      },
+      on: (event, handler) => {
+        listeners.set(path, [...(listeners.get(path) || []), handler]);
+        handler({ val: () => values.get(path) ?? null });
+      },
+      off: (event, handler) => listeners.set(path, (listeners.get(path) || []).filter((item) => item !== handler)),
+    }),
+  };
+};
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+const copy = {
+  reminder: (minutes) => ({ title: 'Check-in', body: `${minutes} minutes left` }),
+  due: { title: 'Check-in time', body: 'Time is up' },
+};
+
+test('the earliest upcoming meet-back time is read from the day text', () => {
+  const content = 'Morning: Edinburgh Castle\n'
+    + '- Free time on the Royal Mile until 15:30\n'
+    + '- Meet back at the coach at 4pm\n'
+    + '- Coach departs 11.00 for Inverness\n'
+    + '- Lunch, about 2 hours';
+  assert.deepEqual(findMeetBackTime(content, at(13)), {
+    dueAtMs: at(15, 30),
+    label: 'Free time on the Royal Mile until 15:30',
+  });
+  assert.equal(findMeetBackTime(content, at(16, 30)), null);
+  assert.equal(findMeetBackTime('Free time for 2 hours', at(13)), null);
+  assert.equal(findMeetBackTime('Rejoin the coach at 3:45 PM', at(13)).dueAtMs, at(15, 45));
+});
+
+test('only the active itinerary day is used', () => {
+  const itineraryDays = [{ content: 'Glasgow' }, { content: 'Inverness free time, back on the coach at 17:15' }];
+  assert.equal(resolveMeetBackTime({ startDate: '18/10/2026', itineraryDays, nowMs: at(14) }).dueAtMs, at(17, 15));
+  assert.equal(resolveMeetBackTime({ startDate: '19/10/2026', itineraryDays, nowMs: at(14) }), null);
+  assert.equal(resolveMeetBackTime({ startDate: '01/01/2020', itineraryDays, nowMs: at(14) }), null);
+});
+
+test('starting a timer schedules reminders ahead of the time and replaces an older timer', async () => {
+  let nowMs = at(14);
+  const storage = memoryStorage();
+  const notifications = fakeNotifications();
+  const service = createSafetyCheckInService({ storage, getNotifications: () => notifications, now: () => nowMs });
+
+  const first = await service.start(scope, { dueAtMs: at(14, 10), copy });
+  assert.equal(first.success, true);
+  // Only the five-minute reminder and the due notice are still ahead.
+  assert.deepEqual([...notifications.scheduled.values()].map((request) => request.content.body), ['5 minutes left', 'Time is up']);
+  assert.deepEqual(notifications.scheduled.get('n1').content.data, { screen: 'SafetySupport', tourId: '5112D', notificationType: 'safety_check_in' });
+
+  const second = await service.start(scope, { dueAtMs: at(15, 30), source: 'itinerary', label: 'Free time until 15:30', copy });
+  assert.equal(second.data.status, CHECK_IN_STATUS.RUNNING);
+  assert.equal(notifications.scheduled.size, 3);
+  assert.deepEqual((await service.load(scope)).data.notificationIds, ['n3', 'n4', 'n5']);
+
+  assert.equal((await service.start(scope, { dueAtMs: at(13), copy })).error, CHECK_IN_ERRORS.INVALID_TIME);
+  assert.equal((await service.start({ ...scope, authUid: null }, { dueAtMs: at(15), copy })).error, CHECK_IN_ERRORS.SIGNED_OUT);
+  nowMs = at(14, 1);
+  await service.cancel(scope);
+  assert.equal(notifications.scheduled.size, 0);
+  assert.equal((await service.load(scope)).data, null);
+});
+
+test('a started timer is stored for the server and follows the alert the server raises', async () => {
+  const storage = memoryStorage();
+  const notifications = fakeNotifications();
+  const db = fakeDatabase();
+  const service = createSafetyCheckInService({ storage, getDatabase: () => db, getNotifications: () => notifications, now: () => at(14) });
+  const path = 'safety_check_ins/5112D/uid_1';
+
+  const started = await service.start(scope, { dueAtMs: at(15, 30), source: 'itinerary', label: 'Free time until 15:30', passengerName: 'Ann Roe', copy });
+  assert.equal((await started.synced).success, true);
+  assert.deepEqual(db.values.get(path), {
+    schemaVersion: 1,
+    principalId: 'principal_1',
+    startedAtMs: at(14),
+    dueAtMs: at(15, 30),
+    source: 'itinerary',
+    label: 'Free time until 15:30',
+    passengerName: 'Ann Roe',
+    status: CHECK_IN_STATUS.RUNNING,
+  });
+
+  const changes = [];
+  const unsubscribe = service.subscribe(scope, (checkIn) => changes.push(checkIn));
+  await settle();
+  assert.deepEqual(changes, []);
+
+  await db.ref(path).set({ ...db.values.get(path), status: CHECK_IN_STATUS.RAISED, raisedAtMs: at(15, 36), eventId: 'checkin_uid_1' });
+  await settle();
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].status, CHECK_IN_STATUS.RAISED);
+  assert.equal(changes[0].raisedAtMs, at(15, 36));
+  assert.equal(notifications.scheduled.size, 0);
+  assert.equal((await service.load(scope)).data.status, CHECK_IN_STATUS.RAISED);
+
+  const cleared = await service.cancel(scope);
+  assert.equal((await cleared.synced).success, true);
+  assert.equal(db.values.has(path), false);
+  assert.equal((await service.load(scope)).data, null);
+  unsubscribe();
+});
+
+test('a timer cleared by the server is dropped from the phone, and one that never synced is sent again', async () => {
+  const storage = memoryStorage();
+  const db = fakeDatabase();
+  const offline = createSafetyCheckInService({ storage, getDatabase: () => null, getNotifications: () => null, now: () => at(14) });
+  const path = 'safety_check_ins/5112D/uid_1';
+  assert.equal((await (await offline.start(scope, { dueAtMs: at(15), passengerName: 'Ann Roe' })).synced).success, false);
+
+  const service = createSafetyCheckInService({ storage, getDatabase: () => db, getNotifications: () => null, now: () => at(14, 5) });
+  const changes = [];
+  const unsubscribe = service.subscribe(scope, (checkIn) => changes.push(checkIn));
+  await settle();
+  assert.equal(db.values.get(path).startedAtMs, at(14));
+  assert.deepEqual(changes, []);
+
+  // A roll call return cleared it on the server.
+  await db.ref(path).set(null);
+  await settle();
+  assert.deepEqual(changes, [null]);
+  assert.equal((await service.load(scope)).data, null);
+  unsubscribe();
+});
+
+test('the driver sees every timer on the tour, soonest first', () => {
+  assert.deepEqual(listTourCheckIns({
+    uid_2: { startedAtMs: at(14), dueAtMs: at(16), status: 'running', passengerName: 'Bo Lee' },
+    uid_1: { startedAtMs: at(13), dueAtMs: at(15), status: 'raised', raisedAtMs: at(15, 6), label: 'Free time until 15:00' },
+    broken: { startedAtMs: 'soon' },
+  }), [
+    { authUid: 'uid_1', passengerName: null, label: 'Free time until 15:00', startedAtMs: at(13), dueAtMs: at(15), status: 'raised', raisedAtMs: at(15, 6) },
+    { authUid: 'uid_2', passengerName: 'Bo Lee', label: null, startedAtMs: at(14), dueAtMs: at(16), status: 'running', raisedAtMs: null },
+  ]);
+  assert.deepEqual(listTourCheckIns(null), []);
+});
+
+test('a roll call tick or confirmation after the timer started counts as back on the coach', () => {
+  const checkIn = { startedAtMs: at(14) };
+  assert.equal(isBackOnCoach(checkIn, { returnedAtMs: at(15, 20), confirmedAtMs: null }), true);
+  assert.equal(isBackOnCoach(checkIn, { returnedAtMs: null, confirmedAtMs: at(15, 25) }), true);
+  assert.equal(isBackOnCoach(checkIn, { returnedAtMs: at(13), confirmedAtMs: null }), false);
+  assert.equal(isBackOnCoach(checkIn, null), false);
+});
+
+test('timer failures are codes with a message in every locale', async () => {
+  const failing = createSafetyCheckInService({
+    storage: { ...memoryStorage(), setItemAsync: async () => { throw new Error('disk full'); } },
+    getNotifications: () => null,
+    now: () => at(14),
+  });
+  assert.equal((await failing.start(scope, { dueAtMs: at(15) })).error, CHECK_IN_ERRORS.NOT_SAVED);
+  assert.equal(checkInErrorMessageKey('disk full'), checkInErrorMessageKey(CHECK_IN_ERRORS.NOT_SAVED));
+
+  for (const locale of ['en', 'de', 'es', 'fr', 'it']) {
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${locale}.json`), 'utf8'));
+    for (const code of Object.values(CHECK_IN_ERRORS)) {
+      assert.equal(typeof catalog[checkInErrorMessageKey(code)], 'string', `${locale} ${code}`);
+    }
+  }
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { finiteOrNull, response, safeKey } = require('../services/serviceResponse');
+
+test('builds the shared service result shape', () => {
+  assert.deepEqual(response.ok({ id: 1 }), { success: true, data: { id: 1 } });
+  assert.deepEqual(response.fail('NOT_AUTHORIZED'), { success: false, error: 'NOT_AUTHORIZED' });
+});
+
+test('accepts only single Realtime Database path segments and finite numbers', () => {
+  assert.equal(safeKey('TOUR_1'), true);
+  ['', 'a/b', 'a.b', 'a#b', 'a$b', 'a[0]', 'x'.repeat(181), 42, null].forEach((value) => {
+    assert.equal(safeKey(value), false, String(value));
+  });
+  assert.equal(finiteOrNull(0), 0);
+  assert.equal(finiteOrNull(Number.NaN), null);
+  assert.equal(finiteOrNull('5'), null);
+});
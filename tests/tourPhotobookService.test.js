@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  PHOTOBOOK_ERRORS,
+  createTourPhotobookService,
+  isTourPhotobookAvailable,
+  photobookErrorMessageKey,
+} = require('../services/tourPhotobookService');
+
+const END_MS = Date.UTC(2026, 4, 6);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const auth = { currentUser: { uid: 'passenger-1', getIdToken: async () => 'id-token' } };
+
+test('the photobook entry appears only after the final tour day', () => {
+  assert.equal(isTourPhotobookAvailable({ endDateEpochMs: END_MS }, END_MS + DAY_MS - 1), false);
+  assert.equal(isTourPhotobookAvailable({ endDateEpochMs: END_MS }, END_MS + DAY_MS), true);
+  assert.equal(isTourPhotobookAvailable({ endDate: '06/05/2026' }, END_MS + DAY_MS), true);
+  assert.equal(isTourPhotobookAvailable({ startDate: '2026-05-06' }, END_MS + DAY_MS), true);
+  assert.equal(isTourPhotobookAvailable({ endDate: '31/02/2026' }, END_MS + 100 * DAY_MS), false);
+  assert.equal(isTourPhotobookAvailable(null, END_MS + DAY_MS), false);
+});
+
+test('requestPhotobook posts the canonical tour id and returns the signed link', async () => {
+  const calls = [];
+  const service = createTourPhotobookService({
+    getAuth: () => auth,
+    endpoint: () => 'https://functions.example/exportTourPhotobook',
+    fetchImpl: async (url, options) => {
+      calls.push({ url, options });
+      return {
+        ok: true,
+        json: async () => ({ success: true, url: 'https://storage.example/book.pdf', expiresAtMs: END_MS, photoCount: 12 }),
+      };
+    },
+  });
+
+  const result = await service.requestPhotobook({ tourId: ' tour_1 ' });
+
+  assert.deepEqual(result, {
+    success: true,
+    data: { url: 'https://storage.example/book.pdf', expiresAtMs: END_MS, photoCount: 12 },
+  });
+  assert.equal(calls[0].options.headers.Authorization, 'Bearer id-token');
+  assert.deepEqual(JSON.parse(calls[0].options.body), { tourId: 'TOUR_1' });
+});
+
+test('requestPhotobook returns failure codes that all have catalog copy', async () => {
+  const serviceFor = (status, payload) => createTourPhotobookService({
+    getAuth: () => auth,
+    endpoint: () => 'https://functions.example/exportTourPhotobook',
+    fetchImpl: async () => ({ ok: status === 200, json: async () => payload }),
+  });
+
+  assert.equal((await serviceFor(409, { reason: 'PHOTOBOOK_NOT_READY' }).requestPhotobook({ tourId: 'TOUR_1' })).error, PHOTOBOOK_ERRORS.PHOTOBOOK_NOT_READY);
+  assert.equal((await serviceFor(404, { reason: 'NO_PHOTOS' }).requestPhotobook({ tourId: 'TOUR_1' })).error, PHOTOBOOK_ERRORS.NO_PHOTOS);
+  assert.equal((await serviceFor(500, { reason: 'INTERNAL_ERROR' }).requestPhotobook({ tourId: 'TOUR_1' })).error, PHOTOBOOK_ERRORS.UNAVAILABLE);
+  assert.equal((await serviceFor(500, null).requestPhotobook({ tourId: 'TOUR_1' })).error, PHOTOBOOK_ERRORS.UNAVAILABLE);
+  assert.equal((await serviceFor(200, { success: true, url: 'http://insecure' }).requestPhotobook({ tourId: 'TOUR_1' })).error, PHOTOBOOK_ERRORS.UNAVAILABLE);
+  assert.equal((await createTourPhotobookService({ getAuth: () => null }).requestPhotobook({ tourId: 'TOUR_1' })).error, PHOTOBOOK_ERRORS.SIGNED_OUT);
+  const offline = createTourPhotobookService({
+    getAuth: () => auth,
+    endpoint: () => 'https://functions.example/exportTourPhotobook',
+    fetchImpl: async () => { throw new TypeError('Network request failed'); },
+  });
+  assert.equal((await offline.requestPhotobook({ tourId: 'TOUR_1' })).error, PHOTOBOOK_ERRORS.UNAVAILABLE);
+
+  for (const locale of ['en', 'de', 'es', 'fr', 'it']) {
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${locale}.json`), 'utf8'));
+    for (const code of Object.values(PHOTOBOOK_ERRORS)) {
+      assert.equal(typeof catalog[photobookErrorMessageKey(code)], 'string', `${locale} ${code}`);
+    }
+  }
+  assert.equal(photobookErrorMessageKey('Network request failed'), 'tourHome.photobookExport.unavailableMessage');
+});
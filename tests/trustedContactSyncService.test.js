@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildSyncedTrustedContacts,
+  createTrustedContactSyncService,
+} = require('../services/trustedContactSyncService');
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const createDatabase = (initial = {}) => {
+  const values = { ...initial };
+  const writes = [];
+  const ref = (path) => ({
+    once: async () => ({ val: () => values[path] ?? null }),
+    child: (childPath) => ref(`${path}/${childPath}`),
+    set: async (value) => { writes.push({ op: 'set', path, value }); values[path] = value; },
+    update: async (value) => { writes.push({ op: 'update', path, value }); },
+    remove: async () => { writes.push({ op: 'remove', path }); delete values[path]; },
+  });
+  return { values, writes, ref };
+};
+
+const createService = (database, uid = 'uid-1') => createTrustedContactSyncService({
+  getAuth: () => ({ currentUser: uid ? { uid } : null }),
+  getDatabase: () => database,
+  nowFn: () => NOW,
+});
+
+const deviceContacts = [
+  { id: 'contact_m1_abc123', name: ' Mum ', phone: '+44 7700 900001', email: 'Mum@Example.com', addedAt: '2026-10-01' },
+  { id: 'contact_m2_def456', name: 'Sam', phone: '07700 900002', email: 'not-an-email' },
+  { id: 'bad id', name: 'Ignored', phone: '07700 900003' },
+];
+
+test('synced contacts keep only fields the rules accept', () => {
+  assert.deepEqual(buildSyncedTrustedContacts(deviceContacts), {
+    contact_m1_abc123: { name: 'Mum', phone: '+44 7700 900001', email: 'mum@example.com' },
+    contact_m2_def456: { name: 'Sam', phone: '07700 900002' },
+  });
+  assert.deepEqual(buildSyncedTrustedContacts(null), {});
+});
+
+test('enabling records consent with the contacts, and disabling deletes the server copy', async () => {
+  const database = createDatabase();
+  const service = createService(database);
+
+  const enabled = await service.enableSync({ contacts: deviceContacts, senderName: 'Alex Traveller' });
+  assert.deepEqual(enabled, { success: true, data: { enabled: true, grantedAtMs: NOW } });
+  assert.deepEqual(database.writes[0], {
+    op: 'set',
+    path: 'safety_contacts/uid-1',
+    value: {
+      schemaVersion: 1,
+      consent: { version: 1, grantedAtMs: NOW },
+      senderName: 'Alex Traveller',
+      contacts: buildSyncedTrustedContacts(deviceContacts),
+      updatedAtMs: NOW,
+    },
+  });
+  assert.deepEqual((await service.loadSyncState()).data, { enabled: true, grantedAtMs: NOW, contactCount: 2 });
+
+  assert.deepEqual(await service.disableSync(), { success: true, data: { enabled: false } });
+  assert.deepEqual(database.writes[1], { op: 'remove', path: 'safety_contacts/uid-1' });
+  assert.equal((await service.loadSyncState()).data.enabled, false);
+});
+
+test('contact changes only reach the server after consent was given', async () => {
+  const withoutConsent = createDatabase();
+  assert.deepEqual(await createService(withoutConsent).syncContacts(deviceContacts), { success: true, data: { synced: false } });
+  assert.deepEqual(withoutConsent.writes, []);
+
+  const withConsent = createDatabase({ 'safety_contacts/uid-1/consent': { version: 1, grantedAtMs: NOW - 1000 } });
+  assert.deepEqual(await createService(withConsent).syncContacts(deviceContacts.slice(0, 1)), { success: true, data: { synced: true } });
+  assert.deepEqual(withConsent.writes, [{
+    op: 'update',
+    path: 'safety_contacts/uid-1',
+    value: { contacts: buildSyncedTrustedContacts(deviceContacts.slice(0, 1)), updatedAtMs: NOW },
+  }]);
+});
+
+test('signed-out and offline failures return copy that is safe to show', async () => {
+  assert.equal((await createService(createDatabase(), null).enableSync({ contacts: [] })).success, false);
+  const failing = {
+    ref: () => ({ set: async () => { throw new Error('PERMISSION_DENIED'); } }),
+  };
+  const result = await createService(failing).enableSync({ contacts: deviceContacts });
+  assert.equal(result.success, false);
+  assert.doesNotMatch(result.error, /PERMISSION_DENIED/);
+});
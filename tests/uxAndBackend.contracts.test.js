@@ -385,6 +385,19 @@ test('Static contract: dashboard broadcast root reads and writes stay Firebase-b
   assert.match(broadcasts.$tourId.$broadcastId['.validate'], /newData\.child\('createdByUid'\)\.val\(\) === auth\.uid/);
 });
 
+test('Static contract: pickup-targeted coach arrival notices stay out of the tour broadcast history', () => {
+  const rules = readJson('database.rules.json');
+  const source = readText('functions/index.js');
+  const trigger = source.slice(source.indexOf('exports.sendCoachArrivingNotification'), source.indexOf('exports.projectRollCallParticipants'));
+  const adminAccess = "auth != null && (auth.uid === '9CWQ4705gVRkfW5Xki5LyvrmVp23' || root.child('admin_users/' + auth.uid).val() === true)";
+
+  assert.ok(trigger.length > 0);
+  assert.doesNotMatch(trigger, /ref\(`broadcasts\/|root: 'broadcasts'/);
+  assert.match(trigger, /COACH_ARRIVAL_ROOT\}\/\$\{departureKey\}\/\$\{pickupId\}/);
+  assert.equal(rules.rules.coach_arrival_notifications['.read'], adminAccess);
+  assert.equal(rules.rules.coach_arrival_notifications['.write'], false);
+});
+
 test('Static contract: category broadcasts target canonical tour-interest preferences', () => {
   const rules = readJson('database.rules.json');
   const source = readText('functions/index.js');
@@ -453,6 +466,88 @@ test('Static contract: photo variant lifecycle fields stay allowed by database r
   assert.match(privatePhotoValidate, /!newData\.child\('fullUrl'\)\.exists\(\)/);
 });
 
+test('Static contract: group photo itinerary stop tags stay bounded and closed', () => {
+  const rules = readJson('database.rules.json');
+  const stopRule = rules.rules.group_tour_photos.$tourId.$photoId.itineraryStop;
+
+  assert.equal(stopRule['.validate'], "newData.hasChildren(['dayNumber', 'stopId', 'label'])");
+  assert.match(stopRule.dayNumber['.validate'], /newData\.val\(\) <= 60/);
+  assert.match(stopRule.stopId['.validate'], /length <= 120/);
+  assert.match(stopRule.label['.validate'], /length <= 120/);
+  assert.deepEqual(stopRule.$other, { '.validate': false });
+  assert.equal(rules.rules.private_tour_photos.$tourId.$ownerId.$photoId.itineraryStop, undefined);
+});
+
+test('Static contract: photo quality fields are typed on group and private records', () => {
+  const rules = readJson('database.rules.json');
+  const validates = [
+    rules.rules.group_tour_photos.$tourId.$photoId['.validate'],
+    rules.rules.private_tour_photos.$tourId.$ownerId.$photoId['.validate'],
+  ];
+
+  validates.forEach((validate) => {
+    assert.match(validate, /newData\.child\('perceptualHash'\)\.val\(\)\.length === 16/);
+    assert.match(validate, /newData\.child\('sharpnessScore'\)\.isNumber\(\)/);
+    assert.match(validate, /newData\.child\('qualityVersion'\)\.isNumber\(\)/);
+  });
+});
+
+test('Static contract: photo capture time and location are validated on group and private records', () => {
+  const rules = readJson('database.rules.json');
+  const records = [
+    rules.rules.group_tour_photos.$tourId.$photoId,
+    rules.rules.private_tour_photos.$tourId.$ownerId.$photoId,
+  ];
+
+  records.forEach((record) => {
+    assert.match(record.capturedAt['.validate'], /newData\.isNumber\(\)/);
+    assert.match(record.capturedAt['.validate'], /newData\.val\(\) <= now \+ 86400000/);
+    assert.match(record.captureLocation.lat['.validate'], /newData\.val\(\) >= -90 && newData\.val\(\) <= 90/);
+    assert.match(record.captureLocation.lng['.validate'], /newData\.val\(\) >= -180 && newData\.val\(\) <= 180/);
+    assert.equal(record.captureLocation.$other['.validate'], false);
+  });
+
+  const uploadSource = readText('screens/GroupPhotobookScreen.js');
+  assert.match(uploadSource, /exif: true/);
+  // A blurred copy keeps the picked asset's EXIF.
+  assert.match(uploadSource, /\{ \.\.\.pendingImage, uri: blurredPhoto\.uri/);
+  assert.match(uploadSource, /optimizeSourcePhotoForUpload\(sourceAsset, \{ includeLocation \}\)/);
+  assert.match(readText('screens/PhotobookScreen.js'), /optimizeSourcePhotoForUpload\(pendingImage, \{ includeLocation \}\)/);
+});
+
+test('Static contract: group photo likes are one true flag per liker principal', () => {
+  const rules = readJson('database.rules.json');
+  const likeRule = rules.rules.group_tour_photos.$tourId.$photoId.likes.$likerId;
+  const reactionRule = rules.rules.chats.$tourId.messages.$messageId.reactions.$emoji.$id;
+
+  assert.equal(likeRule['.write'], reactionRule['.write'].replace(/\$id\b/g, '$likerId'));
+  assert.match(likeRule['.validate'], /^newData\.val\(\) === true && \(data\.val\(\) === true \|\| /);
+  // The photo owner's edit branch cannot remove hearts, and a new heart must
+  // grow the map by one, so an owner write cannot swap someone's for theirs.
+  assert.match(
+    rules.rules.group_tour_photos.$tourId.$photoId['.write'],
+    /newData\.child\('likes'\)\.numChildren\(\) === data\.child\('likes'\)\.numChildren\(\)/,
+  );
+  assert.match(likeRule['.validate'], /newData\.parent\(\)\.numChildren\(\) === data\.parent\(\)\.numChildren\(\) \+ 1\)\)$/);
+  assert.equal(rules.rules.private_tour_photos.$tourId.$ownerId.$photoId.likes, undefined);
+});
+
+test('Static contract: photo archive jobs are read-only progress and download tokens stay server-side', () => {
+  const rules = readJson('database.rules.json');
+
+  assert.deepEqual(rules.rules.photo_archive_jobs, {
+    $authUid: {
+      '.read': 'auth != null && auth.uid === $authUid',
+      '.write': false,
+    },
+  });
+  assert.deepEqual(rules.rules.photo_archive_downloads, {
+    '.read': false,
+    '.write': false,
+    '.indexOn': ['expiresAtMs'],
+  });
+});
+
 test('Static contract: user content reports stay scoped to tour users and admin review', () => {
   const rules = readJson('database.rules.json');
   const reports = rules.rules.content_reports;
@@ -468,6 +563,7 @@ test('Static contract: user content reports stay scoped to tour users and admin
   assert.match(reportRule['.validate'], /newData\.child\('contentType'\)\.val\(\) === 'group_photo'/);
   assert.match(reportRule['.validate'], /newData\.child\('reason'\)\.val\(\) === 'harassment'/);
   assert.match(reportRule['.validate'], /newData\.child\('contentPreview'\)\.val\(\)\.length <= 500/);
+  assert.match(reportRule['.validate'], /\(!newData\.child\('reportedMessage'\)\.exists\(\) \|\| data\.exists\(\)\)/);
   assert.match(rules.rules.chats.$tourId.messages.$messageId['.write'], /root\.child\('admin_users\/' \+ auth\.uid\)\.val\(\) === true/);
   assert.match(rules.rules.internal_chats.$tourId.messages.$messageId['.write'], /root\.child\('admin_users\/' \+ auth\.uid\)\.val\(\) === true/);
   assert.match(rules.rules.group_tour_photos.$tourId.$photoId['.write'], /root\.child\('admin_users\/' \+ auth\.uid\)\.val\(\) === true/);
@@ -490,6 +586,26 @@ test('Static contract: Storage photos use uploader proof and stable private owne
   assert.doesNotMatch(photoSource, /customMetadata: \{[^}]*ownerKey:/s);
 });
 
+test('Static contract: video clips are group-only and capped in Storage and RTDB rules', () => {
+  const storageRules = readText('storage_rules.json');
+  const rules = readJson('database.rules.json');
+  const groupMatch = storageRules.slice(storageRules.indexOf('match /group_tour_photos/{tourId}/{fileName}'));
+  const privateMatch = storageRules.slice(
+    storageRules.indexOf('match /private_tour_photos/'),
+    storageRules.indexOf('match /group_tour_photos/')
+  );
+
+  assert.match(storageRules, /request\.resource\.contentType == 'video\/mp4'\s+\|\| request\.resource\.contentType == 'video\/quicktime'/);
+  assert.match(storageRules, /request\.resource\.size < 50 \* 1024 \* 1024/);
+  assert.match(groupMatch.slice(0, groupMatch.indexOf('\n    }')), /isImageUpload\(\) \|\| isVideoClipUpload\(\)/);
+  assert.doesNotMatch(privateMatch, /isVideoClipUpload/);
+
+  const record = rules.rules.group_tour_photos.$tourId.$photoId;
+  assert.match(record.mediaType['.validate'], /newData\.val\(\) === 'video'/);
+  assert.match(record.durationMs['.validate'], /newData\.val\(\) <= 16000/);
+  assert.equal(rules.rules.private_tour_photos.$tourId.$ownerId.$photoId.mediaType, undefined);
+});
+
 test('Static contract: email-style stable identities are encoded before identity binding path writes', () => {
   const appSource = fs.readFileSync(path.join(__dirname, '..', 'App.js'), 'utf8');
   const chatSource = fs.readFileSync(path.join(__dirname, '..', 'services', 'chatService.js'), 'utf8');
@@ -530,6 +646,47 @@ test('Static contract: chat message validation keeps image payload branch and th
   assert.match(messageValidate, /newData\.child\('thumbnailUrl'\)/);
 });
 
+test('Static contract: chat edits are time-boxed and keep every replaced version', () => {
+  // Intentional static check: moderation relies on editHistory, so rules must not let a sender rewrite or drop it.
+  const rules = readJson('database.rules.json');
+  const messageRules = rules.rules.chats.$tourId.messages.$messageId;
+
+  assert.match(messageRules['.validate'], /now - data\.child\('timestamp'\)\.val\(\) <= 900000/);
+  assert.match(messageRules['.validate'], /newData\.child\('editHistory\/v' \+ newData\.child\('editCount'\)\.val\(\) \+ '\/text'\)\.val\(\) === data\.child\('text'\)\.val\(\)/);
+  assert.match(messageRules['.validate'], /!newData\.child\('schemaVersion'\)\.exists\(\) && !data\.child\('schemaVersion'\)\.exists\(\)/);
+  assert.match(messageRules.editHistory.$version.text['.validate'], /!data\.exists\(\) \|\| newData\.val\(\) === data\.val\(\)/);
+  assert.match(messageRules.editCount['.validate'], /newData\.val\(\) <= 5/);
+});
+
+test('Static contract: chat pins are written only by admins or the assigned verified driver', () => {
+  // Intentional static check: pinned announcements are an operations channel, so passengers must never gain write access.
+  const rules = readJson('database.rules.json');
+  const pinRules = rules.rules.chats.$tourId.pins.$messageId;
+
+  assert.match(pinRules['.write'], /admin_users\/' \+ auth\.uid\)\.val\(\) === true/);
+  assert.match(pinRules['.write'], /tour_manifests\/' \+ \$tourId \+ '\/assigned_drivers\/'/);
+  assert.doesNotMatch(pinRules['.write'], /participants/);
+  assert.match(pinRules['.write'], /!newData\.exists\(\) && \(!root\.child\('chats\/' \+ \$tourId \+ '\/messages\/' \+ \$messageId\)\.exists\(\)/);
+  assert.match(pinRules['.validate'], /newData\.child\('messageId'\)\.val\(\) === \$messageId/);
+  assert.equal(pinRules.$other['.validate'], 'false');
+});
+
+test('Static contract: chat poll votes are one principal-owned leaf per voter and close with the poll', () => {
+  // Intentional static check: one-vote-per-participant relies on the vote leaf being keyed by the voter principal.
+  const rules = readJson('database.rules.json');
+  const messageRules = rules.rules.chats.$tourId.messages.$messageId;
+  const voteRules = messageRules.pollVotes.$voterId;
+  const reactionWrite = messageRules.reactions.$emoji.$id['.write'];
+  const principalClause = reactionWrite.replace(/^auth != null && /, '').replace(/\$id\b/g, '$voterId');
+
+  assert.equal(messageRules.pollVotes['.write'], undefined);
+  assert.ok(voteRules['.write'].endsWith(`&& ${principalClause}`));
+  assert.match(voteRules['.write'], /data\.parent\(\)\.parent\(\)\.child\('poll\/closed'\)\.val\(\) === false/);
+  assert.match(voteRules['.validate'], /poll\/options\/' \+ newData\.val\(\)/);
+  assert.match(messageRules['.validate'], /newData\.child\('type'\)\.val\(\) === 'poll' && newData\.child\('senderType'\)\.val\(\) === 'driver'/);
+  assert.match(messageRules.poll.options.$optionId['.validate'], /^data\.exists\(\) \? newData\.val\(\) === data\.val\(\)/);
+});
+
 test('Static contract: photo upload modals guard duplicate enqueue taps', () => {
   [
     'screens/PhotobookScreen.js',
@@ -841,7 +998,8 @@ test('Static contract: itinerary cache metadata cannot update stale screens', ()
   assert.match(source, /if \(canUpdateForTour\(targetTourId\)\) \{\s+setCachedItinerary\(data\);/);
   assert.match(source, /setDataSource\(ITINERARY_DATA_SOURCE\.CACHE\)/);
   assert.match(source, /disabled=\{saving \|\| Boolean\(editConflict\)\}/);
-  assert.match(source, /A newer itinerary is already live/);
+  assert.match(source, /t\('itinerary\.conflict\.title'\)/);
+  assert.equal(readJson('locales/en.json')['itinerary.conflict.title'], 'A newer itinerary is already live');
   assert.match(bookingSource, /tours\/\$\{normalizedTourId\}\/itinerary/);
   assert.match(bookingSource, /throw error;/);
   assert.match(functionsSource, /sendItineraryNotification = onValueWritten/);
@@ -879,7 +1037,7 @@ test('Static contract: safety support cleans up emergency timers and validates p
   assert.match(source, /clearInterval\(sosTimerRef\.current\)/);
   assert.match(source, /locationWatchRef\.current\.remove\(\)/);
   assert.match(source, /historyRequestSeqRef/);
-  assert.match(source, /Text \$\{primaryContact\.name\}/);
+  assert.match(source, /safety\.emergency\.textContact', \{ name: primaryContact\.name \}/);
   assert.match(source, /sosCoordsRef/);
   assert.match(source, /network must never delay access to the phone dialler/);
   assert.doesNotMatch(source, /Notify Emergency Contacts\?/);
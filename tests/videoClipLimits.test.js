@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_VIDEO_CLIP_SIZE_BYTES,
+  checkVideoClipAsset,
+  resolveVideoClipType,
+} = require('../utils/videoClipLimits');
+
+const clip = (overrides = {}) => ({
+  type: 'video',
+  uri: 'file:///cache/ImagePicker/clip.mov',
+  mimeType: 'video/quicktime',
+  duration: 9500,
+  fileSize: 12 * 1024 * 1024,
+  ...overrides,
+});
+
+test('checkVideoClipAsset accepts short clips and allows a few frames over the limit', () => {
+  assert.deepEqual(checkVideoClipAsset(clip()), { ok: true, durationMs: 9500, contentType: 'video/quicktime' });
+  assert.equal(checkVideoClipAsset(clip({ duration: 15400 })).ok, true);
+});
+
+test('checkVideoClipAsset rejects long, large, unreadable and unsupported clips with passenger copy', () => {
+  assert.match(checkVideoClipAsset(clip({ duration: 42000 })).error, /up to 15 seconds/);
+  assert.match(checkVideoClipAsset(clip({ fileSize: MAX_VIDEO_CLIP_SIZE_BYTES + 1 })).error, /too large/);
+  assert.match(checkVideoClipAsset(clip({ duration: null })).error, /could not be read/);
+  assert.match(checkVideoClipAsset(clip({ mimeType: 'video/webm' })).error, /MP4 or MOV/);
+});
+
+test('resolveVideoClipType falls back to the file extension when the picker omits a mime type', () => {
+  assert.equal(resolveVideoClipType({ uri: 'file:///cache/clip.MP4' }), 'video/mp4');
+  assert.equal(resolveVideoClipType({ uri: 'file:///cache/clip.mov?token=1' }), 'video/quicktime');
+  assert.equal(resolveVideoClipType({ uri: 'file:///cache/clip.avi' }), null);
+});
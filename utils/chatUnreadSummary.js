@@ -1,11 +1,12 @@
 const { parseTimestampMs: parseStrictTimestampMs } = require('../services/timeUtils');
+const { defaultT } = require('../services/i18nService');
 
 const parseTimestampMs = (value) => {
   const parsed = parseStrictTimestampMs(value);
   return Number.isFinite(parsed) ? parsed : null;
 };
 
-const formatRelativeTimeLabel = (timestamp, now = Date.now()) => {
+const formatRelativeTimeLabel = (timestamp, now = Date.now(), { t = defaultT } = {}) => {
   const messageMs = parseTimestampMs(timestamp);
   const nowMs = parseTimestampMs(now);
 
@@ -14,20 +15,20 @@ const formatRelativeTimeLabel = (timestamp, now = Date.now()) => {
   }
 
   const diffMinutes = Math.floor((nowMs - messageMs) / (60 * 1000));
-  if (diffMinutes <= 0) return 'just now';
-  if (diffMinutes < 60) return `${diffMinutes}m ago`;
+  if (diffMinutes <= 0) return t('chat.relative.justNow');
+  if (diffMinutes < 60) return t('chat.relative.minutesAgo', { minutes: diffMinutes });
 
   const diffHours = Math.floor(diffMinutes / 60);
-  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffHours < 24) return t('chat.relative.hoursAgo', { hours: diffHours });
 
   const diffDays = Math.floor(diffHours / 24);
-  if (diffDays === 1) return 'yesterday';
-  return `${diffDays}d ago`;
+  if (diffDays === 1) return t('chat.relative.yesterday');
+  return t('chat.relative.daysAgo', { days: diffDays });
 };
 
 const buildUnreadSummary = (messages, options = {}) => {
   const safeMessages = Array.isArray(messages) ? messages : [];
-  const { lastSeenTimestamp = null, currentUserId = null, now = Date.now() } = options;
+  const { lastSeenTimestamp = null, currentUserId = null, now = Date.now(), t = defaultT } = options;
   const seenMs = parseTimestampMs(lastSeenTimestamp);
 
   if (!Number.isFinite(seenMs)) {
@@ -49,9 +50,9 @@ const buildUnreadSummary = (messages, options = {}) => {
   const latestMessage = unreadMessages[unreadMessages.length - 1];
   return {
     count: unreadMessages.length,
-    latestSender: latestMessage.senderName || 'Participant',
+    latestSender: latestMessage.senderName || t('chat.participant'),
     latestTimestamp: latestMessage.timestamp || null,
-    latestRelativeLabel: formatRelativeTimeLabel(latestMessage.timestamp, now),
+    latestRelativeLabel: formatRelativeTimeLabel(latestMessage.timestamp, now, { t }),
   };
 };
 
@@ -1,3 +1,5 @@
+const { defaultT } = require('../services/i18nService');
+
 const ITINERARY_DATA_SOURCE = Object.freeze({
   NONE: 'none',
   CACHE: 'cache',
@@ -10,14 +12,15 @@ const buildItinerarySyncPresentation = ({
   checkingForUpdates = false,
   refreshing = false,
   errorMessage = '',
-  freshness = { bucket: 'old', label: 'Not synced yet' },
+  freshness = { bucket: 'old', label: defaultT('sync.notSyncedYet') },
+  t = defaultT,
 } = {}) => {
   if (refreshing) {
     return {
       tone: 'fresh',
       icon: 'sync',
-      label: 'Refreshing itinerary',
-      detail: freshness.label === 'Not synced yet' ? 'Checking for updates' : freshness.label,
+      label: t('itinerary.sync.refreshing'),
+      detail: freshness.label === t('sync.notSyncedYet') ? t('itinerary.sync.checkingForUpdates') : freshness.label,
       showRetry: false,
     };
   }
@@ -26,12 +29,12 @@ const buildItinerarySyncPresentation = ({
     return {
       tone: errorMessage ? 'warning' : (freshness.bucket === 'old' ? 'warning' : 'neutral'),
       icon: errorMessage ? 'cloud-alert' : 'cloud-clock-outline',
-      label: 'Saved itinerary',
+      label: t('itinerary.sync.saved'),
       detail: checkingForUpdates
-        ? `${freshness.label} · Checking for newer changes`
+        ? t('itinerary.sync.savedChecking', { freshness: freshness.label })
         : errorMessage
-          ? `${freshness.label} · Live changes unavailable`
-          : `${freshness.label} · Saved on this device`,
+          ? t('itinerary.sync.savedLiveUnavailable', { freshness: freshness.label })
+          : t('itinerary.sync.savedOnDevice', { freshness: freshness.label }),
       showRetry: Boolean(errorMessage),
     };
   }
@@ -40,8 +43,8 @@ const buildItinerarySyncPresentation = ({
     return {
       tone: 'critical',
       icon: 'cloud-off-outline',
-      label: hasItinerary ? 'Live updates unavailable' : 'Itinerary unavailable',
-      detail: hasItinerary ? 'Showing the last loaded version' : 'Check your connection and try again',
+      label: hasItinerary ? t('itinerary.sync.liveUnavailable') : t('itinerary.sync.unavailable'),
+      detail: hasItinerary ? t('itinerary.sync.showingLastLoaded') : t('itinerary.sync.checkConnection'),
       showRetry: true,
     };
   }
@@ -50,8 +53,8 @@ const buildItinerarySyncPresentation = ({
     return {
       tone: 'neutral',
       icon: 'cloud-sync-outline',
-      label: 'Checking itinerary',
-      detail: 'Looking for the latest published version',
+      label: t('itinerary.sync.checking'),
+      detail: t('itinerary.sync.lookingForLatest'),
       showRetry: false,
     };
   }
@@ -60,8 +63,8 @@ const buildItinerarySyncPresentation = ({
     return {
       tone: 'fresh',
       icon: 'cloud-check-outline',
-      label: 'Live itinerary',
-      detail: `${freshness.label} · Changes update automatically`,
+      label: t('itinerary.sync.live'),
+      detail: t('itinerary.sync.liveDetail', { freshness: freshness.label }),
       showRetry: false,
     };
   }
@@ -69,8 +72,8 @@ const buildItinerarySyncPresentation = ({
   return {
     tone: 'neutral',
     icon: 'cloud-outline',
-    label: 'Itinerary not loaded',
-    detail: 'Pull down to check again',
+    label: t('itinerary.sync.notLoaded'),
+    detail: t('itinerary.sync.pullToCheck'),
     showRetry: false,
   };
 };
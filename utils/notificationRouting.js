@@ -1,6 +1,6 @@
 const { normalizeTourId } = require('../services/tourIdentityService');
 
-const TOUR_SCOPED_NOTIFICATION_SCREENS = new Set(['Chat', 'Itinerary', 'GroupPhotobook', 'SafetySupport', 'DriverTourPack']);
+const TOUR_SCOPED_NOTIFICATION_SCREENS = new Set(['Chat', 'Itinerary', 'GroupPhotobook', 'SafetySupport', 'DriverTourPack', 'Map']);
 const GLOBAL_NOTIFICATION_SCREENS = new Set(['NotificationPreferences']);
 const SUPPORTED_NOTIFICATION_SCREENS = new Set([
   ...TOUR_SCOPED_NOTIFICATION_SCREENS,
@@ -0,0 +1,114 @@
+// Blur regions are stored as fractions of the upright photo, so the same
+// marks apply to the original, the on-device copy and the server's source.
+// functions/lib/photoBlur.js and database.rules.json apply the same limits.
+const MAX_BLUR_REGIONS = 12;
+const MIN_BLUR_REGION_FRACTION = 0.02;
+// Side of a new square region, as a share of the photo's shorter side.
+const BLUR_REGION_SIZES = {
+  small: 0.12,
+  medium: 0.2,
+  large: 0.32,
+};
+const DEFAULT_BLUR_REGION_SIZE = 'medium';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const roundFraction = (value) => Math.round(value * 10000) / 10000;
+
+const normalizeBlurRegion = (region) => {
+  const values = [region?.x, region?.y, region?.width, region?.height].map(Number);
+  if (!values.every(Number.isFinite)) return null;
+  const [rawX, rawY, rawWidth, rawHeight] = values;
+  const x = clamp(rawX, 0, 1);
+  const y = clamp(rawY, 0, 1);
+  const width = clamp(rawWidth, 0, 1 - x);
+  const height = clamp(rawHeight, 0, 1 - y);
+  if (width < MIN_BLUR_REGION_FRACTION || height < MIN_BLUR_REGION_FRACTION) return null;
+  return {
+    x: roundFraction(x),
+    y: roundFraction(y),
+    width: roundFraction(width),
+    height: roundFraction(height),
+  };
+};
+
+/**
+ * Drops malformed or tiny regions, pulls the rest inside the photo and keeps
+ * at most MAX_BLUR_REGIONS.
+ */
+const normalizeBlurRegions = (regions) => {
+  if (!Array.isArray(regions)) return [];
+  return regions
+    .map(normalizeBlurRegion)
+    .filter(Boolean)
+    .slice(0, MAX_BLUR_REGIONS);
+};
+
+/**
+ * A square region centred on a tap, in photo fractions. `point` is also in
+ * photo fractions. Near an edge the square slides inwards so it keeps its
+ * size.
+ */
+const createBlurRegionAt = (point, { imageWidth, imageHeight, size = DEFAULT_BLUR_REGION_SIZE } = {}) => {
+  if (!(imageWidth > 0) || !(imageHeight > 0)) return null;
+  const sideFraction = BLUR_REGION_SIZES[size] || BLUR_REGION_SIZES[DEFAULT_BLUR_REGION_SIZE];
+  const sidePx = Math.min(imageWidth, imageHeight) * sideFraction;
+  const width = sidePx / imageWidth;
+  const height = sidePx / imageHeight;
+  return normalizeBlurRegion({
+    x: clamp(Number(point?.x) - width / 2, 0, 1 - width),
+    y: clamp(Number(point?.y) - height / 2, 0, 1 - height),
+    width,
+    height,
+  });
+};
+
+const isPointInRegion = (point, region) => (
+  point.x >= region.x
+  && point.x <= region.x + region.width
+  && point.y >= region.y
+  && point.y <= region.y + region.height
+);
+
+/**
+ * Tapping a region removes it; tapping elsewhere adds one. The newest region
+ * is on top, so overlapping taps remove the last one added.
+ */
+const toggleBlurRegionAt = (regions, point, options = {}) => {
+  const current = normalizeBlurRegions(regions);
+  for (let index = current.length - 1; index >= 0; index -= 1) {
+    if (isPointInRegion(point, current[index])) {
+      return current.filter((_, regionIndex) => regionIndex !== index);
+    }
+  }
+  if (current.length >= MAX_BLUR_REGIONS) return current;
+  const created = createBlurRegionAt(point, options);
+  return created ? [...current, created] : current;
+};
+
+/**
+ * Whole-pixel rectangle for a region on an upright image, never empty and
+ * never outside the image.
+ */
+const toPixelRect = (region, imageWidth, imageHeight) => {
+  // Rounded first so float noise such as 1800.0000000000002 does not add a row.
+  const toPixels = (fraction, size) => Math.round(fraction * size * 1000) / 1000;
+  const left = clamp(Math.floor(toPixels(region.x, imageWidth)), 0, Math.max(0, imageWidth - 1));
+  const top = clamp(Math.floor(toPixels(region.y, imageHeight)), 0, Math.max(0, imageHeight - 1));
+  const right = clamp(Math.ceil(toPixels(region.x + region.width, imageWidth)), left + 1, imageWidth);
+  const bottom = clamp(Math.ceil(toPixels(region.y + region.height, imageHeight)), top + 1, imageHeight);
+  return { left, top, width: right - left, height: bottom - top };
+};
+
+// Strong enough that a face cannot be recognised, at any photo size.
+const resolveBlurSigma = (pixelRect) => Math.max(8, Math.round(Math.min(pixelRect.width, pixelRect.height) / 4));
+
+module.exports = {
+  BLUR_REGION_SIZES,
+  DEFAULT_BLUR_REGION_SIZE,
+  MAX_BLUR_REGIONS,
+  createBlurRegionAt,
+  normalizeBlurRegions,
+  resolveBlurSigma,
+  toPixelRect,
+  toggleBlurRegionAt,
+};
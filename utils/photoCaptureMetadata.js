@@ -0,0 +1,153 @@
+const { parseTimestampMs } = require('../services/timeUtils');
+
+// Cameras with a flat clock battery report 1970 or 2000; anything before this
+// is not a real capture time.
+const MIN_CAPTURE_TIME_MS = Date.UTC(2001, 0, 1);
+// Allow for a phone clock running ahead and for time zones missing from EXIF.
+const MAX_CAPTURE_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+// Two decimals is roughly 1 km: enough to put a photo near a stop on the map,
+// not enough to pinpoint a house.
+const CAPTURE_LOCATION_DECIMALS = 2;
+
+const EXIF_DATE_TIME_PATTERN = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/;
+const EXIF_OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+
+const roundCoordinate = (value) => {
+  const factor = 10 ** CAPTURE_LOCATION_DECIMALS;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Validates a capture time in epoch ms. Returns null for clocks that were
+ * never set and for times too far in the future to be real.
+ */
+const normalizeCaptureTime = (value, { now = Date.now() } = {}) => {
+  const ms = typeof value === 'number' ? value : NaN;
+  if (!Number.isFinite(ms) || ms < MIN_CAPTURE_TIME_MS || ms > now + MAX_CAPTURE_CLOCK_SKEW_MS) return null;
+  return Math.round(ms);
+};
+
+/**
+ * Returns `{ lat, lng }` rounded to about 1 km, or null when either value is
+ * missing, out of range or the 0,0 placeholder some cameras write.
+ */
+const normalizeCaptureLocation = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const lat = typeof value.lat === 'number' ? value.lat : NaN;
+  const lng = typeof value.lng === 'number' ? value.lng : NaN;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  if (lat === 0 && lng === 0) return null;
+  return { lat: roundCoordinate(lat), lng: roundCoordinate(lng) };
+};
+
+/**
+ * EXIF stores "2026:07:14 09:30:12" in the camera's local time, with the
+ * UTC offset in a separate tag on newer phones. Without an offset the time
+ * is read in the device's zone, which is where the photo was usually taken.
+ */
+const parseExifDateTime = (value, offset = null) => {
+  const match = typeof value === 'string' ? EXIF_DATE_TIME_PATTERN.exec(value.trim()) : null;
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const offsetMatch = typeof offset === 'string' ? EXIF_OFFSET_PATTERN.exec(offset.trim()) : null;
+  if (offsetMatch) {
+    const sign = offsetMatch[1] === '-' ? -1 : 1;
+    const offsetMs = sign * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3])) * 60 * 1000;
+    return Date.UTC(year, month - 1, day, hour, minute, second) - offsetMs;
+  }
+  const ms = new Date(year, month - 1, day, hour, minute, second).getTime();
+  return Number.isFinite(ms) ? ms : null;
+};
+
+const parseExifCoordinate = (value, ref) => {
+  let degrees = NaN;
+  if (typeof value === 'number') {
+    degrees = value;
+  } else if (Array.isArray(value) && value.length > 0) {
+    const [d = 0, m = 0, s = 0] = value.map(Number);
+    degrees = d + m / 60 + s / 3600;
+  } else if (typeof value === 'string' && value.trim()) {
+    degrees = Number(value);
+  }
+  if (!Number.isFinite(degrees)) return null;
+  const hemisphere = typeof ref === 'string' ? ref.trim().toUpperCase() : '';
+  return hemisphere === 'S' || hemisphere === 'W' ? -Math.abs(degrees) : degrees;
+};
+
+/**
+ * Reads capture time and coarse location from an image picker asset's
+ * `exif`. iOS nests tags under `{Exif}` and `{GPS}`; Android returns them
+ * flat with a `GPS` prefix. Must run before imageOptimizationService
+ * re-encodes the file, which drops all metadata.
+ *
+ * @returns {{ capturedAt: (number|null), captureLocation: ({ lat: number, lng: number }|null) }}
+ */
+const extractPhotoCaptureMetadata = (exif, { includeLocation = true, now = Date.now() } = {}) => {
+  const tags = exif && typeof exif === 'object' ? exif : {};
+  const exifTags = tags['{Exif}'] && typeof tags['{Exif}'] === 'object' ? tags['{Exif}'] : tags;
+  const gpsTags = tags['{GPS}'] && typeof tags['{GPS}'] === 'object' ? tags['{GPS}'] : null;
+
+  const capturedAt = normalizeCaptureTime(parseExifDateTime(
+    exifTags.DateTimeOriginal || exifTags.DateTimeDigitized || tags.DateTime,
+    exifTags.OffsetTimeOriginal || exifTags.OffsetTime
+  ), { now });
+
+  let captureLocation = null;
+  if (includeLocation) {
+    captureLocation = normalizeCaptureLocation(gpsTags
+      ? {
+        lat: parseExifCoordinate(gpsTags.Latitude, gpsTags.LatitudeRef),
+        lng: parseExifCoordinate(gpsTags.Longitude, gpsTags.LongitudeRef),
+      }
+      : {
+        lat: parseExifCoordinate(tags.GPSLatitude, tags.GPSLatitudeRef),
+        lng: parseExifCoordinate(tags.GPSLongitude, tags.GPSLongitudeRef),
+      });
+  }
+
+  return { capturedAt, captureLocation };
+};
+
+/**
+ * When the photo was taken, falling back to when it reached the album.
+ * Queued offline uploads can land a day late, so ordering and day sections
+ * use this rather than the upload time.
+ */
+const getPhotoCaptureTimeMs = (photo) => {
+  if (typeof photo?.capturedAt === 'number' && Number.isFinite(photo.capturedAt)) return photo.capturedAt;
+  const uploadedMs = parseTimestampMs(photo?.timestamp);
+  return Number.isFinite(uploadedMs) ? uploadedMs : null;
+};
+
+/**
+ * Map pins for photos with a capture location. Locations are already rounded
+ * to about 1 km, so photos from the same stop share a pin. Pins and the
+ * photos in them are newest first by capture time.
+ */
+const groupPhotosByCaptureLocation = (photos) => {
+  const pins = new Map();
+  (Array.isArray(photos) ? photos : []).forEach((photo) => {
+    const location = normalizeCaptureLocation(photo?.captureLocation);
+    if (!photo?.id || !location) return;
+    const key = `${location.lat},${location.lng}`;
+    if (!pins.has(key)) pins.set(key, { key, ...location, photos: [] });
+    pins.get(key).photos.push(photo);
+  });
+  const newestFirst = (a, b) => (getPhotoCaptureTimeMs(b) || 0) - (getPhotoCaptureTimeMs(a) || 0);
+  return Array.from(pins.values())
+    .map((pin) => ({ ...pin, photos: pin.photos.sort(newestFirst) }))
+    .sort((a, b) => newestFirst(a.photos[0], b.photos[0]) || a.key.localeCompare(b.key));
+};
+
+module.exports = {
+  CAPTURE_LOCATION_DECIMALS,
+  MAX_CAPTURE_CLOCK_SKEW_MS,
+  MIN_CAPTURE_TIME_MS,
+  extractPhotoCaptureMetadata,
+  getPhotoCaptureTimeMs,
+  groupPhotosByCaptureLocation,
+  normalizeCaptureLocation,
+  normalizeCaptureTime,
+  parseExifDateTime,
+};
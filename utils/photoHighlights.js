@@ -0,0 +1,54 @@
+const { parseTimestampMs } = require('../services/timeUtils');
+
+const DEFAULT_HIGHLIGHT_LIMIT = 10;
+// Recency only breaks ties and nudges fresh shots up: one like always
+// outweighs the full freshness bonus, which halves every day.
+const RECENCY_BONUS = 0.9;
+const RECENCY_HALF_LIFE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Likes live under `likes/{likerKey}: true`. Anything else in the map is
+ * ignored, so a malformed entry never counts as a heart.
+ */
+const countPhotoLikes = (likes) => {
+  if (!likes || typeof likes !== 'object' || Array.isArray(likes)) return 0;
+  return Object.values(likes).filter((value) => value === true).length;
+};
+
+const isPhotoLikedBy = (photo, likerKey) => (
+  typeof likerKey === 'string'
+  && likerKey.length > 0
+  && photo?.likes?.[likerKey] === true
+);
+
+const scorePhotoHighlight = (photo, now = Date.now()) => {
+  const likeCount = countPhotoLikes(photo?.likes);
+  const timestampMs = parseTimestampMs(photo?.timestamp);
+  const ageMs = Number.isFinite(timestampMs) ? Math.max(0, now - timestampMs) : Infinity;
+  return likeCount + RECENCY_BONUS * (0.5 ** (ageMs / RECENCY_HALF_LIFE_MS));
+};
+
+/**
+ * Picks the "best of the tour" strip from photos already in memory. Only
+ * photos with at least one heart qualify; likes rank first and recency
+ * breaks ties, then the photo id keeps the order stable between renders.
+ */
+const rankPhotoHighlights = (photos, { now = Date.now(), limit = DEFAULT_HIGHLIGHT_LIMIT } = {}) => (
+  (Array.isArray(photos) ? photos : [])
+    .filter((photo) => photo?.id && countPhotoLikes(photo.likes) > 0)
+    .map((photo) => ({
+      photo,
+      likeCount: countPhotoLikes(photo.likes),
+      score: scorePhotoHighlight(photo, now),
+    }))
+    .sort((a, b) => b.score - a.score || String(a.photo.id).localeCompare(String(b.photo.id)))
+    .slice(0, Math.max(0, limit))
+);
+
+module.exports = {
+  DEFAULT_HIGHLIGHT_LIMIT,
+  countPhotoLikes,
+  isPhotoLikedBy,
+  rankPhotoHighlights,
+  scorePhotoHighlight,
+};
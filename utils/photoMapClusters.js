@@ -0,0 +1,58 @@
+const { groupPhotosByCaptureLocation, getPhotoCaptureTimeMs } = require('./photoCaptureMetadata');
+const { resolveThumbnailOnlyUri } = require('../services/photoVariantService');
+
+// The visible map is split into roughly this many cells across its longer
+// side; pins in the same cell merge. Zooming in splits clusters apart.
+const PHOTO_CLUSTER_GRID_DIVISIONS = 6;
+// Pins are already rounded to about 1 km, so finer cells would not split
+// anything further.
+const MIN_PHOTO_CLUSTER_CELL_DEGREES = 0.01;
+const DEFAULT_REGION_DELTA = 0.0922;
+
+const newestFirst = (a, b) => (getPhotoCaptureTimeMs(b) || 0) - (getPhotoCaptureTimeMs(a) || 0);
+
+const resolveCellDegrees = (region = {}) => {
+  const latitudeDelta = Number.isFinite(region?.latitudeDelta) ? Math.abs(region.latitudeDelta) : DEFAULT_REGION_DELTA;
+  const longitudeDelta = Number.isFinite(region?.longitudeDelta) ? Math.abs(region.longitudeDelta) : DEFAULT_REGION_DELTA;
+  return Math.max(MIN_PHOTO_CLUSTER_CELL_DEGREES, Math.max(latitudeDelta, longitudeDelta) / PHOTO_CLUSTER_GRID_DIVISIONS);
+};
+
+/**
+ * Merges located group photos into map clusters for the current zoom.
+ * Each cluster sits at the photo-weighted centre of its pins and lists its
+ * photos newest first. The cover is the newest photo with a real thumbnail,
+ * so markers never need a viewer-size or original download.
+ *
+ * @returns {Array<{ key: string, lat: number, lng: number, photos: Array<Object>, cover: (Object|null) }>}
+ */
+const clusterPhotosForMap = (photos, region) => {
+  const cellDegrees = resolveCellDegrees(region);
+  const cells = new Map();
+
+  groupPhotosByCaptureLocation(photos).forEach((pin) => {
+    const cellKey = `${Math.floor(pin.lat / cellDegrees)}:${Math.floor(pin.lng / cellDegrees)}`;
+    if (!cells.has(cellKey)) cells.set(cellKey, []);
+    cells.get(cellKey).push(pin);
+  });
+
+  return Array.from(cells.values()).map((pins) => {
+    const clusterPhotos = pins.flatMap((pin) => pin.photos).sort(newestFirst);
+    const weightedLat = pins.reduce((sum, pin) => sum + pin.lat * pin.photos.length, 0);
+    const weightedLng = pins.reduce((sum, pin) => sum + pin.lng * pin.photos.length, 0);
+    return {
+      // Named after the first pin, which is the newest, so a cluster keeps
+      // its key while new photos arrive elsewhere.
+      key: `cluster:${pins[0].key}`,
+      lat: weightedLat / clusterPhotos.length,
+      lng: weightedLng / clusterPhotos.length,
+      photos: clusterPhotos,
+      cover: clusterPhotos.find((photo) => resolveThumbnailOnlyUri(photo)) || null,
+    };
+  });
+};
+
+module.exports = {
+  MIN_PHOTO_CLUSTER_CELL_DEGREES,
+  PHOTO_CLUSTER_GRID_DIVISIONS,
+  clusterPhotosForMap,
+};
@@ -0,0 +1,86 @@
+const { getPhotoCaptureTimeMs } = require('./photoCaptureMetadata');
+
+// Hashes come from functions/lib/photoQuality.js: a 64-bit dHash as 16 hex
+// characters. Burst frames of one view usually differ by a handful of bits.
+const NEAR_DUPLICATE_MAX_DISTANCE = 8;
+const NEAR_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+// Variance of the Laplacian on the server's 512px sample. Below this the
+// frame is soft enough that we suggest removing it; the uploader decides.
+const PHOTO_BLUR_THRESHOLD = 100;
+const PERCEPTUAL_HASH_PATTERN = /^[0-9a-f]{16}$/;
+
+const NIBBLE_BIT_COUNTS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Number of differing bits between two perceptual hashes, or null when
+ * either hash is missing or malformed.
+ */
+const getHashDistance = (left, right) => {
+  if (!PERCEPTUAL_HASH_PATTERN.test(left || '') || !PERCEPTUAL_HASH_PATTERN.test(right || '')) return null;
+  let distance = 0;
+  for (let index = 0; index < left.length; index += 1) {
+    distance += NIBBLE_BIT_COUNTS[parseInt(left[index], 16) ^ parseInt(right[index], 16)];
+  }
+  return distance;
+};
+
+const isPhotoBlurry = (photo) => (
+  typeof photo?.sharpnessScore === 'number'
+  && Number.isFinite(photo.sharpnessScore)
+  && photo.sharpnessScore < PHOTO_BLUR_THRESHOLD
+);
+
+const sharpnessOf = (photo) => (Number.isFinite(photo?.sharpnessScore) ? photo.sharpnessScore : -1);
+
+const isNearDuplicate = (anchor, photo) => {
+  if (!anchor.userId || anchor.userId !== photo.userId) return false;
+  const anchorMs = getPhotoCaptureTimeMs(anchor);
+  const photoMs = getPhotoCaptureTimeMs(photo);
+  if (!Number.isFinite(anchorMs) || !Number.isFinite(photoMs)) return false;
+  if (Math.abs(anchorMs - photoMs) > NEAR_DUPLICATE_WINDOW_MS) return false;
+  const distance = getHashDistance(anchor.perceptualHash, photo.perceptualHash);
+  return distance !== null && distance <= NEAR_DUPLICATE_MAX_DISTANCE;
+};
+
+/**
+ * Groups one uploader's near-identical frames taken within a few minutes of
+ * each other. Each stack keeps the position of its first photo in `photos`
+ * and is matched against that first photo, so a slow pan does not chain
+ * into one long stack. The cover is the sharpest frame.
+ */
+const buildPhotoStacks = (photos) => {
+  const stacks = [];
+  (Array.isArray(photos) ? photos : []).forEach((photo) => {
+    if (!photo?.id) return;
+    const stack = stacks.find((candidate) => isNearDuplicate(candidate.photos[0], photo));
+    if (stack) {
+      stack.photos.push(photo);
+      if (sharpnessOf(photo) > sharpnessOf(stack.cover)) stack.cover = photo;
+    } else {
+      stacks.push({ key: `stack:${photo.id}`, cover: photo, photos: [photo] });
+    }
+  });
+  return stacks;
+};
+
+/**
+ * Flattens stacks back into a photo list for the grid. A collapsed stack
+ * shows only its cover; an expanded one shows every frame. Photos in a
+ * stack carry `stack: { key, size, expanded }`.
+ */
+const collapsePhotoStacks = (photos, expandedStackKeys = {}) => buildPhotoStacks(photos).flatMap((stack) => {
+  if (stack.photos.length === 1) return stack.photos;
+  const expanded = expandedStackKeys[stack.key] === true;
+  const stackInfo = { key: stack.key, size: stack.photos.length, expanded };
+  return (expanded ? stack.photos : [stack.cover]).map((photo) => ({ ...photo, stack: stackInfo }));
+});
+
+module.exports = {
+  NEAR_DUPLICATE_MAX_DISTANCE,
+  NEAR_DUPLICATE_WINDOW_MS,
+  PHOTO_BLUR_THRESHOLD,
+  buildPhotoStacks,
+  collapsePhotoStacks,
+  getHashDistance,
+  isPhotoBlurry,
+};
@@ -0,0 +1,257 @@
+const { getTourDayContext } = require('../services/itineraryDateParser');
+const { parseTimestampMs } = require('../services/timeUtils');
+const { getPhotoCaptureTimeMs } = require('./photoCaptureMetadata');
+
+const MAX_TOUR_DAY_NUMBER = 60;
+const MAX_ITINERARY_STOP_TEXT_LENGTH = 120;
+
+const PHOTOBOOK_SECTION_KINDS = Object.freeze({
+  BEFORE_TOUR: 'before_tour',
+  DAY: 'day',
+  AFTER_TOUR: 'after_tour',
+  DATE: 'date',
+  UNDATED: 'undated',
+});
+
+const getPhotoTimestampMs = (photo) => {
+  const parsedMs = parseTimestampMs(photo?.timestamp);
+  return Number.isFinite(parsedMs) ? parsedMs : null;
+};
+
+const normalizeStopText = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, MAX_ITINERARY_STOP_TEXT_LENGTH) : null;
+};
+
+/**
+ * Returns a safe `{ dayNumber, stopId, label }` tag or null. A tag without a
+ * stop id or label is rejected because it cannot be shown or counted.
+ */
+const normalizeItineraryStop = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const dayNumber = Number(value.dayNumber);
+  if (!Number.isInteger(dayNumber) || dayNumber < 1 || dayNumber > MAX_TOUR_DAY_NUMBER) return null;
+  const stopId = normalizeStopText(value.stopId);
+  const label = normalizeStopText(value.label);
+  if (!stopId || !label) return null;
+  return { dayNumber, stopId, label };
+};
+
+const hasTourDayContext = ({ startDate, itineraryDays }) => {
+  const context = getTourDayContext({ startDate, itineraryDays, now: new Date() });
+  return context.status !== 'INVALID_START_DATE' && context.status !== 'NO_ITINERARY_DAYS';
+};
+
+/**
+ * Buckets a timestamp into the tour timeline. Returns null when the tour has
+ * no usable start date or itinerary, so callers can fall back to calendar
+ * dates.
+ */
+const getTourDayForTimestamp = (timestampMs, { startDate, itineraryDays }) => {
+  if (!Number.isFinite(timestampMs)) return null;
+  const context = getTourDayContext({ startDate, itineraryDays, now: new Date(timestampMs) });
+  if (context.status === 'ACTIVE') return { kind: PHOTOBOOK_SECTION_KINDS.DAY, dayNumber: context.dayNumber };
+  if (context.status === 'FUTURE') return { kind: PHOTOBOOK_SECTION_KINDS.BEFORE_TOUR, dayNumber: null };
+  if (context.status === 'COMPLETED') return { kind: PHOTOBOOK_SECTION_KINDS.AFTER_TOUR, dayNumber: null };
+  return null;
+};
+
+/**
+ * An explicit itinerary stop tag wins over the capture time, so a photo
+ * uploaded the morning after still lands in the day it was taken.
+ */
+const getPhotoTourDay = (photo, { startDate, itineraryDays }) => {
+  const itineraryStop = normalizeItineraryStop(photo?.itineraryStop);
+  const dayCount = Array.isArray(itineraryDays) ? itineraryDays.length : 0;
+  if (itineraryStop && itineraryStop.dayNumber <= dayCount && hasTourDayContext({ startDate, itineraryDays })) {
+    return { kind: PHOTOBOOK_SECTION_KINDS.DAY, dayNumber: itineraryStop.dayNumber };
+  }
+  return getTourDayForTimestamp(getPhotoCaptureTimeMs(photo), { startDate, itineraryDays });
+};
+
+const getSectionKey = ({ kind, dayNumber = null, dateKey = null }) => {
+  if (kind === PHOTOBOOK_SECTION_KINDS.DAY) return `day-${dayNumber}`;
+  if (kind === PHOTOBOOK_SECTION_KINDS.DATE) return `date-${dateKey}`;
+  return kind;
+};
+
+const getSectionRank = ({ kind, dayNumber = null, dateMs = null }) => {
+  if (kind === PHOTOBOOK_SECTION_KINDS.BEFORE_TOUR) return 0;
+  if (kind === PHOTOBOOK_SECTION_KINDS.DAY) return dayNumber;
+  if (kind === PHOTOBOOK_SECTION_KINDS.AFTER_TOUR) return MAX_TOUR_DAY_NUMBER + 1;
+  if (kind === PHOTOBOOK_SECTION_KINDS.DATE) return dateMs;
+  return Number.NEGATIVE_INFINITY;
+};
+
+const toLocalDateParts = (timestampMs) => {
+  const date = new Date(timestampMs);
+  const dateKey = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+  return {
+    dateKey,
+    dateMs: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12).getTime(),
+  };
+};
+
+const summarizeStops = (photos) => {
+  const counts = new Map();
+  photos.forEach((photo) => {
+    const itineraryStop = normalizeItineraryStop(photo?.itineraryStop);
+    if (!itineraryStop) return;
+    const existing = counts.get(itineraryStop.stopId);
+    if (existing) {
+      existing.count += 1;
+    } else {
+      counts.set(itineraryStop.stopId, { stopId: itineraryStop.stopId, label: itineraryStop.label, count: 1 });
+    }
+  });
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+/**
+ * Groups gallery photos into tour-day sections, with "before" and "after"
+ * buckets for photos outside the itinerary. Without a usable itinerary the
+ * photos are grouped by local calendar date instead.
+ */
+const buildPhotobookDaySections = ({
+  photos = [],
+  startDate = null,
+  itineraryDays = [],
+  sortMode = 'newest',
+} = {}) => {
+  const useTourDays = hasTourDayContext({ startDate, itineraryDays });
+  const direction = sortMode === 'oldest' ? 1 : -1;
+  const grouped = new Map();
+
+  (Array.isArray(photos) ? photos : []).forEach((photo) => {
+    if (!photo) return;
+    const timestampMs = getPhotoCaptureTimeMs(photo);
+    let descriptor = useTourDays ? getPhotoTourDay(photo, { startDate, itineraryDays }) : null;
+    if (!descriptor && Number.isFinite(timestampMs)) {
+      descriptor = { kind: PHOTOBOOK_SECTION_KINDS.DATE, dayNumber: null, ...toLocalDateParts(timestampMs) };
+    }
+    if (!descriptor) {
+      descriptor = { kind: PHOTOBOOK_SECTION_KINDS.UNDATED, dayNumber: null };
+    }
+
+    const key = getSectionKey(descriptor);
+    if (!grouped.has(key)) {
+      grouped.set(key, {
+        key,
+        kind: descriptor.kind,
+        dayNumber: descriptor.dayNumber ?? null,
+        dateMs: descriptor.dateMs ?? null,
+        rank: getSectionRank(descriptor),
+        photos: [],
+      });
+    }
+    grouped.get(key).photos.push(photo);
+  });
+
+  return Array.from(grouped.values())
+    .sort((a, b) => {
+      if (a.kind === PHOTOBOOK_SECTION_KINDS.UNDATED) return 1;
+      if (b.kind === PHOTOBOOK_SECTION_KINDS.UNDATED) return -1;
+      return (a.rank - b.rank) * direction;
+    })
+    .map(({ rank: _rank, ...section }) => {
+      const sectionPhotos = [...section.photos].sort(
+        (a, b) => ((getPhotoCaptureTimeMs(a) || 0) - (getPhotoCaptureTimeMs(b) || 0)) * direction
+      );
+      return {
+        ...section,
+        photos: sectionPhotos,
+        stopCounts: summarizeStops(sectionPhotos),
+      };
+    });
+};
+
+/**
+ * Scrubber entries cover every itinerary day, including days with no loaded
+ * photos yet, so a jump can page older photos in on demand.
+ */
+const buildDayScrubberItems = ({
+  sections = [],
+  startDate = null,
+  itineraryDays = [],
+  sortMode = 'newest',
+} = {}) => {
+  const sectionsByKey = new Map(sections.map((section) => [section.key, section]));
+
+  if (!hasTourDayContext({ startDate, itineraryDays })) {
+    return sections.map((section) => ({
+      key: section.key,
+      kind: section.kind,
+      dayNumber: null,
+      dateMs: section.dateMs,
+      loadedCount: section.photos.length,
+    }));
+  }
+
+  const dayCount = Math.min(Array.isArray(itineraryDays) ? itineraryDays.length : 0, MAX_TOUR_DAY_NUMBER);
+  const items = [];
+  const pushItem = (kind, dayNumber = null) => {
+    const key = getSectionKey({ kind, dayNumber });
+    items.push({
+      key,
+      kind,
+      dayNumber,
+      dateMs: null,
+      loadedCount: sectionsByKey.get(key)?.photos.length || 0,
+    });
+  };
+
+  if (sectionsByKey.has(PHOTOBOOK_SECTION_KINDS.BEFORE_TOUR)) pushItem(PHOTOBOOK_SECTION_KINDS.BEFORE_TOUR);
+  for (let dayNumber = 1; dayNumber <= dayCount; dayNumber += 1) {
+    pushItem(PHOTOBOOK_SECTION_KINDS.DAY, dayNumber);
+  }
+  if (sectionsByKey.has(PHOTOBOOK_SECTION_KINDS.AFTER_TOUR)) pushItem(PHOTOBOOK_SECTION_KINDS.AFTER_TOUR);
+
+  return sortMode === 'oldest' ? items : items.reverse();
+};
+
+/**
+ * Gallery pages arrive newest first by upload time, so a day is still worth
+ * paging towards while the oldest loaded upload falls on that day or later.
+ */
+const shouldLoadMoreForDay = ({
+  targetKey,
+  photos = [],
+  startDate = null,
+  itineraryDays = [],
+  hasMore = false,
+} = {}) => {
+  if (!hasMore || !targetKey) return false;
+  const loaded = Array.isArray(photos) ? photos : [];
+  if (loaded.length === 0) return true;
+
+  const oldestMs = loaded.reduce((oldest, photo) => {
+    const timestampMs = getPhotoTimestampMs(photo);
+    return Number.isFinite(timestampMs) && (oldest === null || timestampMs < oldest) ? timestampMs : oldest;
+  }, null);
+  if (oldestMs === null) return true;
+
+  const oldestDay = getTourDayForTimestamp(oldestMs, { startDate, itineraryDays });
+  if (!oldestDay) return true;
+
+  const targetMatch = /^day-(\d+)$/.exec(targetKey);
+  const targetRank = targetMatch
+    ? Number(targetMatch[1])
+    : getSectionRank({ kind: targetKey });
+  return getSectionRank(oldestDay) >= targetRank;
+};
+
+module.exports = {
+  MAX_ITINERARY_STOP_TEXT_LENGTH,
+  MAX_TOUR_DAY_NUMBER,
+  PHOTOBOOK_SECTION_KINDS,
+  buildDayScrubberItems,
+  buildPhotobookDaySections,
+  getPhotoTourDay,
+  normalizeItineraryStop,
+  shouldLoadMoreForDay,
+};
@@ -13,8 +13,8 @@ const buildTourHomeActionPlan = ({ manifestStatus, pickupCountdown, driverLocati
 
   if (isNoShow) {
     return {
-      title: 'Reconnect with your driver now',
-      subtitle: 'You were marked as missing. Call or message your driver immediately.',
+      titleKey: 'tourHome.plan.noShow.title',
+      subtitleKey: 'tourHome.plan.noShow.subtitle',
       primaryActionId: ACTION_IDS.CHAT,
       orderedActionIds: [ACTION_IDS.CHAT, ACTION_IDS.MAP, ACTION_IDS.ITINERARY, ACTION_IDS.PHOTOS],
     };
@@ -22,18 +22,18 @@ const buildTourHomeActionPlan = ({ manifestStatus, pickupCountdown, driverLocati
 
   if (pickupSoon) {
     return {
-      title: 'Pickup is coming up soon',
-      subtitle: driverLocationActive
-        ? 'Track your driver live and head to the pickup point.'
-        : 'Open the map now so you are ready at your pickup point.',
+      titleKey: 'tourHome.plan.pickupSoon.title',
+      subtitleKey: driverLocationActive
+        ? 'tourHome.plan.pickupSoon.subtitleLive'
+        : 'tourHome.plan.pickupSoon.subtitle',
       primaryActionId: ACTION_IDS.MAP,
       orderedActionIds: [ACTION_IDS.MAP, ACTION_IDS.CHAT, ACTION_IDS.ITINERARY, ACTION_IDS.PHOTOS],
     };
   }
 
   return {
-    title: 'Plan your next step',
-    subtitle: 'Check updates, review your itinerary, and stay in touch with your group.',
+    titleKey: 'tourHome.plan.default.title',
+    subtitleKey: 'tourHome.plan.default.subtitle',
     primaryActionId: ACTION_IDS.ITINERARY,
     orderedActionIds: [ACTION_IDS.ITINERARY, ACTION_IDS.CHAT, ACTION_IDS.MAP, ACTION_IDS.PHOTOS],
   };
@@ -0,0 +1,70 @@
+// Short clips only: the album is for moments, and a tour coach's Wi-Fi or a
+// roaming data plan has to carry them. storage_rules.json and
+// database.rules.json enforce the same limits.
+const MAX_VIDEO_CLIP_DURATION_MS = 15 * 1000;
+const MAX_VIDEO_CLIP_SIZE_BYTES = 50 * 1024 * 1024;
+// Pickers and encoders report a few frames over a trimmed length.
+const VIDEO_CLIP_DURATION_GRACE_MS = 1000;
+const ALLOWED_VIDEO_CLIP_TYPES = ['video/mp4', 'video/quicktime'];
+
+const VIDEO_EXTENSION_TYPES = { mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime' };
+
+const isVideoClipType = (type) => ALLOWED_VIDEO_CLIP_TYPES.includes(type);
+
+const isVideoClip = (photo) => photo?.mediaType === 'video';
+
+/**
+ * Content type for a picker asset, falling back to the file extension when
+ * the platform leaves `mimeType` empty.
+ */
+const resolveVideoClipType = (asset) => {
+  const mimeType = typeof asset?.mimeType === 'string' ? asset.mimeType.trim().toLowerCase() : '';
+  if (mimeType) return mimeType;
+  const extension = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(asset?.uri || asset?.fileName || '')?.[1]?.toLowerCase();
+  return VIDEO_EXTENSION_TYPES[extension] || null;
+};
+
+/**
+ * Clip length in ms from an image picker asset, or null when unknown.
+ */
+const resolveVideoClipDurationMs = (asset) => {
+  const duration = typeof asset?.duration === 'number' ? asset.duration : NaN;
+  if (!Number.isFinite(duration) || duration <= 0) return null;
+  return Math.round(duration);
+};
+
+/**
+ * Checks a picked video before it is queued, so the passenger hears about
+ * a long or large clip straight away rather than after a failed upload.
+ *
+ * @returns {{ ok: true, durationMs: number, contentType: string } | { ok: false, error: string }}
+ */
+const checkVideoClipAsset = (asset) => {
+  const contentType = resolveVideoClipType(asset);
+  if (!isVideoClipType(contentType)) {
+    return { ok: false, error: 'This video format is not supported. Please choose an MP4 or MOV clip.' };
+  }
+  const durationMs = resolveVideoClipDurationMs(asset);
+  if (durationMs === null) {
+    return { ok: false, error: 'This clip could not be read. Please choose another video.' };
+  }
+  if (durationMs > MAX_VIDEO_CLIP_DURATION_MS + VIDEO_CLIP_DURATION_GRACE_MS) {
+    return { ok: false, error: `Clips can be up to ${MAX_VIDEO_CLIP_DURATION_MS / 1000} seconds. Please trim it and try again.` };
+  }
+  if (typeof asset?.fileSize === 'number' && asset.fileSize > MAX_VIDEO_CLIP_SIZE_BYTES) {
+    return { ok: false, error: 'This clip is too large to share. Please choose a shorter clip.' };
+  }
+  return { ok: true, durationMs, contentType };
+};
+
+module.exports = {
+  ALLOWED_VIDEO_CLIP_TYPES,
+  MAX_VIDEO_CLIP_DURATION_MS,
+  MAX_VIDEO_CLIP_SIZE_BYTES,
+  VIDEO_CLIP_DURATION_GRACE_MS,
+  checkVideoClipAsset,
+  isVideoClip,
+  isVideoClipType,
+  resolveVideoClipDurationMs,
+  resolveVideoClipType,
+};
@@ -54,6 +54,7 @@ const ToursManager = lazy(() => import('./components/ToursManager'));
 const BroadcastPanel = lazy(() => import('./components/BroadcastPanel').then((module) => ({ default: module.BroadcastPanel })));
 const ContentModerationPanel = lazy(() => import('./components/ContentModerationPanel').then((module) => ({ default: module.ContentModerationPanel })));
 const Settings = lazy(() => import('./components/Settings'));
+const LiveLocationSharePage = lazy(() => import('./components/LiveLocationSharePage'));
 
 // Navigation items configuration
 const navItems = [
@@ -418,7 +419,7 @@ function AppLayout({ user }) {
 }
 
 // Main App Component
-function App() {
+function OperationsPortal() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -496,4 +497,20 @@ function App() {
   return <AppLayout user={user} />;
 }
 
+function App() {
+  const location = useLocation();
+
+  // Family location links are public pages on the same hosting site; they
+  // never wait on, or show, the operations sign-in.
+  if (location.pathname.startsWith('/share/live')) {
+    return (
+      <Suspense fallback={<Center style={{ minHeight: '100vh' }}><Loader color="brand" /></Center>}>
+        <LiveLocationSharePage />
+      </Suspense>
+    );
+  }
+
+  return <OperationsPortal />;
+}
+
 export default App;
@@ -49,6 +49,7 @@ import {
   TOUR_NOTIFICATION_CATEGORY_OPTIONS,
   getTourNotificationCategoryLabel,
 } from '../utils/notificationCategories';
+import { departureKeyForTour } from '../services/driverTourPackOperationsService';
 
 const MAX_BROADCAST_LENGTH = 2000;
 const IDEAL_MAX_LENGTH = 240;
@@ -105,6 +106,7 @@ function normalizeBroadcastMessage(targetId, broadcastId, payload = {}, targetTy
     timestampMs: normalizedTimestamp,
     createdByUid: payload.createdByUid || null,
     source: payload.source || null,
+    automatic: payload.source === 'coach_arrival',
     deliveryStatus: payload.deliveryStatus || 'queued',
     recipientCount: Number.isFinite(Number(payload.recipientCount)) ? Number(payload.recipientCount) : null,
     successCount: Number.isFinite(Number(payload.successCount)) ? Number(payload.successCount) : null,
@@ -112,6 +114,21 @@ function normalizeBroadcastMessage(targetId, broadcastId, payload = {}, targetTy
   };
 }
 
+// Automatic coach arrival notices are kept per departure in
+// `coach_arrival_notifications`, not in the tour's broadcast history, because
+// only the passengers at that pickup were sent them.
+function normalizeCoachArrivalNotice(tourId, pickupId, payload = {}) {
+  return normalizeBroadcastMessage(tourId, `coach_arrival_${pickupId}`, {
+    message: payload.message,
+    createdAtMs: payload.claimedAtMs,
+    source: 'coach_arrival',
+    deliveryStatus: payload.status,
+    recipientCount: payload.recipientCount,
+    successCount: payload.successCount,
+    errorCount: payload.errorCount,
+  });
+}
+
 function BroadcastHistoryItem({ broadcast }) {
   const timestampMs = normalizeBroadcastTimestamp(broadcast.timestamp);
   const isCategoryBroadcast = broadcast.targetType === 'category';
@@ -135,6 +152,9 @@ function BroadcastHistoryItem({ broadcast }) {
       <Text size="sm">{broadcast.message}</Text>
       <Group gap="xs" mt="xs">
         <Badge size="xs" color={delivery.color} variant="light">{delivery.label}</Badge>
+        {broadcast.automatic ? (
+          <Badge size="xs" color="teal" variant="outline">Automatic coach arrival</Badge>
+        ) : null}
         {broadcast.recipientCount !== null ? (
           <Text size="xs" c="dimmed">
             {broadcast.successCount || 0} accepted / {broadcast.errorCount || 0} failed / {broadcast.recipientCount} eligible
@@ -192,6 +212,7 @@ export function BroadcastPanel() {
   const [tours, setTours] = useState({});
   const [loadingTours, setLoadingTours] = useState(true);
   const [broadcastHistoryState, setBroadcastHistoryState] = useState({ rootPath: '', items: [] });
+  const [coachArrivalState, setCoachArrivalState] = useState({ path: '', items: [] });
   const [historyFilter, setHistoryFilter] = useState('');
   const [confirmationOpen, setConfirmationOpen] = useState(false);
   const sendInFlightRef = useRef(false);
@@ -218,9 +239,32 @@ export function BroadcastPanel() {
   const historyRootPath = historyTargetId && isValidFirebaseKeySegment(historyTargetId)
     ? `${targetMode === 'category' ? 'category_broadcasts' : 'broadcasts'}/${historyTargetId}`
     : '';
-  const broadcastHistory = broadcastHistoryState.rootPath === historyRootPath
-    ? broadcastHistoryState.items
-    : EMPTY_BROADCAST_HISTORY;
+  const coachArrivalDepartureKey = targetMode === 'tour' && historyRootPath
+    ? departureKeyForTour(historyTargetId, tours[historyTargetId])
+    : null;
+  const coachArrivalPath = coachArrivalDepartureKey ? `coach_arrival_notifications/${coachArrivalDepartureKey}` : '';
+  const broadcastHistory = useMemo(() => {
+    const sent = broadcastHistoryState.rootPath === historyRootPath
+      ? broadcastHistoryState.items
+      : EMPTY_BROADCAST_HISTORY;
+    const automatic = coachArrivalState.path === coachArrivalPath ? coachArrivalState.items : EMPTY_BROADCAST_HISTORY;
+    if (automatic.length === 0) return sent;
+    return [...sent, ...automatic].sort((a, b) => (b.timestampMs ?? 0) - (a.timestampMs ?? 0));
+  }, [broadcastHistoryState, historyRootPath, coachArrivalState, coachArrivalPath]);
+
+  useEffect(() => {
+    if (!coachArrivalPath) return undefined;
+    const unsubscribe = onValue(
+      ref(db, coachArrivalPath),
+      (snapshot) => {
+        const items = Object.entries(snapshot.val() || {})
+          .map(([pickupId, payload]) => normalizeCoachArrivalNotice(historyTargetId, pickupId, payload));
+        setCoachArrivalState({ path: coachArrivalPath, items });
+      },
+      () => setCoachArrivalState({ path: coachArrivalPath, items: [] }),
+    );
+    return () => unsubscribe();
+  }, [coachArrivalPath, historyTargetId]);
 
   useEffect(() => {
     if (!historyRootPath) return undefined;
@@ -19,6 +19,7 @@ import {
 } from '@mantine/core';
 import {
   IconAlertTriangle,
+  IconBlur,
   IconCheck,
   IconEye,
   IconFlag,
@@ -30,6 +31,8 @@ import { db } from '../firebase';
 import {
   CONTENT_REPORT_STATUS,
   CONTENT_REPORT_STATUS_OPTIONS,
+  FACE_BLUR_REPORT_REASON,
+  blurReportedPhoto,
   buildContentReportStats,
   fetchContentReports,
   filterContentReports,
@@ -43,6 +46,7 @@ import {
   summarizeDatabaseInstance,
 } from '../services/firebaseDebug';
 import { formatDateTimeForDisplay } from '../utils/dateUtils';
+import { PhotoBlurRegionsModal } from './PhotoBlurRegionsModal';
 
 const REPORT_STATUS_COLOR = {
   [CONTENT_REPORT_STATUS.OPEN]: 'red',
@@ -57,7 +61,7 @@ const CONTENT_TYPE_LABEL = {
 };
 
 const formatReason = (reason) => (
-  String(reason || 'other')
+  reason === FACE_BLUR_REPORT_REASON ? 'Face blur request' : String(reason || 'other')
     .split('_')
     .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
     .join(' ')
@@ -71,6 +75,7 @@ export function ContentModerationPanel() {
   const [error, setError] = useState(null);
   const [mutatingReportId, setMutatingReportId] = useState(null);
   const [pendingRemovalReport, setPendingRemovalReport] = useState(null);
+  const [pendingBlurReport, setPendingBlurReport] = useState(null);
 
   useEffect(() => {
     const unsubscribe = subscribeToContentReports(
@@ -169,6 +174,27 @@ export function ContentModerationPanel() {
     }
   };
 
+  const handleBlurPhoto = async (report, regions) => {
+    setMutatingReportId(report.id);
+    try {
+      const result = await blurReportedPhoto(report, regions);
+      notifications.show({
+        title: 'Photo blurred',
+        message: `Blurred ${result.regionCount} ${result.regionCount === 1 ? 'area' : 'areas'} in ${result.contentPath}.`,
+        color: 'green',
+      });
+      setPendingBlurReport(null);
+    } catch (blurError) {
+      notifications.show({
+        title: 'Blur failed',
+        message: blurError?.message || 'Unable to blur the reported photo.',
+        color: 'red',
+      });
+    } finally {
+      setMutatingReportId(null);
+    }
+  };
+
   if (loading) {
     return (
       <Center style={{ minHeight: 420 }}>
@@ -195,7 +221,7 @@ export function ContentModerationPanel() {
             </Group>
             <Title order={2}>Content Reports</Title>
             <Text c="dimmed" maw={760}>
-              Review reported group chat messages and group album photos, then remove, action, or dismiss them.
+              Review reported group chat messages and group album photos, then blur, remove, action, or dismiss them.
             </Text>
             <Group gap="sm" mt="xs">
               <Badge color={stats.activeCount > 0 ? 'red' : 'green'} variant="light">
@@ -281,8 +307,21 @@ export function ContentModerationPanel() {
                           {report.contentOwnerName || 'Participant'}
                         </Text>
                         <Text size="xs" c="dimmed" lineClamp={3}>
-                          {report.contentPreview || report.sourcePath || report.contentId}
+                          {report.reportedText || report.contentPreview || report.sourcePath || report.contentId}
                         </Text>
+                        {report.blurRegions.length > 0 && (
+                          <Text size="xs" c="dimmed">
+                            {report.blurRegions.length} {report.blurRegions.length === 1 ? 'area' : 'areas'} marked by the reporter
+                          </Text>
+                        )}
+                        {report.moderationAction === 'photo_blurred' && (
+                          <Text size="xs" c="dimmed">Photo replaced with a blurred copy</Text>
+                        )}
+                        {report.contentVersion > 1 && (
+                          <Text size="xs" c="dimmed">
+                            Reported after edit {report.contentVersion - 1}
+                          </Text>
+                        )}
                       </Table.Td>
                       <Table.Td maw={180}>
                         <Text size="sm" lineClamp={1}>{report.reporterName || 'Reporter'}</Text>
@@ -305,6 +344,18 @@ export function ContentModerationPanel() {
                               Review
                             </Button>
                           )}
+                          {report.contentType === 'group_photo'
+                            && (report.status === CONTENT_REPORT_STATUS.OPEN || report.status === CONTENT_REPORT_STATUS.REVIEWING) && (
+                            <Button
+                              size="xs"
+                              variant={report.reason === FACE_BLUR_REPORT_REASON ? 'filled' : 'light'}
+                              leftSection={<IconBlur size={14} />}
+                              loading={mutating}
+                              onClick={() => setPendingBlurReport(report)}
+                            >
+                              Blur
+                            </Button>
+                          )}
                           {(report.status === CONTENT_REPORT_STATUS.OPEN || report.status === CONTENT_REPORT_STATUS.REVIEWING) && (
                             <Button
                               size="xs"
@@ -350,6 +401,14 @@ export function ContentModerationPanel() {
         )}
       </Card>
 
+      <PhotoBlurRegionsModal
+        key={pendingBlurReport?.id || 'none'}
+        report={pendingBlurReport}
+        submitting={Boolean(pendingBlurReport) && mutatingReportId === pendingBlurReport.id}
+        onClose={() => setPendingBlurReport(null)}
+        onSubmit={handleBlurPhoto}
+      />
+
       <Modal
         opened={Boolean(pendingRemovalReport)}
         onClose={() => !mutatingReportId && setPendingRemovalReport(null)}
@@ -22,6 +22,7 @@ import {
   Table,
   Text,
   ThemeIcon,
+  Timeline,
   Title,
   Tooltip,
 } from '@mantine/core';
@@ -218,6 +219,27 @@ function SafetyBadge({ value, kind = 'severity' }) {
   );
 }
 
+function SafetyAlertTimeline({ steps }) {
+  if (!steps?.length || steps.length < 2) return null;
+
+  return (
+    <Timeline active={steps.length - 1} bulletSize={12} lineWidth={2} mt="xs">
+      {steps.map((step) => (
+        <Timeline.Item
+          key={step.key}
+          color={step.key.startsWith('escalated') ? 'orange' : 'blue'}
+          title={<Text size="xs" fw={600}>{step.label}</Text>}
+        >
+          <Text size="xs" c="dimmed">
+            {formatTimeForDisplay(step.atMs, 'time unknown')}
+            {step.detail ? ` - ${step.detail}` : ''}
+          </Text>
+        </Timeline.Item>
+      ))}
+    </Timeline>
+  );
+}
+
 function BranchHealthRow({ branchKey, loading, error, syncedAt }) {
   const meta = BRANCH_LABELS[branchKey];
   const color = error ? 'red' : loading ? 'yellow' : 'green';
@@ -1106,6 +1128,7 @@ export default function Dashboard() {
                       <Text size="xs" c="dimmed">
                         {alert.tourId ? `Tour ${alert.tourId}` : 'No tour attached'} - {alert.role || 'role unknown'} - {formatDateTimeForDisplay(alert.timestampMs, 'time unknown')}
                       </Text>
+                      <SafetyAlertTimeline steps={alert.timeline} />
                     </Box>
                     <Group gap={6} wrap="nowrap">
                       {alert.tourId ? (
@@ -1115,7 +1138,7 @@ export default function Dashboard() {
                           </ActionIcon>
                         </Tooltip>
                       ) : null}
-                      {alert.status === SAFETY_STATUS.PENDING ? (
+                      {alert.status === SAFETY_STATUS.PENDING || alert.status === SAFETY_STATUS.ESCALATED ? (
                         <Tooltip label="Acknowledge safety alert">
                           <ActionIcon
                             variant="light"
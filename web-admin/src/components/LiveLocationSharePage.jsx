@@ -0,0 +1,188 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import {
+  Alert,
+  Anchor,
+  Badge,
+  Card,
+  Center,
+  Container,
+  Group,
+  Loader,
+  Stack,
+  Text,
+  ThemeIcon,
+  Title,
+} from '@mantine/core';
+import { IconBus, IconMapPin, IconUser } from '@tabler/icons-react';
+import {
+  LIVE_LOCATION_SHARE_POLL_MS,
+  LIVE_LOCATION_SHARE_STATUS,
+  buildMapsUrl,
+  describeLocationAge,
+  distanceBetweenMeters,
+  fetchLiveLocationShare,
+  formatDistance,
+  parseLiveLocationShareFragment,
+} from '../services/liveLocationShareService';
+import { formatDateTimeForDisplay } from '../utils/dateUtils';
+
+const UNAVAILABLE_COPY = Object.freeze({
+  [LIVE_LOCATION_SHARE_STATUS.EXPIRED]: {
+    title: 'This link has expired',
+    message: 'Ask for a new link if you still need to follow their journey.',
+  },
+  [LIVE_LOCATION_SHARE_STATUS.REVOKED]: {
+    title: 'This link has been stopped',
+    message: 'The passenger stopped sharing this link.',
+  },
+  [LIVE_LOCATION_SHARE_STATUS.NOT_FOUND]: {
+    title: 'This link is not valid',
+    message: 'Check that you opened the full link you were sent.',
+  },
+});
+
+function PositionCard({ icon, color, title, point, emptyText, now }) {
+  return (
+    <Card withBorder>
+      <Group align="flex-start" wrap="nowrap">
+        <ThemeIcon size="lg" radius="md" color={color} variant="light">
+          {icon}
+        </ThemeIcon>
+        <Stack gap={4} style={{ flex: 1 }}>
+          <Text fw={600}>{title}</Text>
+          {point ? (
+            <>
+              <Text size="sm" c="dimmed">
+                {describeLocationAge(point.updatedAtMs, now)}
+                {point.accuracyMeters ? `, within ${point.accuracyMeters} m` : ''}
+              </Text>
+              <Anchor href={buildMapsUrl(point)} target="_blank" rel="noopener noreferrer" size="sm">
+                Open in Maps
+              </Anchor>
+            </>
+          ) : (
+            <Text size="sm" c="dimmed">{emptyText}</Text>
+          )}
+        </Stack>
+      </Group>
+    </Card>
+  );
+}
+
+/**
+ * Read-only page behind a passenger's family location link. Public and
+ * outside the admin sign-in; refreshes every 30 seconds until the link ends.
+ */
+export default function LiveLocationSharePage() {
+  const location = useLocation();
+  const link = useMemo(() => parseLiveLocationShareFragment(location.hash), [location.hash]);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!link) return undefined;
+    let active = true;
+    let timer = null;
+    const load = async () => {
+      const next = await fetchLiveLocationShare(link);
+      if (!active) return;
+      // A failed refresh keeps showing the last positions received.
+      setResult((previous) => (
+        next.status === LIVE_LOCATION_SHARE_STATUS.ERROR && previous?.share ? { ...next, share: previous.share } : next
+      ));
+      // Errors are retried; an expired, stopped or unknown link is final.
+      if (next.status === LIVE_LOCATION_SHARE_STATUS.OK || next.status === LIVE_LOCATION_SHARE_STATUS.ERROR) {
+        timer = setTimeout(load, LIVE_LOCATION_SHARE_POLL_MS);
+      }
+    };
+    load();
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [link]);
+
+  if (!link) {
+    return <UnavailableNotice {...UNAVAILABLE_COPY[LIVE_LOCATION_SHARE_STATUS.NOT_FOUND]} />;
+  }
+  if (!result) {
+    return (
+      <Center style={{ minHeight: '100vh' }}>
+        <Loader color="brand" />
+      </Center>
+    );
+  }
+  if (UNAVAILABLE_COPY[result.status]) {
+    return <UnavailableNotice {...UNAVAILABLE_COPY[result.status]} />;
+  }
+
+  const share = result.share;
+  const name = share?.displayName || 'Your contact';
+  const now = share?.checkedAtMs;
+  const distance = distanceBetweenMeters(share?.passenger, share?.coach);
+
+  return (
+    <Container size="xs" py="xl">
+      <Stack gap="md">
+        <div>
+          <Title order={2}>Where is {name}?</Title>
+          <Text c="dimmed">
+            {share?.tourName ? `On ${share.tourName} with Loch Lomond Travel.` : 'On tour with Loch Lomond Travel.'}
+          </Text>
+        </div>
+
+        {result.status === LIVE_LOCATION_SHARE_STATUS.ERROR && (
+          <Alert color="orange" title="Connection problem">
+            {share ? 'Showing the last positions we received. Retrying...' : 'The location could not be loaded. Retrying...'}
+          </Alert>
+        )}
+
+        {share && (
+          <>
+            <PositionCard
+              icon={<IconUser size={20} />}
+              color="brand"
+              title={name}
+              point={share.passenger}
+              emptyText={`${name} is not sharing their location right now.`}
+              now={now}
+            />
+            <PositionCard
+              icon={<IconBus size={20} />}
+              color="green"
+              title="Tour coach"
+              point={share.coach}
+              emptyText="The coach location is not available right now."
+              now={now}
+            />
+            {distance !== null && (
+              <Group gap="xs">
+                <IconMapPin size={16} />
+                <Text size="sm">{name} is about {formatDistance(distance)} from the coach.</Text>
+              </Group>
+            )}
+            <Badge variant="light" color="gray" size="lg">
+              Link works until {formatDateTimeForDisplay(share.expiresAtMs)}
+            </Badge>
+          </>
+        )}
+
+        <Text size="xs" c="dimmed">
+          This page refreshes automatically. In an emergency, call 999 (or 112).
+        </Text>
+      </Stack>
+    </Container>
+  );
+}
+
+function UnavailableNotice({ title, message }) {
+  return (
+    <Container size="xs" py="xl">
+      <Stack gap="xs">
+        <Title order={2}>{title}</Title>
+        <Text c="dimmed">{message}</Text>
+        <Text size="xs" c="dimmed">In an emergency, call 999 (or 112).</Text>
+      </Stack>
+    </Container>
+  );
+}
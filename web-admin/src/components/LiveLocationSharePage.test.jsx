@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MantineProvider } from '@mantine/core';
+import { MemoryRouter } from 'react-router-dom';
+
+const shareMocks = vi.hoisted(() => ({ fetchLiveLocationShare: vi.fn() }));
+
+vi.mock('../services/liveLocationShareService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchLiveLocationShare: (...args) => shareMocks.fetchLiveLocationShare(...args),
+}));
+
+import LiveLocationSharePage from './LiveLocationSharePage';
+
+const TOKEN = 'b'.repeat(64);
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const renderPage = (hash) => render(
+  <MantineProvider>
+    <MemoryRouter initialEntries={[`/share/live${hash}`]}>
+      <LiveLocationSharePage />
+    </MemoryRouter>
+  </MantineProvider>,
+);
+
+describe('LiveLocationSharePage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('shows the passenger and the coach with map links', async () => {
+    shareMocks.fetchLiveLocationShare.mockResolvedValue({
+      status: 'ok',
+      share: {
+        displayName: 'Alex',
+        tourName: 'Highlands Explorer',
+        expiresAtMs: NOW + 3600000,
+        passenger: { latitude: 56.0, longitude: -4.6, accuracyMeters: 12, updatedAtMs: NOW - 120000 },
+        coach: null,
+        checkedAtMs: NOW,
+      },
+    });
+
+    renderPage(`#-Nshare1.${TOKEN}`);
+
+    expect(await screen.findByText('Where is Alex?')).toBeInTheDocument();
+    expect(shareMocks.fetchLiveLocationShare).toHaveBeenCalledWith({ shareId: '-Nshare1', token: TOKEN });
+    expect(screen.getByText('On Highlands Explorer with Loch Lomond Travel.')).toBeInTheDocument();
+    expect(screen.getByText('Updated 2 minutes ago, within 12 m')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Open in Maps' })).toHaveAttribute('href', 'https://maps.google.com/?q=56.00000,-4.60000');
+    expect(screen.getByText('The coach location is not available right now.')).toBeInTheDocument();
+  });
+
+  it('explains a stopped link and never calls the function for a malformed one', async () => {
+    shareMocks.fetchLiveLocationShare.mockResolvedValue({ status: 'revoked' });
+    renderPage(`#-Nshare1.${TOKEN}`);
+    expect(await screen.findByText('This link has been stopped')).toBeInTheDocument();
+
+    shareMocks.fetchLiveLocationShare.mockClear();
+    renderPage('#nothing-here');
+    expect(screen.getByText('This link is not valid')).toBeInTheDocument();
+    expect(shareMocks.fetchLiveLocationShare).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react';
+import {
+  Alert,
+  Badge,
+  Box,
+  Button,
+  Center,
+  Group,
+  Image,
+  Loader,
+  Modal,
+  Stack,
+  Text,
+} from '@mantine/core';
+import { IconAlertTriangle, IconBlur } from '@tabler/icons-react';
+import { db } from '../firebase';
+import {
+  MAX_BLUR_REGIONS,
+  fetchReportedPhotoPreview,
+  normalizeBlurRegions,
+  toggleBlurRegion,
+} from '../services/contentModerationService';
+
+/**
+ * Lets a moderator mark the areas to blur on a reported group photo. Areas
+ * the reporter marked are pre-filled. Submitting replaces the photo with a
+ * blurred copy instead of removing it. Mount it with a key per report so the
+ * marks start fresh for each one.
+ */
+export function PhotoBlurRegionsModal({ report, submitting = false, onClose, onSubmit }) {
+  const [preview, setPreview] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [imageSize, setImageSize] = useState(null);
+  const [regions, setRegions] = useState(() => normalizeBlurRegions(report?.blurRegions));
+
+  useEffect(() => {
+    if (!report) return undefined;
+    let cancelled = false;
+
+    fetchReportedPhotoPreview(db, report)
+      .then((nextPreview) => {
+        if (cancelled) return;
+        if (!nextPreview?.url) {
+          setLoadError('The photo is no longer in the album.');
+        } else if (nextPreview.isClip) {
+          setLoadError('Video clips cannot be blurred. Remove the clip instead.');
+        } else {
+          setPreview(nextPreview);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setLoadError('The photo could not be loaded.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [report]);
+
+  const handleImageClick = (event) => {
+    if (submitting || !imageSize) return;
+    const bounds = event.currentTarget.getBoundingClientRect();
+    setRegions((current) => toggleBlurRegion(current, {
+      x: (event.clientX - bounds.left) / bounds.width,
+      y: (event.clientY - bounds.top) / bounds.height,
+    }, imageSize));
+  };
+
+  return (
+    <Modal
+      opened={Boolean(report)}
+      onClose={() => !submitting && onClose()}
+      title="Blur faces in reported photo"
+      size="xl"
+      centered
+      closeOnClickOutside={!submitting}
+      closeOnEscape={!submitting}
+    >
+      <Stack gap="md">
+        <Text size="sm" c="dimmed">
+          Click a face to mark it, and click a marked area to clear it. Everyone in the group will see the blurred copy; the original is deleted.
+        </Text>
+
+        {loadError ? (
+          <Alert color="red" icon={<IconAlertTriangle size={16} />}>{loadError}</Alert>
+        ) : null}
+
+        {!preview && !loadError ? (
+          <Center py="xl"><Loader color="brand" /></Center>
+        ) : null}
+
+        {preview ? (
+          <Box
+            pos="relative"
+            style={{ cursor: submitting ? 'default' : 'crosshair', alignSelf: 'center', lineHeight: 0 }}
+            onClick={handleImageClick}
+          >
+            <Image
+              src={preview.url}
+              alt="Reported photo"
+              mah={520}
+              w="auto"
+              fit="contain"
+              onLoad={(event) => setImageSize({
+                imageWidth: event.currentTarget.naturalWidth,
+                imageHeight: event.currentTarget.naturalHeight,
+              })}
+            />
+            {regions.map((region) => (
+              <Box
+                key={`${region.x}:${region.y}`}
+                pos="absolute"
+                style={{
+                  left: `${region.x * 100}%`,
+                  top: `${region.y * 100}%`,
+                  width: `${region.width * 100}%`,
+                  height: `${region.height * 100}%`,
+                  border: '2px solid white',
+                  borderRadius: 4,
+                  background: 'rgba(15, 23, 42, 0.55)',
+                  pointerEvents: 'none',
+                }}
+              />
+            ))}
+          </Box>
+        ) : null}
+
+        <Group justify="space-between">
+          <Badge color={regions.length > 0 ? 'brand' : 'gray'} variant="light">
+            {regions.length} of {MAX_BLUR_REGIONS} areas marked
+          </Badge>
+          <Group gap="xs">
+            <Button variant="subtle" color="gray" onClick={() => setRegions([])} disabled={submitting || regions.length === 0}>
+              Clear
+            </Button>
+            <Button variant="light" onClick={onClose} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button
+              leftSection={<IconBlur size={14} />}
+              loading={submitting}
+              disabled={!preview || regions.length === 0}
+              onClick={() => onSubmit(report, regions)}
+            >
+              Blur and replace photo
+            </Button>
+          </Group>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+export default PhotoBlurRegionsModal;
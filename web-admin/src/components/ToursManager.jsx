@@ -145,6 +145,7 @@ import {
   subscribeToDriverTourPackOperations,
   updateDriverTourPackIssueStatus,
 } from '../services/driverTourPackOperationsService';
+import { subscribeToTourRollCalls } from '../services/rollCallService';
 import {
   fetchTourByExactId,
   subscribeToDriverDirectory,
@@ -1160,6 +1161,8 @@ function TourDetailsModal({ opened, onClose, tourId, tour }) {
           </Paper>
         )}
 
+        <TourRollCallHistory tourId={tourId} />
+
         <Button variant="light" onClick={onClose} fullWidth>
           Close
         </Button>
@@ -1168,6 +1171,51 @@ function TourDetailsModal({ opened, onClose, tourId, tour }) {
   );
 }
 
+// Roll calls the driver ran after stops: when the coach left and who was missing.
+function TourRollCallHistory({ tourId }) {
+  const [rollCalls, setRollCalls] = useState(null);
+
+  useEffect(() => subscribeToTourRollCalls(db, tourId, setRollCalls, () => setRollCalls([])), [tourId]);
+
+  if (!rollCalls?.length) return null;
+
+  return (
+    <Paper p="md" radius="md" withBorder>
+      <Text fw={500} mb="sm">Roll Calls ({rollCalls.length})</Text>
+      <Timeline active={-1} bulletSize={20}>
+        {rollCalls.map((rollCall) => (
+          <Timeline.Item
+            key={rollCall.rollCallId}
+            bullet={rollCall.missing.length ? <IconAlertCircle size={12} /> : <IconCheck size={12} />}
+            color={rollCall.missing.length ? 'orange' : 'green'}
+            title={
+              <Group gap="xs">
+                <Text size="sm" fw={500}>{rollCall.stopName}</Text>
+                <Badge size="xs" variant="light" color={rollCall.status === 'open' ? 'blue' : 'gray'}>
+                  {rollCall.status === 'open' ? 'In progress' : 'Departed'}
+                </Badge>
+              </Group>
+            }
+          >
+            <Text size="xs" c="dimmed">
+              Started {formatDateTimeForDisplay(rollCall.startedAtMs)}
+              {rollCall.closedAtMs ? ` · departed ${formatDateTimeForDisplay(rollCall.closedAtMs)}` : ''}
+              {` · ${rollCall.expectedCount - rollCall.missing.length}/${rollCall.expectedCount} back`}
+              {rollCall.selfConfirmedCount ? ` (${rollCall.selfConfirmedCount} confirmed on their phone)` : ''}
+            </Text>
+            {rollCall.missing.length > 0 && (
+              <Text size="xs" c="orange" mt={2}>
+                {rollCall.status === 'open' ? 'Not back yet' : 'Missing at departure'}:{' '}
+                {rollCall.missing.map((passenger) => `${passenger.name}${passenger.bookingRef ? ` (${passenger.bookingRef})` : ''}`).join(', ')}
+              </Text>
+            )}
+          </Timeline.Item>
+        ))}
+      </Timeline>
+    </Paper>
+  );
+}
+
 // Import/Export Modal
 function ImportExportModal({ opened, onClose, tours, drivers, onImportSuccess, dateScope }) {
   const [activeTab, setActiveTab] = useState('export');
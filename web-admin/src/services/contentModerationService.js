@@ -26,6 +26,13 @@ export const CONTENT_REPORT_STATUS_OPTIONS = [
   { value: 'all', label: 'All statuses' },
 ];
 
+export const FACE_BLUR_REPORT_REASON = 'face_blur';
+
+// Same limits as the app's utils/photoBlurRegions.js and functions/lib/photoBlur.js.
+export const MAX_BLUR_REGIONS = 12;
+const MIN_BLUR_REGION_FRACTION = 0.02;
+const BLUR_REGION_SIDE_FRACTION = 0.2;
+
 const VALID_STATUSES = new Set(Object.values(CONTENT_REPORT_STATUS));
 const DEFAULT_LIMIT = 100;
 const MAX_LIMIT = 200;
@@ -43,6 +50,51 @@ const normalizeStatus = (status) => (
   VALID_STATUSES.has(status) ? status : CONTENT_REPORT_STATUS.OPEN
 );
 
+const clampFraction = (value, max = 1) => Math.min(max, Math.max(0, value));
+const roundFraction = (value) => Math.round(value * 10000) / 10000;
+
+export function normalizeBlurRegions(regions) {
+  if (!Array.isArray(regions)) return [];
+  return regions
+    .map((region) => {
+      const values = [region?.x, region?.y, region?.width, region?.height].map(Number);
+      if (!values.every(Number.isFinite)) return null;
+      const x = clampFraction(values[0]);
+      const y = clampFraction(values[1]);
+      const width = clampFraction(values[2], 1 - x);
+      const height = clampFraction(values[3], 1 - y);
+      if (width < MIN_BLUR_REGION_FRACTION || height < MIN_BLUR_REGION_FRACTION) return null;
+      return { x: roundFraction(x), y: roundFraction(y), width: roundFraction(width), height: roundFraction(height) };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_BLUR_REGIONS);
+}
+
+/**
+ * Clicking inside a region removes it; clicking elsewhere adds a square
+ * centred on the click. `point` and the result are photo fractions.
+ */
+export function toggleBlurRegion(regions, point, { imageWidth, imageHeight } = {}) {
+  const current = normalizeBlurRegions(regions);
+  for (let index = current.length - 1; index >= 0; index -= 1) {
+    const region = current[index];
+    if (point.x >= region.x && point.x <= region.x + region.width
+      && point.y >= region.y && point.y <= region.y + region.height) {
+      return current.filter((_, regionIndex) => regionIndex !== index);
+    }
+  }
+  if (current.length >= MAX_BLUR_REGIONS || !(imageWidth > 0) || !(imageHeight > 0)) return current;
+  const sidePx = Math.min(imageWidth, imageHeight) * BLUR_REGION_SIDE_FRACTION;
+  const width = sidePx / imageWidth;
+  const height = sidePx / imageHeight;
+  return normalizeBlurRegions([...current, {
+    x: clampFraction(point.x - width / 2, 1 - width),
+    y: clampFraction(point.y - height / 2, 1 - height),
+    width,
+    height,
+  }]);
+}
+
 export function normalizeContentReport(id, value = {}) {
   const createdAtMs = safeNumber(value.createdAtMs, 0);
   const updatedAtMs = safeNumber(value.updatedAtMs, createdAtMs);
@@ -61,8 +113,14 @@ export function normalizeContentReport(id, value = {}) {
     contentOwnerId: safeText(value.contentOwnerId, '', 160),
     contentOwnerName: safeText(value.contentOwnerName, 'Participant', 120),
     contentPreview: safeText(value.contentPreview, '', 500),
+    contentVersion: Number.isInteger(Number(value.contentVersion)) && Number(value.contentVersion) >= 1
+      ? Number(value.contentVersion)
+      : null,
+    reportedText: value.reportedMessage?.text ? safeText(value.reportedMessage.text, '', 10000) : null,
     sourcePath: safeText(value.sourcePath, '', 260),
     details: safeText(value.details, '', 500),
+    blurRegions: normalizeBlurRegions(value.blurRegions),
+    moderationAction: value.moderationAction ? safeText(value.moderationAction, '', 80) : null,
     createdAt: safeText(value.createdAt, '', 40),
     createdAtMs,
     updatedAt: safeText(value.updatedAt, '', 40),
@@ -190,12 +248,55 @@ const resolveReportedContentPath = (report) => {
   return null;
 };
 
+/**
+ * The photo a face blur request points at, for marking regions. The viewer
+ * variant is preferred because it is upright and small enough for the modal.
+ */
+export async function fetchReportedPhotoPreview(database, report) {
+  const contentPath = resolveReportedContentPath(report);
+  if (report?.contentType !== 'group_photo' || !contentPath) {
+    throw new Error('Only group photo reports can be blurred');
+  }
+  const snapshot = await get(ref(database, contentPath));
+  const photo = snapshot.val();
+  if (!photo) return null;
+  return {
+    url: photo.viewerUrl || photo.sourceUrl || photo.url || null,
+    isClip: photo.mediaType === 'video',
+  };
+}
+
 const isAllowedRemovalPath = (path) => (
   /^chats\/[^/]+\/messages\/[^/]+$/.test(path)
   || /^internal_chats\/[^/]+\/messages\/[^/]+$/.test(path)
   || /^group_tour_photos\/[^/]+\/[^/]+$/.test(path)
 );
 
+export async function blurReportedPhoto(report, regions) {
+  const blurRegions = normalizeBlurRegions(regions);
+  if (report?.contentType !== 'group_photo') {
+    throw new Error('Only group photo reports can be blurred');
+  }
+  if (blurRegions.length === 0) {
+    throw new Error('Mark at least one area to blur.');
+  }
+
+  const result = await postAdminAction('blurReportedPhoto', { reportId: report.id, regions: blurRegions }, {
+    configurationError: 'Photo blurring is not configured for this deployment.',
+    fallbackError: 'The photo could not be blurred. The original is still shown in the album.',
+    reasonMessages: {
+      ORIGIN_NOT_ALLOWED: 'This admin portal address is not authorized for photo moderation. Contact an administrator before retrying.',
+      INVALID_CREDENTIALS: 'Your admin session has expired. Sign in again and retry.',
+      NOT_AUTHORIZED: 'This account is not authorized to blur reported photos.',
+      INVALID_REPORT: 'The report is invalid or no longer exists.',
+      UNSUPPORTED_CONTENT: 'This report does not point to a group photo that can be blurred.',
+      INVALID_REGIONS: 'Mark at least one area inside the photo to blur.',
+      INTERNAL_ERROR: 'The photo could not be blurred. The original is still shown in the album.',
+    },
+  });
+  return { contentPath: result.contentPath || resolveReportedContentPath(report), regionCount: result.regionCount || blurRegions.length };
+}
+
 export async function removeReportedContent(database, report) {
   const contentPath = resolveReportedContentPath(report);
   if (!contentPath || !isAllowedRemovalPath(contentPath)) {
@@ -17,11 +17,13 @@ vi.mock('./adminActionService', () => adminActionMocks);
 
 import {
   CONTENT_REPORT_STATUS,
+  blurReportedPhoto,
   buildContentReportStats,
   filterContentReports,
   normalizeContentReport,
   removeReportedContent,
   subscribeToContentReports,
+  toggleBlurRegion,
 } from './contentModerationService';
 
 beforeEach(() => {
@@ -39,6 +41,8 @@ describe('contentModerationService', () => {
         reason: 'harassment',
         reporterName: 'Reporter',
         contentPreview: 'older',
+        contentVersion: 2,
+        reportedMessage: { version: 2, text: 'Captured from the message', capturedAtMs: 150 },
         createdAtMs: 100,
       }),
       normalizeContentReport('newer', {
@@ -53,6 +57,8 @@ describe('contentModerationService', () => {
       }),
     ];
 
+    expect(reports.map((report) => report.contentVersion)).toEqual([2, null]);
+    expect(reports.map((report) => report.reportedText)).toEqual(['Captured from the message', null]);
     expect(filterContentReports(reports, 'active').map((report) => report.id)).toEqual(['newer']);
     expect(filterContentReports(reports, 'all')).toHaveLength(2);
     expect(buildContentReportStats(reports)).toEqual({
@@ -147,6 +153,39 @@ describe('contentModerationService', () => {
       .not.toHaveProperty('chats/OTHER_TOUR/messages/other_message');
   });
 
+  it('keeps marked face blur regions and sends them with the blur action', async () => {
+    const report = normalizeContentReport('report-blur', {
+      contentType: 'group_photo',
+      contentId: 'photo_1',
+      tourId: 'TOUR_1',
+      reason: 'face_blur',
+      blurRegions: [{ x: 0.4, y: 0.2, width: 0.2, height: 0.2 }, { x: 'bad' }],
+    });
+    expect(report.blurRegions).toEqual([{ x: 0.4, y: 0.2, width: 0.2, height: 0.2 }]);
+
+    const added = toggleBlurRegion(report.blurRegions, { x: 0.1, y: 0.9 }, { imageWidth: 2000, imageHeight: 1000 });
+    expect(added[1]).toEqual({ x: 0.05, y: 0.8, width: 0.1, height: 0.2 });
+    expect(toggleBlurRegion(added, { x: 0.5, y: 0.3 }, { imageWidth: 2000, imageHeight: 1000 })).toEqual([added[1]]);
+
+    adminActionMocks.postAdminAction.mockResolvedValue({
+      success: true,
+      contentPath: 'group_tour_photos/TOUR_1/photo_1',
+      regionCount: 2,
+    });
+    await expect(blurReportedPhoto(report, added)).resolves.toEqual({
+      contentPath: 'group_tour_photos/TOUR_1/photo_1',
+      regionCount: 2,
+    });
+    expect(adminActionMocks.postAdminAction).toHaveBeenCalledWith(
+      'blurReportedPhoto',
+      { reportId: 'report-blur', regions: added },
+      expect.objectContaining({ reasonMessages: expect.objectContaining({ INVALID_REGIONS: expect.any(String) }) }),
+    );
+
+    await expect(blurReportedPhoto(report, [])).rejects.toThrow(/at least one area/);
+    expect(adminActionMocks.postAdminAction).toHaveBeenCalledTimes(1);
+  });
+
   it('rejects unsupported removal paths', async () => {
     await expect(removeReportedContent({}, {
       id: 'report-1',
@@ -48,6 +48,14 @@ const SAFETY_ATTENTION_STATUSES = new Set([
   SAFETY_STATUS.ESCALATED,
 ]);
 
+// Contact tiers paged by escalateUnacknowledgedSafetyAlerts, lowest first.
+export const SAFETY_CONTACT_TIER_LABELS = {
+  first_page: 'Drivers and operations admins',
+  on_call: 'On-call duty contacts',
+  final_reminder: 'Final reminder to all contacts',
+};
+const SAFETY_CONTACT_TIER_KEYS = Object.keys(SAFETY_CONTACT_TIER_LABELS);
+
 const SAFETY_SEVERITY_WEIGHT = {
   critical: 4,
   high: 3,
@@ -365,6 +373,55 @@ function normalizeSafetySeverity(severity) {
   return Object.keys(SAFETY_SEVERITY_WEIGHT).includes(severity) ? severity : 'medium';
 }
 
+const describeSafetyDelivery = (status, recipientCount) => {
+  const count = Number.isFinite(Number(recipientCount)) ? Number(recipientCount) : 0;
+  const recipients = `${count} ${count === 1 ? 'recipient' : 'recipients'}`;
+  return status ? `${recipients}, ${String(status).replace(/_/g, ' ')}` : recipients;
+};
+
+/**
+ * Report, first page, every escalation step and the latest status change,
+ * oldest first.
+ */
+function buildSafetyAlertTimeline(payload, reportedAtMs, status) {
+  const steps = [];
+  if (reportedAtMs) steps.push({ key: 'reported', atMs: reportedAtMs, label: 'Reported', detail: null });
+
+  const notifiedAtMs = toEpochMsStrict(payload?.notificationUpdatedAtMs);
+  if (notifiedAtMs) {
+    steps.push({
+      key: 'notified',
+      atMs: notifiedAtMs,
+      label: 'Contacts paged',
+      detail: describeSafetyDelivery(payload?.notificationDeliveryStatus, payload?.notificationRecipientCount),
+    });
+  }
+
+  Object.values(asRecord(payload?.escalationHistory)).forEach((step) => {
+    const atMs = toEpochMsStrict(step?.escalatedAtMs);
+    if (!atMs) return;
+    const tierKey = SAFETY_CONTACT_TIER_KEYS.includes(step?.contactTier) ? step.contactTier : null;
+    steps.push({
+      key: `escalated:${Number(step?.tier) || 0}`,
+      atMs,
+      label: tierKey ? `Escalated: ${SAFETY_CONTACT_TIER_LABELS[tierKey]}` : 'Escalated',
+      detail: describeSafetyDelivery(step?.deliveryStatus, step?.recipientCount),
+    });
+  });
+
+  const statusUpdatedAtMs = toEpochMsStrict(payload?.statusUpdatedAt);
+  if (statusUpdatedAtMs && status !== SAFETY_STATUS.PENDING && status !== SAFETY_STATUS.ESCALATED) {
+    steps.push({
+      key: `status:${status}`,
+      atMs: statusUpdatedAtMs,
+      label: `Marked ${status.replace(/_/g, ' ')}`,
+      detail: null,
+    });
+  }
+
+  return steps.sort((a, b) => a.atMs - b.atMs);
+}
+
 function normalizeSafetyAlert({ id, path, source, tourIdHint, payload }) {
   const timestampMs = toEpochMsStrict(payload?.timestamp);
   const severity = normalizeSafetySeverity(payload?.severity);
@@ -398,11 +455,14 @@ function normalizeSafetyAlert({ id, path, source, tourIdHint, payload }) {
     timestamp: payload?.timestamp || null,
     timestampMs: timestampMs ?? 0,
     requiresAttention: SAFETY_ATTENTION_STATUSES.has(status),
+    escalationTier: Number.isInteger(payload?.escalationTier) ? payload.escalationTier : null,
+    timeline: buildSafetyAlertTimeline(payload, timestampMs, status),
   };
 }
 
 function mergeSafetyAlert(existing, incoming) {
   if (!existing) return incoming;
+  const escalationTiers = [existing.escalationTier, incoming.escalationTier].filter(Number.isInteger);
 
   return {
     ...existing,
@@ -414,6 +474,8 @@ function mergeSafetyAlert(existing, incoming) {
     status: existing.status === SAFETY_STATUS.RESOLVED ? incoming.status : existing.status,
     timestampMs: Math.max(existing.timestampMs, incoming.timestampMs),
     requiresAttention: existing.requiresAttention || incoming.requiresAttention,
+    escalationTier: escalationTiers.length > 0 ? Math.max(...escalationTiers) : null,
+    timeline: incoming.timeline.length > existing.timeline.length ? incoming.timeline : existing.timeline,
   };
 }
 
@@ -148,6 +148,43 @@ describe('dashboardService operations model', () => {
     expect(filterSafetyAlerts(alerts, 'attention')).toHaveLength(1);
   });
 
+  it('builds a safety timeline from the first page, every escalation step and the acknowledgement', () => {
+    const reportedAtMs = Date.parse('2026-05-28T10:00:00.000Z');
+    const payload = {
+      eventId: 'event-2',
+      severity: 'high',
+      status: 'acknowledged',
+      tourId: 'TOUR_1',
+      timestamp: '2026-05-28T10:00:00.000Z',
+      notificationDeliveryStatus: 'accepted',
+      notificationRecipientCount: 2,
+      notificationUpdatedAtMs: reportedAtMs + 2000,
+      escalationTier: 1,
+      escalationHistory: {
+        tier_1: {
+          tier: 1,
+          contactTier: 'on_call',
+          escalatedAtMs: reportedAtMs + 5 * 60 * 1000,
+          deliveryStatus: 'partial',
+          recipientCount: 4,
+        },
+      },
+      statusUpdatedAt: '2026-05-28T10:07:00.000Z',
+    };
+    const [alert] = buildSafetyAlerts({
+      globalSafetyAlerts: { event2: { ...payload, escalationHistory: null } },
+      tours: { TOUR_1: { safetyAlerts: { event2: payload } } },
+    });
+
+    expect(alert.escalationTier).toBe(1);
+    expect(alert.timeline.map((step) => [step.label, step.detail])).toEqual([
+      ['Reported', null],
+      ['Contacts paged', '2 recipients, accepted'],
+      ['Escalated: On-call duty contacts', '4 recipients, partial'],
+      ['Marked acknowledged', null],
+    ]);
+  });
+
   it('updates every mirrored safety alert path in one atomic root write', async () => {
     firebaseMocks.update.mockResolvedValue();
     await updateSafetyAlertStatus({}, {
@@ -0,0 +1,85 @@
+// Public side of a passenger's family location link. The link carries
+// `#<shareId>.<token>`; the page never touches the database and only shows
+// what the viewLiveLocationShare function returns for that pair.
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+export const LIVE_LOCATION_SHARE_POLL_MS = 30 * 1000;
+
+export const LIVE_LOCATION_SHARE_STATUS = Object.freeze({
+  OK: 'ok',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+  NOT_FOUND: 'not_found',
+  ERROR: 'error',
+});
+
+const STATUS_BY_REASON = Object.freeze({
+  LINK_EXPIRED: LIVE_LOCATION_SHARE_STATUS.EXPIRED,
+  LINK_REVOKED: LIVE_LOCATION_SHARE_STATUS.REVOKED,
+  NOT_FOUND: LIVE_LOCATION_SHARE_STATUS.NOT_FOUND,
+});
+
+const buildViewEndpoint = () => {
+  const explicitUrl = import.meta.env.VITE_VIEW_LIVE_LOCATION_SHARE_URL?.trim();
+  if (explicitUrl) return explicitUrl;
+  const projectId = import.meta.env.VITE_FIREBASE_PROJECT_ID?.trim();
+  return projectId ? `https://europe-west1-${projectId}.cloudfunctions.net/viewLiveLocationShare` : null;
+};
+
+export function parseLiveLocationShareFragment(hash) {
+  const value = String(hash || '').replace(/^#/, '');
+  const separator = value.lastIndexOf('.');
+  if (separator <= 0) return null;
+  const shareId = value.slice(0, separator);
+  const token = value.slice(separator + 1);
+  return SHARE_ID_PATTERN.test(shareId) && TOKEN_PATTERN.test(token) ? { shareId, token } : null;
+}
+
+export async function fetchLiveLocationShare({ shareId, token }, { fetchImpl = fetch, endpoint = buildViewEndpoint() } = {}) {
+  if (!endpoint) return { status: LIVE_LOCATION_SHARE_STATUS.ERROR };
+  try {
+    const response = await fetchImpl(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ shareId, token }),
+      cache: 'no-store',
+      referrerPolicy: 'no-referrer',
+    });
+    const payload = await response.json().catch(() => null);
+    if (response.ok && payload?.success === true && payload.share) {
+      return { status: LIVE_LOCATION_SHARE_STATUS.OK, share: payload.share };
+    }
+    return { status: STATUS_BY_REASON[payload?.reason] || LIVE_LOCATION_SHARE_STATUS.ERROR };
+  } catch {
+    return { status: LIVE_LOCATION_SHARE_STATUS.ERROR };
+  }
+}
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export function distanceBetweenMeters(from, to) {
+  if (!from || !to) return null;
+  const earthRadiusMeters = 6371000;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadiusMeters * Math.asin(Math.sqrt(a));
+}
+
+export function formatDistance(meters) {
+  if (!Number.isFinite(meters)) return '';
+  if (meters < 1000) return `${Math.max(10, Math.round(meters / 10) * 10)} m`;
+  return `${(meters / 1000).toFixed(meters < 10000 ? 1 : 0)} km`;
+}
+
+export const buildMapsUrl = ({ latitude, longitude }) => (
+  `https://maps.google.com/?q=${latitude.toFixed(5)},${longitude.toFixed(5)}`
+);
+
+export function describeLocationAge(updatedAtMs, now = Date.now()) {
+  const minutes = Math.max(0, Math.floor((now - updatedAtMs) / 60000));
+  if (minutes < 1) return 'Updated just now';
+  return minutes === 1 ? 'Updated 1 minute ago' : `Updated ${minutes} minutes ago`;
+}
@@ -0,0 +1,65 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  LIVE_LOCATION_SHARE_STATUS,
+  buildMapsUrl,
+  describeLocationAge,
+  distanceBetweenMeters,
+  fetchLiveLocationShare,
+  formatDistance,
+  parseLiveLocationShareFragment,
+} from './liveLocationShareService';
+
+const TOKEN = 'a'.repeat(64);
+const ENDPOINT = 'https://functions.example/viewLiveLocationShare';
+
+const respond = (status, payload) => vi.fn(async () => ({ ok: status < 400, status, json: async () => payload }));
+
+describe('liveLocationShareService', () => {
+  it('reads the share id and token from the link fragment only', () => {
+    expect(parseLiveLocationShareFragment(`#-Nshare1.${TOKEN}`)).toEqual({ shareId: '-Nshare1', token: TOKEN });
+    expect(parseLiveLocationShareFragment('#-Nshare1.not-a-token')).toBeNull();
+    expect(parseLiveLocationShareFragment(`#bad/id.${TOKEN}`)).toBeNull();
+    expect(parseLiveLocationShareFragment('')).toBeNull();
+  });
+
+  it('posts the pair to the view function without credentials', async () => {
+    const share = { displayName: 'Alex', passenger: null, coach: null, expiresAtMs: 1 };
+    const fetchImpl = respond(200, { success: true, share });
+
+    const result = await fetchLiveLocationShare({ shareId: '-Nshare1', token: TOKEN }, { fetchImpl, endpoint: ENDPOINT });
+
+    expect(result).toEqual({ status: LIVE_LOCATION_SHARE_STATUS.OK, share });
+    const [url, options] = fetchImpl.mock.calls[0];
+    expect(url).toBe(ENDPOINT);
+    expect(options.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(options.body)).toEqual({ shareId: '-Nshare1', token: TOKEN });
+  });
+
+  it('maps refusals to final states and failures to a retryable error', async () => {
+    const link = { shareId: '-Nshare1', token: TOKEN };
+    await expect(fetchLiveLocationShare(link, { fetchImpl: respond(410, { success: false, reason: 'LINK_EXPIRED' }), endpoint: ENDPOINT }))
+      .resolves.toEqual({ status: LIVE_LOCATION_SHARE_STATUS.EXPIRED });
+    await expect(fetchLiveLocationShare(link, { fetchImpl: respond(410, { success: false, reason: 'LINK_REVOKED' }), endpoint: ENDPOINT }))
+      .resolves.toEqual({ status: LIVE_LOCATION_SHARE_STATUS.REVOKED });
+    await expect(fetchLiveLocationShare(link, { fetchImpl: respond(404, { success: false, reason: 'NOT_FOUND' }), endpoint: ENDPOINT }))
+      .resolves.toEqual({ status: LIVE_LOCATION_SHARE_STATUS.NOT_FOUND });
+    await expect(fetchLiveLocationShare(link, { fetchImpl: vi.fn(async () => { throw new Error('offline'); }), endpoint: ENDPOINT }))
+      .resolves.toEqual({ status: LIVE_LOCATION_SHARE_STATUS.ERROR });
+    await expect(fetchLiveLocationShare(link, { fetchImpl: vi.fn(), endpoint: null }))
+      .resolves.toEqual({ status: LIVE_LOCATION_SHARE_STATUS.ERROR });
+  });
+
+  it('describes distance, age and map links for the page', () => {
+    const passenger = { latitude: 56.0, longitude: -4.6 };
+    const coach = { latitude: 56.01, longitude: -4.6 };
+    expect(Math.round(distanceBetweenMeters(passenger, coach))).toBe(1112);
+    expect(distanceBetweenMeters(passenger, null)).toBeNull();
+    expect(formatDistance(1112)).toBe('1.1 km');
+    expect(formatDistance(4)).toBe('10 m');
+    expect(formatDistance(245)).toBe('250 m');
+    expect(buildMapsUrl(passenger)).toBe('https://maps.google.com/?q=56.00000,-4.60000');
+    expect(describeLocationAge(1000, 30000)).toBe('Updated just now');
+    expect(describeLocationAge(0, 5 * 60000)).toBe('Updated 5 minutes ago');
+  });
+});
@@ -0,0 +1,44 @@
+import { limitToLast, onValue, orderByChild, query, ref } from 'firebase/database';
+
+export const ROLL_CALL_HISTORY_LIMIT = 50;
+
+const asRecord = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+const safeInteger = (value) => Number.isSafeInteger(value) && value >= 0;
+
+/**
+ * Roll calls written by the driver's device. Each entry records when the
+ * count started at a stop, when the coach left, and who was missing then.
+ */
+export function sanitizeRollCalls(value, tourId) {
+  return Object.entries(asRecord(value)).flatMap(([rollCallId, entry]) => {
+    if (entry?.schemaVersion !== 1 || entry.rollCallId !== rollCallId || entry.tourId !== tourId) return [];
+    if (!safeInteger(entry.startedAtMs) || !['open', 'closed'].includes(entry.status)) return [];
+    const expected = asRecord(entry.expected);
+    const returned = asRecord(entry.returned);
+    const missingKeys = entry.status === 'closed'
+      ? Object.keys(asRecord(entry.missingAtClose)).filter((key) => expected[key])
+      : Object.keys(expected).filter((key) => !returned[key]);
+    return [{
+      rollCallId,
+      stopName: typeof entry.stopName === 'string' && entry.stopName.trim() ? entry.stopName.trim() : 'Stop',
+      status: entry.status,
+      startedAtMs: entry.startedAtMs,
+      closedAtMs: safeInteger(entry.closedAtMs) ? entry.closedAtMs : null,
+      startedBy: typeof entry.startedBy === 'string' ? entry.startedBy : null,
+      expectedCount: Object.keys(expected).length,
+      selfConfirmedCount: Object.values(returned).filter((item) => item?.source === 'passenger').length,
+      missing: missingKeys.map((key) => ({
+        key,
+        name: typeof expected[key]?.name === 'string' ? expected[key].name : key,
+        bookingRef: typeof expected[key]?.bookingRef === 'string' ? expected[key].bookingRef : null,
+        seat: expected[key]?.seat ? String(expected[key].seat) : null,
+      })),
+    }];
+  }).sort((left, right) => right.startedAtMs - left.startedAtMs);
+}
+
+export function subscribeToTourRollCalls(database, tourId, onData, onError, limit = ROLL_CALL_HISTORY_LIMIT) {
+  if (!tourId) return () => {};
+  const rollCallQuery = query(ref(database, `tour_manifests/${tourId}/roll_calls`), orderByChild('startedAtMs'), limitToLast(limit));
+  return onValue(rollCallQuery, (snapshot) => onData(sanitizeRollCalls(snapshot.val(), tourId)), onError);
+}
@@ -0,0 +1,65 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const firebaseMocks = vi.hoisted(() => ({
+  ref: vi.fn((_database, path) => ({ path })),
+  query: vi.fn((baseRef, ...constraints) => ({ baseRef, constraints })),
+  orderByChild: vi.fn((field) => ({ type: 'orderByChild', field })),
+  limitToLast: vi.fn((limit) => ({ type: 'limitToLast', limit })),
+  onValue: vi.fn(),
+}));
+
+vi.mock('firebase/database', () => firebaseMocks);
+
+import { ROLL_CALL_HISTORY_LIMIT, sanitizeRollCalls, subscribeToTourRollCalls } from './rollCallService';
+
+const expected = {
+  T1_0: { bookingRef: 'T1', passengerIndex: 0, name: 'Ann Roe', seat: '4A' },
+  T1_1: { bookingRef: 'T1', passengerIndex: 1, name: 'Ben Roe', seat: '4B' },
+  T2_0: { bookingRef: 'T2', passengerIndex: 0, name: 'Cat Lee', seat: '9C' },
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('rollCallService', () => {
+  it('lists roll calls newest first with who was missing when the coach left', () => {
+    const rollCalls = sanitizeRollCalls({
+      rc_100: {
+        schemaVersion: 1, rollCallId: 'rc_100', tourId: '5001D_1', stopName: 'Luss', status: 'closed',
+        startedAtMs: 100, closedAtMs: 900, startedBy: 'D-ONE', expected,
+        returned: { T1_0: { atMs: 200, source: 'passenger' }, T1_1: { atMs: 200, source: 'passenger' } },
+        missingAtClose: { T2_0: true },
+      },
+      rc_2000: {
+        schemaVersion: 1, rollCallId: 'rc_2000', tourId: '5001D_1', stopName: ' Inveraray ', status: 'open',
+        startedAtMs: 2000, expected, returned: { T2_0: { atMs: 2100, source: 'driver' } },
+      },
+      rc_other: { schemaVersion: 1, rollCallId: 'rc_other', tourId: 'OTHER', status: 'open', startedAtMs: 5 },
+      rc_bad: { schemaVersion: 1, rollCallId: 'mismatch', tourId: '5001D_1', status: 'open', startedAtMs: 5 },
+    }, '5001D_1');
+
+    expect(rollCalls.map((item) => item.rollCallId)).toEqual(['rc_2000', 'rc_100']);
+    expect(rollCalls[0]).toMatchObject({ stopName: 'Inveraray', status: 'open', closedAtMs: null, expectedCount: 3 });
+    expect(rollCalls[0].missing.map((item) => item.name)).toEqual(['Ann Roe', 'Ben Roe']);
+    expect(rollCalls[1]).toMatchObject({ closedAtMs: 900, selfConfirmedCount: 2, startedBy: 'D-ONE' });
+    expect(rollCalls[1].missing).toEqual([{ key: 'T2_0', name: 'Cat Lee', bookingRef: 'T2', seat: '9C' }]);
+  });
+
+  it('subscribes to a bounded, start-ordered query for one tour', () => {
+    const unsubscribe = vi.fn();
+    const onData = vi.fn();
+    firebaseMocks.onValue.mockImplementation((_query, onNext) => {
+      onNext({ val: () => null });
+      return unsubscribe;
+    });
+
+    expect(subscribeToTourRollCalls({}, '5001D_1', onData, vi.fn())).toBe(unsubscribe);
+    expect(firebaseMocks.ref).toHaveBeenCalledWith({}, 'tour_manifests/5001D_1/roll_calls');
+    expect(firebaseMocks.orderByChild).toHaveBeenCalledWith('startedAtMs');
+    expect(firebaseMocks.limitToLast).toHaveBeenCalledWith(ROLL_CALL_HISTORY_LIMIT);
+    expect(onData).toHaveBeenCalledWith([]);
+    expect(subscribeToTourRollCalls({}, '', onData, vi.fn())).toEqual(expect.any(Function));
+    expect(firebaseMocks.onValue).toHaveBeenCalledTimes(1);
+  });
+});